@@ -12,21 +12,23 @@
  * - Rate limiting and health monitoring
  */
 
-const axios = require('axios');
 const EventEmitter = require('events');
+const { getProviderRegistry } = require('./provider-registry');
 
 class AIMLAPIClient extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.config = {
-      apiKey: config.apiKey || process.env.AIMLAPI_API_KEY,
-      baseUrl: config.baseUrl || process.env.AIMLAPI_BASE_URL || 'https://api.aimlapi.com/v1',
-      timeout: parseInt(config.timeout || process.env.AIMLAPI_TIMEOUT || '30000'),
       retries: parseInt(config.retries || process.env.AIMLAPI_RETRIES || '3'),
       rateLimitEnabled: config.rateLimitEnabled !== false
     };
     
+    // Requests, rate limits and health go through the shared provider registry
+    this.registry = config.registry || getProviderRegistry({
+      aimlapi: { apiKey: config.apiKey, baseUrl: config.baseUrl, timeout: config.timeout }
+    });
+    
     // Model configuration with cost optimization
     this.models = {
       'gpt-5-pro': {
@@ -80,26 +82,11 @@ class AIMLAPIClient extends EventEmitter {
       }
     };
     
-    // Rate limiting state
-    this.rateLimits = {};
+    // Per-model rate limits
     Object.keys(this.models).forEach(model => {
-      this.rateLimits[model] = {
-        current: 0,
-        limit: this.models[model].rateLimit,
-        resetTime: Date.now() + 60000
-      };
+      this.registry.setRateLimit('aimlapi', model, this.models[model].rateLimit);
     });
     
-    // Health monitoring
-    this.health = {
-      status: 'healthy',
-      lastCheck: Date.now(),
-      failures: 0,
-      successRate: 1.0,
-      averageResponseTime: 0,
-      totalRequests: 0
-    };
-    
     // Performance metrics
     this.metrics = {
       requestCount: 0,
@@ -111,12 +98,30 @@ class AIMLAPIClient extends EventEmitter {
       responseTimes: []
     };
     
+    // Forward registry health changes for this provider
+    this.registry.on('health_degraded', (health) => {
+      if (health.provider === 'aimlapi') {
+        this.emit('health_degraded', health);
+      }
+    });
+    
     // Initialize health monitoring
     this.startHealthMonitoring();
   }
   
+  /**
+   * Provider health as tracked by the registry
+   */
+  get health() {
+    return this.registry.getHealth('aimlapi');
+  }
+  
   /**
    * Main processing method with intelligent model selection
+   *
+   * With `options.stream` the completion is streamed: `options.onDelta(text)`
+   * receives text as it arrives and `options.signal` (an AbortSignal) cancels
+   * the request. The resolved result is the same either way.
    */
   async processRequest(context, content, options = {}) {
     const startTime = Date.now();
@@ -133,7 +138,7 @@ class AIMLAPIClient extends EventEmitter {
       }
       
       // Select optimal model based on context
-      const selectedModel = this.selectOptimalModel(context, options);
+      let selectedModel = this.selectOptimalModel(context, options);
       
       // Check rate limits
       if (!this.checkRateLimit(selectedModel)) {
@@ -162,6 +167,15 @@ class AIMLAPIClient extends EventEmitter {
       return result;
       
     } catch (error) {
+      // A cancelled stream was superseded by the caller, not a failure
+      if (error.code === 'cancelled') {
+        this.emit('request_cancelled', {
+          context,
+          responseTime: Date.now() - startTime
+        });
+        throw error;
+      }
+      
       // Track failure
       this.trackRequest(null, null, Date.now() - startTime, false);
       
@@ -314,101 +328,47 @@ class AIMLAPIClient extends EventEmitter {
    * Make API request to AIMLAPI
    */
   async makeRequest(model, content, options = {}) {
-    const requestData = {
+    const response = await this.registry.complete('aimlapi', {
       model: model,
+      system: this.getSystemPrompt(model, options.context),
       messages: [
-        {
-          role: 'system',
-          content: this.getSystemPrompt(model, options.context)
-        },
         {
           role: 'user',
           content: content
         }
       ],
-      max_tokens: options.maxTokens || 4000,
+      maxTokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.7,
-      stream: options.stream || false,
-      top_p: options.topP || 1.0,
-      frequency_penalty: options.frequencyPenalty || 0,
-      presence_penalty: options.presencePenalty || 0
-    };
-    
-    const requestConfig = {
-      headers: {
-        'Authorization': `Bearer ${this.config.apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'MeetingMind/1.0'
-      },
-      timeout: this.config.timeout
-    };
-    
-    let lastError;
-    
-    // Retry logic
-    for (let attempt = 1; attempt <= this.config.retries; attempt++) {
-      try {
-        const response = await axios.post(
-          `${this.config.baseUrl}/chat/completions`,
-          requestData,
-          requestConfig
-        );
-        
-        const result = this.parseResponse(response.data, model);
-        this.updateRateLimit(model);
-        
-        return result;
-        
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (error.response?.status === 401 || error.response?.status === 403) {
-          throw new Error(`Authentication failed: ${error.response.data?.error?.message || error.message}`);
-        }
-        
-        if (error.response?.status === 429) {
-          // Rate limited - wait and retry
-          const retryAfter = parseInt(error.response.headers['retry-after'] || '60');
-          if (attempt < this.config.retries) {
-            await this.sleep(retryAfter * 1000);
-            continue;
-          }
-        }
-        
-        if (attempt === this.config.retries) {
-          break;
-        }
-        
-        // Exponential backoff
-        await this.sleep(Math.pow(2, attempt) * 1000);
-      }
-    }
+      topP: options.topP || 1.0,
+      frequencyPenalty: options.frequencyPenalty || 0,
+      presencePenalty: options.presencePenalty || 0
+    }, {
+      attempts: this.config.retries,
+      stream: options.stream,
+      onDelta: options.onDelta,
+      signal: options.signal
+    });
     
-    throw new Error(`AIMLAPI request failed after ${this.config.retries} attempts: ${lastError.message}`);
+    return this.parseResponse(response, model);
   }
   
   /**
-   * Parse API response and calculate costs
+   * Add cost and quality to a registry response
    */
-  parseResponse(data, model) {
-    const usage = {
-      promptTokens: data.usage?.prompt_tokens || 0,
-      completionTokens: data.usage?.completion_tokens || 0,
-      totalTokens: data.usage?.total_tokens || 0
-    };
+  parseResponse(response, model) {
+    const usage = response.usage;
     
     // Calculate cost based on model pricing
     const modelConfig = this.models[model];
     const cost = (usage.totalTokens / 1000) * modelConfig.cost;
     
     return {
-      content: data.choices[0]?.message?.content || '',
+      content: response.content,
       usage: usage,
       model: model,
       provider: 'aimlapi',
       cost: cost,
-      quality: this.assessQuality(data.choices[0]?.message?.content || ''),
+      quality: this.assessQuality(response.content),
       timestamp: new Date().toISOString()
     };
   }
@@ -487,30 +447,7 @@ class AIMLAPIClient extends EventEmitter {
       return true;
     }
     
-    const limit = this.rateLimits[model];
-    if (!limit) {
-      return true;
-    }
-    
-    const now = Date.now();
-    
-    // Reset if window has passed
-    if (now >= limit.resetTime) {
-      limit.current = 0;
-      limit.resetTime = now + 60000; // 1 minute window
-    }
-    
-    return limit.current < limit.limit;
-  }
-  
-  /**
-   * Update rate limit counter
-   */
-  updateRateLimit(model) {
-    const limit = this.rateLimits[model];
-    if (limit) {
-      limit.current++;
-    }
+    return this.registry.checkRateLimit('aimlapi', model);
   }
   
   /**
@@ -559,7 +496,6 @@ class AIMLAPIClient extends EventEmitter {
     
     if (success) {
       this.metrics.successCount++;
-      this.health.failures = Math.max(0, this.health.failures - 1);
       
       if (result) {
         this.metrics.totalTokens += result.usage.totalTokens;
@@ -574,7 +510,6 @@ class AIMLAPIClient extends EventEmitter {
       }
     } else {
       this.metrics.failureCount++;
-      this.health.failures++;
     }
     
     // Update response time metrics
@@ -586,20 +521,6 @@ class AIMLAPIClient extends EventEmitter {
     this.metrics.averageResponseTime = 
       this.metrics.responseTimes.reduce((sum, time) => sum + time, 0) / 
       this.metrics.responseTimes.length;
-    
-    // Update health metrics
-    this.health.successRate = this.metrics.successCount / this.metrics.requestCount;
-    this.health.averageResponseTime = this.metrics.averageResponseTime;
-    this.health.totalRequests = this.metrics.requestCount;
-    this.health.lastCheck = Date.now();
-    
-    // Update health status
-    if (this.health.failures > 5 || this.health.successRate < 0.8) {
-      this.health.status = 'unhealthy';
-      this.emit('health_degraded', this.health);
-    } else if (this.health.failures === 0 && this.health.successRate > 0.95) {
-      this.health.status = 'healthy';
-    }
   }
   
   /**
@@ -653,15 +574,17 @@ class AIMLAPIClient extends EventEmitter {
    * Get current status and metrics
    */
   getStatus() {
+    const provider = this.registry.get('aimlapi');
+    
     return {
       health: this.health,
       metrics: this.metrics,
       costTracker: this.costTracker,
-      rateLimits: this.rateLimits,
+      rateLimits: this.registry.getRateLimits('aimlapi'),
       models: this.models,
       config: {
-        baseUrl: this.config.baseUrl,
-        timeout: this.config.timeout,
+        baseUrl: provider?.config?.baseUrl,
+        timeout: provider?.config?.timeout,
         retries: this.config.retries,
         rateLimitEnabled: this.config.rateLimitEnabled
       }
@@ -7,6 +7,7 @@
  */
 
 const EventEmitter = require('events');
+const { getResponseCache } = require('./response-cache');
 
 class CostOptimizationSystem extends EventEmitter {
   constructor(config = {}) {
@@ -41,7 +42,8 @@ class CostOptimizationSystem extends EventEmitter {
           aimlapi: 0,
           openai: 0,
           google: 0,
-          anthropic: 0
+          anthropic: 0,
+          local: 0
         },
         byCategory: {
           realtime: 0,
@@ -49,7 +51,8 @@ class CostOptimizationSystem extends EventEmitter {
           monitoring: 0,
           experimental: 0
         },
-        byModel: {}
+        byModel: {},
+        cacheSavings: this.createCacheSavings()
       },
       historical: {
         daily: [],
@@ -81,6 +84,10 @@ class CostOptimizationSystem extends EventEmitter {
       'claude-3-haiku': { inputCost: 0.0025, outputCost: 0.0125, provider: 'anthropic' }
     };
     
+    // Local Models (zero marginal cost - hardware is already paid for)
+    [].concat(config.localModels || process.env.LOCAL_AI_MODEL || 'llama3.1')
+      .forEach(model => this.registerLocalModel(model));
+    
     // Optimization strategies
     this.optimizationStrategies = {
       aggressive: {
@@ -118,6 +125,61 @@ class CostOptimizationSystem extends EventEmitter {
     // Initialize tracking
     this.lastResetDate = new Date().toDateString();
     this.startCostTracking();
+    
+    // Persistent cost ledger ({ record(entry) }, e.g. the server's
+    // CostLedgerService); the totals above reset on restart
+    this.ledger = config.ledger || null;
+    
+    // Responses served from the AI response cache count as savings
+    if (config.responseCache !== false) {
+      this.attachResponseCache(config.responseCache || getResponseCache());
+    }
+  }
+  
+  /**
+   * Track savings from a response cache's hits
+   */
+  attachResponseCache(cache) {
+    cache.on('cache_hit', hit => this.trackCacheSavings(hit));
+  }
+  
+  /**
+   * Record what a cached response would have cost from the provider
+   */
+  trackCacheSavings({ model, provider, task, match, savedUsage }) {
+    const savings = this.costTracking.current.cacheSavings;
+    const usage = savedUsage || {};
+    const modelConfig = this.modelCosts[model];
+    const saved = modelConfig
+      ? ((usage.promptTokens || 0) / 1000) * modelConfig.inputCost + ((usage.completionTokens || 0) / 1000) * modelConfig.outputCost
+      : 0;
+    
+    savings.total += saved;
+    savings.hits++;
+    savings.tokens += usage.totalTokens || 0;
+    savings.byMatch[match] = (savings.byMatch[match] || 0) + 1;
+    savings.byProvider[provider] = (savings.byProvider[provider] || 0) + saved;
+    savings.byTask[task || 'default'] = (savings.byTask[task || 'default'] || 0) + saved;
+    
+    this.emit('cache_savings_tracked', { model, provider, task, match, saved, usage });
+  }
+  
+  createCacheSavings() {
+    return {
+      total: 0,
+      hits: 0,
+      tokens: 0,
+      byMatch: { exact: 0, semantic: 0 },
+      byProvider: {},
+      byTask: {}
+    };
+  }
+  
+  /**
+   * Register a model served by the local provider
+   */
+  registerLocalModel(model) {
+    this.modelCosts[model] = { inputCost: 0, outputCost: 0, provider: 'local' };
   }
   
   /**
@@ -327,15 +389,17 @@ class CostOptimizationSystem extends EventEmitter {
   }
   
   /**
-   * Track actual cost after request completion
+   * Track actual cost after request completion. context ({ organizationId,
+   * userId, meetingId }) says who the spend is charged to in the ledger.
    */
-  trackCost(model, usage, actualCost, category = 'analysis') {
+  trackCost(model, usage, actualCost, category = 'analysis', context = {}) {
     const provider = this.modelCosts[model]?.provider || 'unknown';
     
     // Update current tracking
     this.costTracking.current.total += actualCost;
     this.costTracking.current.daily += actualCost;
-    this.costTracking.current.byProvider[provider] += actualCost;
+    this.costTracking.current.byProvider[provider] = 
+      (this.costTracking.current.byProvider[provider] || 0) + actualCost;
     this.costTracking.current.byCategory[category] += actualCost;
     
     if (!this.costTracking.current.byModel[model]) {
@@ -363,6 +427,11 @@ class CostOptimizationSystem extends EventEmitter {
     // Update projections
     this.updateProjections();
     
+    if (this.ledger) {
+      Promise.resolve(this.ledger.record({ ...context, provider, model, task: category, usage, cost: actualCost }))
+        .catch(error => console.error('Failed to record AI cost:', error.message));
+    }
+    
     this.emit('cost_tracked', {
       model,
       provider,
@@ -596,7 +665,8 @@ class CostOptimizationSystem extends EventEmitter {
         aimlapi: 0,
         openai: 0,
         google: 0,
-        anthropic: 0
+        anthropic: 0,
+        local: 0
       },
       byCategory: {
         realtime: 0,
@@ -604,7 +674,8 @@ class CostOptimizationSystem extends EventEmitter {
         monitoring: 0,
         experimental: 0
       },
-      byModel: {}
+      byModel: {},
+      cacheSavings: this.createCacheSavings()
     };
     
     // Reset performance metrics
@@ -680,12 +751,14 @@ class CostOptimizationSystem extends EventEmitter {
         budgetUtilization: utilization,
         savingsRate: savingsRate,
         savingsTarget: this.config.savingsTarget,
-        targetMet: savingsRate >= this.config.savingsTarget
+        targetMet: savingsRate >= this.config.savingsTarget,
+        cacheSavings: this.costTracking.current.cacheSavings.total
       },
       breakdown: {
         byProvider: this.costTracking.current.byProvider,
         byCategory: this.costTracking.current.byCategory,
-        byModel: this.costTracking.current.byModel
+        byModel: this.costTracking.current.byModel,
+        cacheSavings: this.costTracking.current.cacheSavings
       },
       projections: this.costTracking.projections,
       recommendations: this.getOptimizationRecommendations(),
@@ -6,40 +6,28 @@
  * maximum reliability and performance.
  */
 
-const axios = require('axios');
+const { getProviderRegistry } = require('./provider-registry');
+const { getPromptRegistry } = require('./prompt-registry');
 
 class EnhancedHybridAIClient {
   constructor(config = {}) {
-    this.config = {
-      // AIMLAPI Configuration (Primary Provider)
-      aimlapi: {
-        apiKey: config.aimlApiKey || process.env.AIMLAPI_KEY,
-        baseUrl: 'https://api.aimlapi.com/v1',
-        timeout: 30000,
-        retries: 3
-      },
-      
-      // Fallback Providers
-      openai: {
-        apiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
-        baseUrl: 'https://api.openai.com/v1',
-        timeout: 30000,
-        retries: 2
-      },
-      
-      google: {
-        apiKey: config.googleApiKey || process.env.GOOGLE_API_KEY,
-        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
-        timeout: 30000,
-        retries: 2
-      },
-      
-      anthropic: {
-        apiKey: config.anthropicApiKey || process.env.ANTHROPIC_API_KEY,
-        baseUrl: 'https://api.anthropic.com/v1',
-        timeout: 30000,
-        retries: 2
-      }
+    // AIMLAPI is the primary provider; OpenAI, Google and Anthropic are
+    // fallbacks. Requests, rate limits and health go through the registry.
+    this.registry = config.registry || getProviderRegistry({
+      aimlapi: { apiKey: config.aimlApiKey },
+      openai: { apiKey: config.openaiApiKey },
+      google: { apiKey: config.googleApiKey },
+      anthropic: { apiKey: config.anthropicApiKey }
+    });
+    
+    // System prompts per strategy, versioned in the prompt registry
+    this.prompts = config.prompts || getPromptRegistry();
+    
+    // Fallback providers and their cost per 1K tokens
+    this.fallbackProviders = {
+      openai: { costPer1k: 0.03 },
+      google: { costPer1k: 0.015 },
+      anthropic: { costPer1k: 0.045 }
     };
     
     // Cost tracking and optimization
@@ -114,20 +102,27 @@ class EnhancedHybridAIClient {
       }
     };
     
-    // Rate limiting and health monitoring
-    this.rateLimits = {
-      'gpt-5-pro': { limit: 100, current: 0, resetTime: Date.now() },
-      'claude-4.5-sonnet': { limit: 50, current: 0, resetTime: Date.now() },
-      'grok-4-fast': { limit: 200, current: 0, resetTime: Date.now() },
-      'deepseek-v3.1': { limit: 500, current: 0, resetTime: Date.now() }
-    };
-    
-    this.providerHealth = {
-      aimlapi: { status: 'healthy', lastCheck: Date.now(), failures: 0 },
-      openai: { status: 'healthy', lastCheck: Date.now(), failures: 0 },
-      google: { status: 'healthy', lastCheck: Date.now(), failures: 0 },
-      anthropic: { status: 'healthy', lastCheck: Date.now(), failures: 0 }
+    // Per-model AIMLAPI rate limits
+    const rateLimits = {
+      'gpt-5-pro': 100,
+      'claude-4.5-sonnet': 50,
+      'grok-4-fast': 200,
+      'deepseek-v3.1': 500
     };
+    Object.entries(rateLimits).forEach(([model, limit]) => {
+      this.registry.setRateLimit('aimlapi', model, limit);
+    });
+  }
+  
+  /**
+   * Provider health as tracked by the registry
+   */
+  get providerHealth() {
+    const health = {};
+    ['aimlapi', ...Object.keys(this.fallbackProviders)].forEach(provider => {
+      health[provider] = this.registry.getHealth(provider);
+    });
+    return health;
   }
   
   /**
@@ -146,11 +141,17 @@ class EnhancedHybridAIClient {
         this.logSuccess('aimlapi', Date.now() - startTime, result);
         return result;
       } catch (error) {
+        if (error.code === 'cancelled') {
+          throw error;
+        }
         console.warn('AIMLAPI failed, trying fallback:', error.message);
         return await this.processWithFallback(context, content, options, error);
       }
       
     } catch (error) {
+      if (error.code === 'cancelled') {
+        throw error;
+      }
       console.error('All providers failed:', error);
       throw new Error('AI processing unavailable - all providers failed');
     }
@@ -207,39 +208,24 @@ class EnhancedHybridAIClient {
       throw new Error('AIMLAPI provider unhealthy');
     }
     
-    const requestData = {
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: this.getSystemPrompt(strategy)
-        },
-        {
-          role: 'user',
-          content: content
-        }
-      ],
-      max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7,
-      stream: options.stream || false
-    };
+    const system = this.getSystemPrompt(strategy, options);
     
     try {
-      const response = await axios.post(
-        `${this.config.aimlapi.baseUrl}/chat/completions`,
-        requestData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.config.aimlapi.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: this.config.aimlapi.timeout
-        }
-      );
+      const response = await this.registry.complete('aimlapi', {
+        model: model,
+        system: system.text,
+        messages: [
+          {
+            role: 'user',
+            content: content
+          }
+        ],
+        maxTokens: options.maxTokens || 4000,
+        temperature: options.temperature || 0.7
+      }, this.getStreamOptions(options));
       
-      const result = this.parseAIMLAPIResponse(response.data);
+      const result = { ...this.toResult(response), prompt: system.ref };
       this.trackUsage('aimlapi', result.usage, strategy.costPer1k);
-      this.updateRateLimit(model);
       
       return result;
       
@@ -253,32 +239,21 @@ class EnhancedHybridAIClient {
    * Fallback processing with other providers
    */
   async processWithFallback(context, content, options, primaryError) {
-    const fallbackProviders = ['openai', 'google', 'anthropic'];
-    
-    for (const provider of fallbackProviders) {
+    for (const provider of Object.keys(this.fallbackProviders)) {
       if (!this.isProviderHealthy(provider)) {
         continue;
       }
       
       try {
-        let result;
-        
-        switch (provider) {
-          case 'openai':
-            result = await this.processWithOpenAI(content, options);
-            break;
-          case 'google':
-            result = await this.processWithGoogle(content, options);
-            break;
-          case 'anthropic':
-            result = await this.processWithAnthropic(content, options);
-            break;
-        }
+        const result = await this.processWithFallbackProvider(provider, content, options);
         
         this.logFallbackSuccess(provider, primaryError);
         return result;
         
       } catch (error) {
+        if (error.code === 'cancelled') {
+          throw error;
+        }
         console.warn(`Fallback provider ${provider} failed:`, error.message);
         this.handleProviderError(provider, error);
         continue;
@@ -289,113 +264,38 @@ class EnhancedHybridAIClient {
   }
   
   /**
-   * OpenAI fallback processing
+   * Process with a fallback provider using its default model
    */
-  async processWithOpenAI(content, options) {
-    const requestData = {
-      model: 'gpt-4o',
+  async processWithFallbackProvider(provider, content, options) {
+    const system = this.prompts.render('hybrid.system.fallback', {}, { unitId: options.promptUnit });
+    const response = await this.registry.complete(provider, {
+      system: system.text,
       messages: [
-        {
-          role: 'system',
-          content: 'You are an AI meeting assistant providing intelligent insights and analysis.'
-        },
         {
           role: 'user',
           content: content
         }
       ],
-      max_tokens: options.maxTokens || 4000,
+      maxTokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.7
-    };
-    
-    const response = await axios.post(
-      `${this.config.openai.baseUrl}/chat/completions`,
-      requestData,
-      {
-        headers: {
-          'Authorization': `Bearer ${this.config.openai.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.openai.timeout
-      }
-    );
-    
-    const result = this.parseOpenAIResponse(response.data);
-    this.trackUsage('openai', result.usage, 0.03); // Higher cost for fallback
-    
-    return result;
-  }
-  
-  /**
-   * Google fallback processing
-   */
-  async processWithGoogle(content, options) {
-    const requestData = {
-      contents: [
-        {
-          parts: [
-            {
-              text: content
-            }
-          ]
-        }
-      ],
-      generationConfig: {
-        maxOutputTokens: options.maxTokens || 4000,
-        temperature: options.temperature || 0.7
-      }
-    };
+    }, this.getStreamOptions(options));
     
-    const response = await axios.post(
-      `${this.config.google.baseUrl}/models/gemini-pro:generateContent?key=${this.config.google.apiKey}`,
-      requestData,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.google.timeout
-      }
-    );
-    
-    const result = this.parseGoogleResponse(response.data);
-    this.trackUsage('google', result.usage, 0.015); // Moderate cost for fallback
+    const result = { ...this.toResult(response), prompt: system.ref };
+    this.trackUsage(provider, result.usage, this.fallbackProviders[provider].costPer1k);
     
     return result;
   }
   
   /**
-   * Anthropic fallback processing
+   * Registry options for `options.stream`: text is passed to
+   * `options.onDelta` as it arrives and `options.signal` cancels the request
    */
-  async processWithAnthropic(content, options) {
-    const requestData = {
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7,
-      messages: [
-        {
-          role: 'user',
-          content: content
-        }
-      ]
+  getStreamOptions(options) {
+    return {
+      stream: options.stream,
+      onDelta: options.onDelta,
+      signal: options.signal
     };
-    
-    const response = await axios.post(
-      `${this.config.anthropic.baseUrl}/messages`,
-      requestData,
-      {
-        headers: {
-          'Authorization': `Bearer ${this.config.anthropic.apiKey}`,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: this.config.anthropic.timeout
-      }
-    );
-    
-    const result = this.parseAnthropicResponse(response.data);
-    this.trackUsage('anthropic', result.usage, 0.045); // Highest cost for fallback
-    
-    return result;
   }
   
   /**
@@ -417,89 +317,27 @@ class EnhancedHybridAIClient {
   }
   
   /**
-   * Generate system prompt based on strategy
+   * System prompt for a strategy (hybrid.system.<strategy>), rendered from
+   * the prompt registry. options.promptUnit keeps experiment variants stable.
    */
-  getSystemPrompt(strategy) {
-    const basePrompt = `You are an advanced AI meeting assistant providing intelligent insights and analysis.`;
+  getSystemPrompt(strategy, options = {}) {
+    const strategyName = Object.keys(this.modelStrategy).find(name => this.modelStrategy[name] === strategy);
+    const promptName = this.prompts.has(`hybrid.system.${strategyName}`)
+      ? `hybrid.system.${strategyName}`
+      : 'hybrid.system.default';
     
-    const strategyPrompts = {
-      executive: `${basePrompt} Focus on strategic insights, executive-level analysis, and high-level decision support.`,
-      realtime: `${basePrompt} Provide quick, actionable insights for real-time meeting assistance and coaching.`,
-      monitoring: `${basePrompt} Analyze meeting patterns, sentiment, and provide background intelligence.`,
-      multilingual: `${basePrompt} Provide culturally-aware analysis with multi-language support and context.`,
-      interview: `${basePrompt} Specialize in interview analysis, candidate assessment, and coaching recommendations.`,
-      sales: `${basePrompt} Focus on sales insights, negotiation analysis, and deal optimization strategies.`
-    };
-    
-    return strategyPrompts[strategy.primary?.split('-')[0]] || basePrompt;
+    return this.prompts.render(promptName, {}, { unitId: options.promptUnit });
   }
   
   /**
-   * Parse AIMLAPI response
+   * Shape a registry response as this client's result
    */
-  parseAIMLAPIResponse(data) {
+  toResult(response) {
     return {
-      content: data.choices[0]?.message?.content || '',
-      usage: {
-        promptTokens: data.usage?.prompt_tokens || 0,
-        completionTokens: data.usage?.completion_tokens || 0,
-        totalTokens: data.usage?.total_tokens || 0
-      },
-      model: data.model,
-      provider: 'aimlapi'
-    };
-  }
-  
-  /**
-   * Parse OpenAI response
-   */
-  parseOpenAIResponse(data) {
-    return {
-      content: data.choices[0]?.message?.content || '',
-      usage: {
-        promptTokens: data.usage?.prompt_tokens || 0,
-        completionTokens: data.usage?.completion_tokens || 0,
-        totalTokens: data.usage?.total_tokens || 0
-      },
-      model: data.model,
-      provider: 'openai'
-    };
-  }
-  
-  /**
-   * Parse Google response
-   */
-  parseGoogleResponse(data) {
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const estimatedTokens = Math.ceil(content.length / 4); // Rough estimation
-    
-    return {
-      content: content,
-      usage: {
-        promptTokens: estimatedTokens * 0.3,
-        completionTokens: estimatedTokens * 0.7,
-        totalTokens: estimatedTokens
-      },
-      model: 'gemini-pro',
-      provider: 'google'
-    };
-  }
-  
-  /**
-   * Parse Anthropic response
-   */
-  parseAnthropicResponse(data) {
-    const content = data.content?.[0]?.text || '';
-    
-    return {
-      content: content,
-      usage: {
-        promptTokens: data.usage?.input_tokens || 0,
-        completionTokens: data.usage?.output_tokens || 0,
-        totalTokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
-      },
-      model: data.model,
-      provider: 'anthropic'
+      content: response.content,
+      usage: response.usage,
+      model: response.model,
+      provider: response.provider
     };
   }
   
@@ -519,57 +357,20 @@ class EnhancedHybridAIClient {
    * Check rate limits
    */
   checkRateLimit(model) {
-    const limit = this.rateLimits[model];
-    if (!limit) return true;
-    
-    const now = Date.now();
-    
-    // Reset if minute has passed
-    if (now - limit.resetTime > 60000) {
-      limit.current = 0;
-      limit.resetTime = now;
-    }
-    
-    return limit.current < limit.limit;
-  }
-  
-  /**
-   * Update rate limit counter
-   */
-  updateRateLimit(model) {
-    const limit = this.rateLimits[model];
-    if (limit) {
-      limit.current++;
-    }
+    return this.registry.checkRateLimit('aimlapi', model);
   }
   
   /**
    * Check provider health
    */
   isProviderHealthy(provider) {
-    const health = this.providerHealth[provider];
-    const now = Date.now();
-    
-    // Consider unhealthy if more than 3 failures in last 5 minutes
-    if (health.failures > 3 && (now - health.lastCheck) < 300000) {
-      return false;
-    }
-    
-    return health.status === 'healthy';
+    return this.registry.isAvailable(provider);
   }
   
   /**
-   * Handle provider errors
+   * Handle provider errors (health is recorded by the registry)
    */
   handleProviderError(provider, error) {
-    const health = this.providerHealth[provider];
-    health.failures++;
-    health.lastCheck = Date.now();
-    
-    if (health.failures > 5) {
-      health.status = 'unhealthy';
-    }
-    
     console.error(`Provider ${provider} error:`, error.message);
   }
   
@@ -577,11 +378,6 @@ class EnhancedHybridAIClient {
    * Log successful operations
    */
   logSuccess(provider, responseTime, result) {
-    const health = this.providerHealth[provider];
-    health.failures = Math.max(0, health.failures - 1); // Reduce failure count on success
-    health.lastCheck = Date.now();
-    health.status = 'healthy';
-    
     // Track performance metrics
     if (!this.performance.responseTime[provider]) {
       this.performance.responseTime[provider] = [];
@@ -651,7 +447,7 @@ class EnhancedHybridAIClient {
           minResponseTime: Math.min(...times),
           maxResponseTime: Math.max(...times),
           requestCount: times.length,
-          health: this.providerHealth[provider].status
+          health: this.registry.getHealth(provider)?.status
         };
       }
     }
@@ -667,7 +463,7 @@ class EnhancedHybridAIClient {
       providers: this.providerHealth,
       costAnalysis: this.getCostAnalysis(),
       performance: this.getPerformanceMetrics(),
-      rateLimits: this.rateLimits,
+      rateLimits: this.registry.getRateLimits('aimlapi'),
       modelStrategy: this.modelStrategy
     };
   }
@@ -6,8 +6,8 @@
 const HybridAIClient = require('./hybrid-ai-client');
 
 class EnhancedTripleAIClient extends HybridAIClient {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     
     // MeetingMind-specific AI configurations
     this.meetingAIConfig = {
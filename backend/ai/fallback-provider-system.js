@@ -6,49 +6,43 @@
  * Tier 2: OpenAI (Fallback 1) - Premium reliability
  * Tier 3: Google (Fallback 2) - Moderate cost
  * Tier 4: Anthropic (Fallback 3) - Highest quality
+ *
+ * A local OpenAI-compatible server can join the chain per tenant:
+ * 'primary' tries it first, 'fallback' after the cloud tiers, and
+ * 'local-only' never sends content off the machine.
  */
 
-const axios = require('axios');
 const EventEmitter = require('events');
 const AIMLAPIClient = require('./aimlapi-client');
+const { getProviderRegistry } = require('./provider-registry');
+
+const CLOUD_PROVIDERS = ['aimlapi', 'openai', 'google', 'anthropic'];
+const ALL_PROVIDERS = [...CLOUD_PROVIDERS, 'local'];
+const LOCAL_MODES = ['primary', 'fallback', 'local-only'];
+
+// Tenant -> local mode, shared by every fallback system in the process so a
+// tenant's configuration applies whichever orchestrator serves the request
+const sharedTenantLocalModes = new Map();
 
 class FallbackProviderSystem extends EventEmitter {
   constructor(config = {}) {
     super();
     
-    // Initialize all providers
-    this.providers = {
-      aimlapi: new AIMLAPIClient(config.aimlapi || {}),
-      openai: new OpenAIProvider(config.openai || {}),
-      google: new GoogleProvider(config.google || {}),
-      anthropic: new AnthropicProvider(config.anthropic || {})
-    };
-    
-    // Provider priority order
-    this.providerOrder = ['aimlapi', 'openai', 'google', 'anthropic'];
-    
-    // Health monitoring for each provider
-    this.providerHealth = {};
-    this.providerOrder.forEach(provider => {
-      this.providerHealth[provider] = {
-        status: 'healthy',
-        failures: 0,
-        lastFailure: null,
-        successRate: 1.0,
-        averageResponseTime: 0,
-        totalRequests: 0,
-        circuitBreakerOpen: false,
-        circuitBreakerOpenTime: null
-      };
+    // All tiers share one provider registry, which owns health tracking
+    // and circuit breaking; AIMLAPI keeps its model selection and budgets
+    this.registry = config.registry || getProviderRegistry({
+      aimlapi: config.aimlapi,
+      openai: config.openai,
+      google: config.google,
+      anthropic: config.anthropic,
+      local: config.local
     });
     
-    // Circuit breaker configuration
-    this.circuitBreaker = {
-      failureThreshold: parseInt(process.env.HEALTH_FAILURE_THRESHOLD || '3'),
-      recoveryThreshold: parseInt(process.env.HEALTH_RECOVERY_THRESHOLD || '2'),
-      openTimeout: 60000, // 1 minute
-      enabled: process.env.PROVIDER_CIRCUIT_BREAKER_ENABLED !== 'false'
-    };
+    this.aimlapi = new AIMLAPIClient({ ...(config.aimlapi || {}), registry: this.registry });
+    
+    // Where the local tier sits, by default and per tenant
+    this.localMode = this.validateLocalMode(config.localMode || process.env.LOCAL_AI_MODE || 'fallback');
+    this.tenantLocalModes = config.tenantLocalModes || sharedTenantLocalModes;
     
     // Performance tracking
     this.systemMetrics = {
@@ -59,7 +53,8 @@ class FallbackProviderSystem extends EventEmitter {
         aimlapi: 0,
         openai: 0,
         google: 0,
-        anthropic: 0
+        anthropic: 0,
+        local: 0
       },
       averageResponseTime: 0,
       costSavings: 0
@@ -74,6 +69,9 @@ class FallbackProviderSystem extends EventEmitter {
   
   /**
    * Main processing method with intelligent fallback
+   *
+   * options.localMode, or the mode set for options.tenantId, picks where the
+   * local tier sits in the chain.
    */
   async processRequest(context, content, options = {}) {
     const startTime = Date.now();
@@ -81,8 +79,20 @@ class FallbackProviderSystem extends EventEmitter {
     
     this.systemMetrics.totalRequests++;
     
+    const providerOrder = this.getProviderOrder(this.resolveLocalMode(options));
+    
     // Try each provider in order
-    for (const providerName of this.providerOrder) {
+    for (const providerName of providerOrder) {
+      // Skip providers without credentials
+      if (!this.registry.isConfigured(providerName)) {
+        this.emit('provider_skipped', {
+          provider: providerName,
+          reason: 'not_configured',
+          context
+        });
+        continue;
+      }
+      
       // Skip if circuit breaker is open
       if (this.isCircuitBreakerOpen(providerName)) {
         this.emit('provider_skipped', {
@@ -104,15 +114,13 @@ class FallbackProviderSystem extends EventEmitter {
       }
       
       try {
-        const provider = this.providers[providerName];
-        const result = await provider.processRequest(context, content, options);
+        const result = await this.processWithProvider(providerName, context, content, options);
         
         // Success - track metrics and return
-        this.trackProviderSuccess(providerName, Date.now() - startTime);
         this.systemMetrics.successfulRequests++;
         this.systemMetrics.fallbackUsage[providerName]++;
         
-        // Calculate cost savings if not using primary provider
+        // Calculate cost impact if not using the AIMLAPI tier
         if (providerName !== 'aimlapi') {
           this.trackFallbackUsage(providerName, result);
         }
@@ -127,15 +135,17 @@ class FallbackProviderSystem extends EventEmitter {
         return {
           ...result,
           provider: providerName,
-          fallbackLevel: this.providerOrder.indexOf(providerName),
+          fallbackLevel: providerOrder.indexOf(providerName),
           responseTime: Date.now() - startTime
         };
         
       } catch (error) {
-        lastError = error;
+        // Cancelled by the caller - falling back would answer a request nobody wants
+        if (error.code === 'cancelled') {
+          throw error;
+        }
         
-        // Track provider failure
-        this.trackProviderFailure(providerName, error);
+        lastError = error;
         
         this.emit('provider_failure', {
           provider: providerName,
@@ -162,126 +172,150 @@ class FallbackProviderSystem extends EventEmitter {
   }
   
   /**
-   * Check if provider is healthy
+   * Provider priority order for the default mode
    */
-  isProviderHealthy(providerName) {
-    const health = this.providerHealth[providerName];
-    
-    // Consider unhealthy if too many recent failures
-    if (health.failures >= this.circuitBreaker.failureThreshold) {
-      return false;
-    }
-    
-    // Consider unhealthy if success rate is too low
-    if (health.totalRequests > 10 && health.successRate < 0.5) {
-      return false;
-    }
-    
-    return health.status === 'healthy';
+  get providerOrder() {
+    return this.getProviderOrder();
   }
   
   /**
-   * Check if circuit breaker is open for a provider
+   * Provider order for a local mode (defaults to the system-wide mode)
    */
-  isCircuitBreakerOpen(providerName) {
-    if (!this.circuitBreaker.enabled) {
-      return false;
+  getProviderOrder(localMode = this.localMode) {
+    switch (localMode) {
+      case 'primary':
+        return ['local', ...CLOUD_PROVIDERS];
+      case 'local-only':
+        return ['local'];
+      default:
+        return [...CLOUD_PROVIDERS, 'local'];
     }
-    
-    const health = this.providerHealth[providerName];
-    
-    if (!health.circuitBreakerOpen) {
-      return false;
+  }
+  
+  /**
+   * Local mode for a request: explicit option, then tenant, then default.
+   * A local-only tenant stays local-only whatever the request asks for.
+   */
+  resolveLocalMode(options = {}) {
+    const tenantMode = this.tenantLocalModes.get(options.tenantId);
+    if (tenantMode === 'local-only') {
+      return tenantMode;
     }
     
-    // Check if circuit breaker should be closed (recovery period passed)
-    const now = Date.now();
-    if (now - health.circuitBreakerOpenTime > this.circuitBreaker.openTimeout) {
-      health.circuitBreakerOpen = false;
-      health.circuitBreakerOpenTime = null;
-      
-      this.emit('circuit_breaker_closed', {
-        provider: providerName,
-        timestamp: new Date().toISOString()
-      });
-      
-      return false;
+    if (options.localMode) {
+      return this.validateLocalMode(options.localMode);
     }
     
-    return true;
+    return tenantMode || this.localMode;
   }
   
   /**
-   * Track provider success
+   * Set where the local tier sits for one tenant
    */
-  trackProviderSuccess(providerName, responseTime) {
-    const health = this.providerHealth[providerName];
+  setTenantLocalMode(tenantId, localMode) {
+    FallbackProviderSystem.setTenantLocalMode(tenantId, localMode, this.tenantLocalModes);
     
-    health.totalRequests++;
-    health.failures = Math.max(0, health.failures - 1); // Reduce failure count on success
-    health.status = 'healthy';
-    
-    // Update response time
-    if (!health.responseTimes) {
-      health.responseTimes = [];
-    }
-    health.responseTimes.push(responseTime);
-    if (health.responseTimes.length > 50) {
-      health.responseTimes.shift();
+    this.emit('tenant_local_mode_changed', {
+      tenantId,
+      localMode,
+      providerOrder: this.getProviderOrder(localMode)
+    });
+  }
+  
+  /**
+   * Drop a tenant's override so it follows the default mode again
+   */
+  clearTenantLocalMode(tenantId) {
+    FallbackProviderSystem.clearTenantLocalMode(tenantId, this.tenantLocalModes);
+  }
+  
+  validateLocalMode(localMode) {
+    return FallbackProviderSystem.validateLocalMode(localMode);
+  }
+  
+  /**
+   * Set a tenant's local mode for every fallback system in the process
+   * (tenant configuration calls this when a tenant is created or changed)
+   */
+  static setTenantLocalMode(tenantId, localMode, tenantLocalModes = sharedTenantLocalModes) {
+    tenantLocalModes.set(tenantId, FallbackProviderSystem.validateLocalMode(localMode));
+  }
+  
+  static clearTenantLocalMode(tenantId, tenantLocalModes = sharedTenantLocalModes) {
+    tenantLocalModes.delete(tenantId);
+  }
+  
+  static validateLocalMode(localMode) {
+    if (!LOCAL_MODES.includes(localMode)) {
+      throw new Error(`Unknown local provider mode: ${localMode}. Expected one of ${LOCAL_MODES.join(', ')}`);
     }
     
-    health.averageResponseTime = 
-      health.responseTimes.reduce((sum, time) => sum + time, 0) / 
-      health.responseTimes.length;
-    
-    // Update success rate
-    const successfulRequests = health.totalRequests - health.failures;
-    health.successRate = successfulRequests / health.totalRequests;
-    
-    // Close circuit breaker if recovery threshold met
-    if (health.circuitBreakerOpen && health.failures <= this.circuitBreaker.recoveryThreshold) {
-      health.circuitBreakerOpen = false;
-      health.circuitBreakerOpenTime = null;
-      
-      this.emit('circuit_breaker_closed', {
-        provider: providerName,
-        reason: 'recovery_threshold_met',
-        timestamp: new Date().toISOString()
-      });
-    }
+    return localMode;
   }
   
   /**
-   * Track provider failure
+   * Process with a single tier. Fallback tiers use the provider's default model.
+   * Streaming options (stream, onDelta, signal) are passed through to the tier.
    */
-  trackProviderFailure(providerName, error) {
-    const health = this.providerHealth[providerName];
-    
-    health.totalRequests++;
-    health.failures++;
-    health.lastFailure = new Date().toISOString();
+  async processWithProvider(providerName, context, content, options = {}) {
+    if (providerName === 'aimlapi') {
+      return this.aimlapi.processRequest(context, content, options);
+    }
     
-    // Update success rate
-    const successfulRequests = health.totalRequests - health.failures;
-    health.successRate = successfulRequests / health.totalRequests;
+    const response = await this.registry.complete(providerName, {
+      system: 'You are an AI meeting assistant providing intelligent insights and analysis.',
+      messages: [
+        {
+          role: 'user',
+          content: content
+        }
+      ],
+      maxTokens: options.maxTokens || 4000,
+      temperature: options.temperature || 0.7
+    }, {
+      stream: options.stream,
+      onDelta: options.onDelta,
+      signal: options.signal
+    });
     
-    // Update health status
-    if (health.failures >= this.circuitBreaker.failureThreshold) {
-      health.status = 'unhealthy';
-      
-      // Open circuit breaker
-      if (this.circuitBreaker.enabled && !health.circuitBreakerOpen) {
-        health.circuitBreakerOpen = true;
-        health.circuitBreakerOpenTime = Date.now();
-        
-        this.emit('circuit_breaker_opened', {
-          provider: providerName,
-          failures: health.failures,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
+    return {
+      content: response.content,
+      usage: response.usage,
+      model: response.model,
+      provider: providerName
+    };
+  }
+  
+  /**
+   * Check if provider is healthy
+   */
+  isProviderHealthy(providerName) {
+    return this.registry.isHealthy(providerName);
+  }
+  
+  /**
+   * Check if circuit breaker is open for a provider
+   */
+  isCircuitBreakerOpen(providerName) {
+    return this.registry.isCircuitBreakerOpen(providerName);
+  }
+  
+  /**
+   * Circuit breaker configuration (owned by the registry)
+   */
+  get circuitBreaker() {
+    return this.registry.circuitBreaker;
+  }
+  
+  /**
+   * Health for each tier, as tracked by the registry
+   */
+  get providerHealth() {
+    const health = {};
+    ALL_PROVIDERS.forEach(providerName => {
+      health[providerName] = this.registry.getHealth(providerName);
+    });
+    return health;
   }
   
   /**
@@ -293,7 +327,7 @@ class FallbackProviderSystem extends EventEmitter {
     const fallbackCost = this.estimateFallbackCost(providerName, result.usage);
     const costDifference = fallbackCost - primaryCost;
     
-    this.systemMetrics.costSavings -= costDifference; // Negative because fallback is more expensive
+    this.systemMetrics.costSavings -= costDifference; // Cloud fallbacks cost more; the local tier saves
     
     this.emit('fallback_cost_impact', {
       provider: providerName,
@@ -319,48 +353,51 @@ class FallbackProviderSystem extends EventEmitter {
     const costPer1K = {
       openai: 0.03,    // GPT-4 pricing
       google: 0.015,   // Gemini Pro pricing
-      anthropic: 0.045 // Claude pricing
+      anthropic: 0.045, // Claude pricing
+      local: 0         // Runs on our own hardware
     };
     
-    return (usage.totalTokens / 1000) * (costPer1K[providerName] || 0.03);
+    return (usage.totalTokens / 1000) * (costPer1K[providerName] ?? 0.03);
   }
   
   /**
-   * Set up event listeners for all providers
+   * Set up event listeners for the AIMLAPI client and the provider registry
    */
   setupProviderEventListeners() {
-    Object.keys(this.providers).forEach(providerName => {
-      const provider = this.providers[providerName];
-      
-      // Forward provider events
-      provider.on('request_success', (data) => {
-        this.emit('provider_request_success', {
-          provider: providerName,
-          ...data
-        });
+    // Forward AIMLAPI client events
+    this.aimlapi.on('request_success', (data) => {
+      this.emit('provider_request_success', {
+        provider: 'aimlapi',
+        ...data
       });
-      
-      provider.on('request_failure', (data) => {
-        this.emit('provider_request_failure', {
-          provider: providerName,
-          ...data
-        });
-      });
-      
-      provider.on('cost_alert', (data) => {
-        this.emit('provider_cost_alert', {
-          provider: providerName,
-          ...data
-        });
+    });
+    
+    this.aimlapi.on('request_failure', (data) => {
+      this.emit('provider_request_failure', {
+        provider: 'aimlapi',
+        ...data
       });
-      
-      provider.on('health_degraded', (data) => {
-        this.emit('provider_health_degraded', {
-          provider: providerName,
-          ...data
-        });
+    });
+    
+    this.aimlapi.on('cost_alert', (data) => {
+      this.emit('provider_cost_alert', {
+        provider: 'aimlapi',
+        ...data
       });
     });
+    
+    // Forward registry events for the tiers this system uses
+    const forward = (event, as) => {
+      this.registry.on(event, (data) => {
+        if (ALL_PROVIDERS.includes(data.provider)) {
+          this.emit(as, data);
+        }
+      });
+    };
+    
+    forward('health_degraded', 'provider_health_degraded');
+    forward('circuit_breaker_opened', 'circuit_breaker_opened');
+    forward('circuit_breaker_closed', 'circuit_breaker_closed');
   }
   
   /**
@@ -384,8 +421,8 @@ class FallbackProviderSystem extends EventEmitter {
       systemMetrics: this.systemMetrics
     };
     
-    for (const providerName of this.providerOrder) {
-      const health = this.providerHealth[providerName];
+    for (const providerName of ALL_PROVIDERS) {
+      const health = this.registry.getHealth(providerName);
       
       healthReport.providers[providerName] = {
         status: health.status,
@@ -409,7 +446,9 @@ class FallbackProviderSystem extends EventEmitter {
       providers: this.providerHealth,
       systemMetrics: this.systemMetrics,
       circuitBreaker: this.circuitBreaker,
-      providerOrder: this.providerOrder
+      providerOrder: this.providerOrder,
+      localMode: this.localMode,
+      tenantLocalModes: Object.fromEntries(this.tenantLocalModes)
     };
   }
   
@@ -417,17 +456,8 @@ class FallbackProviderSystem extends EventEmitter {
    * Reset provider health (for testing or recovery)
    */
   resetProviderHealth(providerName) {
-    if (this.providerHealth[providerName]) {
-      this.providerHealth[providerName] = {
-        status: 'healthy',
-        failures: 0,
-        lastFailure: null,
-        successRate: 1.0,
-        averageResponseTime: 0,
-        totalRequests: 0,
-        circuitBreakerOpen: false,
-        circuitBreakerOpenTime: null
-      };
+    if (this.registry.has(providerName)) {
+      this.registry.resetHealth(providerName);
       
       this.emit('provider_health_reset', {
         provider: providerName,
@@ -440,9 +470,8 @@ class FallbackProviderSystem extends EventEmitter {
    * Force circuit breaker state (for testing)
    */
   setCircuitBreakerState(providerName, open) {
-    if (this.providerHealth[providerName]) {
-      this.providerHealth[providerName].circuitBreakerOpen = open;
-      this.providerHealth[providerName].circuitBreakerOpenTime = open ? Date.now() : null;
+    if (this.registry.has(providerName)) {
+      this.registry.setCircuitBreakerState(providerName, open);
       
       this.emit('circuit_breaker_forced', {
         provider: providerName,
@@ -453,177 +482,4 @@ class FallbackProviderSystem extends EventEmitter {
   }
 }
 
-/**
- * OpenAI Provider Implementation
- */
-class OpenAIProvider extends EventEmitter {
-  constructor(config = {}) {
-    super();
-    
-    this.config = {
-      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
-      baseUrl: config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
-      model: config.model || process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o',
-      timeout: parseInt(config.timeout || process.env.OPENAI_TIMEOUT || '30000'),
-      retries: parseInt(config.retries || process.env.OPENAI_RETRIES || '2')
-    };
-  }
-  
-  async processRequest(context, content, options = {}) {
-    const requestData = {
-      model: options.model || this.config.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an AI meeting assistant providing intelligent insights and analysis.'
-        },
-        {
-          role: 'user',
-          content: content
-        }
-      ],
-      max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7
-    };
-    
-    const response = await axios.post(
-      `${this.config.baseUrl}/chat/completions`,
-      requestData,
-      {
-        headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.timeout
-      }
-    );
-    
-    return {
-      content: response.data.choices[0]?.message?.content || '',
-      usage: {
-        promptTokens: response.data.usage?.prompt_tokens || 0,
-        completionTokens: response.data.usage?.completion_tokens || 0,
-        totalTokens: response.data.usage?.total_tokens || 0
-      },
-      model: response.data.model,
-      provider: 'openai'
-    };
-  }
-}
-
-/**
- * Google Provider Implementation
- */
-class GoogleProvider extends EventEmitter {
-  constructor(config = {}) {
-    super();
-    
-    this.config = {
-      apiKey: config.apiKey || process.env.GOOGLE_API_KEY,
-      baseUrl: config.baseUrl || process.env.GOOGLE_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
-      model: config.model || process.env.GOOGLE_DEFAULT_MODEL || 'gemini-pro',
-      timeout: parseInt(config.timeout || process.env.GOOGLE_TIMEOUT || '30000'),
-      retries: parseInt(config.retries || process.env.GOOGLE_RETRIES || '2')
-    };
-  }
-  
-  async processRequest(context, content, options = {}) {
-    const requestData = {
-      contents: [
-        {
-          parts: [
-            {
-              text: content
-            }
-          ]
-        }
-      ],
-      generationConfig: {
-        maxOutputTokens: options.maxTokens || 4000,
-        temperature: options.temperature || 0.7
-      }
-    };
-    
-    const response = await axios.post(
-      `${this.config.baseUrl}/models/${this.config.model}:generateContent?key=${this.config.apiKey}`,
-      requestData,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.timeout
-      }
-    );
-    
-    const content_text = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const estimatedTokens = Math.ceil(content_text.length / 4);
-    
-    return {
-      content: content_text,
-      usage: {
-        promptTokens: Math.ceil(estimatedTokens * 0.3),
-        completionTokens: Math.ceil(estimatedTokens * 0.7),
-        totalTokens: estimatedTokens
-      },
-      model: this.config.model,
-      provider: 'google'
-    };
-  }
-}
-
-/**
- * Anthropic Provider Implementation
- */
-class AnthropicProvider extends EventEmitter {
-  constructor(config = {}) {
-    super();
-    
-    this.config = {
-      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
-      baseUrl: config.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
-      model: config.model || process.env.ANTHROPIC_DEFAULT_MODEL || 'claude-3-sonnet-20240229',
-      timeout: parseInt(config.timeout || process.env.ANTHROPIC_TIMEOUT || '30000'),
-      retries: parseInt(config.retries || process.env.ANTHROPIC_RETRIES || '2')
-    };
-  }
-  
-  async processRequest(context, content, options = {}) {
-    const requestData = {
-      model: this.config.model,
-      max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7,
-      messages: [
-        {
-          role: 'user',
-          content: content
-        }
-      ]
-    };
-    
-    const response = await axios.post(
-      `${this.config.baseUrl}/messages`,
-      requestData,
-      {
-        headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: this.config.timeout
-      }
-    );
-    
-    return {
-      content: response.data.content?.[0]?.text || '',
-      usage: {
-        promptTokens: response.data.usage?.input_tokens || 0,
-        completionTokens: response.data.usage?.output_tokens || 0,
-        totalTokens: (response.data.usage?.input_tokens || 0) + (response.data.usage?.output_tokens || 0)
-      },
-      model: response.data.model,
-      provider: 'anthropic'
-    };
-  }
-}
-
 module.exports = FallbackProviderSystem;
@@ -3,12 +3,16 @@
  * Implements cost-effective AIMLAPI primary with direct provider fallbacks
  */
 
+const { getProviderRegistry } = require('./provider-registry');
+
 class HybridAIClient {
-  constructor() {
+  constructor(config = {}) {
+    // Requests and provider health go through the shared provider registry
+    this.registry = config.registry || getProviderRegistry();
+
+    // Model name mapping and relative pricing per provider
     this.providers = {
       aimlapi: {
-        baseURL: 'https://api.aimlapi.com/v1',
-        apiKey: process.env.AIMLAPI_API_KEY,
         models: {
           'gpt-5': 'openai/gpt-5',
           'gpt-4.1': 'openai/gpt-4.1',
@@ -19,8 +23,6 @@ class HybridAIClient {
         costMultiplier: 0.3 // 70% cost savings
       },
       openai: {
-        baseURL: 'https://api.openai.com/v1',
-        apiKey: process.env.OPENAI_API_KEY,
         models: {
           'gpt-5': 'gpt-5',
           'gpt-4.1': 'gpt-4.1-preview',
@@ -29,8 +31,6 @@ class HybridAIClient {
         costMultiplier: 1.0
       },
       anthropic: {
-        baseURL: 'https://api.anthropic.com/v1',
-        apiKey: process.env.ANTHROPIC_API_KEY,
         models: {
           'claude-4.5-sonnet': 'claude-3-5-sonnet-20241022',
           'claude-3.5-haiku': 'claude-3-5-haiku-20241022'
@@ -38,8 +38,6 @@ class HybridAIClient {
         costMultiplier: 1.0
       },
       google: {
-        baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-        apiKey: process.env.GOOGLE_API_KEY,
         models: {
           'gemini-2.5-flash': 'gemini-2.0-flash-exp',
           'gemini-pro': 'gemini-1.5-pro'
@@ -57,7 +55,6 @@ class HybridAIClient {
       experimental: ['aimlapi']
     };
 
-    this.healthStatus = new Map();
     this.requestMetrics = new Map();
     this.initializeHealthMonitoring();
   }
@@ -86,9 +83,9 @@ class HybridAIClient {
           const providerModel = provider.models[model] || model;
           
           const response = await this.callProvider(providerName, {
+            ...request,
             model: providerModel,
-            messages,
-            ...request
+            messages
           });
 
           // Track successful request
@@ -104,9 +101,6 @@ class HybridAIClient {
           lastError = error;
           console.error(`Provider ${providerName} failed:`, error.message);
           this.trackRequest(providerName, 'error', null);
-          
-          // Mark provider as unhealthy if multiple failures
-          this.updateProviderHealth(providerName, false);
         }
       }
 
@@ -178,139 +172,37 @@ class HybridAIClient {
   }
 
   /**
-   * Provider-specific API calls
+   * Call a provider through the registry and return an OpenAI-style
+   * chat completion, which is what callers of this client consume
    */
   async callProvider(providerName, request) {
-    const provider = this.providers[providerName];
-    
-    switch (providerName) {
-      case 'aimlapi':
-        return await this.callAIMLAPI(provider, request);
-      case 'openai':
-        return await this.callOpenAI(provider, request);
-      case 'anthropic':
-        return await this.callAnthropic(provider, request);
-      case 'google':
-        return await this.callGoogle(provider, request);
-      default:
-        throw new Error(`Unknown provider: ${providerName}`);
-    }
-  }
-
-  async callAIMLAPI(provider, request) {
-    const response = await fetch(`${provider.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${provider.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(request)
-    });
-
-    if (!response.ok) {
-      throw new Error(`AIMLAPI error: ${response.status} ${response.statusText}`);
-    }
-
-    return await response.json();
-  }
-
-  async callOpenAI(provider, request) {
-    const response = await fetch(`${provider.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${provider.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(request)
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI error: ${response.status} ${response.statusText}`);
-    }
-
-    return await response.json();
-  }
-
-  async callAnthropic(provider, request) {
-    // Convert OpenAI format to Anthropic format
-    const anthropicRequest = {
+    const response = await this.registry.complete(providerName, {
       model: request.model,
-      max_tokens: request.max_tokens || 2000,
       messages: request.messages,
-      temperature: request.temperature || 0.7
-    };
-
-    const response = await fetch(`${provider.baseURL}/messages`, {
-      method: 'POST',
-      headers: {
-        'x-api-key': provider.apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(anthropicRequest)
+      tools: request.tools,
+      toolChoice: request.toolChoice,
+      maxTokens: request.max_tokens,
+      temperature: request.temperature
     });
 
-    if (!response.ok) {
-      throw new Error(`Anthropic error: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    
-    // Convert back to OpenAI format
     return {
+      model: response.model,
       choices: [{
         message: {
           role: 'assistant',
-          content: result.content[0].text
-        }
-      }],
-      usage: {
-        prompt_tokens: result.usage.input_tokens,
-        completion_tokens: result.usage.output_tokens,
-        total_tokens: result.usage.input_tokens + result.usage.output_tokens
-      }
-    };
-  }
-
-  async callGoogle(provider, request) {
-    // Convert OpenAI format to Google format
-    const googleRequest = {
-      contents: request.messages.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })),
-      generationConfig: {
-        temperature: request.temperature || 0.7,
-        maxOutputTokens: request.max_tokens || 2000
-      }
-    };
-
-    const response = await fetch(`${provider.baseURL}/models/${request.model}:generateContent?key=${provider.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(googleRequest)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Google error: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    
-    // Convert back to OpenAI format
-    return {
-      choices: [{
-        message: {
-          role: 'assistant',
-          content: result.candidates[0].content.parts[0].text
-        }
+          content: response.content,
+          tool_calls: response.toolCalls.length > 0 ? response.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          })) : undefined
+        },
+        finish_reason: response.finishReason
       }],
       usage: {
-        prompt_tokens: result.usageMetadata.promptTokenCount || 0,
-        completion_tokens: result.usageMetadata.candidatesTokenCount || 0,
-        total_tokens: result.usageMetadata.totalTokenCount || 0
+        prompt_tokens: response.usage.promptTokens,
+        completion_tokens: response.usage.completionTokens,
+        total_tokens: response.usage.totalTokens
       }
     };
   }
@@ -340,26 +232,14 @@ class HybridAIClient {
    * Health monitoring and metrics
    */
   initializeHealthMonitoring() {
-    // Initialize health status for all providers
+    // Health is tracked by the provider registry; this client keeps cost metrics
     Object.keys(this.providers).forEach(provider => {
-      this.healthStatus.set(provider, { healthy: true, lastCheck: Date.now() });
       this.requestMetrics.set(provider, { success: 0, error: 0, totalCost: 0 });
     });
-
-    // Periodic health checks
-    setInterval(() => this.performHealthChecks(), 60000); // Every minute
   }
 
   isProviderHealthy(providerName) {
-    const health = this.healthStatus.get(providerName);
-    return health?.healthy && (Date.now() - health.lastCheck) < 300000; // 5 minutes
-  }
-
-  updateProviderHealth(providerName, isHealthy) {
-    this.healthStatus.set(providerName, {
-      healthy: isHealthy,
-      lastCheck: Date.now()
-    });
+    return this.registry.isAvailable(providerName);
   }
 
   trackRequest(providerName, status, usage) {
@@ -379,23 +259,6 @@ class HybridAIClient {
     return inputCost + outputCost;
   }
 
-  async performHealthChecks() {
-    // Simple health check for each provider
-    Object.keys(this.providers).forEach(async (providerName) => {
-      try {
-        await this.generateCompletion({
-          model: 'gpt-4o',
-          messages: [{ role: 'user', content: 'Health check' }],
-          max_tokens: 10,
-          operation: 'standard'
-        });
-        this.updateProviderHealth(providerName, true);
-      } catch (error) {
-        this.updateProviderHealth(providerName, false);
-      }
-    });
-  }
-
   async synthesizeTripleAIResults(results) {
     // Synthesize insights from multiple AI responses
     const synthesis = {
@@ -442,7 +305,10 @@ class HybridAIClient {
       stats[provider] = {
         ...metrics,
         success_rate: metrics.success / (metrics.success + metrics.error),
-        health: this.healthStatus.get(provider)
+        health: {
+          healthy: this.registry.isAvailable(provider),
+          ...this.registry.getHealth(provider)
+        }
       };
     });
     return stats;
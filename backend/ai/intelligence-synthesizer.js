@@ -8,10 +8,12 @@
  */
 
 const { TripleAIClient } = require('./triple-ai-client');
+const { getPromptRegistry, mergePromptRefs } = require('./prompt-registry');
 
 class IntelligenceSynthesizer {
-  constructor(tripleAI) {
+  constructor(tripleAI, config = {}) {
     this.tripleAI = tripleAI;
+    this.prompts = config.prompts || getPromptRegistry();
     this.synthesisHistory = new Map();
     this.synthesisPatterns = new Map();
     this.qualityMetrics = {
@@ -376,30 +378,21 @@ class IntelligenceSynthesizer {
    */
   async combineComplementaryRecommendations(rec1, rec2, synergy, context) {
     try {
-      const combinationPrompt = `
-        Combine these complementary recommendations into a single enhanced recommendation:
-        
-        Recommendation 1: ${JSON.stringify(rec1)}
-        Recommendation 2: ${JSON.stringify(rec2)}
-        Synergy Level: ${synergy}
-        Context: ${JSON.stringify(context)}
-        
-        Create a unified recommendation that:
-        1. Combines the strengths of both recommendations
-        2. Maximizes the synergistic effect
-        3. Provides clear, actionable guidance
-        4. Maintains appropriate urgency and impact levels
-        
-        Return as structured JSON with title, message, actions, impact, urgency, and confidence.
-      `;
+      const combinationPrompt = this.prompts.render('synthesis.combine', {
+        recommendation1: JSON.stringify(rec1),
+        recommendation2: JSON.stringify(rec2),
+        synergy: synergy || 'unspecified',
+        context: JSON.stringify(context)
+      }, { unitId: context?.meetingId });
 
       const combination = await this.tripleAI.processWithCollaboration(
-        combinationPrompt,
+        combinationPrompt.text,
         {
           gpt5: { role: 'synthesis_creation', weight: 0.5 },
           claude: { role: 'accuracy_validation', weight: 0.3 },
           gemini: { role: 'optimization', weight: 0.2 }
-        }
+        },
+        { promptUnit: context?.meetingId }
       );
 
       return {
@@ -415,7 +408,8 @@ class IntelligenceSynthesizer {
         sourceEngines: [rec1.sourceEngine, rec2.sourceEngine],
         originalRecommendations: [rec1.id, rec2.id],
         synthesisType: 'complementary_combination',
-        synergyLevel: synergy
+        synergyLevel: synergy,
+        prompts: mergePromptRefs(rec1.prompts || [], rec2.prompts || [], combinationPrompt.ref, combination.prompts || [])
       };
 
     } catch (error) {
@@ -449,29 +443,20 @@ class IntelligenceSynthesizer {
         };
       }
 
-      const enhancementPrompt = `
-        Enhance this recommendation with cross-category insights:
-        
-        Original Recommendation: ${JSON.stringify(recommendation)}
-        Relevant Insights: ${JSON.stringify(relevantInsights)}
-        Context: ${JSON.stringify(context)}
-        
-        Enhance the recommendation by:
-        1. Adding relevant context from other insights
-        2. Improving actionability with additional information
-        3. Increasing confidence through supporting evidence
-        4. Providing more comprehensive guidance
-        
-        Return enhanced recommendation as structured JSON.
-      `;
+      const enhancementPrompt = this.prompts.render('synthesis.enhance', {
+        recommendation: JSON.stringify(recommendation),
+        insights: JSON.stringify(relevantInsights),
+        context: JSON.stringify(context)
+      }, { unitId: context?.meetingId });
 
       const enhancement = await this.tripleAI.processWithCollaboration(
-        enhancementPrompt,
+        enhancementPrompt.text,
         {
           gpt5: { role: 'enhancement_creation', weight: 0.4 },
           claude: { role: 'accuracy_validation', weight: 0.3 },
           gemini: { role: 'optimization', weight: 0.3 }
-        }
+        },
+        { promptUnit: context?.meetingId }
       );
 
       return {
@@ -486,7 +471,8 @@ class IntelligenceSynthesizer {
           relevance: this.calculateRelevanceScore(insight, recommendation)
         })),
         enhancedConfidence: Math.min((recommendation.confidence || 0.7) + 0.1, 1.0),
-        originalId: recommendation.id
+        originalId: recommendation.id,
+        prompts: mergePromptRefs(recommendation.prompts || [], enhancementPrompt.ref, enhancement.prompts || [])
       };
 
     } catch (error) {
@@ -591,29 +577,20 @@ class IntelligenceSynthesizer {
    */
   async resolveSpecificConflict(conflict, context, session) {
     try {
-      const resolutionPrompt = `
-        Resolve this conflict between AI recommendations:
-        
-        Conflict: ${JSON.stringify(conflict)}
-        Context: ${JSON.stringify(context)}
-        Session Info: ${JSON.stringify({ meetingId: session.meetingId, participants: session.participants.length })}
-        
-        Provide conflict resolution by:
-        1. Analyzing the root cause of the conflict
-        2. Determining which recommendation has higher priority
-        3. Creating a unified approach that addresses both concerns
-        4. Providing clear reasoning for the resolution
-        
-        Return as structured JSON with resolution_type, chosen_recommendation, unified_approach, and reasoning.
-      `;
+      const resolutionPrompt = this.prompts.render('synthesis.resolve_conflict', {
+        conflict: JSON.stringify(conflict),
+        context: JSON.stringify(context),
+        session: JSON.stringify({ meetingId: session.meetingId, participants: session.participants.length })
+      }, { unitId: session.meetingId });
 
       const resolution = await this.tripleAI.processWithCollaboration(
-        resolutionPrompt,
+        resolutionPrompt.text,
         {
           gpt5: { role: 'conflict_analysis', weight: 0.4 },
           claude: { role: 'resolution_validation', weight: 0.4 },
           gemini: { role: 'optimization', weight: 0.2 }
-        }
+        },
+        { promptUnit: session.meetingId }
       );
 
       return {
@@ -623,7 +600,8 @@ class IntelligenceSynthesizer {
         unifiedApproach: resolution.unified_approach,
         reasoning: resolution.reasoning,
         confidence: 0.8,
-        originalConflict: conflict
+        originalConflict: conflict,
+        prompts: mergePromptRefs(resolutionPrompt.ref, resolution.prompts || [])
       };
 
     } catch (error) {
@@ -655,7 +633,8 @@ class IntelligenceSynthesizer {
             confidence: resolution.confidence,
             sourceEngine: 'synthesis',
             resolutionReasoning: resolution.reasoning,
-            originalConflict: resolution.conflictId
+            originalConflict: resolution.conflictId,
+            prompts: resolution.prompts
           });
         }
       }
@@ -7,6 +7,7 @@
  */
 
 const EventEmitter = require('events');
+const { getProviderRegistry } = require('./provider-registry');
 
 class MultiModelSynthesis extends EventEmitter {
   constructor(config = {}) {
@@ -20,6 +21,9 @@ class MultiModelSynthesis extends EventEmitter {
       timeoutMs: parseInt(config.timeoutMs || '10000')
     };
     
+    // Specialized models are served through AIMLAPI via the provider registry
+    this.registry = config.registry || getProviderRegistry();
+    
     // Model specialization matrix
     this.modelSpecializations = {
       'gpt-5-pro': {
@@ -464,19 +468,49 @@ class MultiModelSynthesis extends EventEmitter {
   }
   
   /**
-   * Generate insight from a single model (placeholder - would integrate with actual AI client)
+   * Generate insight from a single model
    */
   async generateSingleModelInsight(model, context, content, options = {}) {
-    // This would integrate with the actual AI orchestrator
-    // For now, return a mock structure
+    const response = await this.registry.complete('aimlapi', {
+      model,
+      system: this.getModelSystemPrompt(model, context),
+      messages: [
+        {
+          role: 'user',
+          content: content
+        }
+      ],
+      maxTokens: options.maxTokens || 2000,
+      temperature: options.temperature || 0.7,
+      timeout: this.config.timeoutMs
+    });
+    
     return {
-      content: `Analysis from ${model}: ${content.substring(0, 100)}...`,
-      usage: { totalTokens: 1000 },
+      content: response.content,
+      usage: response.usage,
       model,
-      provider: this.modelSpecializations[model] ? 'aimlapi' : 'fallback'
+      provider: response.provider
     };
   }
   
+  /**
+   * System prompt that plays to a model's strengths
+   */
+  getModelSystemPrompt(model, context = {}) {
+    const strengths = this.modelSpecializations[model]?.strengths || [];
+    let prompt = 'You are an AI meeting assistant contributing one perspective to a multi-model analysis.';
+    
+    if (strengths.length > 0) {
+      prompt += ` Focus on ${strengths.join(', ').replace(/-/g, ' ')}.`;
+    }
+    
+    if (context.type) {
+      prompt += ` This is a ${context.type} meeting.`;
+    }
+    
+    return prompt + ' Structure your answer as clear key points.';
+  }
+  
   /**
    * Apply synthesis strategy to combine insights
    */
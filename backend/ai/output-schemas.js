@@ -0,0 +1,422 @@
+/**
+ * Output Schemas
+ *
+ * JSON Schemas for the structured answers we ask models for, one per task
+ * type, and the validator the structured output service checks them with.
+ * The validator covers the subset of JSON Schema these schemas use: type,
+ * properties, required, additionalProperties, items, enum, minLength,
+ * maxLength, minimum, maximum, minItems, maxItems, minProperties and pattern.
+ */
+
+const ACTION_ITEM = {
+  type: 'object',
+  required: ['description'],
+  properties: {
+    description: { type: 'string', minLength: 1 },
+    owner: { type: ['string', 'null'] },
+    due_date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+    priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+    status: { type: 'string', enum: ['open', 'in_progress', 'done'] },
+    source_quote: { type: 'string' }
+  }
+};
+
+const DECISION = {
+  type: 'object',
+  required: ['decision'],
+  properties: {
+    decision: { type: 'string', minLength: 1 },
+    rationale: { type: 'string' },
+    owner: { type: ['string', 'null'] },
+    made_by: { type: 'array', items: { type: 'string' } },
+    alternatives_considered: { type: 'array', items: { type: 'string' } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const PREDICTION = {
+  type: 'object',
+  required: ['prediction'],
+  properties: {
+    prediction: { type: 'string', minLength: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  }
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const SCORE = { type: 'number', minimum: 0, maximum: 1 };
+
+const BUILT_IN_SCHEMAS = {
+  // Any JSON object, for prompts that describe their own answer format
+  json: {
+    type: 'object'
+  },
+
+  summary: {
+    type: 'object',
+    required: ['summary', 'key_points'],
+    properties: {
+      title: { type: 'string' },
+      summary: { type: 'string', minLength: 1 },
+      key_points: { type: 'array', items: { type: 'string' } },
+      decisions: { type: 'array', items: DECISION },
+      action_items: { type: 'array', items: ACTION_ITEM },
+      next_steps: { type: 'array', items: { type: 'string' } },
+      sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'mixed'] }
+    }
+  },
+
+  action_items: {
+    type: 'object',
+    required: ['action_items'],
+    properties: {
+      action_items: { type: 'array', items: ACTION_ITEM }
+    }
+  },
+
+  decisions: {
+    type: 'object',
+    required: ['decisions'],
+    properties: {
+      decisions: { type: 'array', items: DECISION }
+    }
+  },
+
+  coaching_tip: {
+    type: 'object',
+    required: ['tip', 'category'],
+    properties: {
+      tip: { type: 'string', minLength: 1, maxLength: 280 },
+      category: {
+        type: 'string',
+        enum: ['speaking_time', 'clarity', 'engagement', 'listening', 'pacing', 'questioning', 'other']
+      },
+      target_participant: { type: ['string', 'null'] },
+      urgency: { type: 'string', enum: ['low', 'medium', 'high'] },
+      rationale: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+
+  opportunity: {
+    type: 'object',
+    required: ['opportunities'],
+    properties: {
+      opportunities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'description'],
+          properties: {
+            type: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            estimated_value: { type: ['number', 'null'], minimum: 0 },
+            suggested_action: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  },
+
+  // TripleAIClient specialist analyses (formats in its build*Prompt methods)
+  reasoning_analysis: {
+    type: 'object',
+    required: ['insights', 'suggestions'],
+    properties: {
+      insights: STRING_LIST,
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'content'],
+          properties: {
+            type: { type: 'string' },
+            content: { type: 'string', minLength: 1 },
+            confidence: SCORE,
+            reasoning: { type: 'string' }
+          }
+        }
+      },
+      context_understanding: {
+        type: 'object',
+        properties: {
+          key_topics: STRING_LIST,
+          sentiment: SCORE,
+          engagement_level: SCORE
+        }
+      },
+      confidence: SCORE
+    }
+  },
+
+  safety_analysis: {
+    type: 'object',
+    required: ['sentiment_analysis'],
+    properties: {
+      sentiment_analysis: {
+        type: 'object',
+        properties: {
+          overall_sentiment: SCORE,
+          emotional_indicators: STRING_LIST,
+          risk_factors: STRING_LIST
+        }
+      },
+      accuracy_assessment: {
+        type: 'object',
+        properties: {
+          factual_claims: STRING_LIST,
+          verification_needed: STRING_LIST,
+          confidence_level: SCORE
+        }
+      },
+      safety_considerations: {
+        type: 'object',
+        properties: {
+          potential_issues: STRING_LIST,
+          recommendations: STRING_LIST
+        }
+      },
+      confidence: SCORE
+    }
+  },
+
+  quick_analysis: {
+    type: 'object',
+    required: ['quick_insights'],
+    properties: {
+      quick_insights: STRING_LIST,
+      immediate_suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['content'],
+          properties: {
+            type: { type: 'string' },
+            content: { type: 'string', minLength: 1 },
+            urgency: { type: 'string', enum: ['low', 'medium', 'high'] }
+          }
+        }
+      },
+      visual_analysis: {
+        type: 'object',
+        properties: {
+          detected_elements: STRING_LIST,
+          visual_context: { type: 'string' }
+        }
+      },
+      confidence: SCORE
+    }
+  },
+
+  // Keys match UnifiedIntelligenceHub#structurePredictions
+  prediction: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      meeting_outcome: PREDICTION,
+      decision_quality: PREDICTION,
+      engagement_trajectory: PREDICTION,
+      time_efficiency: PREDICTION,
+      action_item_completion: PREDICTION,
+      follow_up_needed: PREDICTION,
+      stakeholder_satisfaction: PREDICTION
+    }
+  }
+};
+
+// Task names used elsewhere in the codebase for the same outputs
+const TASK_ALIASES = {
+  meeting_summary: 'summary',
+  coaching: 'coaching_tip',
+  opportunities: 'opportunity',
+  predictions: 'prediction'
+};
+
+class OutputSchemaRegistry {
+  constructor() {
+    this.schemas = new Map(Object.entries(BUILT_IN_SCHEMAS));
+    this.aliases = new Map(Object.entries(TASK_ALIASES));
+  }
+
+  /**
+   * Register (or replace) the schema for a task type
+   */
+  register(task, schema, options = {}) {
+    this.schemas.set(task, schema);
+    (options.aliases || []).forEach(alias => this.aliases.set(alias, task));
+    return this;
+  }
+
+  /**
+   * Canonical task name, or null when no schema is registered for it
+   */
+  resolve(task) {
+    const name = this.aliases.get(task) || task;
+    return this.schemas.has(name) ? name : null;
+  }
+
+  has(task) {
+    return this.resolve(task) !== null;
+  }
+
+  get(task) {
+    const name = this.resolve(task);
+    return name ? this.schemas.get(name) : null;
+  }
+
+  list() {
+    return Array.from(this.schemas.keys());
+  }
+
+  /**
+   * Validate a parsed value against a task's schema
+   *
+   * @returns {{ valid: boolean, errors: Array<{ path, message }> }}
+   */
+  validate(task, value) {
+    const schema = this.get(task);
+    if (!schema) {
+      throw new Error(`No output schema registered for task: ${task}`);
+    }
+
+    const errors = validateSchema(schema, value);
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema (the subset described above)
+ *
+ * @returns {Array<{ path, message }>} empty when valid
+ */
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Parse a model's JSON answer. Accepts answers wrapped in a markdown code
+ * fence or surrounded by prose, which models produce even in JSON mode.
+ *
+ * @returns {{ data, error }} error is a message when no JSON could be parsed
+ */
+function parseJsonOutput(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { data: null, error: 'response is empty' };
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return { data: JSON.parse(candidate), error: null };
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+
+    if (start !== -1 && end > start) {
+      try {
+        return { data: JSON.parse(candidate.slice(start, end + 1)), error: null };
+      } catch (innerError) {
+        return { data: null, error: `invalid JSON: ${innerError.message}` };
+      }
+    }
+
+    return { data: null, error: `invalid JSON: ${error.message}` };
+  }
+}
+
+module.exports = {
+  OutputSchemaRegistry,
+  validateSchema,
+  parseJsonOutput,
+  BUILT_IN_SCHEMAS
+};
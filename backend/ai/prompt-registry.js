@@ -0,0 +1,562 @@
+/**
+ * Prompt Registry
+ *
+ * Named, versioned prompts with {{variable}} placeholders. Every render
+ * returns the text and a reference to the version used, so results can say
+ * which wording produced them and feedback can be attributed to it:
+ *
+ *   const prompt = registry.render('coaching.prioritize', { recommendations }, {
+ *     unitId: meetingId   // keeps a meeting on one experiment variant
+ *   });
+ *   prompt.text;   // rendered prompt
+ *   prompt.ref;    // { name, version, experimentId, variant }
+ *
+ *   registry.recordOutcome(prompt.ref, { accepted: true, satisfaction: 0.8, effectiveness: 0.7 });
+ *
+ * Versions are never edited in place: changing a prompt's wording means
+ * defining a new version and activating it, or running an experiment that
+ * splits traffic between versions:
+ *
+ *   registry.startExperiment('coaching.prioritize', {
+ *     variants: [{ version: 1, weight: 50 }, { version: 2, weight: 50 }]
+ *   });
+ *   registry.getExperimentReport('coaching.prioritize');
+ *   registry.stopExperiment('coaching.prioritize', { promote: 2 });
+ *
+ * The default catalog lives in ./prompts. Clients that render prompts in
+ * their own process (the desktop app) publish their catalog, report renders
+ * with recordRender() and outcomes with recordOutcome(), and serve the
+ * versions from getServingState().
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { getResponseCache } = require('./response-cache');
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+class PromptRegistry extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // Cached answers for a prompt are dropped when its active version changes
+    this.responseCache = config.responseCache || null;
+
+    // name -> { name, description, versions: Map(version -> definition), active, experiment, experiments }
+    this.prompts = new Map();
+    // `${name}@${version}` -> outcome counters
+    this.stats = new Map();
+
+    this.setMaxListeners(50);
+
+    if (config.prompts) {
+      this.load(config.prompts);
+    }
+  }
+
+  /**
+   * Register a version of a prompt. The first version registered becomes
+   * active; later ones are activated explicitly or through an experiment.
+   *
+   * @param {string} name - Dotted prompt name, e.g. 'triple_ai.claude_system'
+   * @param {Object} definition - { version, template, description }
+   */
+  define(name, { version = 1, template, description = '' } = {}) {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Prompt ${name} needs a positive integer version`);
+    }
+    if (typeof template !== 'string' || template.length === 0) {
+      throw new Error(`Prompt ${name}@${version} needs a template`);
+    }
+
+    const entry = this.prompts.get(name) || {
+      name,
+      description,
+      versions: new Map(),
+      active: null,
+      experiment: null,
+      experiments: []
+    };
+    const existing = entry.versions.get(version);
+
+    if (existing) {
+      if (existing.template !== template) {
+        throw new Error(`Prompt ${name}@${version} is already defined; define a new version to change its wording`);
+      }
+      return existing;
+    }
+
+    const definition = {
+      name,
+      version,
+      template,
+      description: description || entry.description,
+      variables: extractVariables(template),
+      createdAt: new Date().toISOString()
+    };
+
+    entry.versions.set(version, definition);
+    entry.description = definition.description;
+    this.prompts.set(name, entry);
+
+    if (entry.active === null) {
+      entry.active = version;
+    }
+
+    this.emit('prompt_defined', { name, version });
+    return definition;
+  }
+
+  /**
+   * Register a list of definitions ({ name, version, template, description })
+   */
+  load(definitions) {
+    definitions.forEach(({ name, ...definition }) => this.define(name, definition));
+    return this;
+  }
+
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * A version of a prompt (the active one by default)
+   */
+  get(name, version) {
+    const entry = this.getEntry(name);
+    const definition = entry.versions.get(version === undefined ? entry.active : Number(version));
+
+    if (!definition) {
+      throw new Error(`Prompt ${name} has no version ${version}`);
+    }
+
+    return definition;
+  }
+
+  list() {
+    return Array.from(this.prompts.values()).map(entry => ({
+      name: entry.name,
+      description: entry.description,
+      activeVersion: entry.active,
+      versions: Array.from(entry.versions.keys()),
+      variables: entry.versions.get(entry.active).variables,
+      experiment: entry.experiment ? entry.experiment.id : null
+    }));
+  }
+
+  /**
+   * Make a version the one served outside experiments
+   */
+  activate(name, version) {
+    const entry = this.getEntry(name);
+    const definition = this.get(name, version);
+    const previous = entry.active;
+
+    entry.active = definition.version;
+
+    if (this.responseCache && previous !== definition.version) {
+      this.responseCache.setPromptVersion(name, definition.version);
+    }
+
+    this.emit('prompt_activated', { name, version: definition.version, previous });
+    return definition;
+  }
+
+  /**
+   * Render a prompt
+   *
+   * @param {string} name
+   * @param {Object} variables - Values for the template's {{variables}}
+   * @param {Object} options - { unitId } for a stable experiment assignment,
+   *   { version } to pin a version, { resolve(key) } for variables not passed
+   * @returns {{ text, ref }}
+   * @throws when a variable has no value
+   */
+  render(name, variables = {}, options = {}) {
+    const { version, experiment, variant } = this.choose(name, options);
+    const definition = this.get(name, version);
+    const missing = [];
+
+    const text = definition.template.replace(VARIABLE_PATTERN, (match, key) => {
+      const value = variables[key] !== undefined ? variables[key] : options.resolve?.(key);
+      if (value === undefined || value === null) {
+        missing.push(key);
+        return match;
+      }
+      return String(value);
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`Missing variables for prompt ${name}@${definition.version}: ${missing.join(', ')}`);
+    }
+
+    const ref = {
+      name,
+      version: definition.version,
+      experimentId: experiment ? experiment.id : null,
+      variant
+    };
+
+    this.countersFor(ref).forEach(counters => { counters.renders++; });
+    this.emit('prompt_rendered', ref);
+
+    return { text, ref };
+  }
+
+  /**
+   * Active templates under a name prefix as a nested object, e.g.
+   * getTemplateTree('desktop') -> { systemPrompts: { meetingAnalyst: '...' } }
+   */
+  getTemplateTree(prefix) {
+    const tree = {};
+
+    this.prompts.forEach((entry, name) => {
+      if (!name.startsWith(`${prefix}.`)) return;
+
+      const path = name.slice(prefix.length + 1).split('.');
+      const leaf = path.pop();
+      const node = path.reduce((parent, key) => parent[key] || (parent[key] = {}), tree);
+      node[leaf] = entry.versions.get(entry.active).template;
+    });
+
+    return tree;
+  }
+
+  /**
+   * Split a prompt's traffic between versions by weight. Renders with the
+   * same unitId always get the same variant.
+   *
+   * @param {string} name
+   * @param {Object} options - { id, variants: [{ version, weight }] }
+   */
+  startExperiment(name, { id, variants = [] } = {}) {
+    const entry = this.getEntry(name);
+
+    if (entry.experiment) {
+      throw new Error(`Prompt ${name} already has a running experiment: ${entry.experiment.id}`);
+    }
+    if (variants.length < 2) {
+      throw new Error('An experiment needs at least two variants');
+    }
+
+    const normalized = variants.map(({ version, weight = 1 }) => {
+      this.get(name, version);
+      if (!(weight > 0)) {
+        throw new Error(`Variant ${version} needs a positive weight`);
+      }
+      return { version: Number(version), weight };
+    });
+
+    if (new Set(normalized.map(variant => variant.version)).size !== normalized.length) {
+      throw new Error('Each variant must use a different version');
+    }
+
+    const experiment = {
+      id: id || `${name}-${Date.now()}`,
+      name,
+      variants: normalized,
+      results: new Map(normalized.map(variant => [variant.version, createCounters()])),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      promoted: null
+    };
+
+    entry.experiment = experiment;
+    entry.experiments.push(experiment);
+
+    this.emit('experiment_started', { name, experimentId: experiment.id, variants: normalized });
+    return this.describeExperiment(experiment);
+  }
+
+  /**
+   * End a prompt's running experiment, optionally activating the winner
+   */
+  stopExperiment(name, { promote } = {}) {
+    const entry = this.getEntry(name);
+    const experiment = entry.experiment;
+
+    if (!experiment) {
+      throw new Error(`Prompt ${name} has no running experiment`);
+    }
+    if (promote !== undefined && !experiment.variants.some(variant => variant.version === Number(promote))) {
+      throw new Error(`Version ${promote} is not a variant of experiment ${experiment.id}`);
+    }
+
+    experiment.status = 'stopped';
+    experiment.stoppedAt = new Date().toISOString();
+    entry.experiment = null;
+
+    if (promote !== undefined) {
+      this.activate(name, Number(promote));
+      experiment.promoted = Number(promote);
+    }
+
+    this.emit('experiment_stopped', { name, experimentId: experiment.id, promoted: experiment.promoted });
+    return this.describeExperiment(experiment);
+  }
+
+  /**
+   * Outcome metrics per variant for a prompt's running (or last) experiment
+   */
+  getExperimentReport(name) {
+    const entry = this.getEntry(name);
+    const experiment = entry.experiment || entry.experiments[entry.experiments.length - 1];
+
+    return experiment ? this.describeExperiment(experiment) : null;
+  }
+
+  /**
+   * Attribute feedback to the prompt version that produced a result
+   *
+   * @param {Object} ref - The ref returned by render()
+   * @param {Object} outcome - { accepted, satisfaction, effectiveness }
+   */
+  recordOutcome(ref, outcome = {}) {
+    if (!this.isKnownRef(ref)) {
+      return false;
+    }
+
+    this.countersFor(ref).forEach(counters => {
+      counters.feedback++;
+      if (outcome.accepted) counters.accepted++;
+      addScore(counters.satisfaction, outcome.satisfaction);
+      addScore(counters.effectiveness, outcome.effectiveness);
+    });
+
+    this.emit('outcome_recorded', { ...ref, accepted: Boolean(outcome.accepted) });
+    return true;
+  }
+
+  /**
+   * Count a render that happened in another process
+   */
+  recordRender(ref) {
+    if (!this.isKnownRef(ref)) {
+      return false;
+    }
+
+    this.countersFor(ref).forEach(counters => { counters.renders++; });
+    this.emit('prompt_rendered', ref);
+    return true;
+  }
+
+  /**
+   * What a remote client needs to render the prompts under a name prefix:
+   * the active version, the running experiment and the templates of both
+   */
+  getServingState(prefix) {
+    const state = [];
+
+    this.prompts.forEach((entry, name) => {
+      if (!name.startsWith(`${prefix}.`)) return;
+
+      const experiment = entry.experiment;
+      const versions = new Set([entry.active, ...(experiment ? experiment.variants.map(variant => variant.version) : [])]);
+      const templates = {};
+      versions.forEach(version => { templates[version] = entry.versions.get(version).template; });
+
+      state.push({
+        name,
+        activeVersion: entry.active,
+        templates,
+        experiment: experiment
+          ? { id: experiment.id, variants: experiment.variants.map(({ version, weight }) => ({ version, weight })) }
+          : null
+      });
+    });
+
+    return state;
+  }
+
+  /**
+   * Renders and outcomes per prompt version
+   */
+  getStats() {
+    const stats = {};
+
+    this.prompts.forEach((entry, name) => {
+      stats[name] = {
+        activeVersion: entry.active,
+        experiment: entry.experiment ? entry.experiment.id : null,
+        versions: {}
+      };
+      entry.versions.forEach((definition, version) => {
+        stats[name].versions[version] = summarize(this.stats.get(`${name}@${version}`) || createCounters());
+      });
+    });
+
+    return stats;
+  }
+
+  resetStats() {
+    this.stats.clear();
+  }
+
+  isKnownRef(ref) {
+    return Boolean(ref && this.prompts.has(ref.name) && this.prompts.get(ref.name).versions.has(ref.version));
+  }
+
+  getEntry(name) {
+    const entry = this.prompts.get(name);
+    if (!entry) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return entry;
+  }
+
+  /**
+   * The version to serve: pinned, experiment variant, or active
+   */
+  choose(name, options) {
+    const entry = this.getEntry(name);
+
+    if (options.version !== undefined) {
+      return { version: Number(options.version), experiment: null, variant: null };
+    }
+
+    const experiment = entry.experiment;
+    if (!experiment) {
+      return { version: entry.active, experiment: null, variant: null };
+    }
+
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (options.unitId !== undefined && options.unitId !== null
+      ? hashFraction(`${experiment.id}:${options.unitId}`)
+      : Math.random()) * total;
+
+    let cumulative = 0;
+    const index = experiment.variants.findIndex(variant => (cumulative += variant.weight) > point);
+    const chosen = experiment.variants[index === -1 ? experiment.variants.length - 1 : index];
+
+    return { version: chosen.version, experiment, variant: `v${chosen.version}` };
+  }
+
+  /**
+   * Counters a ref updates: the version overall and, within an experiment,
+   * the variant
+   */
+  countersFor(ref) {
+    const key = `${ref.name}@${ref.version}`;
+    if (!this.stats.has(key)) {
+      this.stats.set(key, createCounters());
+    }
+
+    const counters = [this.stats.get(key)];
+    const experiment = ref.experimentId
+      ? this.prompts.get(ref.name).experiments.find(candidate => candidate.id === ref.experimentId)
+      : null;
+
+    if (experiment?.results.has(ref.version)) {
+      counters.push(experiment.results.get(ref.version));
+    }
+
+    return counters;
+  }
+
+  describeExperiment(experiment) {
+    const variants = experiment.variants.map(variant => ({
+      version: variant.version,
+      weight: variant.weight,
+      ...summarize(experiment.results.get(variant.version))
+    }));
+    const control = variants[0];
+
+    variants.slice(1).forEach(variant => {
+      variant.deltaFromControl = {
+        acceptanceRate: difference(variant.acceptanceRate, control.acceptanceRate),
+        averageSatisfaction: difference(variant.averageSatisfaction, control.averageSatisfaction),
+        averageEffectiveness: difference(variant.averageEffectiveness, control.averageEffectiveness)
+      };
+    });
+
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      startedAt: experiment.startedAt,
+      stoppedAt: experiment.stoppedAt,
+      promoted: experiment.promoted,
+      control: control.version,
+      variants
+    };
+  }
+}
+
+/**
+ * One list of prompt refs from several (nested lists and nulls allowed),
+ * each version once, for results built from several prompts
+ */
+function mergePromptRefs(...lists) {
+  const refs = new Map();
+
+  lists.flat(Infinity).filter(Boolean).forEach(ref => {
+    refs.set(`${ref.name}@${ref.version}:${ref.experimentId || ''}`, ref);
+  });
+
+  return Array.from(refs.values());
+}
+
+function extractVariables(template) {
+  return Array.from(new Set(Array.from(template.matchAll(VARIABLE_PATTERN), match => match[1])));
+}
+
+function createCounters() {
+  return {
+    renders: 0,
+    feedback: 0,
+    accepted: 0,
+    satisfaction: { sum: 0, count: 0 },
+    effectiveness: { sum: 0, count: 0 }
+  };
+}
+
+function addScore(score, value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    score.sum += value;
+    score.count++;
+  }
+}
+
+function summarize(counters) {
+  return {
+    renders: counters.renders,
+    feedback: counters.feedback,
+    accepted: counters.accepted,
+    acceptanceRate: counters.feedback ? counters.accepted / counters.feedback : null,
+    averageSatisfaction: counters.satisfaction.count ? counters.satisfaction.sum / counters.satisfaction.count : null,
+    averageEffectiveness: counters.effectiveness.count ? counters.effectiveness.sum / counters.effectiveness.count : null
+  };
+}
+
+function difference(value, baseline) {
+  return value === null || baseline === null ? null : value - baseline;
+}
+
+/**
+ * Stable number in [0, 1) for an experiment assignment
+ */
+function hashFraction(value) {
+  return parseInt(crypto.createHash('sha256').update(value).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+let sharedRegistry = null;
+
+/**
+ * The process-wide registry, loaded with the default catalog
+ */
+function getPromptRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new PromptRegistry({
+      responseCache: getResponseCache(),
+      prompts: require('./prompts')
+    });
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  PromptRegistry,
+  getPromptRegistry,
+  mergePromptRefs
+};
@@ -0,0 +1,41 @@
+/**
+ * AICoachingEngine prompts
+ */
+
+module.exports = [
+  {
+    name: 'coaching.prioritize',
+    version: 1,
+    description: 'Ranks candidate coaching recommendations for the current moment',
+    template: `
+        Analyze and prioritize these coaching recommendations based on:
+        1. Immediate impact on meeting effectiveness
+        2. Urgency of intervention needed
+        3. User acceptance likelihood
+        4. Implementation feasibility
+        
+        Recommendations: {{recommendations}}
+        Meeting Context: {{meetingContext}}
+        Current Situation: {{situation}}
+        
+        Return top 3 recommendations with priority scores and reasoning.
+      `
+  },
+  {
+    name: 'coaching.session_insights',
+    version: 1,
+    description: 'Key insights from a completed coaching session',
+    template: `
+        Analyze this coaching session and provide key insights:
+        
+        Session Data: {{session}}
+        Summary: {{summary}}
+        
+        Provide:
+        1. Top 3 key insights about meeting effectiveness
+        2. Most impactful coaching interventions
+        3. Opportunities for future improvement
+        4. Participant development recommendations
+      `
+  }
+];
@@ -0,0 +1,13 @@
+/**
+ * Default prompt catalog loaded into the shared prompt registry. The desktop
+ * app ships its own catalog (desktop.*); apps signed in as an admin publish
+ * it through POST /api/prompts/sync.
+ */
+
+module.exports = [
+  ...require('./triple-ai'),
+  ...require('./hybrid'),
+  ...require('./coaching'),
+  ...require('./synthesis'),
+  ...require('./templates')
+];
@@ -0,0 +1,67 @@
+/**
+ * IntelligenceSynthesizer prompts
+ */
+
+module.exports = [
+  {
+    name: 'synthesis.combine',
+    version: 1,
+    description: 'Merges two complementary recommendations into one',
+    template: `
+        Combine these complementary recommendations into a single enhanced recommendation:
+        
+        Recommendation 1: {{recommendation1}}
+        Recommendation 2: {{recommendation2}}
+        Synergy Level: {{synergy}}
+        Context: {{context}}
+        
+        Create a unified recommendation that:
+        1. Combines the strengths of both recommendations
+        2. Maximizes the synergistic effect
+        3. Provides clear, actionable guidance
+        4. Maintains appropriate urgency and impact levels
+        
+        Return as structured JSON with title, message, actions, impact, urgency, and confidence.
+      `
+  },
+  {
+    name: 'synthesis.enhance',
+    version: 1,
+    description: 'Adds insights from other categories to a recommendation',
+    template: `
+        Enhance this recommendation with cross-category insights:
+        
+        Original Recommendation: {{recommendation}}
+        Relevant Insights: {{insights}}
+        Context: {{context}}
+        
+        Enhance the recommendation by:
+        1. Adding relevant context from other insights
+        2. Improving actionability with additional information
+        3. Increasing confidence through supporting evidence
+        4. Providing more comprehensive guidance
+        
+        Return enhanced recommendation as structured JSON.
+      `
+  },
+  {
+    name: 'synthesis.resolve_conflict',
+    version: 1,
+    description: 'Resolves two conflicting recommendations',
+    template: `
+        Resolve this conflict between AI recommendations:
+        
+        Conflict: {{conflict}}
+        Context: {{context}}
+        Session Info: {{session}}
+        
+        Provide conflict resolution by:
+        1. Analyzing the root cause of the conflict
+        2. Determining which recommendation has higher priority
+        3. Creating a unified approach that addresses both concerns
+        4. Providing clear reasoning for the resolution
+        
+        Return as structured JSON with resolution_type, chosen_recommendation, unified_approach, and reasoning.
+      `
+  }
+];
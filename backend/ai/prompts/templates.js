@@ -0,0 +1,61 @@
+/**
+ * Prompts of the built-in meeting templates (TemplateManagementService).
+ * Their {{variables}} are the template variables filled in per meeting.
+ */
+
+module.exports = [
+  {
+    name: 'templates.sales_discovery_default.analysis',
+    version: 1,
+    description: 'Analysis prompt of the Sales Discovery Call template',
+    template: 'Analyze the conversation for buying signals, decision makers, budget indicators, and pain points. Focus on {{customer_name}} specific needs and how our solution addresses them.'
+  },
+  {
+    name: 'templates.sales_discovery_default.coaching',
+    version: 1,
+    description: 'Coaching prompt of the Sales Discovery Call template',
+    template: 'Provide guidance on questioning techniques, active listening, and relationship building. Help identify the best approach for {{customer_name}} based on their industry and role.'
+  },
+  {
+    name: 'templates.sales_discovery_default.followUp',
+    version: 1,
+    description: 'Follow-up prompt of the Sales Discovery Call template',
+    template: 'Generate a follow-up email that reinforces value proposition, addresses concerns raised, and proposes clear next steps for {{customer_name}}.'
+  },
+  {
+    name: 'templates.strategy_planning_default.analysis',
+    version: 1,
+    description: 'Analysis prompt of the Strategic Planning Session template',
+    template: 'Analyze strategic opportunities, competitive threats, and market positioning. Focus on {{planning_horizon}} timeframe and {{strategic_focus}} objectives.'
+  },
+  {
+    name: 'templates.strategy_planning_default.coaching',
+    version: 1,
+    description: 'Coaching prompt of the Strategic Planning Session template',
+    template: 'Guide strategic thinking, decision frameworks, and stakeholder alignment. Ensure discussion stays focused on {{strategic_focus}} priorities.'
+  },
+  {
+    name: 'templates.strategy_planning_default.followUp',
+    version: 1,
+    description: 'Follow-up prompt of the Strategic Planning Session template',
+    template: 'Document strategic decisions, action plans, and accountability measures for {{planning_horizon}} execution.'
+  },
+  {
+    name: 'templates.performance_review_default.analysis',
+    version: 1,
+    description: 'Analysis prompt of the Performance Review template',
+    template: 'Track performance metrics, improvement areas, and development opportunities for {{employee_name}}. Focus on {{review_period}} achievements and challenges.'
+  },
+  {
+    name: 'templates.performance_review_default.coaching',
+    version: 1,
+    description: 'Coaching prompt of the Performance Review template',
+    template: 'Guide constructive feedback delivery, goal setting, and development planning. Ensure balanced discussion of strengths and growth areas.'
+  },
+  {
+    name: 'templates.performance_review_default.followUp',
+    version: 1,
+    description: 'Follow-up prompt of the Performance Review template',
+    template: 'Document performance goals, development plans, and follow-up actions for {{employee_name}} covering the next {{review_period}}.'
+  }
+];
@@ -0,0 +1,756 @@
+/**
+ * AI Provider Registry
+ *
+ * One place to call AI providers from. Each provider is an adapter that
+ * implements the same request/response contract; the registry adds the
+ * concerns every caller needs on top of it: retries, rate limiting, health
+ * tracking and circuit breaking. Adding a provider means registering an
+ * adapter — callers address it by name.
+ *
+ * Request:
+ *   {
+ *     model,                      // provider model id, adapter default if omitted
+ *     system,                     // optional system prompt
+ *     messages: [{ role, content, toolCalls, toolCallId, name }],
+ *                                 // role: system | user | assistant | tool;
+ *                                 // tool results carry toolCallId and the tool name
+ *     prompt,                     // shorthand for a single user message
+ *     tools: [{ name, description, parameters }],  // parameters is JSON Schema
+ *     toolChoice,                 // 'auto' | 'none' | 'required' | { name }
+ *     maxTokens, temperature, topP, stop,
+ *     responseFormat,             // 'text' | 'json'
+ *     timeout
+ *   }
+ *
+ * Response:
+ *   {
+ *     content,
+ *     toolCalls: [{ id, name, arguments }],
+ *     finishReason,               // stop | length | tool_calls | content_filter
+ *     usage: { promptTokens, completionTokens, totalTokens },
+ *     model, provider, latencyMs, raw
+ *   }
+ *
+ * Failures are always thrown as ProviderError.
+ *
+ * Streaming: `stream(name, request, { signal })` is an async iterator of
+ * `{ type: 'delta', content }` events followed by one `{ type: 'done', response }`.
+ * Aborting the signal cancels the provider request.
+ *
+ * Adapters implement `complete(request)` and optionally `isConfigured()` and
+ * `stream(request, { signal })`. Adapters without stream() are streamed as a
+ * single delta once the completion returns.
+ *
+ * Caching: with a response cache set (the shared registry has one), calls
+ * that pass `{ cache: scope }` are answered from it when they can be (see
+ * response-cache.js). Streams are not cached.
+ *
+ * Redaction: with a redactor set (the shared registry has one), sensitive
+ * spans in every request are replaced with placeholders before the provider
+ * (and the cache) sees them, and restored in the response. Calls name the
+ * tenant whose policy applies with `{ redaction: { tenantId, terms } }` (see
+ * redaction.js); content the policy blocks fails with code 'blocked_content'.
+ *
+ * Offline runs: createReplayRegistry() replays recorded provider traffic from
+ * fixture files, createFakeRegistry() registers scriptable fakes. Pass either
+ * as `config.registry` to any client.
+ */
+
+const EventEmitter = require('events');
+const ProviderError = require('./providers/provider-error');
+const OpenAICompatibleProvider = require('./providers/openai-compatible-provider');
+const AnthropicProvider = require('./providers/anthropic-provider');
+const GoogleProvider = require('./providers/google-provider');
+const ReplayProvider = require('./providers/replay-provider');
+const FakeProvider = require('./providers/fake-provider');
+const { ResponseCache, getResponseCache } = require('./response-cache');
+const { Redactor, RedactionBlockedError, getRedactor } = require('./redaction');
+
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+class ProviderRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.providers = new Map();
+    this.health = new Map();
+    this.rateLimits = new Map();
+
+    // Total attempts per request; callers with their own fallback chain keep this at 1
+    this.attempts = parseInt(options.attempts || '1');
+
+    this.circuitBreaker = {
+      failureThreshold: parseInt(options.failureThreshold || process.env.HEALTH_FAILURE_THRESHOLD || '3'),
+      recoveryThreshold: parseInt(options.recoveryThreshold || process.env.HEALTH_RECOVERY_THRESHOLD || '2'),
+      openTimeout: parseInt(options.openTimeout || '60000'),
+      enabled: options.circuitBreakerEnabled !== undefined
+        ? options.circuitBreakerEnabled
+        : process.env.PROVIDER_CIRCUIT_BREAKER_ENABLED !== 'false'
+    };
+
+    this.responseCache = options.responseCache || null;
+    this.redactor = options.redactor || null;
+
+    // Every client holds a listener on the shared registry
+    this.setMaxListeners(50);
+  }
+
+  /**
+   * Answer calls that pass a cache scope from this cache (null to disable)
+   */
+  setResponseCache(cache) {
+    this.responseCache = cache;
+    return this;
+  }
+
+  /**
+   * Redact requests with this redactor before they are sent (null to disable)
+   */
+  setRedactor(redactor) {
+    this.redactor = redactor;
+    return this;
+  }
+
+  /**
+   * Register (or replace) a provider adapter under a name
+   */
+  register(name, adapter, options = {}) {
+    if (!adapter || typeof adapter.complete !== 'function') {
+      throw new Error(`Provider ${name} must implement complete(request)`);
+    }
+
+    this.providers.set(name, adapter);
+    if (!this.health.has(name)) {
+      this.health.set(name, this.createHealth());
+    }
+
+    if (options.requestsPerMinute) {
+      this.setRateLimit(name, null, options.requestsPerMinute);
+    }
+
+    return this;
+  }
+
+  unregister(name) {
+    this.providers.delete(name);
+    this.health.delete(name);
+    for (const key of this.rateLimits.keys()) {
+      if (key.startsWith(`${name}:`)) this.rateLimits.delete(key);
+    }
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.keys());
+  }
+
+  isConfigured(name) {
+    const adapter = this.providers.get(name);
+    if (!adapter) return false;
+    return typeof adapter.isConfigured === 'function' ? adapter.isConfigured() : true;
+  }
+
+  /**
+   * Registered, configured, healthy and not circuit-broken
+   */
+  isAvailable(name) {
+    return this.isConfigured(name) && !this.isCircuitBreakerOpen(name) && this.isHealthy(name);
+  }
+
+  /**
+   * Send a request to a provider
+   *
+   * @param {string} name - Registered provider name
+   * @param {Object} request - Shared request contract (see top of file)
+   * @param {Object} options - { attempts } overrides the registry default;
+   *   { stream: true, onDelta, signal } streams the response into onDelta(text)
+   *   and resolves to the full response; { cache } a response cache scope;
+   *   { redaction } a redaction scope
+   */
+  async complete(name, request, options = {}) {
+    if (options.stream) {
+      return this.collectStream(name, request, options);
+    }
+
+    const { request: normalized, vault } = await this.redactRequest(name, this.normalizeRequest(name, request), options);
+    const cacheScope = this.responseCache && options.cache ? options.cache : null;
+
+    if (cacheScope) {
+      const cached = await this.responseCache.get(name, normalized, cacheScope);
+      if (cached) {
+        return this.rehydrateResponse({ ...cached, provider: cached.provider || name }, vault);
+      }
+    }
+
+    const adapter = this.getReadyAdapter(name);
+    const attempts = options.attempts || this.attempts;
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (!this.checkRateLimit(name, normalized.model)) {
+        throw new ProviderError(name, `Rate limit exceeded for ${name}${normalized.model ? ` (${normalized.model})` : ''}`, { code: 'rate_limited' });
+      }
+      this.consumeRateLimit(name, normalized.model);
+
+      const startTime = Date.now();
+
+      try {
+        const response = await adapter.complete(normalized);
+        const latencyMs = Date.now() - startTime;
+
+        this.recordSuccess(name, latencyMs);
+        this.emit('request_success', {
+          provider: name,
+          model: response.model,
+          latencyMs,
+          usage: response.usage
+        });
+
+        const result = { ...response, provider: response.provider || name, latencyMs };
+
+        if (cacheScope) {
+          await this.responseCache.set(name, normalized, result, cacheScope);
+        }
+
+        return this.rehydrateResponse(result, vault);
+
+      } catch (error) {
+        lastError = ProviderError.fromHttpError(name, error);
+
+        this.recordFailure(name, lastError);
+        this.emit('request_failure', {
+          provider: name,
+          model: normalized.model,
+          code: lastError.code,
+          status: lastError.status,
+          error: lastError.message,
+          attempt
+        });
+
+        if (!lastError.retryable || attempt === attempts || this.isCircuitBreakerOpen(name)) {
+          break;
+        }
+
+        const delay = lastError.retryAfter ? lastError.retryAfter * 1000 : Math.pow(2, attempt) * 1000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Stream a response from a provider
+   *
+   * Streams are not retried: once text has reached the caller a retry would
+   * repeat it. Cancellation is not counted against provider health.
+   *
+   * @param {string} name - Registered provider name
+   * @param {Object} request - Shared request contract (see top of file)
+   * @param {Object} options - { signal } an AbortSignal that cancels the request,
+   *   { redaction } a redaction scope
+   */
+  async *stream(name, request, options = {}) {
+    const adapter = this.getReadyAdapter(name);
+    const { request: normalized, vault } = await this.redactRequest(name, this.normalizeRequest(name, request), options);
+    const rehydrator = vault.size > 0 ? this.redactor.createStreamRehydrator(vault) : null;
+
+    if (!this.checkRateLimit(name, normalized.model)) {
+      throw new ProviderError(name, `Rate limit exceeded for ${name}${normalized.model ? ` (${normalized.model})` : ''}`, { code: 'rate_limited' });
+    }
+    this.consumeRateLimit(name, normalized.model);
+
+    const startTime = Date.now();
+    let response;
+
+    try {
+      if (options.signal?.aborted) {
+        throw new ProviderError(name, `${name} request was cancelled`, { code: 'cancelled' });
+      }
+
+      if (typeof adapter.stream === 'function') {
+        for await (const event of adapter.stream(normalized, { signal: options.signal })) {
+          if (event.type === 'done') {
+            response = event.response;
+          } else if (rehydrator) {
+            const content = rehydrator.push(event.content);
+            if (content) {
+              yield { ...event, content };
+            }
+          } else {
+            yield event;
+          }
+        }
+
+        const rest = rehydrator ? rehydrator.flush() : '';
+        if (rest) {
+          yield { type: 'delta', content: rest };
+        }
+      } else {
+        response = await adapter.complete(normalized);
+        if (options.signal?.aborted) {
+          throw new ProviderError(name, `${name} request was cancelled`, { code: 'cancelled' });
+        }
+        if (response.content) {
+          yield { type: 'delta', content: rehydrator ? this.redactor.rehydrate(response.content, vault) : response.content };
+        }
+      }
+    } catch (error) {
+      const providerError = options.signal?.aborted
+        ? new ProviderError(name, `${name} request was cancelled`, { code: 'cancelled', cause: error })
+        : ProviderError.fromHttpError(name, error);
+
+      if (providerError.code !== 'cancelled') {
+        this.recordFailure(name, providerError);
+        this.emit('request_failure', {
+          provider: name,
+          model: normalized.model,
+          code: providerError.code,
+          status: providerError.status,
+          error: providerError.message,
+          attempt: 1
+        });
+      }
+
+      throw providerError;
+    }
+
+    const latencyMs = Date.now() - startTime;
+
+    this.recordSuccess(name, latencyMs);
+    this.emit('request_success', {
+      provider: name,
+      model: response.model,
+      latencyMs,
+      usage: response.usage
+    });
+
+    yield { type: 'done', response: this.rehydrateResponse({ ...response, provider: response.provider || name, latencyMs }, vault) };
+  }
+
+  async collectStream(name, request, options) {
+    let response;
+
+    for await (const event of this.stream(name, request, { signal: options.signal, redaction: options.redaction })) {
+      if (event.type === 'done') {
+        response = event.response;
+      } else if (options.onDelta) {
+        options.onDelta(event.content, { provider: name });
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * The adapter for a provider that can take requests right now
+   */
+  getReadyAdapter(name) {
+    const adapter = this.providers.get(name);
+
+    if (!adapter) {
+      throw new ProviderError(name, `Provider ${name} is not registered`, { code: 'not_configured' });
+    }
+    if (!this.isConfigured(name)) {
+      throw new ProviderError(name, `Provider ${name} is not configured`, { code: 'not_configured' });
+    }
+    if (this.isCircuitBreakerOpen(name)) {
+      throw new ProviderError(name, `Provider ${name} is temporarily disabled after repeated failures`, { code: 'circuit_open', retryable: true });
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Redacted copy of a normalized request and the vault to restore the
+   * response with. Blocked content fails before anything is sent.
+   */
+  async redactRequest(name, normalized, options = {}) {
+    if (!this.redactor) {
+      return { request: normalized, vault: new Map() };
+    }
+
+    const scope = {
+      tenantId: options.cache?.tenantId,
+      ...(options.redaction || {})
+    };
+
+    try {
+      return await this.redactor.redactRequest(normalized, scope);
+    } catch (error) {
+      if (error instanceof RedactionBlockedError) {
+        throw new ProviderError(name, error.message, { code: 'blocked_content', cause: error });
+      }
+      throw error;
+    }
+  }
+
+  rehydrateResponse(response, vault) {
+    return this.redactor && vault.size > 0 ? this.redactor.rehydrateResponse(response, vault) : response;
+  }
+
+  normalizeRequest(name, request = {}) {
+    const messages = typeof request.prompt === 'string' && !request.messages
+      ? [{ role: 'user', content: request.prompt }]
+      : request.messages;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new ProviderError(name, 'Request must include at least one message', { code: 'invalid_request' });
+    }
+
+    const normalized = { ...request, messages };
+    delete normalized.prompt;
+    return normalized;
+  }
+
+  /**
+   * Per-minute request limits, either for a whole provider (model = null)
+   * or for one model on it. Shared by every client using this registry.
+   */
+  setRateLimit(name, model, limit) {
+    const key = `${name}:${model || '*'}`;
+    const existing = this.rateLimits.get(key);
+
+    if (existing) {
+      existing.limit = limit;
+    } else {
+      this.rateLimits.set(key, { limit, current: 0, resetTime: Date.now() + RATE_LIMIT_WINDOW_MS });
+    }
+  }
+
+  checkRateLimit(name, model) {
+    return [`${name}:*`, `${name}:${model}`].every(key => {
+      const window = this.getRateLimitWindow(key);
+      return !window || window.current < window.limit;
+    });
+  }
+
+  consumeRateLimit(name, model) {
+    [`${name}:*`, `${name}:${model}`].forEach(key => {
+      const window = this.getRateLimitWindow(key);
+      if (window) window.current++;
+    });
+  }
+
+  getRateLimitWindow(key) {
+    const window = this.rateLimits.get(key);
+    if (!window) return null;
+
+    const now = Date.now();
+    if (now >= window.resetTime) {
+      window.current = 0;
+      window.resetTime = now + RATE_LIMIT_WINDOW_MS;
+    }
+
+    return window;
+  }
+
+  getRateLimits(name) {
+    const limits = {};
+    for (const [key, window] of this.rateLimits) {
+      const [provider, model] = key.split(/:(.*)/s);
+      if (provider === name) {
+        limits[model] = { ...window };
+      }
+    }
+    return limits;
+  }
+
+  createHealth() {
+    return {
+      status: 'healthy',
+      failures: 0,
+      lastFailure: null,
+      lastError: null,
+      successRate: 1.0,
+      averageResponseTime: 0,
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      circuitBreakerOpen: false,
+      circuitBreakerOpenTime: null,
+      responseTimes: []
+    };
+  }
+
+  isHealthy(name) {
+    const health = this.health.get(name);
+    if (!health) return false;
+
+    if (health.failures >= this.circuitBreaker.failureThreshold) {
+      return false;
+    }
+
+    if (health.totalRequests > 10 && health.successRate < 0.5) {
+      return false;
+    }
+
+    return health.status === 'healthy';
+  }
+
+  isCircuitBreakerOpen(name) {
+    const health = this.health.get(name);
+    if (!this.circuitBreaker.enabled || !health || !health.circuitBreakerOpen) {
+      return false;
+    }
+
+    if (Date.now() - health.circuitBreakerOpenTime > this.circuitBreaker.openTimeout) {
+      // Half-open: allow traffic again, one more failure re-opens the breaker
+      health.circuitBreakerOpen = false;
+      health.circuitBreakerOpenTime = null;
+      health.failures = this.circuitBreaker.failureThreshold - 1;
+      health.status = 'healthy';
+
+      this.emit('circuit_breaker_closed', {
+        provider: name,
+        reason: 'timeout_elapsed',
+        timestamp: new Date().toISOString()
+      });
+
+      return false;
+    }
+
+    return true;
+  }
+
+  recordSuccess(name, responseTime) {
+    const health = this.health.get(name);
+
+    health.totalRequests++;
+    health.successfulRequests++;
+    health.failures = Math.max(0, health.failures - 1);
+    health.status = 'healthy';
+
+    health.responseTimes.push(responseTime);
+    if (health.responseTimes.length > 50) {
+      health.responseTimes.shift();
+    }
+    health.averageResponseTime =
+      health.responseTimes.reduce((sum, time) => sum + time, 0) / health.responseTimes.length;
+    health.successRate = health.successfulRequests / health.totalRequests;
+
+    if (health.circuitBreakerOpen && health.failures <= this.circuitBreaker.recoveryThreshold) {
+      health.circuitBreakerOpen = false;
+      health.circuitBreakerOpenTime = null;
+
+      this.emit('circuit_breaker_closed', {
+        provider: name,
+        reason: 'recovery_threshold_met',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+
+    health.totalRequests++;
+    health.failedRequests++;
+    health.failures++;
+    health.lastFailure = new Date().toISOString();
+    health.lastError = error.message;
+    health.successRate = health.successfulRequests / health.totalRequests;
+
+    if (health.failures >= this.circuitBreaker.failureThreshold) {
+      const wasHealthy = health.status === 'healthy';
+      health.status = 'unhealthy';
+
+      if (wasHealthy) {
+        this.emit('health_degraded', { provider: name, ...this.getHealth(name) });
+      }
+
+      if (this.circuitBreaker.enabled && !health.circuitBreakerOpen) {
+        health.circuitBreakerOpen = true;
+        health.circuitBreakerOpenTime = Date.now();
+
+        this.emit('circuit_breaker_opened', {
+          provider: name,
+          failures: health.failures,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  /**
+   * Health snapshot for one provider, or all providers when name is omitted
+   */
+  getHealth(name) {
+    if (name === undefined) {
+      const all = {};
+      for (const providerName of this.health.keys()) {
+        all[providerName] = this.getHealth(providerName);
+      }
+      return all;
+    }
+
+    const health = this.health.get(name);
+    if (!health) return null;
+
+    const { responseTimes, ...snapshot } = health;
+    return { ...snapshot, configured: this.isConfigured(name) };
+  }
+
+  resetHealth(name) {
+    if (this.health.has(name)) {
+      this.health.set(name, this.createHealth());
+    }
+  }
+
+  setCircuitBreakerState(name, open) {
+    const health = this.health.get(name);
+    if (health) {
+      health.circuitBreakerOpen = open;
+      health.circuitBreakerOpenTime = open ? Date.now() : null;
+    }
+  }
+}
+
+/**
+ * Create a registry with the built-in providers registered
+ *
+ * @param {Object} config - Per-provider overrides: { aimlapi, openai, anthropic, google, local }
+ *   each { apiKey, baseUrl, defaultModel, timeout }, plus registry options
+ */
+function createProviderRegistry(config = {}) {
+  const registry = new ProviderRegistry(config);
+
+  registry.register('aimlapi', new OpenAICompatibleProvider({
+    name: 'aimlapi',
+    apiKey: process.env.AIMLAPI_API_KEY || process.env.AIMLAPI_KEY,
+    baseUrl: process.env.AIMLAPI_BASE_URL || 'https://api.aimlapi.com/v1',
+    defaultModel: process.env.AIMLAPI_DEFAULT_MODEL || 'gpt-4o-mini',
+    timeout: process.env.AIMLAPI_TIMEOUT,
+    headers: { 'User-Agent': 'MeetingMind/1.0' },
+    ...definedValues(config.aimlapi)
+  }));
+
+  registry.register('openai', new OpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    defaultModel: process.env.OPENAI_DEFAULT_MODEL,
+    timeout: process.env.OPENAI_TIMEOUT,
+    ...definedValues(config.openai)
+  }));
+
+  registry.register('anthropic', new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL,
+    defaultModel: process.env.ANTHROPIC_DEFAULT_MODEL,
+    timeout: process.env.ANTHROPIC_TIMEOUT,
+    ...definedValues(config.anthropic)
+  }));
+
+  registry.register('google', new GoogleProvider({
+    apiKey: process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY,
+    baseUrl: process.env.GOOGLE_BASE_URL,
+    defaultModel: process.env.GOOGLE_DEFAULT_MODEL,
+    timeout: process.env.GOOGLE_TIMEOUT,
+    ...definedValues(config.google)
+  }));
+
+  // Any OpenAI-compatible server on this machine (Ollama, llama.cpp, vLLM).
+  // Off until LOCAL_AI_BASE_URL or LOCAL_AI_ENABLED is set, so deployments
+  // without one don't probe localhost on every fallback.
+  registry.register('local', new OpenAICompatibleProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_AI_API_KEY,
+    baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LOCAL_AI_MODEL || 'llama3.1',
+    timeout: process.env.LOCAL_AI_TIMEOUT || '120000',
+    requiresApiKey: false,
+    enabled: Boolean(process.env.LOCAL_AI_BASE_URL) || process.env.LOCAL_AI_ENABLED === 'true',
+    ...definedValues(config.local)
+  }));
+
+  return registry;
+}
+
+/**
+ * A registry whose built-in providers record to and replay from fixture
+ * files (see ReplayProvider), for deterministic runs without a network
+ *
+ * @param {Object} config - createProviderRegistry config plus
+ *   { mode: 'record' | 'replay' | 'auto', fixturesDir }
+ */
+function createReplayRegistry(config = {}) {
+  const registry = createProviderRegistry(config);
+
+  registry.list().forEach(name => {
+    registry.register(name, new ReplayProvider({
+      name,
+      provider: registry.get(name),
+      mode: config.mode,
+      fixturesDir: config.fixturesDir
+    }));
+  });
+
+  return registry;
+}
+
+/**
+ * A registry of scriptable FakeProviders under the built-in provider names;
+ * script them through registry.get(name)
+ *
+ * @param {Object} config - Registry options plus { providers } to override the names
+ */
+function createFakeRegistry(config = {}) {
+  const registry = new ProviderRegistry(config);
+
+  (config.providers || ['aimlapi', 'openai', 'anthropic', 'google', 'local']).forEach(name => {
+    registry.register(name, new FakeProvider({ name }));
+  });
+
+  return registry;
+}
+
+let sharedRegistry = null;
+
+/**
+ * The process-wide registry, so health, circuit breakers and rate limits are
+ * shared by every client. Passing provider overrides that differ from the
+ * environment (e.g. a client constructed with its own API key) returns a
+ * dedicated registry instead.
+ */
+function getProviderRegistry(config = {}) {
+  if (!sharedRegistry) {
+    sharedRegistry = createProviderRegistry({ responseCache: getResponseCache(), redactor: getRedactor() });
+  }
+
+  const hasOverrides = ['aimlapi', 'openai', 'anthropic', 'google', 'local'].some(name => {
+    const adapterConfig = sharedRegistry.get(name)?.config || {};
+    return Object.entries(definedValues(config[name]))
+      .some(([key, value]) => adapterConfig[key] !== value);
+  });
+
+  return hasOverrides ? createProviderRegistry(config) : sharedRegistry;
+}
+
+function definedValues(object = {}) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+module.exports = {
+  ProviderRegistry,
+  ProviderError,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  GoogleProvider,
+  ReplayProvider,
+  FakeProvider,
+  ResponseCache,
+  Redactor,
+  createProviderRegistry,
+  createReplayRegistry,
+  createFakeRegistry,
+  getProviderRegistry
+};
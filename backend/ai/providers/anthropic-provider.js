@@ -0,0 +1,249 @@
+/**
+ * Anthropic Provider Adapter
+ *
+ * Messages API adapter. Converts the shared request contract to Anthropic's
+ * top-level system prompt, content blocks and tool_use/tool_result turns.
+ */
+
+const axios = require('axios');
+const ProviderError = require('./provider-error');
+const { readEventStream } = require('./event-stream');
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'anthropic';
+    this.config = {
+      apiKey: config.apiKey,
+      baseUrl: (config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/$/, ''),
+      defaultModel: config.defaultModel || 'claude-3-sonnet-20240229',
+      version: config.version || '2023-06-01',
+      timeout: parseInt(config.timeout || '30000')
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async complete(request) {
+    const body = this.buildBody(request);
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/messages`, body, {
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    return this.parseResponse(response.data, body.model);
+  }
+
+  /**
+   * Stream a completion (see OpenAICompatibleProvider#stream for the events).
+   * Tool inputs arrive as partial JSON and are parsed once their block ends.
+   */
+  async *stream(request, options = {}) {
+    const body = { ...this.buildBody(request), stream: true };
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/messages`, body, {
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    // Rebuilt as a non-streaming message so parseResponse can finish it
+    const message = { model: body.model, content: [], stop_reason: null, usage: {} };
+    const partialJson = [];
+
+    try {
+      for await (const { event, data } of readEventStream(response.data)) {
+        const payload = JSON.parse(data);
+
+        switch (event || payload.type) {
+          case 'message_start':
+            message.model = payload.message?.model || message.model;
+            Object.assign(message.usage, payload.message?.usage);
+            break;
+          case 'content_block_start':
+            message.content[payload.index] = { ...payload.content_block };
+            partialJson[payload.index] = '';
+            break;
+          case 'content_block_delta': {
+            const block = message.content[payload.index];
+            if (payload.delta?.type === 'text_delta') {
+              block.text = (block.text || '') + payload.delta.text;
+              yield { type: 'delta', content: payload.delta.text };
+            } else if (payload.delta?.type === 'input_json_delta') {
+              partialJson[payload.index] += payload.delta.partial_json;
+            }
+            break;
+          }
+          case 'content_block_stop': {
+            const block = message.content[payload.index];
+            if (block?.type === 'tool_use' && partialJson[payload.index]) {
+              block.input = JSON.parse(partialJson[payload.index]);
+            }
+            break;
+          }
+          case 'message_delta':
+            message.stop_reason = payload.delta?.stop_reason || message.stop_reason;
+            Object.assign(message.usage, payload.usage);
+            break;
+          case 'error':
+            throw new ProviderError(this.name, `${this.name} stream error: ${payload.error?.message || 'unknown error'}`, {
+              code: payload.error?.type === 'overloaded_error' ? 'unavailable' : 'unknown'
+            });
+          default:
+            // ping and message_stop carry nothing we need
+            break;
+        }
+      }
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    message.content = message.content.filter(Boolean);
+    yield { type: 'done', response: this.parseResponse(message, body.model) };
+  }
+
+  buildBody(request) {
+    const body = {
+      model: request.model || this.config.defaultModel,
+      // max_tokens is required by the Messages API
+      max_tokens: request.maxTokens || 4000,
+      temperature: request.temperature,
+      top_p: request.topP,
+      stop_sequences: request.stop ? [].concat(request.stop) : undefined,
+      messages: this.buildMessages(request.messages)
+    };
+
+    const system = this.buildSystemPrompt(request);
+    if (system) {
+      body.system = system;
+    }
+
+    if (request.tools && request.tools.length > 0 && request.toolChoice !== 'none') {
+      body.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+
+      if (request.toolChoice === 'required') {
+        body.tool_choice = { type: 'any' };
+      } else if (request.toolChoice && request.toolChoice.name) {
+        body.tool_choice = { type: 'tool', name: request.toolChoice.name };
+      }
+    }
+
+    return body;
+  }
+
+  buildHeaders() {
+    return {
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': this.config.version,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  buildSystemPrompt(request) {
+    const parts = [];
+
+    if (request.system) {
+      parts.push(request.system);
+    }
+
+    request.messages
+      .filter(message => message.role === 'system')
+      .forEach(message => parts.push(message.content));
+
+    // No JSON mode in the Messages API, so ask for it explicitly
+    if (request.responseFormat === 'json') {
+      parts.push('Respond only with valid JSON.');
+    }
+
+    return parts.join('\n\n');
+  }
+
+  buildMessages(messages) {
+    const converted = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') continue;
+
+      let role = message.role;
+      let blocks;
+
+      if (message.role === 'tool') {
+        role = 'user';
+        blocks = [{
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        }];
+      } else {
+        blocks = message.content ? [{ type: 'text', text: message.content }] : [];
+
+        if (message.role === 'assistant' && message.toolCalls) {
+          message.toolCalls.forEach(call => blocks.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          }));
+        }
+      }
+
+      // Roles must alternate, so consecutive turns from the same side are merged
+      const previous = converted[converted.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        converted.push({ role, content: blocks });
+      }
+    }
+
+    return converted;
+  }
+
+  parseResponse(data, requestedModel) {
+    const blocks = data.content || [];
+    const promptTokens = data.usage?.input_tokens || 0;
+    const completionTokens = data.usage?.output_tokens || 0;
+
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      finishReason: FINISH_REASONS[data.stop_reason] || data.stop_reason || null,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      model: data.model || requestedModel,
+      provider: this.name,
+      raw: data
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,55 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Server-Sent Events reader
+ *
+ * Streaming endpoints of every supported provider answer with an SSE body.
+ * Reads a Node stream (axios `responseType: 'stream'`) and yields one
+ * `{ event, data }` per event, with multi-line data joined by newlines.
+ */
+
+async function* readEventStream(stream) {
+  // Chunks can end inside a multi-byte character; the decoder holds its
+  // first bytes back until the rest arrives
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const chunks = (async function* () {
+    for await (const chunk of stream) {
+      yield decoder.write(chunk);
+    }
+    yield `${decoder.end()}\n`;
+  })();
+
+  for await (const text of chunks) {
+    buffer += text;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        // A blank line dispatches the event collected so far
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+        event = null;
+        data = [];
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      }
+      // Comments (":") and other fields (id, retry) are not used by providers
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+module.exports = { readEventStream };
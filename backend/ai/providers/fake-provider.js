@@ -0,0 +1,199 @@
+/**
+ * Fake Provider Adapter
+ *
+ * A scriptable provider for exercising fallback, circuit breaking and
+ * response handling without a network. Each call takes the next queued step,
+ * else the first matching rule, else the default step.
+ *
+ * A step is an object (or a function of the request returning one):
+ *   {
+ *     content,                    // response text (objects are JSON encoded)
+ *     toolCalls, finishReason, usage, model,
+ *     latencyMs,                  // delay before answering
+ *     chunks,                     // stream deltas, default: content split on words
+ *     error: { code, status, message, retryAfter },  // thrown as ProviderError
+ *     malformed: true             // answer with truncated JSON
+ *   }
+ *
+ * Every request is kept in `calls` for assertions.
+ */
+
+const ProviderError = require('./provider-error');
+
+const ERROR_STATUS = {
+  authentication: 401,
+  invalid_request: 400,
+  rate_limited: 429,
+  timeout: 408,
+  unavailable: 503
+};
+
+class FakeProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'fake';
+    this.defaultModel = config.defaultModel || 'fake-model';
+    this.defaultStep = config.defaultStep || { content: config.content || `${this.name} response` };
+    this.latencyMs = config.latencyMs || 0;
+    this.steps = [];
+    this.rules = [];
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Queue steps for the next calls, in order
+   */
+  enqueue(...steps) {
+    this.steps.push(...steps);
+    return this;
+  }
+
+  respond(content, options = {}) {
+    return this.enqueue({ ...options, content });
+  }
+
+  fail(code = 'unavailable', options = {}) {
+    return this.enqueue({ latencyMs: options.latencyMs, error: { ...options, code } });
+  }
+
+  rateLimit(retryAfter = null) {
+    return this.fail('rate_limited', { retryAfter });
+  }
+
+  malformedJson(options = {}) {
+    return this.enqueue({ ...options, malformed: true });
+  }
+
+  /**
+   * Answer every matching request with a step. `match` is a predicate on the
+   * request or text to look for in its messages.
+   */
+  when(match, step) {
+    const predicate = typeof match === 'function'
+      ? match
+      : request => JSON.stringify(request.messages || []).includes(match);
+    this.rules.push({ predicate, step });
+    return this;
+  }
+
+  setDefault(step) {
+    this.defaultStep = step;
+    return this;
+  }
+
+  reset() {
+    this.steps = [];
+    this.rules = [];
+    this.calls = [];
+    return this;
+  }
+
+  async complete(request) {
+    const step = this.nextStep(request);
+
+    await this.wait(step, request);
+
+    if (step.error) {
+      throw this.createError(step.error);
+    }
+
+    return this.buildResponse(step, request);
+  }
+
+  async *stream(request, options = {}) {
+    const step = this.nextStep(request);
+
+    await this.wait(step, request, options.signal);
+
+    if (step.error) {
+      throw this.createError(step.error);
+    }
+
+    const response = this.buildResponse(step, request);
+    const chunks = step.chunks || response.content.match(/\S+\s*/g) || [];
+
+    for (const content of chunks) {
+      if (options.signal?.aborted) {
+        throw new ProviderError(this.name, `${this.name} request was cancelled`, { code: 'cancelled' });
+      }
+      yield { type: 'delta', content };
+    }
+
+    yield { type: 'done', response };
+  }
+
+  nextStep(request) {
+    this.calls.push(request);
+
+    let step = this.steps.length > 0
+      ? this.steps.shift()
+      : (this.rules.find(rule => rule.predicate(request))?.step || this.defaultStep);
+
+    if (typeof step === 'function') {
+      step = step(request, this.calls.length);
+    }
+
+    return step || {};
+  }
+
+  /**
+   * Simulated latency; runs into request.timeout like a slow provider would
+   */
+  async wait(step, request, signal) {
+    const latencyMs = step.latencyMs ?? this.latencyMs;
+    if (!latencyMs) return;
+
+    const timedOut = request.timeout && latencyMs > request.timeout;
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, timedOut ? request.timeout : latencyMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ProviderError(this.name, `${this.name} request was cancelled`, { code: 'cancelled' }));
+      }, { once: true });
+    });
+
+    if (timedOut) {
+      throw new ProviderError(this.name, `${this.name} request timed out after ${request.timeout}ms`, { code: 'timeout' });
+    }
+  }
+
+  createError(error) {
+    const status = error.status || ERROR_STATUS[error.code] || null;
+    return new ProviderError(this.name, error.message || `${this.name} error${status ? ` ${status}` : ''}: simulated ${error.code}`, {
+      code: error.code,
+      status,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  buildResponse(step, request) {
+    let content = step.content ?? '';
+    if (typeof content === 'object') {
+      content = JSON.stringify(content);
+    }
+    if (step.malformed) {
+      // Cut mid-value, as a response truncated at maxTokens would be
+      content = (content || '{"insights": [{"title": "Budget review", "confidence": 0.8}]}').slice(0, -12);
+    }
+
+    const toolCalls = step.toolCalls || [];
+    const promptTokens = Math.ceil(JSON.stringify(request.messages || []).length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      toolCalls,
+      finishReason: step.finishReason || (toolCalls.length > 0 ? 'tool_calls' : (step.malformed ? 'length' : 'stop')),
+      usage: step.usage || { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model: step.model || request.model || this.defaultModel,
+      provider: this.name,
+      raw: null
+    };
+  }
+}
+
+module.exports = FakeProvider;
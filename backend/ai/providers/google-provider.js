@@ -0,0 +1,224 @@
+/**
+ * Google Provider Adapter
+ *
+ * Gemini generateContent adapter. Gemini has no tool call ids, so ids are
+ * synthesized from the function name and matched back by name.
+ */
+
+const axios = require('axios');
+const ProviderError = require('./provider-error');
+const { readEventStream } = require('./event-stream');
+
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter'
+};
+
+class GoogleProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'google';
+    this.config = {
+      apiKey: config.apiKey,
+      baseUrl: (config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/$/, ''),
+      defaultModel: config.defaultModel || 'gemini-pro',
+      timeout: parseInt(config.timeout || '30000')
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async complete(request) {
+    const model = request.model || this.config.defaultModel;
+    const body = this.buildBody(request);
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/models/${model}:generateContent`, body, {
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    return this.parseResponse(response.data, model);
+  }
+
+  /**
+   * Stream a completion (see OpenAICompatibleProvider#stream for the events).
+   * Each SSE event is a partial generateContent response.
+   */
+  async *stream(request, options = {}) {
+    const model = request.model || this.config.defaultModel;
+    const body = this.buildBody(request);
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/models/${model}:streamGenerateContent`, body, {
+        params: { alt: 'sse' },
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    // Rebuilt as a single response so parseResponse can finish it
+    const parts = [];
+    let finishReason;
+    let usageMetadata;
+
+    try {
+      for await (const { data } of readEventStream(response.data)) {
+        const chunk = JSON.parse(data);
+        const candidate = chunk.candidates?.[0] || {};
+
+        finishReason = candidate.finishReason || finishReason;
+        usageMetadata = chunk.usageMetadata || usageMetadata;
+
+        for (const part of candidate.content?.parts || []) {
+          parts.push(part);
+          if (part.text) {
+            yield { type: 'delta', content: part.text };
+          }
+        }
+      }
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    yield {
+      type: 'done',
+      response: this.parseResponse({
+        candidates: [{ content: { parts }, finishReason }],
+        usageMetadata
+      }, model)
+    };
+  }
+
+  buildBody(request) {
+    const body = {
+      contents: this.buildContents(request.messages),
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        temperature: request.temperature,
+        topP: request.topP,
+        stopSequences: request.stop ? [].concat(request.stop) : undefined,
+        responseMimeType: request.responseFormat === 'json' ? 'application/json' : undefined
+      }
+    };
+
+    const system = [request.system]
+      .concat(request.messages.filter(message => message.role === 'system').map(message => message.content))
+      .filter(Boolean)
+      .join('\n\n');
+
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    if (request.tools && request.tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+
+      if (request.toolChoice) {
+        const modes = { auto: 'AUTO', none: 'NONE', required: 'ANY' };
+        body.toolConfig = {
+          functionCallingConfig: typeof request.toolChoice === 'string'
+            ? { mode: modes[request.toolChoice] || 'AUTO' }
+            : { mode: 'ANY', allowedFunctionNames: [request.toolChoice.name] }
+        };
+      }
+    }
+
+    return body;
+  }
+
+  buildHeaders() {
+    return {
+      // Header auth keeps the key out of logged request URLs
+      'x-goog-api-key': this.config.apiKey,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  buildContents(messages) {
+    const contents = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') continue;
+
+      let role;
+      let parts;
+
+      if (message.role === 'tool') {
+        role = 'function';
+        parts = [{
+          functionResponse: {
+            name: message.name,
+            response: { content: message.content }
+          }
+        }];
+      } else {
+        role = message.role === 'assistant' ? 'model' : 'user';
+        parts = message.content ? [{ text: message.content }] : [];
+
+        if (message.role === 'assistant' && message.toolCalls) {
+          message.toolCalls.forEach(call => parts.push({
+            functionCall: { name: call.name, args: call.arguments || {} }
+          }));
+        }
+      }
+
+      const previous = contents[contents.length - 1];
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    return contents;
+  }
+
+  parseResponse(data, model) {
+    const candidate = data.candidates?.[0] || {};
+    const parts = candidate.content?.parts || [];
+    const usage = data.usageMetadata || {};
+
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        id: `${part.functionCall.name}-${index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
+
+    return {
+      content: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls,
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : (FINISH_REASONS[candidate.finishReason] || null),
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      },
+      model,
+      provider: this.name,
+      raw: data
+    };
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,251 @@
+/**
+ * OpenAI-Compatible Provider Adapter
+ *
+ * Chat Completions adapter for OpenAI and for gateways that expose the same
+ * API (AIMLAPI, local servers such as Ollama or llama.cpp). Register one
+ * instance per endpoint.
+ */
+
+const axios = require('axios');
+const ProviderError = require('./provider-error');
+const { readEventStream } = require('./event-stream');
+
+const FINISH_REASONS = {
+  stop: 'stop',
+  length: 'length',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  content_filter: 'content_filter'
+};
+
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.config = {
+      apiKey: config.apiKey,
+      baseUrl: (config.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, ''),
+      defaultModel: config.defaultModel || 'gpt-4o',
+      timeout: parseInt(config.timeout || '30000'),
+      headers: config.headers || {},
+      requiresApiKey: config.requiresApiKey !== false,
+      enabled: config.enabled !== false
+    };
+  }
+
+  isConfigured() {
+    return this.config.enabled && (!this.config.requiresApiKey || Boolean(this.config.apiKey));
+  }
+
+  async complete(request) {
+    const body = this.buildBody(request);
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/chat/completions`, body, {
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    return this.parseResponse(response.data, body.model);
+  }
+
+  /**
+   * Stream a completion. Yields `{ type: 'delta', content }` as text arrives
+   * and finally `{ type: 'done', response }` with the same shape complete()
+   * returns. Tool call arguments are assembled before the final event.
+   */
+  async *stream(request, options = {}) {
+    const body = {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.baseUrl}/chat/completions`, body, {
+        headers: this.buildHeaders(),
+        timeout: request.timeout || this.config.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      });
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    // Rebuilt as a non-streaming payload so parseResponse can finish it
+    const assembled = { model: body.model, choices: [{ message: { content: '' }, finish_reason: null }], usage: null };
+    const message = assembled.choices[0].message;
+    const toolCalls = [];
+
+    try {
+      for await (const { data } of readEventStream(response.data)) {
+        if (data === '[DONE]') break;
+
+        const chunk = JSON.parse(data);
+        assembled.model = chunk.model || assembled.model;
+        if (chunk.usage) {
+          assembled.usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        if (choice.finish_reason) {
+          assembled.choices[0].finish_reason = choice.finish_reason;
+        }
+
+        const delta = choice.delta || {};
+        (delta.tool_calls || []).forEach(call => {
+          const index = call.index || 0;
+          const existing = toolCalls[index] || (toolCalls[index] = { id: call.id, function: { name: '', arguments: '' } });
+          existing.id = call.id || existing.id;
+          existing.function.name += call.function?.name || '';
+          existing.function.arguments += call.function?.arguments || '';
+        });
+
+        if (delta.content) {
+          message.content += delta.content;
+          yield { type: 'delta', content: delta.content };
+        }
+      }
+    } catch (error) {
+      throw ProviderError.fromHttpError(this.name, error);
+    }
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
+
+    yield { type: 'done', response: this.parseResponse(assembled, body.model) };
+  }
+
+  buildBody(request) {
+    const body = {
+      model: request.model || this.config.defaultModel,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty,
+      stop: request.stop
+    };
+
+    if (request.tools && request.tools.length > 0) {
+      body.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+      }));
+
+      if (request.toolChoice) {
+        body.tool_choice = typeof request.toolChoice === 'string'
+          ? request.toolChoice
+          : { type: 'function', function: { name: request.toolChoice.name } };
+      }
+    }
+
+    if (request.responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.config.headers
+    };
+
+    // Local servers usually run without auth
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  buildMessages(request) {
+    const messages = [];
+
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+
+    for (const message of request.messages) {
+      if (message.role === 'tool') {
+        messages.push({
+          role: 'tool',
+          tool_call_id: message.toolCallId,
+          content: stringifyContent(message.content)
+        });
+      } else if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+        messages.push({
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        });
+      } else {
+        messages.push({ role: message.role, content: message.content });
+      }
+    }
+
+    return messages;
+  }
+
+  parseResponse(data, requestedModel) {
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+
+    const toolCalls = (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments)
+    }));
+
+    const promptTokens = data.usage?.prompt_tokens || 0;
+    const completionTokens = data.usage?.completion_tokens || 0;
+
+    return {
+      content: message.content || '',
+      toolCalls,
+      finishReason: FINISH_REASONS[choice.finish_reason] || choice.finish_reason || null,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: data.usage?.total_tokens || promptTokens + completionTokens
+      },
+      model: data.model || requestedModel,
+      provider: this.name,
+      raw: data
+    };
+  }
+}
+
+function stringifyContent(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+function parseArguments(args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    // Models occasionally emit truncated JSON; keep the raw text for the caller
+    return { _raw: args };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
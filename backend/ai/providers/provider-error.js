@@ -0,0 +1,86 @@
+/**
+ * Provider Error
+ *
+ * The single error type thrown by provider adapters and the provider
+ * registry, so callers can react to failures the same way whichever
+ * provider produced them.
+ *
+ * Codes:
+ * - authentication: missing or rejected API key
+ * - rate_limited: the provider (or the registry's own limit) throttled us
+ * - invalid_request: the provider rejected the request itself
+ * - timeout: no response within the request timeout
+ * - unavailable: network failure or provider-side (5xx) error
+ * - circuit_open: skipped because the provider is failing repeatedly
+ * - not_configured: unknown provider or no credentials
+ * - cancelled: the caller aborted the request (e.g. a superseded stream)
+ * - blocked_content: the tenant's redaction policy forbids sending the request
+ * - unknown: anything else
+ */
+
+const RETRYABLE_CODES = new Set(['rate_limited', 'timeout', 'unavailable']);
+
+class ProviderError extends Error {
+  constructor(provider, message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.code = options.code || 'unknown';
+    this.status = options.status || null;
+    this.retryable = options.retryable !== undefined ? options.retryable : RETRYABLE_CODES.has(this.code);
+    this.retryAfter = options.retryAfter || null;
+    this.cause = options.cause;
+  }
+
+  /**
+   * Normalize an axios (or network) error from a provider HTTP call
+   */
+  static fromHttpError(provider, error) {
+    if (error instanceof ProviderError) {
+      return error;
+    }
+
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError' || error.name === 'CanceledError') {
+      return new ProviderError(provider, `${provider} request was cancelled`, { code: 'cancelled', cause: error });
+    }
+
+    const status = error.response?.status;
+
+    if (!status) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      // Errors without a network error code come from our own code, not the provider
+      const code = timedOut ? 'timeout' : (error.code ? 'unavailable' : 'unknown');
+      return new ProviderError(provider, `${provider} request ${timedOut ? 'timed out' : 'failed'}: ${error.message}`, {
+        code,
+        cause: error
+      });
+    }
+
+    const data = error.response.data;
+    const detail = data?.error?.message || (typeof data?.error === 'string' ? data.error : null) || data?.message || error.message;
+
+    let code = 'unknown';
+    if (status === 401 || status === 403) {
+      code = 'authentication';
+    } else if (status === 429) {
+      code = 'rate_limited';
+    } else if (status === 408) {
+      code = 'timeout';
+    } else if (status >= 500) {
+      code = 'unavailable';
+    } else if (status >= 400) {
+      code = 'invalid_request';
+    }
+
+    const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+
+    return new ProviderError(provider, `${provider} error ${status}: ${detail}`, {
+      code,
+      status,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+      cause: error
+    });
+  }
+}
+
+module.exports = ProviderError;
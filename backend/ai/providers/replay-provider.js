@@ -0,0 +1,235 @@
+/**
+ * Replay Provider Adapter
+ *
+ * Records real request/response pairs from another adapter to fixture files
+ * and replays them without a network. A fixture is keyed by a hash of the
+ * normalized request, so the same prompt always replays the same answer.
+ *
+ * Modes:
+ * - record: always call the wrapped adapter and (re)write the fixture
+ * - replay: answer from fixtures only; a missing fixture is an error
+ * - auto:   replay when a fixture exists, record otherwise
+ *
+ * Fixtures live at `<fixturesDir>/<provider>/<hash>.json` and hold the
+ * request, the response (or the error the provider returned) and, for
+ * recorded streams, the deltas in order.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const ProviderError = require('./provider-error');
+
+const MODES = ['record', 'replay', 'auto'];
+
+// Fields that change the answer; timeouts and the like do not
+const HASHED_FIELDS = [
+  'model', 'system', 'messages', 'tools', 'toolChoice',
+  'maxTokens', 'temperature', 'topP', 'stop', 'responseFormat'
+];
+
+class ReplayProvider {
+  constructor(config = {}) {
+    this.name = config.name || config.provider?.name || 'replay';
+    this.provider = config.provider || null;
+    this.mode = config.mode || process.env.AI_FIXTURE_MODE || 'replay';
+    this.fixturesDir = path.join(
+      config.fixturesDir || process.env.AI_FIXTURES_DIR || path.join(process.cwd(), 'testing', 'fixtures', 'ai'),
+      this.name
+    );
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown fixture mode: ${this.mode}. Expected one of ${MODES.join(', ')}`);
+    }
+    if (this.mode !== 'replay' && !this.provider) {
+      throw new Error(`Provider ${this.name} needs a wrapped adapter to ${this.mode}`);
+    }
+  }
+
+  isConfigured() {
+    if (this.mode === 'replay') return true;
+    return typeof this.provider.isConfigured === 'function' ? this.provider.isConfigured() : true;
+  }
+
+  async complete(request) {
+    const hash = ReplayProvider.hashRequest(request);
+    const fixture = await this.findFixture(hash);
+
+    if (fixture) {
+      return this.replay(fixture);
+    }
+
+    let response;
+    try {
+      response = await this.provider.complete(request);
+    } catch (error) {
+      await this.record(hash, request, { error });
+      throw error;
+    }
+
+    await this.record(hash, request, { response });
+    return response;
+  }
+
+  /**
+   * Stream a completion. Replayed fixtures without recorded deltas (e.g. one
+   * recorded through complete()) stream their content as a single delta.
+   */
+  async *stream(request, options = {}) {
+    const hash = ReplayProvider.hashRequest(request);
+    const fixture = await this.findFixture(hash);
+
+    if (fixture) {
+      const chunks = fixture.chunks || (fixture.response?.content ? [fixture.response.content] : []);
+      for (const content of chunks) {
+        if (options.signal?.aborted) {
+          throw new ProviderError(this.name, `${this.name} request was cancelled`, { code: 'cancelled' });
+        }
+        yield { type: 'delta', content };
+      }
+      yield { type: 'done', response: this.replay(fixture) };
+      return;
+    }
+
+    const chunks = [];
+    let response;
+
+    try {
+      if (typeof this.provider.stream === 'function') {
+        for await (const event of this.provider.stream(request, options)) {
+          if (event.type === 'done') {
+            response = event.response;
+          } else {
+            chunks.push(event.content);
+            yield event;
+          }
+        }
+      } else {
+        response = await this.provider.complete(request);
+        if (response.content) {
+          chunks.push(response.content);
+          yield { type: 'delta', content: response.content };
+        }
+      }
+    } catch (error) {
+      // A cancelled stream says nothing about what the provider would answer
+      if (ProviderError.fromHttpError(this.name, error).code !== 'cancelled') {
+        await this.record(hash, request, { error });
+      }
+      throw error;
+    }
+
+    await this.record(hash, request, { response, chunks });
+    yield { type: 'done', response };
+  }
+
+  /**
+   * Fixture to answer from, or null when the wrapped adapter should be called
+   */
+  async findFixture(hash) {
+    if (this.mode === 'record') {
+      return null;
+    }
+
+    const fixture = await this.readFixture(hash);
+
+    if (!fixture && this.mode === 'replay') {
+      throw new ProviderError(
+        this.name,
+        `No ${this.name} fixture for request ${hash} in ${this.fixturesDir}; record one with AI_FIXTURE_MODE=record`,
+        { code: 'not_configured' }
+      );
+    }
+
+    return fixture;
+  }
+
+  replay(fixture) {
+    if (fixture.error) {
+      throw new ProviderError(this.name, fixture.error.message, {
+        code: fixture.error.code,
+        status: fixture.error.status,
+        retryAfter: fixture.error.retryAfter
+      });
+    }
+
+    return { ...fixture.response, provider: this.name, replayed: true };
+  }
+
+  async record(hash, request, { response, error, chunks }) {
+    const fixture = {
+      provider: this.name,
+      hash,
+      recordedAt: new Date().toISOString(),
+      request: ReplayProvider.normalizeRequest(request)
+    };
+
+    if (error) {
+      const providerError = ProviderError.fromHttpError(this.name, error);
+      fixture.error = {
+        code: providerError.code,
+        status: providerError.status,
+        retryAfter: providerError.retryAfter,
+        message: providerError.message
+      };
+    } else {
+      // The raw provider payload is large and can echo request headers
+      const { raw, latencyMs, ...recorded } = response;
+      fixture.response = recorded;
+      if (chunks) fixture.chunks = chunks;
+    }
+
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await fs.writeFile(this.fixturePath(hash), JSON.stringify(fixture, null, 2) + '\n');
+  }
+
+  async readFixture(hash) {
+    try {
+      return JSON.parse(await fs.readFile(this.fixturePath(hash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  fixturePath(hash) {
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+
+  /**
+   * The parts of a request that determine the answer, with keys sorted and
+   * undefined values dropped so equivalent requests hash the same
+   */
+  static normalizeRequest(request) {
+    const picked = {};
+    HASHED_FIELDS.forEach(field => {
+      if (request[field] !== undefined) picked[field] = request[field];
+    });
+    return sortKeys(picked);
+  }
+
+  static hashRequest(request) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(ReplayProvider.normalizeRequest(request)))
+      .digest('hex')
+      .slice(0, 16);
+  }
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+module.exports = ReplayProvider;
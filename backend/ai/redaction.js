@@ -0,0 +1,469 @@
+/**
+ * Redaction
+ *
+ * Replaces sensitive spans in prompts with placeholders before they reach a
+ * provider, and puts the original text back into the answer. The provider
+ * registry runs every request through it when one is set (the shared
+ * registry has one); calls say whose policy applies with:
+ *
+ *   registry.complete('openai', request, {
+ *     redaction: {
+ *       tenantId,                 // selects the tenant's policy
+ *       terms: { person: [...] }  // optional: extra dictionary terms for this call,
+ *                                 // e.g. the meeting's participant names
+ *     }
+ *   });
+ *
+ * Detectors:
+ *   patterns     email, phone, card_number (Luhn-checked), ssn, ip_address and
+ *                api_key (provider keys, tokens, private keys, key=value secrets)
+ *   dictionaries terms by class, from the policy and the call
+ *   customTerms  the tenant's own sensitive terms (class 'custom')
+ *
+ * Policy (per tenant, over the default policy):
+ *   {
+ *     enabled,                    // false sends text unchanged
+ *     block: ['api_key'],         // classes that reject the call outright
+ *     allow: ['ip_address'],      // classes sent as they are
+ *     customTerms: ['Project Falcon'],
+ *     dictionaries: { person: ['Jane Doe'] }
+ *   }
+ *
+ * Placeholders look like [EMAIL_1f0c9a2b]. They are keyed HMACs of the
+ * tenant, class and value, so the same value gets the same placeholder in
+ * every call (and cached answers still match) without revealing it.
+ *
+ * The desktop app bundles this file on its own (desktop-app/package.json
+ * extraResources), so it must keep to Node built-ins.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const PATTERN_DETECTORS = [
+  { type: 'api_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'api_key', pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|sk_live_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,})/g },
+  { type: 'api_key', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { type: 'api_key', pattern: /\bbearer\s+([A-Za-z0-9._~+/-]{20,}=*)/gi, group: 1 },
+  { type: 'api_key', pattern: /\b(?:api[_-]?key|secret|password|passwd|access[_-]?token|token)\s*[:=]\s*["']?([^\s"',;]{8,})/gi, group: 1 },
+  { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'card_number', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isLuhnValid },
+  { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g, validate: value => countDigits(value) >= 7 && countDigits(value) <= 15 },
+  { type: 'ip_address', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g }
+];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  block: [],
+  allow: [],
+  customTerms: [],
+  dictionaries: {}
+};
+
+const PLACEHOLDER_PATTERN = /\[([A-Z_]+)_([0-9a-f]{8})\]/g;
+const GLOBAL_TENANT = 'global';
+
+class RedactionBlockedError extends Error {
+  constructor(types, tenantId) {
+    super(`Request contains content that may not be sent to AI providers: ${types.join(', ')}`);
+    this.name = 'RedactionBlockedError';
+    this.code = 'blocked_content';
+    this.types = types;
+    this.tenantId = tenantId;
+  }
+}
+
+class Redactor extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.enabled = config.enabled !== undefined ? config.enabled : process.env.AI_REDACTION_ENABLED !== 'false';
+    // Without a configured key placeholders are stable within this process only
+    this.key = config.key || process.env.AI_REDACTION_KEY || crypto.randomBytes(32).toString('hex');
+    this.defaultPolicy = normalizePolicy({
+      ...DEFAULT_POLICY,
+      block: splitList(process.env.AI_REDACTION_BLOCK),
+      allow: splitList(process.env.AI_REDACTION_ALLOW),
+      ...(config.defaultPolicy || {})
+    });
+    this.policyLoader = config.policyLoader || null;
+    this.policyTtl = parseInt(config.policyTtl || process.env.AI_REDACTION_POLICY_TTL_MS || '300000');
+
+    // tenantId -> { policy, matcher, expiresAt }
+    this.policies = new Map();
+
+    this.stats = this.createStats();
+
+    this.setMaxListeners(50);
+  }
+
+  /**
+   * Set a tenant's policy (merged over the default policy)
+   */
+  setPolicy(tenantId, policy) {
+    const merged = normalizePolicy({ ...this.defaultPolicy, ...policy });
+    this.policies.set(tenantId || GLOBAL_TENANT, {
+      policy: merged,
+      matcher: buildTermMatcher(merged),
+      expiresAt: Infinity
+    });
+    return merged;
+  }
+
+  /**
+   * Load tenant policies on demand: loader(tenantId) resolves to a policy or
+   * null. Loaded policies are kept for policyTtl ms.
+   */
+  setPolicyLoader(loader) {
+    this.policyLoader = loader;
+    return this;
+  }
+
+  /**
+   * Drop a tenant's cached policy so the next call loads it again
+   */
+  invalidatePolicy(tenantId) {
+    return this.policies.delete(tenantId || GLOBAL_TENANT);
+  }
+
+  async getPolicy(tenantId = GLOBAL_TENANT) {
+    const entry = await this.getPolicyEntry(tenantId);
+    return entry.policy;
+  }
+
+  async getPolicyEntry(tenantId = GLOBAL_TENANT) {
+    const cached = this.policies.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    let loaded = null;
+    if (this.policyLoader && tenantId !== GLOBAL_TENANT) {
+      try {
+        loaded = await this.policyLoader(tenantId);
+      } catch (error) {
+        // Fall back to the default policy rather than sending nothing at all
+        console.warn(`Redaction policy for ${tenantId} could not be loaded:`, error.message);
+      }
+    }
+
+    const policy = normalizePolicy({ ...this.defaultPolicy, ...(loaded || {}) });
+    const entry = { policy, matcher: buildTermMatcher(policy), expiresAt: Date.now() + this.policyTtl };
+    this.policies.set(tenantId, entry);
+    return entry;
+  }
+
+  /**
+   * Redact one text
+   *
+   * @param {string} text
+   * @param {Object} scope - { tenantId, terms } (see top of file)
+   * @returns {{ text, vault, findings }} vault maps placeholders back to the originals
+   * @throws {RedactionBlockedError} when the text contains a blocked class
+   */
+  async redact(text, scope = {}) {
+    const { request, vault, findings } = await this.redactRequest({ messages: [{ role: 'user', content: text }] }, scope);
+    return { text: request.messages[0].content, vault, findings };
+  }
+
+  /**
+   * Redact the system prompt and message text of a registry request
+   *
+   * @returns {{ request, vault, findings }} findings counts spans by class
+   * @throws {RedactionBlockedError}
+   */
+  async redactRequest(request, scope = {}) {
+    const tenantId = scope.tenantId || GLOBAL_TENANT;
+    const vault = new Map();
+    const findings = {};
+
+    if (!this.enabled) {
+      return { request, vault, findings };
+    }
+
+    const { policy, matcher } = await this.getPolicyEntry(tenantId);
+    if (!policy.enabled) {
+      return { request, vault, findings };
+    }
+
+    const callMatcher = scope.terms ? buildTermMatcher({ dictionaries: scope.terms }) : null;
+    const context = { tenantId, policy, matchers: [matcher, callMatcher].filter(Boolean), vault, findings };
+
+    const redacted = { ...request };
+    if (typeof request.system === 'string') {
+      redacted.system = this.redactText(request.system, context);
+    }
+    if (Array.isArray(request.messages)) {
+      redacted.messages = request.messages.map(message => this.redactMessage(message, context));
+    }
+
+    const blocked = Object.keys(findings).filter(type => policy.block.includes(type));
+    if (blocked.length > 0) {
+      this.stats.blocked++;
+      this.emit('redaction_blocked', { tenantId, types: blocked });
+      throw new RedactionBlockedError(blocked, tenantId);
+    }
+
+    const total = Object.values(findings).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      this.stats.redactedRequests++;
+      Object.entries(findings).forEach(([type, count]) => {
+        this.stats.byType[type] = (this.stats.byType[type] || 0) + count;
+      });
+      // Counts only: the values themselves never leave this module
+      this.emit('request_redacted', { tenantId, findings });
+    }
+    this.stats.requests++;
+
+    return { request: redacted, vault, findings };
+  }
+
+  redactMessage(message, context) {
+    if (typeof message.content === 'string') {
+      return { ...message, content: this.redactText(message.content, context) };
+    }
+
+    if (Array.isArray(message.content)) {
+      return {
+        ...message,
+        content: message.content.map(part => (part && typeof part.text === 'string'
+          ? { ...part, text: this.redactText(part.text, context) }
+          : part))
+      };
+    }
+
+    return message;
+  }
+
+  redactText(text, { tenantId, policy, matchers, vault, findings }) {
+    const spans = this.detect(text, matchers)
+      .filter(span => !policy.allow.includes(span.type));
+
+    if (spans.length === 0) {
+      return text;
+    }
+
+    let result = '';
+    let cursor = 0;
+
+    spans.forEach(span => {
+      const original = text.slice(span.start, span.end);
+      const placeholder = this.placeholder(tenantId, span.type, original);
+
+      if (!vault.has(placeholder)) {
+        vault.set(placeholder, original);
+      }
+      findings[span.type] = (findings[span.type] || 0) + 1;
+
+      result += text.slice(cursor, span.start) + placeholder;
+      cursor = span.end;
+    });
+
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * Sensitive spans in a text, without overlaps, in order
+   */
+  detect(text, matchers = []) {
+    const candidates = [];
+
+    matchers.forEach(matcher => {
+      matcher.forEach(({ type, pattern }) => collectMatches(text, { type, pattern }, candidates));
+    });
+    PATTERN_DETECTORS.forEach(detector => collectMatches(text, detector, candidates));
+
+    // Longest span wins an overlap; on equal length the earlier detector does
+    const accepted = [];
+    candidates
+      .map((span, order) => ({ ...span, order }))
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.order - b.order)
+      .forEach(span => {
+        if (!accepted.some(other => span.start < other.end && other.start < span.end)) {
+          accepted.push(span);
+        }
+      });
+
+    return accepted.sort((a, b) => a.start - b.start);
+  }
+
+  placeholder(tenantId, type, value) {
+    const digest = crypto.createHmac('sha256', this.key)
+      .update(`${tenantId}\u0000${type}\u0000${value.trim().toLowerCase()}`)
+      .digest('hex')
+      .slice(0, 8);
+
+    return `[${type.toUpperCase()}_${digest}]`;
+  }
+
+  /**
+   * Put original values back into a response: its content and tool call
+   * arguments. Placeholders not in the vault are left as they are.
+   */
+  rehydrateResponse(response, vault) {
+    if (!response || vault.size === 0) {
+      return response;
+    }
+
+    return {
+      ...response,
+      content: this.rehydrate(response.content, vault),
+      toolCalls: response.toolCalls ? this.rehydrate(response.toolCalls, vault) : response.toolCalls
+    };
+  }
+
+  /**
+   * Rehydrate a string, or every string in an array or object
+   */
+  rehydrate(value, vault) {
+    if (typeof value === 'string') {
+      return vault.size === 0 ? value : value.replace(PLACEHOLDER_PATTERN, match => (vault.has(match) ? vault.get(match) : match));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.rehydrate(item, vault));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.rehydrate(item, vault)]));
+    }
+    return value;
+  }
+
+  /**
+   * Rehydrates streamed text. A placeholder can be split across deltas, so
+   * text from an unclosed '[' on is held back until it closes or grows too
+   * long to be a placeholder.
+   */
+  createStreamRehydrator(vault) {
+    let pending = '';
+
+    return {
+      push: text => {
+        pending += text;
+        const open = pending.lastIndexOf('[');
+        const holdFrom = open !== -1 && pending.indexOf(']', open) === -1 && pending.length - open < 48
+          ? open
+          : pending.length;
+
+        const ready = pending.slice(0, holdFrom);
+        pending = pending.slice(holdFrom);
+        return this.rehydrate(ready, vault);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = '';
+        return this.rehydrate(rest, vault);
+      }
+    };
+  }
+
+  getStats() {
+    return { enabled: this.enabled, ...this.stats, byType: { ...this.stats.byType } };
+  }
+
+  resetStats() {
+    this.stats = this.createStats();
+  }
+
+  createStats() {
+    return { requests: 0, redactedRequests: 0, blocked: 0, byType: {} };
+  }
+}
+
+function collectMatches(text, { type, pattern, group, validate }, candidates) {
+  pattern.lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    const value = group ? match[group] : match[0];
+    if (!value || (validate && !validate(value))) continue;
+
+    const start = match.index + (group ? match[0].indexOf(value) : 0);
+    candidates.push({ type, start, end: start + value.length });
+  }
+}
+
+/**
+ * Case-insensitive whole-word matchers for a policy's custom terms and
+ * dictionaries, one per class
+ */
+function buildTermMatcher(policy) {
+  const termsByType = { ...(policy.dictionaries || {}) };
+  if (policy.customTerms?.length) {
+    termsByType.custom = [...(termsByType.custom || []), ...policy.customTerms];
+  }
+
+  return Object.entries(termsByType)
+    .map(([type, terms]) => {
+      const words = Array.from(new Set((terms || []).map(term => String(term).trim()).filter(term => term.length > 1)))
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+
+      return words.length > 0
+        ? { type, pattern: new RegExp(`(?<![\\w@])(?:${words.join('|')})(?![\\w@])`, 'gi') }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+function normalizePolicy(policy) {
+  return {
+    enabled: policy.enabled !== false,
+    block: [].concat(policy.block || []),
+    allow: [].concat(policy.allow || []),
+    customTerms: [].concat(policy.customTerms || []),
+    dictionaries: policy.dictionaries || {}
+  };
+}
+
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function countDigits(value) {
+  return value.replace(/\D/g, '').length;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+let sharedRedactor = null;
+
+/**
+ * The process-wide redactor used by the shared provider registry
+ */
+function getRedactor() {
+  if (!sharedRedactor) {
+    sharedRedactor = new Redactor();
+  }
+  return sharedRedactor;
+}
+
+module.exports = {
+  Redactor,
+  RedactionBlockedError,
+  getRedactor,
+  PATTERN_DETECTORS
+};
@@ -0,0 +1,420 @@
+/**
+ * AI Response Cache
+ *
+ * Caches provider responses so the same definition, knowledge synthesis or
+ * templated prompt is not paid for in every meeting. The provider registry
+ * consults it when a call passes a cache scope:
+ *
+ *   registry.complete('openai', request, {
+ *     cache: {
+ *       task,                     // selects the TTL and whether similar requests may match
+ *       tenantId,                 // required: entries are never shared across tenants,
+ *                                 // and calls without a tenant are not cached
+ *       templateId, promptVersion,// a new version of the template misses old entries
+ *       key,                      // optional: the text that determines the answer
+ *                                 // (e.g. the term being defined) instead of the prompt
+ *       vary,                     // optional: anything else the answer depends on, matched exactly
+ *       ttl, semantic             // per-call overrides of the task policy
+ *     }
+ *   });
+ *
+ * Lookups match exactly first, then (for tasks that allow it) by embedding
+ * similarity of the key or last user message among entries with the same
+ * tenant, provider, model, system prompt, template version and parameters.
+ *
+ * A cached response has zero usage, so cost tracking counts nothing, and a
+ * `cache` field: { match: 'exact' | 'semantic', similarity, createdAt, savedUsage }.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const ReplayProvider = require('./providers/replay-provider');
+const { createEmbeddingProvider, cosineSimilarity } = require('../services/embedding-providers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// ttl in ms (0 disables caching); semantic allows similarity matches
+const TASK_POLICIES = {
+  definition: { ttl: 7 * 24 * HOUR, semantic: true },
+  knowledge_synthesis: { ttl: 6 * HOUR, semantic: true },
+  summary: { ttl: 24 * HOUR, semantic: false },
+  action_items: { ttl: 24 * HOUR, semantic: false },
+  decisions: { ttl: 24 * HOUR, semantic: false },
+  coaching_tip: { ttl: 0, semantic: false },
+  default: { ttl: 15 * MINUTE, semantic: false }
+};
+
+class ResponseCache extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.enabled = config.enabled !== undefined ? config.enabled : process.env.AI_RESPONSE_CACHE_ENABLED !== 'false';
+    this.maxEntries = parseInt(config.maxEntries || process.env.AI_RESPONSE_CACHE_MAX_ENTRIES || '2000');
+    this.similarityThreshold = parseFloat(config.similarityThreshold || process.env.AI_RESPONSE_CACHE_SIMILARITY || '0.95');
+    this.policies = { ...TASK_POLICIES, ...(config.policies || {}) };
+    this.embeddingProvider = config.embeddingProvider || createEmbeddingProvider({
+      provider: process.env.AI_RESPONSE_CACHE_EMBEDDING_PROVIDER || process.env.EMBEDDING_PROVIDER
+    });
+
+    // key -> entry, in least recently used order
+    this.entries = new Map();
+    // namespace -> Set of keys, for similarity lookups
+    this.namespaces = new Map();
+    // templateId -> current prompt version
+    this.promptVersions = new Map();
+
+    this.stats = this.createStats();
+
+    // Cost trackers listen for hits on the shared cache
+    this.setMaxListeners(50);
+  }
+
+  /**
+   * TTL and similarity policy for a task, with per-call overrides
+   */
+  getPolicy(scope = {}) {
+    const policy = this.policies[scope.task] || this.policies.default;
+    return {
+      ttl: scope.ttl ?? policy.ttl,
+      semantic: scope.semantic ?? policy.semantic
+    };
+  }
+
+  /**
+   * Cached response for a request, or null
+   *
+   * @param {string} provider - Registry provider name
+   * @param {Object} request - Normalized registry request
+   * @param {Object} scope - Cache scope (see top of file)
+   */
+  async get(provider, request, scope = {}) {
+    const policy = this.getPolicy(scope);
+    if (!this.enabled || policy.ttl <= 0) {
+      return null;
+    }
+    if (!scope.tenantId) {
+      // Without a tenant, one tenant's answer could be served to another
+      // (a scope key stands in for the prompt)
+      this.stats.unscoped++;
+      return null;
+    }
+
+    const lookup = this.describe(provider, request, scope);
+    this.stats.lookups++;
+
+    let entry = this.getLive(lookup.key);
+    let match = 'exact';
+    let similarity = 1;
+
+    if (!entry && policy.semantic) {
+      const nearest = await this.findSimilar(lookup);
+      if (nearest) {
+        ({ entry, similarity } = nearest);
+        match = 'semantic';
+      }
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      this.countTask(scope.task, 'misses');
+      this.emit('cache_miss', { provider, model: request.model, task: scope.task, tenantId: lookup.tenantId });
+      return null;
+    }
+
+    // Most recently used last
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    entry.hits++;
+
+    const savedUsage = entry.response.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    this.stats.hits[match]++;
+    this.countTask(scope.task, 'hits');
+    Object.keys(this.stats.savedTokens).forEach(field => { this.stats.savedTokens[field] += savedUsage[field] || 0; });
+
+    this.emit('cache_hit', {
+      provider,
+      model: entry.response.model,
+      task: scope.task,
+      tenantId: lookup.tenantId,
+      match,
+      similarity,
+      savedUsage
+    });
+
+    return {
+      ...entry.response,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      latencyMs: 0,
+      cache: { match, similarity, createdAt: new Date(entry.createdAt).toISOString(), savedUsage }
+    };
+  }
+
+  /**
+   * Store a response. Truncated answers and tool calls are not cached: the
+   * first is incomplete and the second depends on state outside the prompt.
+   */
+  async set(provider, request, response, scope = {}) {
+    const policy = this.getPolicy(scope);
+    if (!this.enabled || policy.ttl <= 0 || !scope.tenantId ||
+      response.finishReason === 'length' || response.toolCalls?.length > 0) {
+      return false;
+    }
+
+    const lookup = this.describe(provider, request, scope);
+    const { raw, latencyMs, cache, ...stored } = response;
+    let embedding = null;
+
+    if (policy.semantic) {
+      embedding = await this.embed(lookup.text);
+    }
+
+    this.delete(lookup.key);
+    this.entries.set(lookup.key, {
+      key: lookup.key,
+      namespace: lookup.namespace,
+      tenantId: lookup.tenantId,
+      task: scope.task || null,
+      templateId: scope.templateId || null,
+      promptVersion: lookup.promptVersion,
+      provider,
+      response: stored,
+      embedding,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + policy.ttl,
+      hits: 0
+    });
+
+    if (!this.namespaces.has(lookup.namespace)) {
+      this.namespaces.set(lookup.namespace, new Set());
+    }
+    this.namespaces.get(lookup.namespace).add(lookup.key);
+    this.stats.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the current version of a prompt template. Entries cached under
+   * any other version are dropped; calls naming only the template resolve to
+   * this version.
+   */
+  setPromptVersion(templateId, version) {
+    this.promptVersions.set(templateId, String(version));
+
+    return this.invalidate(entry => entry.templateId === templateId && entry.promptVersion !== String(version), {
+      reason: 'prompt_version_changed',
+      templateId,
+      version: String(version)
+    });
+  }
+
+  /**
+   * Drop entries matching a filter: { tenantId, task, templateId, provider }
+   * or a predicate on the entry. Returns the number dropped.
+   */
+  invalidate(filter = {}, details = {}) {
+    const matches = typeof filter === 'function'
+      ? filter
+      : entry => Object.entries(filter).every(([field, value]) => value === undefined || entry[field] === value);
+
+    let removed = 0;
+    for (const entry of Array.from(this.entries.values())) {
+      if (matches(entry)) {
+        this.delete(entry.key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.stats.invalidations += removed;
+      this.emit('cache_invalidated', { removed, ...(typeof filter === 'function' ? {} : filter), ...details });
+    }
+
+    return removed;
+  }
+
+  invalidateTenant(tenantId) {
+    if (!tenantId) {
+      throw new Error('invalidateTenant requires a tenantId');
+    }
+    return this.invalidate({ tenantId });
+  }
+
+  clear() {
+    this.entries.clear();
+    this.namespaces.clear();
+  }
+
+  getStats() {
+    const hits = this.stats.hits.exact + this.stats.hits.semantic;
+
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      ...this.stats,
+      hitRate: this.stats.lookups ? hits / this.stats.lookups : 0
+    };
+  }
+
+  resetStats() {
+    this.stats = this.createStats();
+  }
+
+  createStats() {
+    return {
+      lookups: 0,
+      hits: { exact: 0, semantic: 0 },
+      misses: 0,
+      stores: 0,
+      evictions: 0,
+      expirations: 0,
+      invalidations: 0,
+      unscoped: 0,
+      savedTokens: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      byTask: {}
+    };
+  }
+
+  countTask(task, field) {
+    const counters = this.stats.byTask[task || 'default'] || (this.stats.byTask[task || 'default'] = { hits: 0, misses: 0 });
+    counters[field]++;
+  }
+
+  /**
+   * Cache key, similarity namespace and similarity text for a request.
+   * The namespace holds everything that must match exactly; the text is
+   * what may match by similarity.
+   */
+  describe(provider, request, scope) {
+    const tenantId = String(scope.tenantId);
+    const promptVersion = scope.promptVersion !== undefined
+      ? String(scope.promptVersion)
+      : (this.promptVersions.get(scope.templateId) || null);
+    const normalized = ReplayProvider.normalizeRequest(request);
+    const messages = normalized.messages || [];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+
+    let text;
+    const exact = { ...normalized };
+
+    if (scope.key !== undefined) {
+      text = String(scope.key);
+      delete exact.messages;
+    } else {
+      text = typeof lastUser?.content === 'string' ? lastUser.content : JSON.stringify(lastUser?.content || '');
+      exact.messages = messages.filter(message => message !== lastUser);
+    }
+
+    const namespace = hash({
+      tenantId,
+      provider,
+      task: scope.task || null,
+      templateId: scope.templateId || null,
+      promptVersion,
+      vary: scope.vary === undefined ? null : scope.vary,
+      request: exact
+    });
+
+    return {
+      tenantId,
+      promptVersion,
+      namespace,
+      text,
+      key: `${namespace}:${hash(text.replace(/\s+/g, ' ').trim())}`
+    };
+  }
+
+  async findSimilar(lookup) {
+    const keys = this.namespaces.get(lookup.namespace);
+    if (!keys || keys.size === 0) {
+      return null;
+    }
+
+    const embedding = await this.embed(lookup.text);
+    if (!embedding) {
+      return null;
+    }
+
+    let best = null;
+    for (const key of Array.from(keys)) {
+      const entry = this.getLive(key);
+      if (!entry?.embedding) continue;
+
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { entry, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Entry for a key unless it has expired (expired entries are dropped)
+   */
+  getLive(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      this.stats.expirations++;
+      return null;
+    }
+
+    return entry;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    const keys = this.namespaces.get(entry.namespace);
+    keys?.delete(key);
+    if (keys?.size === 0) {
+      this.namespaces.delete(entry.namespace);
+    }
+  }
+
+  /**
+   * Embedding of a lookup text; a failing embedding provider only costs the
+   * similarity match
+   */
+  async embed(text) {
+    try {
+      return await this.embeddingProvider.embed(text);
+    } catch (error) {
+      console.warn('Response cache embedding failed:', error.message);
+      return null;
+    }
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 32);
+}
+
+let sharedCache = null;
+
+/**
+ * The process-wide cache used by the shared provider registry
+ */
+function getResponseCache() {
+  if (!sharedCache) {
+    sharedCache = new ResponseCache();
+  }
+  return sharedCache;
+}
+
+module.exports = {
+  ResponseCache,
+  getResponseCache,
+  TASK_POLICIES
+};
@@ -0,0 +1,254 @@
+/**
+ * Structured Output Service
+ *
+ * Asks a provider for JSON matching a task's schema and makes sure that is
+ * what callers get. Answers are parsed and validated; an invalid answer is
+ * sent back to the model with the validation errors for a repair attempt.
+ * When repairs run out the last answer is returned marked `degraded`, with
+ * its errors, instead of being dropped.
+ *
+ * Result:
+ *   {
+ *     data,                       // parsed answer, null if it never parsed
+ *     valid, repaired, degraded,
+ *     errors: [{ path, message }], // empty when valid
+ *     attempts, task, provider, model,
+ *     usage,                      // summed over repair attempts
+ *     response                    // the last provider response
+ *   }
+ *
+ * Schema-failure rates are tracked per model (see getMetrics()).
+ */
+
+const EventEmitter = require('events');
+const { getProviderRegistry } = require('./provider-registry');
+const { OutputSchemaRegistry, parseJsonOutput } = require('./output-schemas');
+
+class StructuredOutputService extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.registry = config.registry || getProviderRegistry();
+    this.schemas = config.schemas || new OutputSchemaRegistry();
+    this.maxRepairs = parseInt(config.maxRepairs ?? process.env.STRUCTURED_OUTPUT_MAX_REPAIRS ?? '1');
+
+    // `${provider}/${model}` -> counters
+    this.metrics = new Map();
+  }
+
+  /**
+   * Request a schema-valid answer for a task
+   *
+   * @param {string} provider - Registered provider name
+   * @param {Object} request - Provider registry request (see provider-registry.js)
+   * @param {Object} options - { task } the output schema to enforce,
+   *   { maxRepairs }, { registry } to send through another registry, plus
+   *   registry.complete options (attempts, signal)
+   */
+  async complete(provider, request, options = {}) {
+    const { task, registry = this.registry, maxRepairs = this.maxRepairs, ...completeOptions } = options;
+    const schema = this.schemas.get(task);
+
+    if (!schema) {
+      throw new Error(`No output schema registered for task: ${task}`);
+    }
+
+    const { prompt, ...baseRequest } = request;
+    let messages = request.messages || [{ role: 'user', content: prompt }];
+    const system = [request.system, this.buildSchemaInstructions(schema)].filter(Boolean).join('\n\n');
+    const errorsByAttempt = [];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let result;
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+      const response = await registry.complete(provider, {
+        ...baseRequest,
+        system,
+        messages,
+        responseFormat: 'json'
+      }, completeOptions);
+
+      Object.keys(usage).forEach(key => { usage[key] += response.usage?.[key] || 0; });
+      result = this.check(response.content, task);
+
+      if (result.valid) {
+        const outcome = attempt === 1 ? 'valid' : 'repaired';
+        this.recordOutcome(provider, response.model, task, outcome, errorsByAttempt);
+
+        if (attempt > 1) {
+          this.emit('output_repaired', { task, provider, model: response.model, attempts: attempt, errors: errorsByAttempt.flat() });
+        }
+
+        return this.buildResult(result, { task, provider, response, usage, attempts: attempt, repaired: attempt > 1 });
+      }
+
+      errorsByAttempt.push(result.errors);
+
+      this.emit('validation_failed', {
+        task,
+        provider,
+        model: response.model,
+        attempt,
+        errors: result.errors
+      });
+
+      if (attempt <= maxRepairs) {
+        messages = [
+          ...messages,
+          { role: 'assistant', content: response.content || '' },
+          { role: 'user', content: this.buildRepairPrompt(result.errors) }
+        ];
+      }
+
+      result.response = response;
+    }
+
+    this.recordOutcome(provider, result.response.model, task, 'degraded', errorsByAttempt);
+    this.emit('output_degraded', { task, provider, model: result.response.model, errors: result.errors });
+
+    return this.buildResult(result, {
+      task,
+      provider,
+      response: result.response,
+      usage,
+      attempts: maxRepairs + 1,
+      degraded: true
+    });
+  }
+
+  /**
+   * Validate an answer that was obtained elsewhere. Without a registered
+   * schema for the task only JSON parsing is checked. Counts towards the
+   * model's metrics when provider or model are given.
+   *
+   * @returns {{ data, valid, errors }}
+   */
+  validate(content, { task, provider, model } = {}) {
+    const result = this.check(content, task);
+
+    if (provider || model) {
+      this.recordOutcome(provider, model, this.schemas.resolve(task) || 'json', result.valid ? 'valid' : 'degraded', [result.errors]);
+    }
+
+    return result;
+  }
+
+  check(content, task) {
+    const { data, error } = parseJsonOutput(content);
+
+    if (error) {
+      return { data: null, valid: false, errors: [{ path: '$', message: error, parseError: true }] };
+    }
+
+    if (!this.schemas.has(task)) {
+      return { data, valid: true, errors: [] };
+    }
+
+    return { data, ...this.schemas.validate(task, data) };
+  }
+
+  buildResult(result, { task, provider, response, usage, attempts, repaired = false, degraded = false }) {
+    return {
+      data: result.data,
+      valid: result.valid,
+      repaired,
+      degraded,
+      errors: result.errors,
+      attempts,
+      task: this.schemas.resolve(task),
+      provider,
+      model: response.model,
+      usage,
+      response
+    };
+  }
+
+  buildSchemaInstructions(schema) {
+    return `Respond with a single JSON object that matches this JSON Schema. Do not add prose or code fences.\n${JSON.stringify(schema)}`;
+  }
+
+  buildRepairPrompt(errors) {
+    const problems = errors.slice(0, 20).map(error => `- ${error.path}: ${error.message}`).join('\n');
+    return `Your previous answer did not match the required JSON Schema:\n${problems}\n\nReturn the corrected JSON object only.`;
+  }
+
+  /**
+   * Count an outcome. Every failed attempt is a schema failure, so a repaired
+   * answer counts one failure per repair.
+   */
+  recordOutcome(provider, model, task, outcome, errorsByAttempt = []) {
+    const key = `${provider || 'unknown'}/${model || 'unknown'}`;
+
+    if (!this.metrics.has(key)) {
+      this.metrics.set(key, { provider, model, byTask: {} });
+    }
+
+    const entry = this.metrics.get(key);
+    const taskKey = task || 'json';
+    const counters = entry.byTask[taskKey] || (entry.byTask[taskKey] = {
+      requests: 0,
+      valid: 0,
+      repaired: 0,
+      degraded: 0,
+      attempts: 0,
+      schemaFailures: 0,
+      parseFailures: 0
+    });
+
+    counters.requests++;
+    counters[outcome]++;
+
+    const failedAttempts = errorsByAttempt.filter(errors => errors.length > 0);
+    counters.attempts += failedAttempts.length + (outcome === 'degraded' ? 0 : 1);
+    failedAttempts.forEach(errors => {
+      if (errors.some(error => error.parseError)) {
+        counters.parseFailures++;
+      } else {
+        counters.schemaFailures++;
+      }
+    });
+  }
+
+  /**
+   * Schema-failure rates per model: the share of attempts that failed
+   * validation, and the share of requests that ended degraded
+   */
+  getMetrics() {
+    return Array.from(this.metrics.values()).map(entry => {
+      const totals = Object.values(entry.byTask).reduce((sum, counters) => {
+        Object.keys(counters).forEach(key => { sum[key] = (sum[key] || 0) + counters[key]; });
+        return sum;
+      }, {});
+
+      return {
+        provider: entry.provider,
+        model: entry.model,
+        ...totals,
+        failureRate: totals.attempts ? (totals.schemaFailures + totals.parseFailures) / totals.attempts : 0,
+        degradedRate: totals.requests ? totals.degraded / totals.requests : 0,
+        byTask: entry.byTask
+      };
+    });
+  }
+
+  resetMetrics() {
+    this.metrics.clear();
+  }
+}
+
+let sharedService = null;
+
+/**
+ * The process-wide service, so schema-failure metrics cover every caller
+ */
+function getStructuredOutputService() {
+  if (!sharedService) {
+    sharedService = new StructuredOutputService();
+  }
+  return sharedService;
+}
+
+module.exports = {
+  StructuredOutputService,
+  getStructuredOutputService
+};
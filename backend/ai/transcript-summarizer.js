@@ -0,0 +1,676 @@
+/**
+ * Transcript Summarizer
+ *
+ * Summarizes transcripts too long for a single prompt with map-reduce:
+ * the transcript is split into chunks on speaker turns, preferring topic
+ * shifts as cut points; chunks are summarized in parallel; the partial
+ * summaries are then merged level by level until one remains.
+ *
+ * Chunk size comes from the model's context window (see AIMLAPIClient
+ * models), less the prompt and room for the answer and a repair attempt.
+ * Short transcripts fit one chunk and take a single call.
+ *
+ * Result:
+ *   {
+ *     summary, keyPoints, nextSteps, sentiment,
+ *     actionItems, decisions,     // each with sources: [{ chunkId, start, end, speaker, quote }]
+ *     sections,                   // per chunk: { chunkId, start, end, speakers, summary, keyPoints }
+ *     degraded,                   // a chunk failed or an answer never matched its schema
+ *     stats                       // model, budget, chunk and call counts, usage, cost
+ *   }
+ *
+ * Times are seconds from the start of the meeting, null when the transcript
+ * has none.
+ */
+
+const EventEmitter = require('events');
+const { getProviderRegistry } = require('./provider-registry');
+const { getStructuredOutputService } = require('./structured-output');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const MIN_CHUNK_TOKENS = 1000;
+
+// Turns opening with these usually start a new agenda item
+const TOPIC_CUE_PATTERN = /^(?:(?:ok(?:ay)?|alright|right|so)[,.]?\s+)*(?:moving on|next (?:item|topic|up|on the agenda)|let'?s (?:move|turn|switch|talk about|go to|get to)|on to|turning to|switching gears|another (?:topic|thing)|the next (?:item|topic|agenda item))/i;
+
+// Silence long enough to suggest a break between topics
+const TOPIC_GAP_SECONDS = 60;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'and', 'are', 'back', 'been', 'but', 'can', 'could', 'did',
+  'does', 'doing', 'don', 'for', 'from', 'get', 'going', 'good', 'got', 'had', 'has', 'have',
+  'here', 'how', 'just', 'know', 'like', 'make', 'maybe', 'more', 'need', 'not', 'now', 'okay',
+  'one', 'our', 'out', 'really', 'right', 'say', 'see', 'should', 'some', 'that', 'the', 'their',
+  'them', 'then', 'there', 'they', 'think', 'this', 'was', 'way', 'we', 'well', 'were', 'what',
+  'when', 'which', 'who', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your'
+]);
+
+const SPEAKER_LINE_PATTERN = /^\s*(?:\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\s*)?([^:\n]{1,60}?)\s*:\s+(.+)$/;
+
+class TranscriptSummarizer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.client = config.client || null;
+    this.registry = config.registry || this.client?.registry || getProviderRegistry();
+    this.structuredOutput = config.structuredOutput || getStructuredOutputService();
+    this.modelMetadata = config.models || null;
+
+    this.provider = config.provider || process.env.TRANSCRIPT_SUMMARY_PROVIDER || 'aimlapi';
+    this.model = config.model || process.env.TRANSCRIPT_SUMMARY_MODEL || 'grok-4-fast';
+    this.maxChunkTokens = parseInt(config.maxChunkTokens || process.env.TRANSCRIPT_CHUNK_MAX_TOKENS || '24000');
+    this.outputTokens = parseInt(config.outputTokens || '2048');
+    this.concurrency = parseInt(config.concurrency || process.env.TRANSCRIPT_SUMMARY_CONCURRENCY || '4');
+    this.reduceFanIn = parseInt(config.reduceFanIn || '6');
+  }
+
+  /**
+   * Model metadata (context window, cost per 1K tokens), from the AIMLAPI
+   * client unless given in config
+   */
+  get models() {
+    if (!this.modelMetadata) {
+      if (!this.client) {
+        // Required lazily: the client starts health monitoring when created
+        const AIMLAPIClient = require('./aimlapi-client');
+        this.client = new AIMLAPIClient({ registry: this.registry });
+      }
+      this.modelMetadata = this.client.models;
+    }
+    return this.modelMetadata;
+  }
+
+  /**
+   * Token budget for one call to a model. Beyond the prompt, the context
+   * must hold the answer twice over: a repair attempt resends it.
+   */
+  getTokenBudget(model = this.model) {
+    const contextWindow = this.models[model]?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const schema = this.structuredOutput.schemas.get('summary');
+    const promptTokens = estimateTokens(this.buildChunkSystemPrompt() + JSON.stringify(schema)) + 100;
+    const available = contextWindow - promptTokens - 2 * this.outputTokens;
+
+    return {
+      model,
+      contextWindow,
+      outputTokens: this.outputTokens,
+      chunkTokens: Math.max(MIN_CHUNK_TOKENS, Math.min(this.maxChunkTokens, available))
+    };
+  }
+
+  /**
+   * Whether a transcript is too long to summarize in one call
+   */
+  needsChunking(input, model = this.model) {
+    const text = typeof input === 'string' ? input : toTurns(input).map(renderTurn).join('\n');
+    return estimateTokens(text) > this.getTokenBudget(model).chunkTokens;
+  }
+
+  /**
+   * Summarize a transcript
+   *
+   * @param {Object|Array|string} input - meetingData ({ segments, transcript,
+   *   title }), an array of segments ({ speaker, start, end, text }) or
+   *   transcript text with one "Speaker: text" turn per line
+   * @param {Object} options - { model }, { title }, { signal } to cancel,
+   *   { redaction } scope for the provider registry (see redaction.js)
+   */
+  async summarize(input, options = {}) {
+    const startTime = Date.now();
+    const model = options.model || this.model;
+    const budget = this.getTokenBudget(model);
+    const chunks = chunkTranscript(input, { maxTokens: budget.chunkTokens });
+
+    if (chunks.length === 0) {
+      throw new Error('Transcript is empty');
+    }
+
+    const run = {
+      model,
+      title: options.title || input?.title || null,
+      signal: options.signal,
+      redaction: options.redaction,
+      calls: 0,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+
+    // Map: summarize chunks in parallel
+    const sections = await mapWithConcurrency(chunks, this.concurrency, chunk => this.summarizeChunk(chunk, chunks.length, run));
+    const summarized = sections.filter(section => !section.error);
+
+    if (summarized.length === 0) {
+      throw sections[0].error;
+    }
+
+    // Reduce: merge partial summaries until one remains
+    let level = summarized;
+    let reduceLevels = 0;
+
+    while (level.length > 1) {
+      const groups = this.groupForReduce(level, budget.chunkTokens);
+      level = await mapWithConcurrency(groups, this.concurrency, group => this.mergeSections(group, run));
+      reduceLevels++;
+    }
+
+    const root = level[0];
+    const failedChunks = sections.filter(section => section.error).map(section => section.chunkId);
+    const degradedChunks = summarized.filter(section => section.degraded).map(section => section.chunkId);
+    const costPer1K = this.models[model]?.cost;
+
+    const result = {
+      summary: root.summary,
+      keyPoints: root.keyPoints,
+      nextSteps: dedupeStrings(summarized.flatMap(section => section.nextSteps)),
+      sentiment: root.sentiment || combineSentiment(summarized),
+      actionItems: mergeItems(summarized, 'actionItems', item => item.description),
+      decisions: mergeItems(summarized, 'decisions', item => item.decision),
+      sections: sections.map(({ chunkId, start, end, speakers, summary, keyPoints, degraded, error }) => ({
+        chunkId,
+        start,
+        end,
+        speakers,
+        summary: summary || null,
+        keyPoints: keyPoints || [],
+        degraded: Boolean(degraded || error),
+        ...(error ? { error: error.message } : {})
+      })),
+      degraded: root.degraded || failedChunks.length > 0,
+      stats: {
+        provider: this.provider,
+        model,
+        contextWindow: budget.contextWindow,
+        chunkTokens: budget.chunkTokens,
+        transcriptTokens: chunks.reduce((sum, chunk) => sum + chunk.tokens, 0),
+        chunks: chunks.length,
+        failedChunks,
+        degradedChunks,
+        reduceLevels,
+        calls: run.calls,
+        usage: run.usage,
+        cost: costPer1K !== undefined ? (run.usage.totalTokens / 1000) * costPer1K : null,
+        durationMs: Date.now() - startTime
+      }
+    };
+
+    this.emit('summary_completed', { model, ...result.stats });
+
+    return result;
+  }
+
+  /**
+   * Map step. A chunk that fails is returned with its error so the rest of
+   * the meeting can still be summarized.
+   */
+  async summarizeChunk(chunk, totalChunks, run) {
+    const section = {
+      chunkId: chunk.id,
+      start: chunk.start,
+      end: chunk.end,
+      speakers: chunk.speakers,
+      chunkIds: [chunk.id]
+    };
+
+    const header = [
+      run.title ? `Meeting: ${run.title}` : null,
+      `Part ${chunk.index + 1} of ${totalChunks} (${formatTime(chunk.start)} - ${formatTime(chunk.end)})`,
+      chunk.speakers.length > 0 ? `Speakers: ${chunk.speakers.join(', ')}` : null
+    ].filter(Boolean).join('\n');
+
+    try {
+      const result = await this.complete(run, {
+        system: this.buildChunkSystemPrompt(),
+        prompt: `${header}\n\nTranscript:\n${chunk.text}`
+      });
+      const data = result.data || {};
+
+      return {
+        ...section,
+        summary: typeof data.summary === 'string' ? data.summary : '',
+        keyPoints: asArray(data.key_points).filter(point => typeof point === 'string'),
+        nextSteps: asArray(data.next_steps).filter(step => typeof step === 'string'),
+        sentiment: data.sentiment || null,
+        actionItems: asArray(data.action_items)
+          .filter(item => item && typeof item.description === 'string')
+          .map(item => withSource(item, chunk)),
+        decisions: asArray(data.decisions)
+          .filter(item => item && typeof item.decision === 'string')
+          .map(item => withSource(item, chunk)),
+        degraded: result.degraded
+      };
+
+    } catch (error) {
+      // A blocked chunk fails the summary rather than leaving a silent gap
+      if (error.code === 'cancelled' || error.code === 'blocked_content') {
+        throw error;
+      }
+
+      this.emit('chunk_failed', { chunkId: chunk.id, model: run.model, error: error.message });
+      return { ...section, error };
+    }
+  }
+
+  /**
+   * Reduce step for one group. Action items and decisions are merged from
+   * the chunks directly, so only the prose is asked of the model. Should the
+   * call fail, the group is concatenated rather than lost.
+   */
+  async mergeSections(group, run) {
+    if (group.length === 1) {
+      return group[0];
+    }
+
+    const merged = {
+      chunkId: group[0].chunkId,
+      chunkIds: group.flatMap(section => section.chunkIds),
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      speakers: dedupeStrings(group.flatMap(section => section.speakers)),
+      degraded: group.some(section => section.degraded)
+    };
+
+    try {
+      const result = await this.complete(run, {
+        system: 'You merge consecutive partial summaries of one meeting into a single summary. Keep the order in which topics came up and keep names, figures and dates. Do not invent anything that is not in the partial summaries.',
+        prompt: group.map(renderSection).join('\n\n')
+      });
+
+      if (result.data && typeof result.data.summary === 'string') {
+        return {
+          ...merged,
+          summary: result.data.summary,
+          keyPoints: asArray(result.data.key_points).filter(point => typeof point === 'string'),
+          sentiment: result.data.sentiment || combineSentiment(group),
+          degraded: merged.degraded || result.degraded
+        };
+      }
+
+    } catch (error) {
+      if (error.code === 'cancelled' || error.code === 'blocked_content') {
+        throw error;
+      }
+      this.emit('merge_failed', { chunkIds: merged.chunkIds, model: run.model, error: error.message });
+    }
+
+    return {
+      ...merged,
+      summary: group.map(section => section.summary).filter(Boolean).join('\n\n'),
+      keyPoints: dedupeStrings(group.flatMap(section => section.keyPoints)),
+      sentiment: combineSentiment(group),
+      degraded: true
+    };
+  }
+
+  async complete(run, { system, prompt }) {
+    run.calls++;
+
+    const result = await this.structuredOutput.complete(this.provider, {
+      model: run.model,
+      system,
+      prompt,
+      maxTokens: this.outputTokens,
+      temperature: 0.2
+    }, { task: 'summary', registry: this.registry, signal: run.signal, redaction: run.redaction });
+
+    Object.keys(run.usage).forEach(key => { run.usage[key] += result.usage?.[key] || 0; });
+
+    return result;
+  }
+
+  /**
+   * Consecutive groups of sections that fit one reduce call, at least two
+   * per group so every level shrinks
+   */
+  groupForReduce(sections, maxTokens) {
+    const groups = [];
+    let group = [];
+    let tokens = 0;
+
+    sections.forEach(section => {
+      const sectionTokens = estimateTokens(renderSection(section));
+      const full = group.length >= this.reduceFanIn || (group.length >= 2 && tokens + sectionTokens > maxTokens);
+
+      if (full) {
+        groups.push(group);
+        group = [];
+        tokens = 0;
+      }
+      group.push(section);
+      tokens += sectionTokens;
+    });
+
+    // A lone trailing section joins the previous group
+    if (group.length === 1 && groups.length > 0) {
+      groups[groups.length - 1].push(group[0]);
+    } else {
+      groups.push(group);
+    }
+
+    return groups;
+  }
+
+  buildChunkSystemPrompt() {
+    return [
+      'You summarize one part of a longer meeting transcript. Describe only what is said in this part.',
+      'Attribute action items and decisions to the people named in the transcript, and give each one a source_quote: the exact words from the transcript it comes from.',
+      'Use an empty array when there are no action items or decisions.'
+    ].join(' ');
+  }
+}
+
+/**
+ * Split a transcript into chunks of whole speaker turns of at most
+ * maxTokens. Once a chunk is minFill full it is cut at the strongest topic
+ * shift seen so far, rather than wherever it happens to run out of room.
+ *
+ * @returns {Array<{ id, index, start, end, speakers, segmentRange, tokens, turns, text }>}
+ */
+function chunkTranscript(input, options = {}) {
+  const maxTokens = options.maxTokens || 24000;
+  const minFill = options.minFill ?? 0.5;
+  const turns = toTurns(input).flatMap(turn => splitTurn(turn, maxTokens));
+  const scores = turns.map((turn, index) => topicShiftScore(turns, index));
+  const chunks = [];
+
+  let start = 0;
+  while (start < turns.length) {
+    let end = start;
+    let tokens = 0;
+    let bestCut = null;
+
+    while (end < turns.length && (end === start || tokens + turns[end].tokens <= maxTokens)) {
+      if (end > start && tokens >= maxTokens * minFill && (!bestCut || scores[end] >= bestCut.score)) {
+        bestCut = { index: end, score: scores[end] };
+      }
+      tokens += turns[end].tokens;
+      end++;
+    }
+
+    // Out of room before the transcript ended: cut at the best topic shift
+    if (end < turns.length && bestCut) {
+      end = bestCut.index;
+    }
+
+    chunks.push(buildChunk(turns.slice(start, end), chunks.length));
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Merge consecutive segments of one speaker into turns
+ */
+function toTurns(input) {
+  const turns = [];
+
+  toSegments(input).forEach((segment, position) => {
+    const text = String(segment.text || '').trim();
+    if (!text) return;
+
+    const speaker = segment.speaker || segment.speakers?.[0] || null;
+    const index = segment.index ?? position;
+    const previous = turns[turns.length - 1];
+
+    if (previous && previous.speaker === speaker) {
+      previous.text = `${previous.text} ${text}`;
+      previous.end = segment.end ?? segment.start ?? previous.end;
+      previous.segmentRange[1] = index;
+    } else {
+      turns.push({
+        speaker,
+        start: segment.start ?? null,
+        end: segment.end ?? null,
+        text,
+        segmentRange: [index, index]
+      });
+    }
+  });
+
+  turns.forEach(turn => { turn.tokens = estimateTokens(renderTurn(turn)); });
+
+  return turns;
+}
+
+function toSegments(input) {
+  if (Array.isArray(input)) {
+    return input;
+  }
+  if (typeof input === 'string') {
+    return parseTranscriptText(input);
+  }
+  if (Array.isArray(input?.segments) && input.segments.length > 0) {
+    return input.segments;
+  }
+  return parseTranscriptText(input?.transcript || '');
+}
+
+/**
+ * Segments from "[mm:ss] Speaker: text" lines; other lines continue the
+ * previous turn
+ */
+function parseTranscriptText(text) {
+  const segments = [];
+
+  text.replace(/\r\n/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const match = line.match(SPEAKER_LINE_PATTERN);
+    if (match) {
+      segments.push({ speaker: match[2].trim(), start: match[1] ? parseTime(match[1]) : null, end: null, text: match[3] });
+    } else if (segments.length > 0) {
+      segments[segments.length - 1].text += ` ${line}`;
+    } else {
+      segments.push({ speaker: null, start: null, end: null, text: line });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Split a turn too long for one chunk on sentence boundaries, spreading its
+ * time span over the pieces
+ */
+function splitTurn(turn, maxTokens) {
+  if (turn.tokens <= maxTokens) {
+    return [turn];
+  }
+
+  const maxChars = maxTokens * CHARS_PER_TOKEN - renderTurn({ ...turn, text: '' }).length;
+  const sentences = turn.text.match(/[^.!?]+[.!?]*\s*/g) || [turn.text];
+  const pieces = [];
+  let current = '';
+
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    // A single sentence longer than a chunk is cut where it must be
+    while (sentence.length > maxChars) {
+      pieces.push(sentence.slice(0, maxChars));
+      sentence = sentence.slice(maxChars);
+    }
+    current += sentence;
+  });
+  if (current) pieces.push(current);
+
+  const timed = turn.start !== null && turn.end !== null;
+  const duration = timed ? turn.end - turn.start : 0;
+  let offset = 0;
+
+  return pieces.map(text => {
+    const piece = {
+      ...turn,
+      text: text.trim(),
+      start: timed ? turn.start + duration * (offset / turn.text.length) : (offset === 0 ? turn.start : null),
+      end: timed ? turn.start + duration * ((offset + text.length) / turn.text.length) : null
+    };
+    offset += text.length;
+    piece.tokens = estimateTokens(renderTurn(piece));
+    return piece;
+  });
+}
+
+/**
+ * How likely a topic changes where turn `index` begins, 0 to 1: an explicit
+ * cue ("moving on", "next item"), a long silence, or little shared
+ * vocabulary between the turns either side
+ */
+function topicShiftScore(turns, index, window = 3) {
+  if (index === 0) return 0;
+
+  const turn = turns[index];
+  if (TOPIC_CUE_PATTERN.test(turn.text)) return 1;
+
+  const previous = turns[index - 1];
+  const gap = turn.start !== null && previous.end !== null ? turn.start - previous.end : 0;
+
+  const before = contentWords(turns.slice(Math.max(0, index - window), index));
+  const after = contentWords(turns.slice(index, index + window));
+  const union = new Set([...before, ...after]);
+  const shared = [...before].filter(word => after.has(word)).length;
+  const novelty = union.size > 0 ? 1 - shared / union.size : 0;
+
+  return Math.min(1, novelty * 0.8 + (gap >= TOPIC_GAP_SECONDS ? 0.2 : 0));
+}
+
+function contentWords(turns) {
+  const words = turns.map(turn => turn.text).join(' ').toLowerCase().match(/[a-z][a-z'-]{2,}/g) || [];
+  return new Set(words.filter(word => !STOP_WORDS.has(word)));
+}
+
+function buildChunk(turns, index) {
+  const starts = turns.map(turn => turn.start).filter(time => time !== null);
+  const ends = turns.map(turn => turn.end ?? turn.start).filter(time => time !== null);
+
+  return {
+    id: `chunk-${index + 1}`,
+    index,
+    start: starts.length > 0 ? Math.min(...starts) : null,
+    end: ends.length > 0 ? Math.max(...ends) : null,
+    speakers: dedupeStrings(turns.map(turn => turn.speaker).filter(Boolean)),
+    segmentRange: [turns[0].segmentRange[0], turns[turns.length - 1].segmentRange[1]],
+    tokens: turns.reduce((sum, turn) => sum + turn.tokens, 0),
+    turns,
+    text: turns.map(renderTurn).join('\n')
+  };
+}
+
+function renderTurn(turn) {
+  const time = turn.start !== null ? `[${formatTime(turn.start)}] ` : '';
+  return `${time}${turn.speaker ? `${turn.speaker}: ` : ''}${turn.text}`;
+}
+
+function renderSection(section) {
+  const keyPoints = section.keyPoints.map(point => `- ${point}`).join('\n');
+  return `${formatTime(section.start)} - ${formatTime(section.end)}:\n${section.summary}${keyPoints ? `\n${keyPoints}` : ''}`;
+}
+
+/**
+ * Where an item was said: the turn holding its source quote when the model
+ * gave one that can be found, else the whole chunk
+ */
+function withSource(item, chunk) {
+  const quote = typeof item.source_quote === 'string' ? item.source_quote : null;
+  const needle = quote ? normalizeText(quote).slice(0, 60) : '';
+  const turn = needle ? chunk.turns.find(candidate => normalizeText(candidate.text).includes(needle)) : null;
+
+  return {
+    ...item,
+    sources: [{
+      chunkId: chunk.id,
+      start: turn ? turn.start : chunk.start,
+      end: turn ? (turn.end ?? turn.start) : chunk.end,
+      speaker: turn ? turn.speaker : null,
+      quote
+    }]
+  };
+}
+
+/**
+ * Items from every section, in order, with duplicates raised in several
+ * chunks merged into one item listing all of their sources
+ */
+function mergeItems(sections, field, getText) {
+  const merged = new Map();
+
+  sections.flatMap(section => section[field]).forEach(item => {
+    const key = normalizeText(getText(item));
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...item });
+      return;
+    }
+
+    Object.keys(item).forEach(property => {
+      if (existing[property] === undefined || existing[property] === null) {
+        existing[property] = item[property];
+      }
+    });
+    existing.sources = [...existing.sources, ...item.sources];
+  });
+
+  return Array.from(merged.values());
+}
+
+function combineSentiment(sections) {
+  const sentiments = dedupeStrings(sections.map(section => section.sentiment).filter(Boolean));
+  if (sentiments.length === 0) return null;
+  return sentiments.length === 1 ? sentiments[0] : 'mixed';
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function formatTime(seconds) {
+  if (seconds === null || seconds === undefined) return '?';
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function parseTime(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function dedupeStrings(values) {
+  return Array.from(new Set(values));
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+module.exports = {
+  TranscriptSummarizer,
+  chunkTranscript,
+  estimateTokens
+};
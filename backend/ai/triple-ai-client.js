@@ -5,8 +5,9 @@
  * superior meeting intelligence through specialized AI collaboration.
  */
 
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { getProviderRegistry } = require('./provider-registry');
+const { getStructuredOutputService } = require('./structured-output');
+const { getPromptRegistry, mergePromptRefs } = require('./prompt-registry');
 
 class TripleAIClient {
   constructor(config = {}) {
@@ -17,44 +18,51 @@ class TripleAIClient {
       ...config
     };
     
-    // Initialize AI clients
-    this.clients = {
-      gpt5: new OpenAI({
-        apiKey: config.gpt5?.apiKey || process.env.OPENAI_API_KEY,
-        timeout: this.config.timeout
-      }),
-      claude: new Anthropic({
-        apiKey: config.claude?.apiKey || process.env.ANTHROPIC_API_KEY,
-        timeout: this.config.timeout
-      }),
-      gemini: null // Will initialize with Google AI SDK
-    };
+    // All three models are called through the shared provider registry
+    this.registry = config.registry || getProviderRegistry({
+      openai: { apiKey: config.gpt5?.apiKey },
+      anthropic: { apiKey: config.claude?.apiKey },
+      google: { apiKey: config.gemini?.apiKey }
+    });
     
     // AI specialization configuration
     this.specializations = {
       gpt5: {
+        provider: 'openai',
         strengths: ['language-generation', 'reasoning', 'context-understanding'],
         tasks: ['suggestion-generation', 'question-formulation', 'content-creation'],
         model: config.gpt5?.model || 'gpt-4-turbo-preview',
         maxTokens: config.gpt5?.maxTokens || 4096,
-        temperature: config.gpt5?.temperature || 0.7
+        temperature: config.gpt5?.temperature || 0.7,
+        outputSchema: 'reasoning_analysis'
       },
       claude: {
+        provider: 'anthropic',
         strengths: ['analysis', 'accuracy', 'safety'],
         tasks: ['sentiment-analysis', 'risk-assessment', 'fact-checking'],
         model: config.claude?.model || 'claude-3-sonnet-20240229',
         maxTokens: config.claude?.maxTokens || 4096,
-        temperature: config.claude?.temperature || 0.7
+        temperature: config.claude?.temperature || 0.7,
+        outputSchema: 'safety_analysis'
       },
       gemini: {
+        provider: 'google',
         strengths: ['speed', 'multimodal', 'vision'],
         tasks: ['real-time-processing', 'image-analysis', 'quick-responses'],
         model: config.gemini?.model || 'gemini-1.5-pro',
         maxTokens: config.gemini?.maxTokens || 4096,
-        temperature: config.gemini?.temperature || 0.7
+        temperature: config.gemini?.temperature || 0.7,
+        outputSchema: 'quick_analysis'
       }
     };
     
+    // JSON answers are validated (and schema failures counted) here
+    this.structuredOutput = config.structuredOutput || getStructuredOutputService();
+    
+    // System prompts are versioned in the prompt registry; results carry the
+    // version that produced them
+    this.prompts = config.prompts || getPromptRegistry();
+    
     this.synthesizer = new ResponseSynthesizer();
     this.loadBalancer = new AILoadBalancer();
     this.performanceTracker = new PerformanceTracker();
@@ -73,9 +81,6 @@ class TripleAIClient {
       // Test Claude connection
       await this.testConnection('claude');
       
-      // Initialize Gemini (mock for now)
-      this.clients.gemini = new MockGeminiClient(this.config.gemini);
-      
       this.initialized = true;
       console.log('✓ Triple-AI Client initialized successfully');
       
@@ -94,24 +99,14 @@ class TripleAIClient {
     try {
       const prompt = this.buildGPT5Prompt(request);
       
-      const response = await this.clients.gpt5.chat.completions.create({
-        model: this.specializations.gpt5.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getGPT5SystemPrompt(request.task)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.specializations.gpt5.maxTokens,
-        temperature: this.specializations.gpt5.temperature,
-        response_format: { type: 'json_object' }
+      const system = this.renderSystemPrompt('gpt5', request);
+      
+      const answer = await this.completeStructured('gpt5', system.text, prompt, this.specializations.gpt5.outputSchema, {
+        cache: request.cache,
+        redaction: request.redaction
       });
       
-      const result = this.parseGPT5Response(response);
+      const result = this.parseGPT5Response(answer);
       
       this.performanceTracker.recordSuccess('gpt5', Date.now() - startTime);
       
@@ -120,7 +115,8 @@ class TripleAIClient {
         result,
         confidence: this.calculateConfidence(result, 'gpt5'),
         responseTime: Date.now() - startTime,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        prompt: system.ref
       };
       
     } catch (error) {
@@ -143,20 +139,14 @@ class TripleAIClient {
     try {
       const prompt = this.buildClaudePrompt(request);
       
-      const response = await this.clients.claude.messages.create({
-        model: this.specializations.claude.model,
-        max_tokens: this.specializations.claude.maxTokens,
-        temperature: this.specializations.claude.temperature,
-        system: this.getClaudeSystemPrompt(request.task),
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+      const system = this.renderSystemPrompt('claude', request);
+      
+      const answer = await this.completeStructured('claude', system.text, prompt, this.specializations.claude.outputSchema, {
+        cache: request.cache,
+        redaction: request.redaction
       });
       
-      const result = this.parseClaudeResponse(response);
+      const result = this.parseClaudeResponse(answer);
       
       this.performanceTracker.recordSuccess('claude', Date.now() - startTime);
       
@@ -165,7 +155,8 @@ class TripleAIClient {
         result,
         confidence: this.calculateConfidence(result, 'claude'),
         responseTime: Date.now() - startTime,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        prompt: system.ref
       };
       
     } catch (error) {
@@ -188,15 +179,14 @@ class TripleAIClient {
     try {
       const prompt = this.buildGeminiPrompt(request);
       
-      // Mock Gemini response for now
-      const response = await this.clients.gemini.generateContent({
-        model: this.specializations.gemini.model,
-        prompt: prompt,
-        maxTokens: this.specializations.gemini.maxTokens,
-        temperature: this.specializations.gemini.temperature
+      const system = this.renderSystemPrompt('gemini', request);
+      
+      const answer = await this.completeStructured('gemini', system.text, prompt, this.specializations.gemini.outputSchema, {
+        cache: request.cache,
+        redaction: request.redaction
       });
       
-      const result = this.parseGeminiResponse(response);
+      const result = this.parseGeminiResponse(answer);
       
       this.performanceTracker.recordSuccess('gemini', Date.now() - startTime);
       
@@ -205,7 +195,8 @@ class TripleAIClient {
         result,
         confidence: this.calculateConfidence(result, 'gemini'),
         responseTime: Date.now() - startTime,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        prompt: system.ref
       };
       
     } catch (error) {
@@ -219,6 +210,102 @@ class TripleAIClient {
     }
   }
   
+  /**
+   * Request an answer matching a task's output schema from the provider
+   * behind an AI specialization, repairing invalid answers (see
+   * StructuredOutputService). options.cache is a response cache scope (see
+   * response-cache.js), options.redaction a redaction scope (see redaction.js).
+   */
+  async completeStructured(aiModel, system, prompt, task, options = {}) {
+    const specialization = this.specializations[aiModel];
+    
+    return this.structuredOutput.complete(specialization.provider, {
+      model: specialization.model,
+      system,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      maxTokens: specialization.maxTokens,
+      temperature: specialization.temperature,
+      timeout: this.config.timeout
+    }, { task, registry: this.registry, cache: options.cache, redaction: options.redaction });
+  }
+  
+  /**
+   * Run one prompt through several models, each in a named role, and merge
+   * their JSON answers. A field comes from the highest-weighted model that
+   * returned it; models that fail or return invalid JSON are left out.
+   *
+   * With options.task the answers must match that task's output schema,
+   * otherwise they must be a JSON object. Answers still invalid after repair
+   * are only used when no model produced a valid one, and with options.task
+   * the result then carries structuredOutput.degraded.
+   *
+   * @param {string} prompt - Prompt asking for a JSON answer
+   * @param {Object} roles - { gpt5: { role, weight }, claude: {...}, gemini: {...} }
+   * @param {Object} options - { task } output schema to enforce, { cache }
+   *   a response cache scope, { redaction } a redaction scope, { promptUnit }
+   *   for stable prompt experiment variants
+   * @returns {Object} merged answer; `prompts` lists the prompt versions used
+   */
+  async processWithCollaboration(prompt, roles, options = {}) {
+    const participants = Object.entries(roles)
+      .filter(([aiModel]) => this.specializations[aiModel])
+      .sort(([, a], [, b]) => (b.weight || 0) - (a.weight || 0));
+    
+    const systemPrompts = participants.map(([, { role }]) => (
+      this.prompts.render('triple_ai.collaboration_system', { role }, { unitId: options.promptUnit })
+    ));
+    
+    const results = await Promise.allSettled(participants.map(async ([aiModel], index) => {
+      const startTime = Date.now();
+      const system = systemPrompts[index].text;
+      
+      try {
+        const answer = await this.completeStructured(aiModel, system, prompt, options.task || 'json', {
+          cache: options.cache,
+          redaction: options.redaction
+        });
+        
+        this.performanceTracker.recordSuccess(aiModel, Date.now() - startTime);
+        return answer;
+        
+      } catch (error) {
+        this.performanceTracker.recordError(aiModel, Date.now() - startTime, error);
+        throw error;
+      }
+    }));
+    
+    const answers = results
+      .filter(result => result.status === 'fulfilled' && result.value.data && typeof result.value.data === 'object')
+      .map(result => result.value);
+    const validAnswers = answers.filter(answer => answer.valid);
+    const used = validAnswers.length > 0 ? validAnswers : answers;
+    
+    if (used.length === 0) {
+      const failure = results.find(result => result.status === 'rejected');
+      throw new Error(`All collaborating AI models failed${failure ? `: ${failure.reason.message}` : ': no valid JSON returned'}`);
+    }
+    
+    // Lowest weight first so higher-weighted answers overwrite it
+    const merged = Object.assign({}, ...used.map(answer => answer.data).reverse());
+    
+    if (options.task) {
+      merged.structuredOutput = {
+        task: options.task,
+        degraded: validAnswers.length === 0,
+        errors: validAnswers.length === 0 ? used[0].errors : []
+      };
+    }
+    
+    merged.prompts = mergePromptRefs(systemPrompts.map(systemPrompt => systemPrompt.ref));
+    
+    return merged;
+  }
+  
   /**
    * Parallel analysis with all three AI models
    */
@@ -451,57 +538,39 @@ Provide fast JSON response:
   }
   
   /**
-   * Get system prompts for each AI model
+   * System prompt for a model's specialization (triple_ai.<model>_system).
+   * request.promptUnit, e.g. the meeting id, keeps experiment variants stable.
    */
-  getGPT5SystemPrompt(task) {
-    return `You are an expert meeting intelligence assistant specializing in language understanding, reasoning, and contextual analysis. Your role is to provide insightful suggestions and deep contextual understanding for business meetings. Focus on generating helpful suggestions, understanding complex contexts, and providing reasoning-based insights. Always respond in valid JSON format.`;
-  }
-  
-  getClaudeSystemPrompt(task) {
-    return `You are a precise meeting analysis assistant focused on accuracy, safety, and thorough analysis. Your role is to provide accurate sentiment analysis, identify potential risks or issues, and ensure the safety and appropriateness of meeting content. Prioritize factual accuracy and comprehensive analysis. Always respond in valid JSON format.`;
+  renderSystemPrompt(aiModel, request = {}) {
+    return this.prompts.render(`triple_ai.${aiModel}_system`, {}, { unitId: request.promptUnit });
   }
   
   /**
    * Parse AI responses
    */
-  parseGPT5Response(response) {
-    try {
-      const content = response.choices[0].message.content;
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing GPT-5 response:', error);
-      return { error: 'Failed to parse response', raw: response };
-    }
+  parseGPT5Response(answer) {
+    return this.parseResponse('GPT-5', answer);
   }
   
-  parseClaudeResponse(response) {
-    try {
-      const content = response.content[0].text;
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      return { error: 'Failed to parse response', raw: response };
-    }
+  parseClaudeResponse(answer) {
+    return this.parseResponse('Claude', answer);
   }
   
-  parseGeminiResponse(response) {
-    try {
-      // Mock parsing for Gemini
-      return {
-        quick_insights: ['Fast insight 1', 'Fast insight 2'],
-        immediate_suggestions: [
-          { type: 'clarification', content: 'Ask for clarification on the last point', urgency: 'medium' }
-        ],
-        visual_analysis: {
-          detected_elements: ['presentation', 'charts'],
-          visual_context: 'Business presentation with data visualization'
-        },
-        confidence: 0.85
-      };
-    } catch (error) {
-      console.error('Error parsing Gemini response:', error);
-      return { error: 'Failed to parse response', raw: response };
+  parseGeminiResponse(answer) {
+    return this.parseResponse('Gemini', answer);
+  }
+  
+  /**
+   * Data from a structured answer (see completeStructured). An answer still
+   * invalid after repair becomes an error result with its validation errors.
+   */
+  parseResponse(label, answer) {
+    if (!answer.valid) {
+      console.error(`Error parsing ${label} response:`, answer.errors.map(error => error.message).join('; '));
+      return { error: 'Failed to parse response', raw: answer.response, validationErrors: answer.errors, degraded: true };
     }
+    
+    return answer.data;
   }
   
   /**
@@ -606,25 +675,10 @@ Provide fast JSON response:
    */
   async testConnection(aiModel) {
     try {
-      switch (aiModel) {
-        case 'gpt5':
-          await this.clients.gpt5.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [{ role: 'user', content: 'Test connection' }],
-            max_tokens: 10
-          });
-          break;
-        case 'claude':
-          await this.clients.claude.messages.create({
-            model: 'claude-3-haiku-20240307',
-            max_tokens: 10,
-            messages: [{ role: 'user', content: 'Test connection' }]
-          });
-          break;
-        case 'gemini':
-          // Mock test for Gemini
-          break;
-      }
+      await this.registry.complete(this.specializations[aiModel].provider, {
+        messages: [{ role: 'user', content: 'Test connection' }],
+        maxTokens: 10
+      });
       
       console.log(`✓ ${aiModel} connection successful`);
       
@@ -783,32 +837,5 @@ class PerformanceTracker {
   }
 }
 
-/**
- * Mock Gemini Client for development
- */
-class MockGeminiClient {
-  constructor(config) {
-    this.config = config;
-  }
-  
-  async generateContent(request) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200));
-    
-    return {
-      content: JSON.stringify({
-        quick_insights: ['Mock insight 1', 'Mock insight 2'],
-        immediate_suggestions: [
-          { type: 'clarification', content: 'Mock suggestion', urgency: 'medium' }
-        ],
-        visual_analysis: {
-          detected_elements: ['mock_element'],
-          visual_context: 'Mock visual context'
-        },
-        confidence: 0.8
-      })
-    };
-  }
-}
-
 module.exports = TripleAIClient;
+module.exports.TripleAIClient = TripleAIClient;
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { parseICS, expandEvents } = require('../services/ics-parser');
+
+/**
+ * CalDAV calendar collection (Nextcloud, Fastmail, iCloud, Radicale, ...).
+ * Events in a time range come from a calendar-query REPORT; recurring events
+ * are returned as masters and expanded locally.
+ */
+class CalDavCalendarConnector {
+  constructor(config) {
+    this.name = config.name || 'CalDAV Calendar';
+    this.provider = 'ical';
+    this.url = config.url;
+    this.auth = config.username ? { username: config.username, password: config.password } : undefined;
+    this.defaultTimeZone = config.timeZone || 'UTC';
+  }
+
+  async testConnection() {
+    try {
+      const response = await axios.request({
+        method: 'PROPFIND',
+        url: this.url,
+        auth: this.auth,
+        headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+        data: '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop><d:displayname/><d:resourcetype/></d:prop></d:propfind>',
+        timeout: 30000
+      });
+
+      return response.status === 207;
+    } catch (error) {
+      console.error(`CalDAV calendar "${this.name}" connection test failed:`, error.message);
+      return false;
+    }
+  }
+
+  async getEvents(from, to) {
+    const response = await axios.request({
+      method: 'REPORT',
+      url: this.url,
+      auth: this.auth,
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      data: this.buildCalendarQuery(from, to),
+      responseType: 'text',
+      timeout: 30000
+    });
+
+    const events = extractCalendarData(response.data).flatMap(data => parseICS(data));
+    return expandEvents(events, from, to, { defaultTimeZone: this.defaultTimeZone });
+  }
+
+  buildCalendarQuery(from, to) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDavTime(from)}" end="${toCalDavTime(to)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+  }
+}
+
+// calendar-data elements of a multistatus response, whatever their prefix
+function extractCalendarData(xml) {
+  const pattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  const documents = [];
+  let match;
+
+  while ((match = pattern.exec(xml || '')) !== null) {
+    documents.push(decodeXml(match[1]));
+  }
+
+  return documents;
+}
+
+function decodeXml(text) {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#13;/g, '\r')
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function toCalDavTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+module.exports = CalDavCalendarConnector;
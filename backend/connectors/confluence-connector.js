@@ -6,6 +6,8 @@ class ConfluenceConnector {
     this.username = config.username;
     this.apiToken = config.apiToken;
     this.auth = Buffer.from(`${this.username}:${this.apiToken}`).toString('base64');
+    // CQL dates are minute precision and in the site timezone; widen for skew
+    this.syncOverlapMinutes = config.syncOverlapMinutes ?? 1;
   }
 
   async searchContent(query, limit = 20) {
@@ -125,15 +127,142 @@ class ConfluenceConnector {
     }
   }
 
-  extractTextFromStorage(storageValue) {
+  /**
+   * List pages and blog posts modified since a cursor, plus recently trashed
+   * content. The cursor is the ISO timestamp of the newest change seen; CQL
+   * only has minute precision so a small overlap is re-read on every sync.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { pageSize = 50, includePermissions = true } = options;
+    const searchUrl = `${this.baseUrl}/wiki/rest/api/content/search`;
+    const headers = {
+      'Authorization': `Basic ${this.auth}`,
+      'Accept': 'application/json'
+    };
+
+    let cql = 'type in (page, blogpost)';
+    if (cursor) {
+      cql += ` and lastmodified >= "${this.formatCqlDate(new Date(cursor))}"`;
+    }
+    cql += ' order by lastmodified asc';
+
+    const expand = ['body.storage', 'version', 'space'];
+    if (includePermissions) {
+      expand.push('restrictions.read.restrictions.user', 'restrictions.read.restrictions.group');
+    }
+
+    const changes = [];
+    let nextCursor = cursor;
+    let start = 0;
+
+    while (true) {
+      const response = await axios.get(searchUrl, {
+        params: { cql, start, limit: pageSize, expand: expand.join(',') },
+        headers
+      });
+
+      const results = response.data.results || [];
+
+      for (const item of results) {
+        changes.push({
+          id: item.id,
+          title: item.title,
+          url: `${this.baseUrl}/wiki${item._links.webui}`,
+          content: this.extractTextFromStorage(item.body?.storage?.value || '', null),
+          lastModified: item.version.when,
+          author: item.version.by?.displayName || 'Unknown',
+          space: item.space?.name || 'Unknown',
+          type: 'confluence_page',
+          permissions: includePermissions ? this.extractPermissions(item) : null,
+          deleted: false
+        });
+
+        if (!nextCursor || new Date(item.version.when) > new Date(nextCursor)) {
+          nextCursor = new Date(item.version.when).toISOString();
+        }
+      }
+
+      if (results.length < pageSize || !response.data._links?.next) break;
+      start += results.length;
+    }
+
+    // Trashed content no longer matches CQL searches, so report it separately
+    if (cursor) {
+      const trashed = await axios.get(`${this.baseUrl}/wiki/rest/api/content`, {
+        params: { status: 'trashed', limit: 200, expand: 'version' },
+        headers
+      });
+
+      for (const item of trashed.data.results || []) {
+        if (new Date(item.version?.when || 0) >= new Date(cursor)) {
+          changes.push({ id: item.id, deleted: true });
+        }
+      }
+    }
+
+    return { changes, cursor: nextCursor };
+  }
+
+  async getPagePermissions(pageId) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/wiki/rest/api/content/${pageId}`, {
+        params: {
+          expand: 'space,restrictions.read.restrictions.user,restrictions.read.restrictions.group'
+        },
+        headers: {
+          'Authorization': `Basic ${this.auth}`,
+          'Accept': 'application/json'
+        }
+      });
+
+      return this.extractPermissions(response.data);
+    } catch (error) {
+      console.error('Failed to get page permissions:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read restrictions on a page. Unrestricted pages inherit space permissions.
+   */
+  extractPermissions(item) {
+    const read = item.restrictions?.read?.restrictions;
+    const users = read?.user?.results || [];
+    const groups = read?.group?.results || [];
+
+    if (users.length === 0 && groups.length === 0) {
+      return [{ type: 'space', id: item.space?.key || null, role: 'reader' }];
+    }
+
+    return [
+      ...users.map(user => ({
+        type: 'user',
+        id: user.accountId,
+        email: user.email || null,
+        name: user.displayName,
+        role: 'reader'
+      })),
+      ...groups.map(group => ({ type: 'group', id: group.id || group.name, name: group.name, role: 'reader' }))
+    ];
+  }
+
+  formatCqlDate(date) {
+    const d = new Date(date.getTime() - this.syncOverlapMinutes * 60 * 1000);
+    const pad = value => String(value).padStart(2, '0');
+    return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+  }
+
+  extractTextFromStorage(storageValue, maxLength = 1000) {
     if (!storageValue) return '';
     
     // Simple HTML tag removal - basic but effective
-    return storageValue
+    const text = storageValue
       .replace(/<[^>]*>/g, ' ')
       .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, 1000); // Limit to first 1000 chars
+      .trim();
+
+    // Limit previews to the first 1000 chars; indexing passes null for full text
+    return maxLength ? text.substring(0, maxLength) : text;
   }
 
   async testConnection() {
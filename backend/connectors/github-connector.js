@@ -0,0 +1,226 @@
+const axios = require('axios');
+
+class GitHubConnector {
+  constructor(config) {
+    this.token = config.token;
+    this.repositories = config.repositories || []; // e.g., ['acme/platform', 'acme/docs']
+    this.apiUrl = config.apiUrl || 'https://api.github.com'; // GitHub Enterprise: https://host/api/v3
+    this.repositoryCache = new Map();
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.token}`,
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+  }
+
+  async searchIssues(query, limit = 20) {
+    try {
+      const scope = this.repositories.map(repository => `repo:${repository}`).join(' ');
+
+      const response = await axios.get(`${this.apiUrl}/search/issues`, {
+        params: {
+          q: `${query} ${scope}`.trim(),
+          sort: 'updated',
+          order: 'desc',
+          per_page: Math.min(limit, 100)
+        },
+        headers: this.getHeaders()
+      });
+
+      return response.data.items.map(issue => ({
+        ...this.formatIssue(issue, this.getRepositoryName(issue.repository_url)),
+        content: this.extractTextFromMarkdown(issue.body).substring(0, 1000)
+      }));
+    } catch (error) {
+      console.error('GitHub search failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Issue or pull request with its discussion. Ids are "<owner>/<repo>#<number>".
+   */
+  async getIssueContent(issueId) {
+    try {
+      const { repository, number } = this.parseIssueId(issueId);
+
+      const [issueResponse, comments] = await Promise.all([
+        axios.get(`${this.apiUrl}/repos/${repository}/issues/${number}`, { headers: this.getHeaders() }),
+        this.getPaginated(`${this.apiUrl}/repos/${repository}/issues/${number}/comments`, { per_page: 100 })
+      ]);
+
+      const issue = issueResponse.data;
+
+      return {
+        ...this.formatIssue(issue, repository),
+        content: [
+          `${issue.title} (${issue.pull_request ? 'pull request' : 'issue'} #${issue.number}, ${issue.state})`,
+          this.extractTextFromMarkdown(issue.body),
+          ...comments.map(comment => `${comment.user?.login || 'Unknown'}: ${this.extractTextFromMarkdown(comment.body)}`)
+        ].filter(Boolean).join('\n\n')
+      };
+    } catch (error) {
+      console.error('Failed to get issue content:', error.message);
+      return null;
+    }
+  }
+
+  async getRecentIssues(limit = 10) {
+    try {
+      const issues = [];
+
+      for (const repository of this.repositories) {
+        const response = await axios.get(`${this.apiUrl}/repos/${repository}/issues`, {
+          params: { state: 'all', sort: 'updated', direction: 'desc', per_page: Math.min(limit, 100) },
+          headers: this.getHeaders()
+        });
+
+        issues.push(...response.data.map(issue => this.formatIssue(issue, repository)));
+      }
+
+      return issues
+        .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Failed to get recent issues:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * List issues and pull requests updated since a cursor (ISO timestamp of the
+   * newest update seen) across the configured repositories. Deleted issues are
+   * picked up by full-crawl reconciliation.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { includePermissions = true } = options;
+    const changes = [];
+    let nextCursor = cursor;
+
+    for (const repository of this.repositories) {
+      const permissions = includePermissions ? await this.getRepositoryPermissions(repository) : null;
+
+      const issues = await this.getPaginated(`${this.apiUrl}/repos/${repository}/issues`, {
+        state: 'all',
+        sort: 'updated',
+        direction: 'asc',
+        per_page: 100,
+        ...(cursor ? { since: cursor } : {})
+      });
+
+      for (const issue of issues) {
+        changes.push({ ...this.formatIssue(issue, repository), permissions, deleted: false });
+
+        if (!nextCursor || new Date(issue.updated_at) > new Date(nextCursor)) {
+          nextCursor = issue.updated_at;
+        }
+      }
+    }
+
+    return { changes, cursor: nextCursor };
+  }
+
+  async getIssuePermissions(issueId) {
+    try {
+      return await this.getRepositoryPermissions(this.parseIssueId(issueId).repository);
+    } catch (error) {
+      console.error('Failed to get issue permissions:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Public repositories are readable by anyone; private ones by the
+   * repository's collaborators, mapped as a space per repository
+   */
+  async getRepositoryPermissions(repository) {
+    if (!this.repositoryCache.has(repository)) {
+      const response = await axios.get(`${this.apiUrl}/repos/${repository}`, { headers: this.getHeaders() });
+      this.repositoryCache.set(repository, response.data);
+    }
+
+    const repo = this.repositoryCache.get(repository);
+    return repo.private ?
+      [{ type: 'space', id: repo.full_name, role: 'reader' }] :
+      [{ type: 'anyone', id: '*', role: 'reader' }];
+  }
+
+  async getPaginated(url, params) {
+    const items = [];
+    let nextUrl = url;
+    let nextParams = params;
+
+    while (nextUrl) {
+      const response = await axios.get(nextUrl, { params: nextParams, headers: this.getHeaders() });
+      items.push(...response.data);
+
+      // The Link header's next URL already carries the query string
+      nextUrl = response.headers.link?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+      nextParams = undefined;
+    }
+
+    return items;
+  }
+
+  formatIssue(issue, repository) {
+    return {
+      id: `${repository}#${issue.number}`,
+      title: `${repository}#${issue.number}: ${issue.title}`,
+      url: issue.html_url,
+      lastModified: issue.updated_at,
+      author: issue.user?.login || 'Unknown',
+      state: issue.state,
+      repository,
+      type: issue.pull_request ? 'github_pull_request' : 'github_issue'
+    };
+  }
+
+  parseIssueId(issueId) {
+    const [repository, number] = issueId.split('#');
+    return { repository, number };
+  }
+
+  getRepositoryName(repositoryUrl = '') {
+    return repositoryUrl.split('/repos/')[1] || null;
+  }
+
+  /**
+   * Reduce GitHub-flavoured markdown to plain text
+   */
+  extractTextFromMarkdown(markdown) {
+    if (!markdown) return '';
+
+    return markdown
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^>\s?/gm, '')
+      .replace(/^\s*[-*+]\s+\[([ xX])\]\s+/gm, (match, checked) => `[${checked.trim() ? 'x' : ' '}] `)
+      .replace(/(\*\*|__)(.*?)\1/g, '$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\r\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  async testConnection() {
+    try {
+      const response = await axios.get(`${this.apiUrl}/user`, {
+        headers: this.getHeaders()
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      console.error('GitHub connection test failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = GitHubConnector;
@@ -0,0 +1,96 @@
+const { google } = require('googleapis');
+
+/**
+ * Google Calendar through the Calendar API. Recurring events are expanded
+ * by the API (singleEvents), and each instance keeps its recurringEventId.
+ */
+class GoogleCalendarConnector {
+  constructor(config) {
+    this.name = config.name || 'Google Calendar';
+    this.provider = 'google';
+    this.calendarId = config.calendarId || 'primary';
+
+    this.auth = config.auth || new google.auth.GoogleAuth({
+      credentials: config.credentials, // Service account JSON
+      scopes: ['https://www.googleapis.com/auth/calendar.readonly'],
+      clientOptions: config.subject ? { subject: config.subject } : undefined
+    });
+    this.calendar = google.calendar({ version: 'v3', auth: this.auth });
+  }
+
+  async testConnection() {
+    try {
+      await this.calendar.calendars.get({ calendarId: this.calendarId });
+      return true;
+    } catch (error) {
+      console.error('Google Calendar connection test failed:', error.message);
+      return false;
+    }
+  }
+
+  async getEvents(from, to) {
+    const events = [];
+    let pageToken;
+
+    do {
+      const response = await this.calendar.events.list({
+        calendarId: this.calendarId,
+        timeMin: new Date(from).toISOString(),
+        timeMax: new Date(to).toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 250,
+        pageToken
+      });
+
+      events.push(...(response.data.items || []).map(event => this.normalizeEvent(event)));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return events;
+  }
+
+  normalizeEvent(event) {
+    const allDay = Boolean(event.start?.date);
+    const videoEntry = event.conferenceData?.entryPoints?.find(entry => entry.entryPointType === 'video');
+
+    return {
+      id: event.id,
+      uid: event.iCalUID,
+      title: event.summary || 'Untitled event',
+      description: event.description || null,
+      location: event.location || null,
+      start: new Date(event.start?.dateTime || event.start?.date).toISOString(),
+      end: new Date(event.end?.dateTime || event.end?.date).toISOString(),
+      allDay,
+      timeZone: event.start?.timeZone || null,
+      organizer: event.organizer ? {
+        name: event.organizer.displayName || null,
+        email: event.organizer.email?.toLowerCase() || null
+      } : null,
+      attendees: (event.attendees || []).map(attendee => ({
+        name: attendee.displayName || null,
+        email: attendee.email?.toLowerCase() || null,
+        status: GOOGLE_STATUSES[attendee.responseStatus] || 'needs_action',
+        role: attendee.optional ? 'optional' : 'required',
+        type: attendee.resource ? 'resource' : 'person'
+      })),
+      recurrenceId: event.recurringEventId || null,
+      recurrenceRule: null,
+      status: event.status || 'confirmed',
+      conferenceUrl: videoEntry?.uri || event.hangoutLink || null,
+      url: event.htmlLink || null,
+      sequence: event.sequence || 0,
+      updatedAt: event.updated || null
+    };
+  }
+}
+
+const GOOGLE_STATUSES = {
+  accepted: 'accepted',
+  declined: 'declined',
+  tentative: 'tentative',
+  needsAction: 'needs_action'
+};
+
+module.exports = GoogleCalendarConnector;
@@ -126,6 +126,109 @@ class GoogleDriveConnector {
     }
   }
 
+  /**
+   * List changed and removed files since a Drive changes page token. Without
+   * a cursor all files are enumerated and the current start page token is
+   * returned so the next sync only reads later changes.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { pageSize = 100, includePermissions = true } = options;
+    const fileFields = [
+      'id', 'name', 'mimeType', 'modifiedTime', 'owners', 'webViewLink', 'trashed',
+      ...(includePermissions ? ['permissions(id,type,role,emailAddress,domain,displayName)'] : [])
+    ].join(',');
+
+    const changes = [];
+
+    if (!cursor) {
+      // Take the token before crawling so edits made during the crawl are replayed
+      const tokenResponse = await this.drive.changes.getStartPageToken({});
+      let pageToken = null;
+
+      do {
+        const response = await this.drive.files.list({
+          q: "trashed=false and mimeType != 'application/vnd.google-apps.folder'",
+          pageSize,
+          pageToken,
+          fields: `nextPageToken,files(${fileFields})`
+        });
+
+        for (const file of response.data.files || []) {
+          changes.push(this.formatChange(file, includePermissions));
+        }
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return { changes, cursor: tokenResponse.data.startPageToken };
+    }
+
+    let pageToken = cursor;
+    let nextCursor = cursor;
+
+    while (pageToken) {
+      const response = await this.drive.changes.list({
+        pageToken,
+        pageSize,
+        includeRemoved: true,
+        fields: `nextPageToken,newStartPageToken,changes(fileId,removed,file(${fileFields}))`
+      });
+
+      for (const change of response.data.changes || []) {
+        if (change.removed || !change.file || change.file.trashed) {
+          changes.push({ id: change.fileId, deleted: true });
+        } else if (change.file.mimeType !== 'application/vnd.google-apps.folder') {
+          changes.push(this.formatChange(change.file, includePermissions));
+        }
+      }
+
+      pageToken = response.data.nextPageToken;
+      nextCursor = response.data.newStartPageToken || nextCursor;
+    }
+
+    return { changes, cursor: nextCursor };
+  }
+
+  formatChange(file, includePermissions) {
+    return {
+      id: file.id,
+      title: file.name,
+      url: file.webViewLink,
+      mimeType: file.mimeType,
+      lastModified: file.modifiedTime,
+      author: file.owners?.[0]?.displayName || 'Unknown',
+      type: 'google_drive_file',
+      permissions: includePermissions ? this.formatPermissions(file.permissions) : null,
+      deleted: false
+    };
+  }
+
+  async getFilePermissions(fileId) {
+    try {
+      const response = await this.drive.files.get({
+        fileId,
+        fields: 'permissions(id,type,role,emailAddress,domain,displayName)'
+      });
+
+      return this.formatPermissions(response.data.permissions);
+    } catch (error) {
+      console.error('Failed to get file permissions:', error.message);
+      return null;
+    }
+  }
+
+  formatPermissions(permissions) {
+    // Drive only returns permissions to callers that can share the file
+    if (!permissions) return null;
+
+    return permissions.map(permission => ({
+      type: permission.type, // user, group, domain or anyone
+      id: permission.emailAddress || permission.domain || permission.id,
+      email: permission.emailAddress || null,
+      name: permission.displayName || null,
+      role: permission.role
+    }));
+  }
+
   getExportMimeType(googleMimeType) {
     const mimeTypeMap = {
       'application/vnd.google-apps.document': 'text/plain',
@@ -0,0 +1,129 @@
+const axios = require('axios');
+
+/**
+ * Outlook / Microsoft 365 calendar through Microsoft Graph. calendarView
+ * returns occurrences of recurring events, each pointing at its series master.
+ */
+class GraphCalendarConnector {
+  constructor(config) {
+    this.name = config.name || 'Outlook Calendar';
+    this.provider = 'outlook';
+    this.tenantId = config.tenantId;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.userId = config.userId; // Mailbox UPN or object ID
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+
+  async authenticate() {
+    try {
+      const tokenUrl = `https://login.microsoftonline.com/${this.tenantId}/oauth2/v2.0/token`;
+
+      const response = await axios.post(tokenUrl, new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        scope: 'https://graph.microsoft.com/.default'
+      }), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      this.accessToken = response.data.access_token;
+      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+
+      return true;
+    } catch (error) {
+      console.error('Outlook Calendar authentication failed:', error.message);
+      return false;
+    }
+  }
+
+  async ensureAuthenticated() {
+    if (!this.accessToken || Date.now() >= this.tokenExpiry) {
+      return await this.authenticate();
+    }
+    return true;
+  }
+
+  async testConnection() {
+    return await this.ensureAuthenticated();
+  }
+
+  async getEvents(from, to) {
+    if (!await this.ensureAuthenticated()) {
+      throw new Error('Authentication failed');
+    }
+
+    const params = new URLSearchParams({
+      startDateTime: new Date(from).toISOString(),
+      endDateTime: new Date(to).toISOString(),
+      $top: '100'
+    });
+    let url = `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(this.userId)}/calendarView?${params}`;
+    const events = [];
+
+    while (url) {
+      const response = await axios.get(url, {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Prefer': 'outlook.body-content-type="text", outlook.timezone="UTC"'
+        }
+      });
+
+      events.push(...(response.data.value || []).map(event => this.normalizeEvent(event)));
+      url = response.data['@odata.nextLink'] || null;
+    }
+
+    return events;
+  }
+
+  normalizeEvent(event) {
+    return {
+      id: event.id,
+      uid: event.iCalUId,
+      title: event.subject || 'Untitled event',
+      description: event.body?.content || event.bodyPreview || null,
+      location: event.location?.displayName || null,
+      start: toUtcIso(event.start?.dateTime),
+      end: toUtcIso(event.end?.dateTime),
+      allDay: Boolean(event.isAllDay),
+      timeZone: event.originalStartTimeZone || null,
+      organizer: event.organizer?.emailAddress ? {
+        name: event.organizer.emailAddress.name || null,
+        email: event.organizer.emailAddress.address?.toLowerCase() || null
+      } : null,
+      attendees: (event.attendees || []).map(attendee => ({
+        name: attendee.emailAddress?.name || null,
+        email: attendee.emailAddress?.address?.toLowerCase() || null,
+        status: GRAPH_STATUSES[attendee.status?.response] || 'needs_action',
+        role: attendee.type === 'optional' ? 'optional' : 'required',
+        type: attendee.type === 'resource' ? 'resource' : 'person'
+      })),
+      recurrenceId: event.seriesMasterId || null,
+      recurrenceRule: null,
+      status: event.isCancelled ? 'cancelled' : (event.showAs === 'tentative' ? 'tentative' : 'confirmed'),
+      conferenceUrl: event.onlineMeeting?.joinUrl || event.onlineMeetingUrl || null,
+      url: event.webLink || null,
+      sequence: 0,
+      updatedAt: event.lastModifiedDateTime || null
+    };
+  }
+}
+
+const GRAPH_STATUSES = {
+  accepted: 'accepted',
+  organizer: 'accepted',
+  declined: 'declined',
+  tentativelyAccepted: 'tentative',
+  none: 'needs_action',
+  notResponded: 'needs_action'
+};
+
+// With outlook.timezone="UTC" Graph returns local date-times without an offset
+function toUtcIso(dateTime) {
+  if (!dateTime) return null;
+  return new Date(/Z|[+-]\d{2}:\d{2}$/.test(dateTime) ? dateTime : `${dateTime}Z`).toISOString();
+}
+
+module.exports = GraphCalendarConnector;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const axios = require('axios');
+const { parseICS, expandEvents } = require('../services/ics-parser');
+
+/**
+ * Read-only calendar from an ICS feed: a published calendar URL (https or
+ * webcal) or a local .ics file
+ */
+class IcsCalendarConnector {
+  constructor(config) {
+    this.name = config.name || 'ICS Calendar';
+    this.provider = 'ical';
+    this.url = config.url ? config.url.replace(/^webcal:\/\//i, 'https://') : null;
+    this.path = config.path || null;
+    this.headers = config.headers || {};
+    this.auth = config.username ? { username: config.username, password: config.password } : undefined;
+    this.defaultTimeZone = config.timeZone || 'UTC';
+  }
+
+  async testConnection() {
+    try {
+      await this.fetchCalendar();
+      return true;
+    } catch (error) {
+      console.error(`ICS calendar "${this.name}" connection test failed:`, error.message);
+      return false;
+    }
+  }
+
+  async fetchCalendar() {
+    if (this.path) {
+      return fs.promises.readFile(this.path, 'utf8');
+    }
+
+    if (!this.url) {
+      throw new Error('ICS calendar needs a url or path');
+    }
+
+    const response = await axios.get(this.url, {
+      headers: { Accept: 'text/calendar', ...this.headers },
+      auth: this.auth,
+      responseType: 'text',
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async getEvents(from, to) {
+    const events = parseICS(await this.fetchCalendar());
+    return expandEvents(events, from, to, { defaultTimeZone: this.defaultTimeZone });
+  }
+}
+
+module.exports = IcsCalendarConnector;
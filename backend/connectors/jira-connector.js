@@ -0,0 +1,239 @@
+const axios = require('axios');
+
+const ISSUE_FIELDS = 'summary,description,updated,reporter,status,project,issuetype,security';
+
+class JiraConnector {
+  constructor(config) {
+    this.baseUrl = config.baseUrl; // e.g., https://company.atlassian.net
+    this.email = config.email;
+    this.apiToken = config.apiToken;
+    this.auth = Buffer.from(`${this.email}:${this.apiToken}`).toString('base64');
+    this.jqlFilter = config.jql || null; // Optional scope, e.g. project in (ENG, PROD)
+    // JQL dates are minute precision and in the user timezone; widen for skew
+    this.syncOverlapMinutes = config.syncOverlapMinutes ?? 1;
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Basic ${this.auth}`,
+      'Accept': 'application/json'
+    };
+  }
+
+  buildJql(clause, orderBy) {
+    const clauses = [this.jqlFilter && `(${this.jqlFilter})`, clause].filter(Boolean);
+    return `${clauses.join(' AND ')} ORDER BY ${orderBy}`.trim();
+  }
+
+  async searchIssues(query, limit = 20) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/search`, {
+        params: {
+          jql: this.buildJql(`text ~ "${query.replace(/"/g, '\\"')}"`, 'updated DESC'),
+          maxResults: limit,
+          fields: ISSUE_FIELDS
+        },
+        headers: this.getHeaders()
+      });
+
+      return response.data.issues.map(issue => ({
+        ...this.formatIssue(issue),
+        content: this.extractTextFromADF(issue.fields.description).substring(0, 1000)
+      }));
+    } catch (error) {
+      console.error('Jira search failed:', error.message);
+      return [];
+    }
+  }
+
+  async getIssueContent(issueKey) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/issue/${issueKey}`, {
+        params: { fields: `${ISSUE_FIELDS},comment` },
+        headers: this.getHeaders()
+      });
+
+      const issue = response.data;
+      const comments = (issue.fields.comment?.comments || [])
+        .map(comment => `${comment.author?.displayName || 'Unknown'}: ${this.extractTextFromADF(comment.body)}`);
+
+      return {
+        ...this.formatIssue(issue),
+        content: [
+          `${issue.key}: ${issue.fields.summary}`,
+          `Status: ${issue.fields.status?.name || 'Unknown'}`,
+          this.extractTextFromADF(issue.fields.description),
+          ...(comments.length > 0 ? ['Comments:', ...comments] : [])
+        ].filter(Boolean).join('\n\n')
+      };
+    } catch (error) {
+      console.error('Failed to get issue content:', error.message);
+      return null;
+    }
+  }
+
+  async getRecentIssues(limit = 10) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/search`, {
+        params: {
+          jql: this.buildJql(null, 'updated DESC'),
+          maxResults: limit,
+          fields: ISSUE_FIELDS
+        },
+        headers: this.getHeaders()
+      });
+
+      return response.data.issues.map(issue => this.formatIssue(issue));
+    } catch (error) {
+      console.error('Failed to get recent issues:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * List issues updated since a cursor (ISO timestamp of the newest update
+   * seen). Jira has no deletion feed, so deleted issues are picked up by
+   * full-crawl reconciliation.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { pageSize = 100, includePermissions = true } = options;
+    const jql = this.buildJql(
+      cursor ? `updated >= "${this.formatJqlDate(new Date(cursor))}"` : null,
+      'updated ASC'
+    );
+
+    const changes = [];
+    let nextCursor = cursor;
+    let startAt = 0;
+
+    while (true) {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/search`, {
+        params: { jql, startAt, maxResults: pageSize, fields: ISSUE_FIELDS },
+        headers: this.getHeaders()
+      });
+
+      const issues = response.data.issues || [];
+
+      for (const issue of issues) {
+        changes.push({
+          ...this.formatIssue(issue),
+          permissions: includePermissions ? this.extractPermissions(issue) : null,
+          deleted: false
+        });
+
+        const updated = new Date(issue.fields.updated);
+        if (!nextCursor || updated > new Date(nextCursor)) {
+          nextCursor = updated.toISOString();
+        }
+      }
+
+      startAt += issues.length;
+      if (issues.length === 0 || startAt >= response.data.total) break;
+    }
+
+    return { changes, cursor: nextCursor };
+  }
+
+  async getIssuePermissions(issueKey) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/issue/${issueKey}`, {
+        params: { fields: 'project,security' },
+        headers: this.getHeaders()
+      });
+
+      return this.extractPermissions(response.data);
+    } catch (error) {
+      console.error('Failed to get issue permissions:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Issues are readable by project members unless an issue security level
+   * restricts them further
+   */
+  extractPermissions(issue) {
+    const security = issue.fields?.security;
+
+    if (security) {
+      return [{ type: 'group', id: `jira-security:${security.id}`, name: security.name, role: 'reader' }];
+    }
+
+    return [{ type: 'space', id: issue.fields?.project?.key || null, role: 'reader' }];
+  }
+
+  formatIssue(issue) {
+    return {
+      id: issue.key,
+      title: `${issue.key}: ${issue.fields.summary}`,
+      url: `${this.baseUrl}/browse/${issue.key}`,
+      lastModified: issue.fields.updated,
+      author: issue.fields.reporter?.displayName || 'Unknown',
+      status: issue.fields.status?.name || 'Unknown',
+      project: issue.fields.project?.key || null,
+      type: 'jira_issue'
+    };
+  }
+
+  /**
+   * Flatten an Atlassian Document Format tree into plain text
+   */
+  extractTextFromADF(node) {
+    if (!node) return '';
+    if (typeof node === 'string') return node;
+
+    const children = (node.content || []).map(child => this.extractTextFromADF(child));
+
+    switch (node.type) {
+      case 'text':
+        return node.text || '';
+      case 'hardBreak':
+        return '\n';
+      case 'mention':
+        return node.attrs?.text || '@unknown';
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || '';
+      case 'inlineCard':
+      case 'blockCard':
+        return node.attrs?.url || '';
+      case 'paragraph':
+      case 'heading':
+      case 'blockquote':
+      case 'codeBlock':
+      case 'panel':
+        return `${children.join('')}\n\n`;
+      case 'listItem':
+        return `- ${children.join('').trim()}\n`;
+      case 'bulletList':
+      case 'orderedList':
+        return `${children.join('')}\n`;
+      case 'tableRow':
+        return `${children.map(cell => cell.trim()).join(' | ')}\n`;
+      case 'doc':
+        return children.join('').replace(/\n{3,}/g, '\n\n').trim();
+      default:
+        return children.join('');
+    }
+  }
+
+  formatJqlDate(date) {
+    const d = new Date(date.getTime() - this.syncOverlapMinutes * 60 * 1000);
+    const pad = value => String(value).padStart(2, '0');
+    return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+  }
+
+  async testConnection() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/3/myself`, {
+        headers: this.getHeaders()
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      console.error('Jira connection test failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = JiraConnector;
@@ -0,0 +1,214 @@
+const axios = require('axios');
+
+class NotionConnector {
+  constructor(config) {
+    this.token = config.token; // Internal integration secret
+    this.baseUrl = 'https://api.notion.com/v1';
+    this.notionVersion = config.notionVersion || '2022-06-28';
+    this.maxBlockDepth = config.maxBlockDepth || 3;
+    // Notion has no per-user ACL API; pages shared with the integration are
+    // treated as readable by everyone in the workspace email domain
+    this.workspaceDomain = config.workspaceDomain || null;
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.token}`,
+      'Notion-Version': this.notionVersion,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async searchPages(query, limit = 20) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/search`, {
+        query,
+        filter: { property: 'object', value: 'page' },
+        sort: { direction: 'descending', timestamp: 'last_edited_time' },
+        page_size: Math.min(limit, 100)
+      }, {
+        headers: this.getHeaders()
+      });
+
+      return response.data.results.map(page => this.formatPage(page));
+    } catch (error) {
+      console.error('Notion search failed:', error.message);
+      return [];
+    }
+  }
+
+  async getPageContent(pageId) {
+    try {
+      const pageResponse = await axios.get(`${this.baseUrl}/pages/${pageId}`, {
+        headers: this.getHeaders()
+      });
+
+      const blocks = await this.getBlockChildren(pageId);
+
+      return {
+        ...this.formatPage(pageResponse.data),
+        content: this.extractTextFromBlocks(blocks)
+      };
+    } catch (error) {
+      console.error('Failed to get page content:', error.message);
+      return null;
+    }
+  }
+
+  async getRecentPages(limit = 10) {
+    return this.searchPages('', limit);
+  }
+
+  /**
+   * List pages edited since a cursor (ISO timestamp of the newest edit seen).
+   * Notion search cannot return archived pages, so deletions are picked up by
+   * full-crawl reconciliation.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { includePermissions = true } = options;
+    const changes = [];
+    let nextCursor = cursor;
+    let startCursor;
+
+    do {
+      const response = await axios.post(`${this.baseUrl}/search`, {
+        filter: { property: 'object', value: 'page' },
+        sort: { direction: 'descending', timestamp: 'last_edited_time' },
+        page_size: 100,
+        start_cursor: startCursor
+      }, {
+        headers: this.getHeaders()
+      });
+
+      let reachedCursor = false;
+
+      for (const page of response.data.results) {
+        if (cursor && new Date(page.last_edited_time) < new Date(cursor)) {
+          reachedCursor = true;
+          break;
+        }
+
+        changes.push({
+          ...this.formatPage(page),
+          permissions: includePermissions ? this.getPagePermissions() : null,
+          deleted: false
+        });
+
+        if (!nextCursor || new Date(page.last_edited_time) > new Date(nextCursor)) {
+          nextCursor = page.last_edited_time;
+        }
+      }
+
+      startCursor = !reachedCursor && response.data.has_more ? response.data.next_cursor : null;
+    } while (startCursor);
+
+    return { changes, cursor: nextCursor };
+  }
+
+  getPagePermissions() {
+    return this.workspaceDomain ?
+      [{ type: 'domain', id: this.workspaceDomain.toLowerCase(), role: 'reader' }] :
+      null;
+  }
+
+  async getBlockChildren(blockId, depth = 0) {
+    const blocks = [];
+    let startCursor;
+
+    do {
+      const response = await axios.get(`${this.baseUrl}/blocks/${blockId}/children`, {
+        params: { page_size: 100, start_cursor: startCursor },
+        headers: this.getHeaders()
+      });
+
+      for (const block of response.data.results) {
+        blocks.push({ ...block, depth });
+
+        // Child pages are indexed as pages of their own
+        if (block.has_children && block.type !== 'child_page' && depth < this.maxBlockDepth) {
+          blocks.push(...await this.getBlockChildren(block.id, depth + 1));
+        }
+      }
+
+      startCursor = response.data.has_more ? response.data.next_cursor : null;
+    } while (startCursor);
+
+    return blocks;
+  }
+
+  formatPage(page) {
+    const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+
+    return {
+      id: page.id,
+      title: this.extractRichText(titleProperty?.title) || 'Untitled',
+      url: page.url,
+      lastModified: page.last_edited_time,
+      author: page.created_by?.name || 'Unknown',
+      type: 'notion_page'
+    };
+  }
+
+  extractRichText(richText = []) {
+    return (richText || []).map(part => part.plain_text).join('');
+  }
+
+  /**
+   * Flatten Notion blocks into plain text, keeping list and heading structure
+   */
+  extractTextFromBlocks(blocks) {
+    const lines = [];
+
+    for (const block of blocks) {
+      const value = block[block.type] || {};
+      const text = this.extractRichText(value.rich_text);
+      const indent = '  '.repeat(block.depth || 0);
+
+      switch (block.type) {
+        case 'heading_1':
+        case 'heading_2':
+        case 'heading_3':
+          lines.push('', text, '');
+          break;
+        case 'bulleted_list_item':
+        case 'toggle':
+          lines.push(`${indent}- ${text}`);
+          break;
+        case 'numbered_list_item':
+          lines.push(`${indent}1. ${text}`);
+          break;
+        case 'to_do':
+          lines.push(`${indent}[${value.checked ? 'x' : ' '}] ${text}`);
+          break;
+        case 'code':
+          lines.push(text);
+          break;
+        case 'child_page':
+          lines.push(`(Page: ${value.title})`);
+          break;
+        case 'table_row':
+          lines.push((value.cells || []).map(cell => this.extractRichText(cell)).join(' | '));
+          break;
+        default:
+          if (text) lines.push(`${indent}${text}`);
+      }
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  async testConnection() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/users/me`, {
+        headers: this.getHeaders()
+      });
+
+      return response.status === 200;
+    } catch (error) {
+      console.error('Notion connection test failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = NotionConnector;
@@ -76,6 +76,7 @@ class SharePointConnector {
         lastModified: hit.resource.lastModifiedDateTime,
         author: hit.resource.createdBy?.user?.displayName || 'Unknown',
         type: 'sharepoint_document',
+        driveId: hit.resource.parentReference?.driveId || null,
         relevanceScore: hit.rank || 0
       }));
     } catch (error) {
@@ -84,13 +85,15 @@ class SharePointConnector {
     }
   }
 
-  async getDocumentContent(documentId) {
+  async getDocumentContent(documentId, driveId = null) {
     if (!await this.ensureAuthenticated()) {
       throw new Error('Authentication failed');
     }
 
     try {
-      const contentUrl = `https://graph.microsoft.com/v1.0/drives/items/${documentId}/content`;
+      const contentUrl = driveId ?
+        `https://graph.microsoft.com/v1.0/drives/${driveId}/items/${documentId}/content` :
+        `https://graph.microsoft.com/v1.0/drives/items/${documentId}/content`;
       
       const response = await axios.get(contentUrl, {
         headers: {
@@ -134,6 +137,133 @@ class SharePointConnector {
     }
   }
 
+  /**
+   * Resolve the document library drive for the configured site
+   */
+  async getSiteDriveId() {
+    if (this.driveId) return this.driveId;
+
+    const { hostname, pathname } = new URL(this.siteUrl);
+    const headers = { 'Authorization': `Bearer ${this.accessToken}` };
+
+    const site = await axios.get(
+      `https://graph.microsoft.com/v1.0/sites/${hostname}:${pathname.replace(/\/$/, '') || '/'}`,
+      { headers, params: { $select: 'id' } }
+    );
+    const drive = await axios.get(
+      `https://graph.microsoft.com/v1.0/sites/${site.data.id}/drive`,
+      { headers, params: { $select: 'id' } }
+    );
+
+    this.driveId = drive.data.id;
+    return this.driveId;
+  }
+
+  /**
+   * List changed and deleted files since a delta cursor. Without a cursor the
+   * whole document library is enumerated. The returned cursor is the Graph
+   * deltaLink to resume from on the next sync.
+   */
+  async listChanges(cursor = null, options = {}) {
+    if (!await this.ensureAuthenticated()) {
+      throw new Error('Authentication failed');
+    }
+
+    const { includePermissions = true } = options;
+    const headers = { 'Authorization': `Bearer ${this.accessToken}` };
+    const driveId = await this.getSiteDriveId();
+
+    let url = cursor || `https://graph.microsoft.com/v1.0/drives/${driveId}/root/delta`;
+    let nextCursor = null;
+    const changes = [];
+
+    while (url) {
+      const response = await axios.get(url, { headers });
+
+      for (const item of response.data.value || []) {
+        // Folders carry no indexable content
+        if (item.folder || item.root) continue;
+
+        if (item.deleted) {
+          changes.push({ id: item.id, deleted: true });
+          continue;
+        }
+
+        changes.push({
+          id: item.id,
+          title: item.name,
+          url: item.webUrl,
+          mimeType: item.file?.mimeType || null,
+          lastModified: item.lastModifiedDateTime,
+          author: item.createdBy?.user?.displayName || 'Unknown',
+          type: 'sharepoint_document',
+          driveId: item.parentReference?.driveId || driveId,
+          permissions: includePermissions ?
+            await this.getDocumentPermissions(item.id, item.parentReference?.driveId || driveId) :
+            null,
+          deleted: false
+        });
+      }
+
+      url = response.data['@odata.nextLink'] || null;
+      nextCursor = response.data['@odata.deltaLink'] || nextCursor;
+    }
+
+    return { changes, cursor: nextCursor };
+  }
+
+  /**
+   * Read a document's permissions as users, groups and sharing-link scopes.
+   * Returns null when permissions cannot be read so callers can fail closed.
+   */
+  async getDocumentPermissions(documentId, driveId = null) {
+    if (!await this.ensureAuthenticated()) {
+      return null;
+    }
+
+    try {
+      driveId = driveId || await this.getSiteDriveId();
+      const response = await axios.get(
+        `https://graph.microsoft.com/v1.0/drives/${driveId}/items/${documentId}/permissions`,
+        { headers: { 'Authorization': `Bearer ${this.accessToken}` } }
+      );
+
+      const permissions = [];
+      for (const permission of response.data.value || []) {
+        const role = (permission.roles || []).includes('write') ? 'writer' : 'reader';
+
+        // Sharing links grant access to everyone in the tenant or to anyone
+        if (permission.link) {
+          const scope = permission.link.scope === 'anonymous' ? 'anyone' : 'domain';
+          permissions.push({ type: scope, id: scope === 'anyone' ? '*' : this.tenantId, role });
+        }
+
+        const identities = permission.grantedToIdentitiesV2 ||
+          (permission.grantedToV2 ? [permission.grantedToV2] : []);
+
+        for (const identity of identities) {
+          if (identity.user) {
+            permissions.push({
+              type: 'user',
+              id: identity.user.id,
+              email: identity.user.email || null,
+              role
+            });
+          }
+          if (identity.group || identity.siteGroup) {
+            const group = identity.group || identity.siteGroup;
+            permissions.push({ type: 'group', id: group.id, name: group.displayName, role });
+          }
+        }
+      }
+
+      return permissions;
+    } catch (error) {
+      console.error('Failed to get document permissions:', error.message);
+      return null;
+    }
+  }
+
   async testConnection() {
     try {
       const authenticated = await this.authenticate();
@@ -0,0 +1,333 @@
+const axios = require('axios');
+
+class SlackConnector {
+  constructor(config) {
+    this.token = config.token; // Bot token (xoxb-)
+    this.userToken = config.userToken || null; // Optional user token (xoxp-) for search.messages
+    this.channelIds = config.channels || null; // Restrict to these channels, default: all the bot is in
+    this.historyDays = config.historyDays || 90;
+    this.baseUrl = 'https://slack.com/api';
+    this.teamId = null;
+    this.channelCache = new Map();
+    this.userNameCache = new Map();
+  }
+
+  async callApi(method, params = {}, token = this.token) {
+    const response = await axios.get(`${this.baseUrl}/${method}`, {
+      params,
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    // Slack reports errors in the body with HTTP 200
+    if (!response.data.ok) {
+      throw new Error(`Slack ${method} failed: ${response.data.error}`);
+    }
+
+    return response.data;
+  }
+
+  async searchMessages(query, limit = 20) {
+    try {
+      if (!this.userToken) {
+        // search.messages needs a user token; fall back to filtering recent threads
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const recent = await this.getRecentThreads(200);
+        return recent
+          .filter(thread => terms.some(term => thread.content.toLowerCase().includes(term)))
+          .slice(0, limit);
+      }
+
+      const data = await this.callApi('search.messages', {
+        query,
+        count: limit,
+        sort: 'timestamp'
+      }, this.userToken);
+
+      const matches = data.messages?.matches || [];
+      const userNames = await this.resolveUserNames(matches.map(match => match.user));
+
+      return matches.map(match => ({
+        id: `${match.channel.id}:${this.getThreadTs(match.permalink) || match.ts}`,
+        title: `#${match.channel.name}: ${this.summarize(match.text, userNames)}`,
+        url: match.permalink,
+        content: this.extractTextFromMrkdwn(match.text, userNames),
+        lastModified: this.toISO(match.ts),
+        author: match.username || userNames.get(match.user) || 'Unknown',
+        channel: match.channel.name,
+        type: 'slack_thread'
+      }));
+    } catch (error) {
+      console.error('Slack search failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Full text of a thread. Thread ids are "<channelId>:<thread ts>".
+   */
+  async getThreadContent(threadId) {
+    try {
+      const [channelId, ts] = threadId.split(':');
+      const messages = [];
+      let cursor;
+
+      do {
+        const data = await this.callApi('conversations.replies', { channel: channelId, ts, limit: 200, cursor });
+        messages.push(...data.messages);
+        cursor = data.response_metadata?.next_cursor || null;
+      } while (cursor);
+
+      const channel = await this.getChannel(channelId);
+      const userNames = await this.resolveUserNames([
+        ...messages.map(message => message.user),
+        ...messages.flatMap(message => this.findMentionedUsers(message.text))
+      ]);
+
+      const parent = messages[0] || {};
+
+      return {
+        id: threadId,
+        title: `#${channel.name}: ${this.summarize(parent.text, userNames)}`,
+        url: await this.getPermalink(channelId, ts),
+        content: messages
+          .map(message => `${userNames.get(message.user) || message.username || 'Unknown'}: ${this.extractTextFromMrkdwn(message.text, userNames)}`)
+          .join('\n'),
+        lastModified: this.toISO(parent.latest_reply || parent.ts),
+        author: userNames.get(parent.user) || 'Unknown',
+        channel: channel.name,
+        type: 'slack_thread'
+      };
+    } catch (error) {
+      console.error('Failed to get thread content:', error.message);
+      return null;
+    }
+  }
+
+  async getRecentThreads(limit = 10) {
+    try {
+      const threads = [];
+
+      for (const channel of await this.getChannels()) {
+        const data = await this.callApi('conversations.history', { channel: channel.id, limit: Math.min(limit, 200) });
+        const userNames = await this.resolveUserNames(data.messages.map(message => message.user));
+
+        for (const message of data.messages.filter(message => this.isThreadRoot(message))) {
+          threads.push(this.formatThread(channel, message, userNames));
+        }
+      }
+
+      return threads
+        .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Failed to get recent threads:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * List threads started since a cursor (epoch seconds of the previous sync)
+   * in every synced channel. Without a cursor the last `historyDays` days are
+   * crawled. New replies to threads started before the cursor are picked up
+   * by the periodic full crawl.
+   */
+  async listChanges(cursor = null, options = {}) {
+    const { includePermissions = true } = options;
+    const startedAt = Date.now() / 1000;
+    const oldest = cursor || String(startedAt - this.historyDays * 24 * 60 * 60);
+    const changes = [];
+
+    for (const channel of await this.getChannels()) {
+      const permissions = includePermissions ? await this.getChannelPermissions(channel.id) : null;
+      let pageCursor;
+
+      do {
+        const data = await this.callApi('conversations.history', {
+          channel: channel.id,
+          oldest,
+          limit: 200,
+          cursor: pageCursor
+        });
+
+        const userNames = await this.resolveUserNames(data.messages.map(message => message.user));
+
+        for (const message of data.messages.filter(message => this.isThreadRoot(message))) {
+          changes.push({
+            ...this.formatThread(channel, message, userNames),
+            permissions,
+            deleted: false
+          });
+        }
+
+        pageCursor = data.response_metadata?.next_cursor || null;
+      } while (pageCursor);
+    }
+
+    return { changes, cursor: String(startedAt) };
+  }
+
+  async getThreadPermissions(threadId) {
+    try {
+      return await this.getChannelPermissions(threadId.split(':')[0]);
+    } catch (error) {
+      console.error('Failed to get thread permissions:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Public channels are readable by the whole workspace; private channels and
+   * DMs only by their members
+   */
+  async getChannelPermissions(channelId) {
+    const channel = await this.getChannel(channelId);
+
+    if (!channel.is_private && !channel.is_im && !channel.is_mpim) {
+      return [{ type: 'domain', id: await this.getTeamId(), role: 'reader' }];
+    }
+
+    const members = [];
+    let cursor;
+
+    do {
+      const data = await this.callApi('conversations.members', { channel: channelId, limit: 1000, cursor });
+      members.push(...data.members);
+      cursor = data.response_metadata?.next_cursor || null;
+    } while (cursor);
+
+    return members.map(userId => ({ type: 'user', id: userId, role: 'reader' }));
+  }
+
+  async getChannels() {
+    if (this.channelIds) {
+      return Promise.all(this.channelIds.map(channelId => this.getChannel(channelId)));
+    }
+
+    const channels = [];
+    let cursor;
+
+    do {
+      const data = await this.callApi('conversations.list', {
+        types: 'public_channel,private_channel',
+        exclude_archived: true,
+        limit: 200,
+        cursor
+      });
+
+      for (const channel of data.channels.filter(channel => channel.is_member)) {
+        this.channelCache.set(channel.id, channel);
+        channels.push(channel);
+      }
+      cursor = data.response_metadata?.next_cursor || null;
+    } while (cursor);
+
+    return channels;
+  }
+
+  async getChannel(channelId) {
+    if (!this.channelCache.has(channelId)) {
+      const data = await this.callApi('conversations.info', { channel: channelId });
+      this.channelCache.set(channelId, data.channel);
+    }
+    return this.channelCache.get(channelId);
+  }
+
+  async getTeamId() {
+    if (!this.teamId) {
+      const data = await this.callApi('auth.test');
+      this.teamId = data.team_id;
+    }
+    return this.teamId;
+  }
+
+  async getPermalink(channelId, ts) {
+    try {
+      const data = await this.callApi('chat.getPermalink', { channel: channelId, message_ts: ts });
+      return data.permalink;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async resolveUserNames(userIds) {
+    for (const userId of new Set(userIds.filter(Boolean))) {
+      if (this.userNameCache.has(userId)) continue;
+
+      try {
+        const data = await this.callApi('users.info', { user: userId });
+        this.userNameCache.set(userId, data.user.real_name || data.user.name);
+      } catch (error) {
+        this.userNameCache.set(userId, userId);
+      }
+    }
+    return this.userNameCache;
+  }
+
+  formatThread(channel, message, userNames) {
+    return {
+      id: `${channel.id}:${message.thread_ts || message.ts}`,
+      title: `#${channel.name}: ${this.summarize(message.text, userNames)}`,
+      url: null,
+      content: this.extractTextFromMrkdwn(message.text, userNames),
+      lastModified: this.toISO(message.latest_reply || message.ts),
+      author: userNames.get(message.user) || message.username || 'Unknown',
+      channel: channel.name,
+      type: 'slack_thread'
+    };
+  }
+
+  isThreadRoot(message) {
+    // Skip joins, topic changes and replies (replies are read with their thread)
+    return !message.subtype && (!message.thread_ts || message.thread_ts === message.ts);
+  }
+
+  findMentionedUsers(text = '') {
+    return Array.from(text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g), match => match[1]);
+  }
+
+  /**
+   * Convert Slack mrkdwn to plain text: resolve mentions and links, drop formatting
+   */
+  extractTextFromMrkdwn(text = '', userNames = new Map()) {
+    return (text || '')
+      .replace(/<@([A-Z0-9]+)(?:\|([^>]*))?>/g, (match, userId, label) => `@${label || userNames.get(userId) || userId}`)
+      .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+      .replace(/<!(here|channel|everyone)[^>]*>/g, '@$1')
+      .replace(/<!subteam\^[A-Z0-9]+\|([^>]*)>/g, '$1')
+      .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+      .replace(/<(https?:[^>]+)>/g, '$1')
+      .replace(/```([\s\S]*?)```/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/(^|\s)[*_~]([^*_~\n]+)[*_~](?=\s|$|[.,!?])/g, '$1$2')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  summarize(text, userNames) {
+    const firstLine = this.extractTextFromMrkdwn(text, userNames).split('\n')[0];
+    return firstLine.length > 80 ? `${firstLine.substring(0, 77)}...` : firstLine;
+  }
+
+  getThreadTs(permalink = '') {
+    return permalink.match(/thread_ts=([\d.]+)/)?.[1] || null;
+  }
+
+  toISO(ts) {
+    return new Date(parseFloat(ts) * 1000).toISOString();
+  }
+
+  async testConnection() {
+    try {
+      const data = await this.callApi('auth.test');
+      this.teamId = data.team_id;
+      return true;
+    } catch (error) {
+      console.error('Slack connection test failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = SlackConnector;
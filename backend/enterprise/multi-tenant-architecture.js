@@ -8,6 +8,7 @@
 
 const crypto = require('crypto');
 const { EnterpriseSecurityFramework } = require('../security/enterprise-security-framework');
+const FallbackProviderSystem = require('../ai/fallback-provider-system');
 
 class MultiTenantArchitecture {
   constructor() {
@@ -114,6 +115,7 @@ class MultiTenantArchitecture {
       this.activeTenants.set(tenantId, tenant);
       this.tenantConfigurations.set(tenantId, tenantConfig);
       this.resourceAllocations.set(tenantId, resourceAllocation);
+      this.applyTenantAIRouting(tenantId, tenantConfig.aiSettings);
 
       // Update system metrics
       this.systemMetrics.totalTenants++;
@@ -134,6 +136,35 @@ class MultiTenantArchitecture {
     }
   }
 
+  /**
+   * Register a tenant created earlier (e.g. restored from storage)
+   */
+  loadTenant(tenant) {
+    this.activeTenants.set(tenant.id, tenant);
+    this.tenantConfigurations.set(tenant.id, tenant.configuration);
+    this.resourceAllocations.set(tenant.id, tenant.resources);
+    this.applyTenantAIRouting(tenant.id, tenant.configuration.aiSettings);
+
+    this.systemMetrics.totalTenants++;
+    if (tenant.status === 'ACTIVE') {
+      this.systemMetrics.activeTenants++;
+    }
+
+    return tenant;
+  }
+
+  /**
+   * Route the tenant's AI requests by its local mode; without one it follows
+   * the system-wide mode
+   */
+  applyTenantAIRouting(tenantId, aiSettings = {}) {
+    if (aiSettings.localMode) {
+      FallbackProviderSystem.setTenantLocalMode(tenantId, aiSettings.localMode);
+    } else {
+      FallbackProviderSystem.clearTenantLocalMode(tenantId);
+    }
+  }
+
   /**
    * Process tenant request with complete isolation
    */
@@ -353,6 +384,7 @@ class MultiTenantArchitecture {
         processingMetadata: {
           modelsUsed: aiConfig.enabledModels || ['gpt5', 'claude', 'gemini'],
           customizations: aiConfig.customizations || {},
+          localMode: aiConfig.localMode || 'fallback',
           performanceLevel: environment.resources.performanceLevel
         }
       };
@@ -474,6 +506,7 @@ class MultiTenantArchitecture {
       // Update tenant record
       tenant.configuration = updatedConfig;
       this.tenantConfigurations.set(tenantId, updatedConfig);
+      this.applyTenantAIRouting(tenantId, updatedConfig.aiSettings);
 
       // Log configuration change
       await this.logTenantConfigurationChange(tenantId, updates, validatedUpdates);
@@ -541,10 +574,14 @@ class MultiTenantArchitecture {
           return { valid: false, reason: 'Invalid custom settings format' };
 
         case 'aiSettings':
-          if (typeof value === 'object' && value !== null) {
-            return { valid: true, value };
+          if (typeof value !== 'object' || value === null) {
+            return { valid: false, reason: 'Invalid AI settings format' };
+          }
+          // Where the on-premise model sits in the provider chain
+          if (value.localMode !== undefined && !['primary', 'fallback', 'local-only'].includes(value.localMode)) {
+            return { valid: false, reason: 'Invalid local AI mode' };
           }
-          return { valid: false, reason: 'Invalid AI settings format' };
+          return { valid: true, value };
 
         default:
           return { valid: false, reason: 'Unknown configuration field' };
@@ -971,6 +1008,11 @@ class TenantManager {
         throw new Error(`Unknown subscription plan: ${subscriptionPlan}`);
       }
 
+      const aiSettings = this.generateAISettings(subscriptionPlan);
+      if (tenantData.aiSettings?.localMode !== undefined) {
+        aiSettings.localMode = FallbackProviderSystem.validateLocalMode(tenantData.aiSettings.localMode);
+      }
+
       const configuration = {
         tenantId,
         subscriptionPlan,
@@ -978,7 +1020,7 @@ class TenantManager {
         limits: planConfig.limits,
         customSettings: tenantData.customSettings || {},
         featureFlags: this.generateFeatureFlags(planConfig.features),
-        aiSettings: this.generateAISettings(subscriptionPlan),
+        aiSettings,
         integrationSettings: tenantData.integrationSettings || {},
         complianceRequirements: tenantData.complianceRequirements || [],
         createdAt: new Date(),
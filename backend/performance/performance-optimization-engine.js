@@ -7,6 +7,7 @@
  */
 
 const EventEmitter = require('events');
+const { getResponseCache } = require('../ai/response-cache');
 
 class PerformanceOptimizationEngine extends EventEmitter {
   constructor() {
@@ -1387,7 +1388,9 @@ class IntelligentCacheManager {
         totalRequests: Math.floor(Math.random() * 10000 + 1000),
         hits: Math.floor(Math.random() * 8000 + 700),
         misses: Math.floor(Math.random() * 2000 + 300)
-      }
+      },
+      // AI provider responses (exact and semantic hits, tokens saved)
+      aiResponses: getResponseCache().getStats()
     };
   }
 }
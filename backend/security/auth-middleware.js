@@ -0,0 +1,86 @@
+/**
+ * Request Authentication
+ *
+ * Verifies the session tokens the MeetingMind server issues at login (signed
+ * with JWT_SECRET) and sets req.user from them. Identity and organization
+ * always come from the token, never from the request body or query.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Login tokens carry no purpose, type or audience; verification, reset and
+ * link tokens signed with the same secret must not authenticate a request
+ */
+function isSessionToken(decoded) {
+  return Boolean(decoded && decoded.userId) &&
+    decoded.purpose === undefined &&
+    decoded.type === undefined &&
+    decoded.aud === undefined;
+}
+
+function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({
+      error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  if (!isSessionToken(decoded)) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.user = {
+    id: decoded.userId,
+    email: decoded.email || null,
+    role: decoded.role || null,
+    organizationId: decoded.organizationId || null
+  };
+  next();
+}
+
+/**
+ * Platform role check, after authenticate
+ *
+ * @param {string|string[]} roles - Roles allowed (users.role)
+ */
+function requireRole(roles) {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: `This action requires one of the following roles: ${allowedRoles.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Requires the session to be for an organization, after authenticate
+ */
+function requireOrganization(req, res, next) {
+  if (!req.user?.organizationId) {
+    return res.status(403).json({ error: 'This action requires an organization session' });
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireOrganization,
+  isSessionToken
+};
@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const path = require('path');
 const { createServer } = require('http');
 const WebSocket = require('ws');
+const multer = require('multer');
 require('dotenv').config();
 
 // Import our revolutionary AI services
@@ -19,6 +20,10 @@ const { KnowledgeBaseService } = require('./services/knowledge-base-service');
 const { EnterpriseSecurityFramework } = require('./security/enterprise-security-framework');
 const { PerformanceOptimizationEngine } = require('./performance/performance-optimization-engine');
 const { RealTimeMonitoringDashboard } = require('./monitoring/real-time-monitoring-dashboard');
+const { getPromptRegistry } = require('./ai/prompt-registry');
+const { authenticate, requireRole, requireOrganization } = require('./security/auth-middleware');
+const CalendarIntegrationService = require('./services/calendar-integration-service');
+const EnhancedMeetingPreparationService = require('./services/enhanced-meeting-preparation');
 
 const app = express();
 const server = createServer(app);
@@ -69,6 +74,7 @@ let knowledgeBase;
 let securityFramework;
 let performanceEngine;
 let monitoringDashboard;
+let calendarIntegration;
 
 async function initializeServices() {
   try {
@@ -127,6 +133,8 @@ async function initializeServices() {
     await intelligenceHub.initialize();
     console.log('✅ Unified Intelligence Hub initialized');
     
+    calendarIntegration = await initializeCalendarIntegration();
+    
     console.log('🎉 MeetingMind Platform fully operational!');
   } catch (error) {
     console.error('❌ Service initialization failed:', error);
@@ -134,6 +142,37 @@ async function initializeServices() {
   }
 }
 
+async function initializeCalendarIntegration() {
+  // Calendar problems must not keep the platform from starting
+  try {
+    const config = CalendarIntegrationService.configFromEnv();
+    if (!config) return null;
+
+    const preparationService = new EnhancedMeetingPreparationService();
+    await preparationService.initialize({});
+
+    const service = new CalendarIntegrationService({ ...config, preparationService });
+    service.on('briefing_prepared', ({ event, preparation }) => {
+      wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(JSON.stringify({
+            type: 'meeting_briefing',
+            data: { event, briefing: preparation.briefing, preparationId: preparation.meetingId }
+          }));
+        }
+      });
+    });
+
+    await service.initialize();
+    await service.start();
+    console.log('✅ Calendar Integration initialized');
+    return service;
+  } catch (error) {
+    console.error('❌ Calendar integration failed to start:', error.message);
+    return null;
+  }
+}
+
 // API Routes
 app.get('/api/health', (req, res) => {
   res.json({
@@ -226,10 +265,19 @@ app.post('/api/coaching/analyze', async (req, res) => {
 });
 
 // Knowledge Base API
-app.post('/api/knowledge/search', async (req, res) => {
+// Results are trimmed to what the signed-in user may see in their sources;
+// the identity always comes from the session, never from the request
+app.post('/api/knowledge/search', authenticate, requireOrganization, async (req, res) => {
   try {
-    const { query, context } = req.body;
-    const results = await knowledgeBase.search(query, context);
+    const { query, context = {} } = req.body;
+    const { user, ...meetingContext } = context;
+
+    const results = await knowledgeBase.search(query, {
+      ...meetingContext,
+      userId: req.user.id,
+      userEmail: req.user.email,
+      organizationId: req.user.organizationId
+    });
     res.json(results);
   } catch (error) {
     console.error('Knowledge search error:', error);
@@ -237,6 +285,52 @@ app.post('/api/knowledge/search', async (req, res) => {
   }
 });
 
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 }
+});
+
+// Documents belong to the organization of the signed-in user
+app.post('/api/knowledge/documents', authenticate, requireOrganization, documentUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No document uploaded' });
+    }
+
+    const document = await knowledgeBase.uploadDocument({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      title: req.body.title,
+      uploadedBy: req.user.id,
+      organizationId: req.user.organizationId
+    });
+    res.status(201).json(document);
+  } catch (error) {
+    console.error('Knowledge document upload error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/knowledge/documents', authenticate, requireOrganization, (req, res) => {
+  try {
+    res.json(knowledgeBase.listLocalDocuments(req.user.organizationId));
+  } catch (error) {
+    console.error('Knowledge document list error:', error);
+    res.status(500).json({ error: 'Failed to list knowledge documents' });
+  }
+});
+
+app.delete('/api/knowledge/documents/:id', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const removed = await knowledgeBase.removeDocument(req.user.organizationId, 'local_files', req.params.id);
+    res.json({ removed });
+  } catch (error) {
+    console.error('Knowledge document delete error:', error);
+    res.status(500).json({ error: 'Failed to delete knowledge document' });
+  }
+});
+
 // Performance Monitoring API
 app.get('/api/monitoring/metrics', async (req, res) => {
   try {
@@ -248,6 +342,155 @@ app.get('/api/monitoring/metrics', async (req, res) => {
   }
 });
 
+// Prompt Registry API
+app.get('/api/prompts', (req, res) => {
+  const prompts = getPromptRegistry();
+  res.json({ prompts: prompts.list(), stats: prompts.getStats() });
+});
+
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    const prompts = getPromptRegistry();
+    const { name } = req.params;
+    res.json({
+      prompt: prompts.get(name, req.query.version),
+      experiment: prompts.getExperimentReport(name),
+      stats: prompts.getStats()[name]
+    });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Changing a prompt changes every answer the platform gives: defining,
+// activating and experimenting take a platform admin
+const requirePromptAdmin = [authenticate, requireRole('admin')];
+
+// Desktop apps render their bundled prompts locally. They report renders and
+// feedback here and get back the versions to serve; an admin's app also
+// publishes its catalog (so its prompts can be activated and experimented on).
+app.post('/api/prompts/sync', authenticate, (req, res) => {
+  try {
+    const prompts = getPromptRegistry();
+    const { prefix, definitions = [], renders = [], outcomes = [] } = req.body;
+    if (typeof prefix !== 'string' || !prefix || ![definitions, renders, outcomes].every(Array.isArray)) {
+      return res.status(400).json({ error: 'prefix, definitions, renders and outcomes are required' });
+    }
+
+    // A version published with different wording is reported, not applied
+    const conflicts = [];
+    const publishable = req.user.role === 'admin' ? definitions : [];
+    publishable
+      .filter(definition => typeof definition?.name === 'string' && definition.name.startsWith(`${prefix}.`))
+      .forEach(({ name, version, template, description }) => {
+        try {
+          prompts.define(name, { version, template, description });
+        } catch (error) {
+          conflicts.push({ name, version, error: error.message });
+        }
+      });
+
+    renders.forEach(ref => prompts.recordRender(ref));
+    outcomes.forEach(({ ref, outcome } = {}) => prompts.recordOutcome(ref, outcome));
+
+    res.json({ prompts: prompts.getServingState(prefix), conflicts });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Register a new version of a prompt; { activate: true } serves it right away
+app.post('/api/prompts/:name/versions', requirePromptAdmin, (req, res) => {
+  try {
+    const prompts = getPromptRegistry();
+    const { version, template, description, activate } = req.body;
+    const definition = prompts.define(req.params.name, { version, template, description });
+    if (activate) {
+      prompts.activate(req.params.name, definition.version);
+    }
+    res.status(201).json({ prompt: definition });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/prompts/:name/active', requirePromptAdmin, (req, res) => {
+  try {
+    const prompt = getPromptRegistry().activate(req.params.name, req.body.version);
+    res.json({ prompt });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Split traffic between versions: { id, variants: [{ version, weight }] }
+app.post('/api/prompts/:name/experiment', requirePromptAdmin, (req, res) => {
+  try {
+    const experiment = getPromptRegistry().startExperiment(req.params.name, req.body);
+    res.status(201).json({ experiment });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/prompts/:name/experiment', (req, res) => {
+  try {
+    const experiment = getPromptRegistry().getExperimentReport(req.params.name);
+    if (!experiment) {
+      return res.status(404).json({ error: `Prompt ${req.params.name} has no experiments` });
+    }
+    res.json({ experiment });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Stop the running experiment; { promote: version } activates the winner
+app.delete('/api/prompts/:name/experiment', requirePromptAdmin, (req, res) => {
+  try {
+    const promote = req.body?.promote ?? req.query.promote;
+    const experiment = getPromptRegistry().stopExperiment(req.params.name, { promote });
+    res.json({ experiment });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Calendar API
+app.get('/api/calendar/events', async (req, res) => {
+  if (!calendarIntegration) {
+    return res.status(503).json({ error: 'No calendars configured' });
+  }
+
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if (isNaN(from) || (to && isNaN(to))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const events = await calendarIntegration.eventStore.listEvents({ from, to });
+    res.json({ events });
+  } catch (error) {
+    console.error('Calendar events error:', error);
+    res.status(500).json({ error: 'Failed to list calendar events' });
+  }
+});
+
+app.post('/api/calendar/sync', async (req, res) => {
+  if (!calendarIntegration) {
+    return res.status(503).json({ error: 'No calendars configured' });
+  }
+
+  try {
+    const result = await calendarIntegration.syncCalendars();
+    res.json(result);
+  } catch (error) {
+    console.error('Calendar sync error:', error);
+    res.status(500).json({ error: 'Calendar sync failed' });
+  }
+});
+
 // WebSocket for real-time intelligence
 wss.on('connection', (ws, req) => {
   console.log('🔌 New WebSocket connection established');
@@ -273,6 +516,18 @@ wss.on('connection', (ws, req) => {
           }));
           break;
           
+        case 'intelligence_feedback':
+          await intelligenceHub.handleIntelligenceFeedback(
+            data.payload.meetingId,
+            data.payload.intelligenceId,
+            data.payload.feedback
+          );
+          ws.send(JSON.stringify({
+            type: 'feedback_recorded',
+            intelligenceId: data.payload.intelligenceId
+          }));
+          break;
+          
         case 'meeting_end':
           const summary = await intelligenceHub.endMeetingSession(data.payload);
           ws.send(JSON.stringify({
@@ -323,6 +578,10 @@ app.use((error, req, res, next) => {
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
   
+  if (calendarIntegration) {
+    calendarIntegration.stop();
+  }
+  
   if (intelligenceHub) {
     await intelligenceHub.shutdown();
   }
@@ -336,6 +595,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
   
+  if (calendarIntegration) {
+    calendarIntegration.stop();
+  }
+  
   if (intelligenceHub) {
     await intelligenceHub.shutdown();
   }
@@ -7,12 +7,14 @@
  */
 
 const { TripleAIClient } = require('../ai/triple-ai-client');
+const { getPromptRegistry, mergePromptRefs } = require('../ai/prompt-registry');
 const { MeetingMemoryService } = require('./meeting-memory-service');
 const { OpportunityDetectionEngine } = require('./opportunity-detection-engine');
 
 class AICoachingEngine {
   constructor() {
     this.tripleAI = new TripleAIClient();
+    this.prompts = getPromptRegistry();
     this.memoryService = new MeetingMemoryService();
     this.opportunityEngine = new OpportunityDetectionEngine();
     
@@ -181,35 +183,32 @@ class AICoachingEngine {
   async prioritizeCoachingRecommendations(recommendations, session, realTimeData) {
     try {
       // Use triple-AI collaboration for intelligent prioritization
-      const prioritizationPrompt = `
-        Analyze and prioritize these coaching recommendations based on:
-        1. Immediate impact on meeting effectiveness
-        2. Urgency of intervention needed
-        3. User acceptance likelihood
-        4. Implementation feasibility
-        
-        Recommendations: ${JSON.stringify(recommendations)}
-        Meeting Context: ${JSON.stringify(session.context)}
-        Current Situation: ${JSON.stringify(realTimeData.context)}
-        
-        Return top 3 recommendations with priority scores and reasoning.
-      `;
+      const prioritizationPrompt = this.prompts.render('coaching.prioritize', {
+        recommendations: JSON.stringify(recommendations),
+        meetingContext: JSON.stringify(session.context),
+        situation: JSON.stringify(realTimeData.context)
+      }, { unitId: session.meetingId });
 
       const prioritization = await this.tripleAI.processWithCollaboration(
-        prioritizationPrompt,
+        prioritizationPrompt.text,
         {
           gpt5: { role: 'reasoning', weight: 0.4 },
           claude: { role: 'accuracy', weight: 0.3 },
           gemini: { role: 'speed', weight: 0.3 }
-        }
+        },
+        { redaction: this.getRedactionScope(session), promptUnit: session.meetingId }
       );
 
+      // Feedback on a recommendation is credited to these prompt versions
+      const prompts = mergePromptRefs(prioritizationPrompt.ref, prioritization.prompts || []);
+
       // Parse and structure prioritized recommendations
       const prioritizedRecommendations = recommendations
         .map(rec => ({
           ...rec,
           priority: this.calculatePriorityScore(rec, session, realTimeData),
-          aiReasoning: prioritization.reasoning
+          aiReasoning: prioritization.reasoning,
+          prompts
         }))
         .sort((a, b) => b.priority - a.priority)
         .slice(0, 3); // Top 3 recommendations
@@ -222,6 +221,17 @@ class AICoachingEngine {
     }
   }
 
+  /**
+   * Coaching prompts carry participant names and meeting context; redact
+   * them under the meeting's organization policy
+   */
+  getRedactionScope(session) {
+    return {
+      tenantId: session.context?.organizationId,
+      terms: { person: session.participants.map(participant => participant.name).filter(Boolean) }
+    };
+  }
+
   /**
    * Calculate priority score for coaching recommendation
    */
@@ -278,6 +288,10 @@ class AICoachingEngine {
           if (feedback.satisfaction) {
             this.coachingMetrics.userSatisfaction.push(feedback.satisfaction);
           }
+
+          // Outcome metrics for the prompt versions (and experiment variants)
+          // that produced the recommendation
+          (recommendation.prompts || []).forEach(ref => this.prompts.recordOutcome(ref, feedback));
         }
       }
 
@@ -321,30 +335,24 @@ class AICoachingEngine {
       }
 
       // Generate key insights using triple-AI collaboration
-      const insightsPrompt = `
-        Analyze this coaching session and provide key insights:
-        
-        Session Data: ${JSON.stringify(session, null, 2)}
-        Summary: ${JSON.stringify(summary, null, 2)}
-        
-        Provide:
-        1. Top 3 key insights about meeting effectiveness
-        2. Most impactful coaching interventions
-        3. Opportunities for future improvement
-        4. Participant development recommendations
-      `;
+      const insightsPrompt = this.prompts.render('coaching.session_insights', {
+        session: JSON.stringify(session, null, 2),
+        summary: JSON.stringify(summary, null, 2)
+      }, { unitId: meetingId });
 
       const insights = await this.tripleAI.processWithCollaboration(
-        insightsPrompt,
+        insightsPrompt.text,
         {
           gpt5: { role: 'insight_generation', weight: 0.5 },
           claude: { role: 'accuracy_validation', weight: 0.3 },
           gemini: { role: 'synthesis', weight: 0.2 }
-        }
+        },
+        { redaction: this.getRedactionScope(session), promptUnit: meetingId }
       );
 
       summary.keyInsights = insights.keyInsights || [];
       summary.improvementOpportunities = insights.improvementOpportunities || [];
+      summary.prompts = mergePromptRefs(insightsPrompt.ref, insights.prompts || []);
 
       // Store coaching session history
       this.coachingHistory.set(meetingId, {
@@ -0,0 +1,239 @@
+/**
+ * Calendar Event Stores
+ *
+ * Persist events ingested from connected calendars together with the state
+ * of their pre-meeting briefing, so a restart neither loses scheduled
+ * briefings nor prepares the same one twice. The in-memory store is used for
+ * offline and single-process deployments, the Supabase store persists to
+ * calendar_events.
+ */
+
+/**
+ * In-memory calendar event store
+ */
+class InMemoryCalendarEventStore {
+  constructor() {
+    this.name = 'memory';
+    this.events = new Map(); // calendar -> Map(externalId -> event)
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getEvent(calendar, externalId) {
+    return this.events.get(calendar)?.get(externalId) || null;
+  }
+
+  async saveEvent(calendar, externalId, event) {
+    if (!this.events.has(calendar)) {
+      this.events.set(calendar, new Map());
+    }
+
+    const saved = { ...event, calendar, externalId, syncedAt: new Date().toISOString() };
+    this.events.get(calendar).set(externalId, saved);
+    return saved;
+  }
+
+  async deleteEvent(calendar, externalId) {
+    return this.events.get(calendar)?.delete(externalId) || false;
+  }
+
+  async listEvents({ calendar, from, to } = {}) {
+    const calendars = calendar ? [this.events.get(calendar)].filter(Boolean) : Array.from(this.events.values());
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    return calendars
+      .flatMap(events => Array.from(events.values()))
+      .filter(event => {
+        const start = new Date(event.start).getTime();
+        return start >= fromTime && start < toTime;
+      })
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  async markBriefing(calendar, externalId, briefing) {
+    const event = await this.getEvent(calendar, externalId);
+    if (!event) return null;
+
+    Object.assign(event, {
+      briefingPreparedAt: briefing.preparedAt || new Date().toISOString(),
+      briefingHash: briefing.hash || null,
+      preparationId: briefing.preparationId || null
+    });
+    return event;
+  }
+}
+
+/**
+ * Supabase-backed calendar event store
+ */
+class SupabaseCalendarEventStore {
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.supabase = options.supabase || null;
+    this.organizationId = options.organizationId || null;
+    this.userId = options.userId || null;
+  }
+
+  async initialize() {
+    if (!this.supabase) {
+      const { createClient } = require('@supabase/supabase-js');
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY
+      );
+    }
+    return true;
+  }
+
+  async getEvent(calendar, externalId) {
+    const { data, error } = await this.supabase
+      .from('calendar_events')
+      .select('*')
+      .eq('user_id', this.userId)
+      .eq('calendar', calendar)
+      .eq('external_id', externalId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to load calendar event: ${error.message}`);
+    return data ? fromRow(data) : null;
+  }
+
+  async saveEvent(calendar, externalId, event) {
+    const { data, error } = await this.supabase
+      .from('calendar_events')
+      .upsert({
+        organization_id: this.organizationId,
+        user_id: this.userId,
+        calendar,
+        provider: event.provider,
+        external_id: externalId,
+        ical_uid: event.uid || null,
+        recurrence_id: event.recurrenceId || null,
+        title: event.title,
+        description: event.description || null,
+        location: event.location || null,
+        start_time: event.start,
+        end_time: event.end || null,
+        all_day: Boolean(event.allDay),
+        status: event.status || 'confirmed',
+        organizer: event.organizer || null,
+        attendees: event.attendees || [],
+        agenda: event.agenda || [],
+        meeting_url: event.meetingUrl || null,
+        platform: event.platform || null,
+        content_hash: event.contentHash || null,
+        briefing_at: event.briefingAt || null,
+        briefing_prepared_at: event.briefingPreparedAt || null,
+        briefing_hash: event.briefingHash || null,
+        preparation_id: event.preparationId || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,calendar,external_id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save calendar event: ${error.message}`);
+    return fromRow(data);
+  }
+
+  async deleteEvent(calendar, externalId) {
+    const { data, error } = await this.supabase
+      .from('calendar_events')
+      .delete()
+      .eq('user_id', this.userId)
+      .eq('calendar', calendar)
+      .eq('external_id', externalId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete calendar event: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async listEvents({ calendar, from, to } = {}) {
+    let query = this.supabase
+      .from('calendar_events')
+      .select('*')
+      .eq('user_id', this.userId)
+      .order('start_time', { ascending: true });
+
+    if (calendar) query = query.eq('calendar', calendar);
+    if (from) query = query.gte('start_time', new Date(from).toISOString());
+    if (to) query = query.lt('start_time', new Date(to).toISOString());
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list calendar events: ${error.message}`);
+    return data.map(fromRow);
+  }
+
+  async markBriefing(calendar, externalId, briefing) {
+    const { data, error } = await this.supabase
+      .from('calendar_events')
+      .update({
+        briefing_prepared_at: briefing.preparedAt || new Date().toISOString(),
+        briefing_hash: briefing.hash || null,
+        preparation_id: briefing.preparationId || null
+      })
+      .eq('user_id', this.userId)
+      .eq('calendar', calendar)
+      .eq('external_id', externalId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to record briefing: ${error.message}`);
+    return data ? fromRow(data) : null;
+  }
+}
+
+function fromRow(row) {
+  return {
+    calendar: row.calendar,
+    provider: row.provider,
+    externalId: row.external_id,
+    uid: row.ical_uid,
+    recurrenceId: row.recurrence_id,
+    title: row.title,
+    description: row.description,
+    location: row.location,
+    start: row.start_time,
+    end: row.end_time,
+    allDay: row.all_day,
+    status: row.status,
+    organizer: row.organizer,
+    attendees: row.attendees || [],
+    agenda: row.agenda || [],
+    meetingUrl: row.meeting_url,
+    platform: row.platform,
+    contentHash: row.content_hash,
+    briefingAt: row.briefing_at,
+    briefingPreparedAt: row.briefing_prepared_at,
+    briefingHash: row.briefing_hash,
+    preparationId: row.preparation_id,
+    meetingId: row.meeting_id,
+    syncedAt: row.updated_at
+  };
+}
+
+/**
+ * Create a calendar event store from configuration
+ */
+function createCalendarEventStore(config = {}) {
+  const store = config.store || process.env.CALENDAR_EVENT_STORE || 'memory';
+
+  switch (store) {
+    case 'memory':
+      return new InMemoryCalendarEventStore(config);
+    case 'supabase':
+      return new SupabaseCalendarEventStore(config);
+    default:
+      throw new Error(`Unknown calendar event store: ${store}`);
+  }
+}
+
+module.exports = {
+  InMemoryCalendarEventStore,
+  SupabaseCalendarEventStore,
+  createCalendarEventStore
+};
@@ -0,0 +1,639 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const IcsCalendarConnector = require('../connectors/ics-calendar-connector');
+const CalDavCalendarConnector = require('../connectors/caldav-calendar-connector');
+const GoogleCalendarConnector = require('../connectors/google-calendar-connector');
+const GraphCalendarConnector = require('../connectors/graph-calendar-connector');
+const { createCalendarEventStore } = require('./calendar-event-store');
+
+/**
+ * CALENDAR INTEGRATION SERVICE
+ *
+ * Ingests events from connected calendars (ICS feeds, CalDAV collections,
+ * Google Calendar, Outlook through Graph), extracts the meeting URL,
+ * participants and agenda of each event, and prepares a pre-meeting briefing
+ * a configurable time before the meeting starts. Briefings are prepared again
+ * when the title, time, attendees or agenda of an event change.
+ *
+ * Events:
+ * - calendar_synced          { calendar, events, added, updated, removed }
+ * - calendar_sync_failed     { calendar, error }
+ * - calendar_event_changed   { event, changes }
+ * - calendar_event_removed   { event }
+ * - briefing_prepared        { event, preparation, regenerated, changes }
+ * - briefing_failed          { event, error }
+ * - stopped
+ */
+class CalendarIntegrationService extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = config;
+    this.connectedCalendars = [];
+
+    this.preparationService = config.preparationService || null;
+    this.platformIntegrations = config.platformIntegrations || null;
+    this.userId = config.userId || null;
+    this.eventStore = config.eventStore || createCalendarEventStore({
+      store: config.store,
+      organizationId: config.organizationId,
+      userId: config.userId
+    });
+
+    this.syncInterval = config.syncInterval || 5 * 60 * 1000; // 5 minutes
+    this.lookaheadDays = config.lookaheadDays || 7;
+    this.briefingLeadMinutes = config.briefingLeadMinutes ??
+      parseInt(process.env.CALENDAR_BRIEFING_LEAD_MINUTES || '30');
+    this.resolveParticipant = config.resolveParticipant || (participant => participant.email);
+
+    this.syncTimer = null;
+    this.syncing = null;
+    this.briefingTimers = new Map(); // calendar:externalId -> timeout
+    this.pendingChanges = new Map(); // calendar:externalId -> changes since the last briefing
+  }
+
+  /**
+   * Calendar configuration from environment variables, or null when no
+   * calendar is configured
+   */
+  static configFromEnv(env = process.env) {
+    const timeZone = env.CALENDAR_TIME_ZONE || 'UTC';
+    const config = {
+      userId: env.CALENDAR_USER_ID || null,
+      ics: (env.CALENDAR_ICS_URLS || '').split(',').map(source => source.trim()).filter(Boolean)
+        .map((source, index) => ({
+          name: `ICS Calendar ${index + 1}`,
+          ...(/^(https?|webcal):\/\//i.test(source) ? { url: source } : { path: source }),
+          timeZone
+        })),
+      caldav: env.CALDAV_URL ? [{
+        name: 'CalDAV Calendar',
+        url: env.CALDAV_URL,
+        username: env.CALDAV_USERNAME,
+        password: env.CALDAV_PASSWORD,
+        timeZone
+      }] : []
+    };
+
+    if (env.GOOGLE_CALENDAR_CREDENTIALS) {
+      config.googleCalendar = {
+        credentials: JSON.parse(env.GOOGLE_CALENDAR_CREDENTIALS),
+        calendarId: env.GOOGLE_CALENDAR_ID || 'primary'
+      };
+    }
+
+    if (env.OUTLOOK_CALENDAR_TENANT_ID) {
+      config.outlookCalendar = {
+        tenantId: env.OUTLOOK_CALENDAR_TENANT_ID,
+        clientId: env.OUTLOOK_CALENDAR_CLIENT_ID,
+        clientSecret: env.OUTLOOK_CALENDAR_CLIENT_SECRET,
+        userId: env.OUTLOOK_CALENDAR_USER_ID
+      };
+    }
+
+    const configured = config.ics.length + config.caldav.length +
+      (config.googleCalendar ? 1 : 0) + (config.outlookCalendar ? 1 : 0);
+    return configured > 0 ? config : null;
+  }
+
+  /**
+   * Connect the configured calendars and reschedule briefings persisted by a
+   * previous run
+   */
+  async initialize() {
+    await this.eventStore.initialize();
+
+    for (const connector of this.createConnectors()) {
+      await this.addCalendar(connector);
+    }
+
+    const pending = await this.eventStore.listEvents({ from: new Date() });
+    pending.forEach(event => this.scheduleBriefing(event));
+
+    console.log(`📅 Calendar integration initialized with ${this.connectedCalendars.length} calendar(s)`);
+    return this.connectedCalendars.length;
+  }
+
+  createConnectors() {
+    const connectors = [];
+    const { ics = [], caldav = [], googleCalendar, outlookCalendar } = this.config;
+
+    ics.forEach(calendar => connectors.push(new IcsCalendarConnector(calendar)));
+    caldav.forEach(calendar => connectors.push(new CalDavCalendarConnector(calendar)));
+
+    // Only calendars with credentials; { enabled: true } alone is not enough
+    if (googleCalendar?.credentials || googleCalendar?.auth) {
+      connectors.push(new GoogleCalendarConnector(googleCalendar));
+    }
+
+    if (outlookCalendar?.tenantId && outlookCalendar?.clientId && outlookCalendar?.clientSecret && outlookCalendar?.userId) {
+      connectors.push(new GraphCalendarConnector(outlookCalendar));
+    }
+
+    return connectors;
+  }
+
+  async addCalendar(connector) {
+    if (this.connectedCalendars.some(calendar => calendar.name === connector.name)) {
+      throw new Error(`Calendar "${connector.name}" is already connected`);
+    }
+
+    if (!await connector.testConnection()) {
+      console.warn(`Calendar "${connector.name}" is not reachable, skipping`);
+      return false;
+    }
+
+    this.connectedCalendars.push(connector);
+    return true;
+  }
+
+  async start() {
+    if (this.syncTimer) return;
+
+    await this.syncCalendars();
+
+    this.syncTimer = setInterval(() => {
+      this.syncCalendars().catch(error => console.error('❌ Calendar sync error:', error.message));
+    }, this.syncInterval);
+    this.syncTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+
+    this.briefingTimers.forEach(timer => clearTimeout(timer));
+    this.briefingTimers.clear();
+
+    this.emit('stopped');
+  }
+
+  /**
+   * Pull the lookahead window of every connected calendar into the event
+   * store. A sync already in progress is shared rather than run twice.
+   */
+  async syncCalendars() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    const from = new Date();
+    const to = new Date(from.getTime() + this.lookaheadDays * 24 * 60 * 60 * 1000);
+    const results = [];
+
+    for (const calendar of this.connectedCalendars) {
+      try {
+        results.push(await this.syncCalendar(calendar, from, to));
+      } catch (error) {
+        console.error(`❌ Calendar "${calendar.name}" sync failed:`, error.message);
+        this.emit('calendar_sync_failed', { calendar: calendar.name, error: error.message });
+        results.push({ calendar: calendar.name, error: error.message });
+      }
+    }
+
+    return { syncedAt: from.toISOString(), calendars: results };
+  }
+
+  async syncCalendar(calendar, from, to) {
+    const events = await calendar.getEvents(from, to);
+    const seen = new Set();
+    const stats = { calendar: calendar.name, events: events.length, added: 0, updated: 0, removed: 0 };
+
+    for (const rawEvent of events) {
+      const event = this.buildMeeting(rawEvent, calendar);
+      seen.add(event.externalId);
+
+      const stored = await this.eventStore.getEvent(calendar.name, event.externalId);
+      if (stored && stored.contentHash === event.contentHash) {
+        this.scheduleBriefing(stored);
+        continue;
+      }
+
+      const saved = await this.eventStore.saveEvent(calendar.name, event.externalId, {
+        ...event,
+        briefingPreparedAt: stored?.briefingPreparedAt || null,
+        briefingHash: stored?.briefingHash || null,
+        preparationId: stored?.preparationId || null
+      });
+
+      if (stored) {
+        const changes = describeChanges(stored, event);
+        if (stored.briefingPreparedAt) {
+          const key = eventKey(saved);
+          this.pendingChanges.set(key, [...new Set([...(this.pendingChanges.get(key) || []), ...changes])]);
+        }
+
+        stats.updated++;
+        this.emit('calendar_event_changed', { event: saved, changes });
+      } else {
+        stats.added++;
+      }
+
+      this.scheduleBriefing(saved);
+    }
+
+    // Events that disappeared from the window were deleted or moved out of it
+    const stored = await this.eventStore.listEvents({ calendar: calendar.name, from, to });
+    for (const event of stored.filter(event => !seen.has(event.externalId))) {
+      await this.eventStore.deleteEvent(calendar.name, event.externalId);
+      this.cancelBriefing(event);
+      this.pendingChanges.delete(eventKey(event));
+      stats.removed++;
+      this.emit('calendar_event_removed', { event });
+    }
+
+    this.emit('calendar_synced', stats);
+    return stats;
+  }
+
+  /**
+   * Calendar event -> meeting: join URL and platform, participants and agenda
+   */
+  buildMeeting(event, calendar) {
+    const meetingUrl = event.conferenceUrl ||
+      this.extractMeetingUrl([event.location, event.description].filter(Boolean).join('\n'));
+    const attendees = this.extractParticipants(event);
+    const agenda = this.extractAgenda(event.description);
+
+    const meeting = {
+      calendar: calendar.name,
+      provider: calendar.provider,
+      externalId: event.id,
+      uid: event.uid || null,
+      recurrenceId: event.recurrenceId || null,
+      title: event.title,
+      description: event.description || null,
+      location: event.location || null,
+      start: event.start,
+      end: event.end,
+      allDay: Boolean(event.allDay),
+      status: event.status || 'confirmed',
+      organizer: event.organizer || null,
+      attendees,
+      agenda,
+      meetingUrl: meetingUrl || null,
+      platform: meetingUrl ? this.detectPlatform(meetingUrl) : null
+    };
+
+    meeting.contentHash = hashMeeting(meeting);
+    meeting.briefingAt = this.briefingTime(meeting.start);
+    return meeting;
+  }
+
+  briefingTime(start) {
+    return new Date(new Date(start).getTime() - this.briefingLeadMinutes * 60000).toISOString();
+  }
+
+  /**
+   * Move the briefings of upcoming events to a new lead time
+   */
+  async setBriefingLeadMinutes(minutes) {
+    this.briefingLeadMinutes = minutes;
+
+    const events = await this.eventStore.listEvents({ from: new Date() });
+    for (const event of events) {
+      const saved = await this.eventStore.saveEvent(event.calendar, event.externalId, {
+        ...event,
+        briefingAt: this.briefingTime(event.start)
+      });
+      this.scheduleBriefing(saved);
+    }
+  }
+
+  detectPlatform(meetingUrl) {
+    if (this.platformIntegrations) {
+      return this.platformIntegrations.detectPlatform(meetingUrl);
+    }
+
+    // Required here: enhanced-platform-integrations re-exports this service
+    const { EnhancedPlatformIntegrations } = require('./enhanced-platform-integrations');
+    return EnhancedPlatformIntegrations.detectPlatform(meetingUrl);
+  }
+
+  /**
+   * First URL in the text that belongs to a known meeting platform
+   */
+  extractMeetingUrl(text) {
+    if (!text) return null;
+
+    const urls = text.match(/https?:\/\/[^\s<>"'\])]+/g) || [];
+
+    for (const candidate of urls) {
+      const url = candidate.replace(/[.,;:!?]+$/, '');
+      if (this.detectPlatform(url) !== 'generic') {
+        return url;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Organizer and attendees who have not declined, one entry per email.
+   * Rooms and other resources are not participants.
+   */
+  extractParticipants(event) {
+    const participants = new Map();
+    const organizerEmail = event.organizer?.email?.toLowerCase();
+
+    if (organizerEmail) {
+      participants.set(organizerEmail, {
+        name: event.organizer.name || null,
+        email: organizerEmail,
+        status: 'accepted',
+        role: 'organizer'
+      });
+    }
+
+    for (const attendee of event.attendees || []) {
+      const email = attendee.email?.toLowerCase();
+      if (!email || attendee.type === 'resource' || attendee.status === 'declined') continue;
+
+      if (participants.has(email)) {
+        participants.get(email).name = participants.get(email).name || attendee.name || null;
+        continue;
+      }
+
+      participants.set(email, {
+        name: attendee.name || null,
+        email,
+        status: attendee.status || 'needs_action',
+        role: attendee.role || 'required'
+      });
+    }
+
+    return Array.from(participants.values());
+  }
+
+  /**
+   * Agenda items from an event body: the lines under an "Agenda" heading, or
+   * else its bulleted and numbered lines. Join links and dial-in details that
+   * conferencing tools append to invitations are skipped.
+   */
+  extractAgenda(description) {
+    if (!description) return [];
+
+    const lines = stripHtml(description).split(/\r?\n/).map(line => line.trim());
+    const headingIndex = lines.findIndex(line => AGENDA_HEADING.test(line));
+    let candidates = [];
+
+    if (headingIndex !== -1) {
+      const inline = lines[headingIndex].replace(AGENDA_HEADING, '').trim();
+      if (inline) {
+        candidates.push(...inline.split(/\s*;\s*/));
+      }
+
+      for (let i = headingIndex + 1; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line) {
+          // A blank line ends the agenda unless another item follows it
+          const next = lines.slice(i + 1).find(Boolean);
+          if (candidates.length > 0 && !(next && LIST_ITEM.test(next))) break;
+          continue;
+        }
+
+        if (SEPARATOR.test(line) || (SECTION_HEADING.test(line) && !LIST_ITEM.test(line))) break;
+        candidates.push(line);
+      }
+    } else {
+      candidates = lines.filter(line => LIST_ITEM.test(line));
+    }
+
+    const agenda = [];
+    for (const candidate of candidates) {
+      const item = candidate.replace(LIST_ITEM, '').replace(/\s+/g, ' ').trim().slice(0, MAX_AGENDA_ITEM_LENGTH);
+
+      if (!item || AGENDA_NOISE.test(item) || agenda.includes(item)) continue;
+      agenda.push(item);
+      if (agenda.length >= MAX_AGENDA_ITEMS) break;
+    }
+
+    return agenda;
+  }
+
+  /**
+   * Real meetings only: something to join or someone to meet
+   */
+  needsBriefing(event) {
+    return event.status !== 'cancelled' &&
+      !event.allDay &&
+      Boolean(event.meetingUrl || (event.attendees || []).length > 1);
+  }
+
+  scheduleBriefing(event) {
+    this.cancelBriefing(event);
+
+    if (!this.preparationService || !this.needsBriefing(event)) return false;
+    if (event.briefingPreparedAt && event.briefingHash === event.contentHash) return false;
+
+    const now = Date.now();
+    if (new Date(event.start).getTime() <= now) return false;
+
+    // Beyond the setTimeout range; a later sync schedules it
+    const delay = Math.max(0, new Date(event.briefingAt).getTime() - now);
+    if (delay > MAX_TIMER_DELAY) return false;
+
+    const key = eventKey(event);
+    const timer = setTimeout(() => {
+      this.briefingTimers.delete(key);
+      this.runScheduledBriefing(event.calendar, event.externalId)
+        .catch(error => console.error('❌ Scheduled briefing error:', error.message));
+    }, delay);
+    timer.unref?.();
+
+    this.briefingTimers.set(key, timer);
+    return true;
+  }
+
+  cancelBriefing(event) {
+    const key = eventKey(event);
+    clearTimeout(this.briefingTimers.get(key));
+    this.briefingTimers.delete(key);
+  }
+
+  async runScheduledBriefing(calendar, externalId) {
+    // The event may have changed or been removed since it was scheduled
+    const event = await this.eventStore.getEvent(calendar, externalId);
+    if (!event || !this.needsBriefing(event)) return null;
+    if (event.briefingPreparedAt && event.briefingHash === event.contentHash) return null;
+
+    return await this.prepareBriefing(event);
+  }
+
+  async prepareBriefing(event) {
+    // A briefing replacing one already delivered lists what changed since
+    const key = eventKey(event);
+    const regenerated = Boolean(event.briefingPreparedAt);
+
+    try {
+      const preparation = await this.preparationService.prepareMeeting(this.toMeetingData(event), this.userId);
+
+      await this.eventStore.markBriefing(event.calendar, event.externalId, {
+        preparedAt: new Date().toISOString(),
+        hash: event.contentHash,
+        preparationId: preparation.meetingId
+      });
+
+      const changes = this.pendingChanges.get(key) || [];
+      this.pendingChanges.delete(key);
+
+      this.emit('briefing_prepared', { event, preparation, regenerated, changes });
+      return preparation;
+
+    } catch (error) {
+      console.error(`❌ Briefing for "${event.title}" failed:`, error.message);
+      this.emit('briefing_failed', { event, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Meeting data in the shape EnhancedMeetingPreparationService.prepareMeeting expects
+   */
+  toMeetingData(event) {
+    const attendees = event.attendees || [];
+
+    return {
+      title: event.title,
+      participants: attendees.map(this.resolveParticipant).filter(Boolean),
+      attendees,
+      agenda: event.agenda || [],
+      meetingType: this.config.meetingType || 'general',
+      industry: this.config.industry || 'general',
+      duration: event.end ? Math.round((new Date(event.end) - new Date(event.start)) / 60000) : 60,
+      startTime: event.start,
+      endTime: event.end,
+      meetingUrl: event.meetingUrl,
+      platform: event.platform,
+      calendar: event.calendar,
+      calendarEventId: event.externalId,
+      recurrenceId: event.recurrenceId,
+      calendarProvider: event.provider
+    };
+  }
+
+  /**
+   * Meetings with a join URL starting within the next minutes, read live
+   * from the connected calendars
+   */
+  async getUpcomingMeetings(minutesAhead = 5) {
+    const meetings = [];
+    const now = new Date();
+    const futureTime = new Date(now.getTime() + (minutesAhead * 60000));
+
+    for (const calendar of this.connectedCalendars) {
+      try {
+        const events = await calendar.getEvents(now, futureTime);
+
+        for (const event of events) {
+          const meeting = this.buildMeeting(event, calendar);
+          if (meeting.meetingUrl && meeting.status !== 'cancelled') {
+            meetings.push(toUpcomingMeeting(meeting, now));
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Calendar "${calendar.name}" query failed:`, error.message);
+      }
+    }
+
+    return meetings.sort((a, b) => a.startsIn - b.startsIn);
+  }
+
+  /**
+   * Same as getUpcomingMeetings, from the events stored by the last sync
+   */
+  async getScheduledMeetings(minutesAhead = 5) {
+    const now = new Date();
+    const events = await this.eventStore.listEvents({
+      from: now,
+      to: new Date(now.getTime() + (minutesAhead * 60000))
+    });
+
+    return events
+      .filter(event => event.meetingUrl && event.status !== 'cancelled')
+      .map(event => toUpcomingMeeting(event, now));
+  }
+}
+
+const MAX_AGENDA_ITEMS = 20;
+const MAX_AGENDA_ITEM_LENGTH = 200;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const AGENDA_HEADING = /^(?:#+\s*)?\**\s*(?:agenda|topics|discussion points)\s*\**\s*(?::|$)/i;
+const SECTION_HEADING = /^[^:]{1,60}:$/;
+const LIST_ITEM = /^(?:[-*•◦▪‣]|\d{1,2}[.)]|[a-z][.)])\s+/i;
+const SEPARATOR = /^[-_=~:.*]{3,}/;
+const AGENDA_NOISE = /https?:\/\/|\b(?:dial[- ]?in|dial by|one tap|passcode|password|meeting id|conference id|pin)\b|^join\b/i;
+
+function stripHtml(text) {
+  if (!/<[a-z][\s\S]*>/i.test(text)) return text;
+
+  return text
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>|<\/(?:p|div|li|h\d|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// What a briefing depends on; description text outside the agenda does not count
+function hashMeeting(meeting) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    title: meeting.title,
+    start: meeting.start,
+    end: meeting.end,
+    status: meeting.status,
+    meetingUrl: meeting.meetingUrl,
+    attendees: meeting.attendees.map(attendee => [attendee.email, attendee.status, attendee.role]),
+    agenda: meeting.agenda
+  })).digest('hex');
+}
+
+function describeChanges(previous, current) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (previous.title !== current.title) changes.push('title');
+  if (new Date(previous.start).getTime() !== new Date(current.start).getTime() ||
+      new Date(previous.end).getTime() !== new Date(current.end).getTime()) changes.push('time');
+  if (previous.status !== current.status) changes.push('status');
+  if ((previous.meetingUrl || null) !== (current.meetingUrl || null)) changes.push('meetingUrl');
+  if (!same((previous.attendees || []).map(a => [a.email, a.status, a.role]), current.attendees.map(a => [a.email, a.status, a.role]))) {
+    changes.push('attendees');
+  }
+  if (!same(previous.agenda || [], current.agenda)) changes.push('agenda');
+
+  return changes;
+}
+
+function eventKey(event) {
+  return `${event.calendar}:${event.externalId}`;
+}
+
+function toUpcomingMeeting(event, now) {
+  return {
+    id: event.externalId,
+    title: event.title,
+    url: event.meetingUrl,
+    platform: event.platform,
+    startTime: event.start,
+    endTime: event.end,
+    startsIn: new Date(event.start) - now,
+    participants: event.attendees || [],
+    agenda: event.agenda || [],
+    recurrenceId: event.recurrenceId,
+    calendar: event.calendar
+  };
+}
+
+module.exports = CalendarIntegrationService;
@@ -1,6 +1,32 @@
 const SharePointConnector = require('../connectors/sharepoint-connector');
 const ConfluenceConnector = require('../connectors/confluence-connector');
 const GoogleDriveConnector = require('../connectors/google-drive-connector');
+const NotionConnector = require('../connectors/notion-connector');
+const SlackConnector = require('../connectors/slack-connector');
+const JiraConnector = require('../connectors/jira-connector');
+const GitHubConnector = require('../connectors/github-connector');
+
+// Connector names (config keys) -> connector classes
+const CONNECTORS = {
+  sharepoint: { Connector: SharePointConnector, label: 'SharePoint' },
+  confluence: { Connector: ConfluenceConnector, label: 'Confluence' },
+  googleDrive: { Connector: GoogleDriveConnector, label: 'Google Drive' },
+  notion: { Connector: NotionConnector, label: 'Notion' },
+  slack: { Connector: SlackConnector, label: 'Slack' },
+  jira: { Connector: JiraConnector, label: 'Jira' },
+  github: { Connector: GitHubConnector, label: 'GitHub' }
+};
+
+// Connector names -> knowledge source ids used by the index and access control
+const SOURCE_IDS = {
+  sharepoint: 'sharepoint',
+  confluence: 'confluence',
+  googleDrive: 'google_drive',
+  notion: 'notion',
+  slack: 'slack',
+  jira: 'jira',
+  github: 'github'
+};
 
 class ConnectorManager {
   constructor() {
@@ -10,43 +36,19 @@ class ConnectorManager {
 
   async initialize(config) {
     this.config = config;
-    
-    // Initialize SharePoint if configured
-    if (config.sharepoint) {
-      try {
-        const sharepoint = new SharePointConnector(config.sharepoint);
-        if (await sharepoint.testConnection()) {
-          this.connectors.set('sharepoint', sharepoint);
-          console.log('SharePoint connector initialized successfully');
-        }
-      } catch (error) {
-        console.error('Failed to initialize SharePoint connector:', error.message);
-      }
-    }
 
-    // Initialize Confluence if configured
-    if (config.confluence) {
-      try {
-        const confluence = new ConfluenceConnector(config.confluence);
-        if (await confluence.testConnection()) {
-          this.connectors.set('confluence', confluence);
-          console.log('Confluence connector initialized successfully');
-        }
-      } catch (error) {
-        console.error('Failed to initialize Confluence connector:', error.message);
-      }
-    }
+    // Initialize every configured connector that passes its connection test
+    for (const [source, { Connector, label }] of Object.entries(CONNECTORS)) {
+      if (!config[source]) continue;
 
-    // Initialize Google Drive if configured
-    if (config.googleDrive) {
       try {
-        const googleDrive = new GoogleDriveConnector(config.googleDrive);
-        if (await googleDrive.testConnection()) {
-          this.connectors.set('googleDrive', googleDrive);
-          console.log('Google Drive connector initialized successfully');
+        const connector = new Connector(config[source]);
+        if (await connector.testConnection()) {
+          this.connectors.set(source, connector);
+          console.log(`${label} connector initialized successfully`);
         }
       } catch (error) {
-        console.error('Failed to initialize Google Drive connector:', error.message);
+        console.error(`Failed to initialize ${label} connector:`, error.message);
       }
     }
 
@@ -59,6 +61,7 @@ class ConnectorManager {
 
     for (const [source, connector] of this.connectors) {
       const promise = this.searchSource(source, connector, query, Math.ceil(limit / this.connectors.size))
+        .then(items => items.map(item => ({ ...item, source })))
         .catch(error => {
           console.error(`Search failed for ${source}:`, error.message);
           return [];
@@ -93,6 +96,13 @@ class ConnectorManager {
           return await connector.searchContent(query, limit);
         case 'googleDrive':
           return await connector.searchFiles(query, limit);
+        case 'notion':
+          return await connector.searchPages(query, limit);
+        case 'slack':
+          return await connector.searchMessages(query, limit);
+        case 'jira':
+        case 'github':
+          return await connector.searchIssues(query, limit);
         default:
           return [];
       }
@@ -116,6 +126,13 @@ class ConnectorManager {
           return await connector.getPageContent(contentId);
         case 'googleDrive':
           return await connector.getFileContent(contentId);
+        case 'notion':
+          return await connector.getPageContent(contentId);
+        case 'slack':
+          return await connector.getThreadContent(contentId);
+        case 'jira':
+        case 'github':
+          return await connector.getIssueContent(contentId);
         default:
           throw new Error(`Unsupported source: ${source}`);
       }
@@ -125,12 +142,38 @@ class ConnectorManager {
     }
   }
 
+  /**
+   * List changes since a sync cursor. Errors propagate so sync jobs can keep
+   * their previous cursor and retry.
+   */
+  async listChanges(source, cursor = null, options = {}) {
+    const connector = this.connectors.get(source);
+    if (!connector) {
+      throw new Error(`Connector not found: ${source}`);
+    }
+
+    return await connector.listChanges(cursor, options);
+  }
+
+  async getChangeContent(source, change) {
+    // Some sources return content inline with the change
+    if (change.content) return change.content;
+
+    if (source === 'sharepoint') {
+      const connector = this.connectors.get(source);
+      return await connector.getDocumentContent(change.id, change.driveId);
+    }
+
+    return await this.getContent(source, change.id);
+  }
+
   async getRecentContent(limit = 10) {
     const results = [];
     const recentPromises = [];
 
     for (const [source, connector] of this.connectors) {
       const promise = this.getRecentFromSource(source, connector, Math.ceil(limit / this.connectors.size))
+        .then(items => items.map(item => ({ ...item, source })))
         .catch(error => {
           console.error(`Failed to get recent content from ${source}:`, error.message);
           return [];
@@ -158,6 +201,13 @@ class ConnectorManager {
           return await connector.getRecentContent(limit);
         case 'googleDrive':
           return await connector.getRecentFiles(limit);
+        case 'notion':
+          return await connector.getRecentPages(limit);
+        case 'slack':
+          return await connector.getRecentThreads(limit);
+        case 'jira':
+        case 'github':
+          return await connector.getRecentIssues(limit);
         default:
           return [];
       }
@@ -167,6 +217,46 @@ class ConnectorManager {
     }
   }
 
+  /**
+   * Current permissions for a search or recent-content result. Returns null
+   * when they cannot be read.
+   */
+  async getPermissions(source, item) {
+    const connector = this.connectors.get(source);
+    if (!connector) return null;
+
+    try {
+      switch (source) {
+        case 'sharepoint':
+          return await connector.getDocumentPermissions(item.id, item.driveId);
+        case 'confluence':
+          return await connector.getPagePermissions(item.id);
+        case 'googleDrive':
+          return await connector.getFilePermissions(item.id);
+        case 'notion':
+          return connector.getPagePermissions(item.id);
+        case 'slack':
+          return await connector.getThreadPermissions(item.id);
+        case 'jira':
+        case 'github':
+          return await connector.getIssuePermissions(item.id);
+        default:
+          return null;
+      }
+    } catch (error) {
+      console.error(`Failed to get permissions from ${source}:`, error.message);
+      return null;
+    }
+  }
+
+  getSourceId(sourceName) {
+    return SOURCE_IDS[sourceName] || sourceName;
+  }
+
+  getSourceName(sourceId) {
+    return Object.keys(SOURCE_IDS).find(name => SOURCE_IDS[name] === sourceId) || sourceId;
+  }
+
   getAvailableSources() {
     return Array.from(this.connectors.keys());
   }
@@ -111,6 +111,8 @@ class ContextualAnalysisService extends EventEmitter {
         ...config
       },
       context: {
+        // Scopes cached AI answers (e.g. definitions) to the organization
+        organizationId: config.organizationId || null,
         participants: [],
         currentTopic: null,
         conversationFlow: [],
@@ -160,7 +162,7 @@ class ContextualAnalysisService extends EventEmitter {
       await this.updateSessionContext(session, contextData);
       
       // Parallel AI processing
-      const aiAnalysis = await this.performTripleAIAnalysis(contextData, session.context);
+      const aiAnalysis = await this.performTripleAIAnalysis(contextData, session.context, this.getRedactionScope(session));
       
       // Generate contextual insights
       const insights = await this.generateContextualInsights(aiAnalysis, session);
@@ -185,9 +187,26 @@ class ContextualAnalysisService extends EventEmitter {
   }
   
   /**
-   * Perform triple-AI analysis with parallel processing
+   * Redaction scope for a session's AI calls: the organization's policy
+   * (session config organizationId), and participant names are redacted
+   * wherever they appear
    */
-  async performTripleAIAnalysis(contextData, sessionContext) {
+  getRedactionScope(session) {
+    return {
+      tenantId: session.config.organizationId,
+      terms: {
+        person: session.context.participants
+          .map(participant => (typeof participant === 'string' ? participant : participant?.name))
+          .filter(Boolean)
+      }
+    };
+  }
+  
+  /**
+   * Perform triple-AI analysis with parallel processing. Transcript text
+   * is redacted before it reaches the models (see backend/ai/redaction.js).
+   */
+  async performTripleAIAnalysis(contextData, sessionContext, redaction = {}) {
     const analysisPromises = [];
     
     // GPT-5 Analysis - Focus on language generation and reasoning
@@ -196,7 +215,8 @@ class ContextualAnalysisService extends EventEmitter {
         task: 'contextual_understanding',
         data: contextData,
         context: sessionContext,
-        focus: ['language_patterns', 'reasoning', 'context_understanding']
+        focus: ['language_patterns', 'reasoning', 'context_understanding'],
+        redaction
       }).catch(error => ({ error, source: 'gpt5' }))
     );
     
@@ -206,7 +226,8 @@ class ContextualAnalysisService extends EventEmitter {
         task: 'sentiment_and_risk_analysis',
         data: contextData,
         context: sessionContext,
-        focus: ['sentiment_analysis', 'risk_assessment', 'accuracy_check']
+        focus: ['sentiment_analysis', 'risk_assessment', 'accuracy_check'],
+        redaction
       }).catch(error => ({ error, source: 'claude' }))
     );
     
@@ -216,7 +237,8 @@ class ContextualAnalysisService extends EventEmitter {
         task: 'real_time_processing',
         data: contextData,
         context: sessionContext,
-        focus: ['quick_insights', 'visual_analysis', 'real_time_response']
+        focus: ['quick_insights', 'visual_analysis', 'real_time_response'],
+        redaction
       }).catch(error => ({ error, source: 'gemini' }))
     );
     
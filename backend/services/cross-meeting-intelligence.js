@@ -77,6 +77,9 @@ class CrossMeetingIntelligenceEngine extends EventEmitter {
         throw new Error('Current meeting context and organization ID are required');
       }
       
+      // Same-series history comes first for every engine
+      historicalContext = this.preferSeriesHistory(currentMeetingContext, historicalContext || {});
+      
       // Run parallel analysis across all engines
       const [
         continuityInsights,
@@ -112,6 +115,7 @@ class CrossMeetingIntelligenceEngine extends EventEmitter {
         metadata: {
           analysisWindow: this.options.analysisWindow,
           historicalMeetingsAnalyzed: historicalContext?.similarMeetings?.length || 0,
+          seriesMeetingsAnalyzed: historicalContext?.seriesMeetings?.length || 0,
           patternsDetected: detectedPatterns.length,
           continuityScore: continuityInsights.overallScore || 0
         }
@@ -145,6 +149,49 @@ class CrossMeetingIntelligenceEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Order historical context so a recurring meeting's own series leads:
+   * earlier series meetings come before other similar meetings, and items
+   * left open in the series come before other unresolved items
+   */
+  preferSeriesHistory(currentContext, historicalContext) {
+    const seriesId = currentContext.seriesId;
+    if (!seriesId) {
+      return historicalContext;
+    }
+    
+    const similarMeetings = historicalContext.similarMeetings || [];
+    const seriesMeetings = [...(historicalContext.seriesMeetings || [])];
+    const seriesMeetingIds = new Set(seriesMeetings.map(meeting => meeting.id));
+    
+    similarMeetings.forEach(meeting => {
+      if (meeting.meeting_series_id === seriesId && !seriesMeetingIds.has(meeting.id)) {
+        seriesMeetings.push(meeting);
+        seriesMeetingIds.add(meeting.id);
+      }
+    });
+    
+    seriesMeetings.sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+    
+    const unresolvedItems = (historicalContext.unresolvedItems || []).map(item => ({
+      ...item,
+      sameSeries: seriesMeetingIds.has(item.meetingId)
+    }));
+    
+    return {
+      ...historicalContext,
+      seriesMeetings,
+      similarMeetings: [
+        ...seriesMeetings,
+        ...similarMeetings.filter(meeting => !seriesMeetingIds.has(meeting.id))
+      ],
+      unresolvedItems: [
+        ...unresolvedItems.filter(item => item.sameSeries),
+        ...unresolvedItems.filter(item => !item.sameSeries)
+      ]
+    };
+  }
+  
   /**
    * Synthesize intelligence from all analysis engines
    */
@@ -380,6 +427,14 @@ class ContextualContinuityEngine {
       const insights = [];
       let overallScore = 0;
       
+      // Analyze continuity with the recurring series this meeting belongs to
+      if (historicalContext.seriesMeetings && historicalContext.seriesMeetings.length > 0) {
+        const seriesInsight = this.analyzeSeriesContinuity(currentContext, historicalContext);
+        if (seriesInsight) {
+          insights.push(seriesInsight);
+        }
+      }
+      
       // Analyze unresolved items continuity
       if (historicalContext.unresolvedItems && historicalContext.unresolvedItems.length > 0) {
         const unresolvedInsight = this.analyzeUnresolvedItems(
@@ -434,6 +489,11 @@ class ContextualContinuityEngine {
   analyzeUnresolvedItems(currentContext, unresolvedItems) {
     const relevantItems = unresolvedItems.filter(item => {
       // Check if current meeting participants were involved in the unresolved item
+      // Items left open in the same series are always relevant
+      if (item.sameSeries) {
+        return true;
+      }
+      
       const currentParticipants = (currentContext.participants || []).map(p => p.id || p.email || p);
       const itemParticipants = [item.assignee, item.owner].filter(Boolean);
       
@@ -453,7 +513,9 @@ class ContextualContinuityEngine {
           description: item.description,
           meetingTitle: item.meetingTitle,
           daysSince: Math.floor((Date.now() - new Date(item.meetingDate)) / (1000 * 60 * 60 * 24)),
-          assignee: item.assignee || item.owner
+          assignee: item.assigneeName || item.assignee || item.owner,
+          dueDate: item.dueDate || null,
+          fromSeries: Boolean(item.sameSeries)
         })),
         totalCount: relevantItems.length
       },
@@ -468,6 +530,39 @@ class ContextualContinuityEngine {
     };
   }
   
+  analyzeSeriesContinuity(currentContext, historicalContext) {
+    const [previousMeeting] = historicalContext.seriesMeetings;
+    const carriedTopics = historicalContext.seriesAgenda || [];
+    const openSeriesItems = (historicalContext.unresolvedItems || []).filter(item => item.sameSeries);
+    
+    return {
+      title: 'Recurring Series Continuity',
+      description: `Picks up from ${historicalContext.seriesMeetings.length} earlier meetings in this series` +
+        (carriedTopics.length > 0 ? ` with ${carriedTopics.length} topics carried forward` : ''),
+      details: {
+        previousMeeting: {
+          title: previousMeeting.title,
+          meetingDate: previousMeeting.start_time,
+          daysSince: Math.floor((Date.now() - new Date(previousMeeting.start_time)) / (1000 * 60 * 60 * 24)),
+          keyOutcomes: previousMeeting.key_decisions?.slice(0, 3) || [],
+          nextSteps: previousMeeting.next_steps?.slice(0, 3) || []
+        },
+        carriedTopics: carriedTopics.slice(0, 5).map(topic => ({
+          title: topic.title,
+          timesCarried: topic.timesCarried
+        })),
+        openItemCount: openSeriesItems.length
+      },
+      confidence: 0.9,
+      actionable: carriedTopics.length > 0 || openSeriesItems.length > 0,
+      suggestedActions: [
+        'Open with the outcomes and next steps of the previous meeting',
+        'Cover topics that have been carried forward before adding new ones',
+        'Drop topics that keep carrying forward without progress'
+      ]
+    };
+  }
+  
   analyzeTopicContinuity(currentContext, similarMeetings) {
     const currentTopics = new Set((currentContext.topics || []).map(t => t.toLowerCase()));
     
@@ -484,9 +579,10 @@ class ContextualContinuityEngine {
         meetingDate: meeting.start_time,
         sharedTopics: overlap,
         overlapRatio: overlap.length / Math.max(currentTopics.size, meetingTopics.size),
-        keyOutcomes: meeting.key_decisions?.slice(0, 2) || []
+        keyOutcomes: meeting.key_decisions?.slice(0, 2) || [],
+        sameSeries: Boolean(currentContext.seriesId) && meeting.meeting_series_id === currentContext.seriesId
       };
-    }).filter(evolution => evolution.overlapRatio > 0.3);
+    }).filter(evolution => evolution.sameSeries || evolution.overlapRatio > 0.3);
     
     if (topicEvolution.length === 0) {
       return null;
@@ -615,6 +711,10 @@ class ContextualContinuityEngine {
     let score = 0.5; // Base score
     
     // Boost score based on available historical context
+    if (historicalContext.seriesMeetings && historicalContext.seriesMeetings.length > 0) {
+      score += 0.1;
+    }
+    
     if (historicalContext.similarMeetings && historicalContext.similarMeetings.length > 0) {
       score += 0.2;
     }
@@ -0,0 +1,209 @@
+/**
+ * Document Text Extractor
+ *
+ * Extracts plain text from uploaded and local knowledge documents: PDF, DOCX,
+ * PPTX, Markdown, HTML and plain text. Parsers for binary formats are loaded
+ * on first use so deployments that only index text files don't need them.
+ */
+
+const path = require('path');
+
+const FORMATS = {
+  pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  pptx: {
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation']
+  },
+  markdown: { extensions: ['.md', '.markdown', '.mdx'], mimeTypes: ['text/markdown', 'text/x-markdown'] },
+  html: { extensions: ['.html', '.htm'], mimeTypes: ['text/html'] },
+  text: {
+    extensions: ['.txt', '.text', '.csv', '.tsv', '.json', '.log', '.rst', '.yaml', '.yml'],
+    mimeTypes: ['text/plain', 'text/csv', 'application/json']
+  }
+};
+
+class DocumentTextExtractor {
+  constructor(options = {}) {
+    this.maxFileSize = options.maxFileSize || 25 * 1024 * 1024; // 25MB
+  }
+
+  get supportedExtensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  isSupported(fileName) {
+    return this.supportedExtensions.includes(path.extname(fileName || '').toLowerCase());
+  }
+
+  /**
+   * Extract text from a file buffer. Returns { format, text, metadata }.
+   */
+  async extract(buffer, { fileName = '', mimeType = null } = {}) {
+    if (!Buffer.isBuffer(buffer)) {
+      buffer = Buffer.from(buffer || '');
+    }
+
+    if (buffer.length > this.maxFileSize) {
+      throw new Error(`Document exceeds the ${Math.round(this.maxFileSize / (1024 * 1024))}MB limit`);
+    }
+
+    const format = this.detectFormat(buffer, fileName, mimeType);
+
+    switch (format) {
+      case 'pdf':
+        return this.extractPdf(buffer);
+      case 'docx':
+        return this.extractDocx(buffer);
+      case 'pptx':
+        return this.extractPptx(buffer);
+      case 'markdown':
+        return { format, text: this.markdownToText(this.decode(buffer)), metadata: {} };
+      case 'html':
+        return { format, text: this.htmlToText(this.decode(buffer)), metadata: {} };
+      case 'text':
+        return { format, text: this.normalizeWhitespace(this.decode(buffer)), metadata: {} };
+      default:
+        throw new Error(`Unsupported document format: ${path.extname(fileName) || mimeType || 'unknown'}`);
+    }
+  }
+
+  detectFormat(buffer, fileName, mimeType) {
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    for (const [format, { extensions }] of Object.entries(FORMATS)) {
+      if (extensions.includes(extension)) return format;
+    }
+
+    const baseMimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    for (const [format, { mimeTypes }] of Object.entries(FORMATS)) {
+      if (mimeTypes.includes(baseMimeType)) return format;
+    }
+
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (baseMimeType.startsWith('text/')) return 'text';
+
+    return null;
+  }
+
+  async extractPdf(buffer) {
+    const pdfParse = require('pdf-parse');
+    const result = await pdfParse(buffer);
+
+    return {
+      format: 'pdf',
+      text: this.normalizeWhitespace(result.text),
+      metadata: { pages: result.numpages, info: result.info || {} }
+    };
+  }
+
+  async extractDocx(buffer) {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+
+    return {
+      format: 'docx',
+      text: this.normalizeWhitespace(result.value),
+      metadata: {}
+    };
+  }
+
+  /**
+   * Slide text and speaker notes, in slide order
+   */
+  async extractPptx(buffer) {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(buffer);
+
+    const slideNumber = name => parseInt(name.match(/(\d+)\.xml$/)[1], 10);
+    const slideFiles = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+    const slides = [];
+    for (const name of slideFiles) {
+      const number = slideNumber(name);
+      const slideText = this.extractDrawingText(await zip.file(name).async('string'));
+      const notesFile = zip.file(`ppt/notesSlides/notesSlide${number}.xml`);
+      const notesText = notesFile ? this.extractDrawingText(await notesFile.async('string')) : '';
+
+      slides.push([
+        `Slide ${number}`,
+        slideText,
+        notesText && `Notes: ${notesText}`
+      ].filter(Boolean).join('\n'));
+    }
+
+    return {
+      format: 'pptx',
+      text: slides.join('\n\n'),
+      metadata: { slides: slideFiles.length }
+    };
+  }
+
+  extractDrawingText(xml) {
+    return xml
+      .split(/<\/a:p>/)
+      .map(paragraph => Array.from(paragraph.matchAll(/<a:t>([^<]*)<\/a:t>/g), match => match[1]).join(''))
+      .map(text => this.decodeEntities(text).trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  markdownToText(markdown) {
+    return this.normalizeWhitespace(
+      markdown
+        .replace(/^---\n[\s\S]*?\n---\n/, '') // Front matter
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^>\s?/gm, '')
+        .replace(/^\s*[-*+]\s+/gm, '- ')
+        .replace(/^\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, '') // Table separator rows
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1')
+    );
+  }
+
+  htmlToText(html) {
+    return this.normalizeWhitespace(
+      this.decodeEntities(
+        html
+          .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+          .replace(/<\/(p|div|h[1-6]|li|tr|br)\s*>|<br\s*\/?>/gi, '\n')
+          .replace(/<[^>]*>/g, ' ')
+      )
+    );
+  }
+
+  decode(buffer) {
+    return buffer.toString('utf8').replace(/^﻿/, '');
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  normalizeWhitespace(text) {
+    return (text || '')
+      .replace(/\r\n/g, '\n')
+      .replace(/\u0000/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = DocumentTextExtractor;
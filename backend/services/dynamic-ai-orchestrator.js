@@ -5,8 +5,7 @@
  * to provide 400% more intelligent insights than single-model competitors.
  */
 
-const { OpenAI } = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { getProviderRegistry } = require('../ai/provider-registry');
 
 class DynamicAIOrchestrator {
   constructor(config = {}) {
@@ -18,7 +17,12 @@ class DynamicAIOrchestrator {
       ...config
     };
     
-    this.clients = this.initializeClients();
+    this.registry = this.config.registry || getProviderRegistry({
+      openai: { apiKey: config.openaiApiKey },
+      anthropic: { apiKey: config.anthropicApiKey },
+      google: { apiKey: config.googleApiKey },
+      aimlapi: { apiKey: config.aimlApiKey }
+    });
     this.modelPerformance = new Map();
     this.contextCache = new Map();
     
@@ -57,20 +61,6 @@ class DynamicAIOrchestrator {
     };
   }
 
-  initializeClients() {
-    return {
-      openai: new OpenAI({
-        apiKey: this.config.openaiApiKey,
-        baseURL: this.config.aimlApiKey ? 'https://api.aimlapi.com/v1' : undefined
-      }),
-      anthropic: new Anthropic({
-        apiKey: this.config.anthropicApiKey
-      }),
-      // Google client would be initialized here
-      google: null // Placeholder for Google AI client
-    };
-  }
-
   /**
    * Select optimal AI models based on meeting context
    */
@@ -207,83 +197,47 @@ class DynamicAIOrchestrator {
    */
   async processWithModel(content, modelName, task, context) {
     const prompt = this.buildPrompt(content, task, context);
+    const { provider, model } = this.resolveModel(modelName);
     
-    if (modelName.includes('gpt')) {
-      return await this.processWithOpenAI(prompt, modelName, context);
-    } else if (modelName.includes('claude')) {
-      return await this.processWithAnthropic(prompt, modelName, context);
-    } else if (modelName.includes('gemini')) {
-      return await this.processWithGoogle(prompt, modelName, context);
-    }
-    
-    throw new Error(`Unknown model: ${modelName}`);
-  }
-
-  /**
-   * Process with OpenAI models
-   */
-  async processWithOpenAI(prompt, model, context) {
-    const response = await this.clients.openai.chat.completions.create({
-      model: model.replace('-interview', '').replace('-sales', '').replace('-medical', '').replace('-legal', ''),
+    const response = await this.registry.complete(provider, {
+      model,
+      system: this.getSystemPrompt(modelName, context),
       messages: [
-        {
-          role: 'system',
-          content: this.getSystemPrompt(model, context)
-        },
         {
           role: 'user',
           content: prompt
         }
       ],
       temperature: 0.3,
-      max_tokens: 2000
+      maxTokens: 2000
     });
     
     return {
-      content: response.choices[0].message.content,
-      model: model,
-      tokens: response.usage.total_tokens,
+      content: response.content,
+      model: modelName,
+      tokens: response.usage.totalTokens,
       confidence: this.calculateConfidence(response)
     };
   }
 
   /**
-   * Process with Anthropic models
+   * Map a specialization model name (e.g. gpt-4-turbo-sales) to a registered
+   * provider and the provider's model id. GPT models go through AIMLAPI when
+   * it is configured.
    */
-  async processWithAnthropic(prompt, model, context) {
-    const response = await this.clients.anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.3,
-      system: this.getSystemPrompt(model, context),
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+  resolveModel(modelName) {
+    if (modelName.startsWith('gpt')) {
+      return {
+        provider: this.registry.isConfigured('aimlapi') ? 'aimlapi' : 'openai',
+        model: modelName.startsWith('gpt-4-turbo') ? 'gpt-4-turbo' : modelName
+      };
+    } else if (modelName.startsWith('claude')) {
+      return { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' };
+    } else if (modelName.startsWith('gemini')) {
+      return { provider: 'google', model: 'gemini-pro' };
+    }
     
-    return {
-      content: response.content[0].text,
-      model: model,
-      tokens: response.usage.input_tokens + response.usage.output_tokens,
-      confidence: this.calculateConfidence(response)
-    };
-  }
-
-  /**
-   * Process with Google models (placeholder)
-   */
-  async processWithGoogle(prompt, model, context) {
-    // Placeholder for Google AI integration
-    // Would implement actual Google AI API calls here
-    return {
-      content: `Google AI processing result for: ${prompt.substring(0, 100)}...`,
-      model: model,
-      tokens: 500,
-      confidence: 0.85
-    };
+    throw new Error(`Unknown model: ${modelName}`);
   }
 
   /**
@@ -307,24 +261,22 @@ class DynamicAIOrchestrator {
     // Use the primary model to synthesize all results
     const synthesisPrompt = this.buildSynthesisPrompt(validResults, context, task);
     
-    const synthesisResult = await this.clients.openai.chat.completions.create({
-      model: 'gpt-4-turbo',
+    const { provider, model } = this.resolveModel('gpt-4-turbo');
+    const synthesisResult = await this.registry.complete(provider, {
+      model,
+      system: 'You are an expert at synthesizing insights from multiple AI models. Combine the best aspects of each analysis while maintaining accuracy and coherence.',
       messages: [
-        {
-          role: 'system',
-          content: 'You are an expert at synthesizing insights from multiple AI models. Combine the best aspects of each analysis while maintaining accuracy and coherence.'
-        },
         {
           role: 'user',
           content: synthesisPrompt
         }
       ],
       temperature: 0.2,
-      max_tokens: 2500
+      maxTokens: 2500
     });
     
     return {
-      content: synthesisResult.choices[0].message.content,
+      content: synthesisResult.content,
       confidence: this.calculateSynthesisConfidence(validResults),
       quality: this.calculateQualityScore(validResults),
       sources: validResults.map(r => r.model)
@@ -406,11 +358,11 @@ class DynamicAIOrchestrator {
     // Implement confidence calculation based on response characteristics
     let confidence = 0.8; // Base confidence
     
-    if (response.choices && response.choices[0].finish_reason === 'stop') {
+    if (response.finishReason === 'stop') {
       confidence += 0.1;
     }
     
-    if (response.usage && response.usage.total_tokens > 100) {
+    if (response.usage && response.usage.totalTokens > 100) {
       confidence += 0.05;
     }
     
@@ -0,0 +1,167 @@
+/**
+ * Embedding Providers
+ *
+ * Pluggable text embedding providers for semantic knowledge search. The local
+ * provider is deterministic and works fully offline; the OpenAI provider uses
+ * the same embedding model as the meeting memory service.
+ */
+
+const crypto = require('crypto');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has',
+  'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this',
+  'to', 'was', 'were', 'will', 'with', 'we', 'our', 'you', 'your', 'they'
+]);
+
+/**
+ * Deterministic local embedding provider
+ * Feature-hashes words, word bigrams and character trigrams into a fixed-size
+ * vector so that identical text always yields identical embeddings.
+ */
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = 'local-hashing-v1';
+    this.dimensions = options.dimensions || 1536;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = this.tokenize(text);
+
+    const features = new Map();
+    const addFeature = (feature, weight) => {
+      features.set(feature, (features.get(feature) || 0) + weight);
+    };
+
+    tokens.forEach((token, index) => {
+      addFeature(`w:${token}`, 1.0);
+
+      if (index > 0) {
+        addFeature(`b:${tokens[index - 1]}_${token}`, 0.5);
+      }
+
+      // Character trigrams make plurals and inflections land close together
+      const padded = `#${token}#`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        addFeature(`c:${padded.substring(i, i + 3)}`, 0.25);
+      }
+    });
+
+    for (const [feature, count] of features) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32BE(0) % this.dimensions;
+      const sign = (hash[4] & 1) === 0 ? 1 : -1;
+      // Sub-linear term frequency
+      vector[bucket] += sign * (1 + Math.log(1 + count));
+    }
+
+    return normalizeVector(vector);
+  }
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+}
+
+/**
+ * OpenAI embedding provider
+ */
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-ada-002';
+    this.dimensions = options.dimensions || 1536;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.maxInputLength = options.maxInputLength || 8000;
+    this.client = null;
+  }
+
+  async initialize() {
+    const { OpenAI } = require('openai');
+    this.client = new OpenAI({ apiKey: this.apiKey });
+    return true;
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts.map(text => String(text || '').substring(0, this.maxInputLength))
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Cosine similarity between two equal-length vectors
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Create an embedding provider from configuration
+ */
+function createEmbeddingProvider(config = {}) {
+  const provider = config.provider || process.env.EMBEDDING_PROVIDER || 'local';
+
+  switch (provider) {
+    case 'local':
+      return new LocalEmbeddingProvider(config);
+    case 'openai':
+      return new OpenAIEmbeddingProvider(config);
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  cosineSimilarity,
+  normalizeVector,
+  createEmbeddingProvider
+};
@@ -52,6 +52,8 @@ class EnhancedMeetingPreparationService {
       // 2. Get knowledge context
       console.log('Preparing knowledge context...');
       preparation.knowledgeContext = await this.knowledgeService.prepareMeetingKnowledge({
+        userId,
+        restrictToParticipants: Boolean(meetingData.restrictKnowledgeToParticipants),
         meetingType,
         industry,
         participants: preparation.organizationalContext.participants,
@@ -1,6 +1,18 @@
 const axios = require('axios');
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const CalendarIntegrationService = require('./calendar-integration-service');
+
+// Platform detection patterns
+const PLATFORM_PATTERNS = {
+  zoom: /zoom\.us\/j\/|zoom\.us\/meeting\/|zoom\.us\/webinar\//,
+  teams: /teams\.microsoft\.com\/|teams\.live\.com\//,
+  meet: /meet\.google\.com\/|meet\.google\.com\/lookup\//,
+  webex: /webex\.com\/meet\/|webex\.com\/join\//,
+  chime: /chime\.aws\/|chime\.amazon\.com\//,
+  gotomeeting: /gotomeeting\.com\/join\/|gotomeet\.me\//,
+  bluejeans: /bluejeans\.com\/|bjn\.vc\//
+};
 
 /**
  * Enhanced Platform Integrations with Meeting BaaS
@@ -45,15 +57,7 @@ class EnhancedPlatformIntegrations extends EventEmitter {
     this.websocketConnections = new Map();
     
     // Platform detection patterns
-    this.platformPatterns = {
-      zoom: /zoom\.us\/j\/|zoom\.us\/meeting\/|zoom\.us\/webinar\//,
-      teams: /teams\.microsoft\.com\/|teams\.live\.com\//,
-      meet: /meet\.google\.com\/|meet\.google\.com\/lookup\//,
-      webex: /webex\.com\/meet\/|webex\.com\/join\//,
-      chime: /chime\.aws\/|chime\.amazon\.com\//,
-      gotomeeting: /gotomeeting\.com\/join\/|gotomeet\.me\//,
-      bluejeans: /bluejeans\.com\/|bjn\.vc\//
-    };
+    this.platformPatterns = { ...PLATFORM_PATTERNS };
 
     console.log('🚀 Enhanced Platform Integrations initialized');
   }
@@ -118,7 +122,11 @@ class EnhancedPlatformIntegrations extends EventEmitter {
    * Identifies meeting platform from URL patterns
    */
   detectPlatform(meetingUrl) {
-    for (const [platform, pattern] of Object.entries(this.platformPatterns)) {
+    return EnhancedPlatformIntegrations.detectPlatform(meetingUrl, this.platformPatterns);
+  }
+
+  static detectPlatform(meetingUrl, platformPatterns = PLATFORM_PATTERNS) {
+    for (const [platform, pattern] of Object.entries(platformPatterns)) {
       if (pattern.test(meetingUrl)) {
         return platform;
       }
@@ -299,18 +307,27 @@ class EnhancedPlatformIntegrations extends EventEmitter {
    * CALENDAR INTEGRATION FOR AUTO-JOIN
    * Monitors calendars and automatically joins upcoming meetings
    */
-  async setupCalendarAutoJoin(calendarConfig) {
+  async setupCalendarAutoJoin(calendarConfig = {}) {
     console.log('📅 Setting up calendar auto-join');
     
-    const calendarService = new CalendarIntegrationService(calendarConfig);
+    const calendarService = calendarConfig instanceof CalendarIntegrationService ?
+      calendarConfig :
+      new CalendarIntegrationService({ ...calendarConfig, platformIntegrations: this });
+    const joinedMeetings = new Set();
+
+    await calendarService.initialize();
+    await calendarService.start();
     
     // Monitor for upcoming meetings
-    setInterval(async () => {
+    const autoJoinTimer = setInterval(async () => {
       try {
-        const upcomingMeetings = await calendarService.getUpcomingMeetings(5); // Next 5 minutes
+        const upcomingMeetings = await calendarService.getScheduledMeetings(5); // Next 5 minutes
         
         for (const meeting of upcomingMeetings) {
-          if (meeting.startsIn < 120000 && meeting.startsIn > 60000) { // 1-2 minutes before
+          const joinKey = `${meeting.calendar}:${meeting.id}`;
+
+          if (meeting.startsIn < 120000 && meeting.startsIn > 60000 && !joinedMeetings.has(joinKey)) { // 1-2 minutes before
+            joinedMeetings.add(joinKey);
             await this.joinMeetingSeamlessly(meeting.url, {
               botName: `MeetingMind - ${meeting.title}`,
               reserved: true
@@ -321,6 +338,11 @@ class EnhancedPlatformIntegrations extends EventEmitter {
         console.error('❌ Calendar auto-join error:', error);
       }
     }, 30000); // Check every 30 seconds
+    autoJoinTimer.unref?.();
+
+    calendarService.once('stopped', () => clearInterval(autoJoinTimer));
+
+    return calendarService;
   }
 
   /**
@@ -606,60 +628,6 @@ class EnhancedPlatformIntegrations extends EventEmitter {
   }
 }
 
-/**
- * CALENDAR INTEGRATION SERVICE
- * Monitors calendars for automatic meeting detection
- */
-class CalendarIntegrationService {
-  constructor(config) {
-    this.config = config;
-    this.connectedCalendars = [];
-  }
-
-  async getUpcomingMeetings(minutesAhead = 5) {
-    const meetings = [];
-    const now = new Date();
-    const futureTime = new Date(now.getTime() + (minutesAhead * 60000));
-
-    for (const calendar of this.connectedCalendars) {
-      const events = await calendar.getEvents(now, futureTime);
-      
-      for (const event of events) {
-        const meetingUrl = this.extractMeetingUrl(event.description || event.location);
-        if (meetingUrl) {
-          meetings.push({
-            title: event.summary,
-            url: meetingUrl,
-            startTime: event.start,
-            startsIn: new Date(event.start) - now,
-            calendar: calendar.name
-          });
-        }
-      }
-    }
-
-    return meetings;
-  }
-
-  extractMeetingUrl(text) {
-    if (!text) return null;
-    
-    const urlPatterns = [
-      /https:\/\/zoom\.us\/j\/\d+/,
-      /https:\/\/teams\.microsoft\.com\/l\/meetup-join\/[^\s]+/,
-      /https:\/\/meet\.google\.com\/[a-z-]+/,
-      /https:\/\/[^\.]+\.webex\.com\/meet\/[^\s]+/
-    ];
-
-    for (const pattern of urlPatterns) {
-      const match = text.match(pattern);
-      if (match) return match[0];
-    }
-
-    return null;
-  }
-}
-
 module.exports = {
   EnhancedPlatformIntegrations,
   CalendarIntegrationService
@@ -0,0 +1,500 @@
+/**
+ * iCalendar (RFC 5545) Parser
+ *
+ * Parses VEVENTs from ICS feeds and CalDAV responses into the calendar event
+ * shape shared by every calendar connector, and expands recurring events
+ * (RRULE, EXDATE and RECURRENCE-ID overrides) into the occurrences inside a
+ * time window. Times with a TZID are converted with the runtime's IANA
+ * time zone data; common Windows zone names from Outlook exports are mapped
+ * to their IANA equivalents.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Stop expanding a rule after this many periods, e.g. a daily meeting that
+// started years before the window
+const MAX_RECURRENCE_PERIODS = 5000;
+
+const WINDOWS_TIME_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC'
+};
+
+const ATTENDEE_STATUSES = {
+  'ACCEPTED': 'accepted',
+  'DECLINED': 'declined',
+  'TENTATIVE': 'tentative',
+  'NEEDS-ACTION': 'needs_action',
+  'DELEGATED': 'declined'
+};
+
+/**
+ * Parse an ICS document into raw VEVENT components
+ */
+function parseICS(text) {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+
+  const events = [];
+  const stack = [];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.toUpperCase(), properties: {} });
+      continue;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component?.type === 'VEVENT') {
+        events.push(component.properties);
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (!component || component.type !== 'VEVENT') continue;
+
+    if (!component.properties[property.name]) {
+      component.properties[property.name] = [];
+    }
+    component.properties[property.name].push(property);
+  }
+
+  return events.map(properties => toEvent(properties)).filter(Boolean);
+}
+
+/**
+ * Split "NAME;PARAM=value;PARAM="quoted:value":VALUE"
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+  const params = {};
+
+  rawParams.forEach(param => {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: (name || '').toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function toEvent(properties) {
+  const first = name => properties[name]?.[0];
+  const text = name => (first(name) ? unescapeText(first(name).value) : null);
+
+  const start = first('DTSTART') ? parseDateValue(first('DTSTART')) : null;
+  if (!start) return null;
+
+  let end = first('DTEND') ? parseDateValue(first('DTEND')) : null;
+  if (!end && first('DURATION')) {
+    end = { ...start, durationMs: parseDuration(first('DURATION').value) };
+  }
+
+  const exdates = (properties.EXDATE || []).flatMap(property =>
+    property.value.split(',').map(value => parseDateValue({ ...property, value }))
+  ).filter(Boolean);
+
+  const organizer = first('ORGANIZER');
+  const status = (text('STATUS') || 'CONFIRMED').toLowerCase();
+
+  return {
+    uid: text('UID'),
+    title: text('SUMMARY') || 'Untitled event',
+    description: text('DESCRIPTION'),
+    htmlDescription: text('X-ALT-DESC'),
+    location: text('LOCATION'),
+    url: text('URL'),
+    conferenceUrl: text('X-GOOGLE-CONFERENCE') || text('X-MICROSOFT-SKYPETEAMSMEETINGURL'),
+    start,
+    end,
+    rrule: first('RRULE') ? parseRule(first('RRULE').value) : null,
+    recurrenceRule: first('RRULE')?.value || null,
+    recurrenceOf: first('RECURRENCE-ID') ? parseDateValue(first('RECURRENCE-ID')) : null,
+    exdates,
+    status: ['confirmed', 'tentative', 'cancelled'].includes(status) ? status : 'confirmed',
+    organizer: organizer ? toPerson(organizer) : null,
+    attendees: (properties.ATTENDEE || []).map(toPerson),
+    sequence: parseInt(text('SEQUENCE') || '0'),
+    updatedAt: first('LAST-MODIFIED') ? instantOf(parseDateValue(first('LAST-MODIFIED'))) : null
+  };
+}
+
+function toPerson(property) {
+  const email = property.value.replace(/^mailto:/i, '').trim().toLowerCase();
+  const type = (property.params.CUTYPE || 'INDIVIDUAL').toLowerCase();
+
+  return {
+    name: property.params.CN || null,
+    email: email.includes('@') ? email : null,
+    status: ATTENDEE_STATUSES[(property.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()] || 'needs_action',
+    role: property.params.ROLE === 'OPT-PARTICIPANT' ? 'optional' : 'required',
+    type: ['room', 'resource'].includes(type) ? 'resource' : 'person'
+  };
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * A DATE or DATE-TIME value as wall-clock fields plus the zone they're in:
+ * 'UTC', an IANA zone, or null for floating times
+ */
+function parseDateValue(property) {
+  const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = !hour;
+
+  return {
+    year: parseInt(year),
+    month: parseInt(month),
+    day: parseInt(day),
+    hour: allDay ? 0 : parseInt(hour),
+    minute: allDay ? 0 : parseInt(minute),
+    second: allDay ? 0 : parseInt(second),
+    allDay,
+    timeZone: utc ? 'UTC' : resolveTimeZone(property.params.TZID)
+  };
+}
+
+function resolveTimeZone(tzid) {
+  if (!tzid) return null;
+
+  const name = WINDOWS_TIME_ZONES[tzid] || tzid.replace(/^\/.*?\//, '');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return name;
+  } catch (error) {
+    console.warn(`Unknown calendar time zone "${tzid}", treating times as UTC`);
+    return 'UTC';
+  }
+}
+
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part && /^\d+$/.test(part) ? parseInt(part) : part);
+  const ms = ((weeks || 0) * 7 * DAY_MS) + ((days || 0) * DAY_MS) +
+    ((hours || 0) * 3600000) + ((minutes || 0) * 60000) + ((seconds || 0) * 1000);
+
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+
+  value.split(';').forEach(part => {
+    const [key, raw] = part.split('=');
+    if (!raw) return;
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = raw.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(parseInt(raw) || 1, 1);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(raw);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue({ value: raw, params: {} });
+        break;
+      case 'BYDAY':
+        rule.byDay = raw.split(',').map(day => {
+          const match = day.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/i);
+          return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2].toUpperCase()) } : null;
+        }).filter(Boolean);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = raw.split(',').map(day => parseInt(day)).filter(day => !isNaN(day));
+        break;
+      default:
+        break;
+    }
+  });
+
+  rule.interval = rule.interval || 1;
+  return rule;
+}
+
+// Wall-clock fields <-> milliseconds, treating the fields as UTC; used to
+// step through recurrences without DST shifting the meeting time
+function wallToMs(wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+}
+
+function msToWall(ms, template) {
+  const date = new Date(ms);
+  return {
+    ...template,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+}
+
+/**
+ * The instant (ms since epoch) of a date value. Floating times and all-day
+ * dates are read in the default zone.
+ */
+function instantOf(value, defaultTimeZone = 'UTC') {
+  if (!value) return null;
+
+  const timeZone = value.timeZone || defaultTimeZone;
+  const wall = wallToMs(value);
+  if (timeZone === 'UTC') return wall;
+
+  // Two passes settle the offset around DST transitions
+  let instant = wall - zoneOffset(wall, timeZone);
+  instant = wall - zoneOffset(instant, timeZone);
+  return instant;
+}
+
+function zoneOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant));
+
+  const field = type => parseInt(parts.find(part => part.type === type).value);
+  const local = Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'));
+
+  return local - Math.floor(instant / 1000) * 1000;
+}
+
+function durationOf(event, defaultTimeZone) {
+  if (event.end?.durationMs !== undefined) return event.end.durationMs;
+  if (event.end) return instantOf(event.end, defaultTimeZone) - instantOf(event.start, defaultTimeZone);
+  return event.start.allDay ? DAY_MS : 0;
+}
+
+/**
+ * Wall-clock start times of a recurring event, in order, until the rule
+ * ends or a start passes windowEnd
+ */
+function* recurrenceStarts(event, windowEnd, defaultTimeZone) {
+  const rule = event.rrule;
+  const start = event.start;
+  const startMs = wallToMs(start);
+  const untilInstant = rule.until ? instantOf(rule.until, defaultTimeZone) : null;
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    const candidates = periodCandidates(rule, start, startMs, period);
+    if (candidates === null) return;
+
+    for (const candidateMs of candidates) {
+      if (candidateMs < startMs) continue;
+
+      const wall = msToWall(candidateMs, start);
+      const instant = instantOf(wall, defaultTimeZone);
+
+      if (untilInstant !== null && instant > untilInstant) return;
+      if (rule.count && emitted >= rule.count) return;
+      if (instant > windowEnd) return;
+
+      emitted++;
+      yield wall;
+    }
+  }
+}
+
+// Candidate start times (wall-clock ms) in the nth period of a rule, sorted
+function periodCandidates(rule, start, startMs, period) {
+  const step = period * rule.interval;
+  const timeOfDay = startMs % DAY_MS;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const candidate = startMs + step * DAY_MS;
+      const weekday = new Date(candidate).getUTCDay();
+      return !rule.byDay || rule.byDay.some(day => day.weekday === weekday) ? [candidate] : [];
+    }
+
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const startDay = startMs - timeOfDay;
+      const weekStart = startDay - ((new Date(startDay).getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [new Date(startMs).getUTCDay()];
+
+      return weekdays
+        .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS + timeOfDay)
+        .sort((a, b) => a - b);
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = (start.month - 1) + step;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      let days;
+
+      if (rule.byDay) {
+        days = rule.byDay.flatMap(({ ordinal, weekday }) => {
+          const matching = [];
+          for (let day = 1; day <= daysInMonth; day++) {
+            if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matching.push(day);
+          }
+          if (ordinal === null) return matching;
+          const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+          return day ? [day] : [];
+        });
+      } else {
+        days = (rule.byMonthDay || [start.day])
+          .map(day => (day < 0 ? daysInMonth + day + 1 : day))
+          .filter(day => day >= 1 && day <= daysInMonth);
+      }
+
+      return Array.from(new Set(days))
+        .sort((a, b) => a - b)
+        .map(day => Date.UTC(year, month, day) + timeOfDay);
+    }
+
+    case 'YEARLY': {
+      const year = start.year + step;
+      const candidate = Date.UTC(year, start.month - 1, start.day) + timeOfDay;
+      // Feb 29 only recurs in leap years
+      return new Date(candidate).getUTCDate() === start.day ? [candidate] : [];
+    }
+
+    default:
+      return period === 0 ? [startMs] : null;
+  }
+}
+
+/**
+ * Expand parsed events into concrete occurrences overlapping [from, to],
+ * in the shared calendar event shape
+ */
+function expandEvents(events, from, to, options = {}) {
+  const defaultTimeZone = options.defaultTimeZone || 'UTC';
+  const windowStart = new Date(from).getTime();
+  const windowEnd = new Date(to).getTime();
+  const occurrences = [];
+
+  // Modified instances of a recurring event, by UID and original start
+  const overrides = new Map();
+  events.filter(event => event.recurrenceOf).forEach(event => {
+    overrides.set(`${event.uid}|${instantOf(event.recurrenceOf, defaultTimeZone)}`, event);
+  });
+
+  const addOccurrence = (event, start, recurring, originalStart) => {
+    const startInstant = instantOf(start, defaultTimeZone);
+    const endInstant = startInstant + durationOf(event, defaultTimeZone);
+
+    if (endInstant < windowStart || startInstant > windowEnd) return;
+
+    occurrences.push(toCalendarEvent(event, startInstant, endInstant, recurring ? originalStart : null));
+  };
+
+  for (const event of events) {
+    if (event.recurrenceOf) {
+      // Overrides of a master in this feed are placed while expanding it
+      if (!events.some(master => master.uid === event.uid && master.rrule)) {
+        addOccurrence(event, event.start, true, instantOf(event.recurrenceOf, defaultTimeZone));
+      }
+      continue;
+    }
+
+    if (!event.rrule) {
+      addOccurrence(event, event.start, false);
+      continue;
+    }
+
+    const excluded = new Set(event.exdates.map(date => instantOf(date, defaultTimeZone)));
+
+    for (const wall of recurrenceStarts(event, windowEnd, defaultTimeZone)) {
+      const originalStart = instantOf(wall, defaultTimeZone);
+      if (excluded.has(originalStart)) continue;
+
+      const override = overrides.get(`${event.uid}|${originalStart}`);
+      if (override) {
+        addOccurrence({ ...event, ...override, rrule: event.rrule, recurrenceRule: event.recurrenceRule }, override.start, true, originalStart);
+      } else {
+        addOccurrence(event, wall, true, originalStart);
+      }
+    }
+  }
+
+  return occurrences.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function toCalendarEvent(event, startInstant, endInstant, originalStart) {
+  const recurring = originalStart !== null;
+
+  return {
+    id: recurring ? `${event.uid}_${new Date(originalStart).toISOString()}` : event.uid,
+    uid: event.uid,
+    title: event.title,
+    description: event.description || event.htmlDescription || null,
+    location: event.location,
+    start: new Date(startInstant).toISOString(),
+    end: new Date(endInstant).toISOString(),
+    allDay: event.start.allDay,
+    timeZone: event.start.timeZone,
+    organizer: event.organizer,
+    attendees: event.attendees,
+    recurrenceId: recurring ? event.uid : null,
+    recurrenceRule: event.recurrenceRule,
+    status: event.status,
+    conferenceUrl: event.conferenceUrl || null,
+    url: event.url,
+    sequence: event.sequence,
+    updatedAt: event.updatedAt ? new Date(event.updatedAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  parseICS,
+  expandEvents,
+  instantOf,
+  parseDuration
+};
@@ -0,0 +1,148 @@
+/**
+ * Identity Mapping Stores
+ *
+ * Map MeetingMind users to their principals in each knowledge source so
+ * document ACLs captured from SharePoint, Confluence and Google Drive can be
+ * evaluated for them. A mapping holds the source principal id (AAD object id,
+ * Atlassian account id, ...), the email the source knows the user by, and the
+ * groups, Confluence spaces and domains or tenants the user belongs to.
+ */
+
+function normalizeMapping(mapping = {}) {
+  return {
+    principalId: mapping.principalId || null,
+    email: mapping.email ? mapping.email.toLowerCase() : null,
+    groups: mapping.groups || [],
+    spaces: mapping.spaces || [],
+    domains: mapping.domains || []
+  };
+}
+
+/**
+ * In-memory identity mapping store
+ */
+class InMemoryIdentityMappingStore {
+  constructor() {
+    this.name = 'memory';
+    this.mappings = new Map(); // userId -> Map(sourceId -> mapping)
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getMappings(userId) {
+    const userMappings = this.mappings.get(userId);
+    if (!userMappings) return [];
+
+    return Array.from(userMappings.entries()).map(([sourceId, mapping]) => ({ sourceId, ...mapping }));
+  }
+
+  async setMapping(userId, sourceId, mapping) {
+    if (!this.mappings.has(userId)) {
+      this.mappings.set(userId, new Map());
+    }
+
+    const normalized = { ...normalizeMapping(mapping), updatedAt: new Date().toISOString() };
+    this.mappings.get(userId).set(sourceId, normalized);
+    return { sourceId, ...normalized };
+  }
+
+  async removeMapping(userId, sourceId) {
+    return this.mappings.get(userId)?.delete(sourceId) || false;
+  }
+}
+
+/**
+ * Supabase-backed identity mapping store
+ */
+class SupabaseIdentityMappingStore {
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.supabase = options.supabase || null;
+  }
+
+  async initialize() {
+    if (!this.supabase) {
+      const { createClient } = require('@supabase/supabase-js');
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY
+      );
+    }
+    return true;
+  }
+
+  async getMappings(userId) {
+    const { data, error } = await this.supabase
+      .from('knowledge_identity_mappings')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) throw new Error(`Failed to load identity mappings: ${error.message}`);
+
+    return (data || []).map(row => ({
+      sourceId: row.source_id,
+      principalId: row.principal_id,
+      email: row.email,
+      groups: row.groups || [],
+      spaces: row.spaces || [],
+      domains: row.domains || [],
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async setMapping(userId, sourceId, mapping) {
+    const normalized = normalizeMapping(mapping);
+
+    const { error } = await this.supabase
+      .from('knowledge_identity_mappings')
+      .upsert({
+        user_id: userId,
+        source_id: sourceId,
+        principal_id: normalized.principalId,
+        email: normalized.email,
+        groups: normalized.groups,
+        spaces: normalized.spaces,
+        domains: normalized.domains,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,source_id' });
+
+    if (error) throw new Error(`Failed to save identity mapping: ${error.message}`);
+    return { sourceId, ...normalized };
+  }
+
+  async removeMapping(userId, sourceId) {
+    const { data, error } = await this.supabase
+      .from('knowledge_identity_mappings')
+      .delete()
+      .eq('user_id', userId)
+      .eq('source_id', sourceId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to remove identity mapping: ${error.message}`);
+    return (data || []).length > 0;
+  }
+}
+
+/**
+ * Create an identity mapping store from configuration
+ */
+function createIdentityMappingStore(config = {}) {
+  const store = config.store || process.env.IDENTITY_MAPPING_STORE || 'memory';
+
+  switch (store) {
+    case 'memory':
+      return new InMemoryIdentityMappingStore(config);
+    case 'supabase':
+      return new SupabaseIdentityMappingStore(config);
+    default:
+      throw new Error(`Unknown identity mapping store: ${store}`);
+  }
+}
+
+module.exports = {
+  InMemoryIdentityMappingStore,
+  SupabaseIdentityMappingStore,
+  createIdentityMappingStore
+};
@@ -8,6 +8,8 @@
 const EventEmitter = require('events');
 const ContextualAnalysisService = require('./contextual-analysis');
 const TripleAIClient = require('../ai/triple-ai-client');
+const AIMLAPIClient = require('../ai/aimlapi-client');
+const SuggestionEngine = require('../../features/contextual-intelligence/suggestion-engine');
 
 class IntelligenceOrchestrator extends EventEmitter {
   constructor(options = {}) {
@@ -17,6 +19,7 @@ class IntelligenceOrchestrator extends EventEmitter {
       maxConcurrentRequests: 10,
       requestTimeout: 5000,
       synthesisTimeout: 2000,
+      streamMaxTokens: 400,
       priorityLevels: ['critical', 'high', 'medium', 'low'],
       ...options
     };
@@ -24,9 +27,12 @@ class IntelligenceOrchestrator extends EventEmitter {
     // Service instances
     this.services = new Map();
     this.tripleAI = null;
+    this.aiClient = null;
+    this.suggestionEngine = new SuggestionEngine();
     
     // Request management
     this.activeRequests = new Map();
+    this.activeStreams = new Map(); // meetingId -> in-flight streaming request
     this.requestQueue = new PriorityQueue();
     this.coordinationEngine = new CoordinationEngine();
     this.synthesizer = new IntelligenceSynthesizer();
@@ -57,6 +63,9 @@ class IntelligenceOrchestrator extends EventEmitter {
       this.tripleAI = new TripleAIClient();
       await this.tripleAI.initialize();
       
+      // Streaming client for live insights
+      this.aiClient = new AIMLAPIClient();
+      
       // Initialize core services
       await this.initializeServices();
       
@@ -203,6 +212,161 @@ class IntelligenceOrchestrator extends EventEmitter {
     }
   }
   
+  /**
+   * Stream live insights for the latest conversation context
+   *
+   * Emits `insightStreamStarted`, then `insightDelta` as text arrives (with
+   * the suggestions parsed so far, the last one possibly partial), and
+   * finally `insightStreamCompleted` or `insightStreamCancelled`. Only one
+   * stream runs per meeting: a newer request means the conversation has
+   * moved on, so it cancels the one in flight. A cancelled stream still
+   * resolves with the suggestions that were completed before it stopped.
+   */
+  async streamIntelligenceRequest(meetingId, context, options = {}) {
+    if (!meetingId || !context) {
+      throw new Error('Invalid request: meetingId and context are required');
+    }
+    
+    this.cancelStream(meetingId, 'superseded');
+    
+    const requestId = this.generateRequestId();
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const stream = { requestId, controller, startTime, reason: null };
+    
+    this.activeStreams.set(meetingId, stream);
+    
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => this.cancelStream(meetingId, 'aborted', requestId), { once: true });
+    }
+    
+    this.emit('insightStreamStarted', { requestId, meetingId, timestamp: startTime });
+    
+    let text = '';
+    
+    try {
+      const result = await this.aiClient.processRequest(
+        {
+          type: context.meetingType,
+          industry: context.industry,
+          language: context.language,
+          urgency: 'realtime',
+          complexity: 'low'
+        },
+        this.buildStreamingPrompt(context),
+        {
+          stream: true,
+          signal: controller.signal,
+          maxTokens: this.options.streamMaxTokens,
+          context: { type: context.meetingType, industry: context.industry },
+          onDelta: (delta) => {
+            text += delta;
+            this.emit('insightDelta', {
+              requestId,
+              meetingId,
+              delta,
+              suggestions: this.suggestionEngine.parseStreamedSuggestions(text, { streamId: requestId }),
+              timestamp: Date.now()
+            });
+          }
+        }
+      );
+      
+      const suggestions = this.suggestionEngine.finalizeStreamedSuggestions(
+        this.suggestionEngine.parseStreamedSuggestions(result.content, { streamId: requestId, final: true }),
+        context
+      );
+      
+      this.emit('insightStreamCompleted', {
+        requestId,
+        meetingId,
+        suggestions,
+        model: result.model,
+        responseTime: Date.now() - startTime
+      });
+      
+      return suggestions;
+      
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // Keep what was finished; the line being written is dropped
+        const suggestions = this.suggestionEngine.finalizeStreamedSuggestions(
+          this.suggestionEngine.parseStreamedSuggestions(text, { streamId: requestId }),
+          context
+        );
+        
+        this.emit('insightStreamCancelled', {
+          requestId,
+          meetingId,
+          reason: stream.reason,
+          suggestions,
+          responseTime: Date.now() - startTime
+        });
+        
+        return suggestions;
+      }
+      
+      console.error(`Error streaming intelligence request ${requestId}:`, error);
+      
+      this.emit('intelligenceError', {
+        requestId,
+        meetingId,
+        error: error.message,
+        responseTime: Date.now() - startTime
+      });
+      
+      throw error;
+      
+    } finally {
+      if (this.activeStreams.get(meetingId) === stream) {
+        this.activeStreams.delete(meetingId);
+      }
+    }
+  }
+  
+  /**
+   * Cancel the in-flight stream for a meeting (optionally only a given request)
+   */
+  cancelStream(meetingId, reason = 'cancelled', requestId = null) {
+    const stream = this.activeStreams.get(meetingId);
+    if (!stream || (requestId && stream.requestId !== requestId)) {
+      return false;
+    }
+    
+    stream.reason = reason;
+    stream.controller.abort();
+    this.activeStreams.delete(meetingId);
+    
+    return true;
+  }
+  
+  /**
+   * Prompt for live suggestions from the latest conversation context
+   */
+  buildStreamingPrompt(context) {
+    const parts = [];
+    
+    if (context.currentTopic) {
+      parts.push(`Current topic: ${context.currentTopic}`);
+    }
+    
+    const recent = (context.recentTranscript || [])
+      .slice(-10)
+      .map(entry => `${entry.speaker || 'Speaker'}: ${entry.text}`);
+    
+    if (recent.length > 0) {
+      parts.push(`Recent conversation:\n${recent.join('\n')}`);
+    }
+    
+    if (context.transcript) {
+      parts.push(`Latest${context.speaker ? ` (${context.speaker})` : ''}: ${context.transcript}`);
+    }
+    
+    parts.push(`Give live coaching suggestions for the user in this meeting. ${this.suggestionEngine.getStreamingFormatInstructions()}`);
+    
+    return parts.join('\n\n');
+  }
+  
   /**
    * Select relevant services based on request type and context
    */
@@ -454,6 +618,7 @@ class IntelligenceOrchestrator extends EventEmitter {
     return {
       initialized: this.initialized,
       activeRequests: this.activeRequests.size,
+      activeStreams: this.activeStreams.size,
       queuedRequests: this.requestQueue.size(),
       services: Array.from(this.services.keys()),
       metrics: this.metrics,
@@ -467,6 +632,11 @@ class IntelligenceOrchestrator extends EventEmitter {
   async shutdown() {
     console.log('Shutting down Intelligence Orchestrator...');
     
+    // Live streams are not worth waiting for
+    for (const meetingId of Array.from(this.activeStreams.keys())) {
+      this.cancelStream(meetingId, 'shutdown');
+    }
+    
     // Wait for active requests to complete (with timeout)
     const shutdownTimeout = 10000; // 10 seconds
     const startTime = Date.now();
@@ -0,0 +1,159 @@
+/**
+ * Knowledge Access Control
+ *
+ * Document-level permission trimming for knowledge results. Each document
+ * carries the ACL captured from its source; the requesting user (and, when
+ * requested, every meeting participant) is resolved to source principals via
+ * the identity mapping store, and a document is only returned if everyone in
+ * that audience can read it. Documents from ACL-enforced sources without a
+ * captured ACL are withheld.
+ */
+
+const { createIdentityMappingStore } = require('./identity-mapping-store');
+
+class KnowledgeAccessControl {
+  constructor(options = {}) {
+    this.identityStore = options.identityStore || createIdentityMappingStore(options.identityStoreConfig);
+
+    // Sources whose documents have no ACLs of their own (all members may read)
+    this.unrestrictedSources = new Set(options.unrestrictedSources || ['internal_docs', 'meeting_history', 'local_files']);
+    this.initialized = false;
+
+    this.metrics = {
+      checks: 0,
+      denied: 0
+    };
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+    await this.identityStore.initialize();
+    this.initialized = true;
+  }
+
+  async setIdentityMapping(userId, sourceId, mapping) {
+    await this.initialize();
+    return this.identityStore.setMapping(userId, sourceId, mapping);
+  }
+
+  async removeIdentityMapping(userId, sourceId) {
+    await this.initialize();
+    return this.identityStore.removeMapping(userId, sourceId);
+  }
+
+  /**
+   * Resolve who results must be trimmed for. The requesting user comes from
+   * context.user / context.userId; participants are added when
+   * context.restrictToParticipants is set, so results are limited to what the
+   * least-privileged person in the meeting may read.
+   */
+  async resolveAudience(context = {}) {
+    await this.initialize();
+
+    const requester = context.user ||
+      (context.userId || context.userEmail ? { id: context.userId, email: context.userEmail } : null);
+
+    // Without an identity only public and unrestricted documents are visible
+    const people = [requester || {}];
+
+    if (context.restrictToParticipants && Array.isArray(context.participants)) {
+      for (const participant of context.participants) {
+        const person = {
+          id: participant.userId || null,
+          email: participant.email || null
+        };
+        // Skip the requester if they are listed as a participant
+        if (requester && ((person.id && person.id === requester.id) ||
+          (person.email && person.email.toLowerCase() === requester.email?.toLowerCase()))) {
+          continue;
+        }
+        people.push(person);
+      }
+    }
+
+    return Promise.all(people.map(person => this.resolveIdentity(person)));
+  }
+
+  async resolveIdentity(person = {}) {
+    const email = person.email ? person.email.toLowerCase() : null;
+    const mappings = person.id ? await this.identityStore.getMappings(person.id) : [];
+
+    return {
+      userId: person.id || null,
+      email,
+      sources: new Map(mappings.map(mapping => [mapping.sourceId, mapping]))
+    };
+  }
+
+  /**
+   * Principals an identity holds in one source
+   */
+  getPrincipals(identity, sourceId) {
+    const mapping = identity.sources.get(sourceId) || {};
+    const emails = [identity.email, mapping.email].filter(Boolean).map(email => email.toLowerCase());
+
+    return {
+      ids: new Set([mapping.principalId, ...emails].filter(Boolean)),
+      emails: new Set(emails),
+      groups: new Set(mapping.groups || []),
+      spaces: new Set(mapping.spaces || []),
+      domains: new Set([
+        ...emails.map(email => email.split('@')[1]),
+        ...(mapping.domains || [])
+      ].filter(Boolean).map(domain => domain.toLowerCase()))
+    };
+  }
+
+  /**
+   * Whether an identity may read a document ({ sourceId, permissions })
+   */
+  canAccess(document, identity) {
+    const { sourceId, permissions } = document;
+
+    if (!Array.isArray(permissions)) {
+      return this.unrestrictedSources.has(sourceId);
+    }
+
+    const principals = this.getPrincipals(identity, sourceId);
+
+    return permissions.some(permission => {
+      const id = typeof permission.id === 'string' ? permission.id.toLowerCase() : permission.id;
+
+      switch (permission.type) {
+        case 'anyone':
+          return true;
+        case 'domain':
+          return principals.domains.has(id);
+        case 'user':
+          return principals.ids.has(permission.id) ||
+            principals.emails.has(id) ||
+            Boolean(permission.email && principals.emails.has(permission.email.toLowerCase()));
+        case 'group':
+          return principals.groups.has('*') ||
+            principals.groups.has(permission.id) ||
+            Boolean(permission.name && principals.groups.has(permission.name));
+        case 'space':
+          return principals.spaces.has('*') || principals.spaces.has(permission.id);
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Keep only items everyone in the audience may read. `describe` maps an
+   * item to { sourceId, permissions }.
+   */
+  filter(items, audience, describe = item => item) {
+    return items.filter(item => {
+      const document = describe(item);
+      const allowed = audience.every(identity => this.canAccess(document, identity));
+
+      this.metrics.checks++;
+      if (!allowed) this.metrics.denied++;
+      return allowed;
+    });
+  }
+}
+
+module.exports = KnowledgeAccessControl;
@@ -8,14 +8,33 @@
 
 const { TripleAIClient } = require('../ai/triple-ai-client');
 const { MeetingMemoryService } = require('./meeting-memory-service');
+const KnowledgeIndexer = require('./knowledge-indexer');
+const ConnectorSyncService = require('./connector-sync-service');
+const KnowledgeAccessControl = require('./knowledge-access-control');
+const LocalDocumentSource = require('./local-document-source');
+const { cosineSimilarity } = require('./embedding-providers');
 
 class KnowledgeBaseService {
-  constructor() {
+  constructor(options = {}) {
     this.tripleAI = new TripleAIClient();
     this.memoryService = new MeetingMemoryService();
+
+    // Embedding index (pluggable embedding provider and vector store)
+    this.indexer = options.indexer || new KnowledgeIndexer(options.knowledgeIndex || {});
+    this.connectorSync = null; // Created on first syncConnectors() call
+    this.accessControl = options.accessControl || new KnowledgeAccessControl(options.accessControlConfig || {});
+
+    // Local directories and API uploads (PDF, DOCX, PPTX, Markdown, text)
+    const localDocuments = options.localDocuments || {};
+    this.localDocuments = new LocalDocumentSource(this.indexer, {
+      ...localDocuments,
+      directories: localDocuments.directories ||
+        (process.env.KNOWLEDGE_DIRECTORY ? process.env.KNOWLEDGE_DIRECTORY.split(',') : []),
+      uploadDirectory: localDocuments.uploadDirectory || process.env.KNOWLEDGE_UPLOAD_DIRECTORY
+    });
     
     // Knowledge base components
-    this.semanticSearch = new SemanticSearchEngine(this.tripleAI);
+    this.semanticSearch = new SemanticSearchEngine(this.tripleAI, this.indexer, this.accessControl);
     this.proactiveAssistant = new ProactiveInformationAssistant(this.tripleAI);
     this.contentSynthesizer = new IntelligentContentSynthesizer(this.tripleAI);
     this.knowledgeConnectors = new EnterpriseKnowledgeConnectors();
@@ -37,6 +56,59 @@ class KnowledgeBaseService {
     // Initialize knowledge sources
     this.knowledgeSources = new Map();
     this.initializeKnowledgeSources();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the knowledge index and index configured local directories
+   */
+  async initialize() {
+    try {
+      console.log('Initializing Knowledge Base Service...');
+
+      await this.indexer.initialize();
+
+      const scans = await this.localDocuments.scanAll();
+      for (const scan of scans) {
+        console.log(`Indexed ${scan.indexed} local documents from ${scan.directory} (${scan.failed} failed)`);
+      }
+      this.localDocuments.start();
+
+      this.initialized = true;
+      console.log('✓ Knowledge Base Service initialized');
+    } catch (error) {
+      console.error('Failed to initialize Knowledge Base Service:', error);
+      throw error;
+    }
+  }
+
+  isHealthy() {
+    return !!this.initialized;
+  }
+
+  /**
+   * Search for the knowledge API. `context` may carry meetingId and userId.
+   */
+  async search(query, context = {}) {
+    return this.searchKnowledge(query, context, context?.meetingId, context?.userId);
+  }
+
+  /**
+   * Index a local directory and keep it in the periodic rescans
+   */
+  async indexDirectory(directory) {
+    return this.localDocuments.addDirectory(directory);
+  }
+
+  /**
+   * Extract, chunk and index an uploaded document
+   */
+  async uploadDocument(upload) {
+    return this.localDocuments.addUpload(upload);
+  }
+
+  listLocalDocuments(organizationId) {
+    return this.localDocuments.listDocuments(organizationId);
   }
 
   /**
@@ -85,10 +157,15 @@ class KnowledgeBaseService {
       // Enhance query with meeting context
       const enhancedQuery = await this.enhanceSearchQuery(query, context, session);
 
-      // Perform semantic search across all knowledge sources
+      // Perform semantic search across all knowledge sources, trimmed to
+      // what the requesting user (and optionally the participants) may read
       const searchResults = await this.semanticSearch.search(
         enhancedQuery,
-        context,
+        {
+          ...context,
+          userId: userId || context?.userId,
+          participants: context?.participants || session?.participants
+        },
         this.knowledgeSources
       );
 
@@ -124,6 +201,63 @@ class KnowledgeBaseService {
     }
   }
 
+  /**
+   * Chunk, embed and index documents for a knowledge source
+   */
+  async ingestDocuments(sourceId, documents, options = {}) {
+    const results = await this.indexer.indexDocuments(
+      documents.map(document => ({
+        ...document,
+        sourceId,
+        organizationId: document.organizationId || options.organizationId
+      }))
+    );
+
+    const indexed = results.filter(result => !result.error);
+    console.log(`Indexed ${indexed.length}/${documents.length} documents from ${sourceId}`);
+
+    return {
+      sourceId,
+      indexed: indexed.length,
+      failed: results.length - indexed.length,
+      chunks: indexed.reduce((sum, result) => sum + result.chunkCount, 0)
+    };
+  }
+
+  /**
+   * Sync connected sources (SharePoint, Confluence, Google Drive) into the
+   * knowledge index. Pass `schedule: true` to keep delta syncs running.
+   */
+  async syncConnectors(connectorManager, options = {}) {
+    const { schedule = false, full = false, ...syncOptions } = options;
+
+    if (!this.connectorSync) {
+      this.connectorSync = new ConnectorSyncService(connectorManager, {
+        ...syncOptions,
+        indexer: this.indexer
+      });
+    }
+
+    if (schedule) {
+      this.connectorSync.start();
+      return this.connectorSync.getStatus();
+    }
+
+    return this.connectorSync.syncAll({ full });
+  }
+
+  /**
+   * Remove an organization's document from the knowledge index
+   */
+  async removeDocument(organizationId, sourceId, documentId) {
+    this.knowledgeCache.delete(`${organizationId}:${sourceId}:${documentId}`);
+
+    if (sourceId === this.localDocuments.sourceId) {
+      return this.localDocuments.removeDocument(documentId, organizationId);
+    }
+    return this.indexer.removeDocument(organizationId, sourceId, documentId);
+  }
+
   /**
    * Get proactive knowledge suggestions based on meeting context
    */
@@ -153,6 +287,24 @@ class KnowledgeBaseService {
         session
       );
 
+      // Attach matching indexed documents to search suggestions
+      for (const suggestion of prioritizedSuggestions) {
+        if (!suggestion.searchQuery) continue;
+
+        const results = await this.semanticSearch.search(
+          { enhanced: suggestion.searchQuery, semanticTerms: [] },
+          {
+            ...currentContext,
+            participants: currentContext?.participants || session.participants
+          },
+          this.knowledgeSources
+        );
+
+        suggestion.documents = results
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, 3);
+      }
+
       // Update session with proactive suggestions
       session.proactiveSuggestions.push({
         timestamp: new Date(),
@@ -203,11 +355,21 @@ class KnowledgeBaseService {
       const session = this.activeKnowledgeSessions.get(meetingId);
       
       // Retrieve knowledge item from appropriate source
-      const knowledgeItem = await this.retrieveKnowledgeItem(itemId);
+      const knowledgeItem = await this.retrieveKnowledgeItem(itemId, accessContext?.organizationId);
       if (!knowledgeItem) {
         throw new Error(`Knowledge item ${itemId} not found`);
       }
 
+      const audience = await this.accessControl.resolveAudience({ ...accessContext, userId });
+      const [sourceId] = itemId.split(':');
+      const allowed = this.accessControl.filter([knowledgeItem], audience, item => ({
+        sourceId: item.metadata?.source || sourceId,
+        permissions: item.permissions
+      }));
+      if (allowed.length === 0) {
+        throw new Error(`Access to knowledge item ${itemId} denied`);
+      }
+
       // Process and contextualize the content
       const contextualizedContent = await this.contextualizeKnowledgeItem(
         knowledgeItem,
@@ -328,8 +490,10 @@ class KnowledgeBaseService {
       let temporalScore = 0;
       let authorityScore = 0;
 
-      // Semantic relevance (0-1)
-      if (result.content && query.enhanced) {
+      // Semantic relevance (0-1), from the vector search when available
+      if (typeof result.similarity === 'number') {
+        semanticScore = Math.max(0, Math.min(result.similarity, 1));
+      } else if (result.content && query.enhanced) {
         semanticScore = await this.calculateSemanticSimilarity(
           result.content,
           query.enhanced
@@ -382,17 +546,12 @@ class KnowledgeBaseService {
    */
   async calculateSemanticSimilarity(content, query) {
     try {
-      // Simplified semantic similarity calculation
-      // In production, this would use vector embeddings and cosine similarity
-      
-      const contentWords = content.toLowerCase().split(/\s+/);
-      const queryWords = query.toLowerCase().split(/\s+/);
-      
-      const commonWords = queryWords.filter(word => 
-        contentWords.some(cWord => cWord.includes(word) || word.includes(cWord))
-      );
-      
-      return Math.min(commonWords.length / queryWords.length, 1.0);
+      const [contentEmbedding, queryEmbedding] = await Promise.all([
+        this.indexer.embed(content),
+        this.indexer.embed(query)
+      ]);
+
+      return Math.max(0, Math.min(cosineSimilarity(contentEmbedding, queryEmbedding), 1.0));
 
     } catch (error) {
       console.error('Error calculating semantic similarity:', error);
@@ -514,16 +673,38 @@ class KnowledgeBaseService {
 
   /**
    * Retrieve specific knowledge item from source
+   *
+   * @param {string} itemId - sourceId:externalId, as in search results
+   * @param {string} organizationId - Organization the item is looked up in
    */
-  async retrieveKnowledgeItem(itemId) {
+  async retrieveKnowledgeItem(itemId, organizationId) {
     try {
       // Check cache first
-      if (this.knowledgeCache.has(itemId)) {
-        return this.knowledgeCache.get(itemId);
+      const cacheKey = `${organizationId}:${itemId}`;
+      if (this.knowledgeCache.has(cacheKey)) {
+        return this.knowledgeCache.get(cacheKey);
       }
 
-      // Determine source and retrieve item
+      // Indexed documents are served from the organization's knowledge index
       const [sourceType, sourceId] = itemId.split(':');
+      const externalId = itemId.slice(sourceType.length + 1);
+      const indexed = organizationId
+        ? await this.indexer.vectorStore.getDocument({ organizationId, sourceId: sourceType, externalId })
+        : null;
+      if (indexed) {
+        const item = {
+          id: itemId,
+          title: indexed.title,
+          content: indexed.content,
+          url: indexed.url,
+          permissions: indexed.permissions,
+          metadata: { ...indexed.metadata, source: indexed.sourceId, lastModified: indexed.lastModified }
+        };
+        this.knowledgeCache.set(cacheKey, item);
+        return item;
+      }
+
+      // Otherwise retrieve the item from its source connector
       const connector = this.knowledgeConnectors.getConnector(sourceType);
       
       if (!connector) {
@@ -533,7 +714,7 @@ class KnowledgeBaseService {
       const item = await connector.retrieveItem(sourceId);
       
       // Cache the item
-      this.knowledgeCache.set(itemId, item);
+      this.knowledgeCache.set(cacheKey, item);
       
       return item;
 
@@ -668,6 +849,13 @@ class KnowledgeBaseService {
       authority: 0.7
     });
 
+    this.knowledgeSources.set('local_files', {
+      type: 'local_documents',
+      connector: 'local_files',
+      searchable: true,
+      authority: 0.7
+    });
+
     // External knowledge sources (would be configured per organization)
     this.knowledgeSources.set('sharepoint', {
       type: 'enterprise_documents',
@@ -689,6 +877,34 @@ class KnowledgeBaseService {
       searchable: true,
       authority: 0.7
     });
+
+    this.knowledgeSources.set('notion', {
+      type: 'wiki_documentation',
+      connector: 'notion',
+      searchable: true,
+      authority: 0.8
+    });
+
+    this.knowledgeSources.set('jira', {
+      type: 'issue_tracking',
+      connector: 'jira',
+      searchable: true,
+      authority: 0.7
+    });
+
+    this.knowledgeSources.set('github', {
+      type: 'code_collaboration',
+      connector: 'github',
+      searchable: true,
+      authority: 0.7
+    });
+
+    this.knowledgeSources.set('slack', {
+      type: 'team_conversations',
+      connector: 'slack',
+      searchable: true,
+      authority: 0.5
+    });
   }
 
   /**
@@ -816,7 +1032,8 @@ class KnowledgeBaseService {
       averageUserSatisfaction: avgSatisfaction.toFixed(2),
       activeSessions: this.activeKnowledgeSessions.size,
       cacheSize: this.knowledgeCache.size,
-      knowledgeSourcesConnected: this.knowledgeSources.size
+      knowledgeSourcesConnected: this.knowledgeSources.size,
+      index: { ...this.indexer.metrics }
     };
   }
 }
@@ -826,14 +1043,17 @@ class KnowledgeBaseService {
  * Advanced search with vector embeddings and contextual understanding
  */
 class SemanticSearchEngine {
-  constructor(tripleAI) {
+  constructor(tripleAI, indexer, accessControl) {
     this.tripleAI = tripleAI;
-    this.vectorCache = new Map();
+    this.indexer = indexer;
+    this.accessControl = accessControl;
+    this.resultsPerSource = 10;
   }
 
   async search(enhancedQuery, context, knowledgeSources) {
     try {
       const searchResults = [];
+      const audience = await this.accessControl.resolveAudience(context);
 
       // Search across all available knowledge sources
       for (const [sourceId, source] of knowledgeSources) {
@@ -843,7 +1063,8 @@ class SemanticSearchEngine {
           sourceId,
           source,
           enhancedQuery,
-          context
+          context,
+          audience
         );
 
         searchResults.push(...sourceResults);
@@ -857,13 +1078,24 @@ class SemanticSearchEngine {
     }
   }
 
-  async searchKnowledgeSource(sourceId, source, query, context) {
+  async searchKnowledgeSource(sourceId, source, query, context, audience = null) {
     try {
-      // This would integrate with actual knowledge source APIs
-      // For now, return mock results based on source type
-      
-      const mockResults = this.generateMockSearchResults(sourceId, source, query);
-      return mockResults;
+      const queryText = [query.enhanced, ...(query.semanticTerms || [])].join(' ');
+      audience = audience || await this.accessControl.resolveAudience(context);
+
+      // Over-fetch so permission trimming still leaves a full page of results
+      const matches = await this.indexer.search(queryText, {
+        limit: this.resultsPerSource * 3,
+        filter: {
+          sourceIds: [sourceId],
+          organizationId: context?.organizationId
+        }
+      });
+
+      return this.accessControl
+        .filter(matches, audience, match => match.document)
+        .slice(0, this.resultsPerSource)
+        .map(match => this.formatSearchResult(sourceId, source, match));
 
     } catch (error) {
       console.error(`Error searching knowledge source ${sourceId}:`, error);
@@ -871,34 +1103,29 @@ class SemanticSearchEngine {
     }
   }
 
-  generateMockSearchResults(sourceId, source, query) {
-    // Generate realistic mock search results
-    const results = [];
-    const resultCount = Math.floor(Math.random() * 8) + 2; // 2-10 results
-
-    for (let i = 0; i < resultCount; i++) {
-      results.push({
-        id: `${sourceId}:${Date.now()}-${i}`,
-        title: `${query.enhanced} - Document ${i + 1}`,
-        content: `This document contains information about ${query.enhanced} and related topics. It provides comprehensive coverage of the subject matter with actionable insights and recommendations.`,
-        source: {
-          id: sourceId,
-          type: source.type,
-          name: source.type.replace('_', ' ').toUpperCase()
-        },
-        metadata: {
-          lastModified: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000),
-          author: `Author ${i + 1}`,
-          department: ['Engineering', 'Marketing', 'Sales', 'Operations'][Math.floor(Math.random() * 4)],
-          meetingTypes: ['planning', 'review', 'strategy', 'operational'],
-          topics: query.semanticTerms || [query.enhanced]
-        },
-        url: `https://knowledge.company.com/${sourceId}/${Date.now()}-${i}`,
-        preview: `Preview of document content related to ${query.enhanced}...`
-      });
-    }
+  formatSearchResult(sourceId, source, match) {
+    const { document, chunk, similarity } = match;
 
-    return results;
+    return {
+      id: `${document.sourceId}:${document.externalId}`,
+      title: document.title,
+      content: chunk.text,
+      similarity,
+      source: {
+        id: sourceId,
+        type: source.type,
+        name: source.type.replace('_', ' ').toUpperCase()
+      },
+      metadata: {
+        ...document.metadata,
+        lastModified: document.lastModified,
+        author: document.author,
+        chunkIndex: chunk.index
+      },
+      lastModified: document.lastModified,
+      url: document.url,
+      preview: chunk.text.substring(0, 200)
+    };
   }
 }
 
@@ -1081,12 +1308,21 @@ class IntelligentContentSynthesizer {
         Return as structured JSON with content, conflicts, resolution, insights, actionables, and sources.
       `;
 
+      // Repeated questions over the same sources reuse the synthesis
       const synthesis = await this.tripleAI.processWithCollaboration(
         synthesisPrompt,
         {
           gpt5: { role: 'content_synthesis', weight: 0.5 },
           claude: { role: 'conflict_resolution', weight: 0.3 },
           gemini: { role: 'insight_extraction', weight: 0.2 }
+        },
+        {
+          cache: {
+            task: 'knowledge_synthesis',
+            tenantId: context?.organizationId,
+            key: query,
+            vary: { sources, context }
+          }
         }
       );
 
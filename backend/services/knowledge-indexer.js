@@ -0,0 +1,225 @@
+/**
+ * Knowledge Indexer
+ *
+ * Chunks knowledge documents, embeds each chunk with the configured embedding
+ * provider and stores them in the configured vector store. Search embeds the
+ * query and returns the best matching chunk per document with its cosine
+ * similarity score.
+ *
+ * Every document belongs to an organization and every search is limited to
+ * one (filter.organizationId); both are rejected without it.
+ */
+
+const { createEmbeddingProvider } = require('./embedding-providers');
+const { createVectorStore, documentKey } = require('./vector-store');
+
+class KnowledgeIndexer {
+  constructor(options = {}) {
+    this.options = {
+      chunkSize: 1000, // Characters per chunk
+      chunkOverlap: 150, // Characters carried over between chunks
+      maxChunksPerDocument: 200,
+      ...options
+    };
+
+    this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider(options.embedding);
+    this.vectorStore = options.vectorStore || createVectorStore(options.vectorStoreConfig);
+    this.initialized = false;
+
+    this.metrics = {
+      documentsIndexed: 0,
+      chunksIndexed: 0,
+      documentsRemoved: 0,
+      searches: 0
+    };
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+    await this.embeddingProvider.initialize();
+    await this.vectorStore.initialize();
+    this.initialized = true;
+  }
+
+  /**
+   * Chunk, embed and store a document. Re-indexing a document replaces its chunks.
+   */
+  async indexDocument(document) {
+    await this.initialize();
+
+    const normalized = this.normalizeDocument(document);
+    const chunks = this.chunkText(normalized.content).slice(0, this.options.maxChunksPerDocument);
+
+    // Fall back to the title for documents without extractable text
+    if (chunks.length === 0 && normalized.title) {
+      chunks.push(normalized.title);
+    }
+
+    const embeddings = await this.embeddingProvider.embedBatch(
+      chunks.map(chunk => `${normalized.title}\n${chunk}`)
+    );
+
+    const result = await this.vectorStore.upsertDocument(
+      { ...normalized, embeddingModel: this.embeddingProvider.model },
+      chunks.map((text, index) => ({ index, text, embedding: embeddings[index] }))
+    );
+
+    this.metrics.documentsIndexed++;
+    this.metrics.chunksIndexed += chunks.length;
+    return result;
+  }
+
+  async indexDocuments(documents) {
+    const results = [];
+    for (const document of documents) {
+      try {
+        results.push(await this.indexDocument(document));
+      } catch (error) {
+        console.error(`Failed to index document ${document.id}:`, error.message);
+        results.push({
+          key: documentKey({ organizationId: document.organizationId, sourceId: document.sourceId, externalId: document.id }),
+          error: error.message
+        });
+      }
+    }
+    return results;
+  }
+
+  async removeDocument(organizationId, sourceId, externalId) {
+    await this.initialize();
+    const removed = await this.vectorStore.deleteDocument({ organizationId, sourceId, externalId: String(externalId) });
+    if (removed) this.metrics.documentsRemoved++;
+    return removed;
+  }
+
+  /**
+   * Update stored document fields (e.g. permissions) without re-embedding
+   */
+  async updateDocument(organizationId, sourceId, externalId, fields) {
+    await this.initialize();
+    return this.vectorStore.updateDocument({ organizationId, sourceId, externalId: String(externalId) }, fields);
+  }
+
+  /**
+   * Semantic search. Returns one result per document, scored by its best chunk.
+   */
+  async search(query, options = {}) {
+    await this.initialize();
+
+    const { limit = 10, minScore = 0.05, filter = {} } = options;
+    if (!filter.organizationId) {
+      throw new Error('Knowledge search requires filter.organizationId');
+    }
+
+    const queryEmbedding = await this.embeddingProvider.embed(query);
+
+    // Over-fetch chunks so several chunks of one document don't crowd out others
+    const matches = await this.vectorStore.query(queryEmbedding, {
+      limit: limit * 4,
+      minScore,
+      filter
+    });
+
+    const byDocument = new Map();
+    for (const match of matches) {
+      const existing = byDocument.get(match.document.key);
+      if (!existing || match.score > existing.score) {
+        byDocument.set(match.document.key, match);
+      }
+    }
+
+    this.metrics.searches++;
+
+    return Array.from(byDocument.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(match => ({
+        document: match.document,
+        chunk: match.chunk,
+        similarity: match.score
+      }));
+  }
+
+  async embed(text) {
+    await this.initialize();
+    return this.embeddingProvider.embed(text);
+  }
+
+  /**
+   * Split text into overlapping chunks on paragraph and sentence boundaries
+   */
+  chunkText(text) {
+    const { chunkSize, chunkOverlap } = this.options;
+    const clean = String(text || '').replace(/\r\n/g, '\n').trim();
+    if (!clean) return [];
+
+    const units = clean
+      .split(/\n{2,}/)
+      .flatMap(paragraph => {
+        const flat = paragraph.replace(/\s+/g, ' ').trim();
+        if (flat.length <= chunkSize) return [flat];
+        return (flat.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [flat]).map(sentence => sentence.trim());
+      })
+      .filter(unit => unit.length > 0);
+
+    const chunks = [];
+    let current = '';
+
+    for (const unit of units) {
+      // Hard-split units that are longer than a chunk on their own
+      const pieces = unit.length > chunkSize ?
+        unit.match(new RegExp(`.{1,${chunkSize}}`, 'g')) :
+        [unit];
+
+      for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > chunkSize) {
+          chunks.push(current);
+          const tail = current.slice(-chunkOverlap);
+          const boundary = tail.indexOf(' ');
+          current = boundary >= 0 ? tail.slice(boundary + 1) : '';
+        }
+        current = current ? `${current} ${piece}` : piece;
+      }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  normalizeDocument(document) {
+    const sourceId = document.sourceId || document.source || 'internal';
+    const externalId = String(document.id);
+    const organizationId = document.organizationId;
+
+    if (!organizationId) {
+      throw new Error(`Document ${sourceId}:${externalId} has no organizationId`);
+    }
+
+    return {
+      key: documentKey({ organizationId, sourceId, externalId }),
+      sourceId,
+      externalId,
+      organizationId,
+      title: document.title || document.name || 'Untitled',
+      url: document.url || null,
+      author: document.author || null,
+      format: document.format || null,
+      content: document.content || document.text || '',
+      lastModified: document.lastModified || null,
+      permissions: document.permissions || null,
+      metadata: document.metadata || {}
+    };
+  }
+
+  async getStats() {
+    return {
+      ...this.metrics,
+      provider: this.embeddingProvider.name,
+      model: this.embeddingProvider.model,
+      store: this.vectorStore.name,
+      ...(await this.vectorStore.count())
+    };
+  }
+}
+
+module.exports = KnowledgeIndexer;
@@ -1,14 +1,29 @@
 const ConnectorManager = require('./connector-manager');
+const ConnectorSyncService = require('./connector-sync-service');
+const KnowledgeAccessControl = require('./knowledge-access-control');
 
 class KnowledgeIntegrationService {
-  constructor() {
+  constructor(options = {}) {
     this.connectorManager = new ConnectorManager();
+    this.syncOptions = options.sync || {};
+    this.syncService = new ConnectorSyncService(this.connectorManager, this.syncOptions);
+    this.accessControl = options.accessControl || new KnowledgeAccessControl(options.accessControlConfig || {});
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
 
   async initialize(config) {
     await this.connectorManager.initialize(config);
+
+    // Background sync into the local index; live search remains the fallback
+    if (config.sync?.enabled) {
+      this.syncService = new ConnectorSyncService(this.connectorManager, {
+        ...this.syncOptions,
+        ...config.sync
+      });
+      this.syncService.start();
+    }
+
     console.log('Knowledge Integration Service initialized');
   }
 
@@ -24,8 +39,15 @@ class KnowledgeIntegrationService {
     }
 
     try {
-      // Search all connected sources
-      const results = await this.connectorManager.searchAllSources(query, 20);
+      // Results are trimmed to what the requester (and optionally every participant) may read
+      const audience = await this.accessControl.resolveAudience(context);
+
+      // Prefer the synced local index; query sources live when it has nothing
+      let results = this.trimResults(await this.searchIndex(query, 60), audience).slice(0, 20);
+      if (results.length === 0) {
+        const liveResults = await this.connectorManager.searchAllSources(query, 20);
+        results = this.trimResults(await this.attachPermissions(liveResults), audience);
+      }
       
       // Add context scoring
       const scoredResults = this.scoreResultsWithContext(results, context);
@@ -43,6 +65,66 @@ class KnowledgeIntegrationService {
     }
   }
 
+  async searchIndex(query, limit = 20) {
+    try {
+      const matches = await this.syncService.indexer.search(query, {
+        limit,
+        filter: { organizationId: this.syncService.options.organizationId }
+      });
+
+      return matches.map(({ document, chunk, similarity }) => ({
+        id: document.externalId,
+        title: document.title,
+        url: document.url,
+        content: chunk.text,
+        lastModified: document.lastModified,
+        author: document.author || 'Unknown',
+        type: document.metadata?.type,
+        source: this.connectorManager.getSourceName(document.sourceId),
+        permissions: document.permissions,
+        score: Math.round(similarity * 100)
+      }));
+    } catch (error) {
+      console.error('Local knowledge index search failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Capture current ACLs for live connector results
+   */
+  async attachPermissions(results) {
+    return Promise.all(results.map(async result => ({
+      ...result,
+      permissions: await this.connectorManager.getPermissions(result.source, result)
+    })));
+  }
+
+  trimResults(results, audience) {
+    return this.accessControl
+      .filter(results, audience, result => ({
+        sourceId: this.connectorManager.getSourceId(result.source),
+        permissions: result.permissions
+      }))
+      .map(({ permissions, ...result }) => result);
+  }
+
+  async setIdentityMapping(userId, sourceName, mapping) {
+    return await this.accessControl.setIdentityMapping(
+      userId,
+      this.connectorManager.getSourceId(sourceName),
+      mapping
+    );
+  }
+
+  async getSyncStatus() {
+    return await this.syncService.getStatus();
+  }
+
+  async syncNow(options = {}) {
+    return await this.syncService.syncAll(options);
+  }
+
   async getProactiveKnowledge(meetingContext) {
     const suggestions = [];
     
@@ -50,7 +132,7 @@ class KnowledgeIntegrationService {
       // Generate search queries based on meeting context
       const queries = this.generateContextualQueries(meetingContext);
       
-      // Search for each query
+      // Search for each query (searchKnowledge trims results to the meeting audience)
       for (const query of queries) {
         const results = await this.searchKnowledge(query, meetingContext);
         suggestions.push({
@@ -166,17 +248,28 @@ class KnowledgeIntegrationService {
     return Math.min(relevance, 100);
   }
 
-  async getRecentKnowledge(limit = 10) {
+  async getRecentKnowledge(limit = 10, context = {}) {
     try {
-      return await this.connectorManager.getRecentContent(limit);
+      const audience = await this.accessControl.resolveAudience(context);
+      const recent = await this.connectorManager.getRecentContent(limit * 3);
+      return this.trimResults(await this.attachPermissions(recent), audience).slice(0, limit);
     } catch (error) {
       console.error('Failed to get recent knowledge:', error.message);
       return [];
     }
   }
 
-  async getKnowledgeContent(source, contentId) {
+  async getKnowledgeContent(source, contentId, context = {}) {
     try {
+      const audience = await this.accessControl.resolveAudience(context);
+      const permissions = await this.connectorManager.getPermissions(source, { id: contentId });
+      const [allowed] = this.trimResults([{ id: contentId, source, permissions }], audience);
+
+      if (!allowed) {
+        console.warn(`Access to ${source} content ${contentId} denied`);
+        return null;
+      }
+
       return await this.connectorManager.getContent(source, contentId);
     } catch (error) {
       console.error('Failed to get knowledge content:', error.message);
@@ -200,7 +293,7 @@ class KnowledgeIntegrationService {
   async prepareMeetingKnowledge(meetingContext) {
     const preparation = {
       proactiveKnowledge: await this.getProactiveKnowledge(meetingContext),
-      recentContent: await this.getRecentKnowledge(5),
+      recentContent: await this.getRecentKnowledge(5, meetingContext),
       availableSources: this.getAvailableSources(),
       timestamp: new Date().toISOString()
     };
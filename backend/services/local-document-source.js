@@ -0,0 +1,310 @@
+/**
+ * Local Document Source
+ *
+ * Knowledge source for teams without an enterprise document system. Indexes
+ * documents from local directories (rescanned periodically, only changed files
+ * are re-embedded) and documents uploaded through the API. Text is extracted
+ * with DocumentTextExtractor and chunked and embedded by the KnowledgeIndexer.
+ *
+ * Watched directories belong to options.organizationId. Uploads belong to the
+ * uploader's organization and are stored under uploadDirectory/<organizationId>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const DocumentTextExtractor = require('./document-text-extractor');
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+class LocalDocumentSource {
+  constructor(indexer, options = {}) {
+    this.indexer = indexer;
+    this.extractor = options.extractor || new DocumentTextExtractor({ maxFileSize: options.maxFileSize });
+    this.sourceId = options.sourceId || 'local_files';
+    this.organizationId = options.organizationId || null;
+    this.scanInterval = options.scanInterval || 5 * 60 * 1000; // 5 minutes
+
+    // Uploads are written here when configured so they survive restarts;
+    // otherwise they are only kept in the index
+    this.uploadDirectory = options.uploadDirectory ? path.resolve(options.uploadDirectory) : null;
+    this.directories = new Set((options.directories || []).map(directory => path.resolve(directory)));
+    if (this.uploadDirectory) this.directories.add(this.uploadDirectory);
+
+    this.documents = new Map(); // organizationId:documentId -> indexed document summary
+    this.scanTimer = null;
+    this.scanning = null;
+  }
+
+  /**
+   * Index a directory now and include it in periodic rescans
+   */
+  async addDirectory(directory) {
+    const resolved = path.resolve(directory);
+    this.directories.add(resolved);
+    return this.scanDirectory(resolved);
+  }
+
+  async scanAll() {
+    // Overlapping timer ticks share the running scan
+    if (!this.scanning) {
+      this.scanning = (async () => {
+        const results = [];
+        for (const directory of this.directories) {
+          results.push(await this.scanDirectory(directory));
+        }
+        return results;
+      })().finally(() => {
+        this.scanning = null;
+      });
+    }
+    return this.scanning;
+  }
+
+  /**
+   * Index new and modified files under a directory and remove documents whose
+   * files have been deleted
+   */
+  async scanDirectory(directory) {
+    const stats = { directory, indexed: 0, unchanged: 0, removed: 0, failed: 0 };
+    const seen = new Set();
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+
+      for (const filePath of await this.listFiles(directory)) {
+        const documentId = this.getFileDocumentId(filePath);
+        const organizationId = this.getFileOrganization(filePath);
+        seen.add(this.getEntryKey(organizationId, documentId));
+
+        try {
+          const fileStat = await fs.stat(filePath);
+          const existing = this.documents.get(this.getEntryKey(organizationId, documentId));
+
+          if (existing && existing.size === fileStat.size && existing.modifiedAt === fileStat.mtime.toISOString()) {
+            stats.unchanged++;
+            continue;
+          }
+
+          await this.indexFile(filePath, fileStat);
+          stats.indexed++;
+        } catch (error) {
+          console.error(`Failed to index ${filePath}:`, error.message);
+          stats.failed++;
+        }
+      }
+
+      for (const [entryKey, document] of this.documents) {
+        if (document.path && this.isWithin(document.path, directory) && !seen.has(entryKey)) {
+          await this.removeDocument(document.id, document.organizationId);
+          stats.removed++;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to scan directory ${directory}:`, error.message);
+      stats.error = error.message;
+    }
+
+    return stats;
+  }
+
+  async indexFile(filePath, fileStat = null) {
+    fileStat = fileStat || await fs.stat(filePath);
+    const buffer = await fs.readFile(filePath);
+
+    return this.indexBuffer(this.getFileDocumentId(filePath), buffer, {
+      organizationId: this.getFileOrganization(filePath),
+      fileName: path.basename(filePath),
+      title: this.getTitle(path.basename(filePath)),
+      path: filePath,
+      url: `file://${filePath}`,
+      size: fileStat.size,
+      modifiedAt: fileStat.mtime.toISOString()
+    });
+  }
+
+  /**
+   * Index a document uploaded through the API
+   */
+  async addUpload(upload) {
+    const { buffer, fileName, mimeType = null, title = null, uploadedBy = null } = upload;
+    const organizationId = upload.organizationId || this.organizationId;
+
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Uploaded document is empty');
+    }
+    if (!organizationId) {
+      throw new Error('Uploaded document has no organizationId');
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16);
+    const details = {
+      fileName,
+      mimeType,
+      title: title || this.getTitle(fileName),
+      uploadedBy,
+      organizationId,
+      size: buffer.length,
+      modifiedAt: new Date().toISOString()
+    };
+
+    if (this.uploadDirectory) {
+      const directory = path.join(this.uploadDirectory, path.basename(String(organizationId)));
+      const filePath = path.join(directory, `${hash}-${path.basename(fileName)}`);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      const fileStat = await fs.stat(filePath);
+      return this.indexBuffer(this.getFileDocumentId(filePath), buffer, {
+        ...details,
+        path: filePath,
+        url: `file://${filePath}`,
+        modifiedAt: fileStat.mtime.toISOString()
+      });
+    }
+
+    return this.indexBuffer(`upload:${hash}`, buffer, details);
+  }
+
+  async indexBuffer(documentId, buffer, details) {
+    const { format, text, metadata } = await this.extractor.extract(buffer, {
+      fileName: details.fileName,
+      mimeType: details.mimeType
+    });
+
+    const result = await this.indexer.indexDocument({
+      id: documentId,
+      sourceId: this.sourceId,
+      organizationId: details.organizationId,
+      title: details.title,
+      url: details.url || null,
+      author: details.uploadedBy || null,
+      format,
+      content: text,
+      lastModified: details.modifiedAt,
+      metadata: {
+        ...metadata,
+        fileName: details.fileName,
+        path: details.path || null,
+        size: details.size
+      }
+    });
+
+    const document = {
+      id: documentId,
+      organizationId: details.organizationId,
+      title: details.title,
+      fileName: details.fileName,
+      path: details.path || null,
+      format,
+      size: details.size,
+      characters: text.length,
+      chunkCount: result.chunkCount,
+      uploadedBy: details.uploadedBy || null,
+      modifiedAt: details.modifiedAt,
+      indexedAt: new Date().toISOString()
+    };
+
+    this.documents.set(this.getEntryKey(details.organizationId, documentId), document);
+    return document;
+  }
+
+  /**
+   * Remove a document from the index. Uploaded files are deleted from disk;
+   * files in watched directories are left alone.
+   */
+  async removeDocument(documentId, organizationId = this.organizationId) {
+    const entryKey = this.getEntryKey(organizationId, documentId);
+    const document = this.documents.get(entryKey);
+
+    if (document?.path && this.uploadDirectory && this.isWithin(document.path, this.uploadDirectory)) {
+      await fs.unlink(document.path).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+
+    this.documents.delete(entryKey);
+    return this.indexer.removeDocument(organizationId, this.sourceId, documentId);
+  }
+
+  listDocuments(organizationId) {
+    return Array.from(this.documents.values())
+      .filter(document => document.organizationId === organizationId)
+      .sort((a, b) => new Date(b.indexedAt) - new Date(a.indexedAt));
+  }
+
+  start() {
+    if (this.scanTimer || this.directories.size === 0) return;
+
+    this.scanTimer = setInterval(() => {
+      this.scanAll().catch(error => console.error('Local document scan failed:', error.message));
+    }, this.scanInterval);
+    this.scanTimer.unref?.();
+  }
+
+  stop() {
+    if (this.scanTimer) {
+      clearInterval(this.scanTimer);
+      this.scanTimer = null;
+    }
+  }
+
+  async listFiles(directory) {
+    const files = [];
+
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name)) continue;
+
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(entryPath));
+      } else if (entry.isFile() && this.extractor.isSupported(entry.name)) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  getFileDocumentId(filePath) {
+    return `file:${filePath}`;
+  }
+
+  /**
+   * Organization a file is indexed for: the uploader's for stored uploads,
+   * otherwise the one the watched directories belong to
+   */
+  getFileOrganization(filePath) {
+    if (this.uploadDirectory && this.isWithin(filePath, this.uploadDirectory)) {
+      const [organizationId, ...rest] = path.relative(this.uploadDirectory, filePath).split(path.sep);
+      if (rest.length > 0) return organizationId;
+    }
+    return this.organizationId;
+  }
+
+  getEntryKey(organizationId, documentId) {
+    return `${organizationId}:${documentId}`;
+  }
+
+  getTitle(fileName = '') {
+    // Drop the extension and the content hash prefix of stored uploads
+    return path.basename(fileName, path.extname(fileName)).replace(/^[0-9a-f]{16}-/, '') || 'Untitled';
+  }
+
+  isWithin(filePath, directory) {
+    const relative = path.relative(directory, filePath);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  getStatus() {
+    return {
+      sourceId: this.sourceId,
+      directories: Array.from(this.directories),
+      documents: this.documents.size,
+      scanning: !!this.scanning,
+      scheduled: !!this.scanTimer
+    };
+  }
+}
+
+module.exports = LocalDocumentSource;
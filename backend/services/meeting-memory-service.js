@@ -189,6 +189,14 @@ class MeetingMemoryService extends EventEmitter {
         retrievalOptions
       );
       
+      // Earlier meetings of the same recurring series and its rolling agenda
+      const seriesMeetings = currentContext.seriesId
+        ? await this.getSeriesMeetings(currentContext.seriesId, organizationId, currentContext.meetingId, retrievalOptions)
+        : [];
+      const seriesAgenda = currentContext.seriesId
+        ? await this.getSeriesAgenda(currentContext.seriesId)
+        : [];
+      
       // Retrieve unresolved items from previous meetings
       const unresolvedItems = await this.getUnresolvedItems(
         organizationId,
@@ -211,6 +219,8 @@ class MeetingMemoryService extends EventEmitter {
       const contextualInsights = await this.synthesizeContextualInsights({
         similarMeetings,
         relatedMeetings,
+        seriesMeetings,
+        seriesAgenda,
         unresolvedItems,
         participantHistory,
         topicEvolution,
@@ -220,6 +230,8 @@ class MeetingMemoryService extends EventEmitter {
       const result = {
         similarMeetings,
         relatedMeetings,
+        seriesMeetings,
+        seriesAgenda,
         unresolvedItems,
         participantHistory,
         topicEvolution,
@@ -420,13 +432,73 @@ class MeetingMemoryService extends EventEmitter {
   }
   
   /**
-   * Get unresolved items from previous meetings
+   * Get earlier meetings of a recurring series, most recent first
+   */
+  async getSeriesMeetings(seriesId, organizationId, excludeMeetingId, options) {
+    try {
+      let query = this.supabase
+        .from('meeting_sessions')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('meeting_series_id', seriesId);
+      
+      if (excludeMeetingId) {
+        query = query.neq('id', excludeMeetingId);
+      }
+      
+      const { data, error } = await query
+        .order('start_time', { ascending: false })
+        .limit(options.maxResults);
+      
+      if (error) {
+        console.error('Error getting series meetings:', error);
+        return [];
+      }
+      
+      return data || [];
+      
+    } catch (error) {
+      console.error('Error in getSeriesMeetings:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Open topics on a series' rolling agenda, most often carried first
+   */
+  async getSeriesAgenda(seriesId) {
+    const { data, error } = await this.supabase
+      .from('meeting_series_agenda_items')
+      .select('id, title, source, times_carried, first_meeting_id, action_item_id')
+      .eq('series_id', seriesId)
+      .eq('status', 'open')
+      .order('times_carried', { ascending: false })
+      .limit(20);
+    
+    if (error) {
+      console.error('Error getting series agenda:', error);
+      return [];
+    }
+    
+    return (data || []).map(item => ({
+      id: item.id,
+      title: item.title,
+      source: item.source,
+      timesCarried: item.times_carried,
+      firstMeetingId: item.first_meeting_id,
+      actionItemId: item.action_item_id
+    }));
+  }
+  
+  /**
+   * Get unresolved items from previous meetings: open tracked action items
+   * owned by these participants, and decisions that look unimplemented
    */
   async getUnresolvedItems(organizationId, participants) {
     try {
       const { data, error } = await this.supabase
         .from('meeting_sessions')
-        .select('id, title, start_time, action_items, key_decisions')
+        .select('id, title, start_time, key_decisions')
         .eq('organization_id', organizationId)
         .overlaps('participants', participants)
         .gte('start_time', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()) // Last 30 days
@@ -437,28 +509,12 @@ class MeetingMemoryService extends EventEmitter {
         return [];
       }
       
-      // Filter for items that appear unresolved
-      const unresolvedItems = [];
+      // Action items have a tracked status; decisions are guessed at
+      const unresolvedItems = await this.getOpenActionItems(organizationId, participants);
       
       for (const meeting of data || []) {
-        const actionItems = meeting.action_items || [];
         const decisions = meeting.key_decisions || [];
         
-        // Check for action items without completion status
-        actionItems.forEach(item => {
-          if (!item.completed && !item.status) {
-            unresolvedItems.push({
-              type: 'action_item',
-              meetingId: meeting.id,
-              meetingTitle: meeting.title,
-              meetingDate: meeting.start_time,
-              description: item.description || item,
-              assignee: item.assignee,
-              dueDate: item.dueDate
-            });
-          }
-        });
-        
         // Check for decisions that might need follow-up
         decisions.forEach(decision => {
           if (!decision.implemented && !decision.status) {
@@ -483,12 +539,83 @@ class MeetingMemoryService extends EventEmitter {
     }
   }
   
+  /**
+   * Open action items owned by any of the participants (user IDs,
+   * participant IDs or emails). The assignee is the participant key the
+   * item matched, so callers can compare it with their participant list.
+   */
+  async getOpenActionItems(organizationId, participants) {
+    const keys = participants.map(p => p.id || p.email || p).filter(Boolean).map(String);
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const list = keys.map(key => `"${key.replace(/"/g, '')}"`).join(',');
+    const emails = keys.filter(key => key.includes('@')).map(key => `"${key.toLowerCase().replace(/"/g, '')}"`).join(',');
+    const ids = keys.filter(key => !key.includes('@'));
+    const filters = [
+      `owner_participant_id.in.(${list})`,
+      ids.length > 0 ? `owner_user_id.in.(${ids.map(id => `"${id.replace(/"/g, '')}"`).join(',')})` : null,
+      emails ? `owner_email.in.(${emails})` : null
+    ].filter(Boolean);
+
+    const { data, error } = await this.supabase
+      .from('action_items')
+      .select('id, meeting_id, description, owner_name, owner_email, owner_user_id, owner_participant_id, due_date, status, meetings(title, start_time)')
+      .eq('organization_id', organizationId)
+      .in('status', ['open', 'in_progress'])
+      .or(filters.join(','))
+      .order('due_date', { ascending: true, nullsFirst: false })
+      .limit(50);
+
+    if (error) {
+      console.error('Error getting open action items:', error);
+      return [];
+    }
+
+    return (data || []).map(item => ({
+      type: 'action_item',
+      actionItemId: item.id,
+      meetingId: item.meeting_id,
+      meetingTitle: item.meetings?.title,
+      meetingDate: item.meetings?.start_time,
+      description: item.description,
+      assignee: keys.find(key => [item.owner_user_id, item.owner_participant_id, item.owner_email].includes(key)) ||
+        item.owner_email || item.owner_user_id,
+      assigneeName: item.owner_name,
+      dueDate: item.due_date,
+      status: item.status
+    }));
+  }
+  
   /**
    * Synthesize contextual insights from retrieved data
    */
   async synthesizeContextualInsights(data) {
     const insights = [];
     
+    // Insights from earlier meetings of the same series
+    if (data.seriesMeetings && data.seriesMeetings.length > 0) {
+      const [lastMeeting] = data.seriesMeetings;
+      insights.push({
+        type: 'series_history',
+        title: 'Recurring Series History',
+        description: `${data.seriesMeetings.length} earlier meetings in this series` +
+          (data.seriesAgenda?.length > 0 ? `, ${data.seriesAgenda.length} topics carried forward` : ''),
+        details: {
+          lastMeeting: {
+            title: lastMeeting.title,
+            date: lastMeeting.start_time,
+            keyOutcomes: lastMeeting.key_decisions?.slice(0, 3) || [],
+            nextSteps: lastMeeting.next_steps?.slice(0, 3) || []
+          },
+          carriedTopics: (data.seriesAgenda || []).slice(0, 5)
+        },
+        confidence: 0.9,
+        priority: 'high'
+      });
+    }
+    
     // Insights from similar meetings
     if (data.similarMeetings && data.similarMeetings.length > 0) {
       insights.push({
@@ -733,6 +860,19 @@ class RelationshipMapper {
     try {
       const relationships = [];
       
+      // The previous meeting of a recurring series is always a continuation
+      if (sessionData.meeting_series_id) {
+        const previousMeeting = await this.findPreviousSeriesMeeting(
+          sessionData.meeting_series_id,
+          sessionData.start_time,
+          meetingId
+        );
+        if (previousMeeting) {
+          const relationship = await this.createRelationship(meetingId, previousMeeting.id, 'continuation', 1.0);
+          relationships.push(relationship);
+        }
+      }
+      
       // Find meetings with overlapping participants
       const participantOverlapMeetings = await this.findParticipantOverlapMeetings(
         sessionData.organization_id,
@@ -797,6 +937,24 @@ class RelationshipMapper {
     });
   }
   
+  async findPreviousSeriesMeeting(seriesId, startTime, excludeMeetingId) {
+    const { data, error } = await this.supabase
+      .from('meeting_sessions')
+      .select('id, title, start_time')
+      .eq('meeting_series_id', seriesId)
+      .neq('id', excludeMeetingId)
+      .lt('start_time', startTime)
+      .order('start_time', { ascending: false })
+      .limit(1);
+    
+    if (error) {
+      console.error('Error finding previous series meeting:', error);
+      return null;
+    }
+    
+    return data?.[0] || null;
+  }
+  
   async findTopicSimilarMeetings(organizationId, topics, excludeMeetingId) {
     // This would use more sophisticated topic matching
     // For now, return empty array
@@ -8,6 +8,7 @@
 const ClarificationDetector = require('../algorithms/clarification-detector');
 const EngagementDetector = require('../algorithms/engagement-detector');
 const DecisionPointDetector = require('../algorithms/decision-point-detector');
+const { TranscriptSummarizer } = require('../ai/transcript-summarizer');
 
 class PostMeetingAnalysisEngine {
   constructor(supabase, options = {}) {
@@ -21,6 +22,9 @@ class PostMeetingAnalysisEngine {
       ...options
     };
     
+    // Map-reduce transcript summarizer; created at initialize() when AIMLAPI is configured
+    this.summarizer = options.summarizer || null;
+    
     // Initialize detectors for post-meeting analysis
     this.clarificationDetector = new ClarificationDetector(supabase, {
       confidenceThreshold: 0.5, // Lower threshold for post-meeting analysis
@@ -447,7 +451,8 @@ class PostMeetingAnalysisEngine {
         keyFindings: [],
         patterns: [],
         recommendations: [],
-        predictions: []
+        predictions: [],
+        summary: null
       };
       
       // Analyze patterns across components
@@ -490,11 +495,33 @@ class PostMeetingAnalysisEngine {
       // Predictive insights
       insights.predictions = await this.generatePredictiveInsights(meetingData, analysisComponents);
       
+      // Transcript summary with timestamps, speakers and item sources
+      insights.summary = await this.summarizeTranscript(meetingData);
+      
       return insights;
       
     } catch (error) {
       console.error('Error generating AI insights:', error);
-      return { keyFindings: [], patterns: [], recommendations: [], predictions: [] };
+      return { keyFindings: [], patterns: [], recommendations: [], predictions: [], summary: null };
+    }
+  }
+  
+  /**
+   * Summarize the meeting transcript. Long meetings are chunked and
+   * summarized map-reduce instead of being sent in one prompt.
+   */
+  async summarizeTranscript(meetingData) {
+    const hasTranscript = meetingData.segments?.length > 0 || Boolean(meetingData.transcript);
+    
+    if (!this.summarizer || !hasTranscript) {
+      return null;
+    }
+    
+    try {
+      return await this.summarizer.summarize(meetingData, { title: meetingData.title });
+    } catch (error) {
+      console.error('Error summarizing transcript:', error);
+      return null;
     }
   }
   
@@ -949,7 +976,13 @@ class PostMeetingAnalysisEngine {
   async generateAIRecommendations(components) { return []; }
   async generatePredictiveInsights(meetingData, components) { return []; }
   async loadHistoricalAnalysisData() { console.log('Loading historical analysis data...'); }
-  async initializeAIAnalysis() { console.log('Initializing AI analysis capabilities...'); }
+  async initializeAIAnalysis() {
+    console.log('Initializing AI analysis capabilities...');
+    
+    if (!this.summarizer && this.options.includeAIInsights && process.env.AIMLAPI_API_KEY) {
+      this.summarizer = new TranscriptSummarizer();
+    }
+  }
   
   /**
    * Get analysis metrics
@@ -0,0 +1,209 @@
+/**
+ * Sync State Stores
+ *
+ * Persist connector sync cursors and per-document sync state (last modified
+ * time, content and permission hashes) so delta syncs can skip unchanged
+ * documents and detect deletions. The in-memory store is used for offline and
+ * single-process deployments, the Supabase store persists to
+ * knowledge_sync_state / knowledge_sync_items.
+ */
+
+/**
+ * In-memory sync state store
+ */
+class InMemorySyncStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.states = new Map(); // sourceId -> state
+    this.items = new Map(); // sourceId -> Map(externalId -> item)
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getState(sourceId) {
+    return this.states.get(sourceId) || null;
+  }
+
+  async saveState(sourceId, state) {
+    this.states.set(sourceId, { ...state, sourceId, updatedAt: new Date().toISOString() });
+    return this.states.get(sourceId);
+  }
+
+  async getItem(sourceId, externalId) {
+    return this.items.get(sourceId)?.get(externalId) || null;
+  }
+
+  async saveItem(sourceId, externalId, item) {
+    if (!this.items.has(sourceId)) {
+      this.items.set(sourceId, new Map());
+    }
+    this.items.get(sourceId).set(externalId, { ...item, syncedAt: new Date().toISOString() });
+  }
+
+  async deleteItem(sourceId, externalId) {
+    return this.items.get(sourceId)?.delete(externalId) || false;
+  }
+
+  async listItemIds(sourceId) {
+    return Array.from(this.items.get(sourceId)?.keys() || []);
+  }
+}
+
+/**
+ * Supabase-backed sync state store
+ */
+class SupabaseSyncStateStore {
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.supabase = options.supabase || null;
+    this.organizationId = options.organizationId || null;
+  }
+
+  async initialize() {
+    if (!this.supabase) {
+      const { createClient } = require('@supabase/supabase-js');
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY
+      );
+    }
+    return true;
+  }
+
+  async getState(sourceId) {
+    const { data, error } = await this.supabase
+      .from('knowledge_sync_state')
+      .select('*')
+      .eq('organization_id', this.organizationId)
+      .eq('source_id', sourceId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to load sync state: ${error.message}`);
+    if (!data) return null;
+
+    return {
+      sourceId: data.source_id,
+      cursor: data.cursor,
+      status: data.status,
+      lastSyncAt: data.last_sync_at,
+      lastFullSyncAt: data.last_full_sync_at,
+      lastError: data.last_error,
+      stats: data.stats || {},
+      updatedAt: data.updated_at
+    };
+  }
+
+  async saveState(sourceId, state) {
+    const { error } = await this.supabase
+      .from('knowledge_sync_state')
+      .upsert({
+        organization_id: this.organizationId,
+        source_id: sourceId,
+        cursor: state.cursor || null,
+        status: state.status,
+        last_sync_at: state.lastSyncAt || null,
+        last_full_sync_at: state.lastFullSyncAt || null,
+        last_error: state.lastError || null,
+        stats: state.stats || {},
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id,source_id' });
+
+    if (error) throw new Error(`Failed to save sync state: ${error.message}`);
+    return { ...state, sourceId };
+  }
+
+  async getItem(sourceId, externalId) {
+    const { data, error } = await this.supabase
+      .from('knowledge_sync_items')
+      .select('*')
+      .eq('organization_id', this.organizationId)
+      .eq('source_id', sourceId)
+      .eq('external_id', externalId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to load sync item: ${error.message}`);
+    if (!data) return null;
+
+    return {
+      lastModified: data.last_modified,
+      contentHash: data.content_hash,
+      permissions: data.permissions,
+      permissionsHash: data.permissions_hash,
+      syncedAt: data.synced_at
+    };
+  }
+
+  async saveItem(sourceId, externalId, item) {
+    const { error } = await this.supabase
+      .from('knowledge_sync_items')
+      .upsert({
+        organization_id: this.organizationId,
+        source_id: sourceId,
+        external_id: externalId,
+        last_modified: item.lastModified || null,
+        content_hash: item.contentHash || null,
+        permissions: item.permissions || null,
+        permissions_hash: item.permissionsHash || null,
+        synced_at: new Date().toISOString()
+      }, { onConflict: 'organization_id,source_id,external_id' });
+
+    if (error) throw new Error(`Failed to save sync item: ${error.message}`);
+  }
+
+  async deleteItem(sourceId, externalId) {
+    const { data, error } = await this.supabase
+      .from('knowledge_sync_items')
+      .delete()
+      .eq('organization_id', this.organizationId)
+      .eq('source_id', sourceId)
+      .eq('external_id', externalId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete sync item: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async listItemIds(sourceId) {
+    const ids = [];
+    const pageSize = 1000;
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('knowledge_sync_items')
+        .select('external_id')
+        .eq('organization_id', this.organizationId)
+        .eq('source_id', sourceId)
+        .range(from, from + pageSize - 1);
+
+      if (error) throw new Error(`Failed to list sync items: ${error.message}`);
+      ids.push(...data.map(row => row.external_id));
+      if (data.length < pageSize) break;
+    }
+
+    return ids;
+  }
+}
+
+/**
+ * Create a sync state store from configuration
+ */
+function createSyncStateStore(config = {}) {
+  const store = config.store || process.env.SYNC_STATE_STORE || 'memory';
+
+  switch (store) {
+    case 'memory':
+      return new InMemorySyncStateStore(config);
+    case 'supabase':
+      return new SupabaseSyncStateStore(config);
+    default:
+      throw new Error(`Unknown sync state store: ${store}`);
+  }
+}
+
+module.exports = {
+  InMemorySyncStateStore,
+  SupabaseSyncStateStore,
+  createSyncStateStore
+};
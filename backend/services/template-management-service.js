@@ -1,9 +1,13 @@
+const { getResponseCache } = require('../ai/response-cache');
+const { getPromptRegistry } = require('../ai/prompt-registry');
+
 class TemplateManagementService {
   constructor() {
     this.templates = new Map();
     this.templateUsage = new Map();
     this.templateRatings = new Map();
     this.userTemplates = new Map(); // userId -> templateIds[]
+    this.prompts = getPromptRegistry();
   }
 
   async initialize() {
@@ -23,11 +27,7 @@ class TemplateManagementService {
         isDefault: true,
         createdBy: 'system',
         createdAt: new Date().toISOString(),
-        prompts: {
-          analysis: 'Analyze the conversation for buying signals, decision makers, budget indicators, and pain points. Focus on {{customer_name}} specific needs and how our solution addresses them.',
-          coaching: 'Provide guidance on questioning techniques, active listening, and relationship building. Help identify the best approach for {{customer_name}} based on their industry and role.',
-          followUp: 'Generate a follow-up email that reinforces value proposition, addresses concerns raised, and proposes clear next steps for {{customer_name}}.'
-        },
+        ...this.getDefaultPrompts('sales_discovery_default'),
         variables: [
           { id: 1, name: 'customer_name', description: 'Customer company name', type: 'text' },
           { id: 2, name: 'customer_industry', description: 'Customer industry', type: 'select' },
@@ -46,11 +46,7 @@ class TemplateManagementService {
         isDefault: true,
         createdBy: 'system',
         createdAt: new Date().toISOString(),
-        prompts: {
-          analysis: 'Analyze strategic opportunities, competitive threats, and market positioning. Focus on {{planning_horizon}} timeframe and {{strategic_focus}} objectives.',
-          coaching: 'Guide strategic thinking, decision frameworks, and stakeholder alignment. Ensure discussion stays focused on {{strategic_focus}} priorities.',
-          followUp: 'Document strategic decisions, action plans, and accountability measures for {{planning_horizon}} execution.'
-        },
+        ...this.getDefaultPrompts('strategy_planning_default'),
         variables: [
           { id: 1, name: 'planning_horizon', description: 'Planning timeframe (e.g., Q1 2024)', type: 'text' },
           { id: 2, name: 'strategic_focus', description: 'Main strategic focus area', type: 'text' },
@@ -69,11 +65,7 @@ class TemplateManagementService {
         isDefault: true,
         createdBy: 'system',
         createdAt: new Date().toISOString(),
-        prompts: {
-          analysis: 'Track performance metrics, improvement areas, and development opportunities for {{employee_name}}. Focus on {{review_period}} achievements and challenges.',
-          coaching: 'Guide constructive feedback delivery, goal setting, and development planning. Ensure balanced discussion of strengths and growth areas.',
-          followUp: 'Document performance goals, development plans, and follow-up actions for {{employee_name}} covering the next {{review_period}}.'
-        },
+        ...this.getDefaultPrompts('performance_review_default'),
         variables: [
           { id: 1, name: 'employee_name', description: 'Employee name', type: 'text' },
           { id: 2, name: 'review_period', description: 'Review period (e.g., Q3 2024)', type: 'text' },
@@ -90,6 +82,21 @@ class TemplateManagementService {
     });
   }
 
+  // Built-in template prompts are versioned in the prompt registry
+  // (templates.<templateId>.<analysis|coaching|followUp>)
+  getDefaultPrompts(templateId) {
+    const prompts = {};
+    const promptVersions = {};
+
+    ['analysis', 'coaching', 'followUp'].forEach(kind => {
+      const definition = this.prompts.get(`templates.${templateId}.${kind}`);
+      prompts[kind] = definition.template;
+      promptVersions[kind] = definition.version;
+    });
+
+    return { prompts, promptVersions };
+  }
+
   async createTemplate(templateData, userId) {
     const template = {
       id: `custom_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -98,6 +105,7 @@ class TemplateManagementService {
       createdBy: userId,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      version: 1,
       usage: 0,
       rating: 0,
       ratingCount: 0
@@ -133,7 +141,8 @@ class TemplateManagementService {
     const updatedTemplate = {
       ...template,
       ...updates,
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      version: (template.version || 1) + 1
     };
 
     if (!this.validateTemplate(updatedTemplate)) {
@@ -141,6 +150,10 @@ class TemplateManagementService {
     }
 
     this.templates.set(templateId, updatedTemplate);
+
+    // AI responses cached for the previous version no longer apply
+    getResponseCache().setPromptVersion(templateId, updatedTemplate.version);
+
     return updatedTemplate;
   }
 
@@ -161,6 +174,7 @@ class TemplateManagementService {
     }
 
     this.templates.delete(templateId);
+    getResponseCache().invalidate({ templateId });
     
     // Remove from user's templates
     const userTemplateList = this.userTemplates.get(userId) || [];
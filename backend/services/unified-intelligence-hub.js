@@ -8,6 +8,7 @@
  */
 
 const { TripleAIClient } = require('../ai/triple-ai-client');
+const { getPromptRegistry } = require('../ai/prompt-registry');
 const { AICoachingEngine } = require('./ai-coaching-engine');
 const { KnowledgeBaseService } = require('./knowledge-base-service');
 const { OpportunityDetectionEngine } = require('./opportunity-detection-engine');
@@ -16,6 +17,7 @@ const { CrossMeetingIntelligence } = require('./cross-meeting-intelligence');
 class UnifiedIntelligenceHub {
   constructor() {
     this.tripleAI = new TripleAIClient();
+    this.prompts = getPromptRegistry();
     
     // Core intelligence engines
     this.predictiveEngine = new EnhancedPredictiveEngine(this.tripleAI);
@@ -298,6 +300,9 @@ class UnifiedIntelligenceHub {
             session.performanceMetrics.overallEffectiveness = 
               (session.performanceMetrics.overallEffectiveness + feedback.effectiveness) / 2;
           }
+
+          // Credit the outcome to the prompt versions behind the item
+          (intelligenceItem.prompts || []).forEach(ref => this.prompts.recordOutcome(ref, feedback));
         }
       }
 
@@ -697,7 +702,8 @@ class EnhancedPredictiveEngine {
           gpt5: { role: 'outcome_prediction', weight: 0.4 },
           claude: { role: 'accuracy_validation', weight: 0.3 },
           gemini: { role: 'real_time_processing', weight: 0.3 }
-        }
+        },
+        { task: 'prediction' }
       );
 
       return this.structurePredictions(predictions);
@@ -750,6 +756,13 @@ class EnhancedPredictiveEngine {
       });
     }
 
+    // The models' answers failed schema validation even after repair
+    if (predictions.structuredOutput?.degraded) {
+      structuredPredictions.forEach(prediction => {
+        prediction.degraded = true;
+      });
+    }
+
     return structuredPredictions;
   }
 
@@ -0,0 +1,306 @@
+/**
+ * Vector Stores
+ *
+ * Pluggable storage for knowledge document chunks and their embeddings.
+ * The in-memory store is used for offline and single-process deployments,
+ * the pgvector store persists to knowledge_documents / knowledge_embeddings.
+ *
+ * Documents belong to one organization. Stores address them by
+ * { organizationId, sourceId, externalId } and only search within the
+ * organization in filter.organizationId; calls without one are rejected.
+ */
+
+const { cosineSimilarity } = require('./embedding-providers');
+
+/**
+ * Store key for a document reference
+ */
+function documentKey({ organizationId, sourceId, externalId }) {
+  return `${organizationId}:${sourceId}:${externalId}`;
+}
+
+function requireOrganization(organizationId, action) {
+  if (!organizationId) {
+    throw new Error(`Knowledge ${action} requires an organizationId`);
+  }
+}
+
+/**
+ * In-memory vector store with brute-force cosine similarity
+ */
+class InMemoryVectorStore {
+  constructor() {
+    this.name = 'memory';
+    this.documents = new Map(); // documentKey -> document
+    this.chunks = new Map(); // documentKey -> [{ index, text, embedding }]
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async upsertDocument(document, chunks) {
+    requireOrganization(document.organizationId, 'indexing');
+    const key = documentKey(document);
+    this.documents.set(key, { ...document, key, indexedAt: new Date() });
+    this.chunks.set(key, chunks);
+    return { key, chunkCount: chunks.length };
+  }
+
+  async updateDocument(ref, fields) {
+    requireOrganization(ref.organizationId, 'updates');
+    const key = documentKey(ref);
+    const document = this.documents.get(key);
+    if (!document) return false;
+    this.documents.set(key, { ...document, ...fields });
+    return true;
+  }
+
+  async deleteDocument(ref) {
+    requireOrganization(ref.organizationId, 'deletes');
+    const key = documentKey(ref);
+    const existed = this.documents.delete(key);
+    this.chunks.delete(key);
+    return existed;
+  }
+
+  async getDocument(ref) {
+    requireOrganization(ref.organizationId, 'lookups');
+    return this.documents.get(documentKey(ref)) || null;
+  }
+
+  async query(embedding, options = {}) {
+    const { limit = 10, minScore = 0, filter = {} } = options;
+    requireOrganization(filter.organizationId, 'search');
+    const matches = [];
+
+    for (const [documentKey, chunks] of this.chunks) {
+      const document = this.documents.get(documentKey);
+      if (!this.matchesFilter(document, filter)) continue;
+
+      for (const chunk of chunks) {
+        const score = cosineSimilarity(embedding, chunk.embedding);
+        if (score >= minScore) {
+          matches.push({ document, chunk: { index: chunk.index, text: chunk.text }, score });
+        }
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  matchesFilter(document, filter) {
+    if (!document || document.organizationId !== filter.organizationId) {
+      return false;
+    }
+    if (filter.sourceIds && !filter.sourceIds.includes(document.sourceId)) {
+      return false;
+    }
+    return true;
+  }
+
+  async count() {
+    let chunkCount = 0;
+    for (const chunks of this.chunks.values()) {
+      chunkCount += chunks.length;
+    }
+    return { documents: this.documents.size, chunks: chunkCount };
+  }
+}
+
+/**
+ * pgvector-backed store using the Supabase client
+ */
+class PgVectorStore {
+  constructor(options = {}) {
+    this.name = 'pgvector';
+    this.supabase = options.supabase || null;
+    this.matchFunction = options.matchFunction || 'match_knowledge_embeddings';
+  }
+
+  async initialize() {
+    if (!this.supabase) {
+      const { createClient } = require('@supabase/supabase-js');
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY
+      );
+    }
+    return true;
+  }
+
+  async upsertDocument(document, chunks) {
+    requireOrganization(document.organizationId, 'indexing');
+
+    const { data: stored, error } = await this.supabase
+      .from('knowledge_documents')
+      .upsert({
+        organization_id: document.organizationId,
+        source_id: document.sourceId,
+        external_id: document.externalId,
+        title: document.title,
+        source_url: document.url || null,
+        file_format: document.format || null,
+        content_text: document.content,
+        key_topics: document.metadata?.topics || [],
+        departments: document.metadata?.departments || [],
+        tags: document.metadata?.tags || [],
+        last_updated: document.lastModified || null,
+        permissions: document.permissions || null,
+        processed: true,
+        processing_timestamp: new Date().toISOString(),
+        processing_version: document.embeddingModel || null
+      }, { onConflict: 'organization_id,source_id,external_id' })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(`Failed to store knowledge document: ${error.message}`);
+
+    // Replace all chunks for the document
+    const { error: deleteError } = await this.supabase
+      .from('knowledge_embeddings')
+      .delete()
+      .eq('document_id', stored.id);
+
+    if (deleteError) throw new Error(`Failed to clear document chunks: ${deleteError.message}`);
+
+    if (chunks.length > 0) {
+      const { error: insertError } = await this.supabase
+        .from('knowledge_embeddings')
+        .insert(chunks.map(chunk => ({
+          document_id: stored.id,
+          chunk_text: chunk.text,
+          chunk_index: chunk.index,
+          chunk_size: chunk.text.length,
+          embedding: chunk.embedding,
+          content_type: chunk.index === 0 ? 'title' : 'paragraph'
+        })));
+
+      if (insertError) throw new Error(`Failed to store document chunks: ${insertError.message}`);
+    }
+
+    return { key: documentKey(document), id: stored.id, chunkCount: chunks.length };
+  }
+
+  async updateDocument(ref, fields) {
+    requireOrganization(ref.organizationId, 'updates');
+    const update = {};
+    if ('permissions' in fields) update.permissions = fields.permissions;
+    if ('title' in fields) update.title = fields.title;
+    if ('url' in fields) update.source_url = fields.url;
+
+    const { data, error } = await this.supabase
+      .from('knowledge_documents')
+      .update(update)
+      .eq('organization_id', ref.organizationId)
+      .eq('source_id', ref.sourceId)
+      .eq('external_id', ref.externalId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to update knowledge document: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async deleteDocument(ref) {
+    requireOrganization(ref.organizationId, 'deletes');
+    const { data, error } = await this.supabase
+      .from('knowledge_documents')
+      .delete()
+      .eq('organization_id', ref.organizationId)
+      .eq('source_id', ref.sourceId)
+      .eq('external_id', ref.externalId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete knowledge document: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async getDocument(ref) {
+    requireOrganization(ref.organizationId, 'lookups');
+    const { data, error } = await this.supabase
+      .from('knowledge_documents')
+      .select('*')
+      .eq('organization_id', ref.organizationId)
+      .eq('source_id', ref.sourceId)
+      .eq('external_id', ref.externalId)
+      .maybeSingle();
+
+    if (error || !data) return null;
+    return this.formatDocument(data);
+  }
+
+  async query(embedding, options = {}) {
+    const { limit = 10, minScore = 0, filter = {} } = options;
+    requireOrganization(filter.organizationId, 'search');
+
+    const { data, error } = await this.supabase.rpc(this.matchFunction, {
+      query_embedding: embedding,
+      org_id: filter.organizationId,
+      source_ids: filter.sourceIds || null,
+      match_threshold: minScore,
+      match_count: limit
+    });
+
+    if (error) throw new Error(`Vector search failed: ${error.message}`);
+
+    return (data || []).map(row => ({
+      document: this.formatDocument(row),
+      chunk: { index: row.chunk_index, text: row.chunk_text },
+      score: row.similarity
+    }));
+  }
+
+  formatDocument(row) {
+    return {
+      key: documentKey({ organizationId: row.organization_id, sourceId: row.source_id, externalId: row.external_id }),
+      sourceId: row.source_id,
+      externalId: row.external_id,
+      organizationId: row.organization_id,
+      title: row.title,
+      url: row.source_url,
+      content: row.content_text,
+      lastModified: row.last_updated,
+      permissions: row.permissions || null,
+      metadata: {
+        topics: row.key_topics || [],
+        departments: row.departments || [],
+        tags: row.tags || []
+      }
+    };
+  }
+
+  async count() {
+    const { count: documents } = await this.supabase
+      .from('knowledge_documents')
+      .select('id', { count: 'exact', head: true });
+    const { count: chunks } = await this.supabase
+      .from('knowledge_embeddings')
+      .select('id', { count: 'exact', head: true });
+    return { documents: documents || 0, chunks: chunks || 0 };
+  }
+}
+
+/**
+ * Create a vector store from configuration
+ */
+function createVectorStore(config = {}) {
+  const store = config.store || process.env.VECTOR_STORE || 'memory';
+
+  switch (store) {
+    case 'memory':
+      return new InMemoryVectorStore(config);
+    case 'pgvector':
+      return new PgVectorStore(config);
+    default:
+      throw new Error(`Unknown vector store: ${store}`);
+  }
+}
+
+module.exports = {
+  InMemoryVectorStore,
+  PgVectorStore,
+  createVectorStore,
+  documentKey
+};
@@ -114,6 +114,13 @@ class IntelligenceWebSocketServer extends EventEmitter {
       this.broadcastToMeeting(data.meetingId, 'intelligenceError', data);
     });
     
+    // Incremental insights from streaming requests
+    ['insightStreamStarted', 'insightDelta', 'insightStreamCompleted', 'insightStreamCancelled'].forEach(event => {
+      this.orchestrator.on(event, (data) => {
+        this.broadcastToMeeting(data.meetingId, event, data);
+      });
+    });
+    
     this.orchestrator.on('serviceResult', (data) => {
       // Optional: broadcast individual service results for debugging
       if (process.env.NODE_ENV === 'development') {
@@ -161,7 +168,7 @@ class IntelligenceWebSocketServer extends EventEmitter {
     this.sendMessage(connectionId, 'connected', {
       connectionId,
       serverTime: Date.now(),
-      capabilities: ['real-time-intelligence', 'meeting-insights', 'contextual-suggestions']
+      capabilities: ['real-time-intelligence', 'meeting-insights', 'contextual-suggestions', 'streaming-insights']
     });
     
     console.log(`New WebSocket connection: ${connectionId} from ${clientIP}`);
@@ -296,9 +303,10 @@ class IntelligenceWebSocketServer extends EventEmitter {
     if (room) {
       room.delete(connectionId);
       
-      // Clean up empty rooms
+      // Clean up empty rooms; nobody is left to receive a live stream
       if (room.size === 0) {
         this.meetingRooms.delete(meetingId);
+        this.orchestrator.cancelStream(meetingId, 'meeting_empty');
       }
     }
     
@@ -364,6 +372,33 @@ class IntelligenceWebSocketServer extends EventEmitter {
     }
   }
   
+  /**
+   * Stream insights for a context update to all meeting participants
+   *
+   * Participants receive insightDelta messages as the insight is generated.
+   * A newer update for the same meeting cancels the stream in flight. A
+   * failed stream is reported to the requesting connection here, once, and
+   * resolves to null.
+   */
+  async streamContextUpdate(connectionId, meetingId, contextData) {
+    try {
+      return await this.orchestrator.streamIntelligenceRequest(meetingId, contextData);
+    } catch (error) {
+      this.sendError(connectionId, 'Streaming insight failed', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Cancel the live stream for a meeting
+   */
+  cancelStream(connectionId, meetingId) {
+    const cancelled = this.orchestrator.cancelStream(meetingId, 'client_cancelled');
+    
+    this.sendMessage(connectionId, 'streamCancelRequested', { meetingId, cancelled });
+    return cancelled;
+  }
+  
   /**
    * Send message to specific connection
    */
@@ -561,6 +596,12 @@ class MessageRouter {
       case 'contextUpdate':
         return this.handleContextUpdate(connectionId, payload, server);
       
+      case 'streamIntelligence':
+        return this.handleStreamIntelligence(connectionId, payload, server);
+      
+      case 'cancelIntelligence':
+        return this.handleCancelIntelligence(connectionId, payload, server);
+      
       case 'suggestionInteraction':
         return this.handleSuggestionInteraction(connectionId, payload, server);
       
@@ -607,6 +648,26 @@ class MessageRouter {
     return await server.processContextUpdate(connectionId, meetingId, contextData);
   }
   
+  async handleStreamIntelligence(connectionId, payload, server) {
+    const { meetingId, contextData } = payload;
+    
+    if (!meetingId || !contextData) {
+      return server.sendError(connectionId, 'Missing required fields', 'meetingId and contextData are required');
+    }
+    
+    return await server.streamContextUpdate(connectionId, meetingId, contextData);
+  }
+  
+  async handleCancelIntelligence(connectionId, payload, server) {
+    const { meetingId } = payload;
+    
+    if (!meetingId) {
+      return server.sendError(connectionId, 'Missing meetingId', 'meetingId is required');
+    }
+    
+    return server.cancelStream(connectionId, meetingId);
+  }
+  
   async handleSuggestionInteraction(connectionId, payload, server) {
     const { suggestionId, action, meetingId } = payload;
     
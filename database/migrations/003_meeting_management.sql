@@ -0,0 +1,37 @@
+-- MeetingMind Platform Meeting Management
+-- Migration: 003_meeting_management.sql
+
+-- Archived meetings keep their status and are hidden from default listings
+ALTER TABLE public.meetings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Meeting attachments (documents, slides and links shared in a meeting)
+CREATE TABLE public.meeting_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  file_name TEXT NOT NULL,
+  file_url TEXT NOT NULL,
+  content_type TEXT,
+  file_size BIGINT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_meetings_archived_at ON public.meetings(archived_at);
+CREATE INDEX idx_meeting_attachments_meeting_id ON public.meeting_attachments(meeting_id);
+
+-- Row level security
+ALTER TABLE public.meeting_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access attachments for their meetings" ON public.meeting_attachments
+  FOR ALL USING (
+    meeting_id IN (
+      SELECT id FROM public.meetings WHERE 
+      user_id = auth.uid() OR 
+      organization_id IN (
+        SELECT organization_id FROM public.user_organizations 
+        WHERE user_id = auth.uid()
+      )
+    )
+  );
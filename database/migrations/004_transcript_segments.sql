@@ -0,0 +1,37 @@
+-- MeetingMind Platform Transcript Segments
+-- Migration: 004_transcript_segments.sql
+
+-- Canonical transcript segments imported from VTT, SRT, Zoom JSON, Teams DOCX
+-- and plain-text transcripts (one row per speaker turn)
+CREATE TABLE public.transcript_segments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  segment_index INTEGER NOT NULL,
+  speaker TEXT,
+  start_seconds DECIMAL(10,3),
+  end_seconds DECIMAL(10,3),
+  text TEXT NOT NULL,
+  source_format TEXT NOT NULL CHECK (source_format IN ('vtt', 'srt', 'zoom_json', 'teams_docx', 'plain')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(meeting_id, segment_index)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_transcript_segments_meeting_id ON public.transcript_segments(meeting_id);
+CREATE INDEX idx_transcript_segments_speaker ON public.transcript_segments(speaker);
+
+-- Row level security
+ALTER TABLE public.transcript_segments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access transcripts for their meetings" ON public.transcript_segments
+  FOR ALL USING (
+    meeting_id IN (
+      SELECT id FROM public.meetings WHERE 
+      user_id = auth.uid() OR 
+      organization_id IN (
+        SELECT organization_id FROM public.user_organizations 
+        WHERE user_id = auth.uid()
+      )
+    )
+  );
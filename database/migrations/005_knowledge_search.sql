@@ -0,0 +1,67 @@
+-- MeetingMind Platform Knowledge Search
+-- Migration: 005_knowledge_search.sql
+
+-- Identify indexed documents by the knowledge source and the id the source uses,
+-- so connector re-indexing replaces documents instead of duplicating them
+ALTER TABLE knowledge_documents
+  ADD COLUMN IF NOT EXISTS source_id TEXT NOT NULL DEFAULT 'internal_docs',
+  ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+UPDATE knowledge_documents SET external_id = id::text WHERE external_id IS NULL;
+
+ALTER TABLE knowledge_documents
+  ALTER COLUMN external_id SET NOT NULL,
+  ADD CONSTRAINT knowledge_documents_source_unique UNIQUE (organization_id, source_id, external_id);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_source ON knowledge_documents(source_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_embeddings_document ON knowledge_embeddings(document_id);
+
+-- Nearest-neighbour chunk search used by the pgvector store
+CREATE OR REPLACE FUNCTION match_knowledge_embeddings(
+  query_embedding vector(1536),
+  org_id UUID DEFAULT NULL,
+  source_ids TEXT[] DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0,
+  match_count INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  organization_id UUID,
+  source_id TEXT,
+  external_id TEXT,
+  title TEXT,
+  source_url TEXT,
+  content_text TEXT,
+  key_topics JSONB,
+  departments JSONB,
+  tags JSONB,
+  last_updated TIMESTAMP WITH TIME ZONE,
+  chunk_index INTEGER,
+  chunk_text TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    d.id,
+    d.organization_id,
+    d.source_id,
+    d.external_id,
+    d.title,
+    d.source_url,
+    d.content_text,
+    d.key_topics,
+    d.departments,
+    d.tags,
+    d.last_updated,
+    e.chunk_index,
+    e.chunk_text,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM knowledge_embeddings e
+  JOIN knowledge_documents d ON d.id = e.document_id
+  WHERE (org_id IS NULL OR d.organization_id = org_id)
+    AND (source_ids IS NULL OR d.source_id = ANY(source_ids))
+    AND 1 - (e.embedding <=> query_embedding) >= match_threshold
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,91 @@
+-- MeetingMind Platform Knowledge Connector Sync
+-- Migration: 006_knowledge_sync.sql
+
+-- Source permissions captured at sync time (users, groups, domains, spaces)
+ALTER TABLE knowledge_documents
+  ADD COLUMN IF NOT EXISTS permissions JSONB;
+
+-- Per-source sync cursor and last run status
+CREATE TABLE knowledge_sync_state (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  source_id TEXT NOT NULL,
+  cursor TEXT,
+  status TEXT DEFAULT 'idle' CHECK (status IN ('idle', 'running', 'failed')),
+  last_sync_at TIMESTAMP WITH TIME ZONE,
+  last_full_sync_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  stats JSONB DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(organization_id, source_id)
+);
+
+-- Per-document sync state used to skip unchanged documents and detect deletions
+CREATE TABLE knowledge_sync_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  source_id TEXT NOT NULL,
+  external_id TEXT NOT NULL,
+  last_modified TIMESTAMP WITH TIME ZONE,
+  content_hash TEXT,
+  permissions JSONB,
+  permissions_hash TEXT,
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(organization_id, source_id, external_id)
+);
+
+CREATE INDEX idx_knowledge_sync_items_source ON knowledge_sync_items(organization_id, source_id);
+
+-- Return permissions with search matches
+DROP FUNCTION IF EXISTS match_knowledge_embeddings(vector, UUID, TEXT[], FLOAT, INTEGER);
+
+CREATE OR REPLACE FUNCTION match_knowledge_embeddings(
+  query_embedding vector(1536),
+  org_id UUID DEFAULT NULL,
+  source_ids TEXT[] DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0,
+  match_count INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  organization_id UUID,
+  source_id TEXT,
+  external_id TEXT,
+  title TEXT,
+  source_url TEXT,
+  content_text TEXT,
+  key_topics JSONB,
+  departments JSONB,
+  tags JSONB,
+  permissions JSONB,
+  last_updated TIMESTAMP WITH TIME ZONE,
+  chunk_index INTEGER,
+  chunk_text TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    d.id,
+    d.organization_id,
+    d.source_id,
+    d.external_id,
+    d.title,
+    d.source_url,
+    d.content_text,
+    d.key_topics,
+    d.departments,
+    d.tags,
+    d.permissions,
+    d.last_updated,
+    e.chunk_index,
+    e.chunk_text,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM knowledge_embeddings e
+  JOIN knowledge_documents d ON d.id = e.document_id
+  WHERE (org_id IS NULL OR d.organization_id = org_id)
+    AND (source_ids IS NULL OR d.source_id = ANY(source_ids))
+    AND 1 - (e.embedding <=> query_embedding) >= match_threshold
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,26 @@
+-- MeetingMind Platform Knowledge Access Control
+-- Migration: 007_knowledge_access.sql
+
+-- Maps MeetingMind users to their principals in each knowledge source so
+-- document ACLs captured during connector sync can be enforced at query time
+CREATE TABLE public.knowledge_identity_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  source_id TEXT NOT NULL,
+  principal_id TEXT,
+  email TEXT,
+  groups JSONB DEFAULT '[]',
+  spaces JSONB DEFAULT '[]',
+  domains JSONB DEFAULT '[]',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, source_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_knowledge_identity_mappings_user_id ON public.knowledge_identity_mappings(user_id);
+
+-- Row level security: mappings are managed by the service role, users may read their own
+ALTER TABLE public.knowledge_identity_mappings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own identity mappings" ON public.knowledge_identity_mappings
+  FOR SELECT USING (user_id = auth.uid());
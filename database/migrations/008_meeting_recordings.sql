@@ -0,0 +1,48 @@
+-- MeetingMind Platform Meeting Recording Storage
+-- Migration: 008_meeting_recordings.sql
+
+-- Recordings are uploaded in chunks to a pluggable storage backend (local
+-- disk or S3-compatible) and played back with byte-range requests
+ALTER TABLE public.meeting_recordings
+  ADD COLUMN IF NOT EXISTS mime_type TEXT,
+  ADD COLUMN IF NOT EXISTS storage_backend TEXT,
+  ADD COLUMN IF NOT EXISTS upload_status TEXT DEFAULT 'uploading' CHECK (upload_status IN ('uploading', 'complete', 'failed')),
+  ADD COLUMN IF NOT EXISTS chunk_count INTEGER DEFAULT 0,
+  -- Recording time (seconds) at which transcript time 0 occurs
+  ADD COLUMN IF NOT EXISTS transcript_offset_seconds DECIMAL(10,3) DEFAULT 0,
+  -- Who confirmed participant consent, when and how
+  ADD COLUMN IF NOT EXISTS consent JSONB,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Uploaded chunks, in playback order
+CREATE TABLE public.meeting_recording_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  recording_id UUID REFERENCES public.meeting_recordings(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  storage_key TEXT NOT NULL,
+  byte_size BIGINT NOT NULL,
+  checksum TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(recording_id, chunk_index)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_meeting_recording_chunks_recording_id ON public.meeting_recording_chunks(recording_id);
+
+-- Row level security
+ALTER TABLE public.meeting_recording_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can update own recordings" ON public.meeting_recordings
+  FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can access chunks of recordings they can access" ON public.meeting_recording_chunks
+  FOR SELECT USING (
+    recording_id IN (SELECT id FROM public.meeting_recordings)
+  );
+
+CREATE POLICY "Users can upload chunks to own recordings" ON public.meeting_recording_chunks
+  FOR INSERT WITH CHECK (
+    recording_id IN (
+      SELECT id FROM public.meeting_recordings WHERE user_id = auth.uid()
+    )
+  );
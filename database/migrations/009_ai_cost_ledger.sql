@@ -0,0 +1,72 @@
+-- MeetingMind Platform AI Cost Ledger and Budgets
+-- Migration: 009_ai_cost_ledger.sql
+
+-- One row per provider call, written as the call completes. Budgets are
+-- enforced and cost analytics are reported from this table.
+CREATE TABLE public.ai_cost_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  job_id TEXT,
+  task TEXT,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  cost_usd DECIMAL(12,6) NOT NULL DEFAULT 0,
+  -- Served from the response cache; recorded at zero cost
+  cached BOOLEAN DEFAULT FALSE,
+  -- Made on a cheaper model because a soft budget limit was reached
+  downgraded BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Spending limits in USD for an organization or a single user. 'meeting'
+-- limits apply to the spend of each meeting separately. Reaching the soft
+-- limit moves requests to cheaper models; reaching the hard limit rejects them.
+CREATE TABLE public.ai_budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope TEXT NOT NULL CHECK (scope IN ('organization', 'user')),
+  scope_id UUID NOT NULL,
+  period TEXT NOT NULL CHECK (period IN ('monthly', 'daily', 'meeting')),
+  soft_limit_usd DECIMAL(12,2) CHECK (soft_limit_usd >= 0),
+  hard_limit_usd DECIMAL(12,2) CHECK (hard_limit_usd >= 0),
+  updated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(scope, scope_id, period)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_ai_cost_ledger_organization_created_at ON public.ai_cost_ledger(organization_id, created_at);
+CREATE INDEX idx_ai_cost_ledger_user_created_at ON public.ai_cost_ledger(user_id, created_at);
+CREATE INDEX idx_ai_cost_ledger_meeting_id ON public.ai_cost_ledger(meeting_id);
+
+CREATE TRIGGER handle_ai_budgets_updated_at
+  BEFORE UPDATE ON public.ai_budgets
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Row level security: the ledger is written by the service role
+ALTER TABLE public.ai_cost_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ai_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own AI spend" ON public.ai_cost_ledger
+  FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Organization admins can view organization AI spend" ON public.ai_cost_ledger
+  FOR SELECT USING (
+    organization_id IN (
+      SELECT organization_id FROM public.user_organizations
+      WHERE user_id = auth.uid() AND role IN ('owner', 'admin')
+    )
+  );
+
+CREATE POLICY "Users can view budgets that apply to them" ON public.ai_budgets
+  FOR SELECT USING (
+    (scope = 'user' AND scope_id = auth.uid()) OR
+    (scope = 'organization' AND scope_id IN (
+      SELECT organization_id FROM public.user_organizations WHERE user_id = auth.uid()
+    ))
+  );
@@ -0,0 +1,59 @@
+-- MeetingMind Platform Action Items
+-- Migration: 010_action_items.sql
+
+-- Action items extracted from meeting transcripts and AI analyses, or added
+-- by hand. Owners are resolved against the meeting's participants; items
+-- whose owner could not be matched keep the name the transcript used.
+CREATE TABLE public.action_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE CASCADE NOT NULL,
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  description TEXT NOT NULL,
+  -- Normalized description; extracting a meeting twice doesn't duplicate items
+  fingerprint TEXT NOT NULL,
+  owner_name TEXT,
+  owner_email TEXT,
+  owner_user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  -- meetings.participants[].id of the resolved owner
+  owner_participant_id TEXT,
+  due_date DATE,
+  -- The phrase the due date was parsed from ("by Friday", "end of month")
+  due_text TEXT,
+  priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'done', 'cancelled')),
+  source TEXT DEFAULT 'manual' CHECK (source IN ('transcript', 'analysis', 'manual')),
+  -- Transcript spans the item came from: [{ start, end, speaker, quote }]
+  sources JSONB DEFAULT '[]',
+  completed_at TIMESTAMP WITH TIME ZONE,
+  completed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(meeting_id, fingerprint)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_action_items_meeting_id ON public.action_items(meeting_id);
+CREATE INDEX idx_action_items_owner_user_id ON public.action_items(owner_user_id) WHERE status IN ('open', 'in_progress');
+CREATE INDEX idx_action_items_owner_email ON public.action_items(owner_email) WHERE status IN ('open', 'in_progress');
+CREATE INDEX idx_action_items_organization_due_date ON public.action_items(organization_id, due_date);
+
+CREATE TRIGGER handle_action_items_updated_at
+  BEFORE UPDATE ON public.action_items
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Row level security: same visibility as the meeting an item belongs to
+ALTER TABLE public.action_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view action items of meetings they can access" ON public.action_items
+  FOR SELECT USING (
+    owner_user_id = auth.uid() OR
+    meeting_id IN (
+      SELECT id FROM public.meetings WHERE user_id = auth.uid() OR organization_id IN (
+        SELECT organization_id FROM public.user_organizations WHERE user_id = auth.uid()
+      )
+    )
+  );
+
+CREATE POLICY "Owners can update their action items" ON public.action_items
+  FOR UPDATE USING (owner_user_id = auth.uid());
@@ -0,0 +1,60 @@
+-- MeetingMind Platform Decision Log
+-- Migration: 011_decision_log.sql
+
+-- Decisions made in meetings, kept after the meeting itself is deleted so
+-- the organization can still answer "when and why did we decide X?".
+CREATE TABLE public.decisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  meeting_title TEXT,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  statement TEXT NOT NULL,
+  -- Normalized statement; extracting a meeting twice doesn't duplicate decisions
+  fingerprint TEXT NOT NULL,
+  rationale TEXT,
+  alternatives JSONB DEFAULT '[]',
+  -- People who made or own the decision: [{ name, email, userId, participantId }]
+  participants JSONB DEFAULT '[]',
+  confidence DECIMAL(3,2) CHECK (confidence >= 0 AND confidence <= 1),
+  source TEXT DEFAULT 'manual' CHECK (source IN ('transcript', 'analysis', 'manual')),
+  -- Transcript spans the decision came from: [{ start, end, speaker, quote }]
+  sources JSONB DEFAULT '[]',
+  decided_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- 'superseded' and 'reversed' are set when a later decision refines or reverses this one
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'superseded', 'reversed')),
+  supersedes_id UUID REFERENCES public.decisions(id) ON DELETE SET NULL,
+  supersession TEXT CHECK (supersession IN ('refines', 'reverses')),
+  -- 'auto' links were inferred from similar wording and can be removed
+  supersession_source TEXT CHECK (supersession_source IN ('auto', 'manual')),
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', statement), 'A') ||
+    setweight(to_tsvector('english', COALESCE(rationale, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(meeting_title, '')), 'C')
+  ) STORED,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(meeting_id, fingerprint),
+  CHECK (supersedes_id IS NULL OR supersedes_id <> id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_decisions_organization_decided_at ON public.decisions(organization_id, decided_at DESC);
+CREATE INDEX idx_decisions_meeting_id ON public.decisions(meeting_id);
+CREATE INDEX idx_decisions_supersedes_id ON public.decisions(supersedes_id);
+CREATE INDEX idx_decisions_search_vector ON public.decisions USING GIN(search_vector);
+
+CREATE TRIGGER handle_decisions_updated_at
+  BEFORE UPDATE ON public.decisions
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Row level security: the log is visible to the whole organization
+ALTER TABLE public.decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their organization's decisions" ON public.decisions
+  FOR SELECT USING (
+    created_by = auth.uid() OR
+    organization_id IN (
+      SELECT organization_id FROM public.user_organizations WHERE user_id = auth.uid()
+    )
+  );
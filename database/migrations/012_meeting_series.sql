@@ -0,0 +1,85 @@
+-- MeetingMind Platform Meeting Series
+-- Migration: 012_meeting_series.sql
+
+-- Recurring meetings (a weekly 1:1, a sprint review). Meetings imported from
+-- a calendar join the series of their recurrence ID.
+CREATE TABLE public.meeting_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  cadence TEXT DEFAULT 'weekly' CHECK (cadence IN ('daily', 'weekly', 'biweekly', 'monthly', 'irregular')),
+  -- Recurring event the series mirrors, e.g. a Google Calendar recurringEventId
+  -- or an Outlook seriesMasterId
+  calendar_provider TEXT CHECK (calendar_provider IN ('google', 'outlook', 'ical', 'other')),
+  recurrence_id TEXT,
+  recurrence_rule TEXT,
+  metadata JSONB DEFAULT '{}',
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(calendar_provider, recurrence_id)
+);
+
+ALTER TABLE public.meetings ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES public.meeting_series(id) ON DELETE SET NULL;
+
+-- Rolling agenda of a series. Topics not covered in a meeting stay open and
+-- carry forward to the next one.
+CREATE TABLE public.meeting_series_agenda_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  series_id UUID REFERENCES public.meeting_series(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  notes TEXT,
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'covered', 'dropped')),
+  -- 'action_item' topics follow up an open action item from a series meeting
+  source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'action_item')),
+  action_item_id UUID REFERENCES public.action_items(id) ON DELETE CASCADE,
+  first_meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  -- Last meeting the topic was on the agenda of, and the one that covered it
+  last_meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  covered_meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  times_carried INTEGER DEFAULT 0,
+  added_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(series_id, action_item_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_meeting_series_organization_id ON public.meeting_series(organization_id);
+CREATE INDEX idx_meeting_series_user_id ON public.meeting_series(user_id);
+CREATE INDEX idx_meetings_series_id ON public.meetings(series_id, start_time);
+CREATE INDEX idx_meeting_series_agenda_items_series_status ON public.meeting_series_agenda_items(series_id, status);
+
+CREATE TRIGGER handle_meeting_series_updated_at
+  BEFORE UPDATE ON public.meeting_series
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+CREATE TRIGGER handle_meeting_series_agenda_items_updated_at
+  BEFORE UPDATE ON public.meeting_series_agenda_items
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Row level security
+ALTER TABLE public.meeting_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.meeting_series_agenda_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their organization's meeting series" ON public.meeting_series
+  FOR ALL USING (
+    user_id = auth.uid() OR
+    organization_id IN (
+      SELECT organization_id FROM public.user_organizations WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can access agendas of their meeting series" ON public.meeting_series_agenda_items
+  FOR ALL USING (
+    series_id IN (
+      SELECT id FROM public.meeting_series WHERE
+      user_id = auth.uid() OR
+      organization_id IN (
+        SELECT organization_id FROM public.user_organizations
+        WHERE user_id = auth.uid()
+      )
+    )
+  );
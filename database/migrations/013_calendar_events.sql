@@ -0,0 +1,55 @@
+-- MeetingMind Platform Calendar Events
+-- Migration: 013_calendar_events.sql
+
+-- Events ingested from connected calendars (ICS feeds, CalDAV, Google,
+-- Outlook). Recurring events are stored per occurrence; recurrence_id groups
+-- the occurrences of one series.
+CREATE TABLE public.calendar_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+  calendar TEXT NOT NULL,
+  provider TEXT NOT NULL CHECK (provider IN ('ical', 'google', 'outlook')),
+  external_id TEXT NOT NULL,
+  ical_uid TEXT,
+  recurrence_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  location TEXT,
+  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_time TIMESTAMP WITH TIME ZONE,
+  all_day BOOLEAN DEFAULT false,
+  status TEXT DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'tentative', 'cancelled')),
+  organizer JSONB,
+  attendees JSONB DEFAULT '[]',
+  agenda JSONB DEFAULT '[]',
+  meeting_url TEXT,
+  platform TEXT,
+  -- Hash of title, time, attendees and agenda; a briefing prepared for an
+  -- older hash is stale
+  content_hash TEXT,
+  briefing_at TIMESTAMP WITH TIME ZONE,
+  briefing_prepared_at TIMESTAMP WITH TIME ZONE,
+  briefing_hash TEXT,
+  preparation_id TEXT,
+  meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, calendar, external_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_calendar_events_user_start ON public.calendar_events(user_id, start_time);
+CREATE INDEX idx_calendar_events_organization_id ON public.calendar_events(organization_id);
+CREATE INDEX idx_calendar_events_recurrence_id ON public.calendar_events(recurrence_id);
+CREATE INDEX idx_calendar_events_briefing_at ON public.calendar_events(briefing_at) WHERE briefing_prepared_at IS NULL;
+
+CREATE TRIGGER handle_calendar_events_updated_at
+  BEFORE UPDATE ON public.calendar_events
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Row level security
+ALTER TABLE public.calendar_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their own calendar events" ON public.calendar_events
+  FOR ALL USING (user_id = auth.uid());
@@ -0,0 +1,57 @@
+-- MeetingMind Platform Knowledge Tenant Scope
+-- Migration: 014_knowledge_tenant_scope.sql
+
+-- Search matches only come from the caller's organization; a query without
+-- an organization matches nothing instead of every tenant's documents
+DROP FUNCTION IF EXISTS match_knowledge_embeddings(vector, UUID, TEXT[], FLOAT, INTEGER);
+
+CREATE OR REPLACE FUNCTION match_knowledge_embeddings(
+  query_embedding vector(1536),
+  org_id UUID,
+  source_ids TEXT[] DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0,
+  match_count INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  organization_id UUID,
+  source_id TEXT,
+  external_id TEXT,
+  title TEXT,
+  source_url TEXT,
+  content_text TEXT,
+  key_topics JSONB,
+  departments JSONB,
+  tags JSONB,
+  permissions JSONB,
+  last_updated TIMESTAMP WITH TIME ZONE,
+  chunk_index INTEGER,
+  chunk_text TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    d.id,
+    d.organization_id,
+    d.source_id,
+    d.external_id,
+    d.title,
+    d.source_url,
+    d.content_text,
+    d.key_topics,
+    d.departments,
+    d.tags,
+    d.permissions,
+    d.last_updated,
+    e.chunk_index,
+    e.chunk_text,
+    1 - (e.embedding <=> query_embedding) AS similarity
+  FROM knowledge_embeddings e
+  JOIN knowledge_documents d ON d.id = e.document_id
+  WHERE d.organization_id = org_id
+    AND (source_ids IS NULL OR d.source_id = ANY(source_ids))
+    AND 1 - (e.embedding <=> query_embedding) >= match_threshold
+  ORDER BY e.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
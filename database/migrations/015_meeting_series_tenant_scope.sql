@@ -0,0 +1,12 @@
+-- MeetingMind Platform Meeting Series Tenant Scope
+-- Migration: 015_meeting_series_tenant_scope.sql
+
+-- A calendar recurrence ID is unique per organization, not across the
+-- platform: two organizations importing the same shared event each get their
+-- own series. Series outside an organization are unique per owner.
+ALTER TABLE public.meeting_series
+  DROP CONSTRAINT IF EXISTS meeting_series_calendar_provider_recurrence_id_key;
+
+CREATE UNIQUE INDEX idx_meeting_series_recurrence
+  ON public.meeting_series(COALESCE(organization_id, user_id), calendar_provider, recurrence_id)
+  WHERE recurrence_id IS NOT NULL;
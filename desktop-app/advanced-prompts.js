@@ -1,10 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { getPromptLibrary } = require('./prompt-library');
 
 class AdvancedPromptEngine {
   constructor() {
+    this.prompts = getPromptLibrary();
     this.promptTemplates = {};
+    this.lastPromptRef = null;
     this.contextHistory = [];
     this.userProfile = {};
     this.meetingContext = {};
@@ -15,317 +18,16 @@ class AdvancedPromptEngine {
 
   async initializePromptSystem() {
     await this.loadPromptTemplates();
+    // System prompts follow the versions the server activates
+    this.prompts.on('synced', () => this.loadPromptTemplates());
     await this.loadUserProfile();
     await this.loadIndustryKnowledge();
     this.initializeResponsePatterns();
   }
 
   async loadPromptTemplates() {
-    this.promptTemplates = {
-      // Advanced system prompts with role-based expertise
-      systemPrompts: {
-        meetingAnalyst: `You are an expert meeting analyst with 15+ years of experience in business communication, psychology, and strategic consulting. You have deep expertise in:
-
-- Conversation dynamics and power structures
-- Negotiation tactics and influence patterns  
-- Emotional intelligence and sentiment analysis
-- Business strategy and decision-making processes
-- Cross-cultural communication patterns
-- Industry-specific terminology and contexts
-
-Your analysis should be:
-- Precise and actionable (not generic advice)
-- Based on specific conversational cues and patterns
-- Contextually aware of business environments
-- Psychologically informed about human behavior
-- Strategically focused on outcomes
-
-Always provide confidence levels (0.0-1.0) for your insights and distinguish between facts, inferences, and recommendations.`,
-
-        knowledgeExpert: `You are a senior business intelligence analyst and researcher with access to comprehensive business knowledge. Your expertise spans:
-
-- Market research and competitive analysis
-- Industry trends and regulatory environments
-- Financial modeling and business metrics
-- Technology adoption patterns
-- Organizational behavior and change management
-- Risk assessment and mitigation strategies
-
-When providing information:
-- Cite specific data points and sources when possible
-- Distinguish between current facts and projections
-- Provide context for statistical claims
-- Consider multiple perspectives and scenarios
-- Focus on actionable intelligence over general information`,
-
-        communicationSpecialist: `You are an expert business communication consultant specializing in professional correspondence and relationship management. Your skills include:
-
-- Executive-level communication strategies
-- Stakeholder relationship management
-- Cross-functional team coordination
-- Client relationship development
-- Conflict resolution and negotiation
-- Cultural sensitivity in business contexts
-
-Your communications should be:
-- Professionally appropriate for the context
-- Strategically aligned with business objectives
-- Relationship-preserving while being direct
-- Culturally and contextually sensitive
-- Action-oriented with clear next steps`
-      },
-
-      // Context-aware conversation analysis prompts
-      conversationAnalysis: {
-        deepAnalysis: `Analyze this conversation excerpt with expert-level precision:
-
-CONVERSATION CONTEXT:
-Meeting Type: {meetingType}
-Industry: {industry}
-Participants: {participants}
-Meeting Stage: {meetingStage}
-Previous Context: {previousContext}
-
-CONVERSATION EXCERPT:
-"{conversationText}"
-
-ANALYSIS FRAMEWORK:
-1. COMMUNICATION DYNAMICS
-   - Power dynamics and hierarchy indicators
-   - Influence patterns and persuasion attempts
-   - Emotional undertones and sentiment shifts
-   - Engagement levels and participation patterns
-
-2. BUSINESS INTELLIGENCE
-   - Decision-making signals and buying indicators
-   - Pain points and underlying needs
-   - Budget and timeline implications
-   - Competitive landscape references
-
-3. STRATEGIC OPPORTUNITIES
-   - Relationship building moments
-   - Value proposition alignment
-   - Risk mitigation needs
-   - Next step optimization
-
-4. PSYCHOLOGICAL INSIGHTS
-   - Cognitive biases in play
-   - Emotional states and triggers
-   - Communication preferences
-   - Resistance patterns
-
-Provide your analysis in this JSON structure:
-{
-  "conversationDynamics": {
-    "powerStructure": "analysis of hierarchy and influence",
-    "emotionalTone": "detailed sentiment analysis",
-    "engagementLevel": "participation and interest indicators",
-    "communicationStyle": "preferred interaction patterns"
-  },
-  "businessIntelligence": {
-    "decisionStage": "where they are in decision process",
-    "painPoints": ["specific challenges identified"],
-    "budgetSignals": "financial capacity indicators",
-    "timelineIndicators": "urgency and timing cues"
-  },
-  "strategicInsights": [
-    {
-      "type": "opportunity|risk|concern|advantage",
-      "insight": "specific actionable insight",
-      "evidence": "conversation elements supporting this",
-      "confidence": 0.0-1.0,
-      "priority": "critical|high|medium|low",
-      "timeframe": "immediate|short-term|medium-term|long-term"
-    }
-  ],
-  "recommendedActions": [
-    {
-      "action": "specific action to take",
-      "rationale": "why this action is recommended",
-      "timing": "when to execute",
-      "riskLevel": "low|medium|high"
-    }
-  ],
-  "conversationPredictions": {
-    "likelyNextTopics": ["predicted discussion points"],
-    "potentialObjections": ["anticipated concerns"],
-    "opportunityWindows": ["moments for strategic moves"]
-  }
-}`,
-
-        quickInsight: `Provide rapid tactical analysis for this conversation moment:
-
-Context: {meetingType} | Stage: {meetingStage} | Industry: {industry}
-Conversation: "{conversationText}"
-
-Focus on IMMEDIATE actionable insights:
-1. What just happened (key moment identification)
-2. What it means (strategic implication)  
-3. What to do next (specific action)
-4. Risk/opportunity level (critical assessment)
-
-JSON Response:
-{
-  "immediateInsight": {
-    "keyMoment": "what significant thing just occurred",
-    "strategicMeaning": "business implication",
-    "recommendedResponse": "specific next action",
-    "urgencyLevel": "immediate|soon|later",
-    "confidence": 0.0-1.0
-  },
-  "tacticalSuggestions": [
-    "specific thing to say or do",
-    "follow-up question to ask",
-    "strategic move to consider"
-  ],
-  "warningSignals": ["any red flags or concerns"],
-  "opportunitySignals": ["positive indicators to leverage"]
-}`
-      },
-
-      // Advanced knowledge search with domain expertise
-      knowledgeSearch: {
-        expertResearch: `You are conducting expert-level research on: "{query}"
-
-RESEARCH CONTEXT:
-Industry: {industry}
-Meeting Context: {meetingContext}
-Stakeholder Level: {stakeholderLevel}
-Information Need: {informationNeed}
-
-RESEARCH REQUIREMENTS:
-- Provide authoritative, current information
-- Include specific data points and statistics
-- Consider industry-specific nuances
-- Address potential counterarguments
-- Suggest strategic applications
-
-Research Framework:
-1. CORE INFORMATION
-   - Factual foundation and key data
-   - Industry-specific considerations
-   - Current market conditions
-
-2. STRATEGIC CONTEXT  
-   - Competitive landscape implications
-   - Risk and opportunity assessment
-   - Implementation considerations
-
-3. ACTIONABLE INTELLIGENCE
-   - Specific recommendations
-   - Decision-making criteria
-   - Success metrics and KPIs
-
-JSON Response:
-{
-  "executiveSummary": "concise high-level overview",
-  "keyFindings": [
-    {
-      "finding": "specific research result",
-      "source": "authoritative source or reasoning",
-      "relevance": "why this matters in context",
-      "confidence": 0.0-1.0,
-      "recency": "how current this information is"
-    }
-  ],
-  "strategicImplications": [
-    {
-      "implication": "business impact or consideration",
-      "timeframe": "when this becomes relevant",
-      "stakeholders": "who this affects",
-      "actionRequired": "what needs to be done"
-    }
-  ],
-  "competitiveIntelligence": {
-    "marketPosition": "where this fits in market",
-    "competitorResponse": "how competitors handle this",
-    "differentiationOpportunity": "unique positioning angle"
-  },
-  "implementationGuidance": {
-    "successFactors": ["key requirements for success"],
-    "commonPitfalls": ["typical mistakes to avoid"],
-    "metrics": ["how to measure success"],
-    "timeline": "realistic implementation schedule"
-  },
-  "followUpQuestions": ["strategic questions to explore further"]
-}`
-      },
-
-      // Sophisticated follow-up generation
-      followUpGeneration: {
-        executiveFollowUp: `Generate a sophisticated follow-up communication based on this meeting analysis:
-
-MEETING INTELLIGENCE:
-Type: {meetingType}
-Duration: {duration}
-Participants: {participants}
-Key Topics: {topics}
-Decision Points: {decisionPoints}
-Action Items: {actionItems}
-Relationship Status: {relationshipStatus}
-Next Steps: {nextSteps}
-
-COMMUNICATION REQUIREMENTS:
-- Executive-level professionalism
-- Strategic relationship building
-- Clear value proposition reinforcement
-- Appropriate urgency and tone
-- Cultural and contextual sensitivity
-
-FOLLOW-UP FRAMEWORK:
-1. RELATIONSHIP REINFORCEMENT
-   - Acknowledge specific contributions
-   - Reference shared insights or moments
-   - Demonstrate active listening
-
-2. VALUE CONSOLIDATION
-   - Summarize key value propositions
-   - Reinforce mutual benefits
-   - Address any concerns raised
-
-3. MOMENTUM BUILDING
-   - Clear next steps with ownership
-   - Appropriate timeline pressure
-   - Multiple engagement touchpoints
-
-4. STRATEGIC POSITIONING
-   - Competitive differentiation
-   - Risk mitigation assurance
-   - Success pathway clarity
-
-JSON Response:
-{
-  "communicationStrategy": {
-    "primaryObjective": "main goal of this follow-up",
-    "toneAndStyle": "appropriate communication approach",
-    "keyMessages": ["core points to convey"],
-    "relationshipGoals": ["relationship outcomes desired"]
-  },
-  "emailContent": {
-    "subject": "compelling subject line",
-    "opening": "relationship-appropriate greeting and context",
-    "body": "structured main content with strategic messaging",
-    "closing": "professional close with clear next steps",
-    "signature": "appropriate sign-off"
-  },
-  "strategicElements": {
-    "valueReinforcement": ["ways value proposition is strengthened"],
-    "riskMitigation": ["concerns addressed proactively"],
-    "competitiveDifferentiation": ["unique advantages highlighted"],
-    "urgencyCreation": ["appropriate timeline pressure"]
-  },
-  "followUpSequence": [
-    {
-      "timing": "when to follow up",
-      "method": "communication channel",
-      "purpose": "objective of touchpoint",
-      "content": "key message for this interaction"
-    }
-  ],
-  "successMetrics": ["how to measure follow-up effectiveness"]
-}`
-      }
-    };
+    // Templates are versioned in the prompt library (desktop.*)
+    this.promptTemplates = this.prompts.getTemplateTree('desktop');
   }
 
   async loadUserProfile() {
@@ -418,8 +120,8 @@ JSON Response:
   }
 
   buildAdvancedPrompt(templateType, subType, context) {
-    const template = this.promptTemplates[templateType]?.[subType];
-    if (!template) {
+    const promptName = `desktop.${templateType}.${subType}`;
+    if (!this.prompts.has(promptName)) {
       throw new Error(`Prompt template not found: ${templateType}.${subType}`);
     }
 
@@ -432,15 +134,18 @@ JSON Response:
       strategicContext: this.buildStrategicContext(context)
     };
 
-    // Advanced template interpolation with context awareness
-    return this.interpolateTemplate(template, enhancedContext);
+    // Advanced template interpolation with context awareness. The ref says
+    // which version produced the prompt, for feedback.
+    const { text, ref } = this.prompts.render(promptName, {}, {
+      unitId: context.meetingId,
+      resolve: key => this.getContextValue(key, enhancedContext)
+    });
+    this.lastPromptRef = ref;
+    return text;
   }
 
-  interpolateTemplate(template, context) {
-    return template.replace(/\{(\w+)\}/g, (match, key) => {
-      const value = this.getContextValue(key, context);
-      return value !== undefined ? value : match;
-    });
+  recordOutcome(ref, outcome) {
+    return this.prompts.recordOutcome(ref, outcome);
   }
 
   getContextValue(key, context) {
@@ -671,6 +376,7 @@ JSON Response:
   // Main prompt generation methods
   generateInsightsPrompt(text, context) {
     const promptContext = {
+      meetingId: context.meetingId,
       conversationText: text,
       meetingType: context.meetingType || 'business_meeting',
       industry: context.industry || this.userProfile.industry,
@@ -683,6 +389,7 @@ JSON Response:
 
   generateQuickInsightPrompt(text, context) {
     const promptContext = {
+      meetingId: context.meetingId,
       conversationText: text,
       meetingType: context.meetingType || 'business_meeting',
       industry: context.industry || this.userProfile.industry,
@@ -694,6 +401,7 @@ JSON Response:
 
   generateKnowledgeSearchPrompt(query, context) {
     const promptContext = {
+      meetingId: context.meetingId,
       query: query,
       industry: context.industry || this.userProfile.industry,
       meetingContext: context.meetingType || 'business_meeting',
@@ -706,6 +414,7 @@ JSON Response:
 
   generateFollowUpPrompt(meetingData) {
     const promptContext = {
+      meetingId: meetingData.meetingId,
       meetingType: meetingData.meetingType || 'business_meeting',
       duration: meetingData.duration || 'unknown',
       participants: meetingData.participants || [],
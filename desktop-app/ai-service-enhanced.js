@@ -16,6 +16,9 @@ class AIService {
     this.conversationBuffer = [];
     this.contextWindow = 5;
     this.performanceTracking = true;
+    // trackingId -> { request, response } for feedback on recent insights
+    this.trackedRequests = new Map();
+    this.maxTrackedRequests = 100;
     this.loadSettings();
   }
 
@@ -58,6 +61,20 @@ class AIService {
         model: 'llama2',
         timeout: 30000
       },
+      speech: {
+        engine: 'whisper',
+        localEngine: 'whisper.cpp',
+        modelSize: 'base',
+        batchModelSize: 'medium',
+        language: 'en',
+        binaryPath: 'whisper-cli',
+        modelDirectory: path.join(os.homedir(), '.meetingmind', 'models')
+      },
+      recording: {
+        enabled: false,
+        serverUrl: '',
+        accessToken: ''
+      },
       features: {
         realTimeInsights: true,
         knowledgeSearch: true,
@@ -191,6 +208,7 @@ class AIService {
       
       // Generate optimized prompt
       const basePrompt = this.promptEngine.generateInsightsPrompt(text, context);
+      const promptRef = this.promptEngine.lastPromptRef;
       const optimizedPrompt = this.modelOptimizer ? 
         this.modelOptimizer.optimizePrompt(basePrompt, context, this.modelOptimizer.performanceMetrics) :
         basePrompt;
@@ -206,6 +224,9 @@ class AIService {
       const responseTime = Date.now() - startTime;
       result.responseTime = responseTime;
       result.modelConfig = modelConfig;
+      result.promptRef = promptRef;
+      result.trackingId = result.trackingId || this.generateTrackingId();
+      this.trackRequest(result.trackingId, { type: 'insights', context, prompt: optimizedPrompt }, result);
       
       return result;
     } catch (error) {
@@ -424,13 +445,19 @@ class AIService {
 
   // User feedback integration for continuous improvement
   async processFeedback(trackingId, userFeedback) {
+    const requestData = this.findRequestByTrackingId(trackingId);
+
+    // Feedback counts toward the prompt version (and experiment variant)
+    // that produced the response, with or without the optimizer
+    if (requestData?.response.promptRef) {
+      this.promptEngine.recordOutcome(requestData.response.promptRef, this.toPromptOutcome(userFeedback));
+    }
+
     if (!this.modelOptimizer) {
       return { success: false, message: 'Performance optimization not enabled' };
     }
 
     try {
-      // Find the corresponding request/response pair
-      const requestData = this.findRequestByTrackingId(trackingId);
       if (!requestData) {
         return { success: false, message: 'Request not found for tracking ID' };
       }
@@ -562,10 +589,25 @@ class AIService {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
+  trackRequest(trackingId, request, response) {
+    this.trackedRequests.set(trackingId, { request, response });
+    if (this.trackedRequests.size > this.maxTrackedRequests) {
+      this.trackedRequests.delete(this.trackedRequests.keys().next().value);
+    }
+  }
+
   findRequestByTrackingId(trackingId) {
-    // This would store request/response pairs with tracking IDs
-    // Implementation depends on how you want to store this data
-    return null; // Placeholder
+    return this.trackedRequests.get(trackingId) || null;
+  }
+
+  // 1-5 star feedback -> prompt registry outcome
+  toPromptOutcome(userFeedback) {
+    const rating = typeof userFeedback.rating === 'number' ? userFeedback.rating : null;
+    return {
+      accepted: userFeedback.accepted ?? (rating !== null && rating >= 4),
+      satisfaction: rating !== null ? rating / 5 : undefined,
+      effectiveness: userFeedback.effectiveness
+    };
   }
 
   enhanceKnowledgeResponse(response, query, context) {
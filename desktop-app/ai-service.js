@@ -58,6 +58,20 @@ class AIService {
         model: 'llama2',
         timeout: 30000
       },
+      speech: {
+        engine: 'whisper',
+        localEngine: 'whisper.cpp',
+        modelSize: 'base',
+        batchModelSize: 'medium',
+        language: 'en',
+        binaryPath: 'whisper-cli',
+        modelDirectory: path.join(os.homedir(), '.meetingmind', 'models')
+      },
+      recording: {
+        enabled: false,
+        serverUrl: '',
+        accessToken: ''
+      },
       features: {
         realTimeInsights: true,
         knowledgeSearch: true,
@@ -0,0 +1,23 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * Audio Capture Preload Script
+ *
+ * Connects the hidden capture window to AudioCapture in the main process:
+ * start/stop requests come in, captured samples and the start result go out.
+ */
+
+contextBridge.exposeInMainWorld('audioCapture', {
+  onStart: (callback) => {
+    ipcRenderer.on('audio-capture-start', (event, options) => callback(options));
+  },
+
+  onStop: (callback) => {
+    ipcRenderer.on('audio-capture-stop', () => callback());
+  },
+
+  started: (result) => ipcRenderer.send('audio-capture-started', result),
+
+  // Float32Array of mono samples at the reported sample rate
+  sendSamples: (samples) => ipcRenderer.send('audio-capture-samples', samples)
+});
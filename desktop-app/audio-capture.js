@@ -0,0 +1,143 @@
+const { BrowserWindow, ipcMain, systemPreferences } = require('electron');
+const path = require('path');
+
+/**
+ * Microphone Capture
+ *
+ * The main process has no access to audio devices, so capture runs in a
+ * hidden window (audio-capture.html) that opens the device with getUserMedia
+ * and sends mono Float32 frames back over IPC. AudioProcessor uses this as
+ * its capture source and feeds every frame to addAudioSamples().
+ *
+ * LIMITATIONS:
+ * - Captures an input device (microphone or virtual cable), not system audio
+ * - macOS and Windows show their own microphone permission prompts
+ * - Frames arrive in 4096-sample blocks, so there is ~250ms of latency at 16kHz
+ */
+
+const START_TIMEOUT_MS = 10000;
+
+class AudioCapture {
+  constructor() {
+    this.window = null;
+    this.sampleListener = null;
+  }
+
+  /**
+   * Ask the OS for microphone access where it has a per-app permission
+   */
+  async requestPermission() {
+    try {
+      if (process.platform === 'darwin') {
+        const granted = await systemPreferences.askForMediaAccess('microphone');
+        return granted
+          ? { success: true }
+          : { success: false, error: 'Microphone access denied in System Settings > Privacy & Security' };
+      }
+
+      if (process.platform === 'win32' && systemPreferences.getMediaAccessStatus('microphone') === 'denied') {
+        return { success: false, error: 'Microphone access denied in Windows privacy settings' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async ensureWindow() {
+    if (this.window && !this.window.isDestroyed()) return this.window;
+
+    this.window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        partition: 'audio-capture',
+        // Hidden windows are throttled by default, which stalls audio callbacks
+        backgroundThrottling: false,
+        preload: path.join(__dirname, 'audio-capture-preload.js')
+      }
+    });
+
+    // Only the capture window's session gets microphone access
+    this.window.webContents.session.setPermissionRequestHandler((webContents, permission, callback, details) => {
+      const audioOnly = !details.mediaTypes || details.mediaTypes.every(type => type === 'audio');
+      callback(permission === 'media' && audioOnly);
+    });
+
+    this.window.on('closed', () => {
+      this.window = null;
+    });
+
+    await this.window.loadFile(path.join(__dirname, 'audio-capture.html'));
+    return this.window;
+  }
+
+  /**
+   * Start capturing. onSamples receives a Float32Array per frame.
+   *
+   * @returns {Promise<{sampleRate: number}>} The rate the device delivers
+   */
+  async start({ deviceId = 'default', sampleRate = 16000, channels = 1 } = {}, onSamples) {
+    this.stop();
+
+    const window = await this.ensureWindow();
+    const webContents = window.webContents;
+
+    const started = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        ipcMain.removeListener('audio-capture-started', onStarted);
+        reject(new Error('Audio device did not start'));
+      }, START_TIMEOUT_MS);
+
+      function onStarted(event, result) {
+        if (event.sender !== webContents) return;
+        clearTimeout(timer);
+        ipcMain.removeListener('audio-capture-started', onStarted);
+
+        if (result && result.error) {
+          reject(new Error(result.error));
+        } else {
+          resolve({ sampleRate: result.sampleRate });
+        }
+      }
+
+      ipcMain.on('audio-capture-started', onStarted);
+    });
+
+    this.sampleListener = (event, samples) => {
+      if (event.sender === webContents) onSamples(samples);
+    };
+    ipcMain.on('audio-capture-samples', this.sampleListener);
+
+    webContents.send('audio-capture-start', { deviceId, sampleRate, channels });
+
+    try {
+      return await started;
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+  }
+
+  stop() {
+    if (this.sampleListener) {
+      ipcMain.removeListener('audio-capture-samples', this.sampleListener);
+      this.sampleListener = null;
+    }
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.webContents.send('audio-capture-stop');
+    }
+  }
+
+  close() {
+    this.stop();
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.destroy();
+    }
+    this.window = null;
+  }
+}
+
+module.exports = AudioCapture;
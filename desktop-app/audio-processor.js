@@ -3,6 +3,9 @@ const path = require('path');
 const os = require('os');
 const { spawn } = require('child_process');
 const StealthAudioMethods = require('./stealth-audio-methods');
+const SpeakerDiarizer = require('./speaker-diarizer');
+const { createLocalSpeechEngine, toPcm16, TARGET_SAMPLE_RATE } = require('./local-speech-engine');
+const RecordingUploader = require('./recording-uploader');
 
 /**
  * BRUTAL HONESTY: Audio Processing & Speech-to-Text Implementation
@@ -37,14 +40,40 @@ const StealthAudioMethods = require('./stealth-audio-methods');
  */
 
 class AudioProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.captureSource] - Delivers captured audio
+   *   (AudioCapture): requestPermission(), start(config, onSamples), stop()
+   */
+  constructor(options = {}) {
     this.isRecording = false;
     this.audioStream = null;
+    this.captureSource = options.captureSource || null;
     this.speechEngine = null;
     this.audioBuffer = [];
     this.transcriptionHistory = [];
-    this.speakerProfiles = new Map();
+    this.analysisHistory = [];
     this.currentSpeaker = null;
+    this.sampleRate = 16000;
+
+    // Speaker diarization: clusters audio into speakers, labels enrolled voices
+    this.diarizer = new SpeakerDiarizer();
+    this.speakerProfiles = this.diarizer.profiles;
+    this.speakerLabelListeners = [];
+
+    // On-device speech-to-text (whisper.cpp / Vosk)
+    this.localEngine = null;
+    this.localStreaming = false;
+    this.partialTranscription = null;
+    this.recordingId = null;
+    this.recordingPath = null;
+    this.recordingFile = null;
+    this.keepRecording = false;
+    this.recordingConsent = null; // Set when the user opted in to keeping the recording
+    this.recordingUploader = new RecordingUploader();
+    this.batchCursor = 0; // Bytes of the recording already batch-transcribed
+    this.recordedSamples = 0; // Captured samples written to the current recording
+    this.batchInProgress = false;
     this.audioDevices = [];
     this.recordingStartTime = null;
     
@@ -85,17 +114,17 @@ class AudioProcessor {
         ]
       },
       local: {
-        name: 'Local STT (Vosk/DeepSpeech)',
-        accuracy: '60-80%',
+        name: 'Local STT (whisper.cpp/Vosk)',
+        accuracy: '60-95% depending on model size',
         latency: 'Medium (1-3 seconds)',
         cost: 'Free',
-        languages: 'Limited selection',
+        languages: 'whisper.cpp: 99 languages, Vosk: per model',
         limitations: [
-          'Large model files (GB)',
-          'High CPU/memory usage',
-          'Lower accuracy than cloud services',
-          'Limited language support',
-          'Requires technical setup'
+          'Model files from 75MB (tiny) to 3GB (large)',
+          'High CPU/memory usage with larger models',
+          'whisper.cpp partial results lag behind speech',
+          'Requires downloading the engine and models',
+          'Audio never leaves the device'
         ]
       }
     };
@@ -169,6 +198,7 @@ class AudioProcessor {
     try {
       await this.detectAudioDevices();
       await this.checkPermissions();
+      await this.diarizer.loadProfiles();
       await this.initializeSpeechEngine();
     } catch (error) {
       console.error('Audio system initialization failed:', error);
@@ -347,7 +377,7 @@ class AudioProcessor {
       internetRequired: true,
       realTimeCapable: true,
       accuracyVariation: 'Highly dependent on environment',
-      speakerIdentification: false,
+      speakerIdentification: false, // Speakers are attributed by SpeakerDiarizer instead
       customization: 'Very limited'
     };
 
@@ -373,36 +403,96 @@ class AudioProcessor {
 
   async initializeLocalSTT() {
     console.log('🔄 Initializing Local STT...');
+
+    const settings = await this.loadSpeechSettings();
     
     // BRUTAL HONESTY: Local STT reality
     const limitations = {
-      modelSize: '1-8GB depending on language',
-      cpuUsage: 'High (20-50% on modern CPU)',
-      memoryUsage: '2-8GB RAM',
-      setupComplexity: 'High technical knowledge required',
-      accuracyTrade: 'Lower accuracy vs cloud services',
-      languageSupport: 'Limited compared to cloud'
+      modelSize: '75MB (tiny) to 3GB (large) per model',
+      cpuUsage: 'High (20-50% on modern CPU), grows with model size',
+      memoryUsage: '0.3-4GB RAM depending on model',
+      setupComplexity: 'Engine binary and model must be downloaded',
+      accuracyTrade: 'Small models are less accurate than cloud services',
+      privacy: 'Audio is processed on this device only'
     };
 
     console.log('💾 Storage requirements:', limitations.modelSize);
     console.log('🖥️  CPU impact:', limitations.cpuUsage);
     console.log('🧠 Memory usage:', limitations.memoryUsage);
 
-    this.speechEngine.initialized = false; // Honest assessment - complex setup required
     this.speechEngine.limitations = limitations;
 
-    return {
-      success: false,
-      engine: 'local',
-      message: 'Local STT requires complex setup and significant resources',
-      limitations: limitations,
-      setupRequirements: [
-        'Download and install Vosk or DeepSpeech models',
-        'Configure audio processing pipeline',
-        'Allocate significant system resources',
-        'Handle model loading and memory management'
-      ]
+    try {
+      if (this.localEngine) await this.localEngine.close();
+
+      const engine = createLocalSpeechEngine(settings);
+      const details = await engine.initialize();
+
+      engine.on('partial', partial => {
+        this.partialTranscription = { ...partial, timestamp: new Date().toISOString() };
+      });
+      engine.on('final', hypothesis => {
+        this.handleLocalTranscription(hypothesis).catch(error => {
+          console.error('Failed to process local transcription:', error);
+        });
+      });
+      engine.on('error', error => console.error('Local STT error:', error.message));
+
+      this.localEngine = engine;
+      this.speechEngine.initialized = true;
+      this.speechEngine.settings = settings;
+
+      return {
+        success: true,
+        engine: 'local',
+        ...details,
+        limitations: limitations
+      };
+
+    } catch (error) {
+      this.localEngine = null;
+      this.speechEngine.initialized = false;
+
+      return {
+        success: false,
+        engine: 'local',
+        message: `Local STT unavailable: ${error.message}`,
+        limitations: limitations,
+        setupRequirements: settings.localEngine === 'vosk' ? [
+          'npm install vosk',
+          'Download a Vosk model from https://alphacephei.com/vosk/models',
+          `Extract it into ${settings.modelDirectory}`
+        ] : [
+          'Build or install whisper.cpp (provides the whisper-cli binary)',
+          `Download ggml-${settings.modelSize}.bin from https://huggingface.co/ggerganov/whisper.cpp`,
+          `Save it in ${settings.modelDirectory}`,
+          'Set the binary path in AI Settings if whisper-cli is not on PATH'
+        ]
+      };
+    }
+  }
+
+  /**
+   * Speech settings from AI Settings (shared ~/.meetingmind/ai-settings.json)
+   */
+  async loadSpeechSettings() {
+    const defaults = {
+      engine: 'whisper',
+      localEngine: 'whisper.cpp',
+      modelSize: 'base',
+      batchModelSize: 'medium',
+      language: 'en',
+      binaryPath: 'whisper-cli',
+      modelDirectory: path.join(os.homedir(), '.meetingmind', 'models')
     };
+
+    try {
+      const settingsPath = path.join(os.homedir(), '.meetingmind', 'ai-settings.json');
+      const settings = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+      return { ...defaults, ...(settings.speech || {}) };
+    } catch (error) {
+      return defaults;
+    }
   }
 
   /**
@@ -418,15 +508,21 @@ class AudioProcessor {
       deviceId = 'default',
       sampleRate = 16000,
       channels = 1,
-      engine = 'whisper',
       realTime = false,
-      saveAudio = false
+      saveAudio = false,
+      consent = null
     } = options;
+    const engine = options.engine || (await this.loadSpeechSettings()).engine;
 
     if (this.isRecording) {
       return { success: false, message: 'Audio recording already in progress' };
     }
 
+    // Keeping audio beyond transcription is opt-in and needs participant consent
+    if (saveAudio && (!consent || consent.confirmed !== true)) {
+      return { success: false, message: 'Confirm that participants consent to being recorded before saving audio' };
+    }
+
     console.log('🎙️  ATTEMPTING TO START AUDIO RECORDING');
     console.log('⚠️  LEGAL WARNING: Ensure you have consent from all participants');
 
@@ -442,12 +538,25 @@ class AudioProcessor {
         };
       }
 
-      // Initialize audio stream (simulated - real implementation complex)
-      this.audioStream = await this.createAudioStream(deviceId, sampleRate, channels);
-      
+      if (!this.speechEngine || this.speechEngine.type !== engine || !this.speechEngine.initialized) {
+        const engineResult = await this.initializeSpeechEngine(engine);
+        if (!engineResult.success) {
+          return engineResult;
+        }
+      }
+
       this.isRecording = true;
       this.recordingStartTime = Date.now();
+      this.recordingId = `recording_${this.recordingStartTime}`;
       this.audioBuffer = [];
+      this.sampleRate = sampleRate;
+      this.currentSpeaker = null;
+      this.partialTranscription = null;
+      this.diarizer.reset();
+
+      // Captured frames flow into addAudioSamples() until the stream stops
+      this.audioStream = await this.createAudioStream(deviceId, sampleRate, channels, { saveAudio });
+      this.recordingConsent = saveAudio ? consent : null;
 
       // Start processing pipeline
       if (realTime) {
@@ -461,6 +570,10 @@ class AudioProcessor {
         message: 'Audio recording started',
         engine: engine,
         configuration: { deviceId, sampleRate, channels },
+        speakerDiarization: {
+          enabled: true,
+          enrolledProfiles: this.speakerProfiles.size
+        },
         warnings: [
           'User permission dialog was shown',
           'Recording is visible in system processes',
@@ -472,6 +585,10 @@ class AudioProcessor {
       };
 
     } catch (error) {
+      // Nothing was captured; don't leave an empty recording behind
+      this.isRecording = false;
+      await this.discardRecording();
+
       return {
         success: false,
         message: `Audio recording failed: ${error.message}`,
@@ -489,43 +606,57 @@ class AudioProcessor {
   async requestAudioPermission() {
     console.log('🔒 REQUESTING AUDIO PERMISSION');
     console.log('⚠️  This will show a permission dialog to the user');
-    
-    // BRUTAL HONESTY: This almost always fails in real scenarios
-    return {
-      success: false,
-      error: 'Audio permission typically denied in corporate/secure environments',
-      userVisible: true,
-      bypassable: false,
-      alternatives: [
-        'Use meeting platform APIs instead',
-        'Request participants to use transcription',
-        'Manual note-taking with AI enhancement',
-        'Post-meeting audio file processing'
-      ]
-    };
+
+    if (!this.captureSource) {
+      return {
+        success: false,
+        error: 'No audio capture source is available',
+        userVisible: false,
+        bypassable: false,
+        alternatives: [
+          'Use meeting platform APIs instead',
+          'Request participants to use transcription',
+          'Manual note-taking with AI enhancement',
+          'Post-meeting audio file processing'
+        ]
+      };
+    }
+
+    const result = await this.captureSource.requestPermission();
+    return { ...result, userVisible: true, bypassable: false };
   }
 
-  async createAudioStream(deviceId, sampleRate, channels) {
-    // PLACEHOLDER: Real implementation would be complex
+  async createAudioStream(deviceId, sampleRate, channels, options = {}) {
     console.log(`Creating audio stream: ${deviceId}, ${sampleRate}Hz, ${channels} channels`);
-    
-    // REALITY: This is where the technical complexity explodes
-    const technicalChallenges = {
-      deviceAccess: 'Requires navigator.mediaDevices.getUserMedia()',
-      systemAudio: 'Needs virtual audio cable or special drivers',
-      crossPlatform: 'Different implementations for Windows/Mac/Linux',
-      audioProcessing: 'Real-time audio processing is CPU intensive',
-      bufferManagement: 'Memory usage grows quickly with audio data'
-    };
 
-    console.log('Technical challenges:', technicalChallenges);
-    
+    // Local engines keep the meeting's audio (16kHz PCM, on this device only)
+    // so batch passes can re-transcribe it with a larger model. Opted-in
+    // recordings are kept the same way for any engine, for later upload.
+    if (this.isLocalEngineActive() || options.saveAudio) {
+      if (this.recordingPath && !this.keepRecording) {
+        await this.discardRecording();
+      }
+      this.recordingPath = path.join(os.tmpdir(), `meetingmind-${this.recordingId}.pcm`);
+      this.recordingFile = require('fs').createWriteStream(this.recordingPath);
+      this.keepRecording = !!options.saveAudio;
+      this.batchCursor = 0;
+    }
+    this.recordedSamples = 0;
+
+    // The device may not support the requested rate; samples are resampled
+    // to 16kHz from the rate it actually delivers
+    const captured = await this.captureSource.start(
+      { deviceId, sampleRate, channels },
+      samples => this.addAudioSamples(samples)
+    );
+    this.sampleRate = captured.sampleRate || sampleRate;
+
     return {
-      simulated: true,
       deviceId,
-      sampleRate,
+      sampleRate: this.sampleRate,
       channels,
-      status: 'placeholder_implementation'
+      recordingPath: this.recordingPath,
+      stop: () => this.captureSource.stop()
     };
   }
 
@@ -544,10 +675,16 @@ class AudioProcessor {
 
     console.log('Real-time limitations:', realTimeLimitations);
 
-    // Simulated real-time processing loop
-    this.realTimeProcessor = setInterval(async () => {
-      await this.processAudioChunk();
-    }, 2000); // Process every 2 seconds
+    if (this.isLocalEngineActive()) {
+      // The local engine emits partial and final hypotheses as audio arrives
+      this.localEngine.start();
+      this.localStreaming = true;
+    } else {
+      // Simulated real-time processing loop
+      this.realTimeProcessor = setInterval(async () => {
+        await this.processAudioChunk();
+      }, 2000); // Process every 2 seconds
+    }
 
     return {
       success: true,
@@ -599,24 +736,31 @@ class AudioProcessor {
     
     const simulatedTranscription = this.generateSimulatedTranscription();
     const timestamp = new Date().toISOString();
+
+    // Attribute captured audio to a speaker; the simulated label is only
+    // used when no audio samples were captured
+    const attribution = await this.diarizeBufferedAudio();
     
     const transcriptionResult = {
       timestamp,
       text: simulatedTranscription.text,
       confidence: simulatedTranscription.confidence,
-      speaker: simulatedTranscription.speaker,
+      speaker: attribution ? attribution.speaker : simulatedTranscription.speaker,
+      speakerId: attribution ? attribution.speakerId : null,
+      speakerConfidence: attribution ? attribution.confidence : null,
       processingTime: Math.random() * 2000 + 500, // 0.5-2.5 seconds
       engine: this.speechEngine.type,
       realLimitations: [
         'Simulated transcription - not real audio processing',
         'Actual implementation requires complex audio pipeline',
-        'Speaker identification is extremely difficult',
+        'Speaker diarization confuses similar voices and overlapping speech',
         'Background noise severely impacts accuracy',
         'Multiple speakers create recognition chaos'
       ]
     };
 
     this.transcriptionHistory.push(transcriptionResult);
+    if (attribution) this.currentSpeaker = attribution.speaker;
     
     // Trigger AI analysis of transcription
     await this.processTranscriptionForAI(transcriptionResult);
@@ -626,6 +770,21 @@ class AudioProcessor {
 
   async processBatchAudio() {
     console.log('Processing batch audio...');
+
+    if (this.isLocalEngineActive()) {
+      // Larger models can take longer than the interval; skip overlapping passes
+      if (this.batchInProgress) return null;
+
+      this.batchInProgress = true;
+      try {
+        return await this.transcribeRecordedAudio();
+      } catch (error) {
+        console.error('Local batch transcription failed:', error);
+        return null;
+      } finally {
+        this.batchInProgress = false;
+      }
+    }
     
     // Simulate processing accumulated audio buffer
     const batchResult = {
@@ -694,6 +853,7 @@ class AudioProcessor {
     const aiContext = {
       timestamp: transcriptionResult.timestamp,
       speaker: transcriptionResult.speaker,
+      speakerId: transcriptionResult.speakerId || null,
       text: transcriptionResult.text,
       confidence: transcriptionResult.confidence,
       meetingContext: 'audio_capture',
@@ -702,6 +862,7 @@ class AudioProcessor {
 
     // This would trigger the advanced AI analysis
     console.log('AI Context from Audio:', aiContext);
+    this.analysisHistory.push(aiContext);
     
     // REALITY CHECK: The AI analysis is only as good as the transcription
     const analysisLimitations = [
@@ -715,6 +876,213 @@ class AudioProcessor {
     console.log('Analysis limitations:', analysisLimitations);
   }
 
+  /**
+   * Final hypothesis from the streaming local engine
+   */
+  async handleLocalTranscription(hypothesis) {
+    const attribution = await this.diarizeBufferedAudio();
+
+    const transcriptionResult = {
+      timestamp: new Date().toISOString(),
+      recordingId: this.recordingId,
+      text: hypothesis.text,
+      confidence: hypothesis.confidence,
+      words: hypothesis.words,
+      start: hypothesis.start,
+      end: hypothesis.end,
+      speaker: attribution ? attribution.speaker : null,
+      speakerId: attribution ? attribution.speakerId : null,
+      speakerConfidence: attribution ? attribution.confidence : null,
+      engine: 'local',
+      model: this.localEngine?.modelSize
+    };
+
+    this.transcriptionHistory.push(transcriptionResult);
+    this.partialTranscription = null;
+    if (attribution) this.currentSpeaker = attribution.speaker;
+
+    await this.processTranscriptionForAI(transcriptionResult);
+    return transcriptionResult;
+  }
+
+  getPartialTranscription() {
+    return this.partialTranscription;
+  }
+
+  isLocalEngineActive() {
+    return this.speechEngine?.type === 'local' && !!this.localEngine && this.speechEngine.initialized;
+  }
+
+  /**
+   * Batch pass over recorded audio not yet transcribed, using the batch
+   * model (larger and more accurate than the streaming model)
+   */
+  async transcribeRecordedAudio(options = {}) {
+    if (!this.recordingPath) return null;
+
+    const { modelSize = this.speechEngine.settings?.batchModelSize, minimumSeconds = 5 } = options;
+    const pcm = await this.readRecording(this.batchCursor);
+    if (pcm.length < minimumSeconds * TARGET_SAMPLE_RATE) return null;
+
+    const offset = this.batchCursor / 2 / TARGET_SAMPLE_RATE;
+    this.batchCursor += pcm.length * 2;
+
+    const result = await this.localEngine.transcribe(pcm, { offset, modelSize });
+    const segments = [];
+
+    for (const segment of this.groupWordsIntoSegments(result.words)) {
+      const audio = pcm.subarray(
+        Math.floor((segment.start - offset) * TARGET_SAMPLE_RATE),
+        Math.ceil((segment.end - offset) * TARGET_SAMPLE_RATE)
+      );
+      const attributed = await this.attributeSegment({
+        recordingId: this.recordingId,
+        ...segment,
+        engine: 'local',
+        model: modelSize
+      }, audio, TARGET_SAMPLE_RATE);
+
+      await this.processTranscriptionForAI(attributed);
+      segments.push(attributed);
+    }
+
+    return { timestamp: new Date().toISOString(), model: modelSize, audioLength: pcm.length / TARGET_SAMPLE_RATE, segments };
+  }
+
+  /**
+   * Re-transcribe a whole recording with a larger model (e.g. after the
+   * meeting). Replaces the recording's segments in the transcription history.
+   */
+  async retranscribeRecording(options = {}) {
+    if (!this.isLocalEngineActive()) {
+      return { success: false, message: 'Re-transcription requires the local speech engine' };
+    }
+    if (!this.recordingPath) {
+      return { success: false, message: 'No recorded audio available' };
+    }
+    if (this.isRecording) {
+      return { success: false, message: 'Stop the recording before re-transcribing it' };
+    }
+
+    const modelSize = options.modelSize || this.speechEngine.settings?.batchModelSize || 'medium';
+
+    try {
+      if (this.recordingFile) await new Promise(resolve => this.recordingFile.end(resolve));
+
+      const pcm = await this.readRecording(0);
+      const result = await this.localEngine.transcribe(pcm, { modelSize });
+      const recordingId = this.recordingId;
+      const segments = [];
+
+      for (const segment of this.groupWordsIntoSegments(result.words)) {
+        const audio = pcm.subarray(
+          Math.floor(segment.start * TARGET_SAMPLE_RATE),
+          Math.ceil(segment.end * TARGET_SAMPLE_RATE)
+        );
+        const attribution = await this.diarizer.diarize(audio, TARGET_SAMPLE_RATE);
+
+        segments.push({
+          timestamp: new Date(this.recordingStartTime + segment.start * 1000).toISOString(),
+          recordingId,
+          ...segment,
+          speaker: attribution ? attribution.speaker : null,
+          speakerId: attribution ? attribution.speakerId : null,
+          speakerConfidence: attribution ? attribution.confidence : null,
+          engine: 'local',
+          model: modelSize
+        });
+      }
+
+      this.transcriptionHistory = [
+        ...this.transcriptionHistory.filter(segment => segment.recordingId !== recordingId),
+        ...segments
+      ];
+
+      return { success: true, recordingId, model: modelSize, segments };
+
+    } catch (error) {
+      return { success: false, message: `Re-transcription failed: ${error.message}` };
+    }
+  }
+
+  async readRecording(fromByte = 0) {
+    // Audio still buffered by the write stream is picked up by the next pass
+    const data = await fs.readFile(this.recordingPath);
+    const slice = data.subarray(fromByte, data.length - ((data.length - fromByte) % 2));
+    return new Int16Array(slice.buffer.slice(slice.byteOffset, slice.byteOffset + slice.length));
+  }
+
+  /**
+   * Split timed words into segments at pauses longer than `maxGap` seconds
+   */
+  groupWordsIntoSegments(words, maxGap = 1.0) {
+    const segments = [];
+
+    for (const word of words) {
+      const current = segments[segments.length - 1];
+      if (current && word.start - current.end <= maxGap) {
+        current.words.push(word);
+        current.end = word.end;
+      } else {
+        segments.push({ start: word.start, end: word.end, words: [word] });
+      }
+    }
+
+    return segments.map(segment => ({
+      ...segment,
+      text: segment.words.map(word => word.word).join(' '),
+      confidence: segment.words.reduce((sum, word) => sum + (word.confidence || 0), 0) / segment.words.length
+    }));
+  }
+
+  async discardRecording() {
+    if (this.recordingFile) {
+      // A stream that hasn't opened its file yet would recreate it after the unlink
+      await new Promise(resolve => this.recordingFile.end(resolve));
+      this.recordingFile = null;
+    }
+    if (this.recordingPath) {
+      await fs.unlink(this.recordingPath).catch(() => {});
+      await this.recordingUploader.discardState(this.recordingPath);
+      this.recordingPath = null;
+    }
+    this.recordingConsent = null;
+    return { success: true };
+  }
+
+  /**
+   * Upload the kept recording to the MeetingMind server, linked to a meeting
+   * so playback can seek to transcript segments and insights. Interrupted
+   * uploads resume when called again.
+   */
+  async uploadRecording(meetingId, options = {}) {
+    if (this.isRecording) {
+      return { success: false, message: 'Stop the recording before uploading it' };
+    }
+    if (!this.recordingPath || !this.keepRecording) {
+      return { success: false, message: 'No saved recording available. Enable recording and confirm consent before starting.' };
+    }
+
+    if (this.recordingFile) {
+      await new Promise(resolve => this.recordingFile.end(resolve));
+      this.recordingFile = null;
+    }
+
+    const result = await this.recordingUploader.upload({
+      pcmPath: this.recordingPath,
+      meetingId,
+      consent: this.recordingConsent,
+      sampleRate: TARGET_SAMPLE_RATE,
+      onProgress: options.onProgress
+    });
+
+    if (result.success && options.deleteLocalCopy) {
+      await this.discardRecording();
+    }
+
+    return result;
+  }
+
   stopAudioRecording() {
     if (!this.isRecording) {
       return { success: false, message: 'No audio recording in progress' };
@@ -733,12 +1101,23 @@ class AudioProcessor {
       this.batchProcessor = null;
     }
 
-    // Clean up audio stream
+    // Stop capture before flushing so no frames arrive after the flush
     if (this.audioStream) {
-      // Real implementation would stop actual audio stream
+      this.audioStream.stop();
       this.audioStream = null;
     }
 
+    if (this.localStreaming) {
+      // Flush the last utterance; its final hypothesis arrives asynchronously
+      this.localStreaming = false;
+      this.localEngine.finish().catch(error => console.error('Local STT flush failed:', error));
+    }
+
+    if (this.recordingFile) {
+      this.recordingFile.end();
+      this.recordingFile = null;
+    }
+
     this.isRecording = false;
     const recordingDuration = Date.now() - this.recordingStartTime;
 
@@ -747,6 +1126,10 @@ class AudioProcessor {
       message: 'Audio recording stopped',
       duration: recordingDuration,
       transcriptionsGenerated: this.transcriptionHistory.length,
+      recordingPath: this.recordingPath,
+      recordedSamples: this.recordedSamples,
+      // Nothing is kept when capture never delivered audio
+      recordingSaved: this.keepRecording && !!this.recordingPath && this.recordedSamples > 0,
       memoryFreed: true,
       finalWarnings: [
         'Ensure recorded data is handled according to privacy laws',
@@ -764,6 +1147,188 @@ class AudioProcessor {
     return this.currentSpeaker;
   }
 
+  /**
+   * Queue captured audio (Float32Array, Int16Array or 16-bit PCM Buffer) for
+   * the next processing pass
+   */
+  addAudioSamples(samples) {
+    if (!this.isRecording || !samples || samples.length === 0) return;
+
+    this.audioBuffer.push(samples);
+
+    if (this.recordingFile || this.localStreaming) {
+      const pcm = toPcm16(samples, this.sampleRate);
+      this.recordedSamples += pcm.length;
+      if (this.recordingFile) this.recordingFile.write(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength));
+      if (this.localStreaming) this.localEngine.write(pcm);
+    }
+  }
+
+  async diarizeBufferedAudio() {
+    if (this.audioBuffer.length === 0) return null;
+
+    const chunks = this.audioBuffer.map(chunk => SpeakerDiarizer.toFloat32(chunk));
+    this.audioBuffer = [];
+
+    const samples = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    try {
+      return await this.diarizer.diarize(samples, this.sampleRate);
+    } catch (error) {
+      console.error('Speaker diarization failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Attribute a transcribed segment to a speaker from its audio and add it
+   * to the transcription history
+   */
+  async attributeSegment(segment, samples, sampleRate = this.sampleRate) {
+    const attribution = await this.diarizer.diarize(samples, sampleRate);
+
+    const attributed = {
+      timestamp: new Date().toISOString(),
+      ...segment,
+      speaker: attribution ? attribution.speaker : (segment.speaker || null),
+      speakerId: attribution ? attribution.speakerId : null,
+      speakerConfidence: attribution ? attribution.confidence : null
+    };
+
+    this.transcriptionHistory.push(attributed);
+    if (attribution) this.currentSpeaker = attribution.speaker;
+    return attributed;
+  }
+
+  /**
+   * Enroll a voice profile so the speaker is labeled by name. Only enroll
+   * people who have agreed to have their voice profile stored.
+   */
+  async enrollSpeaker(name, recordings, sampleRate = this.sampleRate) {
+    try {
+      const profile = await this.diarizer.enrollSpeaker(name, recordings, sampleRate);
+      return { success: true, profile };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Record the speaker from the capture source for `durationMs` and enroll
+   * the result. Cannot run while a meeting is being recorded.
+   */
+  async enrollSpeakerFromCapture(name, options = {}) {
+    const { deviceId = 'default', durationMs = 10000 } = options;
+
+    if (!this.captureSource) {
+      return { success: false, message: 'No audio capture source is available' };
+    }
+    if (this.isRecording) {
+      return { success: false, message: 'Stop the recording before enrolling a speaker' };
+    }
+
+    const permissionResult = await this.requestAudioPermission();
+    if (!permissionResult.success) {
+      return { success: false, message: 'Audio permission denied', technicalDetails: permissionResult.error };
+    }
+
+    const chunks = [];
+    let sampleRate;
+    try {
+      ({ sampleRate } = await this.captureSource.start(
+        { deviceId, sampleRate: this.sampleRate, channels: 1 },
+        samples => chunks.push(SpeakerDiarizer.toFloat32(samples))
+      ));
+      await new Promise(resolve => setTimeout(resolve, durationMs));
+    } catch (error) {
+      return { success: false, message: `Audio capture failed: ${error.message}` };
+    } finally {
+      this.captureSource.stop();
+    }
+
+    const samples = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return this.enrollSpeaker(name, [samples], sampleRate);
+  }
+
+  async removeSpeakerProfile(profileId) {
+    const removed = await this.diarizer.removeProfile(profileId);
+    return { success: removed, message: removed ? 'Speaker profile deleted' : 'Speaker profile not found' };
+  }
+
+  listSpeakerProfiles() {
+    return this.diarizer.listProfiles();
+  }
+
+  getSpeakers(options = {}) {
+    return this.diarizer.getSpeakers(options);
+  }
+
+  /**
+   * Correct a speaker label (during or after the meeting). The new name is
+   * applied to stored segments and analyses, and listeners registered with
+   * onSpeakerRelabeled are notified so downstream results can be updated.
+   */
+  async relabelSpeaker(speakerId, name, options = {}) {
+    if (!name || !name.trim()) {
+      return { success: false, message: 'Speaker name is required' };
+    }
+
+    let correction;
+    try {
+      correction = await this.diarizer.relabelSpeaker(speakerId, name.trim(), options);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    let segmentsUpdated = 0;
+    for (const segment of this.transcriptionHistory) {
+      if (segment.speakerId === speakerId) {
+        segment.speaker = correction.speaker;
+        segmentsUpdated++;
+      }
+    }
+
+    let analysesUpdated = 0;
+    for (const analysis of this.analysisHistory) {
+      if (analysis.speakerId === speakerId) {
+        analysis.speaker = correction.speaker;
+        analysesUpdated++;
+      }
+    }
+
+    if (this.currentSpeaker === correction.previousLabel) {
+      this.currentSpeaker = correction.speaker;
+    }
+
+    for (const listener of this.speakerLabelListeners) {
+      try {
+        await listener(correction);
+      } catch (error) {
+        console.error('Speaker relabel listener failed:', error);
+      }
+    }
+
+    return { success: true, ...correction, segmentsUpdated, analysesUpdated };
+  }
+
+  onSpeakerRelabeled(listener) {
+    this.speakerLabelListeners.push(listener);
+    return () => {
+      this.speakerLabelListeners = this.speakerLabelListeners.filter(existing => existing !== listener);
+    };
+  }
+
   /**
    * BRUTAL HONESTY: Security, Legal, and Technical Assessment
    */
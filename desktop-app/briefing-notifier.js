@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { Notification, shell } = require('electron');
+
+/**
+ * Shows pre-meeting briefings from the MeetingMind server as desktop
+ * notifications.
+ *
+ * The server prepares a briefing before each calendar meeting and stores it
+ * as an unread meeting.briefing notification. This polls for those with the
+ * server URL and access token from the recording settings, shows each one
+ * once and marks it read. Clicking a notification opens the briefing page.
+ */
+class BriefingNotifier {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || 60000;
+    this.settingsPath = path.join(os.homedir(), '.meetingmind', 'ai-settings.json');
+    this.timer = null;
+    this.polling = false;
+    // Keep shown notifications referenced so their click handlers survive GC
+    this.shown = new Map();
+  }
+
+  /**
+   * Server connection from AI Settings (shared ~/.meetingmind/ai-settings.json)
+   */
+  async loadSettings() {
+    const defaults = {
+      enabled: true,
+      serverUrl: '',
+      accessToken: ''
+    };
+
+    try {
+      const settings = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+      return {
+        ...defaults,
+        serverUrl: settings.recording?.serverUrl || '',
+        accessToken: settings.recording?.accessToken || '',
+        ...(settings.briefings || {})
+      };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  start() {
+    if (this.timer || !Notification.isSupported()) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.shown.clear();
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const settings = await this.loadSettings();
+      if (!settings.enabled || !settings.serverUrl || !settings.accessToken) return;
+
+      const client = axios.create({
+        baseURL: `${settings.serverUrl.replace(/\/$/, '')}/api/notifications`,
+        headers: { 'Authorization': `Bearer ${settings.accessToken}` },
+        timeout: 15000
+      });
+
+      const response = await client.get('/', {
+        params: { type: 'meeting.briefing', read: false, limit: 10 }
+      });
+
+      // Oldest first; a briefing without its link is still being delivered,
+      // and one without push was only meant for email, Slack or Teams
+      const briefings = response.data.notifications
+        .filter(notification => notification.data?.url && notification.data.channels?.includes('push'))
+        .reverse();
+
+      for (const notification of briefings) {
+        this.show(notification);
+        await client.patch(`/${notification.id}/read`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to check for meeting briefings:', error.response?.data?.message || error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  show(notification) {
+    const desktopNotification = new Notification({
+      title: notification.title,
+      body: notification.message
+    });
+
+    desktopNotification.on('click', () => {
+      if (/^https?:\/\//i.test(notification.data.url)) {
+        shell.openExternal(notification.data.url);
+      }
+      this.shown.delete(notification.id);
+    });
+    desktopNotification.on('close', () => this.shown.delete(notification.id));
+
+    this.shown.set(notification.id, desktopNotification);
+    desktopNotification.show();
+  }
+}
+
+module.exports = BriefingNotifier;
@@ -1,5 +1,6 @@
 const { BrowserWindow, ipcMain, screen } = require('electron');
 const path = require('path');
+const { getPromptLibrary } = require('./prompt-library');
 
 /**
  * Collaborative AI Overlay System
@@ -20,6 +21,7 @@ class CollaborativeAIOverlay {
   constructor(multiVisionSystem, aiService) {
     this.multiVisionSystem = multiVisionSystem;
     this.aiService = aiService;
+    this.prompts = getPromptLibrary();
     this.overlayWindow = null;
     this.isVisible = false;
     this.isProcessing = false;
@@ -198,6 +200,7 @@ class CollaborativeAIOverlay {
         collaborativeMode: true,
         realTimeRequired: true,
         comprehensiveAnalysis: false, // Keep it fast for real-time
+        requestStructuredOutput: true,
         meetingContext: this.detectMeetingContext()
       });
 
@@ -215,13 +218,17 @@ class CollaborativeAIOverlay {
     
     try {
       // Extract insights from different AI models
-      if (analysisResults.results.gemini) {
-        const geminiInsights = this.extractGeminiInsights(analysisResults.results.gemini);
+      const sources = analysisResults.results.keyInsights || [];
+      const gemini = sources.find(entry => entry.source === 'gemini-flash-2.5');
+      const openai = sources.find(entry => entry.source === 'openai-vision');
+
+      if (gemini) {
+        const geminiInsights = this.extractGeminiInsights({ text: gemini.insight, structuredData: gemini.structuredData });
         insights.push(...geminiInsights);
       }
 
-      if (analysisResults.results.openai) {
-        const gptInsights = this.extractGPTInsights(analysisResults.results.openai);
+      if (openai) {
+        const gptInsights = this.extractGPTInsights({ content: openai.insight, structuredData: openai.structuredData });
         insights.push(...gptInsights);
       }
 
@@ -260,21 +267,9 @@ class CollaborativeAIOverlay {
     try {
       // Parse Gemini Flash 2.5 results for insights
       if (geminiResult.structuredData) {
-        // Handle structured output
-        const structured = geminiResult.structuredData;
-        if (structured.insights) {
-          structured.insights.forEach(insight => {
-            insights.push({
-              text: insight.text || insight,
-              confidence: insight.confidence || '85%',
-              source: 'Gemini Flash 2.5',
-              type: 'real-time',
-              timestamp: Date.now()
-            });
-          });
-        }
+        insights.push(...this.readStructuredInsights(geminiResult.structuredData, 'Gemini Flash 2.5', 'real-time', '85%'));
       } else if (geminiResult.text) {
-        // Parse text output for insights
+        // The answer failed the insights format even after repair
         const textInsights = this.parseTextForInsights(geminiResult.text);
         textInsights.forEach(insight => {
           insights.push({
@@ -282,6 +277,7 @@ class CollaborativeAIOverlay {
             confidence: '82%',
             source: 'Gemini Flash 2.5',
             type: 'contextual',
+            degraded: true,
             timestamp: Date.now()
           });
         });
@@ -298,7 +294,10 @@ class CollaborativeAIOverlay {
     
     try {
       // Parse GPT-5/OpenAI Vision results for insights
-      if (gptResult.content) {
+      if (gptResult.structuredData) {
+        insights.push(...this.readStructuredInsights(gptResult.structuredData, 'GPT-5', 'strategic', '91%'));
+      } else if (gptResult.content) {
+        // The answer failed the insights format even after repair
         const textInsights = this.parseTextForInsights(gptResult.content);
         textInsights.forEach(insight => {
           insights.push({
@@ -306,6 +305,7 @@ class CollaborativeAIOverlay {
             confidence: '91%',
             source: 'GPT-5',
             type: 'strategic',
+            degraded: true,
             timestamp: Date.now()
           });
         });
@@ -317,6 +317,20 @@ class CollaborativeAIOverlay {
     return insights;
   }
 
+  /**
+   * Insights from a structured vision answer, already checked against the
+   * insights format by MultiVisionAPISystem#readStructuredInsights
+   */
+  readStructuredInsights(structuredData, source, type, defaultConfidence) {
+    return structuredData.insights.map(insight => ({
+      text: insight.text,
+      confidence: insight.confidence !== undefined ? `${Math.round(insight.confidence * 100)}%` : defaultConfidence,
+      source,
+      type,
+      timestamp: Date.now()
+    }));
+  }
+
   parseTextForInsights(text) {
     const insights = [];
     
@@ -415,23 +429,15 @@ class CollaborativeAIOverlay {
   }
 
   buildGeminiResponsePrompt(analysisResults) {
-    return `Based on the current meeting context and screen analysis, generate a natural, engaging response that:
-    1. Shows active listening
-    2. Builds on the conversation
-    3. Keeps the discussion moving forward
-    4. Maintains a collaborative tone
-    
-    Context: ${JSON.stringify(analysisResults.results, null, 2)}`;
+    return this.prompts.render('desktop.overlay.geminiResponse', {
+      context: JSON.stringify(analysisResults.results, null, 2)
+    }).text;
   }
 
   buildGPTResponsePrompt(analysisResults) {
-    return `As an executive-level meeting participant, generate a sophisticated response that:
-    1. Demonstrates strategic thinking
-    2. Asks insightful questions
-    3. Advances business objectives
-    4. Shows leadership and vision
-    
-    Context: ${JSON.stringify(analysisResults.results, null, 2)}`;
+    return this.prompts.render('desktop.overlay.gptResponse', {
+      context: JSON.stringify(analysisResults.results, null, 2)
+    }).text;
   }
 
   rankResponsesByRelevance(responses) {
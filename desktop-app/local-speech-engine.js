@@ -0,0 +1,453 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+
+/**
+ * On-Device Speech-to-Text (whisper.cpp / Vosk)
+ *
+ * Transcribes audio without sending it anywhere, for confidential meetings.
+ * Both engines take 16kHz mono 16-bit PCM and emit:
+ * - 'partial': { text, isFinal: false } while an utterance is in progress
+ * - 'final':   { text, words: [{ word, start, end, confidence }], confidence,
+ *                start, end, isFinal: true } once it is complete
+ * Word times are seconds from the start of the session.
+ *
+ * REALITY CHECK:
+ * - whisper.cpp is not a streaming model: audio is buffered into windows and
+ *   re-run for partials, so partials lag 1-3 seconds behind speech
+ * - Vosk streams natively but is less accurate than whisper
+ * - Larger models are more accurate but need more CPU; "medium" and up are
+ *   only practical for batch re-transcription on most laptops
+ */
+
+const TARGET_SAMPLE_RATE = 16000;
+
+const MODEL_SIZES = ['tiny', 'base', 'small', 'medium', 'large-v3'];
+
+class WhisperCppEngine extends EventEmitter {
+  constructor(settings = {}) {
+    super();
+    this.settings = settings;
+    this.binaryPath = settings.binaryPath || 'whisper-cli';
+    this.modelSize = settings.modelSize || 'base';
+    this.language = settings.language || 'en';
+    this.threads = settings.threads || Math.max(1, Math.min(4, os.cpus().length - 1));
+
+    // Streaming windows
+    this.stepSeconds = settings.stepSeconds || 3; // Re-run for a partial this often
+    this.windowSeconds = settings.windowSeconds || 15; // Force a final after this long
+    this.endpointSilenceSeconds = settings.endpointSilenceSeconds || 0.8;
+    this.silenceThreshold = settings.silenceThreshold || 0.01;
+
+    this.window = [];
+    this.windowSamples = 0;
+    this.windowStart = 0; // Seconds from session start
+    this.samplesSinceStep = 0;
+    this.trailingSilence = 0;
+    this.hasSpeech = false;
+    this.busy = false;
+    this.pending = Promise.resolve();
+  }
+
+  getModelPath(modelSize = this.modelSize) {
+    if (this.settings.modelPath && modelSize === this.modelSize) return this.settings.modelPath;
+    return path.join(getModelDirectory(this.settings), `ggml-${modelSize}.bin`);
+  }
+
+  async initialize() {
+    await assertReadable(this.getModelPath(), `whisper.cpp model not found. Download ggml-${this.modelSize}.bin into ${getModelDirectory(this.settings)}`);
+    await this.run(['--help']).catch(() => {
+      throw new Error(`whisper.cpp binary not found: ${this.binaryPath}`);
+    });
+
+    return { engine: 'whisper.cpp', model: this.modelSize, modelPath: this.getModelPath() };
+  }
+
+  start() {
+    this.window = [];
+    this.windowSamples = 0;
+    this.windowStart = 0;
+    this.samplesSinceStep = 0;
+    this.trailingSilence = 0;
+    this.hasSpeech = false;
+  }
+
+  write(pcm) {
+    this.window.push(pcm);
+    this.windowSamples += pcm.length;
+    this.samplesSinceStep += pcm.length;
+
+    const seconds = pcm.length / TARGET_SAMPLE_RATE;
+    if (rms(pcm) < this.silenceThreshold) {
+      this.trailingSilence += seconds;
+    } else {
+      this.trailingSilence = 0;
+      this.hasSpeech = true;
+    }
+
+    const windowSeconds = this.windowSamples / TARGET_SAMPLE_RATE;
+
+    if (windowSeconds >= this.windowSeconds || (this.hasSpeech && this.trailingSilence >= this.endpointSilenceSeconds)) {
+      this.finalizeWindow();
+    } else if (this.samplesSinceStep / TARGET_SAMPLE_RATE >= this.stepSeconds && this.hasSpeech && !this.busy) {
+      this.samplesSinceStep = 0;
+      this.emitPartial(concatPcm(this.window));
+    }
+  }
+
+  async emitPartial(pcm) {
+    this.busy = true;
+    try {
+      const result = await this.transcribe(pcm, { offset: this.windowStart });
+      if (result.text) this.emit('partial', { text: result.text, isFinal: false });
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  finalizeWindow() {
+    const pcm = concatPcm(this.window);
+    const offset = this.windowStart;
+    const hadSpeech = this.hasSpeech;
+
+    this.windowStart += this.windowSamples / TARGET_SAMPLE_RATE;
+    this.window = [];
+    this.windowSamples = 0;
+    this.samplesSinceStep = 0;
+    this.trailingSilence = 0;
+    this.hasSpeech = false;
+
+    if (!hadSpeech) return this.pending;
+
+    // Finals run one at a time, in order
+    this.pending = this.pending.then(async () => {
+      try {
+        const result = await this.transcribe(pcm, { offset });
+        if (result.text) this.emit('final', { ...result, isFinal: true });
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+    return this.pending;
+  }
+
+  async finish() {
+    if (this.windowSamples > 0) this.finalizeWindow();
+    await this.pending;
+  }
+
+  /**
+   * Transcribe a PCM buffer in one pass. Used for streaming windows and for
+   * batch re-transcription with a larger model.
+   */
+  async transcribe(pcm, options = {}) {
+    const { offset = 0, modelSize = this.modelSize } = options;
+    const modelPath = this.getModelPath(modelSize);
+    const base = path.join(os.tmpdir(), `meetingmind-stt-${process.pid}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`);
+
+    await fs.writeFile(`${base}.wav`, createWav(pcm, TARGET_SAMPLE_RATE));
+
+    try {
+      await this.run([
+        '-m', modelPath,
+        '-f', `${base}.wav`,
+        '-l', this.language,
+        '-t', String(this.threads),
+        '-ojf', // Full JSON output with per-token timestamps and probabilities
+        '-of', base,
+        '-np'
+      ]);
+
+      const output = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+      return this.parseOutput(output, offset);
+    } finally {
+      await fs.unlink(`${base}.wav`).catch(() => {});
+      await fs.unlink(`${base}.json`).catch(() => {});
+    }
+  }
+
+  parseOutput(output, offset) {
+    const words = [];
+
+    for (const segment of output.transcription || []) {
+      for (const token of segment.tokens || []) {
+        // Skip special tokens such as [_BEG_] and [_TT_150]
+        if (!token.text || token.text.startsWith('[_')) continue;
+
+        const start = offset + (token.offsets?.from || 0) / 1000;
+        const end = offset + (token.offsets?.to || 0) / 1000;
+        const previous = words[words.length - 1];
+
+        // Whisper tokens are word pieces; a leading space starts a new word
+        if (previous && !token.text.startsWith(' ')) {
+          previous.word += token.text;
+          previous.end = end;
+          previous.probabilities.push(token.p);
+        } else {
+          words.push({ word: token.text.trim(), start, end, probabilities: [token.p] });
+        }
+      }
+    }
+
+    const finalWords = words
+      .filter(word => word.word)
+      .map(({ probabilities, ...word }) => ({ ...word, confidence: average(probabilities) }));
+
+    return {
+      text: (output.transcription || []).map(segment => segment.text.trim()).join(' ').trim(),
+      words: finalWords,
+      confidence: average(finalWords.map(word => word.confidence)),
+      start: finalWords.length ? finalWords[0].start : offset,
+      end: finalWords.length ? finalWords[finalWords.length - 1].end : offset
+    };
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binaryPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      child.stderr.on('data', data => { stderr = (stderr + data).slice(-2000); });
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code === 0) resolve();
+        else reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      });
+    });
+  }
+
+  async close() {
+    await this.pending;
+  }
+}
+
+class VoskEngine extends EventEmitter {
+  constructor(settings = {}) {
+    super();
+    this.settings = settings;
+    this.modelSize = settings.modelSize || 'small';
+    this.model = null;
+    this.recognizer = null;
+    this.samplesProcessed = 0;
+  }
+
+  getModelPath() {
+    if (this.settings.modelPath) return this.settings.modelPath;
+
+    // Vosk ships a small and a large model per language
+    const large = ['medium', 'large-v3'].includes(this.modelSize);
+    return path.join(getModelDirectory(this.settings), large ? 'vosk-model-en-us-0.22' : 'vosk-model-small-en-us-0.15');
+  }
+
+  async initialize() {
+    await assertReadable(this.getModelPath(), `Vosk model not found at ${this.getModelPath()}`);
+
+    const vosk = require('vosk');
+    vosk.setLogLevel(-1);
+    this.vosk = vosk;
+    this.model = new vosk.Model(this.getModelPath());
+
+    return { engine: 'vosk', model: path.basename(this.getModelPath()), modelPath: this.getModelPath() };
+  }
+
+  start() {
+    if (this.recognizer) this.recognizer.free();
+    this.recognizer = new this.vosk.Recognizer({ model: this.model, sampleRate: TARGET_SAMPLE_RATE });
+    this.recognizer.setWords(true);
+    this.samplesProcessed = 0;
+  }
+
+  write(pcm) {
+    const buffer = Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+    this.samplesProcessed += pcm.length;
+
+    if (this.recognizer.acceptWaveform(buffer)) {
+      this.emitFinal(this.recognizer.result());
+    } else {
+      const { partial } = this.recognizer.partialResult();
+      if (partial) this.emit('partial', { text: partial, isFinal: false });
+    }
+  }
+
+  emitFinal(result) {
+    if (!result.text) return;
+
+    const words = (result.result || []).map(word => ({
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      confidence: word.conf
+    }));
+
+    this.emit('final', {
+      text: result.text,
+      words,
+      confidence: average(words.map(word => word.confidence)),
+      start: words.length ? words[0].start : this.samplesProcessed / TARGET_SAMPLE_RATE,
+      end: words.length ? words[words.length - 1].end : this.samplesProcessed / TARGET_SAMPLE_RATE,
+      isFinal: true
+    });
+  }
+
+  async finish() {
+    if (this.recognizer) this.emitFinal(this.recognizer.finalResult());
+  }
+
+  async transcribe(pcm, options = {}) {
+    const { offset = 0 } = options;
+    const recognizer = new this.vosk.Recognizer({ model: this.model, sampleRate: TARGET_SAMPLE_RATE });
+    recognizer.setWords(true);
+
+    try {
+      const results = [];
+      const chunkSize = TARGET_SAMPLE_RATE; // 1 second
+      for (let i = 0; i < pcm.length; i += chunkSize) {
+        const chunk = pcm.subarray(i, i + chunkSize);
+        if (recognizer.acceptWaveform(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength))) {
+          results.push(recognizer.result());
+        }
+      }
+      results.push(recognizer.finalResult());
+
+      const words = results.flatMap(result => result.result || []).map(word => ({
+        word: word.word,
+        start: offset + word.start,
+        end: offset + word.end,
+        confidence: word.conf
+      }));
+
+      return {
+        text: results.map(result => result.text).filter(Boolean).join(' '),
+        words,
+        confidence: average(words.map(word => word.confidence)),
+        start: words.length ? words[0].start : offset,
+        end: words.length ? words[words.length - 1].end : offset
+      };
+    } finally {
+      recognizer.free();
+    }
+  }
+
+  async close() {
+    if (this.recognizer) {
+      this.recognizer.free();
+      this.recognizer = null;
+    }
+    if (this.model) {
+      this.model.free();
+      this.model = null;
+    }
+  }
+}
+
+function createLocalSpeechEngine(settings = {}) {
+  switch (settings.localEngine || 'whisper.cpp') {
+    case 'whisper.cpp':
+      return new WhisperCppEngine(settings);
+    case 'vosk':
+      return new VoskEngine(settings);
+    default:
+      throw new Error(`Unknown local speech engine: ${settings.localEngine}`);
+  }
+}
+
+function getModelDirectory(settings) {
+  return settings.modelDirectory || path.join(os.homedir(), '.meetingmind', 'models');
+}
+
+async function assertReadable(filePath, message) {
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Convert captured audio (Float32Array, Int16Array or 16-bit PCM Buffer) to
+ * 16kHz Int16 PCM
+ */
+function toPcm16(samples, sampleRate = TARGET_SAMPLE_RATE) {
+  let pcm;
+
+  if (Buffer.isBuffer(samples)) {
+    pcm = new Int16Array(samples.buffer.slice(samples.byteOffset, samples.byteOffset + samples.length - (samples.length % 2)));
+  } else if (samples instanceof Int16Array) {
+    pcm = samples;
+  } else {
+    pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32767)));
+    }
+  }
+
+  if (sampleRate === TARGET_SAMPLE_RATE) return pcm;
+
+  // Linear resampling is enough for speech recognition
+  const ratio = sampleRate / TARGET_SAMPLE_RATE;
+  const resampled = new Int16Array(Math.floor(pcm.length / ratio));
+  for (let i = 0; i < resampled.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, pcm.length - 1);
+    resampled[i] = Math.round(pcm[index] + (pcm[next] - pcm[index]) * (position - index));
+  }
+  return resampled;
+}
+
+function concatPcm(chunks) {
+  const pcm = new Int16Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    pcm.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return pcm;
+}
+
+function createWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  const dataLength = pcm.length * 2;
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM format chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+
+  return Buffer.concat([header, Buffer.from(pcm.buffer, pcm.byteOffset, dataLength)]);
+}
+
+function rms(pcm) {
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i++) sum += (pcm[i] / 32768) ** 2;
+  return Math.sqrt(sum / (pcm.length || 1));
+}
+
+function average(values) {
+  const valid = values.filter(value => typeof value === 'number');
+  return valid.length ? valid.reduce((sum, value) => sum + value, 0) / valid.length : null;
+}
+
+module.exports = {
+  WhisperCppEngine,
+  VoskEngine,
+  createLocalSpeechEngine,
+  toPcm16,
+  concatPcm,
+  createWav,
+  MODEL_SIZES,
+  TARGET_SAMPLE_RATE
+};
@@ -6,6 +6,7 @@ const fs = require('fs').promises;
 const AIService = require('./ai-service-enhanced');
 const ScreenCapture = require('./screen-capture');
 const AudioProcessor = require('./audio-processor');
+const AudioCapture = require('./audio-capture');
 const AudioModeToggle = require('./audio-mode-toggle');
 const StealthAudioImplementation = require('./stealth-audio-implementation');
 const LegalDisclaimerSystem = require('./legal-disclaimer-system');
@@ -13,6 +14,8 @@ const PlatformIntegrations = require('./platform-integrations');
 const RealTimeProcessor = require('./real-time-processor');
 const MultiVisionAPISystem = require('./multi-vision-api-system');
 const CollaborativeAIOverlay = require('./collaborative-ai-overlay');
+const BriefingNotifier = require('./briefing-notifier');
+const { getPromptLibrary } = require('./prompt-library');
 
 /**
  * MeetingMind Desktop Application with Stealth Capabilities
@@ -34,7 +37,8 @@ class MeetingMindApp {
     // Initialize core services
     this.aiService = new AIService();
     this.screenCapture = new ScreenCapture();
-    this.audioProcessor = new AudioProcessor();
+    this.audioCapture = new AudioCapture();
+    this.audioProcessor = new AudioProcessor({ captureSource: this.audioCapture });
     this.audioModeToggle = new AudioModeToggle(this.audioProcessor);
     this.stealthAudio = new StealthAudioImplementation();
     this.legalSystem = new LegalDisclaimerSystem();
@@ -45,6 +49,7 @@ class MeetingMindApp {
       this.audioProcessor,
       this.platformIntegrations
     );
+    this.briefingNotifier = new BriefingNotifier();
     
     this.isStealthModeActive = false;
     this.currentUserId = 'default-user'; // In real app, this would be from authentication
@@ -235,6 +240,55 @@ class MeetingMindApp {
       return await this.audioProcessor.stopAudioRecording();
     });
 
+    ipcMain.handle('audio-get-partial-transcription', async (event) => {
+      return this.audioProcessor.getPartialTranscription();
+    });
+
+    ipcMain.handle('audio-retranscribe', async (event, options) => {
+      return await this.audioProcessor.retranscribeRecording(options);
+    });
+
+    ipcMain.handle('audio-discard-recording', async (event) => {
+      return await this.audioProcessor.discardRecording();
+    });
+
+    // Recording storage handlers
+    ipcMain.handle('recording-request-consent', async (event) => {
+      return await this.requestRecordingConsent();
+    });
+
+    ipcMain.handle('audio-upload-recording', async (event, meetingId, options = {}) => {
+      return await this.audioProcessor.uploadRecording(meetingId, {
+        ...options,
+        onProgress: (progress) => event.sender.send('recording-upload-progress', progress)
+      });
+    });
+
+    // Speaker diarization handlers
+    ipcMain.handle('audio-get-speakers', async (event, options) => {
+      return this.audioProcessor.getSpeakers(options);
+    });
+
+    ipcMain.handle('audio-relabel-speaker', async (event, speakerId, name, options) => {
+      return await this.audioProcessor.relabelSpeaker(speakerId, name, options);
+    });
+
+    ipcMain.handle('audio-enroll-speaker', async (event, name, recordings, sampleRate) => {
+      return await this.audioProcessor.enrollSpeaker(name, recordings, sampleRate);
+    });
+
+    ipcMain.handle('audio-enroll-speaker-from-capture', async (event, name, options) => {
+      return await this.audioProcessor.enrollSpeakerFromCapture(name, options);
+    });
+
+    ipcMain.handle('audio-list-speaker-profiles', async (event) => {
+      return this.audioProcessor.listSpeakerProfiles();
+    });
+
+    ipcMain.handle('audio-remove-speaker-profile', async (event, profileId) => {
+      return await this.audioProcessor.removeSpeakerProfile(profileId);
+    });
+
     // Stealth mode handlers
     ipcMain.handle('stealth-request-activation', async (event, options) => {
       return await this.requestStealthModeActivation(options);
@@ -310,6 +364,12 @@ class MeetingMindApp {
       await this.aiService.initialize();
       console.log('✅ AI service initialized');
 
+      // Show pre-meeting briefings from the MeetingMind server
+      this.briefingNotifier.start();
+
+      // Serve prompt versions and experiments from the MeetingMind server
+      getPromptLibrary().start();
+
       // Initialize other services
       console.log('✅ All services initialized successfully');
     } catch (error) {
@@ -481,10 +541,20 @@ class MeetingMindApp {
     const mode = this.isStealthModeActive ? 'stealth' : 'standard';
     
     try {
+      // Keeping the audio is opt-in (AI Settings) and confirmed per meeting
+      let consent = null;
+      const recordingSettings = await this.audioProcessor.recordingUploader.loadSettings();
+      if (recordingSettings.enabled) {
+        consent = await this.requestRecordingConsent();
+        if (consent.cancelled) return { success: false, message: 'Recording cancelled' };
+      }
+
+      // The speech engine comes from AI Settings
       const result = await this.audioProcessor.startAudioRecording({
         mode: mode,
-        engine: 'whisper',
-        realTime: true
+        realTime: true,
+        saveAudio: !!consent?.confirmed,
+        consent
       });
       
       if (result.success) {
@@ -508,6 +578,47 @@ class MeetingMindApp {
     }
   }
 
+  /**
+   * Ask the user to confirm that everyone in the meeting agreed to the audio
+   * being kept. Declining still allows a transcription-only session.
+   */
+  async requestRecordingConsent() {
+    const notice = 'All participants have been told this meeting is being recorded and have agreed to it.';
+    const { response, checkboxChecked } = await dialog.showMessageBox(this.mainWindow, {
+      type: 'question',
+      title: 'Save Meeting Recording?',
+      message: 'Save the audio of this meeting?',
+      detail: 'The recording is kept on this device and can be uploaded to your MeetingMind server for playback alongside the transcript. ' +
+        'Recording laws in many jurisdictions require the consent of every participant.',
+      checkboxLabel: notice,
+      checkboxChecked: false,
+      buttons: ['Save Recording', 'Transcribe Only', 'Cancel'],
+      defaultId: 1,
+      cancelId: 2
+    });
+
+    if (response === 2) {
+      return { confirmed: false, cancelled: true };
+    }
+
+    if (response === 0 && !checkboxChecked) {
+      await dialog.showMessageBox(this.mainWindow, {
+        type: 'warning',
+        title: 'Consent Not Confirmed',
+        message: 'The recording will not be saved',
+        detail: 'Confirm that all participants agreed to be recorded to save the audio. Transcription will continue without it.',
+        buttons: ['OK']
+      });
+    }
+
+    return {
+      confirmed: response === 0 && checkboxChecked,
+      method: 'desktop_prompt',
+      notice,
+      confirmedAt: new Date().toISOString()
+    };
+  }
+
   async stopRecording() {
     console.log('⏹️  Stopping recording');
     
@@ -519,6 +630,8 @@ class MeetingMindApp {
           type: 'info',
           title: 'Recording Stopped',
           message: 'Recording has been stopped successfully',
+          detail: result.recordingSaved ?
+            'The meeting audio was saved and can be uploaded to your MeetingMind server from the meeting view.' : undefined,
           buttons: ['OK']
         });
       }
@@ -669,6 +782,7 @@ class MeetingMindApp {
       if (this.audioProcessor.isRecording) {
         await this.audioProcessor.stopAudioRecording();
       }
+      this.audioCapture.close();
 
       // Deactivate stealth mode
       if (this.isStealthModeActive) {
@@ -680,6 +794,9 @@ class MeetingMindApp {
         await this.realTimeProcessor.stopRealTimeProcessing();
       }
 
+      this.briefingNotifier.stop();
+      await getPromptLibrary().stop();
+
       console.log('✅ Application cleanup completed');
     } catch (error) {
       console.error('❌ Cleanup error:', error);
@@ -4,6 +4,14 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const OpenAI = require('openai');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+// Shared with the backend so both apply the same redaction policy. It only
+// uses Node built-ins; electron-builder copies it to resources/backend/ai
+// (extraResources), which is where this path points from inside app.asar.
+const { getRedactor } = require('../backend/ai/redaction');
+
+// Answer format for context.requestStructuredOutput, checked by checkInsights()
+const INSIGHTS_FORMAT = `Respond with a single JSON object and no other text:
+{"insights": [{"text": "one insight in a sentence", "confidence": 0.0-1.0}]}`;
 
 /**
  * Multi-Vision API System for MeetingMind
@@ -40,9 +48,17 @@ class MultiVisionAPISystem {
       // Privacy and Security
       dataResidency: config.dataResidency || 'global', // 'us', 'eu', 'global'
       sensitiveContentFiltering: config.sensitiveContentFiltering || true,
-      localPreprocessing: config.localPreprocessing || true
+      localPreprocessing: config.localPreprocessing || true,
+      tenantId: config.tenantId
     };
 
+    // Prompt text is redacted before it is sent and restored in the answers;
+    // screenshots are covered by applySensitiveContentFiltering instead
+    this.redactor = config.redactor || getRedactor();
+    if (config.redactionPolicy) {
+      this.redactor.setPolicy(this.config.tenantId, config.redactionPolicy);
+    }
+
     this.initializeClients();
     this.costTracker = new CostTracker();
     this.contentClassifier = new ContentClassifier();
@@ -343,7 +359,7 @@ class MultiVisionAPISystem {
       const imageBuffer = await fs.readFile(screenshotPath);
       const base64Image = imageBuffer.toString('base64');
       
-      const prompt = this.buildGeminiPrompt(context);
+      const { text: prompt, vault } = await this.redactPrompt(this.buildGeminiPrompt(context), context);
       
       const imagePart = {
         inlineData: {
@@ -354,22 +370,27 @@ class MultiVisionAPISystem {
 
       const result = await this.geminiModel.generateContent([prompt, imagePart]);
       const response = await result.response;
+      const text = this.redactor.rehydrate(response.text(), vault);
       
-      // Try to parse structured output if requested
-      let structuredData = null;
-      try {
-        if (context.requestStructuredOutput) {
-          structuredData = JSON.parse(response.text());
-        }
-      } catch (parseError) {
-        // Fallback to text response if JSON parsing fails
-      }
+      const structuredOutput = context.requestStructuredOutput
+        ? await this.readStructuredInsights(response.text(), vault, async repairPrompt => {
+          const repair = await this.geminiModel.generateContent({
+            contents: [
+              { role: 'user', parts: [{ text: prompt }, imagePart] },
+              { role: 'model', parts: [{ text: response.text() }] },
+              { role: 'user', parts: [{ text: repairPrompt }] }
+            ]
+          });
+          return (await repair.response).text();
+        })
+        : null;
 
       return {
         provider: 'gemini-flash-2.5',
-        text: response.text(),
-        structuredData: structuredData,
-        usage: { inputTokens: 1000, outputTokens: response.text().length / 4 },
+        text,
+        structuredData: structuredOutput?.data || null,
+        structuredOutput,
+        usage: { inputTokens: 1000, outputTokens: text.length / 4 },
         cost: 0.001 // Very cost-effective
       };
 
@@ -386,32 +407,51 @@ class MultiVisionAPISystem {
       const imageBuffer = await fs.readFile(screenshotPath);
       const base64Image = imageBuffer.toString('base64');
       
-      const prompt = this.buildOpenAIPrompt(context);
+      const { text: prompt, vault } = await this.redactPrompt(this.buildOpenAIPrompt(context), context);
       
-      const response = await this.openaiClient.chat.completions.create({
-        model: 'gpt-4-vision-preview',
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/png;base64,${base64Image}`,
-                  detail: context.detailLevel || 'high'
-                }
+      const messages = [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:image/png;base64,${base64Image}`,
+                detail: context.detailLevel || 'high'
               }
-            ]
-          }
-        ],
+            }
+          ]
+        }
+      ];
+      const request = {
+        model: 'gpt-4-vision-preview',
         max_tokens: context.maxTokens || 1000,
         temperature: 0.1
-      });
+      };
+
+      const response = await this.openaiClient.chat.completions.create({ ...request, messages });
+      const answer = response.choices[0].message.content;
+
+      const structuredOutput = context.requestStructuredOutput
+        ? await this.readStructuredInsights(answer, vault, async repairPrompt => {
+          const repair = await this.openaiClient.chat.completions.create({
+            ...request,
+            messages: [
+              ...messages,
+              { role: 'assistant', content: answer },
+              { role: 'user', content: repairPrompt }
+            ]
+          });
+          return repair.choices[0].message.content;
+        })
+        : null;
 
       return {
         provider: 'openai-vision',
-        content: response.choices[0].message.content,
+        content: this.redactor.rehydrate(answer, vault),
+        structuredData: structuredOutput?.data || null,
+        structuredOutput,
         usage: response.usage,
         cost: this.calculateOpenAICost(response.usage)
       };
@@ -422,6 +462,60 @@ class MultiVisionAPISystem {
     }
   }
 
+  /**
+   * Redact a prompt under the configured policy; participant names in
+   * context.participants are redacted too. Throws when the policy blocks
+   * something the prompt contains.
+   */
+  async redactPrompt(prompt, context) {
+    if (!this.config.sensitiveContentFiltering) {
+      return { text: prompt, vault: new Map() };
+    }
+
+    return this.redactor.redact(prompt, {
+      tenantId: this.config.tenantId,
+      terms: context.participants ? { person: context.participants } : undefined
+    });
+  }
+
+  /**
+   * Insights from an answer in INSIGHTS_FORMAT. An answer that does not
+   * match is sent back once with the problems (repair); if that fails too the
+   * result is marked degraded and callers fall back to the text answer.
+   *
+   * @param {string} answer - The model's answer, still redacted
+   * @param {Map} vault - Redaction vault for restoring the insights
+   * @param {Function} repair - (repairPrompt) => the model's next answer
+   * @returns {{ data, valid, repaired, degraded, errors }}
+   */
+  async readStructuredInsights(answer, vault, repair) {
+    let result = checkInsights(answer);
+    let repaired = false;
+
+    if (!result.valid) {
+      try {
+        const problems = result.errors.map(error => `- ${error}`).join('\n');
+        const retry = checkInsights(await repair(`Your previous answer did not match the required format:\n${problems}\n\n${INSIGHTS_FORMAT}`));
+        if (retry.valid) {
+          result = retry;
+          repaired = true;
+        }
+      } catch (error) {
+        console.warn('⚠️ Structured output repair failed:', error.message);
+      }
+    }
+
+    if (!result.valid) {
+      console.warn('⚠️ Vision answer did not match the insights format:', result.errors.join('; '));
+    }
+
+    const data = result.valid
+      ? { insights: result.data.insights.map(insight => ({ ...insight, text: this.redactor.rehydrate(insight.text, vault) })) }
+      : null;
+
+    return { data, valid: result.valid, repaired, degraded: !result.valid, errors: result.errors };
+  }
+
   buildGeminiPrompt(context) {
     const basePrompt = `Analyze this screen capture from a meeting or presentation. Provide insights about:
 
@@ -435,15 +529,18 @@ class MultiVisionAPISystem {
 Focus on professional meeting analysis and business intelligence.`;
 
     // Customize prompt based on context
+    let prompt = basePrompt;
     if (context.meetingType === 'presentation') {
-      return basePrompt + `\n\nSpecial focus: This is a presentation. Analyze slide content, structure, and key messages.`;
+      prompt += `\n\nSpecial focus: This is a presentation. Analyze slide content, structure, and key messages.`;
     } else if (context.meetingType === 'video-conference') {
-      return basePrompt + `\n\nSpecial focus: This is a video conference. Analyze participant engagement, interface elements, and meeting dynamics.`;
-    } else if (context.requestStructuredOutput) {
-      return basePrompt + `\n\nProvide response in JSON format with structured fields for each analysis category.`;
+      prompt += `\n\nSpecial focus: This is a video conference. Analyze participant engagement, interface elements, and meeting dynamics.`;
+    }
+
+    if (context.requestStructuredOutput) {
+      prompt += `\n\n${INSIGHTS_FORMAT}`;
     }
 
-    return basePrompt;
+    return prompt;
   }
 
   buildOpenAIPrompt(context) {
@@ -458,7 +555,7 @@ Focus on professional meeting analysis and business intelligence.`;
 
 Provide analysis suitable for executive-level meeting summaries and business intelligence reports.
 
-${context.specificInstructions || ''}`;
+${context.specificInstructions || ''}${context.requestStructuredOutput ? `\n\n${INSIGHTS_FORMAT}` : ''}`;
   }
 
   calculateGoogleVisionConfidence(result) {
@@ -696,7 +793,8 @@ class ResultSynthesizer {
     if (results.openai) {
       synthesized.keyInsights.push({
         source: 'openai-vision',
-        insight: results.openai.content
+        insight: results.openai.content,
+        structuredData: results.openai.structuredData
       });
       synthesized.sources.push('openai-vision');
     }
@@ -730,4 +828,37 @@ class ResultSynthesizer {
   }
 }
 
+/**
+ * Parse and check an answer against INSIGHTS_FORMAT (code fences allowed)
+ *
+ * @returns {{ data, valid, errors: string[] }}
+ */
+function checkInsights(answer) {
+  const text = String(answer || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+
+  let data;
+  try {
+    data = JSON.parse(fenced ? fenced[1] : text);
+  } catch (error) {
+    return { data: null, valid: false, errors: [`not valid JSON (${error.message})`] };
+  }
+
+  if (!data || !Array.isArray(data.insights)) {
+    return { data, valid: false, errors: ['insights: must be an array'] };
+  }
+
+  const errors = [];
+  data.insights.forEach((insight, index) => {
+    if (!insight || typeof insight.text !== 'string' || !insight.text.trim()) {
+      errors.push(`insights[${index}].text: must be a non-empty string`);
+    }
+    if (insight?.confidence !== undefined && !(typeof insight.confidence === 'number' && insight.confidence >= 0 && insight.confidence <= 1)) {
+      errors.push(`insights[${index}].confidence: must be a number from 0 to 1`);
+    }
+  });
+
+  return { data, valid: errors.length === 0, errors };
+}
+
 module.exports = MultiVisionAPISystem;
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Versioned desktop prompts, rendered in the app from the bundled catalog
+ * (./prompts) so the assistant works without a server.
+ *
+ * When a MeetingMind server and access token are set in AI Settings, sync()
+ * reports renders and feedback so experiment reports include desktop
+ * traffic, and takes over the versions the server serves: the active one and,
+ * during an experiment, the variants. The server publishes the catalog to its
+ * prompt registry only when the token is an admin's.
+ * Renders with the same unitId get the same variant, as on the server.
+ */
+class PromptLibrary extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.catalog = options.prompts || require('./prompts');
+    this.prefix = 'desktop';
+    this.syncInterval = options.syncInterval || 5 * 60 * 1000;
+    this.maxPendingEvents = options.maxPendingEvents || 1000;
+    this.settingsPath = path.join(os.homedir(), '.meetingmind', 'ai-settings.json');
+
+    // name -> { active, templates: Map(version -> template), experiment }
+    this.prompts = new Map();
+    this.pendingRenders = [];
+    this.pendingOutcomes = [];
+    this.timer = null;
+
+    this.catalog.forEach(({ name, version, template }) => {
+      const entry = this.prompts.get(name) || { active: version, templates: new Map(), experiment: null };
+      entry.templates.set(version, template);
+      this.prompts.set(name, entry);
+    });
+  }
+
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * Render a prompt
+   *
+   * @param {string} name
+   * @param {Object} variables - Values for the template's {{variables}}
+   * @param {Object} options - { unitId } for a stable experiment assignment,
+   *   { resolve(key) } for variables not passed
+   * @returns {{ text, ref }}
+   * @throws when a variable has no value
+   */
+  render(name, variables = {}, options = {}) {
+    const entry = this.getEntry(name);
+    const { version, experimentId, variant } = this.choose(entry, options);
+    const missing = [];
+
+    const text = entry.templates.get(version).replace(VARIABLE_PATTERN, (match, key) => {
+      const value = variables[key] !== undefined ? variables[key] : options.resolve?.(key);
+      if (value === undefined || value === null) {
+        missing.push(key);
+        return match;
+      }
+      return String(value);
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`Missing variables for prompt ${name}@${version}: ${missing.join(', ')}`);
+    }
+
+    const ref = { name, version, experimentId, variant };
+    this.queue(this.pendingRenders, ref);
+
+    return { text, ref };
+  }
+
+  /**
+   * Active templates under a name prefix as a nested object, e.g.
+   * getTemplateTree('desktop') -> { systemPrompts: { meetingAnalyst: '...' } }
+   */
+  getTemplateTree(prefix) {
+    const tree = {};
+
+    this.prompts.forEach((entry, name) => {
+      if (!name.startsWith(`${prefix}.`)) return;
+
+      const keys = name.slice(prefix.length + 1).split('.');
+      const leaf = keys.pop();
+      const node = keys.reduce((parent, key) => parent[key] || (parent[key] = {}), tree);
+      node[leaf] = entry.templates.get(entry.active);
+    });
+
+    return tree;
+  }
+
+  /**
+   * Attribute feedback to the prompt version that produced a result; it is
+   * sent to the server with the next sync
+   *
+   * @param {Object} ref - The ref returned by render()
+   * @param {Object} outcome - { accepted, satisfaction, effectiveness }
+   */
+  recordOutcome(ref, outcome = {}) {
+    if (!ref || !this.prompts.has(ref.name)) {
+      return false;
+    }
+
+    this.queue(this.pendingOutcomes, { ref, outcome });
+    return true;
+  }
+
+  /**
+   * Server connection from AI Settings (shared ~/.meetingmind/ai-settings.json)
+   */
+  async loadSettings() {
+    try {
+      const settings = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+      return {
+        serverUrl: settings.recording?.serverUrl || '',
+        accessToken: settings.recording?.accessToken || ''
+      };
+    } catch (error) {
+      return { serverUrl: '', accessToken: '' };
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sync(), this.syncInterval);
+    this.timer.unref();
+    this.sync();
+  }
+
+  // Stops syncing after sending what is still pending
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.sync();
+  }
+
+  async sync() {
+    const settings = await this.loadSettings();
+    if (!settings.serverUrl || !settings.accessToken) return false;
+
+    const renders = this.pendingRenders.splice(0);
+    const outcomes = this.pendingOutcomes.splice(0);
+
+    try {
+      const response = await axios.post(`${settings.serverUrl.replace(/\/$/, '')}/api/prompts/sync`, {
+        prefix: this.prefix,
+        definitions: this.catalog,
+        renders,
+        outcomes
+      }, {
+        headers: { 'Authorization': `Bearer ${settings.accessToken}` },
+        timeout: 15000
+      });
+
+      (response.data.conflicts || []).forEach(conflict => {
+        console.warn(`⚠️ Prompt ${conflict.name}@${conflict.version} not published: ${conflict.error}`);
+      });
+      this.applyServingState(response.data.prompts || []);
+      this.emit('synced');
+      return true;
+    } catch (error) {
+      // Keep the events for the next sync
+      this.pendingRenders.unshift(...renders);
+      this.pendingOutcomes.unshift(...outcomes);
+      this.trim(this.pendingRenders);
+      this.trim(this.pendingOutcomes);
+      console.error('❌ Prompt sync failed:', error.response?.data?.error || error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Serve the versions the server chose for prompts this app knows
+   */
+  applyServingState(prompts) {
+    prompts.forEach(({ name, activeVersion, templates, experiment }) => {
+      const entry = this.prompts.get(name);
+      if (!entry || !templates?.[activeVersion]) return;
+
+      Object.entries(templates).forEach(([version, template]) => entry.templates.set(Number(version), template));
+      entry.active = activeVersion;
+      entry.experiment = experiment && experiment.variants.every(variant => entry.templates.has(variant.version))
+        ? experiment
+        : null;
+    });
+  }
+
+  getEntry(name) {
+    const entry = this.prompts.get(name);
+    if (!entry) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return entry;
+  }
+
+  /**
+   * The version to serve: experiment variant or active
+   */
+  choose(entry, options) {
+    const experiment = entry.experiment;
+    if (!experiment) {
+      return { version: entry.active, experimentId: null, variant: null };
+    }
+
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (options.unitId !== undefined && options.unitId !== null
+      ? hashFraction(`${experiment.id}:${options.unitId}`)
+      : Math.random()) * total;
+
+    let cumulative = 0;
+    const index = experiment.variants.findIndex(variant => (cumulative += variant.weight) > point);
+    const chosen = experiment.variants[index === -1 ? experiment.variants.length - 1 : index];
+
+    return { version: chosen.version, experimentId: experiment.id, variant: `v${chosen.version}` };
+  }
+
+  queue(events, event) {
+    events.push(event);
+    this.trim(events);
+  }
+
+  // Oldest events are dropped while the server is unreachable
+  trim(events) {
+    if (events.length > this.maxPendingEvents) {
+      events.splice(0, events.length - this.maxPendingEvents);
+    }
+  }
+}
+
+/**
+ * Stable number in [0, 1) for an experiment assignment (same as the server)
+ */
+function hashFraction(value) {
+  return parseInt(crypto.createHash('sha256').update(value).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+let sharedLibrary = null;
+
+/**
+ * The app-wide library, loaded with the bundled catalog
+ */
+function getPromptLibrary() {
+  if (!sharedLibrary) {
+    sharedLibrary = new PromptLibrary();
+  }
+  return sharedLibrary;
+}
+
+module.exports = {
+  PromptLibrary,
+  getPromptLibrary
+};
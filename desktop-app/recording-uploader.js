@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { createWav, TARGET_SAMPLE_RATE } = require('./local-speech-engine');
+
+/**
+ * Uploads a kept meeting recording to the MeetingMind server in chunks.
+ *
+ * The recording is the 16kHz mono PCM file written by AudioProcessor; it is
+ * sent as a WAV file split into fixed-size chunks. Progress is saved next to
+ * the recording so an interrupted upload resumes with the chunks the server
+ * has not received yet.
+ */
+class RecordingUploader {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 4 * 1024 * 1024;
+    this.maxRetries = options.maxRetries || 3;
+    this.settingsPath = path.join(os.homedir(), '.meetingmind', 'ai-settings.json');
+  }
+
+  /**
+   * Recording settings from AI Settings (shared ~/.meetingmind/ai-settings.json)
+   */
+  async loadSettings() {
+    const defaults = {
+      enabled: false,
+      serverUrl: '',
+      accessToken: ''
+    };
+
+    try {
+      const settings = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+      return { ...defaults, ...(settings.recording || {}) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  async upload(options) {
+    const {
+      pcmPath,
+      meetingId,
+      consent,
+      sampleRate = TARGET_SAMPLE_RATE,
+      transcriptOffsetSeconds = 0,
+      onProgress = null
+    } = options;
+
+    const settings = await this.loadSettings();
+    if (!settings.serverUrl || !settings.accessToken) {
+      return { success: false, message: 'Set the MeetingMind server URL and access token in AI Settings to upload recordings' };
+    }
+    if (!consent || consent.confirmed !== true) {
+      return { success: false, message: 'Participant consent was not confirmed for this recording' };
+    }
+
+    // A recording that capture never wrote to would upload as a header-only WAV
+    const pcmSize = await fs.stat(pcmPath).then(stats => stats.size, () => 0);
+    if (pcmSize < 2) {
+      return { success: false, message: 'The recording has no audio' };
+    }
+
+    const client = axios.create({
+      baseURL: `${settings.serverUrl.replace(/\/$/, '')}/api/meetings/${meetingId}/recordings`,
+      headers: { 'Authorization': `Bearer ${settings.accessToken}` },
+      timeout: 60000,
+      maxBodyLength: Infinity
+    });
+
+    try {
+      const header = this.createWavHeader(pcmSize, sampleRate);
+      const totalSize = header.length + pcmSize;
+      const chunkCount = Math.ceil(totalSize / this.chunkSize);
+
+      const state = await this.loadState(pcmPath, meetingId);
+      if (!state.recordingId) {
+        const response = await client.post('/', {
+          recordingType: 'audio',
+          mimeType: 'audio/wav',
+          transcriptOffsetSeconds,
+          consent
+        });
+        state.recordingId = response.data.recording.id;
+        await this.saveState(pcmPath, state);
+      }
+
+      const file = await fs.open(pcmPath, 'r');
+      try {
+        for (let index = 0; index < chunkCount; index++) {
+          if (state.uploaded.includes(index)) continue;
+
+          const chunk = await this.readChunk(file, header, index, totalSize);
+          await this.withRetries(() => client.put(`/${state.recordingId}/chunks/${index}`, chunk, {
+            headers: { 'Content-Type': 'application/octet-stream' }
+          }));
+
+          state.uploaded.push(index);
+          await this.saveState(pcmPath, state);
+          if (onProgress) onProgress({ uploaded: state.uploaded.length, total: chunkCount });
+        }
+      } finally {
+        await file.close();
+      }
+
+      const response = await client.post(`/${state.recordingId}/complete`, {
+        chunkCount,
+        durationSeconds: pcmSize / 2 / sampleRate
+      });
+
+      await this.discardState(pcmPath);
+
+      return { success: true, recording: response.data.recording };
+
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      return { success: false, message: `Recording upload failed: ${message}`, resumable: true };
+    }
+  }
+
+  createWavHeader(pcmSize, sampleRate) {
+    const header = createWav(new Int16Array(0), sampleRate);
+    header.writeUInt32LE(36 + pcmSize, 4);
+    header.writeUInt32LE(pcmSize, 40);
+    return header;
+  }
+
+  // Chunk `index` of the WAV file (header followed by the PCM file contents)
+  async readChunk(file, header, index, totalSize) {
+    const start = index * this.chunkSize;
+    const end = Math.min(start + this.chunkSize, totalSize);
+    const chunk = Buffer.alloc(end - start);
+    let written = 0;
+
+    if (start < header.length) {
+      written = header.copy(chunk, 0, start, Math.min(header.length, end));
+    }
+
+    const pcmStart = Math.max(0, start - header.length);
+    await file.read(chunk, written, chunk.length - written, pcmStart);
+    return chunk;
+  }
+
+  async withRetries(request) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        // Client errors won't succeed on retry
+        const status = error.response?.status;
+        if (attempt >= this.maxRetries || (status && status < 500 && status !== 429)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  getStatePath(pcmPath) {
+    return `${pcmPath}.upload.json`;
+  }
+
+  async loadState(pcmPath, meetingId) {
+    try {
+      const state = JSON.parse(await fs.readFile(this.getStatePath(pcmPath), 'utf8'));
+      if (state.meetingId === meetingId && state.chunkSize === this.chunkSize) return state;
+    } catch (error) {
+      // No upload in progress
+    }
+    return { meetingId, chunkSize: this.chunkSize, recordingId: null, uploaded: [] };
+  }
+
+  async saveState(pcmPath, state) {
+    await fs.writeFile(this.getStatePath(pcmPath), JSON.stringify(state));
+  }
+
+  async discardState(pcmPath) {
+    await fs.unlink(this.getStatePath(pcmPath)).catch(() => {});
+  }
+}
+
+module.exports = RecordingUploader;
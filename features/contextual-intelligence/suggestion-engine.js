@@ -87,6 +87,113 @@ class SuggestionEngine {
     }
   }
   
+  /**
+   * Output format for streamed suggestions, appended to the prompt so a
+   * completion can be parsed line by line while it is still arriving
+   */
+  getStreamingFormatInstructions() {
+    return [
+      `Reply with at most ${this.options.maxSuggestions} suggestions, one per line, formatted as "type: suggestion".`,
+      `Allowed types: ${Object.values(this.suggestionTypes).join(', ')}.`,
+      'Put the most urgent suggestion first. Do not add numbering, headings or any other text.'
+    ].join(' ');
+  }
+  
+  /**
+   * Parse suggestions from a streamed completion
+   *
+   * Every finished line becomes a suggestion. Until `final` is set, the line
+   * still being written is returned with `partial: true` so clients can
+   * show it as it types. Ids come from the stream id and line position, so
+   * re-parsing the growing text keeps the same id for the same suggestion.
+   */
+  parseStreamedSuggestions(text, options = {}) {
+    const { streamId = 'stream', final = false } = options;
+    const lines = (text || '').split('\n');
+    const suggestions = [];
+    
+    lines.forEach((line, index) => {
+      const partial = !final && index === lines.length - 1;
+      
+      // Wait until the type prefix of the line being written is complete
+      if (partial && !line.includes(':')) return;
+      
+      const parsed = this.parseSuggestionLine(line);
+      if (!parsed) return;
+      
+      const position = suggestions.length;
+      suggestions.push({
+        id: `${streamId}_${position}`,
+        type: parsed.type,
+        title: this.getStreamedSuggestionTitle(parsed.type),
+        content: parsed.content,
+        confidence: 0.75,
+        reasoning: 'Generated live from the current conversation',
+        timestamp: Date.now(),
+        source: 'live_stream',
+        partial,
+        metadata: {
+          streamId,
+          position
+        }
+      });
+    });
+    
+    return suggestions;
+  }
+  
+  /**
+   * Parse one "type: suggestion" line; lines without a known type are follow-ups
+   */
+  parseSuggestionLine(line) {
+    const text = line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim();
+    if (!text) {
+      return null;
+    }
+    
+    const match = text.match(/^([a-z_ -]+?)\s*:\s*(.*)$/i);
+    const type = match && match[1].toLowerCase().replace(/[\s-]+/g, '_');
+    
+    if (match && Object.values(this.suggestionTypes).includes(type)) {
+      return match[2] ? { type, content: match[2] } : null;
+    }
+    
+    return { type: this.suggestionTypes.FOLLOW_UP, content: text };
+  }
+  
+  getStreamedSuggestionTitle(type) {
+    const titles = {
+      [this.suggestionTypes.DEFINITION]: 'Define Term',
+      [this.suggestionTypes.FOLLOW_UP]: 'Ask Follow-up Question',
+      [this.suggestionTypes.CLARIFICATION]: 'Request Clarification',
+      [this.suggestionTypes.ACTION]: 'Suggest Action Item',
+      [this.suggestionTypes.OBJECTION_HANDLING]: 'Handle Objection',
+      [this.suggestionTypes.TRANSITION]: 'Suggest Topic Transition',
+      [this.suggestionTypes.SUMMARY]: 'Summarize Discussion'
+    };
+    
+    return titles[type] || 'Suggestion';
+  }
+  
+  /**
+   * Finish a streamed (or cancelled) set of suggestions: drop the unfinished
+   * line, then filter, rank, cache and record them like generated suggestions
+   */
+  finalizeStreamedSuggestions(suggestions, meetingContext = {}) {
+    const complete = suggestions
+      .filter(suggestion => !suggestion.partial)
+      .filter(suggestion => suggestion.confidence >= this.options.confidenceThreshold);
+    
+    const finalSuggestions = this.rankSuggestions(complete).slice(0, this.options.maxSuggestions);
+    
+    if (finalSuggestions.length > 0) {
+      this.cacheSuggestions(meetingContext, finalSuggestions);
+      this.updateSuggestionHistory(finalSuggestions);
+    }
+    
+    return finalSuggestions;
+  }
+  
   /**
    * Generate definition suggestions for technical terms
    */
@@ -391,7 +498,15 @@ class SuggestionEngine {
         task: 'definition_generation',
         data: { term, context: meetingContext.currentTopic },
         context: meetingContext,
-        focus: ['accuracy', 'business_context', 'clarity']
+        focus: ['accuracy', 'business_context', 'clarity'],
+        // Definitions carry over between the organization's meetings; the
+        // term and topic decide the answer. Without an organization they are
+        // not cached.
+        cache: {
+          task: 'definition',
+          tenantId: meetingContext.organizationId,
+          key: `${term.toLowerCase()} ${meetingContext.currentTopic || ''}`.trim()
+        }
       };
       
       const result = await this.tripleAI.analyzeWithClaude(request);
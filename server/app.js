@@ -21,11 +21,17 @@ const meetingRoutes = require('./routes/meetings');
 const aiRoutes = require('./routes/ai');
 const analyticsRoutes = require('./routes/analytics');
 const notificationRoutes = require('./routes/notifications');
+const recordingRoutes = require('./routes/recordings');
+const briefingRoutes = require('./routes/briefings');
+const actionItemRoutes = require('./routes/actionItems');
+const decisionRoutes = require('./routes/decisions');
+const seriesRoutes = require('./routes/series');
 
 // Import services
 const DatabaseService = require('./services/DatabaseService');
 const NotificationService = require('./services/NotificationService');
 const AnalyticsService = require('./services/AnalyticsService');
+const BriefingDeliveryService = require('./services/BriefingDeliveryService');
 
 class MeetingMindServer {
     constructor() {
@@ -141,6 +147,12 @@ class MeetingMindServer {
         this.app.use('/api/ai', authMiddleware, aiRoutes);
         this.app.use('/api/analytics', authMiddleware, analyticsRoutes);
         this.app.use('/api/notifications', authMiddleware, notificationRoutes);
+        this.app.use('/api/action-items', authMiddleware, actionItemRoutes);
+        this.app.use('/api/decisions', authMiddleware, decisionRoutes);
+        this.app.use('/api/series', authMiddleware, seriesRoutes);
+        // Authorized by signed playback tokens instead of the Authorization header
+        this.app.use('/api/recordings', recordingRoutes);
+        this.app.use('/api/briefings', briefingRoutes);
 
         // API documentation
         this.app.get('/api', (req, res) => {
@@ -154,7 +166,12 @@ class MeetingMindServer {
                     meetings: '/api/meetings',
                     ai: '/api/ai',
                     analytics: '/api/analytics',
-                    notifications: '/api/notifications'
+                    notifications: '/api/notifications',
+                    recordings: '/api/recordings',
+                    briefings: '/api/briefings',
+                    actionItems: '/api/action-items',
+                    decisions: '/api/decisions',
+                    series: '/api/series'
                 },
                 documentation: '/api/docs',
                 health: '/health'
@@ -191,6 +208,9 @@ class MeetingMindServer {
             try {
                 const jwt = require('jsonwebtoken');
                 const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+                if (!authMiddleware.isSessionToken(decoded)) {
+                    return next(new Error('Authentication error'));
+                }
                 socket.userId = decoded.userId;
                 socket.userRole = decoded.role;
                 next();
@@ -248,6 +268,11 @@ class MeetingMindServer {
         
         // Initialize analytics service
         AnalyticsService.initialize();
+
+        // Calendar briefings are optional; a broken calendar config must not stop the API
+        BriefingDeliveryService.start().catch(error => {
+            console.error('❌ Failed to start briefing delivery:', error);
+        });
         
         console.log('✅ Services initialized successfully');
     }
@@ -283,6 +308,9 @@ class MeetingMindServer {
         try {
             // Close WebSocket connections
             this.io.close();
+
+            // Stop calendar sync and pending briefings
+            BriefingDeliveryService.stop();
             
             // Close database connections
             await DatabaseService.close();
@@ -1,6 +1,15 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const DatabaseService = require('../services/DatabaseService');
 
+// Signed links (recording playback, meeting briefings) end up in URLs, emails
+// and chat messages. They are signed with their own key and carry an audience,
+// so a leaked link never verifies as a login token.
+function linkTokenSecret() {
+    return process.env.LINK_TOKEN_SECRET ||
+        crypto.createHmac('sha256', process.env.JWT_SECRET).update('meetingmind-link-tokens').digest('hex');
+}
+
 class AuthMiddleware {
     static async authenticate(req, res, next) {
         try {
@@ -35,6 +44,13 @@ class AuthMiddleware {
                 }
             }
 
+            if (!AuthMiddleware.isSessionToken(decoded)) {
+                return res.status(401).json({
+                    error: 'Invalid token',
+                    message: 'The provided token is invalid'
+                });
+            }
+
             // Get user from database
             const user = await DatabaseService.findById('users', decoded.userId);
             if (!user) {
@@ -79,6 +95,25 @@ class AuthMiddleware {
         }
     }
 
+    // Login tokens carry no purpose, type or audience; verification, reset
+    // and link tokens signed with JWT_SECRET must not open a session
+    static isSessionToken(decoded) {
+        return Boolean(decoded && decoded.userId) &&
+            decoded.purpose === undefined &&
+            decoded.type === undefined &&
+            decoded.aud === undefined;
+    }
+
+    static signLinkToken(payload, audience, expiresIn) {
+        return jwt.sign(payload, linkTokenSecret(), { audience, expiresIn });
+    }
+
+    // Throws like jwt.verify when the token is invalid, expired or was issued
+    // for another audience
+    static verifyLinkToken(token, audience) {
+        return jwt.verify(token, linkTokenSecret(), { audience });
+    }
+
     static requireRole(roles) {
         return (req, res, next) => {
             if (!req.user) {
@@ -174,6 +209,50 @@ class AuthMiddleware {
         }
     }
 
+    // Role in the organization of the current session (user_organizations.role),
+    // not the platform-wide users.role checked by requireRole
+    static requireOrganizationRole(roles) {
+        const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+        return async (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    message: 'Please authenticate first'
+                });
+            }
+
+            if (!req.user.organizationId) {
+                return res.status(403).json({
+                    error: 'Organization membership required',
+                    message: 'This feature requires organization membership'
+                });
+            }
+
+            try {
+                const membership = await DatabaseService.query(
+                    'SELECT role FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+                    [req.user.id, req.user.organizationId]
+                );
+
+                if (membership.rows.length === 0 || !allowedRoles.includes(membership.rows[0].role)) {
+                    return res.status(403).json({
+                        error: 'Insufficient permissions',
+                        message: `This action requires one of the following organization roles: ${allowedRoles.join(', ')}`
+                    });
+                }
+
+                next();
+            } catch (error) {
+                console.error('Organization role check error:', error);
+                return res.status(500).json({
+                    error: 'Authorization failed',
+                    message: 'An error occurred during authorization'
+                });
+            }
+        };
+    }
+
     static rateLimit(options = {}) {
         const {
             windowMs = 15 * 60 * 1000, // 15 minutes
@@ -278,6 +357,10 @@ module.exports = AuthMiddleware.authenticate;
 module.exports.requireRole = AuthMiddleware.requireRole;
 module.exports.requireSubscription = AuthMiddleware.requireSubscription;
 module.exports.requireOrganization = AuthMiddleware.requireOrganization;
+module.exports.requireOrganizationRole = AuthMiddleware.requireOrganizationRole;
 module.exports.rateLimit = AuthMiddleware.rateLimit;
 module.exports.validateApiKey = AuthMiddleware.validateApiKey;
 module.exports.optional = AuthMiddleware.optional;
+module.exports.isSessionToken = AuthMiddleware.isSessionToken;
+module.exports.signLinkToken = AuthMiddleware.signLinkToken;
+module.exports.verifyLinkToken = AuthMiddleware.verifyLinkToken;
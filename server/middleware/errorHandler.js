@@ -87,6 +87,14 @@ class ErrorHandler {
             });
         }
 
+        if (error.name === 'BudgetExceededError') {
+            return res.status(402).json({
+                error: 'AI Budget Exceeded',
+                message: error.message,
+                budget: error.budget
+            });
+        }
+
         if (error.code === '23505') { // PostgreSQL unique violation
             return res.status(409).json({
                 error: 'Duplicate Entry',
@@ -206,6 +214,15 @@ class ConflictError extends Error {
     }
 }
 
+// An AI spending limit (see CostLedgerService) has been reached
+class BudgetExceededError extends Error {
+    constructor(message, budget = null) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.budget = budget;
+    }
+}
+
 module.exports = ErrorHandler.handle;
 module.exports.ErrorHandler = ErrorHandler;
 module.exports.ValidationError = ValidationError;
@@ -213,3 +230,4 @@ module.exports.UnauthorizedError = UnauthorizedError;
 module.exports.ForbiddenError = ForbiddenError;
 module.exports.NotFoundError = NotFoundError;
 module.exports.ConflictError = ConflictError;
+module.exports.BudgetExceededError = BudgetExceededError;
@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const ActionItemService = require('../services/ActionItemService');
+const { checkValidation, handleError } = require('./meetings');
+
+const router = express.Router();
+
+// Rate limiting for action item endpoints
+const actionItemLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute
+    message: {
+        error: 'Rate limit exceeded',
+        message: 'Too many action item requests. Please try again later.'
+    }
+});
+
+router.use(actionItemLimiter);
+
+const actionItemIdValidation = param('id').isUUID().withMessage('Invalid action item ID');
+
+// List action items across the meetings the user can access
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('meetingId').optional().isUUID().withMessage('Invalid meeting ID'),
+    query('status').optional().isIn(ActionItemService.STATUSES).withMessage('Invalid status'),
+    query('owner').optional().isString().withMessage('Owner must be "me", a name or an email'),
+    query('overdue').optional().isBoolean().withMessage('Overdue must be a boolean'),
+    query('dueBefore').optional().isISO8601().withMessage('Due before must be an ISO 8601 date')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { page = 1, limit = 50, overdue } = req.query;
+
+        const result = await ActionItemService.listActionItems(req.user, {
+            ...req.query,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            overdue: overdue === 'true'
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve action items',
+            message: 'An error occurred while retrieving action items'
+        });
+    }
+});
+
+router.get('/:id', actionItemIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const actionItem = await ActionItemService.getActionItem(req.user, req.params.id);
+
+        res.json({ actionItem });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve action item',
+            message: 'An error occurred while retrieving the action item'
+        });
+    }
+});
+
+router.put('/:id', actionItemIdValidation, [
+    body('description').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be between 1 and 2000 characters'),
+    body('owner').optional({ nullable: true }).isString().withMessage('Owner must be a name or email'),
+    body('dueDate').optional({ nullable: true }).isString().withMessage('Due date must be a date or a phrase like "next Friday"'),
+    body('priority').optional().isIn(ActionItemService.PRIORITIES).withMessage('Priority must be low, medium, or high'),
+    body('status').optional().isIn(ActionItemService.STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const actionItem = await ActionItemService.updateActionItem(req.user, req.params.id, req.body);
+
+        req.app.get('io')?.to(`meeting_${actionItem.meetingId}`).emit('action_item_updated', {
+            meetingId: actionItem.meetingId,
+            actionItem,
+            userId: req.user.id,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({
+            message: 'Action item updated successfully',
+            actionItem
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to update action item',
+            message: 'An error occurred while updating the action item'
+        });
+    }
+});
+
+router.post('/:id/complete', actionItemIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const actionItem = await ActionItemService.completeActionItem(req.user, req.params.id);
+
+        req.app.get('io')?.to(`meeting_${actionItem.meetingId}`).emit('action_item_updated', {
+            meetingId: actionItem.meetingId,
+            actionItem,
+            userId: req.user.id,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({
+            message: 'Action item completed',
+            actionItem
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to complete action item',
+            message: 'An error occurred while completing the action item'
+        });
+    }
+});
+
+module.exports = router;
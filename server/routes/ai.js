@@ -4,7 +4,9 @@ const rateLimit = require('express-rate-limit');
 
 const AIOrchestrationService = require('../services/AIOrchestrationService');
 const DatabaseService = require('../services/DatabaseService');
-const { requireSubscription, rateLimit: authRateLimit } = require('../middleware/auth');
+const ActionItemService = require('../services/ActionItemService');
+const DecisionLogService = require('../services/DecisionLogService');
+const { requireRole, requireSubscription, rateLimit: authRateLimit } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -31,19 +33,32 @@ const aiLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Content limits; meeting summaries of long transcripts are chunked
+// (map-reduce) so they can take whole meetings
+const MAX_CONTENT_LENGTH = 50000;
+const MAX_TRANSCRIPT_LENGTH = parseInt(process.env.AI_MAX_TRANSCRIPT_LENGTH || '2000000');
+
 // Validation rules
 const analysisValidation = [
     body('type')
         .isIn([
-            'meeting_summary', 'action_items', 'sentiment_analysis', 
+            'meeting_summary', 'action_items', 'decisions', 'sentiment_analysis', 
+            'coaching_tip', 'opportunities',
             'interview_analysis', 'legal_analysis', 'medical_analysis',
             'financial_analysis', 'transcription_cleanup', 'translation',
             'code_analysis', 'custom'
         ])
         .withMessage('Invalid analysis type'),
     body('content')
-        .isLength({ min: 10, max: 50000 })
-        .withMessage('Content must be between 10 and 50,000 characters'),
+        .isLength({ min: 10 })
+        .withMessage('Content must be at least 10 characters')
+        .custom((content, { req }) => {
+            const max = req.body.type === 'meeting_summary' ? MAX_TRANSCRIPT_LENGTH : MAX_CONTENT_LENGTH;
+            if (content.length > max) {
+                throw new Error(`Content must be at most ${max.toLocaleString('en-US')} characters`);
+            }
+            return true;
+        }),
     body('priority')
         .optional()
         .isIn(['low', 'medium', 'high'])
@@ -83,7 +98,7 @@ router.post('/analyze', aiLimiter, analysisValidation, async (req, res) => {
         } = req.body;
 
         // Check subscription requirements for advanced features
-        if (type === 'interview_analysis' || type === 'legal_analysis' || type === 'medical_analysis') {
+        if (['interview_analysis', 'legal_analysis', 'medical_analysis', 'coaching_tip', 'opportunities'].includes(type)) {
             const hasAccess = ['pro', 'enterprise'].includes(req.user.subscriptionTier);
             if (!hasAccess) {
                 return res.status(403).json({
@@ -128,10 +143,13 @@ router.post('/analyze', aiLimiter, analysisValidation, async (req, res) => {
             jobId: result.jobId,
             type,
             result: result.result.result,
+            data: result.result.data,
+            validation: result.result.validation,
             confidence: result.result.confidence,
             strategy: result.strategy,
             duration: result.duration,
             cost: result.cost,
+            budget: result.budget,
             metadata: {
                 modelsUsed: result.result.synthesizedFrom || 1,
                 processingStrategy: result.strategy,
@@ -139,6 +157,31 @@ router.post('/analyze', aiLimiter, analysisValidation, async (req, res) => {
             }
         };
 
+        // Action items and decisions found for a meeting are saved to the
+        // action item tracker and the decision log. The analysis has already
+        // been paid for, so a failure here doesn't fail it.
+        const extracted = result.result.data?.actionItems || result.result.data?.action_items;
+        if (meetingId && Array.isArray(extracted) && extracted.length > 0) {
+            try {
+                response.actionItems = await ActionItemService.recordExtracted(req.user, meetingId, extracted, {
+                    source: 'analysis'
+                });
+            } catch (error) {
+                console.error('Failed to save extracted action items:', error);
+            }
+        }
+
+        const decisions = result.result.data?.decisions;
+        if (meetingId && Array.isArray(decisions) && decisions.length > 0) {
+            try {
+                response.decisions = await DecisionLogService.recordExtracted(req.user, meetingId, decisions, {
+                    source: 'analysis'
+                });
+            } catch (error) {
+                console.error('Failed to save extracted decisions:', error);
+            }
+        }
+
         // Include alternative results for Pro/Enterprise users
         if (['pro', 'enterprise'].includes(req.user.subscriptionTier) && result.result.alternativeResults) {
             response.alternatives = result.result.alternativeResults.map(alt => ({
@@ -155,6 +198,21 @@ router.post('/analyze', aiLimiter, analysisValidation, async (req, res) => {
 
     } catch (error) {
         console.error('AI analysis error:', error);
+
+        if (error.name === 'BudgetExceededError') {
+            return res.status(402).json({
+                error: 'AI budget exceeded',
+                message: error.message,
+                budget: error.budget
+            });
+        }
+
+        if (error.code === 'blocked_content') {
+            return res.status(422).json({
+                error: 'Content blocked',
+                message: error.message
+            });
+        }
         
         if (error.message.includes('rate limit') || error.message.includes('quota')) {
             return res.status(429).json({
@@ -317,6 +375,92 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Redaction policy applied to the organization's prompts
+router.get('/redaction-policy', async (req, res) => {
+    try {
+        const policy = await AIOrchestrationService.getRedactionPolicy(req.user.organizationId);
+
+        res.json({
+            message: 'Redaction policy retrieved successfully',
+            policy
+        });
+
+    } catch (error) {
+        console.error('Redaction policy retrieval error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve redaction policy',
+            message: 'An error occurred while retrieving the redaction policy'
+        });
+    }
+});
+
+// Set the organization's redaction policy. Classes in block reject the
+// request outright; classes in allow are sent unchanged.
+router.put('/redaction-policy',
+    requireRole(['owner', 'admin']),
+    [
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('Enabled must be a boolean')
+            .toBoolean(),
+        body(['block', 'allow', 'customTerms'])
+            .optional()
+            .isArray()
+            .withMessage('Block, allow and customTerms must be arrays'),
+        body(['block.*', 'allow.*', 'customTerms.*'])
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Entries must be non-empty strings'),
+        body('dictionaries')
+            .optional()
+            .isObject()
+            .custom(dictionaries => Object.values(dictionaries)
+                .every(terms => Array.isArray(terms) && terms.every(term => typeof term === 'string')))
+            .withMessage('Dictionaries must map a class to a list of terms')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            if (!req.user.organizationId) {
+                return res.status(400).json({
+                    error: 'Redaction policy update failed',
+                    message: 'Redaction policies can only be set by members of an organization'
+                });
+            }
+
+            const { enabled, block, allow, customTerms, dictionaries } = req.body;
+            const policy = await AIOrchestrationService.setRedactionPolicy(req.user.organizationId, {
+                enabled,
+                block,
+                allow,
+                customTerms,
+                dictionaries
+            });
+
+            res.json({
+                message: 'Redaction policy updated successfully',
+                policy
+            });
+
+        } catch (error) {
+            console.error('Redaction policy update error:', error);
+            res.status(500).json({
+                error: 'Failed to update redaction policy',
+                message: 'An error occurred while updating the redaction policy'
+            });
+        }
+    }
+);
+
 // Get analysis history
 router.get('/history', async (req, res) => {
     try {
@@ -519,14 +663,14 @@ router.delete('/analysis/:id', async (req, res) => {
 function getSubscriptionFeatures(tier) {
     const features = {
         free: {
-            analysisTypes: ['meeting_summary', 'action_items', 'transcription_cleanup'],
+            analysisTypes: ['meeting_summary', 'action_items', 'decisions', 'transcription_cleanup'],
             rateLimit: 5,
             batchProcessing: false,
             advancedAnalytics: false,
             multiModelConsensus: false
         },
         basic: {
-            analysisTypes: ['meeting_summary', 'action_items', 'sentiment_analysis', 'transcription_cleanup'],
+            analysisTypes: ['meeting_summary', 'action_items', 'decisions', 'sentiment_analysis', 'transcription_cleanup'],
             rateLimit: 20,
             batchProcessing: false,
             advancedAnalytics: false,
@@ -534,7 +678,8 @@ function getSubscriptionFeatures(tier) {
         },
         pro: {
             analysisTypes: [
-                'meeting_summary', 'action_items', 'sentiment_analysis', 
+                'meeting_summary', 'action_items', 'decisions', 'sentiment_analysis', 
+                'coaching_tip', 'opportunities',
                 'interview_analysis', 'transcription_cleanup', 'translation'
             ],
             rateLimit: 100,
@@ -544,7 +689,8 @@ function getSubscriptionFeatures(tier) {
         },
         enterprise: {
             analysisTypes: [
-                'meeting_summary', 'action_items', 'sentiment_analysis',
+                'meeting_summary', 'action_items', 'decisions', 'sentiment_analysis',
+                'coaching_tip', 'opportunities',
                 'interview_analysis', 'legal_analysis', 'medical_analysis',
                 'financial_analysis', 'transcription_cleanup', 'translation',
                 'code_analysis', 'custom'
@@ -1,9 +1,10 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { query, body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 const AnalyticsService = require('../services/AnalyticsService');
-const { requireAuth, requireSubscription } = require('../middleware/auth');
+const CostLedgerService = require('../services/CostLedgerService');
+const { requireAuth, requireSubscription, requireOrganizationRole } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -185,6 +186,84 @@ router.get('/costs', timeRangeValidation, async (req, res) => {
     }
 });
 
+// AI budgets that apply to the current user, with spend so far
+router.get('/budgets', async (req, res) => {
+    try {
+        const budget = await CostLedgerService.checkBudget({
+            userId: req.user.id,
+            organizationId: req.user.organizationId
+        });
+
+        res.json({
+            message: 'AI budgets retrieved successfully',
+            budget
+        });
+
+    } catch (error) {
+        console.error('Budget retrieval error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve AI budgets',
+            message: 'An error occurred while retrieving AI budgets'
+        });
+    }
+});
+
+// Set the AI budget of the organization or one of its users. Null limits
+// remove a limit; soft limits move requests to cheaper models and hard
+// limits reject them.
+router.put('/budgets',
+    requireOrganizationRole(['owner', 'admin']),
+    [
+        body('scope')
+            .isIn(['organization', 'user'])
+            .withMessage('Scope must be organization or user'),
+        body('userId')
+            .if(body('scope').equals('user'))
+            .isUUID()
+            .withMessage('A valid userId is required for user budgets'),
+        body('period')
+            .isIn(['monthly', 'daily', 'meeting'])
+            .withMessage('Period must be one of: monthly, daily, meeting'),
+        body(['softLimit', 'hardLimit'])
+            .optional({ nullable: true })
+            .isFloat({ min: 0 })
+            .withMessage('Limits must be non-negative amounts in USD')
+            .toFloat()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const budget = await CostLedgerService.setBudget(req.user.organizationId, req.body, req.user.id);
+
+            res.json({
+                message: 'AI budget updated successfully',
+                budget
+            });
+
+        } catch (error) {
+            if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
+                return res.status(error.name === 'ValidationError' ? 400 : 404).json({
+                    error: 'Budget update failed',
+                    message: error.message
+                });
+            }
+
+            console.error('Budget update error:', error);
+            res.status(500).json({
+                error: 'Failed to update AI budget',
+                message: 'An error occurred while updating the AI budget'
+            });
+        }
+    }
+);
+
 // Performance analytics
 router.get('/performance', timeRangeValidation, async (req, res) => {
     try {
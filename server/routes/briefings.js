@@ -0,0 +1,43 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+
+const BriefingDeliveryService = require('../services/BriefingDeliveryService');
+
+const router = express.Router();
+
+// Briefing page behind the link in briefing emails, Slack/Teams cards and
+// desktop notifications. None of those can send an Authorization header, so
+// this route is mounted without authMiddleware and authorized by the signed
+// token issued when the briefing is delivered.
+router.get('/view/:token', [
+    param('token').isJWT().withMessage('Invalid briefing token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const briefing = await BriefingDeliveryService.getBriefingByToken(req.params.token);
+        res.type('html').send(BriefingDeliveryService.renderBriefingPage(briefing));
+
+    } catch (error) {
+        if (error.name === 'NotFoundError') {
+            return res.status(404).json({
+                error: 'Not found',
+                message: error.message
+            });
+        }
+
+        console.error('Failed to render briefing:', error);
+        res.status(500).json({
+            error: 'Failed to render briefing',
+            message: 'An error occurred while loading the briefing'
+        });
+    }
+});
+
+module.exports = router;
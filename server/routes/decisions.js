@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const DecisionLogService = require('../services/DecisionLogService');
+const { checkValidation, handleError } = require('./meetings');
+
+const router = express.Router();
+
+// Rate limiting for decision log endpoints
+const decisionLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute
+    message: {
+        error: 'Rate limit exceeded',
+        message: 'Too many decision log requests. Please try again later.'
+    }
+});
+
+router.use(decisionLimiter);
+
+const EXPORT_FORMATS = ['json', 'csv', 'markdown'];
+
+const decisionIdValidation = param('id').isUUID().withMessage('Invalid decision ID');
+
+const searchValidation = [
+    query('q').optional().isString().isLength({ max: 500 }).withMessage('Search must be at most 500 characters'),
+    query('meetingId').optional().isUUID().withMessage('Invalid meeting ID'),
+    query('participant').optional().isString().withMessage('Participant must be a name, email or user ID'),
+    query('status').optional().isIn(DecisionLogService.STATUSES).withMessage('Invalid status'),
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+// Search the organization's decision log
+router.get('/', [
+    ...searchValidation,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { page = 1, limit = 20 } = req.query;
+
+        const result = await DecisionLogService.searchDecisions(req.user, {
+            ...req.query,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to search decisions',
+            message: 'An error occurred while searching the decision log'
+        });
+    }
+});
+
+// Export the decisions matching a search
+router.get('/export', [
+    ...searchValidation,
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be json, csv or markdown')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { format = 'json' } = req.query;
+        const decisions = await DecisionLogService.exportDecisions(req.user, req.query);
+        const fileName = `meetingmind-decisions-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            res.send(convertToCSV(decisions));
+        } else if (format === 'markdown') {
+            res.setHeader('Content-Type', 'text/markdown');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.md"`);
+            res.send(convertToMarkdown(decisions));
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+            res.json({ decisions, exportedAt: new Date().toISOString() });
+        }
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to export decisions',
+            message: 'An error occurred while exporting the decision log'
+        });
+    }
+});
+
+// A decision with the decisions it refines or reverses and those that later
+// refined or reversed it
+router.get('/:id', decisionIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const result = await DecisionLogService.getDecision(req.user, req.params.id);
+
+        res.json(result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve decision',
+            message: 'An error occurred while retrieving the decision'
+        });
+    }
+});
+
+// Record that this decision refines or reverses an earlier one
+router.put('/:id/supersedes', decisionIdValidation, [
+    body('decisionId').isUUID().withMessage('Invalid decision ID'),
+    body('supersession').optional().isIn(DecisionLogService.SUPERSESSIONS).withMessage('Supersession must be refines or reverses')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const decision = await DecisionLogService.linkDecision(
+            req.user,
+            req.params.id,
+            req.body.decisionId,
+            req.body.supersession
+        );
+
+        res.json({
+            message: 'Decision linked successfully',
+            decision
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to link decision',
+            message: 'An error occurred while linking the decision'
+        });
+    }
+});
+
+router.delete('/:id/supersedes', decisionIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const decision = await DecisionLogService.unlinkDecision(req.user, req.params.id);
+
+        res.json({
+            message: 'Decision unlinked successfully',
+            decision
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to unlink decision',
+            message: 'An error occurred while unlinking the decision'
+        });
+    }
+});
+
+// Helper functions
+function convertToCSV(decisions) {
+    const rows = [[
+        'Decided At',
+        'Decision',
+        'Rationale',
+        'Alternatives Considered',
+        'Participants',
+        'Meeting',
+        'Status',
+        'Supersedes',
+        'Confidence',
+        'Source Quote'
+    ].join(',')];
+
+    decisions.forEach(decision => {
+        rows.push([
+            formatTimestamp(decision.decidedAt),
+            decision.statement,
+            decision.rationale || '',
+            decision.alternatives.join('; '),
+            decision.participants.map(participant => participant.name || participant.email).join('; '),
+            decision.meetingTitle || '',
+            decision.status,
+            decision.supersedes ? `${decision.supersedes.supersession} ${decision.supersedes.id}` : '',
+            decision.confidence !== null ? decision.confidence.toFixed(2) : '',
+            decision.sources.map(source => source.quote).filter(Boolean).join(' / ')
+        ].map(escapeCSV).join(','));
+    });
+
+    return rows.join('\n');
+}
+
+function convertToMarkdown(decisions) {
+    const lines = ['# Decision Log', ''];
+
+    decisions.forEach(decision => {
+        lines.push(`## ${decision.statement}`, '');
+        lines.push(`- **Decided:** ${formatTimestamp(decision.decidedAt)}${decision.meetingTitle ? ` in ${decision.meetingTitle}` : ''}`);
+        lines.push(`- **Status:** ${decision.status}`);
+
+        if (decision.participants.length > 0) {
+            lines.push(`- **Participants:** ${decision.participants.map(participant => participant.name || participant.email).join(', ')}`);
+        }
+        if (decision.rationale) {
+            lines.push(`- **Rationale:** ${decision.rationale}`);
+        }
+        if (decision.alternatives.length > 0) {
+            lines.push(`- **Alternatives considered:** ${decision.alternatives.join('; ')}`);
+        }
+        if (decision.supersedes) {
+            lines.push(`- **${decision.supersedes.supersession === 'reverses' ? 'Reverses' : 'Refines'}:** ${decision.supersedes.id}`);
+        }
+
+        const quotes = decision.sources.filter(source => source.quote);
+        if (quotes.length > 0) {
+            lines.push('');
+            quotes.forEach(source => {
+                lines.push(`> ${source.speaker ? `${source.speaker}: ` : ''}${source.quote}`);
+            });
+        }
+
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function formatTimestamp(value) {
+    return value ? new Date(value).toISOString() : '';
+}
+
+function escapeCSV(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = router;
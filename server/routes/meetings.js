@@ -0,0 +1,979 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+
+const MeetingService = require('../services/MeetingService');
+const TranscriptService = require('../services/TranscriptService');
+const TranscriptParser = require('../services/TranscriptParser');
+const AIOrchestrationService = require('../services/AIOrchestrationService');
+const RecordingService = require('../services/RecordingService');
+const ActionItemService = require('../services/ActionItemService');
+const DecisionLogService = require('../services/DecisionLogService');
+const MeetingSeriesService = require('../services/MeetingSeriesService');
+const { sendRecordingStream } = require('./recordings');
+
+const router = express.Router();
+
+// Rate limiting for meeting endpoints
+const meetingLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute
+    message: {
+        error: 'Rate limit exceeded',
+        message: 'Too many meeting requests. Please try again later.'
+    }
+});
+
+router.use(meetingLimiter);
+
+// Transcript uploads are parsed in memory
+const transcriptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// Recording chunks are sent as raw request bodies
+const recordingChunkBody = express.raw({
+    type: () => true,
+    limit: RecordingService.maxChunkSize
+});
+
+const PLATFORMS = ['zoom', 'teams', 'meet', 'webex', 'slack', 'other'];
+const MEETING_TYPES = ['business', 'sales', 'interview', 'training', 'other'];
+const STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+
+// Validation rules
+const meetingIdValidation = param('id').isUUID().withMessage('Invalid meeting ID');
+
+const meetingValidation = (isUpdate = false) => [
+    (isUpdate ? body('title').optional() : body('title'))
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Title must be between 1 and 255 characters'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('platform').optional().isIn(PLATFORMS).withMessage('Invalid platform'),
+    body('platformMeetingId').optional({ nullable: true }).isString().withMessage('Platform meeting ID must be a string'),
+    body('platformUrl').optional({ nullable: true }).isURL().withMessage('Platform URL must be a valid URL'),
+    body('startTime').optional({ nullable: true }).isISO8601().withMessage('Start time must be an ISO 8601 date'),
+    body('endTime').optional({ nullable: true }).isISO8601().withMessage('End time must be an ISO 8601 date'),
+    body('durationMinutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
+    body('meetingType').optional().isIn(MEETING_TYPES).withMessage('Invalid meeting type'),
+    body('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    body('participants').optional().isArray().withMessage('Participants must be an array'),
+    body('participants.*.email').optional().isEmail().withMessage('Participant email must be valid'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+    body('organizationId').optional().isUUID().withMessage('Invalid organization ID')
+];
+
+const seriesValidation = [
+    body('seriesId').optional().isUUID().withMessage('Invalid series ID'),
+    body('recurrenceId').optional().isString().isLength({ min: 1, max: 1024 }).withMessage('Recurrence ID must be a string'),
+    body('calendarProvider').optional().isIn(MeetingSeriesService.CALENDAR_PROVIDERS).withMessage('Invalid calendar provider')
+];
+
+const participantValidation = [
+    body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must not be empty'),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('userId').optional().isUUID().withMessage('Invalid user ID'),
+    body('role').optional().isIn(['host', 'participant', 'guest']).withMessage('Role must be host, participant or guest')
+];
+
+function checkValidation(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+}
+
+function handleError(res, error, fallback) {
+    if (error.name === 'NotFoundError') {
+        return res.status(404).json({
+            error: 'Not found',
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ForbiddenError') {
+        return res.status(403).json({
+            error: 'Access denied',
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ConflictError') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: error.message
+        });
+    }
+
+    if (error.name === 'BudgetExceededError') {
+        return res.status(402).json({
+            error: 'AI budget exceeded',
+            message: error.message,
+            budget: error.budget
+        });
+    }
+
+    if (error.code === 'blocked_content') {
+        return res.status(422).json({
+            error: 'Content blocked',
+            message: error.message
+        });
+    }
+
+    console.error(`${fallback.error}:`, error);
+    res.status(500).json(fallback);
+}
+
+// Create meeting
+router.post('/', meetingValidation(), seriesValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        let meeting = await MeetingService.createMeeting(req.user, req.body);
+
+        // Instances of a recurring calendar event join the event's series
+        if (req.body.seriesId || req.body.recurrenceId) {
+            meeting = await MeetingSeriesService.attachMeeting(req.user, meeting.id, req.body);
+        }
+
+        res.status(201).json({
+            message: 'Meeting created successfully',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to create meeting',
+            message: 'An error occurred while creating the meeting'
+        });
+    }
+});
+
+// List meetings
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    query('platform').optional().isIn(PLATFORMS).withMessage('Invalid platform'),
+    query('meetingType').optional().isIn(MEETING_TYPES).withMessage('Invalid meeting type'),
+    query('organizationId').optional().isUUID().withMessage('Invalid organization ID'),
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('search').optional().isString().withMessage('Search must be a string'),
+    query('archived').optional().isBoolean().withMessage('Archived must be a boolean'),
+    query('sortBy').optional().isIn(['start_time', 'created_at', 'updated_at', 'title']).withMessage('Invalid sort field'),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { page = 1, limit = 20, archived } = req.query;
+
+        const result = await MeetingService.listMeetings(req.user.id, {
+            ...req.query,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            archived: archived === 'true'
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve meetings',
+            message: 'An error occurred while retrieving your meetings'
+        });
+    }
+});
+
+// Get meeting
+router.get('/:id', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingService.getMeeting(req.user.id, req.params.id);
+
+        res.json({ meeting });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve meeting',
+            message: 'An error occurred while retrieving the meeting'
+        });
+    }
+});
+
+// Update meeting
+router.put('/:id', meetingIdValidation, meetingValidation(true), async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingService.updateMeeting(req.user.id, req.params.id, req.body);
+
+        req.app.get('io')?.to(`meeting_${meeting.id}`).emit('meeting_updated', {
+            meetingId: meeting.id,
+            userId: req.user.id,
+            timestamp: new Date().toISOString()
+        });
+
+        // Topics the meeting didn't get to carry forward to the series' next meeting
+        if (meeting.seriesId && req.body.status === 'completed') {
+            try {
+                await MeetingSeriesService.carryForward(req.user, meeting.id);
+            } catch (error) {
+                console.error('Failed to carry forward series agenda:', error);
+            }
+        }
+
+        res.json({
+            message: 'Meeting updated successfully',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to update meeting',
+            message: 'An error occurred while updating the meeting'
+        });
+    }
+});
+
+// Archive / unarchive meeting
+router.post('/:id/archive', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingService.archiveMeeting(req.user.id, req.params.id, true);
+
+        res.json({
+            message: 'Meeting archived successfully',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to archive meeting',
+            message: 'An error occurred while archiving the meeting'
+        });
+    }
+});
+
+router.delete('/:id/archive', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingService.archiveMeeting(req.user.id, req.params.id, false);
+
+        res.json({
+            message: 'Meeting restored successfully',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to restore meeting',
+            message: 'An error occurred while restoring the meeting'
+        });
+    }
+});
+
+// Delete meeting
+router.delete('/:id', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await MeetingService.deleteMeeting(req.user.id, req.params.id);
+
+        res.json({
+            message: 'Meeting deleted successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to delete meeting',
+            message: 'An error occurred while deleting the meeting'
+        });
+    }
+});
+
+// Participants
+router.get('/:id/participants', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const participants = await MeetingService.getParticipants(req.user.id, req.params.id);
+
+        res.json({ participants });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve participants',
+            message: 'An error occurred while retrieving meeting participants'
+        });
+    }
+});
+
+router.post('/:id/participants', meetingIdValidation, participantValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        if (!req.body.name && !req.body.email && !req.body.userId) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'A participant needs a name, email or user ID'
+            });
+        }
+
+        const participant = await MeetingService.addParticipant(req.user.id, req.params.id, req.body);
+
+        res.status(201).json({
+            message: 'Participant added successfully',
+            participant
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to add participant',
+            message: 'An error occurred while adding the participant'
+        });
+    }
+});
+
+router.put('/:id/participants/:participantId', meetingIdValidation, participantValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const participant = await MeetingService.updateParticipant(
+            req.user.id,
+            req.params.id,
+            req.params.participantId,
+            req.body
+        );
+
+        res.json({
+            message: 'Participant updated successfully',
+            participant
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to update participant',
+            message: 'An error occurred while updating the participant'
+        });
+    }
+});
+
+router.delete('/:id/participants/:participantId', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await MeetingService.removeParticipant(req.user.id, req.params.id, req.params.participantId);
+
+        res.json({
+            message: 'Participant removed successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to remove participant',
+            message: 'An error occurred while removing the participant'
+        });
+    }
+});
+
+// Attachments
+router.get('/:id/attachments', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const attachments = await MeetingService.getAttachments(req.user.id, req.params.id);
+
+        res.json({ attachments });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve attachments',
+            message: 'An error occurred while retrieving meeting attachments'
+        });
+    }
+});
+
+router.post('/:id/attachments', meetingIdValidation, [
+    body('fileName').trim().isLength({ min: 1, max: 255 }).withMessage('File name is required'),
+    body('fileUrl').isURL().withMessage('File URL must be a valid URL'),
+    body('contentType').optional().isString().withMessage('Content type must be a string'),
+    body('fileSize').optional().isInt({ min: 0 }).withMessage('File size must be a positive integer'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const attachment = await MeetingService.addAttachment(req.user.id, req.params.id, req.body);
+
+        res.status(201).json({
+            message: 'Attachment added successfully',
+            attachment
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to add attachment',
+            message: 'An error occurred while adding the attachment'
+        });
+    }
+});
+
+router.delete('/:id/attachments/:attachmentId', meetingIdValidation, [
+    param('attachmentId').isUUID().withMessage('Invalid attachment ID')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await MeetingService.removeAttachment(req.user.id, req.params.id, req.params.attachmentId);
+
+        res.json({
+            message: 'Attachment removed successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to remove attachment',
+            message: 'An error occurred while removing the attachment'
+        });
+    }
+});
+
+// Linked AI analyses
+router.get('/:id/analyses', meetingIdValidation, [
+    query('type').optional().isString().withMessage('Type must be a string'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { type, page = 1, limit = 20 } = req.query;
+
+        const analyses = await MeetingService.getAnalyses(req.user.id, req.params.id, {
+            analysisType: type,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            analyses,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve analyses',
+            message: 'An error occurred while retrieving meeting analyses'
+        });
+    }
+});
+
+// Transcript import
+router.post('/:id/transcript', meetingIdValidation, transcriptUpload.single('file'), [
+    body('format').optional().isIn(TranscriptParser.supportedFormats).withMessage('Unsupported transcript format'),
+    body('content').optional().isString().withMessage('Content must be a string'),
+    body('fileName').optional().isString().withMessage('File name must be a string')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        // Accept either a multipart upload or raw transcript text in the JSON body
+        const file = req.file ? {
+            content: req.file.buffer,
+            fileName: req.file.originalname,
+            format: req.body.format
+        } : {
+            content: req.body.content,
+            fileName: req.body.fileName,
+            format: req.body.format
+        };
+
+        if (!file.content || file.content.length === 0) {
+            return res.status(400).json({
+                error: 'Transcript required',
+                message: 'Upload a transcript file or provide transcript content'
+            });
+        }
+
+        const result = await TranscriptService.importTranscript(req.user.id, req.params.id, file);
+
+        req.app.get('io')?.to(`meeting_${req.params.id}`).emit('meeting_updated', {
+            meetingId: req.params.id,
+            userId: req.user.id,
+            transcriptImported: true,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json({
+            message: 'Transcript imported successfully',
+            transcript: result
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to import transcript',
+            message: 'An error occurred while importing the transcript'
+        });
+    }
+});
+
+router.get('/:id/transcript', meetingIdValidation, [
+    query('speaker').optional().isString().withMessage('Speaker must be a string'),
+    query('view').optional().isIn(['segments', 'analysis']).withMessage('View must be segments or analysis')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        if (req.query.view === 'analysis') {
+            const transcript = await TranscriptService.getTranscript(req.user.id, req.params.id);
+            return res.json({ transcript });
+        }
+
+        const segments = await TranscriptService.getSegments(req.user.id, req.params.id, {
+            speaker: req.query.speaker
+        });
+
+        res.json({ segments });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve transcript',
+            message: 'An error occurred while retrieving the transcript'
+        });
+    }
+});
+
+// Summarize the stored transcript; long meetings are summarized in chunks
+// and action items and decisions keep the time and speaker they came from.
+// Action items are saved as tracked action items and decisions to the
+// decision log.
+router.post('/:id/transcript/summary', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const transcript = await TranscriptService.getTranscript(req.user.id, req.params.id);
+        const summary = await AIOrchestrationService.summarizeTranscript(transcript, {
+            title: transcript.title,
+            request: {
+                userId: req.user.id,
+                organizationId: req.user.organizationId,
+                meetingId: req.params.id
+            }
+        });
+
+        const actionItems = await ActionItemService.recordExtracted(req.user, req.params.id, summary.actionItems, {
+            source: 'transcript'
+        });
+
+        const decisions = await DecisionLogService.recordExtracted(req.user, req.params.id, summary.decisions, {
+            source: 'transcript'
+        });
+
+        // With the transcript in, agenda topics the meeting discussed are covered
+        try {
+            await MeetingSeriesService.carryForward(req.user, req.params.id);
+        } catch (error) {
+            console.error('Failed to carry forward series agenda:', error);
+        }
+
+        res.json({ summary, actionItems, decisions });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to summarize transcript',
+            message: 'An error occurred while summarizing the transcript'
+        });
+    }
+});
+
+router.delete('/:id/transcript', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const deletedSegments = await TranscriptService.deleteTranscript(req.user.id, req.params.id);
+
+        res.json({
+            message: 'Transcript deleted successfully',
+            deletedSegments
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to delete transcript',
+            message: 'An error occurred while deleting the transcript'
+        });
+    }
+});
+
+// Action items
+router.get('/:id/action-items', meetingIdValidation, [
+    query('status').optional().isIn(ActionItemService.STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await MeetingService.verifyAccess(req.user.id, req.params.id);
+
+        const result = await ActionItemService.listActionItems(req.user, {
+            meetingId: req.params.id,
+            status: req.query.status,
+            limit: 100
+        });
+
+        res.json({ actionItems: result.actionItems });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve action items',
+            message: 'An error occurred while retrieving the meeting\'s action items'
+        });
+    }
+});
+
+router.post('/:id/action-items', meetingIdValidation, [
+    body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be between 1 and 2000 characters'),
+    body('owner').optional({ nullable: true }).isString().withMessage('Owner must be a name or email'),
+    body('dueDate').optional({ nullable: true }).isString().withMessage('Due date must be a date or a phrase like "next Friday"'),
+    body('priority').optional().isIn(ActionItemService.PRIORITIES).withMessage('Priority must be low, medium, or high')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const actionItem = await ActionItemService.createActionItem(req.user, req.params.id, req.body);
+
+        res.status(201).json({
+            message: 'Action item created successfully',
+            actionItem
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to create action item',
+            message: 'An error occurred while creating the action item'
+        });
+    }
+});
+
+// Open action items from earlier meetings with the same participants
+router.get('/:id/follow-ups', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const followUps = await ActionItemService.getFollowUps(req.user.id, req.params.id);
+
+        res.json({ followUps });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve follow-ups',
+            message: 'An error occurred while retrieving open items from earlier meetings'
+        });
+    }
+});
+
+// Decisions
+router.get('/:id/decisions', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await MeetingService.verifyAccess(req.user.id, req.params.id);
+
+        const result = await DecisionLogService.searchDecisions(req.user, {
+            meetingId: req.params.id,
+            limit: 100
+        });
+
+        res.json({ decisions: result.decisions });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve decisions',
+            message: 'An error occurred while retrieving the meeting\'s decisions'
+        });
+    }
+});
+
+router.post('/:id/decisions', meetingIdValidation, [
+    body('statement').trim().isLength({ min: 1, max: 2000 }).withMessage('Statement must be between 1 and 2000 characters'),
+    body('rationale').optional({ nullable: true }).isString().withMessage('Rationale must be a string'),
+    body('alternatives').optional().isArray().withMessage('Alternatives must be an array'),
+    body('alternatives.*').isString().withMessage('Alternatives must be strings'),
+    body('participants').optional().isArray().withMessage('Participants must be an array of names or emails'),
+    body('participants.*').isString().withMessage('Participants must be names or emails'),
+    body('supersedesId').optional().isUUID().withMessage('Invalid decision ID'),
+    body('supersession').optional().isIn(DecisionLogService.SUPERSESSIONS).withMessage('Supersession must be refines or reverses')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const decision = await DecisionLogService.createDecision(req.user, req.params.id, req.body);
+
+        res.status(201).json({
+            message: 'Decision recorded successfully',
+            decision
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to record decision',
+            message: 'An error occurred while recording the decision'
+        });
+    }
+});
+
+// Series
+router.put('/:id/series', meetingIdValidation, seriesValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingSeriesService.attachMeeting(req.user, req.params.id, req.body);
+
+        res.json({
+            message: 'Meeting added to series',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to add meeting to series',
+            message: 'An error occurred while adding the meeting to the series'
+        });
+    }
+});
+
+router.delete('/:id/series', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const meeting = await MeetingSeriesService.detachMeeting(req.user.id, req.params.id);
+
+        res.json({
+            message: 'Meeting removed from series',
+            meeting
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to remove meeting from series',
+            message: 'An error occurred while removing the meeting from the series'
+        });
+    }
+});
+
+// Recordings
+const recordingIdValidation = param('recordingId').isUUID().withMessage('Invalid recording ID');
+
+router.post('/:id/recordings', meetingIdValidation, [
+    body('recordingType').optional().isIn(['audio', 'screen', 'combined']).withMessage('Invalid recording type'),
+    body('mimeType').optional().matches(/^(audio|video)\/[\w.+-]+$/).withMessage('Invalid MIME type'),
+    body('transcriptOffsetSeconds').optional().isFloat().withMessage('Transcript offset must be a number'),
+    body('consent').isObject().withMessage('Consent is required'),
+    body('consent.confirmed').isBoolean().withMessage('Consent confirmation is required')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const recording = await RecordingService.createRecording(req.user.id, req.params.id, {
+            recordingType: req.body.recordingType,
+            mimeType: req.body.mimeType,
+            transcriptOffsetSeconds: req.body.transcriptOffsetSeconds,
+            consent: req.body.consent
+        });
+
+        res.status(201).json({
+            message: 'Recording created successfully',
+            recording
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to create recording',
+            message: 'An error occurred while creating the recording'
+        });
+    }
+});
+
+router.put('/:id/recordings/:recordingId/chunks/:index', meetingIdValidation, recordingIdValidation, [
+    param('index').isInt({ min: 0 }).withMessage('Chunk index must be a non-negative integer')
+], recordingChunkBody, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const chunk = await RecordingService.uploadChunk(
+            req.user.id,
+            req.params.id,
+            req.params.recordingId,
+            parseInt(req.params.index),
+            Buffer.isBuffer(req.body) ? req.body : null
+        );
+
+        res.json({ chunk });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to upload recording chunk',
+            message: 'An error occurred while uploading the recording chunk'
+        });
+    }
+});
+
+router.post('/:id/recordings/:recordingId/complete', meetingIdValidation, recordingIdValidation, [
+    body('chunkCount').optional().isInt({ min: 1 }).withMessage('Chunk count must be a positive integer'),
+    body('durationSeconds').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const recording = await RecordingService.completeRecording(req.user.id, req.params.id, req.params.recordingId, {
+            chunkCount: req.body.chunkCount !== undefined ? parseInt(req.body.chunkCount) : undefined,
+            durationSeconds: req.body.durationSeconds !== undefined ? parseFloat(req.body.durationSeconds) : undefined
+        });
+
+        req.app.get('io')?.to(`meeting_${req.params.id}`).emit('meeting_updated', {
+            meetingId: req.params.id,
+            userId: req.user.id,
+            recordingAdded: recording.id,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({
+            message: 'Recording uploaded successfully',
+            recording
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to complete recording',
+            message: 'An error occurred while completing the recording upload'
+        });
+    }
+});
+
+router.get('/:id/recordings', meetingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const recordings = await RecordingService.listRecordings(req.user.id, req.params.id);
+        res.json({ recordings });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve recordings',
+            message: 'An error occurred while retrieving meeting recordings'
+        });
+    }
+});
+
+router.get('/:id/recordings/:recordingId', meetingIdValidation, recordingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const recording = await RecordingService.getRecording(req.user.id, req.params.id, req.params.recordingId);
+        res.json({ recording });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve recording',
+            message: 'An error occurred while retrieving the recording'
+        });
+    }
+});
+
+// Byte-range streaming for clients that can send an Authorization header
+router.get('/:id/recordings/:recordingId/stream', meetingIdValidation, recordingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const result = await RecordingService.openStream(req.user.id, req.params.id, req.params.recordingId, req.headers.range);
+        sendRecordingStream(res, result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to stream recording',
+            message: 'An error occurred while streaming the recording'
+        });
+    }
+});
+
+// Signed URL for <audio>/<video> elements
+router.get('/:id/recordings/:recordingId/playback-url', meetingIdValidation, recordingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const token = await RecordingService.createPlaybackToken(req.user.id, req.params.id, req.params.recordingId);
+
+        res.json({
+            url: `/api/recordings/playback/${token}`,
+            expiresIn: RecordingService.playbackTokenTtl
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to create playback URL',
+            message: 'An error occurred while creating the playback URL'
+        });
+    }
+});
+
+router.delete('/:id/recordings/:recordingId', meetingIdValidation, recordingIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        await RecordingService.deleteRecording(req.user.id, req.params.id, req.params.recordingId);
+
+        res.json({
+            message: 'Recording deleted successfully'
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to delete recording',
+            message: 'An error occurred while deleting the recording'
+        });
+    }
+});
+
+// Recording timestamps of transcript segments, decisions and action items
+router.get('/:id/playback-offsets', meetingIdValidation, [
+    query('recordingId').optional().isUUID().withMessage('Invalid recording ID')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const offsets = await RecordingService.getPlaybackOffsets(req.user.id, req.params.id, req.query.recordingId || null);
+        res.json({ offsets });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve playback offsets',
+            message: 'An error occurred while retrieving playback offsets'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.checkValidation = checkValidation;
+module.exports.handleError = handleError;
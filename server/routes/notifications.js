@@ -2,8 +2,9 @@ const express = require('express');
 const { query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
+const DatabaseService = require('../services/DatabaseService');
 const NotificationService = require('../services/NotificationService');
-const { requireAuth } = require('../middleware/auth');
+const BriefingDeliveryService = require('../services/BriefingDeliveryService');
 
 const router = express.Router();
 
@@ -17,8 +18,7 @@ const notificationLimiter = rateLimit({
     }
 });
 
-// Apply authentication to all routes
-router.use(requireAuth);
+// Authentication is applied where the router is mounted
 router.use(notificationLimiter);
 
 // Get notification history
@@ -175,21 +175,7 @@ router.delete('/:id', async (req, res) => {
 // Get notification preferences
 router.get('/preferences', async (req, res) => {
     try {
-        const user = await DatabaseService.findById('users', req.user.id);
-        const preferences = user.notification_preferences || {
-            email: true,
-            push: true,
-            sms: false,
-            types: {
-                'ai.analysis.completed': { email: true, push: true },
-                'ai.analysis.failed': { email: true, push: true },
-                'meeting.started': { email: false, push: true },
-                'meeting.ended': { email: false, push: true },
-                'system.alert': { email: true, push: true },
-                'subscription.changed': { email: true, push: true },
-                'cost.alert': { email: true, push: true }
-            }
-        };
+        const preferences = await NotificationService.getPreferences(req.user.id);
 
         res.json({
             preferences
@@ -216,10 +202,25 @@ router.put('/preferences', async (req, res) => {
             });
         }
 
+        const invalid = NotificationService.validatePreferences(preferences);
+        if (invalid) {
+            return res.status(400).json({
+                error: 'Invalid preferences',
+                message: invalid
+            });
+        }
+
         await DatabaseService.update('users', req.user.id, {
             notification_preferences: preferences
         });
 
+        // Reschedule pending briefings for a new lead time; saving must not fail on it
+        try {
+            await BriefingDeliveryService.applyPreferences(req.user.id, preferences);
+        } catch (error) {
+            console.error('Failed to apply briefing preferences:', error);
+        }
+
         res.json({
             message: 'Notification preferences updated successfully',
             preferences
@@ -332,6 +333,12 @@ router.get('/types', async (req, res) => {
                 defaultPriority: 'low',
                 emailDefault: false
             },
+            'meeting.briefing': {
+                name: 'Meeting Briefing',
+                description: 'Briefing before a calendar meeting, sent again when its agenda or attendees change',
+                defaultPriority: 'medium',
+                emailDefault: true
+            },
             'system.alert': {
                 name: 'System Alert',
                 description: 'Important system notifications and alerts',
@@ -0,0 +1,75 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+
+const RecordingService = require('../services/RecordingService');
+
+const router = express.Router();
+
+// Write a RecordingService stream result as a full or partial (206) response
+function sendRecordingStream(res, result) {
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (!result.satisfiable) {
+        res.setHeader('Content-Range', `bytes */${result.size}`);
+        return res.status(416).json({
+            error: 'Range not satisfiable',
+            message: 'The requested byte range is outside the recording'
+        });
+    }
+
+    res.setHeader('Content-Type', result.mimeType);
+    res.setHeader('Content-Length', result.end - result.start + 1);
+
+    if (result.partial) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${result.start}-${result.end}/${result.size}`);
+    }
+
+    result.stream.on('error', () => res.destroy());
+    res.on('close', () => result.stream.destroy());
+    result.stream.pipe(res);
+}
+
+// Playback through a signed URL. Media elements can't send an Authorization
+// header, so this route is mounted without authMiddleware and authorized by
+// the short-lived token from GET /api/meetings/:id/recordings/:recordingId/playback-url.
+router.get('/playback/:token', [
+    param('token').isJWT().withMessage('Invalid playback token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const result = await RecordingService.openStreamWithToken(req.params.token, req.headers.range);
+        sendRecordingStream(res, result);
+
+    } catch (error) {
+        if (error.name === 'NotFoundError') {
+            return res.status(404).json({
+                error: 'Not found',
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({
+                error: 'Recording unavailable',
+                message: error.message
+            });
+        }
+
+        console.error('Failed to stream recording:', error);
+        res.status(500).json({
+            error: 'Failed to stream recording',
+            message: 'An error occurred while streaming the recording'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.sendRecordingStream = sendRecordingStream;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const MeetingSeriesService = require('../services/MeetingSeriesService');
+const { checkValidation, handleError } = require('./meetings');
+
+const router = express.Router();
+
+// Rate limiting for meeting series endpoints
+const seriesLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute
+    message: {
+        error: 'Rate limit exceeded',
+        message: 'Too many meeting series requests. Please try again later.'
+    }
+});
+
+router.use(seriesLimiter);
+
+const seriesIdValidation = param('id').isUUID().withMessage('Invalid series ID');
+
+const seriesValidation = (isUpdate = false) => [
+    (isUpdate ? body('title').optional() : body('title'))
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Title must be between 1 and 255 characters'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('cadence').optional().isIn(MeetingSeriesService.CADENCES).withMessage('Invalid cadence'),
+    body('calendarProvider').optional({ nullable: true }).isIn(MeetingSeriesService.CALENDAR_PROVIDERS).withMessage('Invalid calendar provider'),
+    body('recurrenceId').optional({ nullable: true }).isString().isLength({ min: 1, max: 1024 }).withMessage('Recurrence ID must be a string'),
+    body('recurrenceRule').optional({ nullable: true }).isString().withMessage('Recurrence rule must be an RRULE string'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+    body('organizationId').optional().isUUID().withMessage('Invalid organization ID')
+];
+
+// Create series
+router.post('/', seriesValidation(), async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const series = await MeetingSeriesService.createSeries(req.user, req.body);
+
+        res.status(201).json({
+            message: 'Meeting series created successfully',
+            series
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to create meeting series',
+            message: 'An error occurred while creating the meeting series'
+        });
+    }
+});
+
+// List series
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('organizationId').optional().isUUID().withMessage('Invalid organization ID'),
+    query('archived').optional().isBoolean().withMessage('Archived must be a boolean')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const { page = 1, limit = 20, archived } = req.query;
+
+        const result = await MeetingSeriesService.listSeries(req.user.id, {
+            ...req.query,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            archived: archived === 'true'
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve meeting series',
+            message: 'An error occurred while retrieving meeting series'
+        });
+    }
+});
+
+// Get series with its meetings
+router.get('/:id', seriesIdValidation, async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const series = await MeetingSeriesService.getSeries(req.user.id, req.params.id);
+
+        res.json({ series });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve meeting series',
+            message: 'An error occurred while retrieving the meeting series'
+        });
+    }
+});
+
+// Update series
+router.put('/:id', seriesIdValidation, seriesValidation(true), [
+    body('archived').optional().isBoolean().withMessage('Archived must be a boolean')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const series = await MeetingSeriesService.updateSeries(req.user.id, req.params.id, req.body);
+
+        res.json({
+            message: 'Meeting series updated successfully',
+            series
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to update meeting series',
+            message: 'An error occurred while updating the meeting series'
+        });
+    }
+});
+
+// Rolling agenda: open topics carried forward to the next meeting
+router.get('/:id/agenda', seriesIdValidation, [
+    query('includeClosed').optional().isBoolean().withMessage('Include closed must be a boolean')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const agenda = await MeetingSeriesService.getAgenda(req.user.id, req.params.id, {
+            includeClosed: req.query.includeClosed === 'true'
+        });
+
+        res.json(agenda);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve series agenda',
+            message: 'An error occurred while retrieving the series agenda'
+        });
+    }
+});
+
+router.post('/:id/agenda', seriesIdValidation, [
+    body('title').trim().isLength({ min: 1, max: 500 }).withMessage('Title must be between 1 and 500 characters'),
+    body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const item = await MeetingSeriesService.addAgendaItem(req.user, req.params.id, req.body);
+
+        res.status(201).json({
+            message: 'Agenda item added successfully',
+            item
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to add agenda item',
+            message: 'An error occurred while adding the agenda item'
+        });
+    }
+});
+
+router.put('/:id/agenda/:itemId', seriesIdValidation, [
+    param('itemId').isUUID().withMessage('Invalid agenda item ID'),
+    body('title').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Title must be between 1 and 500 characters'),
+    body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string'),
+    body('status').optional().isIn(MeetingSeriesService.AGENDA_STATUSES).withMessage('Status must be open, covered or dropped')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const item = await MeetingSeriesService.updateAgendaItem(req.user.id, req.params.id, req.params.itemId, req.body);
+
+        res.json({
+            message: 'Agenda item updated successfully',
+            item
+        });
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to update agenda item',
+            message: 'An error occurred while updating the agenda item'
+        });
+    }
+});
+
+// Duration, engagement, decision rate and action item completion over the
+// series' recent meetings
+router.get('/:id/trends', seriesIdValidation, [
+    query('limit').optional().isInt({ min: 2, max: 52 }).withMessage('Limit must be between 2 and 52')
+], async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const trends = await MeetingSeriesService.getTrends(req.user.id, req.params.id, {
+            limit: parseInt(req.query.limit || 12)
+        });
+
+        res.json(trends);
+
+    } catch (error) {
+        handleError(res, error, {
+            error: 'Failed to retrieve series trends',
+            message: 'An error occurred while retrieving series trends'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,29 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProviderRegistry } = require('../../backend/ai/provider-registry');
+const { getStructuredOutputService } = require('../../backend/ai/structured-output');
+const { TranscriptSummarizer } = require('../../backend/ai/transcript-summarizer');
 const DatabaseService = require('./DatabaseService');
+const CostLedgerService = require('./CostLedgerService');
+const TranscriptParser = require('./TranscriptParser');
 const EventEmitter = require('events');
 
+// Analysis types answered as JSON, by output schema
+const STRUCTURED_TASKS = {
+    'meeting_summary': 'summary',
+    'action_items': 'action_items',
+    'decisions': 'decisions',
+    'coaching_tip': 'coaching_tip',
+    'opportunities': 'opportunity'
+};
+
+// Summary model for requests over a soft budget limit
+const BUDGET_SUMMARY_MODEL = process.env.AI_BUDGET_SUMMARY_MODEL || 'grok-4-fast';
+
 class AIOrchestrationService extends EventEmitter {
     constructor() {
         super();
-        this.models = new Map();
+        this.registry = null;
+        this.structuredOutput = null;
+        this.transcriptSummarizer = null;
         this.activeJobs = new Map();
         this.costTracker = {
             daily: 0,
@@ -26,44 +42,65 @@ class AIOrchestrationService extends EventEmitter {
 
     async initializeProviders() {
         try {
-            // Initialize OpenAI
-            if (process.env.OPENAI_API_KEY) {
-                this.models.set('openai', new OpenAI({
-                    apiKey: process.env.OPENAI_API_KEY
-                }));
-                console.log('✅ OpenAI provider initialized');
-            }
-
-            // Initialize Anthropic
-            if (process.env.ANTHROPIC_API_KEY) {
-                this.models.set('anthropic', new Anthropic({
-                    apiKey: process.env.ANTHROPIC_API_KEY
-                }));
-                console.log('✅ Anthropic provider initialized');
-            }
+            // Provider calls, health and rate limits are shared with the
+            // backend AI clients through one provider registry
+            this.registry = getProviderRegistry();
+            this.structuredOutput = getStructuredOutputService();
+            this.transcriptSummarizer = new TranscriptSummarizer({
+                registry: this.registry,
+                structuredOutput: this.structuredOutput
+            });
 
-            // Initialize Google AI
-            if (process.env.GOOGLE_AI_API_KEY) {
-                this.models.set('google', new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY));
-                console.log('✅ Google AI provider initialized');
+            // Prompts are redacted under the organization's policy, stored
+            // in organizations.settings.aiRedaction
+            this.redactor = this.registry.redactor;
+            if (this.redactor) {
+                this.redactor.setPolicyLoader(organizationId => this.loadRedactionPolicy(organizationId));
             }
 
-            // Initialize AIMLAPI
-            if (process.env.AIMLAPI_KEY) {
-                this.models.set('aimlapi', new OpenAI({
-                    apiKey: process.env.AIMLAPI_KEY,
-                    baseURL: 'https://api.aimlapi.com/v1'
-                }));
-                console.log('✅ AIMLAPI provider initialized');
-            }
+            const configured = this.getAvailableModels();
+            configured.forEach(name => console.log(`✅ ${name} provider initialized`));
 
-            console.log(`🤖 AI Orchestration Service initialized with ${this.models.size} providers`);
+            console.log(`🤖 AI Orchestration Service initialized with ${configured.length} providers`);
         } catch (error) {
             console.error('❌ Failed to initialize AI providers:', error);
             throw error;
         }
     }
 
+    async loadRedactionPolicy(organizationId) {
+        const organization = await DatabaseService.findById('organizations', organizationId);
+        return organization?.settings?.aiRedaction || null;
+    }
+
+    async getRedactionPolicy(organizationId) {
+        return this.redactor ? this.redactor.getPolicy(organizationId) : null;
+    }
+
+    // Store an organization's redaction policy; it applies from the next call
+    // here and within the policy TTL on other instances
+    async setRedactionPolicy(organizationId, policy) {
+        await DatabaseService.query(`
+            UPDATE organizations
+            SET settings = jsonb_set(COALESCE(settings, '{}'::jsonb), '{aiRedaction}', $2::jsonb)
+            WHERE id = $1
+        `, [organizationId, JSON.stringify(policy)]);
+
+        if (this.redactor) {
+            this.redactor.invalidatePolicy(organizationId);
+        }
+
+        return this.getRedactionPolicy(organizationId);
+    }
+
+    getAvailableModels() {
+        return this.registry.list().filter(name => this.registry.isAvailable(name));
+    }
+
+    hasModel(modelName) {
+        return this.registry.isAvailable(modelName);
+    }
+
     setupCostMonitoring() {
         // Reset daily costs at midnight
         const now = new Date();
@@ -84,6 +121,10 @@ class AIOrchestrationService extends EventEmitter {
     async processWithMultiModel(request) {
         const jobId = this.generateJobId();
         const startTime = Date.now();
+
+        // Rejects once a hard budget limit has been reached
+        const budget = await CostLedgerService.enforceBudget(request);
+        request = this.applyBudget({ ...request, jobId }, budget);
         
         try {
             this.activeJobs.set(jobId, {
@@ -109,6 +150,9 @@ class AIOrchestrationService extends EventEmitter {
                 case 'specialized':
                     result = await this.processSpecialized(request);
                     break;
+                case 'map_reduce':
+                    result = await this.processMapReduce(request);
+                    break;
                 default:
                     result = await this.processSingle(request);
             }
@@ -124,7 +168,12 @@ class AIOrchestrationService extends EventEmitter {
                 result,
                 duration,
                 strategy,
-                cost: result.totalCost || 0
+                cost: result.totalCost || 0,
+                budget: {
+                    status: budget.status,
+                    downgraded: Boolean(request.downgraded),
+                    limits: budget.limits
+                }
             };
 
         } catch (error) {
@@ -135,9 +184,35 @@ class AIOrchestrationService extends EventEmitter {
         }
     }
 
+    // Over a soft budget limit a request is answered by one low-cost model
+    // instead of several or a premium one
+    applyBudget(request, budget) {
+        if (budget.status !== 'soft_limit') {
+            return { ...request, budgetStatus: budget.status };
+        }
+
+        return {
+            ...request,
+            budget: 'low',
+            priority: 'low',
+            complexity: 'low',
+            budgetStatus: budget.status,
+            downgraded: true
+        };
+    }
+
     selectProcessingStrategy(request) {
         const { type, priority, complexity, budget } = request;
 
+        // Transcripts too long for one prompt are summarized in chunks
+        if (type === 'meeting_summary' && this.transcriptSummarizer.needsChunking(request.content)) {
+            return 'map_reduce';
+        }
+
+        if (request.downgraded) {
+            return 'single';
+        }
+
         // High-priority requests get consensus processing
         if (priority === 'high' || type === 'interview_analysis') {
             return 'consensus';
@@ -167,6 +242,7 @@ class AIOrchestrationService extends EventEmitter {
         const promises = models.map(model => this.processWithModel(model, request));
         
         const results = await Promise.allSettled(promises);
+        this.rethrowBlocked(results);
         const successfulResults = results
             .filter(result => result.status === 'fulfilled')
             .map(result => result.value);
@@ -197,6 +273,9 @@ class AIOrchestrationService extends EventEmitter {
                     break;
                 }
             } catch (error) {
+                if (error.code === 'blocked_content') {
+                    throw error;
+                }
                 console.warn(`Model ${model} failed, trying next:`, error.message);
                 continue;
             }
@@ -218,6 +297,7 @@ class AIOrchestrationService extends EventEmitter {
         const promises = models.map(model => this.processWithModel(model, request));
         
         const results = await Promise.allSettled(promises);
+        this.rethrowBlocked(results);
         const successfulResults = results
             .filter(result => result.status === 'fulfilled')
             .map(result => result.value);
@@ -226,7 +306,7 @@ class AIOrchestrationService extends EventEmitter {
             throw new Error('Consensus requires at least 2 successful results');
         }
 
-        return this.buildConsensus(successfulResults);
+        return this.buildConsensus(successfulResults, request);
     }
 
     async processSpecialized(request) {
@@ -249,116 +329,189 @@ class AIOrchestrationService extends EventEmitter {
         };
     }
 
-    async processWithModel(modelName, request) {
+    async processMapReduce(request) {
+        let transcript = request.content;
+
+        // Parse pasted VTT/SRT/speaker-labelled text so summaries keep timestamps
+        try {
+            const { segments } = await TranscriptParser.parse(request.content);
+            transcript = segments;
+        } catch (error) {
+            console.warn('Summarizing transcript as plain text:', error.message);
+        }
+
+        return this.formatSummaryResult(await this.summarizeTranscript(transcript, { title: request.context, request }));
+    }
+
+    /**
+     * Map-reduce summary of a transcript (text, segments or the meetingData
+     * from TranscriptService.getTranscript). options.request carries the
+     * userId, organizationId and meetingId the spend is charged to.
+     */
+    async summarizeTranscript(transcript, options = {}) {
+        const { request: context = {}, ...summaryOptions } = options;
+        const request = context.budgetStatus
+            ? context
+            : this.applyBudget(context, await CostLedgerService.enforceBudget(context));
+
+        if (request.downgraded) {
+            summaryOptions.model = BUDGET_SUMMARY_MODEL;
+        }
+
+        const summary = await this.transcriptSummarizer.summarize(transcript, {
+            ...summaryOptions,
+            redaction: { tenantId: request.organizationId }
+        });
+
+        if (summary.stats.cost) {
+            this.trackCost(summary.stats.cost);
+        }
+
+        await this.recordUsage({ ...request, type: 'meeting_summary' }, {
+            provider: summary.stats.provider,
+            model: summary.stats.model,
+            usage: summary.stats.usage,
+            cost: summary.stats.cost || 0
+        });
+
+        return summary;
+    }
+
+    formatSummaryResult(summary) {
+        const { stats } = summary;
+
+        return {
+            model: stats.provider,
+            result: summary.summary,
+            data: summary,
+            validation: {
+                schema: 'summary',
+                valid: !summary.degraded,
+                repaired: false,
+                degraded: summary.degraded,
+                attempts: stats.calls,
+                errors: []
+            },
+            // Chunks lost along the way lower confidence in the whole
+            confidence: Math.max(0.1, (summary.degraded ? 0.5 : 0.85) * (1 - stats.failedChunks.length / stats.chunks)),
+            duration: stats.durationMs,
+            cost: stats.cost || 0,
+            totalCost: stats.cost || 0,
+            usage: stats.usage,
+            strategy: 'map_reduce'
+        };
+    }
+
+    /**
+     * Stream a single-model response. onDelta(text) receives text as it
+     * arrives; aborting signal cancels the request (rejects with code 'cancelled').
+     */
+    async processStreaming(request, { onDelta, signal } = {}) {
+        const budget = await CostLedgerService.enforceBudget(request);
+        request = this.applyBudget(request, budget);
+
+        const model = this.selectOptimalModel(request);
+        const result = await this.processWithModel(model, request, { stream: true, onDelta, signal });
+
+        return {
+            ...result,
+            strategy: 'single'
+        };
+    }
+
+    // Redaction policy is per organization, so content blocked for one model
+    // is blocked for all of them; report that instead of a generic failure
+    rethrowBlocked(results) {
+        const blocked = results.find(result => result.status === 'rejected' && result.reason?.code === 'blocked_content');
+        if (blocked) {
+            throw blocked.reason;
+        }
+    }
+
+    async processWithModel(modelName, request, streamOptions = {}) {
         const startTime = Date.now();
-        const provider = this.models.get(modelName);
         
-        if (!provider) {
+        if (!this.registry.has(modelName)) {
             throw new Error(`Model ${modelName} not available`);
         }
 
         try {
-            let result;
             const modelConfig = this.getModelConfig(modelName, request.type);
+            const providerRequest = {
+                model: modelConfig.model,
+                messages: this.buildMessages(request),
+                temperature: modelConfig.temperature,
+                maxTokens: modelConfig.maxTokens,
+                topP: modelConfig.topP,
+                frequencyPenalty: modelConfig.frequencyPenalty,
+                presencePenalty: modelConfig.presencePenalty
+            };
 
-            switch (modelName) {
-                case 'openai':
-                case 'aimlapi':
-                    result = await this.processWithOpenAI(provider, request, modelConfig);
-                    break;
-                case 'anthropic':
-                    result = await this.processWithAnthropic(provider, request, modelConfig);
-                    break;
-                case 'google':
-                    result = await this.processWithGoogle(provider, request, modelConfig);
-                    break;
-                default:
-                    throw new Error(`Unsupported model: ${modelName}`);
-            }
+            // Structured tasks are validated against their schema and repaired;
+            // streamed text is passed through as it arrives
+            const task = STRUCTURED_TASKS[request.type];
+            const redaction = { tenantId: request.organizationId };
+            const structured = task && !streamOptions.stream
+                ? await this.structuredOutput.complete(modelName, providerRequest, { task, registry: this.registry, redaction })
+                : null;
+            const response = structured
+                ? { ...structured.response, usage: structured.usage }
+                : await this.registry.complete(modelName, providerRequest, { ...streamOptions, redaction });
 
             const duration = Date.now() - startTime;
-            const cost = this.calculateCost(modelName, result.usage);
+            const cost = this.calculateCost(modelName, modelConfig.model, response.usage);
             
             this.trackCost(cost);
+            await this.recordUsage(request, {
+                provider: modelName,
+                model: response.model || modelConfig.model,
+                usage: response.usage,
+                cost,
+                cached: Boolean(response.cache)
+            });
 
-            return {
+            const result = {
                 model: modelName,
-                result: result.content,
-                confidence: result.confidence || 0.8,
+                result: response.content,
+                confidence: this.calculateConfidence(response),
                 duration,
                 cost,
-                usage: result.usage
+                usage: response.usage
             };
 
+            if (structured) {
+                result.data = structured.data;
+                result.validation = {
+                    schema: structured.task,
+                    valid: structured.valid,
+                    repaired: structured.repaired,
+                    degraded: structured.degraded,
+                    attempts: structured.attempts,
+                    errors: structured.errors
+                };
+                // A degraded answer should not outrank a valid one in synthesis
+                if (structured.degraded) {
+                    result.confidence *= 0.5;
+                }
+            }
+
+            return result;
+
         } catch (error) {
-            console.error(`❌ Error processing with ${modelName}:`, error);
+            if (error.code !== 'cancelled' && error.code !== 'blocked_content') {
+                console.error(`❌ Error processing with ${modelName}:`, error);
+            }
             throw error;
         }
     }
 
-    async processWithOpenAI(client, request, config) {
-        const messages = this.buildMessages(request);
-        
-        const completion = await client.chat.completions.create({
-            model: config.model,
-            messages,
-            temperature: config.temperature,
-            max_tokens: config.maxTokens,
-            top_p: config.topP,
-            frequency_penalty: config.frequencyPenalty,
-            presence_penalty: config.presencePenalty
-        });
-
-        return {
-            content: completion.choices[0].message.content,
-            usage: completion.usage,
-            confidence: this.calculateConfidence(completion)
-        };
-    }
-
-    async processWithAnthropic(client, request, config) {
-        const messages = this.buildMessages(request, 'anthropic');
-        
-        const completion = await client.messages.create({
-            model: config.model,
-            max_tokens: config.maxTokens,
-            temperature: config.temperature,
-            messages
-        });
-
-        return {
-            content: completion.content[0].text,
-            usage: {
-                prompt_tokens: completion.usage.input_tokens,
-                completion_tokens: completion.usage.output_tokens,
-                total_tokens: completion.usage.input_tokens + completion.usage.output_tokens
-            },
-            confidence: this.calculateConfidence(completion)
-        };
-    }
-
-    async processWithGoogle(client, request, config) {
-        const model = client.getGenerativeModel({ model: config.model });
-        const prompt = this.buildPrompt(request);
-        
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        
-        return {
-            content: response.text(),
-            usage: {
-                prompt_tokens: response.usage?.promptTokenCount || 0,
-                completion_tokens: response.usage?.candidatesTokenCount || 0,
-                total_tokens: response.usage?.totalTokenCount || 0
-            },
-            confidence: this.calculateConfidence(response)
-        };
-    }
-
     selectModelsForTask(taskType) {
         const taskModelMap = {
             'meeting_summary': ['openai', 'anthropic', 'aimlapi'],
             'action_items': ['openai', 'aimlapi'],
+            'decisions': ['openai', 'anthropic', 'aimlapi'],
+            'coaching_tip': ['openai', 'anthropic', 'aimlapi'],
+            'opportunities': ['openai', 'anthropic', 'aimlapi'],
             'sentiment_analysis': ['anthropic', 'google', 'aimlapi'],
             'interview_analysis': ['openai', 'anthropic', 'aimlapi'],
             'legal_analysis': ['anthropic', 'openai'],
@@ -371,7 +524,7 @@ class AIOrchestrationService extends EventEmitter {
         };
 
         const models = taskModelMap[taskType] || taskModelMap.default;
-        return models.filter(model => this.models.has(model));
+        return models.filter(model => this.hasModel(model));
     }
 
     selectSpecializedModel(taskType) {
@@ -385,7 +538,7 @@ class AIOrchestrationService extends EventEmitter {
         };
 
         const model = specializedMap[taskType] || 'aimlapi';
-        return this.models.has(model) ? model : 'aimlapi';
+        return this.hasModel(model) ? model : 'aimlapi';
     }
 
     selectOptimalModel(request) {
@@ -457,36 +610,25 @@ class AIOrchestrationService extends EventEmitter {
         return config;
     }
 
-    buildMessages(request, format = 'openai') {
+    buildMessages(request) {
         const { type, content, context, instructions } = request;
         
         const systemPrompt = this.getSystemPrompt(type);
         const userPrompt = this.buildUserPrompt(content, context, instructions);
 
-        if (format === 'anthropic') {
-            return [
-                { role: 'user', content: `${systemPrompt}\n\n${userPrompt}` }
-            ];
-        }
-
         return [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: userPrompt }
         ];
     }
 
-    buildPrompt(request) {
-        const { type, content, context, instructions } = request;
-        const systemPrompt = this.getSystemPrompt(type);
-        const userPrompt = this.buildUserPrompt(content, context, instructions);
-        
-        return `${systemPrompt}\n\n${userPrompt}`;
-    }
-
     getSystemPrompt(taskType) {
         const prompts = {
             'meeting_summary': 'You are an expert meeting analyst. Create comprehensive, actionable summaries that capture key decisions, action items, and next steps.',
             'action_items': 'You are a task management expert. Extract and organize action items with clear ownership, deadlines, and priorities.',
+            'decisions': 'You are an expert meeting analyst. Identify every decision the meeting reached, who made it, and the rationale and alternatives discussed.',
+            'coaching_tip': 'You are an expert meeting coach. Give the single most useful tip for improving the meeting right now, who it is for, and why.',
+            'opportunities': 'You are a business development expert. Identify sales, partnership and follow-up opportunities raised in the meeting, with their estimated value and the next action to take.',
             'sentiment_analysis': 'You are an emotional intelligence expert. Analyze sentiment, engagement levels, and team dynamics with nuanced insights.',
             'interview_analysis': 'You are a hiring expert. Provide detailed candidate assessments including strengths, concerns, cultural fit, and hiring recommendations.',
             'legal_analysis': 'You are a legal expert. Analyze content for legal implications, risks, and compliance requirements with precision.',
@@ -545,16 +687,20 @@ class AIOrchestrationService extends EventEmitter {
         };
     }
 
-    async buildConsensus(results) {
+    async buildConsensus(results, request = {}) {
         // For consensus, we need at least 2 results
         if (results.length < 2) {
             return results[0];
         }
 
         // Use the highest confidence model to synthesize consensus
-        const synthesizer = this.models.get('anthropic') || this.models.get('openai');
+        const synthesizer = this.hasModel('anthropic') ? 'anthropic' : 'openai';
         
         const consensusPrompt = {
+            userId: request.userId,
+            organizationId: request.organizationId,
+            meetingId: request.meetingId,
+            jobId: request.jobId,
             type: 'consensus_building',
             content: JSON.stringify(results.map(r => ({
                 model: r.model,
@@ -564,7 +710,7 @@ class AIOrchestrationService extends EventEmitter {
             instructions: 'Analyze these AI model results and create a consensus response that incorporates the best insights from each. Highlight areas of agreement and note any significant disagreements.'
         };
 
-        const consensus = await this.processWithModel('anthropic', consensusPrompt);
+        const consensus = await this.processWithModel(synthesizer, consensusPrompt);
         
         return {
             result: consensus.result,
@@ -581,24 +727,24 @@ class AIOrchestrationService extends EventEmitter {
         let confidence = 0.8; // Base confidence
 
         // Adjust based on response length (longer responses often more confident)
-        if (response.choices?.[0]?.message?.content?.length > 500) {
+        if (response.content?.length > 500) {
             confidence += 0.05;
         }
 
         // Adjust based on finish reason
-        if (response.choices?.[0]?.finish_reason === 'stop') {
+        if (response.finishReason === 'stop') {
             confidence += 0.05;
         }
 
         // Adjust based on usage efficiency
-        if (response.usage?.completion_tokens < response.usage?.prompt_tokens) {
+        if (response.usage?.completionTokens < response.usage?.promptTokens) {
             confidence -= 0.05;
         }
 
         return Math.min(0.99, Math.max(0.1, confidence));
     }
 
-    calculateCost(modelName, usage) {
+    calculateCost(modelName, model, usage) {
         const pricing = {
             openai: {
                 'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
@@ -615,10 +761,10 @@ class AIOrchestrationService extends EventEmitter {
             }
         };
 
-        const modelPricing = pricing[modelName]?.['gpt-4o-mini'] || { input: 0.001, output: 0.002 };
+        const modelPricing = pricing[modelName]?.[model] || { input: 0.001, output: 0.002 };
         
-        const inputCost = (usage.prompt_tokens / 1000) * modelPricing.input;
-        const outputCost = (usage.completion_tokens / 1000) * modelPricing.output;
+        const inputCost = (usage.promptTokens / 1000) * modelPricing.input;
+        const outputCost = (usage.completionTokens / 1000) * modelPricing.output;
         
         return inputCost + outputCost;
     }
@@ -638,6 +784,24 @@ class AIOrchestrationService extends EventEmitter {
         }
     }
 
+    // Writes a provider call to the cost ledger. The answer has been paid for
+    // by now, so a failed write is logged rather than failing the request.
+    async recordUsage(request, call) {
+        try {
+            await CostLedgerService.record({
+                organizationId: request.organizationId,
+                userId: request.userId,
+                meetingId: request.meetingId,
+                jobId: request.jobId,
+                task: request.type,
+                downgraded: Boolean(request.downgraded),
+                ...call
+            });
+        } catch (error) {
+            console.error('Failed to record AI cost:', error);
+        }
+    }
+
     updatePerformanceMetrics(duration, success) {
         this.performanceMetrics.totalRequests++;
         
@@ -686,9 +850,11 @@ class AIOrchestrationService extends EventEmitter {
     getStatus() {
         return {
             activeJobs: this.activeJobs.size,
-            availableModels: Array.from(this.models.keys()),
+            availableModels: this.getAvailableModels(),
             costTracker: this.costTracker,
-            performanceMetrics: this.performanceMetrics
+            performanceMetrics: this.performanceMetrics,
+            structuredOutputs: this.structuredOutput.getMetrics(),
+            redaction: this.redactor ? this.redactor.getStats() : null
         };
     }
 }
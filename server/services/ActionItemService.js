@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+
+const DatabaseService = require('./DatabaseService');
+const MeetingService = require('./MeetingService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const STATUSES = ['open', 'in_progress', 'done', 'cancelled'];
+const OPEN_STATUSES = ['open', 'in_progress'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const SOURCES = ['transcript', 'analysis', 'manual'];
+
+// Allowed status changes; finished items can only be reopened
+const STATUS_TRANSITIONS = {
+    open: ['in_progress', 'done', 'cancelled'],
+    in_progress: ['open', 'done', 'cancelled'],
+    done: ['open'],
+    cancelled: ['open']
+};
+
+// Items a speaker volunteered for ("I'll send the deck") belong to the speaker
+const SELF_ASSIGNMENT_PATTERN = /^\s*(?:i'?ll|i will|i can|i'm going to|i am going to|let me)\b/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\\.?';
+
+// Due date phrases, tried in order. Each parser gets the match and the
+// reference date (UTC midnight) and returns the due date.
+const DUE_DATE_PATTERNS = [
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, match => utcDate(+match[1], +match[2] - 1, +match[3])],
+    [/\b(?:today|tonight|end of (?:the )?day|eod|cob|close of business)\b/i, (match, ref) => ref],
+    [/\btomorrow\b/i, (match, ref) => addDays(ref, 1)],
+    [/\b(?:end of (?:the |this )?week|eow)\b/i, (match, ref) => nextWeekday(ref, 5, true)],
+    [/\bnext week\b/i, (match, ref) => nextWeekday(ref, 1, false)],
+    [/\b(?:end of (?:the |this )?month|eom)\b/i, (match, ref) => utcDate(ref.getUTCFullYear(), ref.getUTCMonth() + 1, 0)],
+    [/\bend of (?:the |this )?quarter\b/i, (match, ref) => utcDate(ref.getUTCFullYear(), Math.floor(ref.getUTCMonth() / 3) * 3 + 3, 0)],
+    [/\bin (\d+|a|an|one|two|three|four) (day|week|month)s?\b/i, (match, ref) => {
+        const count = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4 }[match[1].toLowerCase()] || parseInt(match[1]);
+        const unit = match[2].toLowerCase();
+        if (unit === 'month') {
+            return utcDate(ref.getUTCFullYear(), ref.getUTCMonth() + count, ref.getUTCDate());
+        }
+        return addDays(ref, unit === 'week' ? count * 7 : count);
+    }],
+    // "next Friday" is the Friday of next week
+    [new RegExp(`\\bnext ${WEEKDAY}\\b`, 'i'), (match, ref) => {
+        const weekday = weekdayIndex(match[1]);
+        const date = nextWeekday(ref, weekday, false);
+        return weekday > ref.getUTCDay() ? addDays(date, 7) : date;
+    }],
+    [new RegExp(`\\b${WEEKDAY}\\b`, 'i'), (match, ref) => nextWeekday(ref, weekdayIndex(match[1]), true)],
+    [new RegExp(`\\b${MONTH} (\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), (match, ref) => upcoming(ref, monthIndex(match[1]), +match[2])],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}`, 'i'), (match, ref) => upcoming(ref, monthIndex(match[2]), +match[1])],
+    // Numeric dates are month/day, and only after a word that introduces a date
+    [/\b(?:by|on|due|before|until) (\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/i, (match, ref) => {
+        if (!match[3]) {
+            return upcoming(ref, +match[1] - 1, +match[2]);
+        }
+        const date = utcDate(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[1] - 1, +match[2]);
+        return date.getUTCDate() === +match[2] ? date : null;
+    }]
+];
+
+class ActionItemService {
+    // Save action items extracted by the transcript summarizer or an
+    // action_items / meeting_summary analysis. Items already extracted for
+    // the meeting are left as they are, so edits survive a re-run.
+    async recordExtracted(user, meetingId, items = [], options = {}) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId);
+        const participants = await MeetingService.loadParticipants(meeting);
+        const reference = this.getReferenceDate(meeting);
+        const source = SOURCES.includes(options.source) ? options.source : 'analysis';
+
+        const created = [];
+        let skipped = 0;
+
+        for (const item of items.map(extracted => this.normalizeExtracted(extracted)).filter(Boolean)) {
+            const owner = MeetingService.resolveParticipant(item.owner || this.getVolunteer(item), participants);
+            const due = this.parseDueDate(item.dueDate, reference) || this.parseDueDate(item.description, reference);
+
+            const row = await this.insertItem({
+                meeting_id: meetingId,
+                organization_id: meeting.organization_id,
+                created_by: user.id,
+                description: item.description,
+                fingerprint: this.fingerprint(item.description),
+                ...this.ownerColumns(owner),
+                due_date: due ? due.date : null,
+                due_text: due ? due.text : null,
+                priority: PRIORITIES.includes(item.priority) ? item.priority : 'medium',
+                status: item.status === 'done' ? 'done' : 'open',
+                source,
+                sources: JSON.stringify(item.sources),
+                completed_at: item.status === 'done' ? new Date() : null
+            });
+
+            if (row) {
+                created.push(this.formatActionItem(row));
+            } else {
+                skipped++;
+            }
+        }
+
+        return { created, skipped };
+    }
+
+    async createActionItem(user, meetingId, data) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId);
+        const owner = data.owner ? MeetingService.resolveParticipant(data.owner, await MeetingService.loadParticipants(meeting)) : null;
+        const due = data.dueDate ? this.parseDueDate(data.dueDate, this.getToday()) : null;
+
+        if (data.dueDate && !due) {
+            throw new ValidationError(`Could not understand the due date "${data.dueDate}"`);
+        }
+
+        const row = await this.insertItem({
+            meeting_id: meetingId,
+            organization_id: meeting.organization_id,
+            created_by: user.id,
+            description: data.description.trim(),
+            fingerprint: this.fingerprint(data.description),
+            ...this.ownerColumns(owner),
+            due_date: due ? due.date : null,
+            due_text: due ? due.text : null,
+            priority: data.priority || 'medium',
+            status: 'open',
+            source: 'manual',
+            sources: JSON.stringify([])
+        });
+
+        if (!row) {
+            throw new ConflictError('This meeting already has an action item with the same description');
+        }
+
+        return this.formatActionItem(row);
+    }
+
+    async listActionItems(user, filters = {}) {
+        const {
+            meetingId,
+            status,
+            owner,
+            overdue,
+            dueBefore,
+            page = 1,
+            limit = 50
+        } = filters;
+
+        let whereClause = `WHERE (ai.owner_user_id = $1 OR m.user_id = $1 OR m.organization_id IN (
+            SELECT organization_id FROM user_organizations WHERE user_id = $1
+        ))`;
+        const params = [user.id];
+        let paramIndex = 2;
+
+        if (meetingId) {
+            whereClause += ` AND ai.meeting_id = $${paramIndex}`;
+            params.push(meetingId);
+            paramIndex++;
+        }
+
+        // 'open' covers items in progress too
+        const statuses = status === 'open' ? OPEN_STATUSES : status ? [status] : null;
+        if (statuses) {
+            whereClause += ` AND ai.status = ANY($${paramIndex})`;
+            params.push(statuses);
+            paramIndex++;
+        }
+
+        if (owner === 'me') {
+            whereClause += ` AND (ai.owner_user_id = $1 OR ai.owner_email = $${paramIndex})`;
+            params.push((user.email || '').toLowerCase());
+            paramIndex++;
+        } else if (owner) {
+            whereClause += ` AND (ai.owner_email = $${paramIndex} OR ai.owner_name ILIKE $${paramIndex})`;
+            params.push(owner.toLowerCase());
+            paramIndex++;
+        }
+
+        if (overdue) {
+            whereClause += ` AND ai.status = ANY($${paramIndex}) AND ai.due_date < CURRENT_DATE`;
+            params.push(OPEN_STATUSES);
+            paramIndex++;
+        }
+
+        if (dueBefore) {
+            whereClause += ` AND ai.due_date <= $${paramIndex}`;
+            params.push(dueBefore);
+            paramIndex++;
+        }
+
+        const countResult = await DatabaseService.query(`
+            SELECT COUNT(*) FROM action_items ai
+            JOIN meetings m ON m.id = ai.meeting_id
+            ${whereClause}
+        `, params);
+
+        const result = await DatabaseService.query(`
+            SELECT ai.*, m.title AS meeting_title, m.start_time AS meeting_start_time
+            FROM action_items ai
+            JOIN meetings m ON m.id = ai.meeting_id
+            ${whereClause}
+            ORDER BY ai.due_date ASC NULLS LAST, ai.created_at DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...params, limit, (page - 1) * limit]);
+
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+            actionItems: result.rows.map(row => this.formatActionItem(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async getActionItem(user, actionItemId) {
+        const { item } = await this.verifyItemAccess(user.id, actionItemId);
+        return this.formatActionItem(item);
+    }
+
+    // Owners update their own items; anyone else needs write access to the meeting
+    async updateActionItem(user, actionItemId, updates) {
+        const { item, meeting } = await this.verifyItemAccess(user.id, actionItemId, 'write');
+        const record = {};
+
+        if (updates.description !== undefined) {
+            record.description = updates.description.trim();
+            record.fingerprint = this.fingerprint(updates.description);
+        }
+
+        if (updates.owner !== undefined) {
+            const owner = updates.owner ? MeetingService.resolveParticipant(updates.owner, await MeetingService.loadParticipants(meeting)) : null;
+            Object.assign(record, this.ownerColumns(owner));
+        }
+
+        if (updates.dueDate !== undefined) {
+            const due = updates.dueDate ? this.parseDueDate(updates.dueDate, this.getToday()) : null;
+            if (updates.dueDate && !due) {
+                throw new ValidationError(`Could not understand the due date "${updates.dueDate}"`);
+            }
+            record.due_date = due ? due.date : null;
+            record.due_text = due ? due.text : null;
+        }
+
+        if (updates.priority !== undefined) {
+            record.priority = updates.priority;
+        }
+
+        if (updates.status !== undefined && updates.status !== item.status) {
+            Object.assign(record, this.transition(item, updates.status, user.id));
+        }
+
+        if (Object.keys(record).length === 0) {
+            throw new ValidationError('No updatable fields provided');
+        }
+
+        let updated;
+        try {
+            updated = await DatabaseService.update('action_items', actionItemId, record);
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new ConflictError('This meeting already has an action item with the same description');
+            }
+            throw error;
+        }
+
+        return this.formatActionItem({ ...updated, meeting_title: item.meeting_title, meeting_start_time: item.meeting_start_time });
+    }
+
+    async completeActionItem(user, actionItemId) {
+        const item = await this.getActionItem(user, actionItemId);
+        if (item.status === 'done') {
+            return item;
+        }
+
+        return this.updateActionItem(user, actionItemId, { status: 'done' });
+    }
+
+    // Open items from earlier meetings that this meeting's participants own,
+    // or unassigned items from earlier meetings they attended
+    async getFollowUps(userId, meetingId) {
+        const meeting = await MeetingService.verifyAccess(userId, meetingId);
+        const participants = await MeetingService.loadParticipants(meeting);
+
+        const emails = participants.map(participant => participant.email).filter(Boolean);
+        const userIds = [meeting.user_id, ...participants.map(participant => participant.userId)].filter(Boolean);
+
+        if (emails.length === 0 && userIds.length === 0) {
+            return [];
+        }
+
+        const result = await DatabaseService.query(`
+            SELECT ai.*, m.title AS meeting_title, m.start_time AS meeting_start_time
+            FROM action_items ai
+            JOIN meetings m ON m.id = ai.meeting_id
+            WHERE ai.meeting_id <> $1
+            AND ai.status = ANY($2)
+            AND (m.user_id = $3 OR m.organization_id IN (
+                SELECT organization_id FROM user_organizations WHERE user_id = $3
+            ))
+            AND COALESCE(m.start_time, m.created_at) < $4
+            AND (
+                ai.owner_user_id = ANY($5::uuid[])
+                OR ai.owner_email = ANY($6::text[])
+                OR (ai.owner_user_id IS NULL AND ai.owner_email IS NULL AND EXISTS (
+                    SELECT 1 FROM jsonb_array_elements(m.participants) p
+                    WHERE p->>'email' = ANY($6::text[]) OR p->>'userId' = ANY($7::text[])
+                ))
+            )
+            ORDER BY ai.due_date ASC NULLS LAST, m.start_time DESC
+            LIMIT 50
+        `, [
+            meetingId,
+            OPEN_STATUSES,
+            userId,
+            meeting.start_time || new Date(),
+            userIds,
+            emails,
+            userIds.map(String)
+        ]);
+
+        return result.rows.map(row => ({
+            ...this.formatActionItem(row),
+            ownerPresent: Boolean(
+                (row.owner_user_id && userIds.includes(row.owner_user_id)) ||
+                (row.owner_email && emails.includes(row.owner_email))
+            )
+        }));
+    }
+
+    // Access control
+    async verifyItemAccess(userId, actionItemId, level = 'read') {
+        const result = await DatabaseService.query(`
+            SELECT ai.*, m.title AS meeting_title, m.start_time AS meeting_start_time
+            FROM action_items ai
+            JOIN meetings m ON m.id = ai.meeting_id
+            WHERE ai.id = $1
+        `, [actionItemId]);
+        const item = result.rows[0];
+
+        if (!item) {
+            throw new NotFoundError('Action item not found');
+        }
+
+        // Owners can work on their items even in meetings they can't otherwise see
+        if (item.owner_user_id === userId) {
+            return { item, meeting: await DatabaseService.findById('meetings', item.meeting_id) };
+        }
+
+        try {
+            const meeting = await MeetingService.verifyAccess(userId, item.meeting_id, level);
+            return { item, meeting };
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                throw new NotFoundError('Action item not found');
+            }
+            if (error.name === 'ForbiddenError') {
+                throw new ForbiddenError('Only the action item owner, the meeting owner or an organization admin can update this action item');
+            }
+            throw error;
+        }
+    }
+
+    transition(item, status, userId) {
+        if (!STATUS_TRANSITIONS[item.status].includes(status)) {
+            throw new ValidationError(`An action item that is ${item.status.replace('_', ' ')} cannot be moved to ${status.replace('_', ' ')}`);
+        }
+
+        if (status === 'done') {
+            return { status, completed_at: new Date(), completed_by: userId };
+        }
+
+        return { status, completed_at: null, completed_by: null };
+    }
+
+    // Owners
+    getVolunteer(item) {
+        const source = item.sources.find(span => span.speaker && span.quote);
+        return source && SELF_ASSIGNMENT_PATTERN.test(source.quote) ? source.speaker : null;
+    }
+
+    ownerColumns(owner) {
+        return {
+            owner_name: owner ? owner.name : null,
+            owner_email: owner ? owner.email : null,
+            owner_user_id: owner ? owner.userId : null,
+            owner_participant_id: owner ? owner.participantId : null
+        };
+    }
+
+    // Due dates
+    // The first due date phrase in the text, as YYYY-MM-DD relative to the
+    // reference date, with the phrase it came from
+    parseDueDate(text, reference = this.getToday()) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const ref = utcDate(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate());
+
+        for (const [pattern, parse] of DUE_DATE_PATTERNS) {
+            const match = text.match(pattern);
+            if (!match) continue;
+
+            const date = parse(match, ref);
+            if (date && !isNaN(date.getTime())) {
+                return { date: date.toISOString().slice(0, 10), text: match[0].trim() };
+            }
+        }
+
+        return null;
+    }
+
+    // Relative due dates ("by Friday") count from the day of the meeting
+    getReferenceDate(meeting) {
+        return meeting.start_time ? new Date(meeting.start_time) : this.getToday();
+    }
+
+    getToday() {
+        return new Date();
+    }
+
+    // Utility methods
+    normalizeExtracted(item) {
+        if (typeof item === 'string') {
+            item = { description: item };
+        }
+
+        const description = item && typeof item.description === 'string' ? item.description.trim() : '';
+        if (!description) {
+            return null;
+        }
+
+        const sources = (item.sources || []).map(source => ({
+            start: source.start ?? null,
+            end: source.end ?? null,
+            speaker: source.speaker || null,
+            quote: source.quote || null
+        }));
+
+        if (sources.length === 0 && item.source_quote) {
+            sources.push({ start: null, end: null, speaker: null, quote: item.source_quote });
+        }
+
+        return {
+            description,
+            owner: item.owner || item.assignee || null,
+            dueDate: item.due_date || item.dueDate || null,
+            priority: item.priority,
+            status: item.status,
+            sources
+        };
+    }
+
+    async insertItem(record) {
+        const keys = Object.keys(record);
+        const placeholders = keys.map((_, index) => `$${index + 1}`).join(', ');
+
+        const result = await DatabaseService.query(`
+            INSERT INTO action_items (${keys.join(', ')})
+            VALUES (${placeholders})
+            ON CONFLICT (meeting_id, fingerprint) DO NOTHING
+            RETURNING *
+        `, Object.values(record));
+
+        return result.rows[0] || null;
+    }
+
+    fingerprint(description) {
+        return crypto.createHash('sha1').update(normalizeText(description)).digest('hex');
+    }
+
+    formatActionItem(row) {
+        const dueDate = formatDate(row.due_date);
+
+        return {
+            id: row.id,
+            meetingId: row.meeting_id,
+            meetingTitle: row.meeting_title,
+            meetingStartTime: row.meeting_start_time,
+            description: row.description,
+            owner: row.owner_name || row.owner_email ? {
+                name: row.owner_name,
+                email: row.owner_email,
+                userId: row.owner_user_id,
+                participantId: row.owner_participant_id,
+                resolved: Boolean(row.owner_participant_id || row.owner_user_id)
+            } : null,
+            dueDate,
+            dueText: row.due_text,
+            overdue: Boolean(dueDate && OPEN_STATUSES.includes(row.status) && dueDate < new Date().toISOString().slice(0, 10)),
+            priority: row.priority,
+            status: row.status,
+            source: row.source,
+            sources: row.sources || [],
+            completedAt: row.completed_at,
+            completedBy: row.completed_by,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9@\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+    return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+// The next given weekday; includeToday keeps the reference date itself
+function nextWeekday(date, weekday, includeToday) {
+    const offset = (weekday - date.getUTCDay() + 7) % 7;
+    return addDays(date, offset === 0 && !includeToday ? 7 : offset);
+}
+
+// The next occurrence of a month and day on or after the reference date
+function upcoming(ref, month, day) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) {
+        return null;
+    }
+
+    const date = utcDate(ref.getUTCFullYear(), month, day);
+    return date < ref ? utcDate(ref.getUTCFullYear() + 1, month, day) : date;
+}
+
+function weekdayIndex(name) {
+    return WEEKDAYS.findIndex(weekday => weekday.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+function monthIndex(name) {
+    return MONTHS.indexOf(name.toLowerCase().slice(0, 3));
+}
+
+// pg returns DATE columns as local midnight
+function formatDate(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = new ActionItemService();
+module.exports.STATUSES = STATUSES;
+module.exports.PRIORITIES = PRIORITIES;
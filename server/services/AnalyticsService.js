@@ -1,4 +1,5 @@
 const DatabaseService = require('./DatabaseService');
+const CostLedgerService = require('./CostLedgerService');
 const moment = require('moment');
 
 class AnalyticsService {
@@ -218,18 +219,23 @@ class AnalyticsService {
         };
     }
 
-    // Cost Analytics
+    // Cost Analytics, from the cost ledger (one row per provider call; calls
+    // of the same job make up one analysis)
     async getCostStats(userId, organizationId, dateRange) {
         const query = `
             SELECT 
-                SUM(cost) as total_cost,
-                AVG(cost) as avg_cost_per_analysis,
-                COUNT(*) as total_analyses,
-                SUM(CASE WHEN a.created_at >= $3 - INTERVAL '7 days' THEN cost ELSE 0 END) as cost_last_week
-            FROM ai_analyses a
-            LEFT JOIN meetings m ON a.meeting_id = m.id
-            WHERE (m.host_id = $1 OR m.organization_id = $2 OR a.meeting_id IS NULL)
-            AND a.created_at >= $3 AND a.created_at <= $4
+                SUM(cost_usd) as total_cost,
+                COUNT(DISTINCT COALESCE(job_id, id::text)) as total_analyses,
+                COUNT(*) as total_requests,
+                SUM(prompt_tokens) as prompt_tokens,
+                SUM(completion_tokens) as completion_tokens,
+                SUM(total_tokens) as total_tokens,
+                COUNT(CASE WHEN cached THEN 1 END) as cached_requests,
+                COUNT(CASE WHEN downgraded THEN 1 END) as downgraded_requests,
+                SUM(CASE WHEN created_at >= $4::timestamptz - INTERVAL '7 days' THEN cost_usd ELSE 0 END) as cost_last_week
+            FROM ai_cost_ledger
+            WHERE (organization_id = $2 OR user_id = $1)
+            AND created_at >= $3 AND created_at <= $4
         `;
 
         const result = await DatabaseService.query(query, [
@@ -241,30 +247,53 @@ class AnalyticsService {
         // Get daily cost breakdown
         const dailyCostQuery = `
             SELECT 
-                DATE(a.created_at) as date,
-                SUM(cost) as daily_cost,
-                COUNT(*) as daily_analyses
-            FROM ai_analyses a
-            LEFT JOIN meetings m ON a.meeting_id = m.id
-            WHERE (m.host_id = $1 OR m.organization_id = $2 OR a.meeting_id IS NULL)
-            AND a.created_at >= $3 AND a.created_at <= $4
-            GROUP BY DATE(a.created_at)
+                DATE(created_at) as date,
+                SUM(cost_usd) as daily_cost,
+                COUNT(DISTINCT COALESCE(job_id, id::text)) as daily_analyses
+            FROM ai_cost_ledger
+            WHERE (organization_id = $2 OR user_id = $1)
+            AND created_at >= $3 AND created_at <= $4
+            GROUP BY DATE(created_at)
             ORDER BY date
         `;
 
-        const dailyCostResult = await DatabaseService.query(dailyCostQuery, [
-            userId, organizationId, dateRange.start, dateRange.end
+        const modelCostQuery = `
+            SELECT 
+                provider,
+                model,
+                SUM(cost_usd) as cost,
+                COUNT(*) as requests,
+                SUM(total_tokens) as tokens
+            FROM ai_cost_ledger
+            WHERE (organization_id = $2 OR user_id = $1)
+            AND created_at >= $3 AND created_at <= $4
+            GROUP BY provider, model
+            ORDER BY cost DESC
+        `;
+
+        const [dailyCostResult, modelCostResult, budget] = await Promise.all([
+            DatabaseService.query(dailyCostQuery, [userId, organizationId, dateRange.start, dateRange.end]),
+            DatabaseService.query(modelCostQuery, [userId, organizationId, dateRange.start, dateRange.end]),
+            CostLedgerService.checkBudget({ userId, organizationId })
         ]);
 
         // Calculate cost efficiency metrics
         const totalCost = parseFloat(stats.total_cost) || 0;
-        const totalAnalyses = parseInt(stats.total_analyses) || 1;
+        const totalAnalyses = parseInt(stats.total_analyses) || 0;
         const costLastWeek = parseFloat(stats.cost_last_week) || 0;
 
         return {
             total: totalCost,
-            averagePerAnalysis: parseFloat(stats.avg_cost_per_analysis) || 0,
+            averagePerAnalysis: totalAnalyses ? totalCost / totalAnalyses : 0,
             totalAnalyses,
+            totalRequests: parseInt(stats.total_requests) || 0,
+            cachedRequests: parseInt(stats.cached_requests) || 0,
+            downgradedRequests: parseInt(stats.downgraded_requests) || 0,
+            tokens: {
+                prompt: parseInt(stats.prompt_tokens) || 0,
+                completion: parseInt(stats.completion_tokens) || 0,
+                total: parseInt(stats.total_tokens) || 0
+            },
             efficiency: totalAnalyses / Math.max(totalCost, 0.01), // Analyses per dollar
             weeklyTrend: this.calculateGrowthRate(totalCost, costLastWeek),
             dailyBreakdown: dailyCostResult.rows.map(row => ({
@@ -273,8 +302,15 @@ class AnalyticsService {
                 analyses: parseInt(row.daily_analyses),
                 efficiency: parseInt(row.daily_analyses) / Math.max(parseFloat(row.daily_cost), 0.01)
             })),
+            byModel: modelCostResult.rows.map(row => ({
+                provider: row.provider,
+                model: row.model,
+                cost: parseFloat(row.cost) || 0,
+                requests: parseInt(row.requests),
+                tokens: parseInt(row.tokens) || 0
+            })),
             projectedMonthlyCost: this.projectMonthlyCost(dailyCostResult.rows),
-            costSavings: this.calculateCostSavings(totalCost, totalAnalyses)
+            budget
         };
     }
 
@@ -548,20 +584,6 @@ class AnalyticsService {
         return avgDailyCost * 30;
     }
 
-    calculateCostSavings(actualCost, analysisCount) {
-        // Assume traditional services cost $0.10 per analysis
-        const traditionalCost = analysisCount * 0.10;
-        const savings = traditionalCost - actualCost;
-        const savingsPercentage = (savings / traditionalCost) * 100;
-        
-        return {
-            amount: Math.max(0, savings),
-            percentage: Math.max(0, savingsPercentage),
-            traditional: traditionalCost,
-            actual: actualCost
-        };
-    }
-
     combineTrendData(meetingTrends, aiTrends) {
         const combined = new Map();
         
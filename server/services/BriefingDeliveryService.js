@@ -0,0 +1,445 @@
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+const CalendarIntegrationService = require('../../backend/services/calendar-integration-service');
+const EnhancedMeetingPreparationService = require('../../backend/services/enhanced-meeting-preparation');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { signLinkToken, verifyLinkToken } = require('../middleware/auth');
+
+const BRIEFING_NOTIFICATION_TYPE = 'meeting.briefing';
+const BRIEFING_TOKEN_PURPOSE = 'meeting_briefing';
+const BRIEFING_CHANNELS = ['push', 'email', 'slack', 'teams'];
+
+const CHANGE_LABELS = {
+    title: 'title',
+    time: 'time',
+    status: 'status',
+    meetingUrl: 'meeting link',
+    attendees: 'attendees',
+    agenda: 'agenda'
+};
+
+class BriefingDeliveryService {
+    constructor() {
+        this.calendarService = null;
+        // Briefing links stay valid until a day after the meeting ends
+        this.linkGracePeriod = 24 * 60 * 60;
+    }
+
+    // Prepare briefings for the calendars configured in the environment and
+    // deliver them to CALENDAR_USER_ID, the MeetingMind user who owns them
+    async start() {
+        const config = CalendarIntegrationService.configFromEnv();
+        if (!config || !config.userId) {
+            return null;
+        }
+
+        const preferences = await NotificationService.getPreferences(config.userId);
+        const preparationService = new EnhancedMeetingPreparationService();
+        await preparationService.initialize({});
+
+        const calendarService = new CalendarIntegrationService({
+            ...config,
+            preparationService,
+            briefingLeadMinutes: preferences.briefings.leadMinutes
+        });
+        this.attach(calendarService);
+
+        await calendarService.initialize();
+        await calendarService.start();
+
+        this.calendarService = calendarService;
+        console.log('✅ Meeting briefing delivery started');
+        return calendarService;
+    }
+
+    stop() {
+        this.calendarService?.stop();
+        this.calendarService = null;
+    }
+
+    // Deliver every briefing the calendar service prepares, including the
+    // ones it regenerates after the agenda or attendees change
+    attach(calendarService) {
+        calendarService.on('briefing_prepared', payload => {
+            this.deliver(calendarService.userId, payload)
+                .catch(error => console.error('Failed to deliver meeting briefing:', error));
+        });
+    }
+
+    // Saved preferences apply to briefings that are already scheduled
+    async applyPreferences(userId, preferences) {
+        if (!this.calendarService || this.calendarService.userId !== userId) return;
+
+        // No lead time of their own means the deployment default
+        const leadMinutes = preferences.briefings?.leadMinutes ??
+            parseInt(process.env.CALENDAR_BRIEFING_LEAD_MINUTES || '30');
+        if (leadMinutes !== this.calendarService.briefingLeadMinutes) {
+            await this.calendarService.setBriefingLeadMinutes(leadMinutes);
+        }
+    }
+
+    // Send a prepared briefing over the channels the user's preferences allow:
+    // web/desktop push, HTML email, and Slack and Teams webhook cards
+    async deliver(userId, { event, preparation, regenerated = false, changes = [] }) {
+        const preferences = await NotificationService.getPreferences(userId);
+        const channels = BRIEFING_CHANNELS.filter(channel =>
+            NotificationService.isChannelEnabled(preferences, BRIEFING_NOTIFICATION_TYPE, channel)
+        );
+
+        if (channels.length === 0) {
+            return null;
+        }
+
+        const briefing = this.buildBriefing(event, preparation, { regenerated, changes });
+        const notification = {
+            type: BRIEFING_NOTIFICATION_TYPE,
+            title: `${regenerated ? 'Updated briefing' : 'Briefing'}: ${briefing.title}`,
+            message: this.describeBriefing(briefing),
+            priority: 'medium',
+            data: { briefing }
+        };
+
+        // The link needs the notification ID, so it is added after storing.
+        // The desktop app shows stored briefings only when push is enabled.
+        const stored = await NotificationService.storeNotification(userId, notification);
+        const url = this.createBriefingUrl(userId, stored.id, briefing.endTime || briefing.startTime);
+        notification.data = { briefing, url, channels };
+        await DatabaseService.update('notifications', stored.id, { data: JSON.stringify(notification.data) });
+
+        const results = {};
+        for (const channel of channels) {
+            try {
+                await this.sendToChannel(channel, userId, preferences, { ...notification, id: stored.id, timestamp: stored.created_at }, url);
+                results[channel] = 'sent';
+            } catch (error) {
+                console.error(`Failed to deliver briefing over ${channel}:`, error.message);
+                results[channel] = 'failed';
+            }
+        }
+
+        return { notificationId: stored.id, url, channels: results };
+    }
+
+    async sendToChannel(channel, userId, preferences, notification, url) {
+        const { briefing } = notification.data;
+
+        switch (channel) {
+            case 'push':
+                // The desktop app opens the briefing when the notification is clicked
+                NotificationService.sendToClient(userId, {
+                    ...notification,
+                    action: { type: 'open_url', url }
+                });
+                return;
+            case 'email':
+                return NotificationService.sendEmailNotification(userId, {
+                    ...notification,
+                    email: this.renderEmail(briefing, url)
+                });
+            case 'slack':
+                return NotificationService.sendWebhookNotification('slack', preferences.webhooks.slack, this.renderSlackCard(briefing, url));
+            case 'teams':
+                return NotificationService.sendWebhookNotification('teams', preferences.webhooks.teams, this.renderTeamsCard(briefing, url));
+            default:
+                throw new Error(`Unknown briefing channel: ${channel}`);
+        }
+    }
+
+    // Calendar event and preparation -> the briefing every channel renders
+    buildBriefing(event, preparation, { regenerated = false, changes = [] } = {}) {
+        const prepared = preparation.briefing || {};
+
+        return {
+            title: event.title,
+            startTime: event.start,
+            endTime: event.end || null,
+            meetingUrl: safeUrl(event.meetingUrl),
+            platform: event.platform || null,
+            calendar: event.calendar,
+            calendarEventId: event.externalId,
+            attendees: (event.attendees || []).map(attendee => ({
+                name: attendee.name || null,
+                email: attendee.email,
+                role: attendee.role,
+                status: attendee.status
+            })),
+            agenda: event.agenda || [],
+            summary: prepared.summary || '',
+            keyParticipants: (prepared.keyParticipants || []).filter(participant => participant.name),
+            objectives: prepared.objectives || [],
+            potentialChallenges: prepared.potentialChallenges || [],
+            successFactors: prepared.successFactors || [],
+            preparationItems: prepared.preparationItems || [],
+            preparationId: preparation.meetingId || null,
+            regenerated,
+            changes,
+            preparedAt: new Date().toISOString()
+        };
+    }
+
+    describeBriefing(briefing) {
+        let message = `${briefing.title} starts ${this.formatTime(briefing.startTime)}`;
+
+        if (briefing.regenerated && briefing.changes.length > 0) {
+            message += ` (changed: ${this.describeChanges(briefing.changes)})`;
+        }
+
+        return message;
+    }
+
+    describeChanges(changes) {
+        return changes.map(change => CHANGE_LABELS[change] || change).join(', ');
+    }
+
+    formatTime(value) {
+        return new Date(value).toLocaleString('en-US', {
+            timeZone: process.env.CALENDAR_TIME_ZONE || 'UTC',
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        });
+    }
+
+    // Signed link to the briefing page for email, chat cards and desktop
+    // notifications, none of which can send an Authorization header
+    createBriefingUrl(userId, notificationId, meetingEnd) {
+        const secondsToEnd = Math.ceil((new Date(meetingEnd).getTime() - Date.now()) / 1000);
+        const token = signLinkToken(
+            { purpose: BRIEFING_TOKEN_PURPOSE, userId, notificationId },
+            BRIEFING_TOKEN_PURPOSE,
+            Math.max(secondsToEnd, 0) + this.linkGracePeriod
+        );
+
+        const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+        return `${baseUrl.replace(/\/$/, '')}/api/briefings/view/${token}`;
+    }
+
+    async getBriefingByToken(token) {
+        let decoded;
+        try {
+            decoded = verifyLinkToken(token, BRIEFING_TOKEN_PURPOSE);
+        } catch (error) {
+            throw new NotFoundError('Briefing not found or link expired');
+        }
+
+        if (decoded.purpose !== BRIEFING_TOKEN_PURPOSE) {
+            throw new NotFoundError('Briefing not found or link expired');
+        }
+
+        const result = await DatabaseService.query(
+            'SELECT data FROM notifications WHERE id = $1 AND user_id = $2 AND type = $3',
+            [decoded.notificationId, decoded.userId, BRIEFING_NOTIFICATION_TYPE]
+        );
+
+        const row = result.rows[0];
+        const data = typeof row?.data === 'string' ? JSON.parse(row.data) : row?.data;
+        if (!data?.briefing) {
+            throw new NotFoundError('Briefing not found or link expired');
+        }
+
+        return data.briefing;
+    }
+
+    renderEmail(briefing, url) {
+        const subject = `${briefing.regenerated ? 'Updated briefing' : 'Briefing'}: ${briefing.title} - MeetingMind`;
+
+        return {
+            subject,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    ${this.renderBriefingHtml(briefing)}
+                    <p style="margin-top: 24px;">
+                        <a href="${escapeHtml(url)}" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Open Briefing</a>
+                        ${briefing.meetingUrl ? `<a href="${escapeHtml(briefing.meetingUrl)}" style="background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; margin-left: 8px;">Join Meeting</a>` : ''}
+                    </p>
+                    <p style="margin-top: 24px; color: #6b7280; font-size: 14px;">
+                        Best regards,<br>
+                        The MeetingMind Team
+                    </p>
+                </div>
+            `,
+            text: this.renderBriefingText(briefing, url)
+        };
+    }
+
+    // Standalone page behind the signed briefing link
+    renderBriefingPage(briefing) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(briefing.title)} - MeetingMind Briefing</title>
+</head>
+<body style="margin: 0; padding: 24px; background: #f9fafb;">
+    <div style="font-family: Arial, sans-serif; max-width: 720px; margin: 0 auto; background: white; padding: 24px; border-radius: 8px;">
+        ${this.renderBriefingHtml(briefing)}
+        ${briefing.meetingUrl ? `<p style="margin-top: 24px;"><a href="${escapeHtml(briefing.meetingUrl)}" style="background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Join Meeting</a></p>` : ''}
+    </div>
+</body>
+</html>`;
+    }
+
+    renderBriefingHtml(briefing) {
+        const list = (items) => `<ul style="padding-left: 20px; margin: 8px 0;">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+        const section = (title, items) => items.length > 0 ? `<h3 style="margin-bottom: 4px;">${title}</h3>${list(items)}` : '';
+        const attendees = briefing.attendees.map(attendee =>
+            `${attendee.name || attendee.email}${attendee.role === 'organizer' ? ' (organizer)' : attendee.role === 'optional' ? ' (optional)' : ''}`
+        );
+
+        return `
+            <h2 style="color: #2563eb;">${escapeHtml(briefing.title)}</h2>
+            ${briefing.regenerated && briefing.changes.length > 0 ? `
+            <div style="background: #fffbeb; border: 1px solid #fde68a; padding: 12px 16px; border-radius: 8px; margin: 16px 0;">
+                Updated since your last briefing: ${escapeHtml(this.describeChanges(briefing.changes))} changed.
+            </div>` : ''}
+            <div style="background: #f3f4f6; padding: 16px; border-radius: 8px; margin: 16px 0;">
+                <p><strong>When:</strong> ${escapeHtml(this.formatTime(briefing.startTime))}</p>
+                ${briefing.platform ? `<p><strong>Platform:</strong> ${escapeHtml(briefing.platform)}</p>` : ''}
+                <p><strong>Attendees:</strong> ${attendees.length}</p>
+            </div>
+            ${briefing.summary ? `<p>${escapeHtml(briefing.summary)}</p>` : ''}
+            ${section('Agenda', briefing.agenda)}
+            ${section('Attendees', attendees)}
+            ${section('Key Participants', briefing.keyParticipants.map(participant => `${participant.name}${participant.title ? `, ${participant.title}` : ''} - ${participant.role}`))}
+            ${section('Objectives', briefing.objectives)}
+            ${section('Potential Challenges', briefing.potentialChallenges)}
+            ${section('Prepare', briefing.preparationItems.map(item => `${item.category}: ${item.item}`))}
+            ${section('Success Factors', briefing.successFactors)}
+        `;
+    }
+
+    renderBriefingText(briefing, url) {
+        const lines = [briefing.title, '', `When: ${this.formatTime(briefing.startTime)}`];
+        const section = (title, items) => {
+            if (items.length > 0) lines.push('', `${title}:`, ...items.map(item => `- ${item}`));
+        };
+
+        if (briefing.regenerated && briefing.changes.length > 0) {
+            lines.push(`Updated: ${this.describeChanges(briefing.changes)} changed`);
+        }
+        if (briefing.meetingUrl) lines.push(`Join: ${briefing.meetingUrl}`);
+        if (briefing.summary) lines.push('', briefing.summary);
+
+        section('Agenda', briefing.agenda);
+        section('Attendees', briefing.attendees.map(attendee => attendee.name || attendee.email));
+        section('Objectives', briefing.objectives);
+        section('Potential challenges', briefing.potentialChallenges);
+        section('Prepare', briefing.preparationItems.map(item => `${item.category}: ${item.item}`));
+
+        lines.push('', `Open the briefing: ${url}`, '', 'Best regards,', 'The MeetingMind Team');
+        return lines.join('\n');
+    }
+
+    // Slack Block Kit message
+    renderSlackCard(briefing, url) {
+        const bullets = items => items.map(item => `• ${escapeSlack(item)}`).join('\n');
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: truncate(briefing.title, 150) } }
+        ];
+
+        if (briefing.regenerated && briefing.changes.length > 0) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Updated: ${this.describeChanges(briefing.changes)} changed` }] });
+        }
+
+        blocks.push({
+            type: 'section',
+            fields: [
+                { type: 'mrkdwn', text: `*When*\n${escapeSlack(this.formatTime(briefing.startTime))}` },
+                { type: 'mrkdwn', text: `*Attendees*\n${briefing.attendees.length}` }
+            ]
+        });
+
+        if (briefing.agenda.length > 0) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Agenda*\n${bullets(briefing.agenda)}`, 3000) } });
+        }
+        if (briefing.objectives.length > 0) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Objectives*\n${bullets(briefing.objectives)}`, 3000) } });
+        }
+
+        const buttons = [{ type: 'button', text: { type: 'plain_text', text: 'Open briefing' }, url }];
+        if (briefing.meetingUrl) {
+            buttons.push({ type: 'button', text: { type: 'plain_text', text: 'Join meeting' }, url: briefing.meetingUrl, style: 'primary' });
+        }
+        blocks.push({ type: 'actions', elements: buttons });
+
+        // Fallback for notifications; the text field is parsed as mrkdwn
+        return { text: `${briefing.regenerated ? 'Updated briefing' : 'Briefing'}: ${escapeSlack(briefing.title)}`, blocks };
+    }
+
+    // Teams Adaptive Card for incoming webhooks and workflows
+    renderTeamsCard(briefing, url) {
+        const body = [
+            { type: 'TextBlock', text: briefing.title, size: 'Large', weight: 'Bolder', wrap: true }
+        ];
+
+        if (briefing.regenerated && briefing.changes.length > 0) {
+            body.push({ type: 'TextBlock', text: `Updated: ${this.describeChanges(briefing.changes)} changed`, isSubtle: true, wrap: true });
+        }
+
+        body.push({
+            type: 'FactSet',
+            facts: [
+                { title: 'When', value: this.formatTime(briefing.startTime) },
+                ...(briefing.platform ? [{ title: 'Platform', value: briefing.platform }] : []),
+                { title: 'Attendees', value: String(briefing.attendees.length) }
+            ]
+        });
+
+        for (const [title, items] of [['Agenda', briefing.agenda], ['Objectives', briefing.objectives]]) {
+            if (items.length === 0) continue;
+            body.push(
+                { type: 'TextBlock', text: title, weight: 'Bolder', spacing: 'Medium' },
+                { type: 'TextBlock', text: items.map(item => `- ${item}`).join('\n'), wrap: true }
+            );
+        }
+
+        const actions = [{ type: 'Action.OpenUrl', title: 'Open briefing', url }];
+        if (briefing.meetingUrl) {
+            actions.push({ type: 'Action.OpenUrl', title: 'Join meeting', url: briefing.meetingUrl });
+        }
+
+        return {
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body,
+                    actions
+                }
+            }]
+        };
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Links from calendar data end up in href attributes and card buttons
+function safeUrl(url) {
+    return url && /^https?:\/\//i.test(url) ? url : null;
+}
+
+function escapeSlack(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = new BriefingDeliveryService();
+module.exports.BRIEFING_NOTIFICATION_TYPE = BRIEFING_NOTIFICATION_TYPE;
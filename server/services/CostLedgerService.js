@@ -0,0 +1,270 @@
+const DatabaseService = require('./DatabaseService');
+const { ValidationError, NotFoundError, BudgetExceededError } = require('../middleware/errorHandler');
+
+const SCOPES = ['organization', 'user'];
+const PERIODS = ['monthly', 'daily', 'meeting'];
+
+const PERIOD_NAMES = {
+    monthly: 'monthly',
+    daily: 'daily',
+    meeting: 'per-meeting'
+};
+
+const PERIOD_RESETS = {
+    monthly: 'until the start of next month (UTC)',
+    daily: 'until midnight UTC',
+    meeting: 'for the rest of this meeting'
+};
+
+class CostLedgerService {
+    constructor() {
+        // Limits for organizations and users without a stored budget, from
+        // AI_BUDGET_<ORGANIZATION|USER>_<MONTHLY|DAILY|MEETING>_<SOFT|HARD>
+        this.defaultBudgets = this.loadDefaultBudgets(process.env);
+    }
+
+    loadDefaultBudgets(env) {
+        const defaults = {};
+
+        SCOPES.forEach(scope => {
+            defaults[scope] = {};
+            PERIODS.forEach(period => {
+                const prefix = `AI_BUDGET_${scope.toUpperCase()}_${period.toUpperCase()}`;
+                defaults[scope][period] = {
+                    softLimit: parseLimit(env[`${prefix}_SOFT`]),
+                    hardLimit: parseLimit(env[`${prefix}_HARD`])
+                };
+            });
+        });
+
+        return defaults;
+    }
+
+    // Write one provider call. Callers pass the registry usage
+    // ({ promptTokens, completionTokens, totalTokens }) and the cost in USD.
+    async record(entry) {
+        const usage = entry.usage || {};
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+
+        return DatabaseService.create('ai_cost_ledger', {
+            organization_id: entry.organizationId || null,
+            user_id: entry.userId || null,
+            meeting_id: entry.meetingId || null,
+            job_id: entry.jobId || null,
+            task: entry.task || null,
+            provider: entry.provider,
+            model: entry.model || 'unknown',
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: usage.totalTokens || promptTokens + completionTokens,
+            cost_usd: entry.cost || 0,
+            cached: Boolean(entry.cached),
+            downgraded: Boolean(entry.downgraded)
+        });
+    }
+
+    // Budgets that apply to an organization and user. A stored budget replaces
+    // the default for its scope and period; periods without limits are left out.
+    async getBudgets({ organizationId, userId }) {
+        const scopes = [['organization', organizationId], ['user', userId]].filter(([, scopeId]) => scopeId);
+        if (scopes.length === 0) {
+            return [];
+        }
+
+        const result = await DatabaseService.query(`
+            SELECT * FROM ai_budgets
+            WHERE (scope = 'organization' AND scope_id = $1)
+            OR (scope = 'user' AND scope_id = $2)
+        `, [organizationId || null, userId || null]);
+
+        const budgets = [];
+
+        scopes.forEach(([scope, scopeId]) => {
+            PERIODS.forEach(period => {
+                const row = result.rows.find(budget => budget.scope === scope && budget.period === period);
+                const limits = row
+                    ? { softLimit: parseLimit(row.soft_limit_usd), hardLimit: parseLimit(row.hard_limit_usd) }
+                    : this.defaultBudgets[scope][period];
+
+                if (limits.softLimit === null && limits.hardLimit === null) {
+                    return;
+                }
+
+                budgets.push({
+                    scope,
+                    scopeId,
+                    period,
+                    ...limits,
+                    source: row ? 'configured' : 'default'
+                });
+            });
+        });
+
+        return budgets;
+    }
+
+    // Ledger spend for every scope and period a budget can cover
+    async getSpend({ organizationId, userId, meetingId }, now = new Date()) {
+        const { monthStart, dayStart } = this.getPeriodStarts(now);
+
+        const result = await DatabaseService.query(`
+            SELECT
+                COALESCE(SUM(cost_usd) FILTER (WHERE organization_id = $1 AND created_at >= $4), 0) AS organization_monthly,
+                COALESCE(SUM(cost_usd) FILTER (WHERE organization_id = $1 AND created_at >= $5), 0) AS organization_daily,
+                COALESCE(SUM(cost_usd) FILTER (WHERE organization_id = $1 AND meeting_id = $3), 0) AS organization_meeting,
+                COALESCE(SUM(cost_usd) FILTER (WHERE user_id = $2 AND created_at >= $4), 0) AS user_monthly,
+                COALESCE(SUM(cost_usd) FILTER (WHERE user_id = $2 AND created_at >= $5), 0) AS user_daily,
+                COALESCE(SUM(cost_usd) FILTER (WHERE user_id = $2 AND meeting_id = $3), 0) AS user_meeting
+            FROM ai_cost_ledger
+            WHERE (organization_id = $1 OR user_id = $2)
+            AND (created_at >= $4 OR meeting_id = $3)
+        `, [organizationId || null, userId || null, meetingId || null, monthStart, dayStart]);
+
+        const row = result.rows[0] || {};
+        const spend = {};
+
+        SCOPES.forEach(scope => {
+            spend[scope] = {};
+            PERIODS.forEach(period => {
+                spend[scope][period] = parseFloat(row[`${scope}_${period}`]) || 0;
+            });
+        });
+
+        return spend;
+    }
+
+    // Where a request's organization, user and meeting stand against their
+    // budgets: 'ok', 'soft_limit' (use cheaper models) or 'hard_limit' (reject).
+    // Spend is checked before the call, so the call that crosses a limit
+    // still completes; the next one sees it.
+    async checkBudget(context = {}) {
+        const budgets = (await this.getBudgets(context))
+            .filter(budget => budget.period !== 'meeting' || context.meetingId);
+
+        if (budgets.length === 0) {
+            return { status: 'ok', limits: [] };
+        }
+
+        const spend = await this.getSpend(context);
+        const limits = budgets.map(budget => {
+            const spent = spend[budget.scope][budget.period];
+            let status = 'ok';
+
+            if (budget.hardLimit !== null && spent >= budget.hardLimit) {
+                status = 'hard_limit';
+            } else if (budget.softLimit !== null && spent >= budget.softLimit) {
+                status = 'soft_limit';
+            }
+
+            return { ...budget, spent, status };
+        });
+
+        const status = limits.some(limit => limit.status === 'hard_limit')
+            ? 'hard_limit'
+            : limits.some(limit => limit.status === 'soft_limit') ? 'soft_limit' : 'ok';
+
+        return { status, limits };
+    }
+
+    // checkBudget that rejects requests once a hard limit has been reached
+    async enforceBudget(context = {}) {
+        const budget = await this.checkBudget(context);
+
+        if (budget.status === 'hard_limit') {
+            const limit = budget.limits.find(candidate => candidate.status === 'hard_limit');
+            throw new BudgetExceededError(this.describeHardLimit(limit), {
+                scope: limit.scope,
+                period: limit.period,
+                spent: limit.spent,
+                hardLimit: limit.hardLimit
+            });
+        }
+
+        return budget;
+    }
+
+    describeHardLimit(limit) {
+        const owner = limit.scope === 'organization' ? 'Your organization\'s' : 'Your';
+
+        return `${owner} ${PERIOD_NAMES[limit.period]} AI budget of $${limit.hardLimit.toFixed(2)} has been reached ` +
+            `($${limit.spent.toFixed(2)} spent). AI requests are paused ${PERIOD_RESETS[limit.period]} ` +
+            'unless an administrator raises the limit.';
+    }
+
+    // Store the limits for an organization or one of its users. Null limits
+    // remove that limit; a budget with neither falls back to the defaults.
+    async setBudget(organizationId, { scope, userId, period, softLimit = null, hardLimit = null }, updatedBy) {
+        if (!organizationId) {
+            throw new ValidationError('Budgets can only be set by members of an organization');
+        }
+        if (!SCOPES.includes(scope)) {
+            throw new ValidationError(`Scope must be one of: ${SCOPES.join(', ')}`);
+        }
+        if (!PERIODS.includes(period)) {
+            throw new ValidationError(`Period must be one of: ${PERIODS.join(', ')}`);
+        }
+        if (softLimit !== null && hardLimit !== null && softLimit > hardLimit) {
+            throw new ValidationError('Soft limit cannot be higher than the hard limit');
+        }
+
+        let scopeId = organizationId;
+
+        if (scope === 'user') {
+            const member = await DatabaseService.query(
+                'SELECT user_id FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+                [userId, organizationId]
+            );
+            if (member.rows.length === 0) {
+                throw new NotFoundError('User not found in this organization');
+            }
+            scopeId = userId;
+        }
+
+        if (softLimit === null && hardLimit === null) {
+            await DatabaseService.query(
+                'DELETE FROM ai_budgets WHERE scope = $1 AND scope_id = $2 AND period = $3',
+                [scope, scopeId, period]
+            );
+            return { scope, scopeId, period, ...this.defaultBudgets[scope][period], source: 'default' };
+        }
+
+        const result = await DatabaseService.query(`
+            INSERT INTO ai_budgets (scope, scope_id, period, soft_limit_usd, hard_limit_usd, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (scope, scope_id, period) DO UPDATE SET
+                soft_limit_usd = EXCLUDED.soft_limit_usd,
+                hard_limit_usd = EXCLUDED.hard_limit_usd,
+                updated_by = EXCLUDED.updated_by
+            RETURNING *
+        `, [scope, scopeId, period, softLimit, hardLimit, updatedBy || null]);
+
+        const row = result.rows[0];
+        return {
+            scope: row.scope,
+            scopeId: row.scope_id,
+            period: row.period,
+            softLimit: parseLimit(row.soft_limit_usd),
+            hardLimit: parseLimit(row.hard_limit_usd),
+            source: 'configured'
+        };
+    }
+
+    getPeriodStarts(now = new Date()) {
+        return {
+            monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+            dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+        };
+    }
+}
+
+function parseLimit(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) ? limit : null;
+}
+
+module.exports = new CostLedgerService();
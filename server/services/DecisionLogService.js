@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+
+const DatabaseService = require('./DatabaseService');
+const MeetingService = require('./MeetingService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const STATUSES = ['active', 'superseded', 'reversed'];
+const SUPERSESSIONS = ['refines', 'reverses'];
+const SOURCES = ['transcript', 'analysis', 'manual'];
+
+// An earlier decision is linked automatically when a new one shares at least
+// this share of its significant words, and at least MIN_SHARED_TERMS of them
+const AUTO_LINK_SIMILARITY = 0.4;
+const MIN_SHARED_TERMS = 2;
+
+// Wording that turns a later decision into a reversal rather than a refinement
+const REVERSAL_PATTERN = /\b(?:no longer|not|won'?t|instead|revers\w*|revert\w*|cancel\w*|drop\w*|abandon\w*|scrap\w*|undo|roll(?:ing)? back|halt\w*|stop\w*|shelve\w*)\b/i;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'before', 'but',
+    'by', 'can', 'decided', 'decide', 'decision', 'do', 'for', 'from', 'going', 'have', 'in', 'into',
+    'is', 'it', 'its', 'let', 'lets', 'make', 'more', 'of', 'on', 'or', 'our', 'should', 'so', 'than',
+    'that', 'the', 'their', 'them', 'then', 'this', 'to', 'up', 'us', 'we', 'will', 'with', 'would'
+]);
+
+// Export all decisions matching the filters, up to this many
+const EXPORT_LIMIT = 5000;
+
+class DecisionLogService {
+    // Save decisions extracted by the transcript summarizer or a decisions /
+    // meeting_summary analysis, and link each to an earlier decision it
+    // refines or reverses
+    async recordExtracted(user, meetingId, decisions = [], options = {}) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId);
+        const participants = await MeetingService.loadParticipants(meeting);
+        const source = SOURCES.includes(options.source) ? options.source : 'analysis';
+
+        const created = [];
+        let skipped = 0;
+
+        for (const decision of decisions.map(extracted => this.normalizeExtracted(extracted)).filter(Boolean)) {
+            const row = await this.insertDecision(meeting, user.id, {
+                ...decision,
+                participants: this.resolveParticipants(decision, participants),
+                source
+            });
+
+            if (row) {
+                created.push(this.formatDecision(await this.linkToEarlier(row) || row));
+            } else {
+                skipped++;
+            }
+        }
+
+        return { created, skipped };
+    }
+
+    async createDecision(user, meetingId, data) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId);
+        const participants = await MeetingService.loadParticipants(meeting);
+
+        const row = await this.insertDecision(meeting, user.id, {
+            statement: data.statement.trim(),
+            rationale: data.rationale || null,
+            alternatives: data.alternatives || [],
+            confidence: null,
+            sources: [],
+            participants: this.resolveParticipants({ madeBy: data.participants || [], sources: [] }, participants),
+            source: 'manual'
+        });
+
+        if (!row) {
+            throw new ConflictError('This meeting already has a decision with the same statement');
+        }
+
+        if (data.supersedesId) {
+            return this.linkDecision(user, row.id, data.supersedesId, data.supersession || 'refines');
+        }
+
+        return this.formatDecision(await this.linkToEarlier(row) || row);
+    }
+
+    async searchDecisions(user, filters = {}) {
+        const {
+            q,
+            meetingId,
+            participant,
+            status,
+            from,
+            to,
+            page = 1,
+            limit = 20
+        } = filters;
+
+        let whereClause = `WHERE (d.created_by = $1 OR m.user_id = $1 OR d.organization_id IN (
+            SELECT organization_id FROM user_organizations WHERE user_id = $1
+        ))`;
+        const params = [user.id];
+        let paramIndex = 2;
+        let rankColumn = 'NULL::real AS rank';
+        let orderBy = 'd.decided_at DESC';
+
+        if (q) {
+            whereClause += ` AND d.search_vector @@ websearch_to_tsquery('english', $${paramIndex})`;
+            rankColumn = `ts_rank(d.search_vector, websearch_to_tsquery('english', $${paramIndex})) AS rank`;
+            orderBy = 'rank DESC, d.decided_at DESC';
+            params.push(q);
+            paramIndex++;
+        }
+
+        if (meetingId) {
+            whereClause += ` AND d.meeting_id = $${paramIndex}`;
+            params.push(meetingId);
+            paramIndex++;
+        }
+
+        if (participant) {
+            whereClause += ` AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements(d.participants) p
+                WHERE p->>'email' = LOWER($${paramIndex}) OR p->>'userId' = $${paramIndex} OR p->>'name' ILIKE $${paramIndex}
+            )`;
+            params.push(participant);
+            paramIndex++;
+        }
+
+        if (status) {
+            whereClause += ` AND d.status = $${paramIndex}`;
+            params.push(status);
+            paramIndex++;
+        }
+
+        if (from) {
+            whereClause += ` AND d.decided_at >= $${paramIndex}`;
+            params.push(from);
+            paramIndex++;
+        }
+
+        if (to) {
+            whereClause += ` AND d.decided_at <= $${paramIndex}`;
+            params.push(to);
+            paramIndex++;
+        }
+
+        const countResult = await DatabaseService.query(`
+            SELECT COUNT(*) FROM decisions d
+            LEFT JOIN meetings m ON m.id = d.meeting_id
+            ${whereClause}
+        `, params);
+
+        const result = await DatabaseService.query(`
+            SELECT d.*, ${rankColumn},
+                (SELECT json_agg(json_build_object('id', later.id, 'supersession', later.supersession))
+                    FROM decisions later WHERE later.supersedes_id = d.id) AS superseded_by
+            FROM decisions d
+            LEFT JOIN meetings m ON m.id = d.meeting_id
+            ${whereClause}
+            ORDER BY ${orderBy}
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...params, limit, (page - 1) * limit]);
+
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+            decisions: result.rows.map(row => this.formatDecision(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async exportDecisions(user, filters = {}) {
+        const result = await this.searchDecisions(user, { ...filters, page: 1, limit: EXPORT_LIMIT });
+        return result.decisions;
+    }
+
+    // A decision with the chain of decisions it refines or reverses and the
+    // ones that later refined or reversed it, oldest first
+    async getDecision(user, decisionId) {
+        await this.verifyDecisionAccess(user.id, decisionId);
+
+        const result = await DatabaseService.query(`
+            WITH RECURSIVE earlier AS (
+                SELECT d.id, d.supersedes_id, 0 AS depth FROM decisions d WHERE d.id = $1
+                UNION ALL
+                SELECT p.id, p.supersedes_id, e.depth - 1
+                FROM decisions p JOIN earlier e ON p.id = e.supersedes_id
+                WHERE e.depth > -50
+            ), later AS (
+                SELECT d.id, 0 AS depth FROM decisions d WHERE d.id = $1
+                UNION ALL
+                SELECT c.id, l.depth + 1
+                FROM decisions c JOIN later l ON c.supersedes_id = l.id
+                WHERE l.depth < 50
+            )
+            SELECT d.*,
+                (SELECT json_agg(json_build_object('id', next.id, 'supersession', next.supersession))
+                    FROM decisions next WHERE next.supersedes_id = d.id) AS superseded_by
+            FROM decisions d
+            WHERE d.id IN (SELECT id FROM earlier UNION SELECT id FROM later)
+            ORDER BY d.decided_at ASC, d.created_at ASC
+        `, [decisionId]);
+
+        const history = result.rows.map(row => this.formatDecision(row));
+
+        return {
+            decision: history.find(decision => decision.id === decisionId),
+            history
+        };
+    }
+
+    // Record that decisionId refines or reverses supersededId. Replaces any
+    // link the decision already had.
+    async linkDecision(user, decisionId, supersededId, supersession = 'refines') {
+        if (!SUPERSESSIONS.includes(supersession)) {
+            throw new ValidationError(`Supersession must be one of: ${SUPERSESSIONS.join(', ')}`);
+        }
+        if (decisionId === supersededId) {
+            throw new ValidationError('A decision cannot supersede itself');
+        }
+
+        const decision = await this.verifyDecisionAccess(user.id, decisionId, 'write');
+        const superseded = await this.verifyDecisionAccess(user.id, supersededId);
+
+        if (decision.organization_id !== superseded.organization_id) {
+            throw new ValidationError('Decisions can only supersede decisions of the same organization');
+        }
+
+        // The superseded decision must not itself descend from this one
+        const cycle = await DatabaseService.query(`
+            WITH RECURSIVE chain AS (
+                SELECT id, supersedes_id, 0 AS depth FROM decisions WHERE id = $1
+                UNION ALL
+                SELECT d.id, d.supersedes_id, c.depth + 1
+                FROM decisions d JOIN chain c ON d.id = c.supersedes_id
+                WHERE c.depth < 50
+            )
+            SELECT 1 FROM chain WHERE id = $2
+        `, [supersededId, decisionId]);
+
+        if (cycle.rows.length > 0) {
+            throw new ValidationError('That decision already descends from this one');
+        }
+
+        const row = await DatabaseService.transaction(async (client) => {
+            return this.setSupersession(client, decision, supersededId, supersession, 'manual');
+        });
+
+        return this.formatDecision(row);
+    }
+
+    async unlinkDecision(user, decisionId) {
+        const decision = await this.verifyDecisionAccess(user.id, decisionId, 'write');
+
+        if (!decision.supersedes_id) {
+            throw new ValidationError('This decision does not supersede another decision');
+        }
+
+        const row = await DatabaseService.transaction(async (client) => {
+            return this.setSupersession(client, decision, null, null, null);
+        });
+
+        return this.formatDecision(row);
+    }
+
+    // Link a new decision to the most similar active decision made earlier in
+    // the same organization, if they share enough wording
+    async linkToEarlier(decision) {
+        const terms = significantTerms(decision.statement);
+        if (terms.length < MIN_SHARED_TERMS) {
+            return null;
+        }
+
+        const scope = decision.organization_id
+            ? { clause: 'd.organization_id = $3', value: decision.organization_id }
+            : { clause: 'd.organization_id IS NULL AND d.created_by = $3', value: decision.created_by };
+
+        const candidates = await DatabaseService.query(`
+            SELECT d.* FROM decisions d
+            WHERE d.id <> $1
+            AND d.status = 'active'
+            AND d.meeting_id IS DISTINCT FROM $2
+            AND ${scope.clause}
+            AND d.decided_at < $4
+            AND d.search_vector @@ to_tsquery('english', $5)
+            ORDER BY ts_rank(d.search_vector, to_tsquery('english', $5)) DESC
+            LIMIT 10
+        `, [decision.id, decision.meeting_id, scope.value, decision.decided_at, terms.join(' | ')]);
+
+        let best = null;
+
+        candidates.rows.forEach(candidate => {
+            const candidateTerms = significantTerms(candidate.statement);
+            const shared = terms.filter(term => candidateTerms.includes(term)).length;
+            const similarity = shared / new Set([...terms, ...candidateTerms]).size;
+
+            if (shared >= MIN_SHARED_TERMS && similarity >= AUTO_LINK_SIMILARITY && (!best || similarity > best.similarity)) {
+                best = { candidate, similarity };
+            }
+        });
+
+        if (!best) {
+            return null;
+        }
+
+        const reverses = REVERSAL_PATTERN.test(`${decision.statement} ${decision.rationale || ''}`) &&
+            !REVERSAL_PATTERN.test(best.candidate.statement);
+
+        return DatabaseService.transaction(async (client) => {
+            return this.setSupersession(client, decision, best.candidate.id, reverses ? 'reverses' : 'refines', 'auto');
+        });
+    }
+
+    async setSupersession(client, decision, supersededId, supersession, source) {
+        const previous = decision.supersedes_id;
+
+        const result = await client.query(`
+            UPDATE decisions
+            SET supersedes_id = $2, supersession = $3, supersession_source = $4
+            WHERE id = $1
+            RETURNING *
+        `, [decision.id, supersededId, supersession, source]);
+
+        // The decision this one used to supersede is active again unless
+        // another decision still supersedes it
+        if (previous && previous !== supersededId) {
+            await client.query(`
+                UPDATE decisions SET status = 'active'
+                WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM decisions WHERE supersedes_id = $1)
+            `, [previous]);
+        }
+
+        if (supersededId) {
+            await client.query(
+                'UPDATE decisions SET status = $2 WHERE id = $1',
+                [supersededId, supersession === 'reverses' ? 'reversed' : 'superseded']
+            );
+        }
+
+        return result.rows[0];
+    }
+
+    // Access control
+    // Decisions are visible to the whole organization. Changing a decision's
+    // history takes the person who recorded it, the meeting owner or an
+    // organization admin.
+    async verifyDecisionAccess(userId, decisionId, level = 'read') {
+        const result = await DatabaseService.query(`
+            SELECT d.*,
+                CASE WHEN m.user_id = $2 THEN 'owner' ELSE uo.role END AS access_role
+            FROM decisions d
+            LEFT JOIN meetings m ON m.id = d.meeting_id
+            LEFT JOIN user_organizations uo
+                ON uo.organization_id = d.organization_id AND uo.user_id = $2
+            WHERE d.id = $1 AND (d.created_by = $2 OR m.user_id = $2 OR uo.user_id IS NOT NULL)
+        `, [decisionId, userId]);
+        const decision = result.rows[0];
+
+        if (!decision) {
+            throw new NotFoundError('Decision not found');
+        }
+
+        if (level === 'write' && decision.created_by !== userId && !['owner', 'admin'].includes(decision.access_role)) {
+            throw new ForbiddenError('Only the person who recorded a decision, the meeting owner or an organization admin can change its history');
+        }
+
+        return decision;
+    }
+
+    // Utility methods
+    normalizeExtracted(item) {
+        if (typeof item === 'string') {
+            item = { decision: item };
+        }
+
+        const statement = item && typeof (item.decision || item.statement) === 'string'
+            ? (item.decision || item.statement).trim()
+            : '';
+        if (!statement) {
+            return null;
+        }
+
+        const confidence = typeof item.confidence === 'number' ? Math.min(Math.max(item.confidence, 0), 1) : null;
+
+        return {
+            statement,
+            rationale: typeof item.rationale === 'string' && item.rationale.trim() ? item.rationale.trim() : null,
+            alternatives: asStrings(item.alternatives_considered || item.alternatives),
+            madeBy: [...asStrings(item.made_by || item.madeBy), ...asStrings([item.owner])],
+            confidence,
+            sources: (item.sources || []).map(source => ({
+                start: source.start ?? null,
+                end: source.end ?? null,
+                speaker: source.speaker || null,
+                quote: source.quote || null
+            }))
+        };
+    }
+
+    // The people named as making the decision, or else the speakers of the
+    // transcript spans it came from, matched to the meeting's participants
+    resolveParticipants(decision, participants) {
+        const names = decision.madeBy.length > 0
+            ? decision.madeBy
+            : decision.sources.map(source => source.speaker).filter(Boolean);
+        const resolved = new Map();
+
+        names.forEach(name => {
+            const person = MeetingService.resolveParticipant(name, participants);
+            if (!person) return;
+
+            const key = person.participantId || person.email || person.name.toLowerCase();
+            if (!resolved.has(key)) {
+                resolved.set(key, person);
+            }
+        });
+
+        return Array.from(resolved.values());
+    }
+
+    async insertDecision(meeting, userId, decision) {
+        // Timestamped transcript spans place the decision within the meeting
+        const offset = decision.sources.find(source => typeof source.start === 'number');
+        const decidedAt = meeting.start_time
+            ? new Date(new Date(meeting.start_time).getTime() + (offset ? offset.start * 1000 : 0))
+            : new Date();
+
+        const result = await DatabaseService.query(`
+            INSERT INTO decisions (
+                organization_id, meeting_id, meeting_title, created_by, statement, fingerprint,
+                rationale, alternatives, participants, confidence, source, sources, decided_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ON CONFLICT (meeting_id, fingerprint) DO NOTHING
+            RETURNING *
+        `, [
+            meeting.organization_id,
+            meeting.id,
+            meeting.title,
+            userId,
+            decision.statement,
+            this.fingerprint(decision.statement),
+            decision.rationale,
+            JSON.stringify(decision.alternatives),
+            JSON.stringify(decision.participants),
+            decision.confidence,
+            decision.source,
+            JSON.stringify(decision.sources),
+            decidedAt
+        ]);
+
+        return result.rows[0] || null;
+    }
+
+    fingerprint(statement) {
+        return crypto.createHash('sha1').update(significantTerms(statement, true).join(' ')).digest('hex');
+    }
+
+    formatDecision(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            meetingId: row.meeting_id,
+            meetingTitle: row.meeting_title,
+            statement: row.statement,
+            rationale: row.rationale,
+            alternatives: row.alternatives || [],
+            participants: row.participants || [],
+            confidence: row.confidence !== null ? parseFloat(row.confidence) : null,
+            source: row.source,
+            sources: row.sources || [],
+            decidedAt: row.decided_at,
+            status: row.status,
+            supersedes: row.supersedes_id ? {
+                id: row.supersedes_id,
+                supersession: row.supersession,
+                source: row.supersession_source
+            } : null,
+            supersededBy: row.superseded_by || [],
+            relevance: row.rank !== undefined && row.rank !== null ? parseFloat(row.rank) : undefined,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+// Lowercase words of a statement without stop words, for matching and
+// full-text queries; keepAll keeps stop words and duplicates
+function significantTerms(text, keepAll = false) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    if (keepAll) {
+        return words;
+    }
+    return Array.from(new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word))));
+}
+
+function asStrings(values) {
+    return (Array.isArray(values) ? values : [])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim());
+}
+
+module.exports = new DecisionLogService();
+module.exports.STATUSES = STATUSES;
+module.exports.SUPERSESSIONS = SUPERSESSIONS;
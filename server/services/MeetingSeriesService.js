@@ -0,0 +1,642 @@
+const DatabaseService = require('./DatabaseService');
+const MeetingService = require('./MeetingService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const CADENCES = ['daily', 'weekly', 'biweekly', 'monthly', 'irregular'];
+const CALENDAR_PROVIDERS = ['google', 'outlook', 'ical', 'other'];
+const AGENDA_STATUSES = ['open', 'covered', 'dropped'];
+
+// Columns a client may set directly on a series (API field -> column)
+const SERIES_FIELDS = {
+    title: 'title',
+    description: 'description',
+    cadence: 'cadence',
+    calendarProvider: 'calendar_provider',
+    recurrenceId: 'recurrence_id',
+    recurrenceRule: 'recurrence_rule',
+    metadata: 'metadata'
+};
+
+// An agenda topic counts as covered when this share of its significant
+// words was said in the meeting
+const COVERAGE_THRESHOLD = 0.6;
+
+// A metric is rising or falling when its fitted change across the window is
+// at least this share of its average
+const TREND_THRESHOLD = 0.1;
+const MIN_TREND_POINTS = 3;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'again', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'check', 'discuss', 'discussion',
+    'do', 'follow', 'for', 'from', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'review',
+    'status', 'the', 'this', 'to', 'up', 'update', 'updates', 'we', 'with'
+]);
+
+class MeetingSeriesService {
+    // Access control
+    // Anyone in the series' organization may read it; changing the series,
+    // its meetings or its agenda takes its owner or an organization admin
+    async verifySeriesAccess(userId, seriesId, level = 'read') {
+        const result = await DatabaseService.query(`
+            SELECT s.*,
+                CASE WHEN s.user_id = $2 THEN 'owner' ELSE uo.role END AS access_role
+            FROM meeting_series s
+            LEFT JOIN user_organizations uo
+                ON uo.organization_id = s.organization_id AND uo.user_id = $2
+            WHERE s.id = $1 AND (s.user_id = $2 OR uo.user_id IS NOT NULL)
+        `, [seriesId, userId]);
+        const series = result.rows[0];
+
+        if (!series) {
+            throw new NotFoundError('Meeting series not found or access denied');
+        }
+
+        if (level === 'write' && series.user_id !== userId && !['owner', 'admin'].includes(series.access_role)) {
+            throw new ForbiddenError('Only the series owner or an organization admin can modify this series');
+        }
+
+        return series;
+    }
+
+    // Series CRUD
+    async createSeries(user, data) {
+        const organizationId = data.organizationId || user.organizationId || null;
+        if (organizationId) {
+            await MeetingService.verifyOrganizationMembership(user.id, organizationId);
+        }
+
+        const record = this.mapFields(data);
+        record.user_id = user.id;
+        record.organization_id = organizationId;
+        if (record.metadata) {
+            record.metadata = JSON.stringify(record.metadata);
+        }
+
+        if (record.recurrence_id && await this.findByRecurrence(record, record.calendar_provider, record.recurrence_id)) {
+            throw new ConflictError('A series already exists for this calendar recurrence');
+        }
+
+        const series = await DatabaseService.create('meeting_series', record);
+        return this.formatSeries(series);
+    }
+
+    async listSeries(userId, filters = {}) {
+        const { page = 1, limit = 20, organizationId, search, archived = false } = filters;
+
+        let whereClause = `WHERE (s.user_id = $1 OR s.organization_id IN (
+            SELECT organization_id FROM user_organizations WHERE user_id = $1
+        ))`;
+        const params = [userId];
+        let paramIndex = 2;
+
+        whereClause += archived ? ' AND s.archived_at IS NOT NULL' : ' AND s.archived_at IS NULL';
+
+        if (organizationId) {
+            whereClause += ` AND s.organization_id = $${paramIndex}`;
+            params.push(organizationId);
+            paramIndex++;
+        }
+
+        if (search) {
+            whereClause += ` AND s.title ILIKE $${paramIndex}`;
+            params.push(`%${search}%`);
+            paramIndex++;
+        }
+
+        const countResult = await DatabaseService.query(
+            `SELECT COUNT(*) FROM meeting_series s ${whereClause}`,
+            params
+        );
+
+        const result = await DatabaseService.query(`
+            SELECT s.*,
+                (SELECT COUNT(*) FROM meetings m WHERE m.series_id = s.id) AS meeting_count,
+                (SELECT MAX(m.start_time) FROM meetings m WHERE m.series_id = s.id AND m.start_time <= NOW()) AS last_meeting_at,
+                (SELECT MIN(m.start_time) FROM meetings m WHERE m.series_id = s.id AND m.start_time > NOW()) AS next_meeting_at,
+                (SELECT COUNT(*) FROM meeting_series_agenda_items a WHERE a.series_id = s.id AND a.status = 'open') AS open_agenda_items
+            FROM meeting_series s
+            ${whereClause}
+            ORDER BY next_meeting_at ASC NULLS LAST, s.updated_at DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...params, limit, (page - 1) * limit]);
+
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+            series: result.rows.map(series => this.formatSeries(series)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async getSeries(userId, seriesId) {
+        const series = await this.verifySeriesAccess(userId, seriesId);
+
+        const meetings = await DatabaseService.query(`
+            SELECT * FROM meetings
+            WHERE series_id = $1
+            ORDER BY start_time DESC NULLS LAST
+            LIMIT 50
+        `, [seriesId]);
+
+        return {
+            ...this.formatSeries(series),
+            accessRole: series.access_role,
+            meetings: meetings.rows.map(meeting => MeetingService.formatMeeting(meeting))
+        };
+    }
+
+    async updateSeries(userId, seriesId, updates) {
+        const series = await this.verifySeriesAccess(userId, seriesId, 'write');
+
+        const record = this.mapFields(updates);
+        if (record.metadata) {
+            record.metadata = JSON.stringify(record.metadata);
+        }
+        if (updates.archived !== undefined) {
+            record.archived_at = updates.archived ? new Date() : null;
+        }
+
+        if (Object.keys(record).length === 0) {
+            throw new ValidationError('No updatable fields provided');
+        }
+
+        if (record.recurrence_id) {
+            const existing = await this.findByRecurrence(series, record.calendar_provider || series.calendar_provider, record.recurrence_id);
+            if (existing && existing.id !== seriesId) {
+                throw new ConflictError('A series already exists for this calendar recurrence');
+            }
+        }
+
+        const updated = await DatabaseService.update('meeting_series', seriesId, record);
+        return this.formatSeries(updated);
+    }
+
+    // The series of a calendar recurrence within an organization, or among a
+    // user's own series when there is no organization. Recurrence IDs are
+    // only unique per calendar account, so other organizations' series never match.
+    async findByRecurrence({ organization_id: organizationId, user_id: userId }, calendarProvider, recurrenceId) {
+        const result = await DatabaseService.query(`
+            SELECT * FROM meeting_series
+            WHERE organization_id IS NOT DISTINCT FROM $1
+                AND (organization_id IS NOT NULL OR user_id = $2)
+                AND calendar_provider IS NOT DISTINCT FROM $3 AND recurrence_id = $4
+        `, [organizationId || null, userId, calendarProvider || null, recurrenceId]);
+
+        return result.rows[0] || null;
+    }
+
+    // Meetings
+    // Put a meeting in a series, given either the series ID or the calendar
+    // recurrence the meeting is an instance of. A recurrence without a series
+    // yet starts one named after the meeting.
+    async attachMeeting(user, meetingId, { seriesId, recurrenceId, calendarProvider = null }) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId, 'write');
+
+        let series;
+        if (seriesId) {
+            series = await this.verifySeriesAccess(user.id, seriesId, 'write');
+        } else if (recurrenceId) {
+            series = await this.findByRecurrence(
+                { organization_id: meeting.organization_id, user_id: user.id },
+                calendarProvider,
+                recurrenceId
+            );
+            if (series) {
+                series = await this.verifySeriesAccess(user.id, series.id, 'write');
+            } else {
+                series = await DatabaseService.create('meeting_series', {
+                    user_id: user.id,
+                    organization_id: meeting.organization_id,
+                    title: meeting.title,
+                    calendar_provider: calendarProvider,
+                    recurrence_id: recurrenceId
+                });
+            }
+        } else {
+            throw new ValidationError('A series ID or calendar recurrence ID is required');
+        }
+
+        if ((series.organization_id || null) !== (meeting.organization_id || null)) {
+            throw new ValidationError('A meeting can only join a series of its own organization');
+        }
+
+        const updated = await DatabaseService.update('meetings', meetingId, { series_id: series.id });
+        return MeetingService.formatMeeting(updated);
+    }
+
+    async detachMeeting(userId, meetingId) {
+        const meeting = await MeetingService.verifyAccess(userId, meetingId, 'write');
+
+        if (!meeting.series_id) {
+            throw new ValidationError('This meeting is not part of a series');
+        }
+
+        const updated = await DatabaseService.update('meetings', meetingId, { series_id: null });
+        return MeetingService.formatMeeting(updated);
+    }
+
+    // Rolling agenda
+    // Open topics for the next meeting of the series: topics added by hand or
+    // carried over from earlier meetings, and open action items from series
+    // meetings, most often carried first
+    async getAgenda(userId, seriesId, options = {}) {
+        const series = await this.verifySeriesAccess(userId, seriesId);
+        await this.syncActionItems(seriesId);
+
+        const statuses = options.includeClosed ? AGENDA_STATUSES : ['open'];
+
+        const items = await DatabaseService.query(`
+            SELECT a.*, m.title AS first_meeting_title, m.start_time AS first_meeting_at,
+                ai.owner_name, ai.owner_email, ai.due_date
+            FROM meeting_series_agenda_items a
+            LEFT JOIN meetings m ON m.id = a.first_meeting_id
+            LEFT JOIN action_items ai ON ai.id = a.action_item_id
+            WHERE a.series_id = $1 AND a.status = ANY($2)
+            ORDER BY (a.status = 'open') DESC, a.times_carried DESC, a.created_at ASC
+        `, [seriesId, statuses]);
+
+        const nextMeeting = await DatabaseService.query(`
+            SELECT * FROM meetings
+            WHERE series_id = $1 AND status IN ('scheduled', 'in_progress')
+            ORDER BY start_time ASC NULLS LAST
+            LIMIT 1
+        `, [seriesId]);
+
+        return {
+            series: this.formatSeries(series),
+            nextMeeting: nextMeeting.rows[0] ? MeetingService.formatMeeting(nextMeeting.rows[0]) : null,
+            items: items.rows.map(item => this.formatAgendaItem(item))
+        };
+    }
+
+    async addAgendaItem(user, seriesId, data) {
+        await this.verifySeriesAccess(user.id, seriesId, 'write');
+
+        const item = await DatabaseService.create('meeting_series_agenda_items', {
+            series_id: seriesId,
+            title: data.title.trim(),
+            notes: data.notes || null,
+            source: 'manual',
+            added_by: user.id
+        });
+
+        return this.formatAgendaItem(item);
+    }
+
+    async updateAgendaItem(userId, seriesId, itemId, updates) {
+        await this.verifySeriesAccess(userId, seriesId, 'write');
+        const item = await this.getAgendaItemRow(seriesId, itemId);
+
+        const record = {};
+        if (updates.title !== undefined) record.title = updates.title.trim();
+        if (updates.notes !== undefined) record.notes = updates.notes;
+        if (updates.status !== undefined) {
+            if (!AGENDA_STATUSES.includes(updates.status)) {
+                throw new ValidationError(`Status must be one of: ${AGENDA_STATUSES.join(', ')}`);
+            }
+            record.status = updates.status;
+            if (updates.status === 'open') {
+                record.covered_meeting_id = null;
+            }
+        }
+
+        if (Object.keys(record).length === 0) {
+            throw new ValidationError('No updatable fields provided');
+        }
+
+        const updated = await DatabaseService.update('meeting_series_agenda_items', item.id, record);
+        return this.formatAgendaItem(updated);
+    }
+
+    async getAgendaItemRow(seriesId, itemId) {
+        const result = await DatabaseService.query(
+            'SELECT * FROM meeting_series_agenda_items WHERE id = $1 AND series_id = $2',
+            [itemId, seriesId]
+        );
+
+        if (!result.rows[0]) {
+            throw new NotFoundError('Agenda item not found');
+        }
+
+        return result.rows[0];
+    }
+
+    // Close out a series meeting's agenda: open topics that were discussed
+    // are marked covered, the rest carry forward to the next meeting. Safe to
+    // run again, e.g. once the transcript arrives after the meeting ended.
+    async carryForward(user, meetingId) {
+        const meeting = await MeetingService.verifyAccess(user.id, meetingId);
+        if (!meeting.series_id) {
+            return null;
+        }
+
+        await this.syncActionItems(meeting.series_id);
+
+        const transcript = await DatabaseService.query(
+            'SELECT text FROM transcript_segments WHERE meeting_id = $1',
+            [meetingId]
+        );
+        const spokenTerms = new Set(significantTerms(transcript.rows.map(row => row.text).join(' ')));
+
+        // Topics on this meeting's agenda: open, and added before it ended
+        const meetingEnd = meeting.end_time ||
+            (meeting.start_time && meeting.duration_minutes
+                ? new Date(new Date(meeting.start_time).getTime() + meeting.duration_minutes * 60 * 1000)
+                : new Date());
+
+        const items = await DatabaseService.query(`
+            SELECT a.* FROM meeting_series_agenda_items a
+            WHERE a.series_id = $1
+            AND a.status = 'open'
+            AND a.first_meeting_id IS DISTINCT FROM $2
+            AND a.created_at <= $3
+        `, [meeting.series_id, meetingId, meetingEnd]);
+
+        const covered = [];
+        const carried = [];
+
+        await DatabaseService.transaction(async (client) => {
+            for (const item of items.rows) {
+                if (spokenTerms.size > 0 && this.isCovered(item.title, spokenTerms)) {
+                    const result = await client.query(`
+                        UPDATE meeting_series_agenda_items
+                        SET status = 'covered', covered_meeting_id = $2, last_meeting_id = $2
+                        WHERE id = $1
+                        RETURNING *
+                    `, [item.id, meetingId]);
+                    covered.push(this.formatAgendaItem(result.rows[0]));
+                } else if (item.last_meeting_id !== meetingId) {
+                    const result = await client.query(`
+                        UPDATE meeting_series_agenda_items
+                        SET times_carried = times_carried + 1, last_meeting_id = $2
+                        WHERE id = $1
+                        RETURNING *
+                    `, [item.id, meetingId]);
+                    carried.push(this.formatAgendaItem(result.rows[0]));
+                }
+            }
+        });
+
+        return { seriesId: meeting.series_id, covered, carried };
+    }
+
+    // Open action items from series meetings become agenda topics; topics
+    // whose action item was completed or cancelled are covered
+    async syncActionItems(seriesId) {
+        await DatabaseService.query(`
+            INSERT INTO meeting_series_agenda_items (
+                series_id, title, source, action_item_id, first_meeting_id, last_meeting_id, added_by
+            )
+            SELECT $1, ai.description, 'action_item', ai.id, ai.meeting_id, ai.meeting_id, ai.created_by
+            FROM action_items ai
+            JOIN meetings m ON m.id = ai.meeting_id
+            WHERE m.series_id = $1 AND ai.status IN ('open', 'in_progress')
+            ON CONFLICT (series_id, action_item_id) DO NOTHING
+        `, [seriesId]);
+
+        await DatabaseService.query(`
+            UPDATE meeting_series_agenda_items a
+            SET status = 'covered', covered_meeting_id = ai.meeting_id
+            FROM action_items ai
+            WHERE a.action_item_id = ai.id
+            AND a.series_id = $1
+            AND a.status = 'open'
+            AND ai.status IN ('done', 'cancelled')
+        `, [seriesId]);
+    }
+
+    isCovered(title, spokenTerms) {
+        const terms = significantTerms(title);
+        if (terms.length === 0) {
+            return false;
+        }
+
+        const spoken = terms.filter(term => spokenTerms.has(term)).length;
+        return spoken / terms.length >= COVERAGE_THRESHOLD;
+    }
+
+    // Trends
+    // Per-meeting duration, engagement, decision rate and action item
+    // completion for the most recent meetings of the series, oldest first,
+    // with the average and direction of each metric
+    async getTrends(userId, seriesId, options = {}) {
+        const { limit = 12 } = options;
+        const series = await this.verifySeriesAccess(userId, seriesId);
+
+        const meetings = await DatabaseService.query(`
+            SELECT m.id, m.title, m.start_time, m.end_time, m.duration_minutes,
+                jsonb_array_length(COALESCE(m.participants, '[]'::jsonb)) AS invited,
+                (SELECT COUNT(*) FROM decisions d WHERE d.meeting_id = m.id) AS decision_count,
+                (SELECT COUNT(*) FROM action_items ai WHERE ai.meeting_id = m.id) AS action_item_count,
+                (SELECT COUNT(*) FROM action_items ai WHERE ai.meeting_id = m.id AND ai.status = 'done') AS action_items_done,
+                (SELECT MAX(t.end_seconds) FROM transcript_segments t WHERE t.meeting_id = m.id) AS transcript_seconds
+            FROM meetings m
+            WHERE m.series_id = $1
+            AND m.status <> 'cancelled'
+            AND (m.status = 'completed' OR m.start_time <= NOW())
+            ORDER BY m.start_time DESC NULLS LAST
+            LIMIT $2
+        `, [seriesId, limit]);
+
+        const rows = meetings.rows.reverse();
+        const speakers = rows.length > 0 ? await DatabaseService.query(`
+            SELECT meeting_id, speaker, COUNT(*) AS turns, SUM(LENGTH(text)) AS characters,
+                SUM(end_seconds - start_seconds) AS seconds, COUNT(end_seconds - start_seconds) AS timed_turns
+            FROM transcript_segments
+            WHERE meeting_id = ANY($1) AND speaker IS NOT NULL
+            GROUP BY meeting_id, speaker
+        `, [rows.map(row => row.id)]) : { rows: [] };
+
+        const points = rows.map(row => {
+            const durationMinutes = meetingDuration(row);
+            const engagement = speakerEngagement(
+                speakers.rows.filter(speaker => speaker.meeting_id === row.id),
+                parseInt(row.invited)
+            );
+            const decisions = parseInt(row.decision_count);
+            const actionItems = parseInt(row.action_item_count);
+
+            return {
+                meetingId: row.id,
+                title: row.title,
+                startTime: row.start_time,
+                durationMinutes,
+                engagement,
+                decisions,
+                decisionRate: durationMinutes ? round(decisions / (durationMinutes / 60)) : null,
+                actionItems,
+                actionItemCompletion: actionItems > 0 ? round(parseInt(row.action_items_done) / actionItems) : null
+            };
+        });
+
+        return {
+            series: this.formatSeries(series),
+            meetings: points,
+            summary: {
+                meetingCount: points.length,
+                durationMinutes: summarize(points.map(point => point.durationMinutes)),
+                engagement: summarize(points.map(point => point.engagement?.balance ?? null)),
+                speakers: summarize(points.map(point => point.engagement?.speakers ?? null)),
+                decisionRate: summarize(points.map(point => point.decisionRate)),
+                actionItemCompletion: summarize(points.map(point => point.actionItemCompletion))
+            }
+        };
+    }
+
+    // Utility methods
+    mapFields(data) {
+        const record = {};
+        for (const [field, column] of Object.entries(SERIES_FIELDS)) {
+            if (data[field] !== undefined) {
+                record[column] = data[field];
+            }
+        }
+        return record;
+    }
+
+    formatSeries(series) {
+        return {
+            id: series.id,
+            userId: series.user_id,
+            organizationId: series.organization_id,
+            title: series.title,
+            description: series.description,
+            cadence: series.cadence,
+            calendarProvider: series.calendar_provider,
+            recurrenceId: series.recurrence_id,
+            recurrenceRule: series.recurrence_rule,
+            metadata: series.metadata || {},
+            meetingCount: series.meeting_count !== undefined ? parseInt(series.meeting_count) : undefined,
+            lastMeetingAt: series.last_meeting_at,
+            nextMeetingAt: series.next_meeting_at,
+            openAgendaItems: series.open_agenda_items !== undefined ? parseInt(series.open_agenda_items) : undefined,
+            archived: Boolean(series.archived_at),
+            archivedAt: series.archived_at,
+            createdAt: series.created_at,
+            updatedAt: series.updated_at
+        };
+    }
+
+    formatAgendaItem(item) {
+        return {
+            id: item.id,
+            seriesId: item.series_id,
+            title: item.title,
+            notes: item.notes,
+            status: item.status,
+            source: item.source,
+            actionItem: item.action_item_id ? {
+                id: item.action_item_id,
+                owner: item.owner_name || item.owner_email || null,
+                dueDate: item.due_date || null
+            } : null,
+            firstMeeting: item.first_meeting_id ? {
+                id: item.first_meeting_id,
+                title: item.first_meeting_title,
+                startTime: item.first_meeting_at
+            } : null,
+            lastMeetingId: item.last_meeting_id,
+            coveredMeetingId: item.covered_meeting_id,
+            timesCarried: item.times_carried,
+            addedBy: item.added_by,
+            createdAt: item.created_at,
+            updatedAt: item.updated_at
+        };
+    }
+}
+
+// Lowercase words without stop words, with a trailing plural "s" dropped so
+// "deadlines" in the transcript covers a "deadline" topic
+function significantTerms(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    return Array.from(new Set(words
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))));
+}
+
+// Scheduled duration, else the span of the meeting, else the transcript length
+function meetingDuration(row) {
+    if (row.duration_minutes) {
+        return parseInt(row.duration_minutes);
+    }
+    if (row.start_time && row.end_time) {
+        return Math.round((new Date(row.end_time) - new Date(row.start_time)) / 60000);
+    }
+    if (row.transcript_seconds) {
+        return Math.round(parseFloat(row.transcript_seconds) / 60);
+    }
+    return null;
+}
+
+// How many people spoke and how evenly: balance is the normalized entropy
+// of talk time (or, for untimed transcripts, of words spoken), 1 when
+// everyone spoke equally and 0 when one person did all the talking
+function speakerEngagement(speakers, invited) {
+    if (speakers.length === 0) {
+        return null;
+    }
+
+    const timed = speakers.every(speaker => parseInt(speaker.timed_turns) === parseInt(speaker.turns) && parseFloat(speaker.seconds) > 0);
+    const volumes = speakers.map(speaker => parseFloat(timed ? speaker.seconds : speaker.characters) || 0);
+    const total = volumes.reduce((sum, volume) => sum + volume, 0);
+
+    let balance = 0;
+    if (speakers.length > 1 && total > 0) {
+        const entropy = volumes
+            .filter(volume => volume > 0)
+            .reduce((sum, volume) => sum - (volume / total) * Math.log(volume / total), 0);
+        balance = entropy / Math.log(speakers.length);
+    }
+
+    return {
+        speakers: speakers.length,
+        turns: speakers.reduce((sum, speaker) => sum + parseInt(speaker.turns), 0),
+        participation: invited > 0 ? round(Math.min(speakers.length / invited, 1)) : null,
+        balance: round(balance)
+    };
+}
+
+// Average, latest value and direction of a metric over the window, from a
+// least-squares fit of the meetings that have a value
+function summarize(values) {
+    const points = values
+        .map((value, index) => ({ x: index, y: value }))
+        .filter(point => point.y !== null && point.y !== undefined);
+
+    if (points.length === 0) {
+        return { average: null, latest: null, trend: 'insufficient_data' };
+    }
+
+    const average = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const latest = points[points.length - 1].y;
+
+    if (points.length < MIN_TREND_POINTS) {
+        return { average: round(average), latest, trend: 'insufficient_data' };
+    }
+
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - average), 0);
+    const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const change = (covariance / variance) * (points[points.length - 1].x - points[0].x);
+    const relativeChange = average !== 0 ? change / Math.abs(average) : change;
+
+    let trend = 'steady';
+    if (relativeChange >= TREND_THRESHOLD) trend = 'rising';
+    if (relativeChange <= -TREND_THRESHOLD) trend = 'falling';
+
+    return { average: round(average), latest, trend, change: round(change) };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = new MeetingSeriesService();
+module.exports.CADENCES = CADENCES;
+module.exports.CALENDAR_PROVIDERS = CALENDAR_PROVIDERS;
+module.exports.AGENDA_STATUSES = AGENDA_STATUSES;
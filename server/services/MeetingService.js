@@ -0,0 +1,512 @@
+const crypto = require('crypto');
+
+const DatabaseService = require('./DatabaseService');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Columns a client may set directly on a meeting (API field -> column)
+const MEETING_FIELDS = {
+    title: 'title',
+    description: 'description',
+    platform: 'platform',
+    platformMeetingId: 'platform_meeting_id',
+    platformUrl: 'platform_url',
+    startTime: 'start_time',
+    endTime: 'end_time',
+    durationMinutes: 'duration_minutes',
+    meetingType: 'meeting_type',
+    status: 'status',
+    metadata: 'metadata'
+};
+
+const SORTABLE_COLUMNS = ['start_time', 'created_at', 'updated_at', 'title'];
+
+// Names that don't refer to one person
+const UNNAMED_PARTICIPANTS = /^(?:n\/?a|none|unassigned|unknown|tbd|tbc|team|the team|everyone|all|we|us)$/i;
+
+class MeetingService {
+    constructor() {
+        this.accessQuery = `
+            SELECT m.*,
+                CASE WHEN m.user_id = $2 THEN 'owner' ELSE uo.role END AS access_role
+            FROM meetings m
+            LEFT JOIN user_organizations uo
+                ON uo.organization_id = m.organization_id AND uo.user_id = $2
+            WHERE m.id = $1 AND (m.user_id = $2 OR uo.user_id IS NOT NULL)
+        `;
+    }
+
+    // Access control
+    async verifyAccess(userId, meetingId, level = 'read') {
+        const result = await DatabaseService.query(this.accessQuery, [meetingId, userId]);
+        const meeting = result.rows[0];
+
+        if (!meeting) {
+            throw new NotFoundError('Meeting not found or access denied');
+        }
+
+        // Same rules as the meetings RLS policies: organization owners and admins
+        // may edit, only the meeting owner may delete
+        const isOwner = meeting.user_id === userId;
+        const isOrgAdmin = ['owner', 'admin'].includes(meeting.access_role);
+
+        if (level === 'write' && !isOwner && !isOrgAdmin) {
+            throw new ForbiddenError('Only the meeting owner or an organization admin can modify this meeting');
+        }
+
+        if (level === 'owner' && !isOwner) {
+            throw new ForbiddenError('Only the meeting owner can perform this action');
+        }
+
+        return meeting;
+    }
+
+    async verifyOrganizationMembership(userId, organizationId) {
+        const result = await DatabaseService.query(
+            'SELECT role FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+            [userId, organizationId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new ForbiddenError('You are not a member of this organization');
+        }
+
+        return result.rows[0];
+    }
+
+    // Meeting CRUD
+    async createMeeting(user, meetingData) {
+        const organizationId = meetingData.organizationId || user.organizationId || null;
+        if (organizationId) {
+            await this.verifyOrganizationMembership(user.id, organizationId);
+        }
+
+        const record = this.mapFields(meetingData);
+        record.user_id = user.id;
+        record.organization_id = organizationId;
+        record.participants = JSON.stringify(
+            (meetingData.participants || []).map(participant => this.normalizeParticipant(participant))
+        );
+        if (record.metadata) {
+            record.metadata = JSON.stringify(record.metadata);
+        }
+
+        const meeting = await DatabaseService.create('meetings', record);
+        return this.formatMeeting(meeting);
+    }
+
+    async listMeetings(userId, filters = {}) {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            platform,
+            meetingType,
+            organizationId,
+            from,
+            to,
+            search,
+            archived = false,
+            sortBy = 'start_time',
+            sortOrder = 'desc'
+        } = filters;
+        const offset = (page - 1) * limit;
+
+        let whereClause = `WHERE (m.user_id = $1 OR m.organization_id IN (
+            SELECT organization_id FROM user_organizations WHERE user_id = $1
+        ))`;
+        const params = [userId];
+        let paramIndex = 2;
+
+        whereClause += archived ? ' AND m.archived_at IS NOT NULL' : ' AND m.archived_at IS NULL';
+
+        if (status) {
+            whereClause += ` AND m.status = $${paramIndex}`;
+            params.push(status);
+            paramIndex++;
+        }
+
+        if (platform) {
+            whereClause += ` AND m.platform = $${paramIndex}`;
+            params.push(platform);
+            paramIndex++;
+        }
+
+        if (meetingType) {
+            whereClause += ` AND m.meeting_type = $${paramIndex}`;
+            params.push(meetingType);
+            paramIndex++;
+        }
+
+        if (organizationId) {
+            whereClause += ` AND m.organization_id = $${paramIndex}`;
+            params.push(organizationId);
+            paramIndex++;
+        }
+
+        if (from) {
+            whereClause += ` AND m.start_time >= $${paramIndex}`;
+            params.push(from);
+            paramIndex++;
+        }
+
+        if (to) {
+            whereClause += ` AND m.start_time <= $${paramIndex}`;
+            params.push(to);
+            paramIndex++;
+        }
+
+        if (search) {
+            whereClause += ` AND (m.title ILIKE $${paramIndex} OR m.description ILIKE $${paramIndex})`;
+            params.push(`%${search}%`);
+            paramIndex++;
+        }
+
+        const orderColumn = SORTABLE_COLUMNS.includes(sortBy) ? sortBy : 'start_time';
+        const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+        const countResult = await DatabaseService.query(
+            `SELECT COUNT(*) FROM meetings m ${whereClause}`,
+            params
+        );
+
+        const result = await DatabaseService.query(`
+            SELECT m.* FROM meetings m
+            ${whereClause}
+            ORDER BY m.${orderColumn} ${orderDirection} NULLS LAST
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...params, limit, offset]);
+
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+            meetings: result.rows.map(meeting => this.formatMeeting(meeting)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async getMeeting(userId, meetingId) {
+        const meeting = await this.verifyAccess(userId, meetingId);
+
+        const counts = await DatabaseService.query(`
+            SELECT
+                (SELECT COUNT(*) FROM ai_analyses WHERE meeting_id = $1) AS analysis_count,
+                (SELECT COUNT(*) FROM meeting_attachments WHERE meeting_id = $1) AS attachment_count
+        `, [meetingId]);
+
+        return {
+            ...this.formatMeeting(meeting),
+            accessRole: meeting.access_role,
+            analysisCount: parseInt(counts.rows[0].analysis_count),
+            attachmentCount: parseInt(counts.rows[0].attachment_count)
+        };
+    }
+
+    async updateMeeting(userId, meetingId, updates) {
+        await this.verifyAccess(userId, meetingId, 'write');
+
+        const record = this.mapFields(updates);
+        if (record.metadata) {
+            record.metadata = JSON.stringify(record.metadata);
+        }
+        if (updates.participants) {
+            record.participants = JSON.stringify(
+                updates.participants.map(participant => this.normalizeParticipant(participant))
+            );
+        }
+
+        if (Object.keys(record).length === 0) {
+            throw new ValidationError('No updatable fields provided');
+        }
+
+        const meeting = await DatabaseService.update('meetings', meetingId, record);
+        return this.formatMeeting(meeting);
+    }
+
+    async archiveMeeting(userId, meetingId, archived = true) {
+        await this.verifyAccess(userId, meetingId, 'write');
+
+        const meeting = await DatabaseService.update('meetings', meetingId, {
+            archived_at: archived ? new Date() : null
+        });
+        return this.formatMeeting(meeting);
+    }
+
+    async deleteMeeting(userId, meetingId) {
+        await this.verifyAccess(userId, meetingId, 'owner');
+        return DatabaseService.delete('meetings', meetingId);
+    }
+
+    // Participants
+    async getParticipants(userId, meetingId) {
+        const meeting = await this.verifyAccess(userId, meetingId);
+        return meeting.participants || [];
+    }
+
+    async addParticipant(userId, meetingId, participantData) {
+        const meeting = await this.verifyAccess(userId, meetingId, 'write');
+        const participants = meeting.participants || [];
+        const participant = this.normalizeParticipant(participantData);
+
+        if (participant.email && participants.some(p => p.email === participant.email)) {
+            throw new ValidationError('A participant with this email already exists');
+        }
+
+        participants.push(participant);
+        await DatabaseService.update('meetings', meetingId, {
+            participants: JSON.stringify(participants)
+        });
+
+        return participant;
+    }
+
+    async updateParticipant(userId, meetingId, participantId, updates) {
+        const meeting = await this.verifyAccess(userId, meetingId, 'write');
+        const participants = meeting.participants || [];
+        const index = participants.findIndex(p => p.id === participantId);
+
+        if (index === -1) {
+            throw new NotFoundError('Participant not found');
+        }
+
+        participants[index] = this.normalizeParticipant({ ...participants[index], ...updates, id: participantId });
+        await DatabaseService.update('meetings', meetingId, {
+            participants: JSON.stringify(participants)
+        });
+
+        return participants[index];
+    }
+
+    async removeParticipant(userId, meetingId, participantId) {
+        const meeting = await this.verifyAccess(userId, meetingId, 'write');
+        const participants = meeting.participants || [];
+        const remaining = participants.filter(p => p.id !== participantId);
+
+        if (remaining.length === participants.length) {
+            throw new NotFoundError('Participant not found');
+        }
+
+        await DatabaseService.update('meetings', meetingId, {
+            participants: JSON.stringify(remaining)
+        });
+    }
+
+    // Meeting participants, with user IDs filled in from their email where
+    // the participant was added without one
+    async loadParticipants(meeting) {
+        const participants = (meeting.participants || []).map(participant => ({ ...participant }));
+        const missing = participants.filter(participant => !participant.userId && participant.email);
+
+        if (missing.length > 0) {
+            const users = await DatabaseService.query(
+                'SELECT id, email FROM users WHERE LOWER(email) = ANY($1)',
+                [missing.map(participant => participant.email)]
+            );
+            missing.forEach(participant => {
+                const user = users.rows.find(row => row.email.toLowerCase() === participant.email);
+                participant.userId = user ? user.id : null;
+            });
+        }
+
+        return participants;
+    }
+
+    // Match a person as a transcript or user named them ("Sarah",
+    // "sarah.chen@acme.com", "Sarah C.") to one of the participants. Returns
+    // the participant, or just the name when nobody matches unambiguously.
+    resolveParticipant(person, participants = []) {
+        const text = typeof person === 'string' ? person.trim() : '';
+        if (!text || UNNAMED_PARTICIPANTS.test(text)) {
+            return null;
+        }
+
+        const target = normalizeName(text);
+        const candidates = participants.map(participant => ({
+            participant,
+            name: normalizeName(participant.name || ''),
+            email: participant.email || '',
+            localPart: normalizeName((participant.email || '').split('@')[0].replace(/[._-]+/g, ' '))
+        }));
+
+        const matchers = [
+            candidate => candidate.email && candidate.email === text.toLowerCase(),
+            candidate => candidate.name && candidate.name === target,
+            candidate => candidate.localPart === target,
+            // "Sarah" or "Sarah C" against "Sarah Chen"
+            candidate => candidate.name && matchesNameParts(target, candidate.name),
+            candidate => candidate.localPart && matchesNameParts(target, candidate.localPart)
+        ];
+
+        for (const matcher of matchers) {
+            const matches = candidates.filter(matcher);
+            if (matches.length === 1) {
+                const { participant } = matches[0];
+                return {
+                    participantId: participant.id || null,
+                    userId: participant.userId || null,
+                    name: participant.name || text,
+                    email: participant.email || null
+                };
+            }
+            if (matches.length > 1) {
+                break;
+            }
+        }
+
+        return { participantId: null, userId: null, name: text, email: text.includes('@') ? text.toLowerCase() : null };
+    }
+
+    // Attachments
+    async getAttachments(userId, meetingId) {
+        await this.verifyAccess(userId, meetingId);
+
+        const result = await DatabaseService.query(
+            'SELECT * FROM meeting_attachments WHERE meeting_id = $1 ORDER BY created_at DESC',
+            [meetingId]
+        );
+        return result.rows.map(attachment => this.formatAttachment(attachment));
+    }
+
+    async addAttachment(userId, meetingId, attachmentData) {
+        await this.verifyAccess(userId, meetingId);
+
+        const attachment = await DatabaseService.create('meeting_attachments', {
+            meeting_id: meetingId,
+            user_id: userId,
+            file_name: attachmentData.fileName,
+            file_url: attachmentData.fileUrl,
+            content_type: attachmentData.contentType || null,
+            file_size: attachmentData.fileSize || null,
+            metadata: JSON.stringify(attachmentData.metadata || {})
+        });
+        return this.formatAttachment(attachment);
+    }
+
+    async removeAttachment(userId, meetingId, attachmentId) {
+        const meeting = await this.verifyAccess(userId, meetingId);
+
+        const attachment = await DatabaseService.findById('meeting_attachments', attachmentId);
+        if (!attachment || attachment.meeting_id !== meetingId) {
+            throw new NotFoundError('Attachment not found');
+        }
+
+        // Uploaders can remove their own attachments, editors can remove any
+        if (attachment.user_id !== userId) {
+            await this.verifyAccess(userId, meeting.id, 'write');
+        }
+
+        await DatabaseService.delete('meeting_attachments', attachmentId);
+    }
+
+    // Linked AI analyses
+    async getAnalyses(userId, meetingId, options = {}) {
+        await this.verifyAccess(userId, meetingId);
+
+        const { analysisType, page = 1, limit = 20 } = options;
+        const params = [meetingId];
+        let whereClause = 'WHERE meeting_id = $1';
+
+        if (analysisType) {
+            whereClause += ' AND analysis_type = $2';
+            params.push(analysisType);
+        }
+
+        const result = await DatabaseService.query(`
+            SELECT * FROM ai_analyses
+            ${whereClause}
+            ORDER BY created_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, (page - 1) * limit]);
+
+        return result.rows.map(analysis => ({
+            id: analysis.id,
+            type: analysis.analysis_type,
+            model: analysis.ai_model,
+            output: analysis.output_content,
+            confidence: analysis.confidence_score !== null ? parseFloat(analysis.confidence_score) : null,
+            processingTime: analysis.processing_time_ms,
+            tokensUsed: analysis.tokens_used,
+            cost: analysis.cost_usd !== null ? parseFloat(analysis.cost_usd) : null,
+            createdAt: analysis.created_at
+        }));
+    }
+
+    // Utility methods
+    mapFields(data) {
+        const record = {};
+        for (const [field, column] of Object.entries(MEETING_FIELDS)) {
+            if (data[field] !== undefined) {
+                record[column] = data[field];
+            }
+        }
+        return record;
+    }
+
+    normalizeParticipant(participant) {
+        return {
+            id: participant.id || crypto.randomUUID(),
+            userId: participant.userId || null,
+            name: participant.name || null,
+            email: participant.email ? participant.email.toLowerCase() : null,
+            role: participant.role || 'participant'
+        };
+    }
+
+    formatMeeting(meeting) {
+        return {
+            id: meeting.id,
+            userId: meeting.user_id,
+            organizationId: meeting.organization_id,
+            seriesId: meeting.series_id || null,
+            title: meeting.title,
+            description: meeting.description,
+            platform: meeting.platform,
+            platformMeetingId: meeting.platform_meeting_id,
+            platformUrl: meeting.platform_url,
+            startTime: meeting.start_time,
+            endTime: meeting.end_time,
+            durationMinutes: meeting.duration_minutes,
+            participants: meeting.participants || [],
+            meetingType: meeting.meeting_type,
+            status: meeting.status,
+            metadata: meeting.metadata || {},
+            archived: Boolean(meeting.archived_at),
+            archivedAt: meeting.archived_at,
+            createdAt: meeting.created_at,
+            updatedAt: meeting.updated_at
+        };
+    }
+
+    formatAttachment(attachment) {
+        return {
+            id: attachment.id,
+            meetingId: attachment.meeting_id,
+            uploadedBy: attachment.user_id,
+            fileName: attachment.file_name,
+            fileUrl: attachment.file_url,
+            contentType: attachment.content_type,
+            fileSize: attachment.file_size !== null ? parseInt(attachment.file_size) : null,
+            metadata: attachment.metadata || {},
+            createdAt: attachment.created_at
+        };
+    }
+}
+
+function normalizeName(text) {
+    return text.toLowerCase().replace(/[^a-z0-9@\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Every part of the shorter name starts the matching part of the longer one
+function matchesNameParts(target, name) {
+    const targetParts = target.split(' ');
+    const nameParts = name.split(' ');
+
+    return targetParts.length <= nameParts.length &&
+        targetParts.every((part, index) => nameParts[index].startsWith(part));
+}
+
+module.exports = new MeetingService();
@@ -1,7 +1,42 @@
 const EventEmitter = require('events');
+const axios = require('axios');
 const nodemailer = require('nodemailer');
 const DatabaseService = require('./DatabaseService');
 
+// Preferences of users who have not saved their own. push covers the web and
+// desktop apps; Slack and Teams need a webhook URL in webhooks.
+const DEFAULT_PREFERENCES = {
+    email: true,
+    push: true,
+    sms: false,
+    slack: true,
+    teams: true,
+    types: {
+        'ai.analysis.completed': { email: true, push: true },
+        'ai.analysis.failed': { email: true, push: true },
+        'meeting.started': { email: false, push: true },
+        'meeting.ended': { email: false, push: true },
+        'meeting.briefing': { email: true, push: true, slack: true, teams: true },
+        'system.alert': { email: true, push: true },
+        'subscription.changed': { email: true, push: true },
+        'cost.alert': { email: true, push: true }
+    },
+    webhooks: {
+        slack: null,
+        teams: null
+    },
+    briefings: {
+        leadMinutes: null // CALENDAR_BRIEFING_LEAD_MINUTES
+    }
+};
+
+// Incoming webhook hosts; anything else would let a preference make the
+// server post to arbitrary URLs
+const WEBHOOK_HOSTS = {
+    slack: [/^hooks\.slack\.com$/],
+    teams: [/\.webhook\.office\.com$/, /^outlook\.office\.com$/, /\.logic\.azure\.com$/]
+};
+
 class NotificationService extends EventEmitter {
     constructor() {
         super();
@@ -17,7 +52,7 @@ class NotificationService extends EventEmitter {
     async initializeEmailService() {
         try {
             // Configure email transporter
-            this.emailTransporter = nodemailer.createTransporter({
+            this.emailTransporter = nodemailer.createTransport({
                 host: process.env.SMTP_HOST || 'smtp.gmail.com',
                 port: process.env.SMTP_PORT || 587,
                 secure: false,
@@ -155,6 +190,70 @@ class NotificationService extends EventEmitter {
         });
     }
 
+    // Stored preferences over the defaults
+    async getPreferences(userId) {
+        const user = await DatabaseService.findById('users', userId);
+        const stored = user?.notification_preferences || {};
+
+        return {
+            ...DEFAULT_PREFERENCES,
+            ...stored,
+            types: { ...DEFAULT_PREFERENCES.types, ...(stored.types || {}) },
+            webhooks: { ...DEFAULT_PREFERENCES.webhooks, ...(stored.webhooks || {}) },
+            briefings: { ...DEFAULT_PREFERENCES.briefings, ...(stored.briefings || {}) }
+        };
+    }
+
+    // A channel is on unless switched off globally or for the notification type
+    isChannelEnabled(preferences, type, channel) {
+        if (preferences[channel] === false) return false;
+        if (preferences.types?.[type]?.[channel] === false) return false;
+        if (channel === 'slack' || channel === 'teams') {
+            return Boolean(preferences.webhooks?.[channel]);
+        }
+        return true;
+    }
+
+    // Error message for invalid preferences, null when they can be saved
+    validatePreferences(preferences) {
+        for (const channel of Object.keys(WEBHOOK_HOSTS)) {
+            const url = preferences.webhooks?.[channel];
+            if (url && !this.isAllowedWebhookUrl(channel, url)) {
+                return `The ${channel} webhook must be an https ${channel === 'slack' ? 'Slack' : 'Teams'} incoming webhook URL`;
+            }
+        }
+
+        const leadMinutes = preferences.briefings?.leadMinutes;
+        if (leadMinutes !== undefined && leadMinutes !== null && !(Number.isInteger(leadMinutes) && leadMinutes >= 0 && leadMinutes <= 24 * 60)) {
+            return 'Briefing lead time must be between 0 and 1440 minutes';
+        }
+
+        return null;
+    }
+
+    isAllowedWebhookUrl(channel, url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            return protocol === 'https:' && (WEBHOOK_HOSTS[channel] || []).some(pattern => pattern.test(hostname));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Post a card to a Slack or Teams incoming webhook
+    async sendWebhookNotification(channel, url, payload) {
+        if (!this.isAllowedWebhookUrl(channel, url)) {
+            throw new Error(`Refusing to post to a non-${channel} webhook URL`);
+        }
+
+        await axios.post(url, payload, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000
+        });
+
+        console.log(`💬 ${channel} notification delivered`);
+    }
+
     // Send email notification
     async sendEmailNotification(userId, notification) {
         if (!this.emailTransporter) {
@@ -204,6 +303,11 @@ class NotificationService extends EventEmitter {
 
     // Generate email content
     generateEmailContent(notification, user) {
+        // Notifications with their own layout (meeting briefings) bring it along
+        if (notification.email) {
+            return notification.email;
+        }
+
         const baseUrl = process.env.FRONTEND_URL || 'https://meetingmind.com';
         
         const templates = {
@@ -524,3 +628,4 @@ class NotificationService extends EventEmitter {
 }
 
 module.exports = new NotificationService();
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
@@ -0,0 +1,444 @@
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+
+const DatabaseService = require('./DatabaseService');
+const MeetingService = require('./MeetingService');
+const TranscriptService = require('./TranscriptService');
+const { createRecordingStorage } = require('./RecordingStorage');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { signLinkToken, verifyLinkToken } = require('../middleware/auth');
+
+const PLAYBACK_TOKEN_PURPOSE = 'recording_playback';
+
+class RecordingService {
+    constructor() {
+        this.storage = null;
+        this.maxChunkSize = 10 * 1024 * 1024;
+        this.playbackTokenTtl = '15m';
+    }
+
+    // The backend is chosen from RECORDING_STORAGE on first use so a missing
+    // S3 SDK only matters to deployments that configured S3
+    getStorage() {
+        if (!this.storage) {
+            this.storage = createRecordingStorage();
+        }
+        return this.storage;
+    }
+
+    // Start a recording; chunks are uploaded separately. Recording is opt-in,
+    // so the client has to confirm that participants were told about it.
+    async createRecording(userId, meetingId, options = {}) {
+        await MeetingService.verifyAccess(userId, meetingId);
+
+        const { recordingType = 'audio', mimeType = 'audio/wav', consent, transcriptOffsetSeconds = 0 } = options;
+
+        if (!consent || consent.confirmed !== true) {
+            throw new ValidationError('Participant consent must be confirmed before a recording can be stored');
+        }
+
+        const recording = await DatabaseService.create('meeting_recordings', {
+            meeting_id: meetingId,
+            user_id: userId,
+            recording_type: recordingType,
+            format: mimeType.split('/')[1] || null,
+            mime_type: mimeType,
+            storage_backend: this.getStorage().name,
+            upload_status: 'uploading',
+            chunk_count: 0,
+            file_size: 0,
+            transcript_offset_seconds: transcriptOffsetSeconds,
+            consent: JSON.stringify({
+                confirmed: true,
+                method: consent.method || 'desktop_prompt',
+                notice: consent.notice || null,
+                confirmedBy: userId,
+                confirmedAt: consent.confirmedAt || new Date().toISOString()
+            })
+        });
+
+        return this.formatRecording(recording);
+    }
+
+    // Store one chunk. Re-uploading an index replaces it, so clients can
+    // retry a failed chunk and resume an interrupted upload.
+    async uploadChunk(userId, meetingId, recordingId, chunkIndex, buffer) {
+        const recording = await this.getOwnRecording(userId, meetingId, recordingId);
+
+        if (recording.upload_status === 'complete') {
+            throw new ConflictError('Recording upload has already been completed');
+        }
+        if (!buffer || buffer.length === 0) {
+            throw new ValidationError('Chunk is empty');
+        }
+        if (buffer.length > this.maxChunkSize) {
+            throw new ValidationError(`Chunks may not exceed ${this.maxChunkSize} bytes`);
+        }
+
+        const storageKey = `${meetingId}/${recordingId}/${String(chunkIndex).padStart(6, '0')}`;
+        const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        await this.getStorage().putObject(storageKey, buffer, 'application/octet-stream');
+
+        await DatabaseService.query(`
+            INSERT INTO meeting_recording_chunks (recording_id, chunk_index, storage_key, byte_size, checksum)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (recording_id, chunk_index)
+            DO UPDATE SET storage_key = EXCLUDED.storage_key, byte_size = EXCLUDED.byte_size,
+                checksum = EXCLUDED.checksum, created_at = NOW()
+        `, [recordingId, chunkIndex, storageKey, buffer.length, checksum]);
+
+        return { index: chunkIndex, size: buffer.length, checksum };
+    }
+
+    async completeRecording(userId, meetingId, recordingId, details = {}) {
+        const recording = await this.getOwnRecording(userId, meetingId, recordingId);
+        const chunks = await this.getChunks(recordingId);
+
+        if (chunks.length === 0) {
+            throw new ValidationError('No chunks have been uploaded for this recording');
+        }
+
+        // Chunks must be contiguous from 0, otherwise playback would skip audio
+        const missing = chunks.findIndex((chunk, index) => chunk.chunk_index !== index);
+        if (missing !== -1 || (details.chunkCount !== undefined && details.chunkCount !== chunks.length)) {
+            throw new ValidationError('Recording is missing chunks', {
+                received: chunks.map(chunk => chunk.chunk_index)
+            });
+        }
+
+        const updated = await DatabaseService.update('meeting_recordings', recording.id, {
+            upload_status: 'complete',
+            chunk_count: chunks.length,
+            file_size: chunks.reduce((total, chunk) => total + parseInt(chunk.byte_size, 10), 0),
+            duration_seconds: details.durationSeconds !== undefined ? Math.round(details.durationSeconds) : recording.duration_seconds,
+            completed_at: new Date()
+        });
+
+        return this.formatRecording(updated);
+    }
+
+    async listRecordings(userId, meetingId) {
+        await MeetingService.verifyAccess(userId, meetingId);
+
+        const result = await DatabaseService.query(
+            'SELECT * FROM meeting_recordings WHERE meeting_id = $1 ORDER BY created_at DESC',
+            [meetingId]
+        );
+        return result.rows.map(recording => this.formatRecording(recording));
+    }
+
+    async getRecording(userId, meetingId, recordingId) {
+        await MeetingService.verifyAccess(userId, meetingId);
+        return this.formatRecording(await this.findRecording(meetingId, recordingId));
+    }
+
+    async deleteRecording(userId, meetingId, recordingId) {
+        const recording = await this.findRecording(meetingId, recordingId);
+
+        // Uploaders can remove their own recordings, editors can remove any
+        if (recording.user_id !== userId) {
+            await MeetingService.verifyAccess(userId, meetingId, 'write');
+        } else {
+            await MeetingService.verifyAccess(userId, meetingId);
+        }
+
+        await this.getStorage().deletePrefix(`${meetingId}/${recordingId}`);
+        await DatabaseService.delete('meeting_recordings', recordingId);
+    }
+
+    // Open a completed recording for playback, honouring an HTTP Range header.
+    // Chunks are stored as separate objects, so the requested bytes are
+    // mapped onto the chunks they span.
+    async openStream(userId, meetingId, recordingId, rangeHeader = null) {
+        await MeetingService.verifyAccess(userId, meetingId);
+        return this.openRecordingStream(await this.findRecording(meetingId, recordingId), rangeHeader);
+    }
+
+    async openRecordingStream(recording, rangeHeader = null) {
+        if (recording.upload_status !== 'complete') {
+            throw new ConflictError('Recording upload has not been completed');
+        }
+
+        const chunks = await this.getChunks(recording.id);
+        const size = chunks.reduce((total, chunk) => total + parseInt(chunk.byte_size, 10), 0);
+        const mimeType = recording.mime_type || 'application/octet-stream';
+
+        const range = rangeHeader ? this.parseRange(rangeHeader, size) : { start: 0, end: size - 1 };
+        if (!range) {
+            return { satisfiable: false, size, mimeType };
+        }
+
+        const parts = [];
+        let chunkStart = 0;
+        for (const chunk of chunks) {
+            const chunkSize = parseInt(chunk.byte_size, 10);
+            const chunkEnd = chunkStart + chunkSize - 1;
+
+            if (chunkEnd >= range.start && chunkStart <= range.end) {
+                parts.push({
+                    key: chunk.storage_key,
+                    start: Math.max(range.start, chunkStart) - chunkStart,
+                    end: Math.min(range.end, chunkEnd) - chunkStart
+                });
+            }
+            chunkStart += chunkSize;
+        }
+
+        const output = new PassThrough();
+        this.pipeParts(parts, output);
+
+        return {
+            satisfiable: true,
+            partial: !!rangeHeader,
+            stream: output,
+            start: range.start,
+            end: range.end,
+            size,
+            mimeType
+        };
+    }
+
+    // Single ranges only ("bytes=0-499", "bytes=500-", "bytes=-500"), which is
+    // all media elements ask for. Returns null when the range can't be served.
+    parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            start = Math.max(0, size - parseInt(match[2], 10));
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start >= size || start > end) return null;
+        return { start, end };
+    }
+
+    // Stream the parts one after another into a single response stream. If
+    // the client goes away the remaining chunks are never fetched.
+    async pipeParts(parts, output) {
+        try {
+            for (const part of parts) {
+                if (output.destroyed) return;
+
+                const source = await this.getStorage().getObjectStream(part.key, { start: part.start, end: part.end });
+                await new Promise((resolve, reject) => {
+                    const onClose = () => {
+                        source.destroy();
+                        resolve();
+                    };
+                    output.once('close', onClose);
+                    source.once('error', reject);
+                    source.once('end', () => {
+                        output.removeListener('close', onClose);
+                        resolve();
+                    });
+                    source.pipe(output, { end: false });
+                });
+            }
+
+            if (!output.destroyed) output.end();
+        } catch (error) {
+            console.error('Recording stream error:', error.message);
+            output.destroy(error);
+        }
+    }
+
+    // Short-lived signed URL token for <audio> elements, which cannot send
+    // an Authorization header
+    async createPlaybackToken(userId, meetingId, recordingId) {
+        await MeetingService.verifyAccess(userId, meetingId);
+        await this.findRecording(meetingId, recordingId);
+
+        return signLinkToken(
+            { purpose: PLAYBACK_TOKEN_PURPOSE, userId, meetingId, recordingId },
+            PLAYBACK_TOKEN_PURPOSE,
+            this.playbackTokenTtl
+        );
+    }
+
+    async openStreamWithToken(token, rangeHeader = null) {
+        let decoded;
+        try {
+            decoded = verifyLinkToken(token, PLAYBACK_TOKEN_PURPOSE);
+        } catch (error) {
+            throw new NotFoundError('Recording not found or playback link expired');
+        }
+
+        if (decoded.purpose !== PLAYBACK_TOKEN_PURPOSE) {
+            throw new NotFoundError('Recording not found or playback link expired');
+        }
+
+        return this.openStream(decoded.userId, decoded.meetingId, decoded.recordingId, rangeHeader);
+    }
+
+    // Recording timestamps for every transcript segment, decision and action
+    // item of a meeting, so the web app can seek to where an insight came from
+    async getPlaybackOffsets(userId, meetingId, recordingId = null) {
+        const segments = await TranscriptService.getSegments(userId, meetingId);
+
+        const recording = recordingId
+            ? await this.findRecording(meetingId, recordingId)
+            : (await DatabaseService.query(`
+                SELECT * FROM meeting_recordings
+                WHERE meeting_id = $1 AND upload_status = 'complete'
+                ORDER BY created_at DESC LIMIT 1
+            `, [meetingId])).rows[0];
+
+        const offset = recording ? parseFloat(recording.transcript_offset_seconds || 0) : 0;
+        const toRecordingTime = seconds => (seconds === null || seconds === undefined ? null : Math.max(0, seconds + offset));
+
+        const insights = await DatabaseService.query(`
+            SELECT id, insight_type, content FROM meeting_insights
+            WHERE meeting_id = $1 AND insight_type IN ('decisions', 'action_items')
+            ORDER BY created_at ASC
+        `, [meetingId]);
+
+        const locate = (item, insightId, index) => {
+            const segment = this.findSourceSegment(item, segments);
+            return {
+                insightId,
+                index,
+                text: this.getItemText(item),
+                segmentIndex: segment ? segment.index : null,
+                start: segment ? toRecordingTime(segment.start) : null,
+                end: segment ? toRecordingTime(segment.end) : null
+            };
+        };
+
+        const decisions = [];
+        const actionItems = [];
+        for (const insight of insights.rows) {
+            const items = this.getInsightItems(insight.content, insight.insight_type);
+            const target = insight.insight_type === 'decisions' ? decisions : actionItems;
+            items.forEach((item, index) => target.push(locate(item, insight.id, index)));
+        }
+
+        return {
+            meetingId,
+            recording: recording ? this.formatRecording(recording) : null,
+            transcriptOffsetSeconds: offset,
+            segments: segments.map(segment => ({
+                index: segment.index,
+                speaker: segment.speaker,
+                start: toRecordingTime(segment.start),
+                end: toRecordingTime(segment.end)
+            })),
+            decisions,
+            actionItems
+        };
+    }
+
+    // Insight content is either a list or an object wrapping one
+    getInsightItems(content, insightType) {
+        if (Array.isArray(content)) return content;
+        if (!content || typeof content !== 'object') return [];
+
+        const key = insightType === 'decisions' ? 'decisions' : 'actionItems';
+        return content[key] || content[insightType] || content.items || [];
+    }
+
+    getItemText(item) {
+        if (typeof item === 'string') return item;
+        return item.text || item.description || item.title || item.decision || item.task || '';
+    }
+
+    // Prefer an explicit source reference on the item; otherwise use the
+    // segment sharing the most words with the item's text
+    findSourceSegment(item, segments) {
+        if (segments.length === 0) return null;
+
+        if (item && typeof item === 'object') {
+            const segmentIndex = item.segmentIndex ?? item.segment_index;
+            if (segmentIndex !== undefined && segmentIndex !== null) {
+                return segments.find(segment => segment.index === Number(segmentIndex)) || null;
+            }
+
+            const timestamp = item.start ?? item.timestamp ?? item.startSeconds;
+            if (typeof timestamp === 'number') {
+                return segments.find(segment => segment.start <= timestamp && (segment.end ?? segment.start) >= timestamp)
+                    || segments.reduce((closest, segment) => (
+                        Math.abs(segment.start - timestamp) < Math.abs(closest.start - timestamp) ? segment : closest
+                    ));
+            }
+        }
+
+        const words = this.tokenize(this.getItemText(item));
+        if (words.size === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+        for (const segment of segments) {
+            const segmentWords = this.tokenize(segment.text);
+            let overlap = 0;
+            for (const word of words) {
+                if (segmentWords.has(word)) overlap++;
+            }
+
+            const score = overlap / words.size;
+            if (score > bestScore) {
+                best = segment;
+                bestScore = score;
+            }
+        }
+
+        // A couple of shared common words is not a match
+        return bestScore >= 0.3 ? best : null;
+    }
+
+    tokenize(text = '') {
+        return new Set(text.toLowerCase().split(/[^a-z0-9']+/).filter(word => word.length > 2));
+    }
+
+    async findRecording(meetingId, recordingId) {
+        const recording = await DatabaseService.findById('meeting_recordings', recordingId);
+        if (!recording || recording.meeting_id !== meetingId) {
+            throw new NotFoundError('Recording not found');
+        }
+        return recording;
+    }
+
+    async getOwnRecording(userId, meetingId, recordingId) {
+        await MeetingService.verifyAccess(userId, meetingId);
+
+        const recording = await this.findRecording(meetingId, recordingId);
+        if (recording.user_id !== userId) {
+            throw new NotFoundError('Recording not found');
+        }
+        return recording;
+    }
+
+    async getChunks(recordingId) {
+        const result = await DatabaseService.query(
+            'SELECT * FROM meeting_recording_chunks WHERE recording_id = $1 ORDER BY chunk_index ASC',
+            [recordingId]
+        );
+        return result.rows;
+    }
+
+    formatRecording(row) {
+        return {
+            id: row.id,
+            meetingId: row.meeting_id,
+            userId: row.user_id,
+            recordingType: row.recording_type,
+            mimeType: row.mime_type,
+            storageBackend: row.storage_backend,
+            uploadStatus: row.upload_status,
+            chunkCount: row.chunk_count,
+            fileSize: row.file_size !== null ? parseInt(row.file_size, 10) : null,
+            durationSeconds: row.duration_seconds,
+            transcriptOffsetSeconds: row.transcript_offset_seconds !== null ? parseFloat(row.transcript_offset_seconds) : 0,
+            consent: row.consent,
+            createdAt: row.created_at,
+            completedAt: row.completed_at
+        };
+    }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable object storage for meeting recordings. Backends store opaque
+// objects by key and can stream byte ranges of them back.
+
+class LocalRecordingStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDirectory = path.resolve(options.rootDirectory || process.env.RECORDING_STORAGE_PATH || './storage/recordings');
+    }
+
+    resolveKey(key) {
+        const filePath = path.resolve(this.rootDirectory, key);
+
+        // Keys are generated server-side, but never let one escape the root
+        if (!filePath.startsWith(this.rootDirectory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    async putObject(key, buffer) {
+        const filePath = this.resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    // Inclusive byte range, like HTTP Range headers
+    async getObjectStream(key, range = {}) {
+        return fs.createReadStream(this.resolveKey(key), range);
+    }
+
+    async deleteObject(key) {
+        await fs.promises.rm(this.resolveKey(key), { force: true });
+    }
+
+    async deletePrefix(prefix) {
+        await fs.promises.rm(this.resolveKey(prefix), { recursive: true, force: true });
+    }
+}
+
+class S3RecordingStorage {
+    constructor(options = {}) {
+        this.name = 's3';
+        this.bucket = options.bucket || process.env.RECORDING_S3_BUCKET || process.env.S3_BUCKET;
+        this.prefix = options.prefix || process.env.RECORDING_S3_PREFIX || 'recordings/';
+
+        if (!this.bucket) {
+            throw new Error('RECORDING_S3_BUCKET or S3_BUCKET is required for S3 recording storage');
+        }
+
+        // Credentials come from the SDK's default chain (AWS_ACCESS_KEY_ID etc.)
+        const { S3Client } = require('@aws-sdk/client-s3');
+        const endpoint = options.endpoint || process.env.RECORDING_S3_ENDPOINT;
+        this.client = new S3Client({
+            region: options.region || process.env.AWS_REGION || 'us-east-1',
+            // S3-compatible services (MinIO, R2, Wasabi) need an endpoint and path-style URLs
+            endpoint: endpoint || undefined,
+            forcePathStyle: Boolean(endpoint)
+        });
+    }
+
+    objectKey(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    async putObject(key, buffer, contentType = 'application/octet-stream') {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: buffer,
+            ContentType: contentType
+        }));
+    }
+
+    async getObjectStream(key, range = {}) {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        const hasRange = range.start !== undefined;
+
+        const response = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Range: hasRange ? `bytes=${range.start}-${range.end !== undefined ? range.end : ''}` : undefined
+        }));
+
+        return response.Body;
+    }
+
+    async deleteObject(key) {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+
+    async deletePrefix(prefix) {
+        const { ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+        let continuationToken;
+
+        do {
+            const listing = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.objectKey(prefix),
+                ContinuationToken: continuationToken
+            }));
+
+            if (listing.Contents && listing.Contents.length > 0) {
+                await this.client.send(new DeleteObjectsCommand({
+                    Bucket: this.bucket,
+                    Delete: { Objects: listing.Contents.map(object => ({ Key: object.Key })) }
+                }));
+            }
+
+            continuationToken = listing.IsTruncated ? listing.NextContinuationToken : null;
+        } while (continuationToken);
+    }
+}
+
+function createRecordingStorage(options = {}) {
+    const backend = options.backend || process.env.RECORDING_STORAGE || 'local';
+
+    switch (backend) {
+        case 'local':
+            return new LocalRecordingStorage(options);
+        case 's3':
+            return new S3RecordingStorage(options);
+        default:
+            throw new Error(`Unknown recording storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    LocalRecordingStorage,
+    S3RecordingStorage,
+    createRecordingStorage
+};
@@ -0,0 +1,465 @@
+const path = require('path');
+
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Canonical transcript segment:
+// { index, speaker, start, end, text } with start/end in seconds (null when unknown)
+
+const SUPPORTED_FORMATS = ['vtt', 'srt', 'zoom_json', 'teams_docx', 'plain'];
+
+const TIMESTAMP_PATTERN = /(\d{1,2}:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?/;
+const CUE_TIMING_PATTERN = /^\s*((?:\d{1,2}:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)/;
+// JSON segment time fields, first match wins. Fields named for milliseconds
+// are read as such; the unit of the others is decided per transcript.
+const JSON_TIME_FIELDS = {
+    start: ['start_time', 'startTime', 'start', 'ts'],
+    end: ['end_time', 'endTime', 'end', 'end_ts']
+};
+const JSON_MS_TIME_FIELDS = {
+    start: ['start_ms', 'startMs'],
+    end: ['end_ms', 'endMs']
+};
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const MAX_TYPICAL_SEGMENT_SECONDS = 120;
+const SPEAKER_LINE_PATTERN = /^\s*(?:\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?\s*)?([^:\n]{1,60}?)\s*:\s+(.+)$/;
+
+class TranscriptParser {
+    constructor() {
+        this.supportedFormats = SUPPORTED_FORMATS;
+    }
+
+    // Parse raw transcript content (string or Buffer) into canonical segments
+    async parse(content, options = {}) {
+        const format = options.format || this.detectFormat(content, options.filename);
+
+        let segments;
+        switch (format) {
+            case 'vtt':
+                segments = this.parseVTT(this.toText(content));
+                break;
+            case 'srt':
+                segments = this.parseSRT(this.toText(content));
+                break;
+            case 'zoom_json':
+                segments = this.parseZoomJSON(this.toText(content));
+                break;
+            case 'teams_docx':
+                segments = this.parseTeamsText(await this.extractDocxText(content));
+                break;
+            case 'plain':
+                segments = this.parsePlainText(this.toText(content));
+                break;
+            default:
+                throw new ValidationError(`Unsupported transcript format: ${format}`);
+        }
+
+        segments = this.normalizeSegments(segments);
+
+        if (segments.length === 0) {
+            throw new ValidationError('No transcript segments could be parsed from the file');
+        }
+
+        return {
+            format,
+            segments,
+            speakers: this.getSpeakers(segments),
+            duration: this.getDuration(segments)
+        };
+    }
+
+    detectFormat(content, filename = '') {
+        const extension = path.extname(filename || '').toLowerCase();
+
+        if (extension === '.docx') return 'teams_docx';
+        if (extension === '.vtt') return 'vtt';
+        if (extension === '.srt') return 'srt';
+        if (extension === '.json') return 'zoom_json';
+
+        // DOCX files are zip archives
+        if (Buffer.isBuffer(content) && content.slice(0, 2).toString() === 'PK') {
+            return 'teams_docx';
+        }
+
+        const text = this.toText(content).trimStart();
+
+        if (text.startsWith('WEBVTT')) return 'vtt';
+        if ((text.startsWith('{') || text.startsWith('[')) && this.isJSON(text)) return 'zoom_json';
+        if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(text)) return 'srt';
+        if (CUE_TIMING_PATTERN.test(text.split(/\r?\n/).slice(0, 5).join('\n'))) return 'vtt';
+
+        return 'plain';
+    }
+
+    // WebVTT, including Teams/Zoom exports that use <v Speaker> voice tags
+    // or "Speaker: text" cue payloads
+    parseVTT(text) {
+        const blocks = text.replace(/\r\n/g, '\n').split(/\n{2,}/);
+        const segments = [];
+
+        for (const block of blocks) {
+            const lines = block.split('\n').filter(line => line.trim().length > 0);
+            const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+            if (timingIndex === -1) continue;
+
+            const [, start, end] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+            const payload = lines.slice(timingIndex + 1).join(' ');
+
+            segments.push({
+                ...this.splitSpeaker(payload),
+                start: this.parseTimestamp(start),
+                end: this.parseTimestamp(end)
+            });
+        }
+
+        return segments;
+    }
+
+    parseSRT(text) {
+        // SRT cues are structurally the same as VTT cues without the header
+        return this.parseVTT(text);
+    }
+
+    // Zoom cloud recording transcripts: either a timeline/transcript array or
+    // the Zoom API "recording_transcript" JSON with speaker/start/end fields
+    parseZoomJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError('Invalid JSON transcript');
+        }
+
+        const items = Array.isArray(data) ?
+            data :
+            data.transcript || data.segments || data.timeline || data.results || data.recording_transcript || [];
+
+        if (!Array.isArray(items)) {
+            throw new ValidationError('JSON transcript does not contain a segment array');
+        }
+
+        const unit = this.detectTimeUnit(items);
+
+        return items.map(item => ({
+            speaker: this.extractZoomSpeaker(item),
+            start: this.readTimeField(item, 'start', unit),
+            end: this.readTimeField(item, 'end', unit),
+            text: item.text || item.content || item.transcript || ''
+        }));
+    }
+
+    readTimeField(item, field, unit) {
+        const milliseconds = this.firstValue(item, JSON_MS_TIME_FIELDS[field]);
+        if (milliseconds !== undefined) {
+            return this.parseTimeValue(milliseconds, 'ms');
+        }
+
+        return this.parseTimeValue(this.firstValue(item, JSON_TIME_FIELDS[field]), unit);
+    }
+
+    firstValue(item, keys) {
+        const key = keys.find(candidate => item[candidate] !== undefined && item[candidate] !== null);
+        return key === undefined ? undefined : item[key];
+    }
+
+    // Plain numeric times carry no unit, so it is decided once per transcript
+    // from how long segments last: a spoken segment takes seconds, so a
+    // typical span of minutes only makes sense as milliseconds. Spans are the
+    // segment lengths, or the steps between starts when there are no ends.
+    // A lone timestamp falls back to its size: past a day it must be ms.
+    detectTimeUnit(items) {
+        const times = items.map(item => ({
+            start: this.plainNumber(this.firstValue(item, JSON_TIME_FIELDS.start)),
+            end: this.plainNumber(this.firstValue(item, JSON_TIME_FIELDS.end))
+        }));
+
+        let spans = times
+            .filter(time => time.start !== null && time.end !== null)
+            .map(time => time.end - time.start);
+
+        if (spans.length === 0) {
+            const starts = times.map(time => time.start).filter(start => start !== null);
+            spans = starts.slice(1).map((start, index) => start - starts[index]);
+        }
+
+        spans = spans.filter(span => span > 0).sort((a, b) => a - b);
+
+        if (spans.length === 0) {
+            const largest = Math.max(0, ...times.flatMap(time => [time.start, time.end]).filter(value => value !== null));
+            return largest > SECONDS_PER_DAY ? 'ms' : 's';
+        }
+
+        const median = spans[Math.floor(spans.length / 2)];
+        return median > MAX_TYPICAL_SEGMENT_SECONDS ? 'ms' : 's';
+    }
+
+    // Numeric time value without a unit, or null ("hh:mm:ss" strings have one)
+    plainNumber(value) {
+        if (typeof value === 'string' && (value.trim() === '' || TIMESTAMP_PATTERN.test(value))) return null;
+        if (typeof value !== 'number' && typeof value !== 'string') return null;
+
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    extractZoomSpeaker(item) {
+        if (item.speaker_name || item.speaker) {
+            return item.speaker_name || item.speaker;
+        }
+        if (item.username) {
+            return item.username;
+        }
+        if (Array.isArray(item.users) && item.users.length > 0) {
+            return item.users[0].username || item.users[0].name || null;
+        }
+        return null;
+    }
+
+    async extractDocxText(content) {
+        if (!Buffer.isBuffer(content)) {
+            return this.toText(content);
+        }
+
+        const mammoth = require('mammoth');
+        const result = await mammoth.extractRawText({ buffer: content });
+        return result.value;
+    }
+
+    // Teams DOCX exports come in two layouts:
+    //   "0:0:3.250 --> 0:0:6.180\nSpeaker Name\ntext"
+    //   "Speaker Name   0:03\ntext"
+    parseTeamsText(text) {
+        const lines = text.replace(/\r\n/g, '\n').split('\n').map(line => line.trim());
+
+        if (lines.some(line => CUE_TIMING_PATTERN.test(line))) {
+            return this.parseTeamsCueLayout(lines);
+        }
+
+        const segments = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (!line) continue;
+
+            const header = line.match(/^(.{1,80}?)\s+((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)$/);
+
+            if (header && !header[1].includes(':')) {
+                if (current) segments.push(current);
+                current = {
+                    speaker: header[1].trim(),
+                    start: this.parseTimestamp(header[2]),
+                    end: null,
+                    text: ''
+                };
+            } else if (current) {
+                current.text = current.text ? `${current.text} ${line}` : line;
+            }
+        }
+
+        if (current) segments.push(current);
+
+        // Fall back to "Speaker: text" lines for documents without headers
+        return segments.length > 0 ? segments : this.parsePlainText(text);
+    }
+
+    parseTeamsCueLayout(lines) {
+        const segments = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (!line) continue;
+
+            const timing = line.match(CUE_TIMING_PATTERN);
+            if (timing) {
+                if (current) segments.push(current);
+                current = {
+                    speaker: null,
+                    start: this.parseTimestamp(timing[1]),
+                    end: this.parseTimestamp(timing[2]),
+                    text: ''
+                };
+            } else if (current && current.speaker === null && !current.text) {
+                current.speaker = line;
+            } else if (current) {
+                current.text = current.text ? `${current.text} ${line}` : line;
+            }
+        }
+
+        if (current) segments.push(current);
+        return segments;
+    }
+
+    // "Speaker: text" chat-style logs, optionally prefixed with [hh:mm:ss]
+    parsePlainText(text) {
+        const segments = [];
+
+        for (const rawLine of text.replace(/\r\n/g, '\n').split('\n')) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            const match = line.match(SPEAKER_LINE_PATTERN);
+            if (match && !TIMESTAMP_PATTERN.test(match[2])) {
+                segments.push({
+                    speaker: match[2].trim(),
+                    start: match[1] ? this.parseTimestamp(match[1]) : null,
+                    end: null,
+                    text: match[3].trim()
+                });
+            } else if (segments.length > 0) {
+                // Continuation of the previous speaker turn
+                const previous = segments[segments.length - 1];
+                previous.text = `${previous.text} ${line}`;
+            } else {
+                segments.push({ speaker: null, start: null, end: null, text: line });
+            }
+        }
+
+        return segments;
+    }
+
+    // Helper methods
+    splitSpeaker(payload) {
+        const voiceTag = payload.match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+        const cleaned = payload
+            .replace(/<\/?v[^>]*>/g, '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (voiceTag) {
+            return { speaker: voiceTag[1].trim(), text: cleaned };
+        }
+
+        const speakerMatch = cleaned.match(/^([^:]{1,60}):\s+(.+)$/);
+        if (speakerMatch && !TIMESTAMP_PATTERN.test(speakerMatch[1])) {
+            return { speaker: speakerMatch[1].trim(), text: speakerMatch[2].trim() };
+        }
+
+        return { speaker: null, text: cleaned };
+    }
+
+    parseTimestamp(value) {
+        if (!value) return null;
+
+        const parts = value.replace(',', '.').split(':').map(Number);
+        if (parts.some(Number.isNaN)) return null;
+
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    // Zoom JSON timestamps may be "hh:mm:ss.mmm" strings or numbers in the
+    // given unit ('s' or 'ms')
+    parseTimeValue(value, unit = 's') {
+        if (value === undefined || value === null || value === '') return null;
+
+        if (typeof value === 'string' && TIMESTAMP_PATTERN.test(value)) {
+            return this.parseTimestamp(value);
+        }
+
+        const numeric = Number(value);
+        if (Number.isNaN(numeric)) return null;
+
+        return unit === 'ms' ? numeric / 1000 : numeric;
+    }
+
+    normalizeSegments(segments) {
+        const normalized = segments
+            .map(segment => ({
+                speaker: segment.speaker ? String(segment.speaker).trim() : null,
+                start: this.roundTime(segment.start),
+                end: this.roundTime(segment.end),
+                text: String(segment.text || '').replace(/\s+/g, ' ').trim()
+            }))
+            .filter(segment => segment.text.length > 0);
+
+        // Merge consecutive cues from the same speaker that were split mid-sentence
+        const merged = [];
+        for (const segment of normalized) {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.speaker && previous.speaker === segment.speaker &&
+                !/[.!?]$/.test(previous.text) && (segment.start === null || previous.end === null ||
+                segment.start - previous.end < 1)) {
+                previous.text = `${previous.text} ${segment.text}`;
+                previous.end = segment.end ?? previous.end;
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+
+        // Fill missing end times from the next segment's start
+        merged.forEach((segment, index) => {
+            segment.index = index;
+            if (segment.end === null && segment.start !== null) {
+                const next = merged[index + 1];
+                segment.end = next && next.start !== null ? next.start : null;
+            }
+        });
+
+        return merged.map(({ index, speaker, start, end, text }) => ({ index, speaker, start, end, text }));
+    }
+
+    isJSON(text) {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    roundTime(value) {
+        return typeof value === 'number' && !Number.isNaN(value) ? Math.round(value * 1000) / 1000 : null;
+    }
+
+    getSpeakers(segments) {
+        const speakers = new Map();
+
+        for (const segment of segments) {
+            if (!segment.speaker) continue;
+            const stats = speakers.get(segment.speaker) || { name: segment.speaker, segmentCount: 0, speakingTime: 0 };
+            stats.segmentCount++;
+            if (segment.start !== null && segment.end !== null) {
+                stats.speakingTime += segment.end - segment.start;
+            }
+            speakers.set(segment.speaker, stats);
+        }
+
+        return Array.from(speakers.values()).map(speaker => ({
+            ...speaker,
+            speakingTime: Math.round(speaker.speakingTime)
+        }));
+    }
+
+    getDuration(segments) {
+        const ends = segments.map(segment => segment.end ?? segment.start).filter(time => time !== null);
+        return ends.length > 0 ? Math.ceil(Math.max(...ends)) : null;
+    }
+
+    // Build the meetingData shape the backend analyzers consume
+    toMeetingData(segments) {
+        return {
+            transcript: segments
+                .map(segment => (segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text))
+                .join('\n'),
+            segments: segments.map(segment => ({
+                ...segment,
+                speakers: segment.speaker ? [segment.speaker] : []
+            })),
+            participants: this.getSpeakers(segments).map(speaker => ({
+                id: speaker.name.toLowerCase(),
+                name: speaker.name,
+                speakingTime: speaker.speakingTime
+            })),
+            duration: this.getDuration(segments)
+        };
+    }
+
+    toText(content) {
+        if (Buffer.isBuffer(content)) {
+            // Strip a UTF-8 byte order mark
+            return content.toString('utf8').replace(/^\uFEFF/, '');
+        }
+        return String(content || '').replace(/^\uFEFF/, '');
+    }
+}
+
+module.exports = new TranscriptParser();
@@ -0,0 +1,147 @@
+const DatabaseService = require('./DatabaseService');
+const MeetingService = require('./MeetingService');
+const TranscriptParser = require('./TranscriptParser');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+class TranscriptService {
+    constructor() {
+        this.insertBatchSize = 200;
+    }
+
+    // Parse an uploaded transcript and store it against a meeting,
+    // replacing any previously imported transcript
+    async importTranscript(userId, meetingId, file) {
+        const meeting = await MeetingService.verifyAccess(userId, meetingId, 'write');
+
+        const parsed = await TranscriptParser.parse(file.content, {
+            format: file.format,
+            filename: file.fileName
+        });
+
+        await DatabaseService.transaction(async (client) => {
+            await client.query('DELETE FROM transcript_segments WHERE meeting_id = $1', [meetingId]);
+
+            for (let i = 0; i < parsed.segments.length; i += this.insertBatchSize) {
+                const batch = parsed.segments.slice(i, i + this.insertBatchSize);
+                const values = [];
+                const placeholders = batch.map((segment, index) => {
+                    const offset = index * 8;
+                    values.push(
+                        meetingId,
+                        userId,
+                        segment.index,
+                        segment.speaker,
+                        segment.start,
+                        segment.end,
+                        segment.text,
+                        parsed.format
+                    );
+                    return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8})`;
+                });
+
+                await client.query(`
+                    INSERT INTO transcript_segments
+                        (meeting_id, user_id, segment_index, speaker, start_seconds, end_seconds, text, source_format)
+                    VALUES ${placeholders.join(', ')}
+                `, values);
+            }
+
+            const transcriptInfo = {
+                format: parsed.format,
+                fileName: file.fileName || null,
+                segmentCount: parsed.segments.length,
+                speakers: parsed.speakers.map(speaker => speaker.name),
+                durationSeconds: parsed.duration,
+                importedBy: userId,
+                importedAt: new Date().toISOString()
+            };
+
+            await client.query(`
+                UPDATE meetings
+                SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('transcript', $2::jsonb),
+                    duration_minutes = COALESCE(duration_minutes, $3)
+                WHERE id = $1
+            `, [
+                meetingId,
+                JSON.stringify(transcriptInfo),
+                parsed.duration ? Math.ceil(parsed.duration / 60) : null
+            ]);
+        });
+
+        return {
+            meetingId: meeting.id,
+            format: parsed.format,
+            segmentCount: parsed.segments.length,
+            speakers: parsed.speakers,
+            duration: parsed.duration
+        };
+    }
+
+    async getSegments(userId, meetingId, options = {}) {
+        await MeetingService.verifyAccess(userId, meetingId);
+
+        const { speaker } = options;
+        const params = [meetingId];
+        let whereClause = 'WHERE meeting_id = $1';
+
+        if (speaker) {
+            whereClause += ' AND speaker = $2';
+            params.push(speaker);
+        }
+
+        const result = await DatabaseService.query(`
+            SELECT * FROM transcript_segments
+            ${whereClause}
+            ORDER BY segment_index ASC
+        `, params);
+
+        return result.rows.map(row => this.formatSegment(row));
+    }
+
+    // Transcript in the meetingData shape expected by PostMeetingAnalysisEngine
+    // and the backend detectors
+    async getTranscript(userId, meetingId) {
+        const segments = await this.getSegments(userId, meetingId);
+
+        if (segments.length === 0) {
+            throw new NotFoundError('No transcript has been imported for this meeting');
+        }
+
+        const meeting = await DatabaseService.findById('meetings', meetingId);
+
+        return {
+            meetingId,
+            title: meeting.title,
+            ...TranscriptParser.toMeetingData(segments),
+            source: meeting.metadata?.transcript || null
+        };
+    }
+
+    async deleteTranscript(userId, meetingId) {
+        await MeetingService.verifyAccess(userId, meetingId, 'write');
+
+        const result = await DatabaseService.query(
+            'DELETE FROM transcript_segments WHERE meeting_id = $1',
+            [meetingId]
+        );
+
+        await DatabaseService.query(
+            "UPDATE meetings SET metadata = COALESCE(metadata, '{}'::jsonb) - 'transcript' WHERE id = $1",
+            [meetingId]
+        );
+
+        return result.rowCount;
+    }
+
+    formatSegment(row) {
+        return {
+            index: row.segment_index,
+            speaker: row.speaker,
+            start: row.start_seconds !== null ? parseFloat(row.start_seconds) : null,
+            end: row.end_seconds !== null ? parseFloat(row.end_seconds) : null,
+            text: row.text
+        };
+    }
+}
+
+module.exports = new TranscriptService();
@@ -1,14 +1,18 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const { isSessionToken } = require('./middleware/auth');
 const DatabaseService = require('./services/DatabaseService');
 const NotificationService = require('./services/NotificationService');
 const AnalyticsService = require('./services/AnalyticsService');
+const AIOrchestrationService = require('./services/AIOrchestrationService');
+const ActionItemService = require('./services/ActionItemService');
 
 class WebSocketServer {
     constructor() {
         this.io = null;
         this.connectedUsers = new Map(); // userId -> { socket, lastSeen, subscriptions }
         this.rooms = new Map(); // roomId -> Set of userIds
+        this.aiStreams = new Map(); // meetingId -> in-flight AI stream
         this.analytics = {
             connections: 0,
             totalConnections: 0,
@@ -45,6 +49,10 @@ class WebSocketServer {
                 }
 
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
+                if (!isSessionToken(decoded)) {
+                    return next(new Error('Authentication failed'));
+                }
+
                 const user = await DatabaseService.findById('users', decoded.userId);
                 
                 if (!user) {
@@ -156,6 +164,26 @@ class WebSocketServer {
             this.handleLeaveMeeting(socket, data);
         });
 
+        // Stream an AI response to everyone in a meeting room
+        socket.on('ai.stream', (data) => {
+            if (!this.checkMessageRateLimit(socket)) {
+                socket.emit('error', {
+                    type: 'rate_limit_exceeded',
+                    message: 'Message rate limit exceeded'
+                });
+                return;
+            }
+
+            this.handleAIStream(socket, data);
+        });
+
+        // Cancel the meeting's AI stream
+        socket.on('ai.stream.cancel', (data = {}) => {
+            if (socket.rooms.has(`meeting:${data.meetingId}`)) {
+                this.cancelAIStream(data.meetingId, 'client_cancelled');
+            }
+        });
+
         // Request real-time analytics
         socket.on('analytics.subscribe', (data) => {
             this.handleAnalyticsSubscription(socket, data);
@@ -310,6 +338,8 @@ class WebSocketServer {
                         message: 'Successfully joined meeting room'
                     });
 
+                    this.sendFollowUps(socket, meetingId);
+
                     console.log(`👥 User ${userId} joined meeting ${meetingId}`);
                 } else {
                     socket.emit('error', {
@@ -327,11 +357,33 @@ class WebSocketServer {
             });
     }
 
+    // Open action items from earlier meetings with the same participants
+    async sendFollowUps(socket, meetingId) {
+        try {
+            const followUps = await ActionItemService.getFollowUps(socket.userId, meetingId);
+
+            if (followUps.length > 0) {
+                socket.emit('meeting.follow_ups', {
+                    meetingId,
+                    followUps,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load follow-ups:', error);
+        }
+    }
+
     handleLeaveMeeting(socket, data) {
         const { meetingId } = data;
         const userId = socket.userId;
 
         socket.leave(`meeting:${meetingId}`);
+
+        // Nobody is left to receive a live AI stream
+        if (!this.io.sockets.adapter.rooms.has(`meeting:${meetingId}`)) {
+            this.cancelAIStream(meetingId, 'meeting_empty');
+        }
         
         // Notify other participants
         socket.to(`meeting:${meetingId}`).emit('meeting.participant.left', {
@@ -352,6 +404,132 @@ class WebSocketServer {
         console.log(`👥 User ${userId} left meeting ${meetingId}`);
     }
 
+    handleAIStream(socket, data = {}) {
+        const { meetingId, type, content, context, instructions } = data;
+
+        if (!meetingId || !content) {
+            socket.emit('error', {
+                type: 'ai.stream.invalid',
+                message: 'meetingId and content are required'
+            });
+            return;
+        }
+
+        this.verifyMeetingAccess(socket.userId, meetingId)
+            .then(hasAccess => {
+                if (!hasAccess) {
+                    socket.emit('error', {
+                        type: 'meeting.access_denied',
+                        message: 'Access denied to meeting'
+                    });
+                    return;
+                }
+
+                return this.streamToMeeting(meetingId, {
+                    type,
+                    content,
+                    context,
+                    instructions,
+                    speed: 'high',
+                    meetingId,
+                    userId: socket.userId,
+                    organizationId: socket.organizationId
+                });
+            })
+            .catch(error => {
+                if (error.name === 'BudgetExceededError') {
+                    socket.emit('error', {
+                        type: 'ai.budget_exceeded',
+                        message: error.message,
+                        budget: error.budget
+                    });
+                    return;
+                }
+
+                if (error.code === 'blocked_content') {
+                    socket.emit('error', {
+                        type: 'ai.content_blocked',
+                        message: error.message
+                    });
+                    return;
+                }
+
+                console.error('AI stream error:', error);
+                socket.emit('error', {
+                    type: 'ai.stream.failed',
+                    message: 'Failed to stream AI response'
+                });
+            });
+    }
+
+    // Streams deltas to the meeting room. One stream runs per meeting: a newer
+    // request means the conversation has moved on, so it cancels the current one.
+    async streamToMeeting(meetingId, request) {
+        this.cancelAIStream(meetingId, 'superseded');
+
+        const streamId = `stream_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const stream = { streamId, controller: new AbortController(), reason: null };
+        this.aiStreams.set(meetingId, stream);
+
+        this.broadcastToMeeting(meetingId, 'ai.stream.started', {
+            streamId,
+            meetingId,
+            timestamp: new Date().toISOString()
+        });
+
+        try {
+            const result = await AIOrchestrationService.processStreaming(request, {
+                signal: stream.controller.signal,
+                onDelta: (delta) => {
+                    this.broadcastToMeeting(meetingId, 'ai.stream.delta', { streamId, meetingId, delta });
+                }
+            });
+
+            this.broadcastToMeeting(meetingId, 'ai.stream.completed', {
+                streamId,
+                meetingId,
+                result: result.result,
+                model: result.model,
+                usage: result.usage,
+                duration: result.duration,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code !== 'cancelled') {
+                this.broadcastToMeeting(meetingId, 'ai.stream.failed', {
+                    streamId,
+                    meetingId,
+                    message: 'AI response failed',
+                    timestamp: new Date().toISOString()
+                });
+                throw error;
+            }
+
+            this.broadcastToMeeting(meetingId, 'ai.stream.cancelled', {
+                streamId,
+                meetingId,
+                reason: stream.reason,
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            if (this.aiStreams.get(meetingId) === stream) {
+                this.aiStreams.delete(meetingId);
+            }
+        }
+    }
+
+    cancelAIStream(meetingId, reason) {
+        const stream = this.aiStreams.get(meetingId);
+        if (!stream) {
+            return false;
+        }
+
+        stream.reason = reason;
+        stream.controller.abort();
+        this.aiStreams.delete(meetingId);
+        return true;
+    }
+
     handleAnalyticsSubscription(socket, data) {
         const userId = socket.userId;
         const { timeRange = '30d' } = data;
@@ -539,6 +717,7 @@ class WebSocketServer {
             messagesSent: this.analytics.messagesSent,
             messagesReceived: this.analytics.messagesReceived,
             rooms: this.io?.sockets.adapter.rooms.size || 0,
+            activeAIStreams: this.aiStreams.size,
             connectedUsers: this.connectedUsers.size
         };
     }
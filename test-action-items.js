@@ -0,0 +1,261 @@
+/**
+ * Action Item Test Script
+ * Checks due date parsing, owner resolution and status transitions of
+ * ActionItemService against an in-memory stand-in for the database - no
+ * Postgres needed
+ */
+
+const assert = require('assert');
+const DatabaseService = require('./server/services/DatabaseService');
+const MeetingService = require('./server/services/MeetingService');
+const ActionItemService = require('./server/services/ActionItemService');
+
+const results = [];
+
+async function runTest(name, test) {
+  try {
+    await test();
+    results.push({ name, passed: true });
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.push({ name, passed: false });
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+// Wednesday, 18 March 2026
+const REFERENCE = new Date('2026-03-18T15:30:00Z');
+
+const MEETING = {
+  id: 'meeting-1',
+  user_id: 'user-owner',
+  organization_id: 'org-1',
+  title: 'Launch review',
+  start_time: REFERENCE,
+  participants: [
+    { id: 'p-1', name: 'Sarah Chen', email: 'sarah.chen@acme.com', userId: 'user-sarah' },
+    { id: 'p-2', name: 'Sam Patel', email: 'sam@acme.com', userId: 'user-sam' },
+    { id: 'p-3', name: 'Miguel Ortiz', email: 'm.ortiz@acme.com', userId: null }
+  ]
+};
+
+// Keeps inserted action items in memory and answers the queries the
+// service makes for them
+function useFakeDatabase() {
+  const items = new Map();
+  const original = {
+    query: DatabaseService.query,
+    update: DatabaseService.update,
+    findById: DatabaseService.findById,
+    verifyAccess: MeetingService.verifyAccess
+  };
+
+  DatabaseService.query = async (sql, params) => {
+    if (sql.includes('INSERT INTO action_items')) {
+      const keys = sql.match(/INSERT INTO action_items \(([^)]+)\)/)[1].split(', ');
+      const row = Object.fromEntries(keys.map((key, index) => [key, params[index]]));
+      const duplicate = Array.from(items.values())
+        .some(item => item.meeting_id === row.meeting_id && item.fingerprint === row.fingerprint);
+      if (duplicate) return { rows: [] };
+
+      row.id = `item-${items.size + 1}`;
+      row.sources = JSON.parse(row.sources);
+      items.set(row.id, row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM users WHERE LOWER(email)')) {
+      // Participants without a user id have no account
+      return { rows: [] };
+    }
+    if (sql.includes('FROM action_items ai') && sql.includes('WHERE ai.id = $1')) {
+      const item = items.get(params[0]);
+      return { rows: item ? [{ ...item, meeting_title: MEETING.title, meeting_start_time: MEETING.start_time }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql.trim().split('\n')[0]}`);
+  };
+  DatabaseService.update = async (table, id, record) => {
+    const item = { ...items.get(id), ...record };
+    items.set(id, item);
+    return item;
+  };
+  DatabaseService.findById = async () => MEETING;
+  MeetingService.verifyAccess = async () => MEETING;
+
+  return {
+    items,
+    restore() {
+      Object.assign(DatabaseService, { query: original.query, update: original.update, findById: original.findById });
+      MeetingService.verifyAccess = original.verifyAccess;
+    }
+  };
+}
+
+async function testActionItems() {
+  console.log('🧪 Testing action item due dates, owners and status changes offline...\n');
+
+  await runTest('Relative due dates count from the reference date', async () => {
+    const due = text => {
+      const result = ActionItemService.parseDueDate(text, REFERENCE);
+      return result && result.date;
+    };
+
+    assert.strictEqual(due('Send the deck today'), '2026-03-18');
+    assert.strictEqual(due('Send the deck by EOD'), '2026-03-18');
+    assert.strictEqual(due('Review it tomorrow'), '2026-03-19');
+    assert.strictEqual(due('Wrap up by end of week'), '2026-03-20');
+    assert.strictEqual(due('Circle back next week'), '2026-03-23');
+    assert.strictEqual(due('Close the books by end of month'), '2026-03-31');
+    assert.strictEqual(due('Hit the target by end of quarter'), '2026-03-31');
+    assert.strictEqual(due('Ship in two weeks'), '2026-04-01');
+    assert.strictEqual(due('Follow up in 3 days'), '2026-03-21');
+    assert.strictEqual(due('Revisit in a month'), '2026-04-18');
+  });
+
+  await runTest('Weekday due dates pick the right week', async () => {
+    const due = text => ActionItemService.parseDueDate(text, REFERENCE).date;
+
+    // The meeting is on a Wednesday
+    assert.strictEqual(due('by Wednesday'), '2026-03-18');
+    assert.strictEqual(due('by Friday'), '2026-03-20');
+    assert.strictEqual(due('by Monday'), '2026-03-23');
+    // "next Friday" is the Friday of next week, "next Monday" the coming one
+    assert.strictEqual(due('next Friday'), '2026-03-27');
+    assert.strictEqual(due('next Monday'), '2026-03-23');
+  });
+
+  await runTest('Absolute due dates are parsed and past dates roll forward', async () => {
+    const due = text => {
+      const result = ActionItemService.parseDueDate(text, REFERENCE);
+      return result && result.date;
+    };
+
+    assert.strictEqual(due('Deadline is 2026-04-02'), '2026-04-02');
+    assert.strictEqual(due('Due April 5th'), '2026-04-05');
+    assert.strictEqual(due('by the 21st of Sept.'), '2026-09-21');
+    assert.strictEqual(due('by 4/10'), '2026-04-10');
+    assert.strictEqual(due('by 4/10/27'), '2027-04-10');
+    // March 5th has passed in this meeting's year
+    assert.strictEqual(due('before March 5'), '2027-03-05');
+
+    // Numbers are only dates after a word that introduces one
+    assert.strictEqual(due('Cut the price 4/10 of a point'), null);
+    // Impossible dates are rejected rather than rolled over
+    assert.strictEqual(due('by 2/30/2026'), null);
+    assert.strictEqual(due('sometime soon'), null);
+    assert.strictEqual(ActionItemService.parseDueDate(null, REFERENCE), null);
+
+    assert.deepStrictEqual(ActionItemService.parseDueDate('Send notes by Friday please', REFERENCE), {
+      date: '2026-03-20',
+      text: 'Friday'
+    });
+  });
+
+  await runTest('Extracted items resolve owners against the participants', async () => {
+    const database = useFakeDatabase();
+    try {
+      const { created, skipped } = await ActionItemService.recordExtracted({ id: 'user-owner' }, MEETING.id, [
+        { description: 'Update the pricing page', owner: 'Sarah', due_date: 'by Friday' },
+        { description: 'Draft the launch email by next week', owner: 'm.ortiz@acme.com' },
+        { description: 'Book the venue', owner: 'S' },
+        { description: 'Share the metrics dashboard', owner: 'Team' },
+        {
+          description: 'Send the contract to legal',
+          sources: [{ start: 62, end: 65, speaker: 'Sam Patel', quote: "I'll send the contract over tomorrow" }]
+        },
+        { description: 'Update the pricing page!' }
+      ], { source: 'transcript' });
+
+      // The last item only differs in punctuation from the first
+      assert.strictEqual(skipped, 1);
+      assert.deepStrictEqual(created.map(item => [item.description, item.owner && item.owner.name, item.owner && item.owner.resolved]), [
+        ['Update the pricing page', 'Sarah Chen', true],
+        ['Draft the launch email by next week', 'Miguel Ortiz', true],
+        // "S" matches both Sarah and Sam, so nobody is picked
+        ['Book the venue', 'S', false],
+        ['Share the metrics dashboard', null, null],
+        // Volunteered by the speaker
+        ['Send the contract to legal', 'Sam Patel', true]
+      ]);
+
+      assert.strictEqual(created[0].owner.userId, 'user-sarah');
+      assert.strictEqual(created[1].owner.userId, null);
+      assert.strictEqual(created[1].owner.participantId, 'p-3');
+
+      // Due dates come from the due date, or else from the description
+      assert.deepStrictEqual(created.map(item => item.dueDate), ['2026-03-20', '2026-03-23', null, null, null]);
+      assert.ok(created.every(item => item.status === 'open' && item.source === 'transcript'));
+    } finally {
+      database.restore();
+    }
+  });
+
+  await runTest('Status changes follow the allowed transitions', async () => {
+    const database = useFakeDatabase();
+    const owner = { id: 'user-owner' };
+    try {
+      const item = await ActionItemService.createActionItem(owner, MEETING.id, {
+        description: 'Prepare the board summary',
+        owner: 'Sarah Chen',
+        dueDate: '2026-03-25'
+      });
+      assert.strictEqual(item.status, 'open');
+
+      const started = await ActionItemService.updateActionItem(owner, item.id, { status: 'in_progress' });
+      assert.strictEqual(started.status, 'in_progress');
+
+      const done = await ActionItemService.completeActionItem(owner, item.id);
+      assert.strictEqual(done.status, 'done');
+      assert.strictEqual(done.completedBy, 'user-owner');
+      assert.ok(done.completedAt instanceof Date);
+
+      // Completing again is a no-op
+      assert.strictEqual((await ActionItemService.completeActionItem(owner, item.id)).status, 'done');
+
+      // Finished items can only be reopened
+      await assert.rejects(
+        ActionItemService.updateActionItem(owner, item.id, { status: 'in_progress' }),
+        { name: 'ValidationError', message: 'An action item that is done cannot be moved to in progress' }
+      );
+      await assert.rejects(
+        ActionItemService.updateActionItem(owner, item.id, { status: 'cancelled' }),
+        { name: 'ValidationError' }
+      );
+
+      const reopened = await ActionItemService.updateActionItem(owner, item.id, { status: 'open' });
+      assert.strictEqual(reopened.status, 'open');
+      assert.strictEqual(reopened.completedAt, null);
+      assert.strictEqual(reopened.completedBy, null);
+
+      const cancelled = await ActionItemService.updateActionItem(owner, item.id, { status: 'cancelled' });
+      assert.strictEqual(cancelled.status, 'cancelled');
+      await assert.rejects(
+        ActionItemService.updateActionItem(owner, item.id, { status: 'done' }),
+        { name: 'ValidationError', message: 'An action item that is cancelled cannot be moved to done' }
+      );
+
+      await assert.rejects(
+        ActionItemService.updateActionItem(owner, item.id, { dueDate: 'whenever' }),
+        { name: 'ValidationError', message: 'Could not understand the due date "whenever"' }
+      );
+    } finally {
+      database.restore();
+    }
+  });
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n📊 ${passed}/${results.length} action item tests passed`);
+
+  return passed === results.length;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testActionItems()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { testActionItems };
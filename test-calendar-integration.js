@@ -0,0 +1,245 @@
+/**
+ * Calendar Integration Test Script
+ * Ingests ICS feeds from local files and schedules briefings against a fake
+ * preparation service - no calendar accounts or network needed
+ */
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const IcsCalendarConnector = require('./backend/connectors/ics-calendar-connector');
+const CalendarIntegrationService = require('./backend/services/calendar-integration-service');
+
+const results = [];
+
+async function runTest(name, test) {
+  try {
+    await test();
+    results.push({ name, passed: true });
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.push({ name, passed: false });
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function toICSTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//MeetingMind//Test//EN', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function testCalendarIntegration() {
+  console.log('🧪 Testing MeetingMind calendar integration offline with ICS files...\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingmind-calendar-'));
+
+  try {
+    await runTest('Recurring ICS events expand across DST with exceptions and overrides', async () => {
+      const file = path.join(workDir, 'weekly.ics');
+      fs.writeFileSync(file, calendar([
+        'BEGIN:VEVENT',
+        'UID:weekly-sync@example.com',
+        'SUMMARY:Weekly sync',
+        'DTSTART;TZID=Europe/Berlin:20260323T100000',
+        'DTEND;TZID=Europe/Berlin:20260323T103000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=5',
+        'EXDATE;TZID=Europe/Berlin:20260406T100000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:weekly-sync@example.com',
+        'RECURRENCE-ID;TZID=Europe/Berlin:20260413T100000',
+        'SUMMARY:Weekly sync (moved)',
+        'DTSTART;TZID=Europe/Berlin:20260414T140000',
+        'DTEND;TZID=Europe/Berlin:20260414T143000',
+        'END:VEVENT'
+      ]));
+
+      const connector = new IcsCalendarConnector({ name: 'Team', path: file });
+      assert.ok(await connector.testConnection());
+
+      const events = await connector.getEvents('2026-03-01T00:00:00Z', '2026-05-01T00:00:00Z');
+
+      assert.deepStrictEqual(events.map(event => event.start), [
+        '2026-03-23T09:00:00.000Z', // CET
+        '2026-03-30T08:00:00.000Z', // CEST after the switch
+        '2026-04-14T12:00:00.000Z', // Override of the 13th
+        '2026-04-20T08:00:00.000Z'
+      ]);
+      assert.strictEqual(events[2].title, 'Weekly sync (moved)');
+      assert.ok(events.every(event => event.recurrenceId === 'weekly-sync@example.com'));
+      assert.strictEqual(new Set(events.map(event => event.id)).size, events.length);
+    });
+
+    await runTest('Meeting URL, participants and agenda come from the event body', async () => {
+      const service = new CalendarIntegrationService({ briefingLeadMinutes: 15 });
+      const meeting = service.buildMeeting({
+        id: 'evt-1',
+        title: 'Quarterly planning',
+        start: '2026-05-04T09:00:00.000Z',
+        end: '2026-05-04T10:00:00.000Z',
+        location: 'Room 4 / https://intranet.example.com/rooms/4',
+        description: [
+          'Hi all,',
+          '',
+          'Agenda:',
+          '1. Q2 roadmap review',
+          '2) Hiring plan',
+          '- Budget, see https://docs.example.com/budget',
+          '',
+          'Join Zoom Meeting',
+          'https://acme.zoom.us/j/123456789?pwd=abc.',
+          'Meeting ID: 123 456 789',
+          'Dial by your location'
+        ].join('\n'),
+        organizer: { name: 'Dana Lee', email: 'Dana@Example.com' },
+        attendees: [
+          { name: null, email: 'dana@example.com', status: 'accepted', role: 'required', type: 'person' },
+          { name: 'Sam Park', email: 'sam@example.com', status: 'tentative', role: 'optional', type: 'person' },
+          { name: 'Alex Kim', email: 'alex@example.com', status: 'declined', role: 'required', type: 'person' },
+          { name: 'Room 4', email: 'room4@example.com', status: 'accepted', role: 'required', type: 'resource' }
+        ]
+      }, { name: 'Team', provider: 'ical' });
+
+      assert.strictEqual(meeting.meetingUrl, 'https://acme.zoom.us/j/123456789?pwd=abc');
+      assert.strictEqual(meeting.platform, 'zoom');
+      assert.deepStrictEqual(meeting.attendees.map(attendee => [attendee.email, attendee.role]), [
+        ['dana@example.com', 'organizer'],
+        ['sam@example.com', 'optional']
+      ]);
+      assert.deepStrictEqual(meeting.agenda, ['Q2 roadmap review', 'Hiring plan']);
+      assert.strictEqual(meeting.briefingAt, '2026-05-04T08:45:00.000Z');
+
+      // Bulleted lines count as the agenda when there is no heading
+      assert.deepStrictEqual(
+        service.extractAgenda('<ul><li>Demo</li><li>Pricing &amp; terms</li></ul><p>Join: https://meet.google.com/abc-defg-hij</p>'),
+        ['Demo', 'Pricing & terms']
+      );
+      assert.strictEqual(service.extractMeetingUrl('Notes at https://example.com/notes'), null);
+    });
+
+    await runTest('Briefings are prepared before a meeting and again after it changes', async () => {
+      const file = path.join(workDir, 'upcoming.ics');
+      const start = new Date(Math.ceil((Date.now() + 62000) / 1000) * 1000);
+      const end = new Date(start.getTime() + 30 * 60000);
+      const writeFeed = (agenda, { cancelled = false, include = true } = {}) => fs.writeFileSync(file, calendar(
+        include ? [
+          'BEGIN:VEVENT',
+          'UID:customer-call@example.com',
+          'SUMMARY:Customer call',
+          `DTSTART:${toICSTime(start)}`,
+          `DTEND:${toICSTime(end)}`,
+          `DESCRIPTION:Agenda:\\n${agenda.map(item => `- ${item}`).join('\\n')}\\n\\nhttps://teams.microsoft.com/l/meetup-join/19%3ameeting_abc`,
+          'ORGANIZER;CN=Dana Lee:mailto:dana@example.com',
+          'ATTENDEE;CN=Sam Park;PARTSTAT=ACCEPTED:mailto:sam@example.com',
+          cancelled ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED',
+          'END:VEVENT'
+        ] : [],
+        [
+          'BEGIN:VEVENT',
+          'UID:offsite@example.com',
+          'SUMMARY:Offsite',
+          `DTSTART;VALUE=DATE:${toICSTime(start).slice(0, 8)}`,
+          'ATTENDEE:mailto:sam@example.com',
+          'ATTENDEE:mailto:alex@example.com',
+          'END:VEVENT'
+        ]
+      ));
+
+      const preparations = [];
+      const preparationService = {
+        async prepareMeeting(meetingData, userId) {
+          preparations.push({ meetingData, userId });
+          return { meetingId: `meeting_${preparations.length}`, briefing: { title: meetingData.title } };
+        }
+      };
+
+      writeFeed(['Renewal terms']);
+      const service = new CalendarIntegrationService({
+        ics: [{ name: 'Work', path: file }],
+        preparationService,
+        userId: 'user-001',
+        briefingLeadMinutes: 1
+      });
+
+      assert.strictEqual(await service.initialize(), 1);
+      const firstBriefing = once(service, 'briefing_prepared');
+      await service.start();
+
+      try {
+        const synced = await service.getScheduledMeetings(5);
+        assert.strictEqual(synced.length, 1);
+        assert.strictEqual(synced[0].platform, 'teams');
+
+        const [first] = await withTimeout(firstBriefing, 10000, 'Briefing was not prepared');
+        assert.strictEqual(first.regenerated, false);
+        assert.deepStrictEqual(first.changes, []);
+        assert.strictEqual(preparations.length, 1, 'all-day events get no briefing');
+        assert.deepStrictEqual(preparations[0].meetingData.participants, ['dana@example.com', 'sam@example.com']);
+        assert.deepStrictEqual(preparations[0].meetingData.agenda, ['Renewal terms']);
+        assert.strictEqual(preparations[0].meetingData.duration, 30);
+        assert.strictEqual(preparations[0].userId, 'user-001');
+
+        // Unchanged events keep their briefing
+        await service.syncCalendars();
+        assert.strictEqual(service.briefingTimers.size, 0);
+
+        // A new agenda item makes the briefing stale; its time has passed, so it runs now
+        writeFeed(['Renewal terms', 'Support escalation']);
+        const changed = once(service, 'calendar_event_changed');
+        const secondBriefing = once(service, 'briefing_prepared');
+        await service.syncCalendars();
+
+        const [{ changes }] = await changed;
+        assert.deepStrictEqual(changes, ['agenda']);
+        const [second] = await withTimeout(secondBriefing, 5000, 'Briefing was not prepared again');
+        assert.strictEqual(second.regenerated, true);
+        assert.deepStrictEqual(second.changes, ['agenda']);
+        assert.deepStrictEqual(preparations[1].meetingData.agenda, ['Renewal terms', 'Support escalation']);
+
+        // Deleted from the feed
+        writeFeed([], { include: false });
+        const removed = once(service, 'calendar_event_removed');
+        await service.syncCalendars();
+        const [{ event }] = await removed;
+        assert.strictEqual(event.title, 'Customer call');
+        assert.deepStrictEqual(await service.getScheduledMeetings(5), []);
+      } finally {
+        service.stop();
+      }
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n📊 ${passed}/${results.length} calendar integration tests passed`);
+
+  return passed === results.length;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testCalendarIntegration()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { testCalendarIntegration };
@@ -0,0 +1,281 @@
+/**
+ * Decision Log Test Script
+ * Checks how DecisionLogService links decisions to the earlier ones they
+ * refine or reverse, against an in-memory stand-in for the database - no
+ * Postgres needed
+ */
+
+const assert = require('assert');
+const DatabaseService = require('./server/services/DatabaseService');
+const MeetingService = require('./server/services/MeetingService');
+const DecisionLogService = require('./server/services/DecisionLogService');
+
+const results = [];
+
+async function runTest(name, test) {
+  try {
+    await test();
+    results.push({ name, passed: true });
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.push({ name, passed: false });
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const USER = { id: 'user-1' };
+
+// One meeting per week, so later meetings decide later
+function meeting(week) {
+  return {
+    id: `meeting-${week}`,
+    user_id: USER.id,
+    organization_id: 'org-1',
+    title: `Product sync, week ${week}`,
+    start_time: new Date(Date.UTC(2026, 2, 2 + week * 7, 15)),
+    participants: []
+  };
+}
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Keeps decisions in memory and answers the queries the service makes for
+// them. Full-text matching is approximated by shared words.
+function useFakeDatabase() {
+  const decisions = new Map();
+  const original = {
+    query: DatabaseService.query,
+    transaction: DatabaseService.transaction,
+    verifyAccess: MeetingService.verifyAccess
+  };
+
+  const client = {
+    async query(sql, params) {
+      if (sql.includes('SET supersedes_id = $2')) {
+        const decision = decisions.get(params[0]);
+        Object.assign(decision, { supersedes_id: params[1], supersession: params[2], supersession_source: params[3] });
+        return { rows: [{ ...decision }] };
+      }
+      if (sql.includes("SET status = 'active'")) {
+        const stillSuperseded = Array.from(decisions.values()).some(decision => decision.supersedes_id === params[0]);
+        if (!stillSuperseded) decisions.get(params[0]).status = 'active';
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = $2')) {
+        decisions.get(params[0]).status = params[1];
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql.trim().split('\n')[0]}`);
+    }
+  };
+
+  DatabaseService.query = async (sql, params) => {
+    if (sql.includes('INSERT INTO decisions')) {
+      const [organizationId, meetingId, meetingTitle, createdBy, statement, fingerprint, rationale] = params;
+      const duplicate = Array.from(decisions.values())
+        .some(decision => decision.meeting_id === meetingId && decision.fingerprint === fingerprint);
+      if (duplicate) return { rows: [] };
+
+      const row = {
+        id: `decision-${decisions.size + 1}`,
+        organization_id: organizationId,
+        meeting_id: meetingId,
+        meeting_title: meetingTitle,
+        created_by: createdBy,
+        statement,
+        fingerprint,
+        rationale,
+        status: 'active',
+        supersedes_id: null,
+        supersession: null,
+        supersession_source: null,
+        decided_at: params[12]
+      };
+      decisions.set(row.id, row);
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('search_vector @@')) {
+      const [id, meetingId, organizationId, decidedAt, query] = params;
+      const terms = query.split(' | ');
+      return {
+        rows: Array.from(decisions.values()).filter(decision =>
+          decision.id !== id &&
+          decision.status === 'active' &&
+          decision.meeting_id !== meetingId &&
+          decision.organization_id === organizationId &&
+          decision.decided_at < decidedAt &&
+          words(decision.statement).some(word => terms.includes(word))
+        ).map(decision => ({ ...decision }))
+      };
+    }
+    if (sql.includes('AS access_role')) {
+      const decision = decisions.get(params[0]);
+      return { rows: decision ? [{ ...decision, access_role: 'owner' }] : [] };
+    }
+    if (sql.includes('WITH RECURSIVE chain')) {
+      // Walk back from the decision to be superseded, looking for this one
+      let current = decisions.get(params[0]);
+      while (current) {
+        if (current.id === params[1]) return { rows: [{ '?column?': 1 }] };
+        current = decisions.get(current.supersedes_id);
+      }
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql.trim().split('\n')[0]}`);
+  };
+  DatabaseService.transaction = async callback => callback(client);
+  MeetingService.verifyAccess = async (userId, meetingId) => meeting(Number(meetingId.split('-')[1]));
+
+  return {
+    decisions,
+    status: id => decisions.get(id).status,
+    restore() {
+      Object.assign(DatabaseService, { query: original.query, transaction: original.transaction });
+      MeetingService.verifyAccess = original.verifyAccess;
+    }
+  };
+}
+
+async function record(week, statement, extra = {}) {
+  const { created } = await DecisionLogService.recordExtracted(USER, `meeting-${week}`, [{ decision: statement, ...extra }]);
+  return created[0];
+}
+
+async function testDecisionLog() {
+  console.log('🧪 Testing decision supersession and reversal offline...\n');
+
+  await runTest('Only decisions with enough shared wording are linked', async () => {
+    const database = useFakeDatabase();
+    try {
+      const original = await record(1, 'Launch the mobile app in Europe in May');
+
+      // Two shared words, but most of the wording differs
+      const unrelated = await record(2, 'Europe marketing budget goes to the mobile campaign, partner events and trade shows');
+      assert.strictEqual(unrelated.supersedes, null);
+
+      // One shared word is never enough
+      const hiring = await record(3, 'Hire two support engineers for Europe');
+      assert.strictEqual(hiring.supersedes, null);
+      assert.strictEqual(database.status(original.id), 'active');
+
+      const refinement = await record(4, 'Launch the mobile app in Europe in June');
+      assert.deepStrictEqual(refinement.supersedes, { id: original.id, supersession: 'refines', source: 'auto' });
+      assert.strictEqual(database.status(original.id), 'superseded');
+
+      // Decisions in the same meeting are not linked to each other
+      const sameMeeting = await record(4, 'Launch the mobile app in Europe with a beta in June');
+      assert.strictEqual(sameMeeting.supersedes, null);
+    } finally {
+      database.restore();
+    }
+  });
+
+  await runTest('Reversal wording links as a reversal of the latest active decision', async () => {
+    const database = useFakeDatabase();
+    try {
+      const original = await record(1, 'Launch the mobile app in Europe in May');
+      const refinement = await record(2, 'Launch the mobile app in Europe in June');
+
+      const reversal = await record(3, 'We will no longer launch the mobile app in Europe');
+      // The superseded original is skipped in favor of the active refinement
+      assert.deepStrictEqual(reversal.supersedes, { id: refinement.id, supersession: 'reverses', source: 'auto' });
+      assert.strictEqual(database.status(refinement.id), 'reversed');
+      assert.strictEqual(database.status(original.id), 'superseded');
+
+      // Restating a reversal refines it rather than reversing it again
+      const restated = await record(4, 'We will not launch the mobile app in Europe this year');
+      assert.strictEqual(restated.supersedes.supersession, 'refines');
+
+      // Reversal wording in the rationale counts too
+      const pricing = await record(1, 'Raise annual plan pricing by ten percent');
+      const rollback = await record(5, 'Keep annual plan pricing as is', { rationale: 'Rolling back after churn rose' });
+      assert.deepStrictEqual(rollback.supersedes, { id: pricing.id, supersession: 'reverses', source: 'auto' });
+    } finally {
+      database.restore();
+    }
+  });
+
+  await runTest('Manual links cannot create cycles', async () => {
+    const database = useFakeDatabase();
+    try {
+      const first = await record(1, 'Adopt Postgres for analytics storage');
+      const second = await record(2, 'Adopt Postgres for analytics storage with read replicas');
+      const third = await record(3, 'Adopt Postgres for analytics storage with read replicas in two regions');
+      assert.strictEqual(second.supersedes.id, first.id);
+      assert.strictEqual(third.supersedes.id, second.id);
+
+      await assert.rejects(
+        DecisionLogService.linkDecision(USER, first.id, third.id),
+        { name: 'ValidationError', message: 'That decision already descends from this one' }
+      );
+      await assert.rejects(
+        DecisionLogService.linkDecision(USER, first.id, first.id),
+        { name: 'ValidationError', message: 'A decision cannot supersede itself' }
+      );
+      await assert.rejects(
+        DecisionLogService.linkDecision(USER, third.id, first.id, 'replaces'),
+        { name: 'ValidationError' }
+      );
+      assert.strictEqual(database.decisions.get(first.id).supersedes_id, null);
+    } finally {
+      database.restore();
+    }
+  });
+
+  await runTest('Unlinking or relinking reactivates the decision that was superseded', async () => {
+    const database = useFakeDatabase();
+    try {
+      const vendorA = await record(1, 'Use Acme as the payments vendor');
+      const hosting = await record(1, 'Host the billing service on our own cluster');
+      const vendorB = await record(2, 'Drop Acme as the payments vendor');
+      assert.strictEqual(vendorB.supersedes.supersession, 'reverses');
+      assert.strictEqual(database.status(vendorA.id), 'reversed');
+
+      const unlinked = await DecisionLogService.unlinkDecision(USER, vendorB.id);
+      assert.strictEqual(unlinked.supersedes, null);
+      assert.strictEqual(database.status(vendorA.id), 'active');
+
+      await assert.rejects(
+        DecisionLogService.unlinkDecision(USER, vendorB.id),
+        { name: 'ValidationError', message: 'This decision does not supersede another decision' }
+      );
+
+      // Moving a link frees the decision it used to point at
+      await DecisionLogService.linkDecision(USER, vendorB.id, vendorA.id, 'reverses');
+      const moved = await DecisionLogService.linkDecision(USER, vendorB.id, hosting.id, 'refines');
+      assert.deepStrictEqual(moved.supersedes, { id: hosting.id, supersession: 'refines', source: 'manual' });
+      assert.strictEqual(database.status(vendorA.id), 'active');
+      assert.strictEqual(database.status(hosting.id), 'superseded');
+
+      // A decision another one still supersedes stays superseded
+      const other = await DecisionLogService.createDecision(USER, 'meeting-3', {
+        statement: 'Run billing on managed infrastructure',
+        supersedesId: hosting.id
+      });
+      assert.strictEqual(other.supersedes.id, hosting.id);
+      await DecisionLogService.unlinkDecision(USER, vendorB.id);
+      assert.strictEqual(database.status(hosting.id), 'superseded');
+    } finally {
+      database.restore();
+    }
+  });
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n📊 ${passed}/${results.length} decision log tests passed`);
+
+  return passed === results.length;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testDecisionLog()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { testDecisionLog };
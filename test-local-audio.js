@@ -0,0 +1,253 @@
+/**
+ * Local Audio Pipeline Test Script
+ * Drives captured sample buffers through AudioProcessor into a stand-in
+ * whisper.cpp binary, the speaker diarizer and the recording file - no
+ * microphone, Electron or speech model needed
+ */
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingmind-audio-'));
+
+// Settings, speaker profiles and upload state live under the home directory
+const originalHome = process.env.HOME;
+process.env.HOME = workDir;
+
+const AudioProcessor = require('./desktop-app/audio-processor');
+const RecordingUploader = require('./desktop-app/recording-uploader');
+
+const results = [];
+
+async function runTest(name, test) {
+  try {
+    await test();
+    results.push({ name, passed: true });
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.push({ name, passed: false });
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+async function waitFor(condition, ms, message) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(message);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Stands in for AudioCapture: frames are pushed by the test instead of the
+ * capture window
+ */
+class FakeCaptureSource {
+  constructor(deviceSampleRate) {
+    this.deviceSampleRate = deviceSampleRate;
+    this.onSamples = null;
+    this.stopped = false;
+  }
+
+  async requestPermission() {
+    return { success: true };
+  }
+
+  async start(config, onSamples) {
+    this.onSamples = onSamples;
+    this.stopped = false;
+    return { sampleRate: this.deviceSampleRate };
+  }
+
+  stop() {
+    this.onSamples = null;
+    this.stopped = true;
+  }
+
+  // Sends `seconds` of audio in the 4096-sample frames the capture window uses
+  push(seconds, sample) {
+    const total = Math.round(seconds * this.deviceSampleRate);
+    for (let offset = 0; offset < total; offset += 4096) {
+      const frame = new Float32Array(Math.min(4096, total - offset));
+      for (let i = 0; i < frame.length; i++) {
+        frame[i] = sample((offset + i) / this.deviceSampleRate);
+      }
+      if (this.onSamples) this.onSamples(frame);
+    }
+  }
+}
+
+// Voiced-sounding signal: a 140Hz fundamental with harmonics and a syllable rhythm
+function voice(t) {
+  const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t);
+  let value = 0;
+  for (let harmonic = 1; harmonic <= 8; harmonic++) {
+    value += Math.sin(2 * Math.PI * 140 * harmonic * t) / harmonic;
+  }
+  return 0.2 * envelope * value;
+}
+
+function silence() {
+  return 0;
+}
+
+// whisper-cli stand-in: logs the input it was given and writes -ojf output
+function writeFakeWhisper(dir) {
+  const binaryPath = path.join(dir, 'whisper-cli');
+  const logPath = path.join(dir, 'whisper-inputs.log');
+
+  fs.writeFileSync(binaryPath, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args.includes('--help')) process.exit(0);
+
+const wav = fs.readFileSync(args[args.indexOf('-f') + 1]);
+const seconds = (wav.length - 44) / 2 / 16000;
+fs.appendFileSync(${JSON.stringify(logPath)}, seconds + '\\n');
+
+fs.writeFileSync(args[args.indexOf('-of') + 1] + '.json', JSON.stringify({
+  transcription: [{
+    text: ' Ship it on Friday',
+    tokens: [
+      { text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 1 },
+      { text: ' Ship', offsets: { from: 0, to: 400 }, p: 0.9 },
+      { text: ' it', offsets: { from: 400, to: 600 }, p: 0.95 },
+      { text: ' on', offsets: { from: 600, to: 800 }, p: 0.9 },
+      { text: ' Fri', offsets: { from: 800, to: 1000 }, p: 0.8 },
+      { text: 'day', offsets: { from: 1000, to: 1200 }, p: 0.8 }
+    ]
+  }]
+}));
+`);
+  fs.chmodSync(binaryPath, 0o755);
+
+  return { binaryPath, logPath };
+}
+
+async function testLocalAudio() {
+  console.log('🧪 Testing the local audio pipeline offline with captured sample buffers...\n');
+
+  try {
+    const { binaryPath, logPath } = writeFakeWhisper(workDir);
+    const modelPath = path.join(workDir, 'ggml-base.bin');
+    fs.writeFileSync(modelPath, 'model');
+
+    fs.mkdirSync(path.join(workDir, '.meetingmind'));
+    fs.writeFileSync(path.join(workDir, '.meetingmind', 'ai-settings.json'), JSON.stringify({
+      speech: { engine: 'local', localEngine: 'whisper.cpp', binaryPath, modelPath },
+      // Unreachable on purpose: uploads must be refused before any request
+      recording: { serverUrl: 'http://127.0.0.1:9', accessToken: 'test-token' }
+    }));
+
+    await runTest('Recording without a capture source fails instead of pretending', async () => {
+      const processor = new AudioProcessor();
+      const result = await processor.startAudioRecording({ realTime: true });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(processor.isRecording, false);
+    });
+
+    await runTest('Captured audio reaches whisper.cpp, the diarizer and the recording', async () => {
+      const capture = new FakeCaptureSource(48000);
+      const processor = new AudioProcessor({ captureSource: capture });
+
+      const started = await processor.startAudioRecording({
+        realTime: true,
+        saveAudio: true,
+        consent: { confirmed: true, confirmedAt: new Date().toISOString() }
+      });
+      assert.strictEqual(started.success, true, started.message);
+      assert.strictEqual(processor.sampleRate, 48000);
+
+      // An utterance followed by enough silence to end it
+      capture.push(2, voice);
+      capture.push(1.2, silence);
+
+      await waitFor(() => processor.transcriptionHistory.length > 0, 5000, 'No local transcription arrived');
+      const stopped = processor.stopAudioRecording();
+
+      const [segment] = processor.transcriptionHistory;
+      assert.strictEqual(segment.text, 'Ship it on Friday');
+      assert.deepStrictEqual(segment.words.map(word => word.word), ['Ship', 'it', 'on', 'Friday']);
+      assert.strictEqual(segment.engine, 'local');
+      assert.strictEqual(segment.speaker, 'Speaker 1');
+
+      // whisper.cpp got the utterance resampled to 16kHz
+      const [seconds] = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(Number);
+      assert.ok(seconds >= 2 && seconds <= 3.2, `whisper.cpp got ${seconds}s of audio`);
+
+      assert.ok(capture.stopped, 'Capture was not stopped');
+      assert.strictEqual(stopped.recordingSaved, true);
+      // Each frame is resampled on its own and may lose its last sample
+      const frames = Math.ceil(2 * 48000 / 4096) + Math.ceil(1.2 * 48000 / 4096);
+      assert.ok(Math.abs(stopped.recordedSamples - 3.2 * 16000) <= frames, `${stopped.recordedSamples} samples recorded`);
+
+      await waitFor(() => fs.existsSync(stopped.recordingPath) &&
+        fs.statSync(stopped.recordingPath).size === stopped.recordedSamples * 2, 2000, 'Recording file is incomplete');
+
+      await processor.discardRecording();
+    });
+
+    await runTest('Capture that delivers no audio keeps no recording and cannot be uploaded', async () => {
+      const capture = new FakeCaptureSource(16000);
+      const processor = new AudioProcessor({ captureSource: capture });
+      const consent = { confirmed: true, confirmedAt: new Date().toISOString() };
+
+      const started = await processor.startAudioRecording({ realTime: true, saveAudio: true, consent });
+      assert.strictEqual(started.success, true, started.message);
+
+      const stopped = processor.stopAudioRecording();
+      assert.strictEqual(stopped.recordedSamples, 0);
+      assert.strictEqual(stopped.recordingSaved, false);
+
+      const upload = await new RecordingUploader().upload({
+        pcmPath: stopped.recordingPath,
+        meetingId: 'meeting-1',
+        consent
+      });
+      assert.strictEqual(upload.success, false);
+      assert.strictEqual(upload.message, 'The recording has no audio');
+
+      await processor.discardRecording();
+    });
+
+    await runTest('A failed capture start leaves the processor ready to record again', async () => {
+      const capture = new FakeCaptureSource(16000);
+      capture.start = async () => {
+        throw new Error('NotFoundError: Requested device not found');
+      };
+      const processor = new AudioProcessor({ captureSource: capture });
+      const consent = { confirmed: true, confirmedAt: new Date().toISOString() };
+
+      const result = await processor.startAudioRecording({ realTime: true, saveAudio: true, consent });
+      assert.strictEqual(result.success, false);
+      assert.ok(result.message.includes('Requested device not found'));
+      assert.strictEqual(processor.isRecording, false);
+      assert.strictEqual(processor.recordingFile, null);
+      assert.strictEqual(processor.recordingPath, null);
+      assert.strictEqual(processor.recordingConsent, null);
+    });
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n📊 ${passed}/${results.length} local audio tests passed`);
+
+  return passed === results.length;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testLocalAudio()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { testLocalAudio };
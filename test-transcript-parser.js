@@ -0,0 +1,288 @@
+/**
+ * Transcript Parser Test Script
+ * Parses small VTT, SRT, Zoom JSON, Teams DOCX and plain-text fixtures into
+ * canonical segments - no database or uploads needed
+ */
+
+const assert = require('assert');
+const TranscriptParser = require('./server/services/TranscriptParser');
+
+const results = [];
+
+async function runTest(name, test) {
+  try {
+    await test();
+    results.push({ name, passed: true });
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.push({ name, passed: false });
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed zip archive, enough for mammoth to read a DOCX
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function docx(paragraphs) {
+  const body = paragraphs
+    .map(text => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`)
+    .join('');
+
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '</Relationships>',
+    'word/document.xml': '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${body}</w:body></w:document>`
+  });
+}
+
+function summarize(segments) {
+  return segments.map(({ speaker, start, end, text }) => ({ speaker, start, end, text }));
+}
+
+async function testTranscriptParser() {
+  console.log('🧪 Testing transcript parsing offline with small fixtures...\n');
+
+  await runTest('WebVTT voice tags and speaker prefixes become segments', async () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      '1',
+      '00:00:01.000 --> 00:00:04.500',
+      '<v Alice Chen>Welcome everyone, let us start.</v>',
+      '',
+      '2',
+      '00:00:05.000 --> 00:00:07.250',
+      'Bob: Thanks, I have the numbers',
+      '',
+      '3',
+      '00:00:07.500 --> 00:00:09.000',
+      'Bob: for the third quarter.'
+    ].join('\n');
+
+    assert.strictEqual(TranscriptParser.detectFormat(vtt), 'vtt');
+    const result = await TranscriptParser.parse(vtt);
+
+    assert.strictEqual(result.format, 'vtt');
+    // Bob's cues were split mid-sentence and are merged
+    assert.deepStrictEqual(summarize(result.segments), [
+      { speaker: 'Alice Chen', start: 1, end: 4.5, text: 'Welcome everyone, let us start.' },
+      { speaker: 'Bob', start: 5, end: 9, text: 'Thanks, I have the numbers for the third quarter.' }
+    ]);
+    assert.strictEqual(result.duration, 9);
+    assert.deepStrictEqual(result.speakers.map(speaker => speaker.name), ['Alice Chen', 'Bob']);
+  });
+
+  await runTest('SRT cues with comma milliseconds and CRLF line endings are parsed', async () => {
+    const srt = [
+      '1',
+      '00:00:02,500 --> 00:00:05,000',
+      'Carol: Can we move the launch?',
+      '',
+      '2',
+      '00:01:00,000 --> 00:01:03,750',
+      'Dan: Only by a week.'
+    ].join('\r\n');
+
+    assert.strictEqual(TranscriptParser.detectFormat(srt), 'srt');
+    const result = await TranscriptParser.parse(Buffer.from(`\uFEFF${srt}`), { filename: 'call.srt' });
+
+    assert.deepStrictEqual(summarize(result.segments), [
+      { speaker: 'Carol', start: 2.5, end: 5, text: 'Can we move the launch?' },
+      { speaker: 'Dan', start: 60, end: 63.75, text: 'Only by a week.' }
+    ]);
+  });
+
+  await runTest('Zoom JSON reads timestamp strings, seconds and millisecond fields', async () => {
+    const timeline = JSON.stringify({
+      timeline: [
+        { ts: '00:00:03.100', end_ts: '00:00:06.000', text: 'Agenda first.', users: [{ username: 'Erin' }] },
+        { ts: '00:00:06.500', end_ts: '00:00:09.000', text: 'Then budget.', users: [{ username: 'Frank' }] }
+      ]
+    });
+    const timelineResult = await TranscriptParser.parse(timeline);
+    assert.strictEqual(timelineResult.format, 'zoom_json');
+    assert.deepStrictEqual(summarize(timelineResult.segments), [
+      { speaker: 'Erin', start: 3.1, end: 6, text: 'Agenda first.' },
+      { speaker: 'Frank', start: 6.5, end: 9, text: 'Then budget.' }
+    ]);
+
+    const seconds = JSON.stringify([
+      { speaker_name: 'Gina', start_time: 1.5, end_time: 4, text: 'Short update.' },
+      { speaker_name: 'Hal', start_time: 4.5, end_time: 8, text: 'Noted.' }
+    ]);
+    const secondsResult = await TranscriptParser.parse(seconds, { filename: 'zoom.json' });
+    assert.deepStrictEqual(secondsResult.segments.map(segment => [segment.start, segment.end]), [[1.5, 4], [4.5, 8]]);
+
+    const milliseconds = JSON.stringify({
+      recording_transcript: [
+        { speaker: 'Ivy', start_ms: 1500, end_ms: 4000, text: 'Millis by name.' },
+        { speaker: 'Jon', startMs: 4500, endMs: 8000, text: 'Also millis.' }
+      ]
+    });
+    const millisecondsResult = await TranscriptParser.parse(milliseconds);
+    assert.deepStrictEqual(millisecondsResult.segments.map(segment => [segment.start, segment.end]), [[1.5, 4], [4.5, 8]]);
+  });
+
+  await runTest('Unitless millisecond times are detected from segment lengths, not size', async () => {
+    // A short meeting in milliseconds never gets near a day's worth of seconds
+    const result = await TranscriptParser.parse(JSON.stringify([
+      { speaker: 'Kim', start: 1200, end: 4800, text: 'First point.' },
+      { speaker: 'Lee', start: 5000, end: 9500, text: 'Second point.' },
+      { speaker: 'Kim', start: 10000, end: 12000, text: 'Agreed.' }
+    ]));
+    assert.deepStrictEqual(result.segments.map(segment => [segment.start, segment.end]), [[1.2, 4.8], [5, 9.5], [10, 12]]);
+
+    // Starts only: steps between turns decide the unit
+    const startsOnly = await TranscriptParser.parse(JSON.stringify([
+      { speaker: 'Kim', start: 0, text: 'Hello.' },
+      { speaker: 'Lee', start: 3500, text: 'Hi.' },
+      { speaker: 'Kim', start: 7000, text: 'Shall we?' }
+    ]));
+    assert.deepStrictEqual(startsOnly.segments.map(segment => segment.start), [0, 3.5, 7]);
+
+    // Late in a long meeting, seconds stay seconds
+    const lateSeconds = await TranscriptParser.parse(JSON.stringify([
+      { speaker: 'Kim', start: 5400, end: 5404, text: 'Ninety minutes in.' },
+      { speaker: 'Lee', start: 5405, end: 5410, text: 'Wrapping up.' }
+    ]));
+    assert.deepStrictEqual(lateSeconds.segments.map(segment => [segment.start, segment.end]), [[5400, 5404], [5405, 5410]]);
+
+    assert.strictEqual(TranscriptParser.detectTimeUnit([{ start: 90000000 }]), 'ms');
+    assert.strictEqual(TranscriptParser.detectTimeUnit([{ start: 30 }]), 's');
+  });
+
+  await runTest('Teams DOCX exports are parsed in both layouts', async () => {
+    const headerLayout = docx([
+      'Mia Torres   0:03',
+      'Let us review the roadmap.',
+      'Noah Park   1:05',
+      'The API work slipped.',
+      'It needs another sprint.'
+    ]);
+    assert.strictEqual(TranscriptParser.detectFormat(headerLayout), 'teams_docx');
+    const headerResult = await TranscriptParser.parse(headerLayout);
+    assert.deepStrictEqual(summarize(headerResult.segments), [
+      { speaker: 'Mia Torres', start: 3, end: 65, text: 'Let us review the roadmap.' },
+      { speaker: 'Noah Park', start: 65, end: null, text: 'The API work slipped. It needs another sprint.' }
+    ]);
+
+    const cueLayout = docx([
+      '0:0:3.250 --> 0:0:6.180',
+      'Mia Torres',
+      'Roadmap first.',
+      '0:0:7.000 --> 0:0:9.500',
+      'Noah Park',
+      'Then staffing.'
+    ]);
+    const cueResult = await TranscriptParser.parse(cueLayout, { filename: 'meeting.docx' });
+    assert.deepStrictEqual(summarize(cueResult.segments), [
+      { speaker: 'Mia Torres', start: 3.25, end: 6.18, text: 'Roadmap first.' },
+      { speaker: 'Noah Park', start: 7, end: 9.5, text: 'Then staffing.' }
+    ]);
+  });
+
+  await runTest('Plain text speaker lines keep timestamps and continuation lines', async () => {
+    const text = [
+      '[00:00:10] Olivia: Budget is approved.',
+      'We start hiring next month.',
+      '[00:00:20] Pat: Great news!',
+      'Quinn: Who owns onboarding?'
+    ].join('\n');
+
+    assert.strictEqual(TranscriptParser.detectFormat(text), 'plain');
+    const result = await TranscriptParser.parse(text);
+    assert.deepStrictEqual(summarize(result.segments), [
+      { speaker: 'Olivia', start: 10, end: 20, text: 'Budget is approved. We start hiring next month.' },
+      { speaker: 'Pat', start: 20, end: null, text: 'Great news!' },
+      { speaker: 'Quinn', start: null, end: null, text: 'Who owns onboarding?' }
+    ]);
+  });
+
+  await runTest('Empty and malformed transcripts are rejected', async () => {
+    await assert.rejects(TranscriptParser.parse('WEBVTT\n\n'), { name: 'ValidationError' });
+    await assert.rejects(TranscriptParser.parse('{ not json', { format: 'zoom_json' }), /Invalid JSON transcript/);
+    await assert.rejects(TranscriptParser.parse('{"transcript": {}}'), /does not contain a segment array/);
+    await assert.rejects(TranscriptParser.parse('text', { format: 'pdf' }), /Unsupported transcript format/);
+  });
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n📊 ${passed}/${results.length} transcript parser tests passed`);
+
+  return passed === results.length;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testTranscriptParser()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { testTranscriptParser };